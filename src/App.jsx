@@ -11,11 +11,14 @@ import ScrollToTop from './components/common/ScrollToTop';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import AuthCallback from './pages/AuthCallback';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 
 // Lazy load all main app pages for code splitting
 const Home = lazy(() => import('./pages/Home'));
 const Transactions = lazy(() => import('./pages/Transactions'));
 const Accounts = lazy(() => import('./pages/Accounts'));
+const NetWorth = lazy(() => import('./pages/NetWorth'));
 const Categories = lazy(() => import('./pages/Categories'));
 const Budgets = lazy(() => import('./pages/Budgets'));
 const BorrowingsLendings = lazy(() => import('./pages/BorrowingsLendings'));
@@ -30,6 +33,8 @@ function App() {
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
         <Route path="/auth/callback" element={<AuthCallback />} />
         <Route
           path="/"
@@ -72,6 +77,14 @@ function App() {
               </Suspense>
             }
           />
+          <Route
+            path="net-worth"
+            element={
+              <Suspense fallback={<PageSkeleton />}>
+                <NetWorth />
+              </Suspense>
+            }
+          />
           <Route
             path="categories"
             element={
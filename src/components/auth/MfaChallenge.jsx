@@ -0,0 +1,210 @@
+import { useEffect, useState } from 'react'
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material'
+import { getTotpFactor, redeemBackupCode, verifyTotp } from '../../lib/api/mfa'
+import { useAutoDismissError } from '../../hooks/useAutoDismissError'
+
+/**
+ * The second sign-in step for accounts with an authenticator app: a 6-digit
+ * code, or a backup code when the app is lost. Shown by Login right after the
+ * password, and by ProtectedRoute for any session that arrives at aal1 (a
+ * magic link, OAuth, a reload mid-sign-in).
+ *
+ * @param {string} [email] - shown so the user knows which account it is
+ * @param {(session: Object) => void} onVerified - with the aal2 session, or
+ *   the refreshed one after a backup code turned two-factor off
+ * @param {() => void} onCancel - sign out instead
+ */
+function MfaChallenge({ email, onVerified, onCancel }) {
+  const [factor, setFactor] = useState(null)
+  const [useBackup, setUseBackup] = useState(false)
+  const [code, setCode] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  // The session a backup code left behind, held while the user reads the note
+  const [recovered, setRecovered] = useState(null)
+
+  // Auto-dismiss error after 8 seconds
+  useAutoDismissError(setError, error)
+
+  useEffect(() => {
+    getTotpFactor()
+      .then((found) => {
+        setFactor(found)
+        if (!found) setUseBackup(true)
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (!code.trim()) {
+      setError(useBackup ? 'Enter one of your backup codes' : 'Enter the 6-digit code')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      if (useBackup) {
+        setRecovered(await redeemBackupCode(code))
+      } else {
+        onVerified(await verifyTotp(factor.id, code))
+      }
+    } catch (err) {
+      setError(err.message)
+      setCode('')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const switchMode = () => {
+    setUseBackup(!useBackup)
+    setCode('')
+    setError(null)
+  }
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+        }}
+      >
+        <Paper
+          elevation={2}
+          sx={{
+            p: 4,
+            width: '100%',
+            borderRadius: 2,
+          }}
+        >
+          <Typography
+            component="h1"
+            variant="h5"
+            align="center"
+            gutterBottom
+            sx={{ fontWeight: 500 }}
+          >
+            Two-factor sign-in
+          </Typography>
+
+          {recovered ? (
+            <>
+              <Alert severity="warning" sx={{ my: 2 }}>
+                Backup code accepted. Two-factor sign-in is now off for this account
+                and your other backup codes no longer work. Turn it back on in
+                Settings.
+              </Alert>
+              <Button
+                fullWidth
+                variant="contained"
+                size="large"
+                sx={{ mt: 1, py: 1.5 }}
+                onClick={() => onVerified(recovered)}
+              >
+                Continue
+              </Button>
+            </>
+          ) : (
+            <>
+              <Typography
+                variant="body2"
+                align="center"
+                color="text.secondary"
+                sx={{ mb: 3 }}
+              >
+                {useBackup
+                  ? 'Enter one of the backup codes you saved when you set up two-factor sign-in'
+                  : 'Enter the 6-digit code from your authenticator app'}
+                {email ? ` for ${email}` : ''}
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <Box component="form" onSubmit={handleSubmit}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="code"
+                  label={useBackup ? 'Backup code' : 'Authentication code'}
+                  name="code"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={loading}
+                  inputProps={
+                    useBackup
+                      ? { maxLength: 16 }
+                      : { inputMode: 'numeric', pattern: '[0-9 ]*', maxLength: 7 }
+                  }
+                />
+
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  sx={{ mt: 3, mb: 1, py: 1.5 }}
+                  disabled={loading || (!useBackup && !factor)}
+                >
+                  {loading ? <CircularProgress size={24} color="inherit" /> : 'Verify'}
+                </Button>
+              </Box>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+                {factor ? (
+                  <Button
+                    variant="text"
+                    size="small"
+                    onClick={switchMode}
+                    disabled={loading}
+                    sx={{ textTransform: 'none' }}
+                  >
+                    {useBackup ? 'Use authenticator app' : 'Use a backup code'}
+                  </Button>
+                ) : (
+                  <span />
+                )}
+                <Button
+                  variant="text"
+                  size="small"
+                  color="inherit"
+                  onClick={onCancel}
+                  disabled={loading}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Sign out
+                </Button>
+              </Box>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default MfaChallenge
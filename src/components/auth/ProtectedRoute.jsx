@@ -3,9 +3,19 @@ import { Navigate } from 'react-router-dom'
 import { useDispatch, useSelector } from 'react-redux'
 import { Box, Button, Typography } from '@mui/material'
 import { supabase, setCachedUser, clearUserCache } from '../../lib/supabase'
-import { setUser, setSession, setLoading, setAuthChecked } from '../../store/slices/authSlice'
+import { getAssurance } from '../../lib/api/mfa'
+import {
+  setUser,
+  setSession,
+  setLoading,
+  setAuthChecked,
+  setAssurance,
+  clearAuth,
+  selectAssuranceMet,
+} from '../../store/slices/authSlice'
 import { initializeApp, clearError } from '../../store/slices/appInitSlice'
 import LoadingSpinner from '../common/LoadingSpinner'
+import MfaChallenge from './MfaChallenge'
 import { useRealtimeSync } from '../../hooks/useRealtimeSync'
 import { useDataRefresh } from '../../hooks/useDataRefresh'
 
@@ -18,6 +28,9 @@ function ProtectedRoute({ children }) {
   const user = useSelector((state) => state.auth.user)
   const loading = useSelector((state) => state.auth.loading)
   const isAuthChecked = useSelector((state) => state.auth.isAuthChecked)
+  const session = useSelector((state) => state.auth.session)
+  const assurance = useSelector((state) => state.auth.assurance)
+  const assuranceMet = useSelector(selectAssuranceMet)
   const isInitialized = useSelector((state) => state.appInit.isInitialized)
   const isInitializing = useSelector((state) => state.appInit.isLoading)
   const initError = useSelector((state) => state.appInit.error)
@@ -89,6 +102,36 @@ function ProtectedRoute({ children }) {
     }
   }, [dispatch])
 
+  // Every new session (sign-in, token refresh, a verified code) is measured
+  // against the user's factors. If the check itself fails the session is
+  // treated as short of aal2: the code prompt can still be answered or left.
+  useEffect(() => {
+    if (!session) return
+    let cancelled = false
+    getAssurance()
+      .then((result) => {
+        if (!cancelled) dispatch(setAssurance(result))
+      })
+      .catch((error) => {
+        console.warn('Error checking sign-in assurance:', error.message)
+        if (!cancelled) dispatch(setAssurance({ currentLevel: 'aal1', nextLevel: 'aal2' }))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [session, dispatch])
+
+  const handleSecondFactor = (verifiedSession) => {
+    dispatch(setUser(verifiedSession.user))
+    dispatch(setSession(verifiedSession))
+    setCachedUser(verifiedSession.user)
+  }
+
+  const handleSignOut = async () => {
+    await supabase.auth.signOut()
+    dispatch(clearAuth())
+  }
+
   // Initialize app data when the user is authenticated.
   // isInitialized is rehydrated from persisted storage, so on a warm app open
   // it is already true and the old `!isInitialized` guard alone would skip
@@ -101,17 +144,17 @@ function ProtectedRoute({ children }) {
   // loops the network); retries are handled by the backoff effect below.
   const hasFetchedThisLoad = useRef(false)
   useEffect(() => {
-    if (!user || isInitializing || hasFetchedThisLoad.current) return
+    if (!user || !assuranceMet || isInitializing || hasFetchedThisLoad.current) return
     hasFetchedThisLoad.current = true
     dispatch(initializeApp())
-  }, [user, isInitializing, dispatch])
+  }, [user, assuranceMet, isInitializing, dispatch])
 
   // Auto-retry a failed initial sync a few times with backoff. Previously a
   // single rejection (e.g. a transient network error) left the app stuck on
   // the loading spinner forever with no way forward but a manual page reload.
   const autoRetryCountRef = useRef(0)
   useEffect(() => {
-    if (!user || isInitialized || isInitializing || !initError) return
+    if (!user || !assuranceMet || isInitialized || isInitializing || !initError) return
     if (autoRetryCountRef.current >= MAX_AUTO_RETRIES) return
     const attempt = autoRetryCountRef.current
     const delay = 2000 * Math.pow(2, attempt) // 2s, 4s, 8s
@@ -120,7 +163,7 @@ function ProtectedRoute({ children }) {
       dispatch(initializeApp())
     }, delay)
     return () => clearTimeout(timer)
-  }, [user, isInitialized, isInitializing, initError, dispatch])
+  }, [user, assuranceMet, isInitialized, isInitializing, initError, dispatch])
 
   const handleManualRetry = () => {
     autoRetryCountRef.current = 0
@@ -138,6 +181,21 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/login" replace />
   }
 
+  // Nothing of the app (not even the persisted data) until the session has
+  // every factor the account requires
+  if (!assurance) {
+    return <LoadingSpinner fullScreen />
+  }
+  if (!assuranceMet) {
+    return (
+      <MfaChallenge
+        email={user.email}
+        onVerified={handleSecondFactor}
+        onCancel={handleSignOut}
+      />
+    )
+  }
+
   // Authenticated but initial data not loaded yet
   if (!isInitialized) {
     // Exhausted auto-retries and still failing → let the user retry manually
@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Autocomplete,
@@ -11,10 +11,12 @@ import {
   DialogContent,
   DialogActions,
   FormControl,
+  FormControlLabel,
   IconButton,
   InputLabel,
   MenuItem,
   Select,
+  Switch,
   TextField,
   Typography,
   Alert,
@@ -29,9 +31,14 @@ import {
   flattenCategoryTree,
   getParentCategoryIds,
 } from '../../utils/categoryHierarchy';
-import { batchCreateTransactions } from '../../store/slices/transactionsSlice';
+import {
+  batchCreateTransactions,
+  createTransaction,
+} from '../../store/slices/transactionsSlice';
+import { addAttachment } from '../../store/slices/attachmentsSlice';
 import {
   selectBorrowingLendingCategoryIds,
+  selectCategorizationRules,
   selectEntityNameSuggestions,
   selectPrefixReceiptMerchant,
 } from '../../store/selectors';
@@ -39,6 +46,7 @@ import {
   ENTITY_NAME_REQUIRED_MESSAGE,
   isEntityNameRequired,
 } from '../../utils/borrowingLendingParser';
+import { applyRules } from '../../utils/categorizationRules';
 import { format } from 'date-fns';
 import { formatCurrency } from '../../utils/currencyConversion';
 import { useAutoDismissError } from '../../hooks/useAutoDismissError';
@@ -53,11 +61,14 @@ import { useAutoDismissError } from '../../hooks/useAutoDismissError';
  *   15% tax toggle
  * - Account and date selection at the top
  * - Running grand total in a sticky footer
+ * - Receipts can be saved as one payment split by category rather than one
+ *   transaction per item
+ * - The receipt photo is attached to whatever it was saved as
  */
 function AITransactionsReviewModal({
   open,
   onClose,
-  parsedData, // { transactions, merchant, receiptDate, type }
+  parsedData, // { transactions, merchant, receiptDate, type, image? }
   isReceipt = false, // Whether this is from receipt parsing (enables tax toggles)
 }) {
   const dispatch = useDispatch();
@@ -73,6 +84,11 @@ function AITransactionsReviewModal({
     selectBorrowingLendingCategoryIds
   );
   const entityNameSuggestions = useSelector(selectEntityNameSuggestions);
+  // Read when the modal opens; a rules refresh while reviewing mustn't reset
+  // the user's edits
+  const rules = useSelector(selectCategorizationRules);
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
 
   // Get default account from settings
   const defaultAccountId = useMemo(() => {
@@ -86,6 +102,9 @@ function AITransactionsReviewModal({
   const [selectedDate, setSelectedDate] = useState(
     format(new Date(), 'yyyy-MM-dd'),
   );
+  // Receipts default to a single payment split by category, which is how the
+  // bank statement will show it
+  const [saveAsSplit, setSaveAsSplit] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
 
@@ -132,18 +151,27 @@ function AITransactionsReviewModal({
           const displayAmount = applyTax
             ? Math.round(baseAmount * 1.15 * 100) / 100
             : baseAmount;
+          // The user's categorisation rules overrule the AI's guesses
+          const ruled = applyRules(rulesRef.current, {
+            description: txn.description || '',
+            amount: displayAmount,
+            accountId: defaultAccountId,
+            entityName: txn.entityName || '',
+            type: txn.type || 'Expense',
+          });
 
           return {
             id: `ai_${Date.now()}_${index}`,
-            description: withMerchant(txn.description || ''),
+            description: withMerchant(ruled.description ?? (txn.description || '')),
             baseAmount: baseAmount, // Store original pre-tax amount
             amount: displayAmount, // Display amount (with or without tax)
-            categoryId: txn.suggestedCategoryId || '',
+            categoryId: ruled.categoryId || txn.suggestedCategoryId || '',
             categoryName: txn.suggestedCategoryName || '',
             type: txn.type || 'Expense',
             // Who the money was lent to / borrowed from, when the text said so
             entityName: (txn.entityName || '').trim(),
             applyTax: applyTax,
+            ruleTags: ruled.tags,
           };
         },
       );
@@ -159,6 +187,7 @@ function AITransactionsReviewModal({
 
       // Set default account
       setSelectedAccountId(defaultAccountId);
+      setSaveAsSplit(isReceipt);
       setError(null);
     }
   }, [open, parsedData, isReceipt, defaultAccountId, prefixMerchant]);
@@ -276,6 +305,20 @@ function AITransactionsReviewModal({
     return parseFloat(txn.amount) || 0;
   };
 
+  // Keep the scanned photo with the saved transactions. Not awaited: the
+  // transactions are in, and a failed upload reports itself.
+  const attachReceipt = (transactionIds) => {
+    if (!isReceipt || !parsedData?.image || transactionIds.length === 0) return;
+    dispatch(
+      addAttachment({
+        source: parsedData.image,
+        transactionIds,
+        fileName: `Receipt ${merchant || ''} ${selectedDate}`.replace(/\s+/g, ' ').trim(),
+        fromReceipt: true,
+      }),
+    );
+  };
+
   // Handle save all transactions
   const handleSave = async () => {
     // Validate account selection
@@ -308,6 +351,26 @@ function AITransactionsReviewModal({
       return;
     }
 
+    if (isReceipt && saveAsSplit) {
+      if (new Set(validTransactions.map((txn) => txn.type)).size > 1) {
+        setError(
+          'Income and expense items can\'t share one payment. Turn off "Save as one payment" to save them separately.',
+        );
+        return;
+      }
+      // A borrowing/lending record covers a whole transaction, not a line
+      if (
+        validTransactions.some((txn) =>
+          borrowingLendingCategoryIds.has(txn.categoryId),
+        )
+      ) {
+        setError(
+          'Borrowing and lending items can\'t be part of a split. Turn off "Save as one payment" to save them separately.',
+        );
+        return;
+      }
+    }
+
     // Lending/borrowing rows create a record filed under a counterparty
     const missingEntity = validTransactions.filter(
       (txn) =>
@@ -323,6 +386,52 @@ function AITransactionsReviewModal({
     setError(null);
 
     try {
+      if (isReceipt && saveAsSplit) {
+        // Items sharing a category become one line; a receipt that lands in
+        // a single category needs no split at all
+        const lines = new Map();
+        validTransactions.forEach((txn) => {
+          const line = lines.get(txn.categoryId) || {
+            categoryId: txn.categoryId,
+            amount: 0,
+            items: [],
+          };
+          line.amount = Math.round((line.amount + getAmount(txn)) * 100) / 100;
+          if (txn.description) line.items.push(txn.description);
+          lines.set(txn.categoryId, line);
+        });
+        const splits = [...lines.values()].map((line) => ({
+          categoryId: line.categoryId,
+          amount: line.amount,
+          description: line.items.join(', '),
+        }));
+        const amount =
+          Math.round(splits.reduce((sum, line) => sum + line.amount, 0) * 100) /
+          100;
+
+        const created = await dispatch(
+          createTransaction({
+            accountId: selectedAccountId,
+            categoryId: splits[0].categoryId,
+            amount,
+            currency: selectedCurrency,
+            description:
+              merchant || (splits.length === 1 ? splits[0].description : ''),
+            type: validTransactions[0].type,
+            status: 'Cleared',
+            date: selectedDate,
+            splits: splits.length > 1 ? splits : null,
+            ruleTags: [
+              ...new Set(validTransactions.flatMap((txn) => txn.ruleTags || [])),
+            ],
+          }),
+        ).unwrap();
+        attachReceipt([created.transaction_id]);
+
+        onClose();
+        return;
+      }
+
       // Prepare transactions for batch create
       const transactionsToCreate = validTransactions.map((txn) => ({
         accountId: selectedAccountId,
@@ -334,10 +443,14 @@ function AITransactionsReviewModal({
         status: 'Cleared',
         date: selectedDate,
         entityName: (txn.entityName || '').trim() || null,
+        ruleTags: txn.ruleTags,
       }));
 
       // Use batch create
-      await dispatch(batchCreateTransactions(transactionsToCreate)).unwrap();
+      const created = await dispatch(
+        batchCreateTransactions(transactionsToCreate),
+      ).unwrap();
+      attachReceipt((created || []).map((txn) => txn.transaction_id));
 
       // Close modal on success
       onClose();
@@ -451,6 +564,24 @@ function AITransactionsReviewModal({
           />
         </Box>
 
+        {isReceipt && (
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={saveAsSplit}
+                onChange={(e) => setSaveAsSplit(e.target.checked)}
+              />
+            }
+            label={
+              <Typography variant="body2">
+                Save as one payment, split by category
+              </Typography>
+            }
+            sx={{ mb: 1, ml: 0 }}
+          />
+        )}
+
         <Divider sx={{ mb: 1 }} />
 
         {/* Transaction List */}
@@ -672,6 +803,8 @@ function AITransactionsReviewModal({
         >
           {isSubmitting
             ? 'Saving...'
+            : isReceipt && saveAsSplit
+            ? 'Save Payment'
             : `Save ${transactions.length} Transaction${
                 transactions.length !== 1 ? 's' : ''
               }`}
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import {
+  MIN_PASSWORD_LENGTH,
+  hasPasswordLogin,
+  updateEmail,
+  updatePassword,
+} from '../../lib/api/auth';
+import { setUser } from '../../store/slices/authSlice';
+
+const TITLES = { email: 'Change email', password: 'Change password' };
+
+/**
+ * Change the sign-in email or password from Settings (`mode` picks which).
+ * A new password needs the current one when the account has one; a new email
+ * only takes effect once the confirmation link sent to it is followed, so the
+ * dialog ends on a "check your inbox" note rather than closing.
+ */
+export default function AccountSecurityDialog({ open, mode, onClose }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const user = useSelector((state) => state.auth.user);
+  const [email, setEmail] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(null);
+
+  const needsCurrentPassword = hasPasswordLogin(user);
+
+  const reset = () => {
+    setEmail('');
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+    setError(null);
+    setDone(null);
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    reset();
+    onClose();
+  };
+
+  const validate = () => {
+    if (mode === 'email') {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        return 'Enter a valid email address';
+      }
+      return null;
+    }
+    if (needsCurrentPassword && !currentPassword) {
+      return 'Enter your current password';
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (newPassword !== confirmPassword) return 'Passwords do not match';
+    return null;
+  };
+
+  const handleSave = async () => {
+    const problem = validate();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      if (mode === 'email') {
+        const updated = await updateEmail(email);
+        dispatch(setUser(updated));
+        setDone(
+          `We've sent a confirmation link to ${email.trim()}. Your email changes once you follow it.`
+        );
+      } else {
+        const updated = await updatePassword(newPassword, {
+          currentPassword: needsCurrentPassword ? currentPassword : undefined,
+        });
+        dispatch(setUser(updated));
+        setDone('Your password has been changed.');
+      }
+    } catch (err) {
+      setError(err?.message || 'Could not save. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="xs"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>{TITLES[mode]}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {done ? (
+          <Alert severity="success">{done}</Alert>
+        ) : mode === 'email' ? (
+          <>
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              sx={{ mb: 2, fontSize: '0.8125rem' }}
+            >
+              Signed in as {user?.email}
+              {user?.new_email ? ` · waiting to confirm ${user.new_email}` : ''}
+            </Typography>
+            <TextField
+              fullWidth
+              autoFocus
+              type="email"
+              label="New email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={busy}
+            />
+          </>
+        ) : (
+          <>
+            {needsCurrentPassword ? (
+              <TextField
+                fullWidth
+                autoFocus
+                type="password"
+                label="Current password"
+                autoComplete="current-password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                disabled={busy}
+                sx={{ mb: 2 }}
+              />
+            ) : (
+              <Typography
+                variant="body2"
+                color="text.secondary"
+                sx={{ mb: 2, fontSize: '0.8125rem' }}
+              >
+                You sign in with Google or GitHub. Setting a password lets you
+                sign in with your email too.
+              </Typography>
+            )}
+            <TextField
+              fullWidth
+              autoFocus={!needsCurrentPassword}
+              type="password"
+              label="New password"
+              autoComplete="new-password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              disabled={busy}
+              helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              fullWidth
+              type="password"
+              label="Confirm new password"
+              autoComplete="new-password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={busy}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {done ? (
+          <Button variant="contained" onClick={handleClose}>
+            Done
+          </Button>
+        ) : (
+          <>
+            <Button onClick={handleClose} disabled={busy}>
+              Cancel
+            </Button>
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={busy}
+              startIcon={
+                busy ? <CircularProgress size={20} color="inherit" /> : null
+              }
+            >
+              {busy ? 'Saving…' : 'Save'}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
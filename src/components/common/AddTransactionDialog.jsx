@@ -5,11 +5,16 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { Alert, Box, Button, CircularProgress } from '@mui/material';
 import { format } from 'date-fns';
 import { createTransaction } from '../../store/slices/transactionsSlice';
+import { setTransactionTags } from '../../store/slices/tagsSlice';
 import { transactionSchema } from '../../schemas/transactionSchema';
 import AppDialog from './AppDialog';
 import TransactionFormFields from './TransactionFormFields';
 import { useAutoDismissError } from '../../hooks/useAutoDismissError';
-import { selectBorrowingLendingCategoryIds } from '../../store/selectors';
+import {
+  selectBorrowingLendingCategoryIds,
+  selectCategorizationRules,
+} from '../../store/selectors';
+import { applyRules } from '../../utils/categorizationRules';
 import {
   ENTITY_NAME_REQUIRED_MESSAGE,
   isEntityNameRequired,
@@ -28,6 +33,7 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
   const borrowingLendingCategoryIds = useSelector(
     selectBorrowingLendingCategoryIds
   );
+  const rules = useSelector(selectCategorizationRules);
 
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [actionError, setActionError] = useState(null);
@@ -39,6 +45,7 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
   const categoryInputRef = useRef(null); // Ref for Category field focus chaining
   const hasInitializedRef = useRef(false); // Guard to prevent form reset during background refresh
   const isSubmittingRef = useRef(false); // Synchronous guard to prevent double submissions
+  const ruleFillRef = useRef({ categoryId: '', tags: [] }); // What the rules filled in, so it can be taken back
 
   // Get default account from settings
   const getDefaultAccountId = () => {
@@ -70,6 +77,8 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
       currency: '',
       description: '',
       entityName: '',
+      splits: [],
+      tags: [],
       type: 'Expense',
       status: 'Cleared',
       // Date-only format for HTML date input; API will add current time when saving
@@ -80,6 +89,9 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
   const watchedAccountId = watch('accountId');
   const watchedCategoryId = watch('categoryId');
   const watchedType = watch('type');
+  const watchedDescription = watch('description');
+  const watchedAmount = watch('amount');
+  const watchedEntityName = watch('entityName');
 
   // Reset form when dialog opens (only once per dialog session to prevent background refresh from resetting form data)
   useEffect(() => {
@@ -110,6 +122,8 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
         currency: '',
         description: '',
         entityName: '',
+        splits: [],
+        tags: [],
         type: prefilledType,
         status: 'Cleared',
         // Date-only format for HTML date input; API will add current time when saving
@@ -124,6 +138,7 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
         }
       }
       
+      ruleFillRef.current = { categoryId: '', tags: [] };
       setActionError(null);
       setIsSubmitting(false);
     }
@@ -144,6 +159,53 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
     }
   }, [watchedAccountId, accounts, setValue]);
 
+  // Categorisation rules fill the category (when none is chosen) and add their
+  // tags as the details are typed. What they filled follows later edits;
+  // anything the user picked stays.
+  useEffect(() => {
+    if (!open) return;
+    const result = applyRules(rules, {
+      description: watchedDescription,
+      // An empty amount mustn't pass as 0 against an amount limit
+      amount: watchedAmount === '' ? NaN : watchedAmount,
+      accountId: watchedAccountId,
+      entityName: watchedEntityName,
+      type: watchedType,
+    });
+    const filled = ruleFillRef.current;
+
+    const categoryId = watch('categoryId');
+    const splits = watch('splits');
+    if (!splits?.length && (!categoryId || categoryId === filled.categoryId)) {
+      const next = result.categoryId || '';
+      if (next !== categoryId) setValue('categoryId', next);
+      filled.categoryId = next;
+    }
+
+    const tags = watch('tags') || [];
+    const kept = tags.filter(
+      (name) => !filled.tags.includes(name) || result.tags.includes(name)
+    );
+    const added = result.tags.filter((name) => !kept.includes(name));
+    if (added.length || kept.length !== tags.length) {
+      setValue('tags', [...kept, ...added]);
+    }
+    filled.tags = [
+      ...filled.tags.filter((name) => result.tags.includes(name)),
+      ...added,
+    ];
+  }, [
+    open,
+    rules,
+    watchedDescription,
+    watchedAmount,
+    watchedAccountId,
+    watchedEntityName,
+    watchedType,
+    watch,
+    setValue,
+  ]);
+
   // Ensure Category field is auto-focused when dialog opens
   // (especially for quick-add flows launched via PWA shortcut)
   useEffect(() => {
@@ -196,7 +258,18 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
     setIsSubmitting(true);
     setActionError(null);
     try {
-      await dispatch(createTransaction(data)).unwrap();
+      const { tags, ...transactionData } = data;
+      const created = await dispatch(createTransaction(transactionData)).unwrap();
+      // Not unwrapped: the transaction is saved either way, and a failed
+      // tag save gets its own error toast rather than inviting a resubmit
+      if (tags?.length) {
+        dispatch(
+          setTransactionTags({
+            transactionId: created.transaction_id,
+            names: tags,
+          })
+        );
+      }
       handleClose();
     } catch (err) {
       console.error('Error saving transaction:', err);
@@ -277,6 +350,8 @@ function AddTransactionDialog({ open, onClose, initialValues = null }) {
             categoryInputRef={categoryInputRef}
             autoFocusAccount={open && !getDefaultAccountId()}
             autoFocusCategory={open}
+            allowSplit
+            allowTags
           />
     </AppDialog>
   );
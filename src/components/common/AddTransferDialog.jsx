@@ -22,13 +22,18 @@ import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import { format } from 'date-fns';
 import { currencyLabel } from '../../utils/currencyConversion';
 import { createTransfer } from '../../store/slices/transfersSlice';
+import { setTransactionTags } from '../../store/slices/tagsSlice';
 import { transferSchema } from '../../schemas/transferSchema';
 import { TRANSACTION_STATUSES } from '../../lib/api/transactions';
 import CategoryAutocomplete from './CategoryAutocomplete';
 import AccountAutocomplete from './AccountAutocomplete';
 import AppDialog from './AppDialog';
 import { flattenCategoryTree } from '../../utils/categoryHierarchy';
-import { selectAccountMap } from '../../store/selectors';
+import {
+  selectAccountMap,
+  selectSavingsGoals,
+  selectTagMap,
+} from '../../store/selectors';
 
 /**
  * Global Add Transfer Dialog component.
@@ -40,6 +45,14 @@ function AddTransferDialog({ open, onClose }) {
   const { accounts } = useSelector((state) => state.accounts);
   const { categories } = useSelector((state) => state.categories);
   const accountMap = useSelector(selectAccountMap);
+  const savingsGoals = useSelector(selectSavingsGoals);
+  const tagMap = useSelector(selectTagMap);
+  // Goals that count tagged transfers; picking one tags both legs
+  const transferGoals = savingsGoals.filter(
+    (goal) =>
+      goal.status === 'Active' && goal.tracking === 'transfers' && tagMap.has(goal.tag_id)
+  );
+  const [goalId, setGoalId] = useState('');
   
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [actionError, setActionError] = useState(null);
@@ -70,6 +83,9 @@ function AddTransferDialog({ open, onClose }) {
       ratePlatform: '',
       status: 'Cleared',
       date: format(new Date(), 'yyyy-MM-dd'),
+      feeAmount: '',
+      feeSide: 'from',
+      feeCategoryId: '',
     },
   });
 
@@ -78,6 +94,8 @@ function AddTransferDialog({ open, onClose }) {
   const watchedStatus = watch('status');
   const watchedFromAmount = watch('fromAmount');
   const watchedToAmount = watch('toAmount');
+  const watchedFeeAmount = watch('feeAmount');
+  const watchedFeeSide = watch('feeSide');
   // Date + Status live behind "More options" (both default sensibly)
   const [showMore, setShowMore] = useState(false);
 
@@ -96,19 +114,31 @@ function AddTransferDialog({ open, onClose }) {
     return account?.currency || '';
   };
 
+  const feeAmount = parseFloat(watchedFeeAmount) > 0 ? parseFloat(watchedFeeAmount) : 0;
+
   // For a cross-currency transfer, the implied rate from the two amounts — a
-  // quick sanity check while typing. Null until both amounts are entered.
+  // quick sanity check while typing — and, with a fee, the rate after it.
+  // Null until both amounts are entered.
   const exchangeRateHint = () => {
     const from = parseFloat(watchedFromAmount);
     const to = parseFloat(watchedToAmount);
     if (!(from > 0) || !(to > 0)) return null;
-    const rate = to / from;
-    return `1 ${currencyLabel(getAccountCurrency(watchedFromAccountId))} ≈ ${rate.toLocaleString(
-      'en-US',
-      { minimumFractionDigits: 2, maximumFractionDigits: 4 }
+    const formatRate = (rate) =>
+      rate.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+    const hint = `1 ${currencyLabel(getAccountCurrency(watchedFromAccountId))} ≈ ${formatRate(
+      to / from
     )} ${currencyLabel(getAccountCurrency(watchedToAccountId))}`;
+    if (!feeAmount) return hint;
+    const effective =
+      (to - (watchedFeeSide === 'to' ? feeAmount : 0)) /
+      (from + (watchedFeeSide === 'from' ? feeAmount : 0));
+    return effective > 0 ? `${hint}, ${formatRate(effective)} after the fee` : hint;
   };
 
+  const feeCurrency = getAccountCurrency(
+    !isSameCurrency() && watchedFeeSide === 'to' ? watchedToAccountId : watchedFromAccountId
+  );
+
   // Reset form when dialog opens (only once per dialog session to prevent background refresh from resetting form data)
   useEffect(() => {
     if (open && !hasInitializedRef.current) {
@@ -124,10 +154,14 @@ function AddTransferDialog({ open, onClose }) {
         ratePlatform: '',
         status: 'Cleared',
         date: format(new Date(), 'yyyy-MM-dd'),
+        feeAmount: '',
+        feeSide: 'from',
+        feeCategoryId: '',
       });
       
       setActionError(null);
       setIsSubmitting(false);
+      setGoalId('');
     }
     
     // Reset the initialization flag when dialog closes
@@ -223,7 +257,30 @@ function AddTransferDialog({ open, onClose }) {
         transferData.toAmount = parseFloat(cleanedData.toAmount);
       }
 
-      await dispatch(createTransfer(transferData)).unwrap();
+      // A same-currency fee is always taken from the source account
+      if (cleanedData.feeAmount > 0) {
+        transferData.fee = {
+          amount: parseFloat(cleanedData.feeAmount),
+          side: sameCurrency ? 'from' : cleanedData.feeSide || 'from',
+          categoryId: cleanedData.feeCategoryId,
+        };
+      }
+
+      const result = await dispatch(createTransfer(transferData)).unwrap();
+
+      // The transfer is saved either way; a failed tag is reported by the
+      // notifications middleware and can be added from the transaction
+      const goal = transferGoals.find((g) => g.goal_id === goalId);
+      if (goal) {
+        const names = [tagMap.get(goal.tag_id).name];
+        await Promise.allSettled(
+          [result.transferOut, result.transferIn].map((txn) =>
+            dispatch(
+              setTransactionTags({ transactionId: txn.transaction_id, names })
+            ).unwrap()
+          )
+        );
+      }
       handleClose();
     } catch (err) {
       console.error('Error saving transfer:', err);
@@ -442,6 +499,69 @@ function AddTransferDialog({ open, onClose }) {
                 </Grid>
               </>
             )}
+            {/* Bank fee or FX spread, saved as an expense under the same
+                transfer so it's deleted with it */}
+            <Grid item xs={isSameCurrency() ? 12 : 6}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Fee (Optional)"
+                {...register('feeAmount', {
+                  setValueAs: (v) =>
+                    v === '' || v === null ? undefined : Number(v),
+                })}
+                error={!!errors.feeAmount}
+                helperText={errors.feeAmount?.message}
+                inputProps={{ step: '0.01', min: '0' }}
+                InputProps={
+                  feeCurrency
+                    ? {
+                        startAdornment: (
+                          <InputAdornment position="start">
+                            {currencyLabel(feeCurrency)}
+                          </InputAdornment>
+                        ),
+                      }
+                    : undefined
+                }
+              />
+            </Grid>
+            {!isSameCurrency() && (
+              <Grid item xs={6}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Fee charged in"
+                  value={watchedFeeSide || 'from'}
+                  onChange={(e) => setValue('feeSide', e.target.value)}
+                >
+                  <MenuItem value="from">
+                    {currencyLabel(getAccountCurrency(watchedFromAccountId)) || 'From'} (sent)
+                  </MenuItem>
+                  <MenuItem value="to">
+                    {currencyLabel(getAccountCurrency(watchedToAccountId)) || 'To'} (received)
+                  </MenuItem>
+                </TextField>
+              </Grid>
+            )}
+            {feeAmount > 0 && (
+              <Grid item xs={12}>
+                <CategoryAutocomplete
+                  categories={flattenCategoryTree(categories)}
+                  filterByType="Expense"
+                  leafOnly
+                  value={watch('feeCategoryId') || ''}
+                  onChange={(id) =>
+                    setValue('feeCategoryId', id || null, {
+                      shouldValidate: !!errors.feeCategoryId,
+                    })
+                  }
+                  label="Fee category *"
+                  error={!!errors.feeCategoryId}
+                  helperText={errors.feeCategoryId?.message}
+                />
+              </Grid>
+            )}
             <Grid item xs={12}>
               <CategoryAutocomplete
                 categories={flattenCategoryTree(categories)}
@@ -462,6 +582,26 @@ function AddTransferDialog({ open, onClose }) {
                 rows={2}
               />
             </Grid>
+            {transferGoals.length > 0 && (
+              <Grid item xs={12}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Toward goal (Optional)"
+                  value={goalId}
+                  onChange={(e) => setGoalId(e.target.value)}
+                >
+                  <MenuItem value="">
+                    <em>None</em>
+                  </MenuItem>
+                  {transferGoals.map((goal) => (
+                    <MenuItem key={goal.goal_id} value={goal.goal_id}>
+                      {goal.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
             <Grid item xs={12}>
               {/* Date + Status default sensibly, so they sit behind
                   "More options" until needed. */}
@@ -0,0 +1,36 @@
+import { useSelector } from 'react-redux';
+import { Tooltip } from '@mui/material';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import { selectAttachmentsByTransaction } from '../../store/selectors';
+
+/**
+ * The paperclip on a row with a receipt or other file attached. Renders
+ * nothing when there is none; the files themselves open from the edit dialog.
+ *
+ * @param {string} transactionId
+ * @param {object} [sx]
+ */
+export default function AttachmentBadge({ transactionId, sx }) {
+  const count = useSelector(
+    (state) => selectAttachmentsByTransaction(state).get(transactionId)?.length || 0
+  );
+  if (!count) return null;
+
+  const label = count === 1 ? '1 attachment' : `${count} attachments`;
+  return (
+    <Tooltip title={label}>
+      <AttachFileIcon
+        aria-label={label}
+        sx={[
+          {
+            fontSize: 14,
+            flexShrink: 0,
+            alignSelf: 'center',
+            color: 'text.secondary',
+          },
+          ...(Array.isArray(sx) ? sx : [sx]),
+        ]}
+      />
+    </Tooltip>
+  );
+}
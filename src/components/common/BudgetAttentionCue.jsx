@@ -13,6 +13,7 @@ import {
   addDismissal,
   removeDismissal,
   statusSeverity,
+  dismissalKey,
 } from '../../utils/budgetDismissals';
 import SwipeAction from './SwipeAction';
 import BudgetStatusInline, {
@@ -75,7 +76,7 @@ const paletteColor = (theme, path) =>
  * a row (or use the hover icon on desktop) to silence it until next month; the
  * footer keeps count and hands them back. Silencing is per category per month and
  * remembers the severity, so a near-budget alert you waved away still returns if
- * it later goes over.
+ * it later goes over. A weekly budget's alert is silenced for its week.
  */
 function BudgetAttentionCue() {
   const navigate = useNavigate();
@@ -117,10 +118,10 @@ function BudgetAttentionCue() {
     );
   const dismiss = (item) =>
     persist(
-      addDismissal(dismissals, monthKey, item.categoryId, statusSeverity(item))
+      addDismissal(dismissals, monthKey, dismissalKey(item), statusSeverity(item))
     );
   const restore = (item) =>
-    persist(removeDismissal(dismissals, monthKey, item.categoryId));
+    persist(removeDismissal(dismissals, monthKey, dismissalKey(item)));
 
   // Label and count both centre inside HEADER_BAND, so the two sit on one
   // optical line by construction rather than by a nudge measured against one
@@ -171,6 +172,16 @@ function BudgetAttentionCue() {
     </Box>
   );
 
+  // A budget that isn't monthly says which period it's measured over, or a
+  // weekly limit's "over" reads as the month's.
+  const periodNote = (item) =>
+    item.period && item.period !== 'monthly' ? (
+      <Box component="span" sx={{ color: 'text.secondary', fontWeight: 400 }}>
+        {' '}
+        · {item.periodLabel}
+      </Box>
+    ) : null;
+
   // Name left, badge right — the rhythm the transaction rows below already use.
   const itemRow = (item) => (
     <SwipeAction
@@ -203,6 +214,7 @@ function BudgetAttentionCue() {
           }}
         >
           {item.name}
+          {periodNote(item)}
         </Typography>
         <BudgetStatusInline
           status={item}
@@ -214,7 +226,9 @@ function BudgetAttentionCue() {
         <IconButton
           size="small"
           className="cue-mute-btn"
-          aria-label={`Hide ${item.name} until next month`}
+          aria-label={`Hide ${item.name} until next ${
+            item.period === 'weekly' ? 'week' : 'month'
+          }`}
           onClick={(e) => {
             e.stopPropagation();
             dismiss(item);
@@ -315,6 +329,7 @@ function BudgetAttentionCue() {
                     sx={{ fontSize: '0.8125rem', fontWeight: 500, minWidth: 0 }}
                   >
                     {item.name}
+                    {periodNote(item)}
                   </Typography>
                   <Box
                     sx={{
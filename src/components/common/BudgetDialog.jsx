@@ -36,6 +36,14 @@ import { BUDGET_STATUSES } from '../../lib/api/budgets';
 import CategoryAutocomplete from './CategoryAutocomplete';
 import ConfirmDeleteDialog from './ConfirmDeleteDialog';
 import { selectCategoryNameGetter } from '../../store/selectors';
+import {
+  BUDGET_PERIODS,
+  BUDGET_PERIOD_LABELS,
+  BUDGET_PERIOD_UNITS,
+  WEEKDAYS,
+  DEFAULT_WEEK_START,
+  budgetPeriod,
+} from '../../utils/budgetPeriods';
 
 // Month string helpers ('YYYY-MM-DD' or 'YYYY-MM' -> 'YYYY-MM')
 const toMonthInput = (value) =>
@@ -94,16 +102,32 @@ function BudgetDialog({
       amount: '',
       month: format(new Date(), 'yyyy-MM'),
       recurring: false,
+      rollover: false,
       startMonth: format(new Date(), 'yyyy-MM'),
       endMonth: '',
       notes: '',
       status: 'Active',
+      period: 'monthly',
+      weekStart: DEFAULT_WEEK_START,
+      periodStart: '',
+      periodEnd: '',
     },
   });
 
   const watchedRecurring = watch('recurring');
+  const watchedRollover = watch('rollover');
+  const watchedPeriod = watch('period');
+  const watchedWeekStart = watch('weekStart');
   const watchedStatus = watch('status');
   const watchedCategoryId = watch('categoryId');
+  // Rollover carries leftover spending money forward; an income target has
+  // nothing to carry
+  const isExpenseCategory =
+    categories.find((c) => c.category_id === watchedCategoryId)?.type !==
+    'Income';
+  // A carry runs month to month, so only a recurring monthly budget rolls over
+  const canRollOver =
+    watchedRecurring && watchedPeriod === 'monthly' && isExpenseCategory;
 
   // Populate the form each time the dialog opens
   useEffect(() => {
@@ -118,12 +142,17 @@ function BudgetDialog({
           ? toMonthInput(editingBudget.month)
           : format(new Date(), 'yyyy-MM'),
         recurring: editingBudget.recurring,
+        rollover: !!editingBudget.rollover,
         startMonth: editingBudget.start_month
           ? toMonthInput(editingBudget.start_month)
           : format(new Date(), 'yyyy-MM'),
         endMonth: toMonthInput(editingBudget.end_month),
         notes: editingBudget.notes || '',
         status: editingBudget.status,
+        period: budgetPeriod(editingBudget),
+        weekStart: editingBudget.week_start ?? DEFAULT_WEEK_START,
+        periodStart: editingBudget.period_start || '',
+        periodEnd: editingBudget.period_end || '',
       });
     } else {
       reset({
@@ -132,10 +161,15 @@ function BudgetDialog({
         amount: '',
         month: referenceMonth,
         recurring: false,
+        rollover: false,
         startMonth: referenceMonth,
         endMonth: '',
         notes: '',
         status: 'Active',
+        period: 'monthly',
+        weekStart: DEFAULT_WEEK_START,
+        periodStart: '',
+        periodEnd: '',
       });
     }
     setActionError(null);
@@ -182,16 +216,37 @@ function BudgetDialog({
         notes: data.notes && data.notes.trim() !== '' ? data.notes : '',
       };
 
+      const period = cleanedData.period || 'monthly';
+      // Weekly budgets always recur; a custom range never does
+      const recurring =
+        period === 'weekly'
+          ? true
+          : period === 'custom'
+          ? false
+          : cleanedData.recurring;
       const budgetData = {
         categoryId: cleanedData.categoryId,
         currency: cleanedData.currency.toUpperCase(),
         amount: parseFloat(cleanedData.amount),
-        recurring: cleanedData.recurring,
+        recurring,
+        rollover:
+          recurring &&
+          period === 'monthly' &&
+          isExpenseCategory &&
+          cleanedData.rollover,
         notes: cleanedData.notes,
         status: cleanedData.status,
+        period,
       };
+      if (period === 'weekly') {
+        budgetData.weekStart = cleanedData.weekStart ?? DEFAULT_WEEK_START;
+      }
 
-      if (cleanedData.recurring) {
+      if (period === 'custom') {
+        budgetData.periodStart = cleanedData.periodStart;
+        budgetData.periodEnd = cleanedData.periodEnd;
+        budgetData.month = cleanedData.periodStart.slice(0, 7);
+      } else if (recurring) {
         budgetData.startMonth = cleanedData.startMonth;
         budgetData.endMonth = cleanedData.endMonth || null; // Allow null for non-ending budgets
       } else {
@@ -208,7 +263,7 @@ function BudgetDialog({
         // Check if we need to split a recurring budget for a future month
         if (
           editingBudget.recurring &&
-          cleanedData.recurring &&
+          recurring &&
           editingBudget.start_month &&
           cleanedData.startMonth
         ) {
@@ -235,6 +290,7 @@ function BudgetDialog({
                   currency: editingBudget.currency,
                   amount: parseFloat(editingBudget.amount), // Keep original amount
                   recurring: true,
+                  rollover: !!editingBudget.rollover,
                   notes: editingBudget.notes || '', // Keep original notes
                   status: editingBudget.status, // Keep original status
                   startMonth: toMonthInput(editingBudget.start_month) || null,
@@ -382,24 +438,119 @@ function BudgetDialog({
                 <TextField
                   fullWidth
                   type="number"
-                  label="Amount *"
+                  label={
+                    watchedPeriod === 'custom'
+                      ? 'Amount *'
+                      : `Amount per ${BUDGET_PERIOD_UNITS[watchedPeriod] || 'month'} *`
+                  }
                   {...register('amount', { valueAsNumber: true })}
                   error={!!errors.amount}
                   helperText={errors.amount?.message}
                   inputProps={{ step: '0.01', min: '0.01' }}
                 />
               </Grid>
-              <Grid item xs={12}>
-                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                  <Switch
-                    {...register('recurring')}
-                    checked={watchedRecurring}
-                    onChange={(e) => setValue('recurring', e.target.checked)}
-                  />
-                  <Typography>Recurring Budget</Typography>
-                </Box>
+              <Grid item xs={12} sm={watchedPeriod === 'weekly' ? 6 : 12}>
+                <FormControl fullWidth>
+                  <InputLabel>Period</InputLabel>
+                  <Select
+                    {...register('period')}
+                    label="Period"
+                    value={watchedPeriod || 'monthly'}
+                    onChange={(e) => {
+                      const next = e.target.value;
+                      setValue('period', next);
+                      // Weekly budgets always recur; a custom range never does
+                      if (next === 'weekly') setValue('recurring', true);
+                      if (next === 'custom') setValue('recurring', false);
+                      if (next !== 'monthly') setValue('rollover', false);
+                    }}
+                  >
+                    {BUDGET_PERIODS.map((period) => (
+                      <MenuItem key={period} value={period}>
+                        {BUDGET_PERIOD_LABELS[period]}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
               </Grid>
-              {watchedRecurring ? (
+              {watchedPeriod === 'weekly' && (
+                <Grid item xs={12} sm={6}>
+                  <FormControl fullWidth>
+                    <InputLabel>Week Starts On</InputLabel>
+                    <Select
+                      {...register('weekStart')}
+                      label="Week Starts On"
+                      value={watchedWeekStart ?? DEFAULT_WEEK_START}
+                      onChange={(e) =>
+                        setValue('weekStart', Number(e.target.value))
+                      }
+                    >
+                      {WEEKDAYS.map((day, index) => (
+                        <MenuItem key={day} value={index}>
+                          {day}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              )}
+              {(watchedPeriod === 'monthly' ||
+                watchedPeriod === 'quarterly' ||
+                watchedPeriod === 'yearly') && (
+                <Grid item xs={12}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Switch
+                      {...register('recurring')}
+                      checked={watchedRecurring}
+                      onChange={(e) => setValue('recurring', e.target.checked)}
+                    />
+                    <Typography>Recurring Budget</Typography>
+                  </Box>
+                </Grid>
+              )}
+              {canRollOver && (
+                <Grid item xs={12}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Switch
+                      {...register('rollover')}
+                      checked={!!watchedRollover}
+                      onChange={(e) => setValue('rollover', e.target.checked)}
+                    />
+                    <Box>
+                      <Typography>Roll Over</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        Carry what is left (or overspent) into next month
+                      </Typography>
+                    </Box>
+                  </Box>
+                </Grid>
+              )}
+              {watchedPeriod === 'custom' ? (
+                <>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      type="date"
+                      label="From *"
+                      {...register('periodStart')}
+                      error={!!errors.periodStart}
+                      helperText={errors.periodStart?.message}
+                      InputLabelProps={{ shrink: true }}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      type="date"
+                      label="To *"
+                      {...register('periodEnd')}
+                      error={!!errors.periodEnd}
+                      helperText={errors.periodEnd?.message}
+                      InputLabelProps={{ shrink: true }}
+                    />
+                  </Grid>
+                </>
+              ) : watchedRecurring ? (
                 <>
                   <Grid item xs={12} sm={6}>
                     <TextField
@@ -440,7 +591,14 @@ function BudgetDialog({
                       required: 'Month is required for one-time budgets',
                     })}
                     error={!!errors.month}
-                    helperText={errors.month?.message}
+                    helperText={
+                      errors.month?.message ||
+                      (watchedPeriod === 'quarterly'
+                        ? 'Any month of the quarter'
+                        : watchedPeriod === 'yearly'
+                        ? 'Any month of the year'
+                        : undefined)
+                    }
                     InputLabelProps={{ shrink: true }}
                   />
                 </Grid>
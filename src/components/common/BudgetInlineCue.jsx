@@ -10,6 +10,8 @@ import {
 import {
   computeCategoryBudgetStatus,
   buildMonthlySpendIndex,
+  buildSpendIndexByMonth,
+  needsSpendIndexByMonth,
   currentMonthKey,
   NEAR_BUDGET_THRESHOLD,
 } from '../../utils/budgetStatus';
@@ -19,12 +21,13 @@ import {
   BUDGET_HEALTHY_COLOR,
 } from './BudgetStatusInline';
 import { selectBaseCurrency } from '../../store/selectors';
+import { BUDGET_PERIOD_PHRASES } from '../../utils/budgetPeriods';
 
 /**
  * The "enforce it in the moment" cue: while adding/editing an expense, shows how
- * much budget the chosen category has left this month, and turns red when the
+ * much budget the chosen category has left this period, and turns red when the
  * amount being entered would push it over. Renders nothing unless the category
- * is an expense with a budget this month. Amount is projected on top of what's
+ * is an expense with a budget for today. Amount is projected on top of what's
  * already spent (excluding the row being edited, if any).
  *
  * @param {string} categoryId
@@ -57,9 +60,14 @@ function BudgetInlineCue({
     return {
       monthKey,
       spendIndex: buildMonthlySpendIndex(allTransactions, monthKey),
+      // Earlier months too, for a budget that rolls over or runs by the
+      // week, quarter or year
+      spendIndexByMonth: needsSpendIndexByMonth(budgets)
+        ? buildSpendIndexByMonth(allTransactions)
+        : undefined,
       rateLookup: buildExchangeRateLookup(exchangeRates),
     };
-  }, [allTransactions, exchangeRates]);
+  }, [allTransactions, exchangeRates, budgets]);
 
   const status = useMemo(() => {
     if (type !== 'Expense') return null;
@@ -100,22 +108,25 @@ function BudgetInlineCue({
     addition = converted !== null ? converted : entered;
   }
   const projected = status.spent + addition;
-  const remaining = status.budgetAmount - projected;
-  const over = projected > status.budgetAmount;
-  const near =
-    !over && projected >= status.budgetAmount * NEAR_BUDGET_THRESHOLD;
+  // What the month can spend, counting anything rolled over into it
+  const limit = status.budgetAmount + status.carryIn;
+  const remaining = limit - projected;
+  const over = projected > limit;
+  const near = !over && projected >= limit * NEAR_BUDGET_THRESHOLD;
 
   const color = over
     ? BUDGET_OVER_COLOR
     : near
     ? BUDGET_NEAR_COLOR
     : BUDGET_HEALTHY_COLOR;
+  // The period the budget runs over: the week, month, quarter, year or range
+  const when = BUDGET_PERIOD_PHRASES[status.period] || 'this month';
   const message = over
     ? `Over budget by ${formatCurrency(
-        projected - status.budgetAmount,
+        projected - limit,
         status.currency
-      )} this month`
-    : `${formatCurrency(remaining, status.currency)} left in budget this month`;
+      )} ${when}`
+    : `${formatCurrency(remaining, status.currency)} left in budget ${when}`;
 
   return (
     <Box
@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { Box, Collapse, Typography } from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { format, parseISO } from 'date-fns';
+import { formatCurrency } from '../../utils/currencyConversion';
+
+const monthLabel = (key) => format(parseISO(`${key}-01`), 'MMM yyyy');
+
+const signed = (amount, currency) =>
+  `${amount < 0 ? '−' : '+'}${formatCurrency(Math.abs(amount), currency)}`;
+
+/**
+ * Budgets that roll over into the report month: what each carried in, what
+ * that leaves available, and — opened — the month-by-month trail the carry
+ * came from.
+ *
+ * @param {Array} rows - budget statuses (budgetStatus.js) with a carryHistory
+ * @param {string} month - 'YYYY-MM' the carry reaches
+ */
+export default function BudgetRolloverSection({ rows, month }) {
+  const [openId, setOpenId] = useState(null);
+  if (rows.length === 0) return null;
+
+  return (
+    <Box sx={{ mb: { xs: 3, sm: 3 } }}>
+      <Typography
+        variant="h6"
+        sx={{
+          mb: { xs: 1.5, sm: 2 },
+          fontWeight: 'bold',
+          fontSize: { xs: '1rem', sm: '1.125rem' },
+        }}
+      >
+        Budget Rollover · {monthLabel(month)}
+      </Typography>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.25 }}>
+        {rows.map((row) => {
+          const open = openId === row.categoryId;
+          return (
+            <Box key={row.categoryId} sx={{ px: { xs: 1.25, sm: 0 } }}>
+              <Box
+                onClick={() => setOpenId(open ? null : row.categoryId)}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'baseline',
+                  justifyContent: 'space-between',
+                  gap: 1,
+                  cursor: 'pointer',
+                }}
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center', minWidth: 0 }}>
+                  <ExpandMoreIcon
+                    sx={{
+                      fontSize: 18,
+                      color: 'text.secondary',
+                      flexShrink: 0,
+                      transform: open ? 'none' : 'rotate(-90deg)',
+                      transition: 'transform 0.15s ease-in-out',
+                    }}
+                  />
+                  <Typography variant="body2" sx={{ fontWeight: 500 }} noWrap>
+                    {row.name}
+                  </Typography>
+                </Box>
+                <Typography
+                  variant="body2"
+                  sx={{
+                    fontWeight: 600,
+                    flexShrink: 0,
+                    color: row.carryIn < 0 ? 'error.main' : 'text.primary',
+                  }}
+                >
+                  {signed(row.carryIn, row.currency)}
+                </Typography>
+              </Box>
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ display: 'block', pl: 2.25 }}
+              >
+                {formatCurrency(row.budgetAmount, row.currency)} budget{' '}
+                {signed(row.carryIn, row.currency)} carried −{' '}
+                {formatCurrency(row.spent, row.currency)} spent ={' '}
+                <Box
+                  component="span"
+                  sx={{
+                    fontWeight: 600,
+                    color: row.available < 0 ? 'error.main' : 'inherit',
+                  }}
+                >
+                  {formatCurrency(row.available, row.currency)} available
+                </Box>
+              </Typography>
+              <Collapse in={open} unmountOnExit>
+                <Box sx={{ pl: 2.25, mt: 0.5 }}>
+                  {row.carryHistory
+                    .slice()
+                    .reverse()
+                    .map((entry) => (
+                      <Box
+                        key={entry.month}
+                        sx={{
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          gap: 1,
+                        }}
+                      >
+                        <Typography variant="caption" color="text.secondary">
+                          {monthLabel(entry.month)} · spent{' '}
+                          {formatCurrency(entry.spent, row.currency)} of{' '}
+                          {formatCurrency(
+                            entry.budget + entry.carryIn,
+                            row.currency
+                          )}
+                        </Typography>
+                        <Typography
+                          variant="caption"
+                          sx={{
+                            fontWeight: 500,
+                            color:
+                              entry.available < 0
+                                ? 'error.main'
+                                : 'text.secondary',
+                          }}
+                        >
+                          {signed(entry.available, row.currency)}
+                        </Typography>
+                      </Box>
+                    ))}
+                </Box>
+              </Collapse>
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+}
@@ -25,7 +25,7 @@ export default function BudgetStatusInline({ status, variant = 'row', sx }) {
     ? BUDGET_NEAR_COLOR
     : BUDGET_HEALTHY_COLOR;
   const detail = status.over
-    ? `over ${formatCurrency(status.spent - status.budgetAmount, status.currency)}`
+    ? `over ${formatCurrency(-status.remaining, status.currency)}`
     : `${formatCurrency(status.remaining, status.currency)} left`;
   return (
     <Typography
@@ -1,9 +1,10 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Alert,
   Box,
   Button,
+  Chip,
   CircularProgress,
   Dialog,
   DialogActions,
@@ -19,9 +20,16 @@ import {
   useTheme,
 } from '@mui/material';
 import { bulkUpdateTransactions } from '../../store/slices/transactionsSlice';
+import { updateTransactionsTags } from '../../store/slices/tagsSlice';
+import {
+  selectTagIdsByTransaction,
+  selectTagMap,
+} from '../../store/selectors';
 import { TRANSACTION_STATUSES } from '../../lib/api/transactions';
 import { flattenCategoryTree } from '../../utils/categoryHierarchy';
+import { changesReconciledBalance } from '../../utils/reconciliation';
 import CategoryAutocomplete from './CategoryAutocomplete';
+import TagInput from './TagInput';
 
 // Non-transfer transactions can only be Income or Expense (transfers are
 // excluded from bulk edit by the caller)
@@ -30,7 +38,8 @@ const BULK_TYPES = ['Income', 'Expense'];
 /**
  * Apply the same field changes to many transactions at once — any field an
  * update supports (account, category, type, amount, date, description, status)
- * can be set, and only the fields the user fills are applied. Transfers can't
+ * can be set, and only the fields the user fills are applied. Tags can be added
+ * to and removed from every selected row as well. Transfers can't
  * be bulk-edited and are skipped by the caller (transferCount is shown).
  *
  * @param {boolean} open
@@ -50,6 +59,9 @@ function BulkEditTransactionsDialog({
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const { categories } = useSelector((state) => state.categories);
   const { accounts } = useSelector((state) => state.accounts);
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const tagIdsByTransaction = useSelector(selectTagIdsByTransaction);
+  const tagMap = useSelector(selectTagMap);
 
   const [accountId, setAccountId] = useState('');
   const [categoryId, setCategoryId] = useState('');
@@ -58,8 +70,12 @@ function BulkEditTransactionsDialog({
   const [date, setDate] = useState('');
   const [description, setDescription] = useState('');
   const [status, setStatus] = useState('');
+  const [addTags, setAddTags] = useState([]);
+  const [removeTagIds, setRemoveTagIds] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [actionError, setActionError] = useState(null);
+  // Set once the user has been warned about reconciled rows; next Apply saves
+  const [reconciledWarned, setReconciledWarned] = useState(false);
 
   useEffect(() => {
     if (open) {
@@ -70,14 +86,17 @@ function BulkEditTransactionsDialog({
       setDate('');
       setDescription('');
       setStatus('');
+      setAddTags([]);
+      setRemoveTagIds([]);
       setActionError(null);
       setIsSubmitting(false);
+      setReconciledWarned(false);
     }
   }, [open]);
 
   const count = transactionIds.length;
   const amountValid = amount !== '' && !Number.isNaN(parseFloat(amount));
-  const hasChanges =
+  const hasFieldChanges =
     !!accountId ||
     !!categoryId ||
     !!type ||
@@ -85,10 +104,22 @@ function BulkEditTransactionsDialog({
     !!date ||
     description !== '' ||
     !!status;
+  const hasTagChanges = addTags.length > 0 || removeTagIds.length > 0;
+  const hasChanges = hasFieldChanges || hasTagChanges;
 
-  const handleApply = async () => {
-    if (!hasChanges || count === 0) return;
+  // Only tags some selected row actually carries can be taken off
+  const removableTags = useMemo(() => {
+    const ids = new Set();
+    transactionIds.forEach((id) => {
+      (tagIdsByTransaction.get(id) || []).forEach((tagId) => ids.add(tagId));
+    });
+    return [...ids]
+      .map((tagId) => tagMap.get(tagId))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [transactionIds, tagIdsByTransaction, tagMap]);
 
+  const buildUpdates = () => {
     const updates = {};
     if (accountId) {
       updates.accountId = accountId;
@@ -102,13 +133,47 @@ function BulkEditTransactionsDialog({
     if (date) updates.date = date;
     if (description !== '') updates.description = description;
     if (status) updates.status = status;
+    return updates;
+  };
+
+  // Reconciled rows whose balance the pending changes would move
+  const reconciledAffected = hasFieldChanges
+    ? transactionIds.filter((id) =>
+        changesReconciledBalance(
+          allTransactions.find((t) => t.transaction_id === id),
+          buildUpdates()
+        )
+      ).length
+    : 0;
+
+  const handleApply = async () => {
+    if (!hasChanges || count === 0) return;
+
+    if (reconciledAffected > 0 && !reconciledWarned) {
+      setReconciledWarned(true);
+      return;
+    }
 
     setIsSubmitting(true);
     setActionError(null);
     try {
-      const result = await dispatch(
-        bulkUpdateTransactions({ transactionIds, updates })
-      ).unwrap();
+      // Tags go on all-or-nothing, so apply them before the field update,
+      // whose per-row failures keep the dialog open
+      if (hasTagChanges) {
+        await dispatch(
+          updateTransactionsTags({
+            transactionIds,
+            addNames: addTags,
+            removeTagIds,
+          })
+        ).unwrap();
+      }
+
+      const result = hasFieldChanges
+        ? await dispatch(
+            bulkUpdateTransactions({ transactionIds, updates: buildUpdates() })
+          ).unwrap()
+        : null;
 
       const failed = result?.failed?.length || 0;
       if (failed > 0) {
@@ -148,6 +213,19 @@ function BulkEditTransactionsDialog({
             selection can&apos;t be bulk-edited and will be left unchanged.
           </Alert>
         )}
+        {reconciledAffected > 0 && (
+          <Alert
+            severity="warning"
+            variant={reconciledWarned ? 'filled' : 'standard'}
+            sx={{ mb: 2 }}
+          >
+            {reconciledAffected} reconciled transaction
+            {reconciledAffected !== 1 ? 's' : ''} would change, putting
+            {reconciledAffected !== 1 ? ' their accounts' : ' its account'} out
+            of step with the statement.
+            {reconciledWarned ? ' Press Apply anyway to save.' : ''}
+          </Alert>
+        )}
         {actionError && (
           <Alert
             severity="warning"
@@ -256,6 +334,41 @@ function BulkEditTransactionsDialog({
               ))}
             </Select>
           </FormControl>
+
+          <TagInput
+            label="Add tags"
+            value={addTags}
+            onChange={setAddTags}
+          />
+
+          {removableTags.length > 0 && (
+            <FormControl fullWidth>
+              <InputLabel>Remove tags</InputLabel>
+              <Select
+                multiple
+                value={removeTagIds}
+                label="Remove tags"
+                onChange={(e) => setRemoveTagIds(e.target.value)}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map((tagId) => (
+                      <Chip
+                        key={tagId}
+                        label={tagMap.get(tagId)?.name || tagId}
+                        size="small"
+                      />
+                    ))}
+                  </Box>
+                )}
+              >
+                {removableTags.map((tag) => (
+                  <MenuItem key={tag.tag_id} value={tag.tag_id}>
+                    {tag.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
         </Box>
       </DialogContent>
       <DialogActions>
@@ -270,7 +383,11 @@ function BulkEditTransactionsDialog({
             isSubmitting ? <CircularProgress size={20} color="inherit" /> : null
           }
         >
-          {isSubmitting ? 'Applying...' : 'Apply'}
+          {isSubmitting
+            ? 'Applying...'
+            : reconciledWarned && reconciledAffected > 0
+            ? 'Apply anyway'
+            : 'Apply'}
         </Button>
       </DialogActions>
     </Dialog>
@@ -0,0 +1,526 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  FormControlLabel,
+  Grid,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { format, parseISO } from 'date-fns';
+import {
+  createCategorizationRule,
+  deleteCategorizationRule,
+  updateCategorizationRule,
+} from '../../store/slices/categorizationRulesSlice';
+import { categorizationRuleSchema } from '../../schemas/categorizationRuleSchema';
+import { selectCategoryDisplayNameGetter } from '../../store/selectors';
+import { flattenCategoryTree } from '../../utils/categoryHierarchy';
+import { formatCurrency } from '../../utils/currencyConversion';
+import {
+  RULE_MATCH_MODES,
+  RULE_TRANSACTION_TYPES,
+  previewRule,
+  toRuleColumns,
+} from '../../utils/categorizationRules';
+import AppDialog from './AppDialog';
+import CategoryAutocomplete from './CategoryAutocomplete';
+import ConfirmDeleteDialog from './ConfirmDeleteDialog';
+import TagInput from './TagInput';
+
+// How many of the matching past transactions the preview lists
+const PREVIEW_ROWS = 5;
+
+const emptyForm = () => ({
+  name: '',
+  transactionType: 'Expense',
+  descriptionMatch: 'contains',
+  descriptionPattern: '',
+  amountMin: '',
+  amountMax: '',
+  accountId: '',
+  entityName: '',
+  setCategoryId: '',
+  setDescription: '',
+  addTags: [],
+  paused: false,
+});
+
+const amountText = (value) =>
+  value === null || value === undefined ? '' : String(value);
+
+/**
+ * Create or edit a categorisation rule. Under the form, a dry run over the
+ * transactions already on record shows what the rule would have matched and
+ * changed — nothing is written until Save, and saving only affects
+ * transactions created from then on.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object|null} editingRule - categorization_rules row, or null to create
+ * @param {Object} [initialValues] - prefill for a new rule (camelCase draft,
+ *   e.g. from suggestRuleFromEdit)
+ */
+export default function CategorizationRuleDialog({
+  open,
+  onClose,
+  editingRule = null,
+  initialValues,
+}) {
+  const dispatch = useDispatch();
+  const { accounts } = useSelector((state) => state.accounts);
+  const { categories } = useSelector((state) => state.categories);
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const getCategoryName = useSelector(selectCategoryDisplayNameGetter);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(categorizationRuleSchema),
+    defaultValues: emptyForm(),
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    if (editingRule) {
+      reset({
+        name: editingRule.name,
+        transactionType: editingRule.transaction_type,
+        descriptionMatch: editingRule.description_match || 'contains',
+        descriptionPattern: editingRule.description_pattern || '',
+        amountMin: amountText(editingRule.amount_min),
+        amountMax: amountText(editingRule.amount_max),
+        accountId: editingRule.account_id || '',
+        entityName: editingRule.entity_name || '',
+        setCategoryId: editingRule.set_category_id || '',
+        setDescription: editingRule.set_description || '',
+        addTags: editingRule.add_tags || [],
+        paused: editingRule.status === 'Paused',
+      });
+    } else {
+      reset({ ...emptyForm(), ...initialValues });
+    }
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    setIsSubmitting(false);
+    setIsDeleting(false);
+  }, [open, editingRule, initialValues, reset]);
+
+  const values = watch();
+
+  const typeCategories = useMemo(
+    () =>
+      flattenCategoryTree(
+        categories.filter(
+          (c) => c.type === values.transactionType && c.status === 'Active'
+        )
+      ),
+    [categories, values.transactionType]
+  );
+
+  const toPayload = (data) => ({
+    name: data.name,
+    transactionType: data.transactionType,
+    descriptionMatch: data.descriptionMatch,
+    descriptionPattern: data.descriptionPattern || '',
+    amountMin: data.amountMin || '',
+    amountMax: data.amountMax || '',
+    accountId: data.accountId || '',
+    entityName: data.entityName || '',
+    setCategoryId: data.setCategoryId || '',
+    setDescription: data.setDescription || '',
+    addTags: data.addTags || [],
+    status: data.paused ? 'Paused' : 'Active',
+  });
+
+  // Dry run of the rule as it stands in the form. Only once it has a
+  // condition — with none it would match everything.
+  const preview = useMemo(() => {
+    const rule = toRuleColumns(toPayload(values));
+    const hasCondition =
+      rule.description_pattern ||
+      rule.amount_min !== null ||
+      rule.amount_max !== null ||
+      rule.account_id ||
+      rule.entity_name;
+    if (!hasCondition) return null;
+    const matches = previewRule(rule, allTransactions);
+    return {
+      matches,
+      categoryChanges: matches.filter((m) => m.categoryChange).length,
+      descriptionChanges: matches.filter((m) => m.descriptionChange).length,
+    };
+    // values is a fresh object every render; what the rule reads is below
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    allTransactions,
+    values.transactionType,
+    values.descriptionMatch,
+    values.descriptionPattern,
+    values.amountMin,
+    values.amountMax,
+    values.accountId,
+    values.entityName,
+    values.setCategoryId,
+    values.setDescription,
+  ]);
+
+  const handleClose = () => {
+    if (isSubmitting || isDeleting) return;
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    onClose();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    const payload = toPayload(data);
+    try {
+      if (editingRule) {
+        await dispatch(
+          updateCategorizationRule({ ruleId: editingRule.rule_id, updates: payload })
+        ).unwrap();
+      } else {
+        await dispatch(createCategorizationRule(payload)).unwrap();
+      }
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      await dispatch(deleteCategorizationRule(editingRule.rule_id)).unwrap();
+      setDeleteConfirm(false);
+      onClose();
+    } catch (err) {
+      setDeleteError(err?.message || 'Failed to delete. Please try again.');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const busy = isSubmitting || isDeleting;
+
+  return (
+    <>
+      <AppDialog
+        open={open}
+        onClose={handleClose}
+        title={editingRule ? 'Edit Rule' : 'New Rule'}
+        onSubmit={handleSubmit(onSubmit)}
+        contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+        footer={
+          <Box
+            sx={{
+              flexShrink: 0,
+              p: { xs: 1.5, sm: 2 },
+              gap: 1,
+              display: 'flex',
+              justifyContent: 'space-between',
+              borderTop: '1px solid',
+              borderColor: 'divider',
+              backgroundColor: 'background.paper',
+            }}
+          >
+            <Box>
+              {editingRule && (
+                <Button
+                  color="error"
+                  onClick={() => setDeleteConfirm(true)}
+                  disabled={busy}
+                  startIcon={<DeleteIcon />}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Delete
+                </Button>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button onClick={handleClose} disabled={busy} sx={{ textTransform: 'none' }}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="contained"
+                disabled={busy}
+                startIcon={
+                  isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+                }
+                sx={{ textTransform: 'none', minWidth: 100 }}
+              >
+                {isSubmitting ? 'Saving...' : editingRule ? 'Update' : 'Create'}
+              </Button>
+            </Box>
+          </Box>
+        }
+      >
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              fullWidth
+              label="Name *"
+              {...register('name')}
+              error={!!errors.name}
+              helperText={errors.name?.message}
+              placeholder="e.g., Coffee shops"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Applies to"
+              value={values.transactionType}
+              onChange={(e) => {
+                setValue('transactionType', e.target.value);
+                setValue('setCategoryId', '');
+              }}
+            >
+              {RULE_TRANSACTION_TYPES.map((type) => (
+                <MenuItem key={type} value={type}>
+                  {type}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+              When a transaction…
+            </Typography>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Description"
+              value={values.descriptionMatch}
+              onChange={(e) => setValue('descriptionMatch', e.target.value)}
+            >
+              {RULE_MATCH_MODES.map((mode) => (
+                <MenuItem key={mode.value} value={mode.value}>
+                  {mode.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              fullWidth
+              label={values.descriptionMatch === 'regex' ? 'Pattern' : 'Text'}
+              {...register('descriptionPattern')}
+              error={!!errors.descriptionPattern}
+              helperText={
+                errors.descriptionPattern?.message ||
+                (values.descriptionMatch === 'regex'
+                  ? 'A regular expression, ignoring case, e.g. ^(uber|bolt)\\b'
+                  : 'Ignoring case')
+              }
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Amount at least"
+              {...register('amountMin')}
+              error={!!errors.amountMin}
+              helperText={errors.amountMin?.message}
+              inputProps={{ step: '0.01', min: 0 }}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Amount at most"
+              {...register('amountMax')}
+              error={!!errors.amountMax}
+              helperText={errors.amountMax?.message}
+              inputProps={{ step: '0.01', min: 0 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Account"
+              value={values.accountId || ''}
+              onChange={(e) => setValue('accountId', e.target.value)}
+            >
+              <MenuItem value="">
+                <em>Any account</em>
+              </MenuItem>
+              {accounts
+                .filter((a) => a.status === 'Active' || a.account_id === values.accountId)
+                .map((a) => (
+                  <MenuItem key={a.account_id} value={a.account_id}>
+                    {a.name} ({a.currency})
+                  </MenuItem>
+                ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Who it's with"
+              {...register('entityName')}
+              helperText="Exact name, ignoring case"
+            />
+          </Grid>
+
+          <Grid item xs={12}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+              …then
+            </Typography>
+          </Grid>
+          <Grid item xs={12}>
+            <CategoryAutocomplete
+              categories={typeCategories}
+              leafOnly
+              value={values.setCategoryId || ''}
+              onChange={(id) => setValue('setCategoryId', id || '', { shouldValidate: true })}
+              label="Set category"
+              error={!!errors.setCategoryId}
+              helperText={errors.setCategoryId?.message}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Rename to"
+              {...register('setDescription')}
+              helperText="Replaces the description, e.g. a bank's POS 4411 STARBCKS with Starbucks"
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TagInput
+              label="Add tags"
+              value={values.addTags || []}
+              onChange={(names) => setValue('addTags', names, { shouldValidate: true })}
+            />
+          </Grid>
+          {editingRule && (
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!values.paused}
+                    onChange={(e) => setValue('paused', e.target.checked)}
+                  />
+                }
+                label="Paused"
+              />
+            </Grid>
+          )}
+
+          {preview && (
+            <Grid item xs={12}>
+              <Box
+                sx={{
+                  border: '1px solid',
+                  borderColor: 'divider',
+                  borderRadius: 1,
+                  p: 1.5,
+                }}
+              >
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                  {preview.matches.length === 0
+                    ? 'No past transactions match'
+                    : `Matches ${preview.matches.length} past transaction${
+                        preview.matches.length !== 1 ? 's' : ''
+                      }`}
+                </Typography>
+                {preview.matches.length > 0 && (
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                    {preview.categoryChanges} would change category
+                    {values.setDescription?.trim()
+                      ? `, ${preview.descriptionChanges} would be renamed`
+                      : ''}
+                    . Past transactions are left as they are.
+                  </Typography>
+                )}
+                {preview.matches.slice(0, PREVIEW_ROWS).map(({ txn, categoryChange }) => (
+                  <Box
+                    key={txn.transaction_id}
+                    sx={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      gap: 1,
+                      mt: 1,
+                      minWidth: 0,
+                    }}
+                  >
+                    <Box sx={{ minWidth: 0 }}>
+                      <Typography variant="body2" noWrap>
+                        {txn.description || '(no description)'}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" noWrap sx={{ display: 'block' }}>
+                        {txn.date ? format(parseISO(txn.date), 'MMM d, yyyy') : ''} ·{' '}
+                        {getCategoryName(txn.category_id)}
+                        {categoryChange ? ` → ${getCategoryName(values.setCategoryId)}` : ''}
+                      </Typography>
+                    </Box>
+                    <Typography variant="body2" sx={{ flexShrink: 0 }}>
+                      {formatCurrency(txn.amount, txn.currency)}
+                    </Typography>
+                  </Box>
+                ))}
+                {preview.matches.length > PREVIEW_ROWS && (
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                    and {preview.matches.length - PREVIEW_ROWS} more
+                  </Typography>
+                )}
+              </Box>
+            </Grid>
+          )}
+        </Grid>
+      </AppDialog>
+
+      <ConfirmDeleteDialog
+        open={deleteConfirm && !!editingRule}
+        onClose={() => {
+          setDeleteConfirm(false);
+          setDeleteError(null);
+        }}
+        onConfirm={handleDelete}
+        title="Delete this rule?"
+        description="Transactions it already categorised keep their category."
+        isDeleting={isDeleting}
+        error={deleteError}
+      />
+    </>
+  );
+}
@@ -0,0 +1,212 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Switch,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import {
+  reorderCategorizationRules,
+  updateCategorizationRule,
+} from '../../store/slices/categorizationRulesSlice';
+import {
+  selectAccountNameGetter,
+  selectCategorizationRules,
+  selectCategoryDisplayNameGetter,
+} from '../../store/selectors';
+import { RULE_MATCH_MODES } from '../../utils/categorizationRules';
+import CategorizationRuleDialog from './CategorizationRuleDialog';
+
+/**
+ * Settings list of categorisation rules, in the order they run. Rules higher
+ * up win when two set the same thing; the arrows move a rule up or down.
+ */
+export default function CategorizationRulesDialog({ open, onClose }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const rules = useSelector(selectCategorizationRules);
+  const getCategoryName = useSelector(selectCategoryDisplayNameGetter);
+  const getAccountName = useSelector(selectAccountNameGetter);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // The rule being edited: a row, 'new', or null
+  const [editing, setEditing] = useState(null);
+
+  const describe = (rule) => {
+    const when = [];
+    if (rule.description_pattern) {
+      const mode = RULE_MATCH_MODES.find((m) => m.value === rule.description_match);
+      when.push(`description ${mode?.label.toLowerCase() || 'contains'} “${rule.description_pattern}”`);
+    }
+    if (rule.amount_min !== null && rule.amount_max !== null) {
+      when.push(`amount ${rule.amount_min}–${rule.amount_max}`);
+    } else if (rule.amount_min !== null) {
+      when.push(`amount ≥ ${rule.amount_min}`);
+    } else if (rule.amount_max !== null) {
+      when.push(`amount ≤ ${rule.amount_max}`);
+    }
+    if (rule.account_id) when.push(`in ${getAccountName(rule.account_id)}`);
+    if (rule.entity_name) when.push(`with ${rule.entity_name}`);
+
+    const then = [];
+    if (rule.set_category_id) then.push(getCategoryName(rule.set_category_id));
+    if (rule.set_description) then.push(`rename to “${rule.set_description}”`);
+    if (rule.add_tags?.length) then.push(`tag ${rule.add_tags.join(', ')}`);
+
+    return `${rule.transaction_type}: ${when.join(', ')} → ${then.join(', ')}`;
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await dispatch(action).unwrap();
+    } catch (err) {
+      setError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const move = (index, offset) => {
+    const ids = rules.map((rule) => rule.rule_id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    run(reorderCategorizationRules(ids));
+  };
+
+  const toggle = (rule) =>
+    run(
+      updateCategorizationRule({
+        ruleId: rule.rule_id,
+        updates: { status: rule.status === 'Active' ? 'Paused' : 'Active' },
+      })
+    );
+
+  const handleClose = () => {
+    if (busy) return;
+    setError(null);
+    onClose();
+  };
+
+  return (
+    <>
+      <Dialog
+        open={open}
+        onClose={handleClose}
+        maxWidth="sm"
+        fullWidth
+        fullScreen={isMobile}
+      >
+        <DialogTitle>Categorisation rules</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+          <Typography
+            variant="body2"
+            color="text.secondary"
+            sx={{ mb: 2, fontSize: '0.8125rem' }}
+          >
+            Rules fill in the category, description and tags of new
+            transactions — imported, scanned, typed in or sent by the
+            quick-expense shortcut. Higher rules win.
+          </Typography>
+          {rules.length === 0 && (
+            <Typography variant="body2" color="text.disabled" sx={{ mb: 2 }}>
+              No rules yet.
+            </Typography>
+          )}
+          {rules.map((rule, index) => (
+            <Box
+              key={rule.rule_id}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1,
+                py: 1,
+                borderBottom: '1px solid',
+                borderColor: 'divider',
+              }}
+            >
+              <Box
+                onClick={() => setEditing(rule)}
+                sx={{ flex: 1, minWidth: 0, cursor: 'pointer' }}
+              >
+                <Typography
+                  noWrap
+                  sx={{
+                    fontSize: '0.875rem',
+                    fontWeight: 500,
+                    color: rule.status === 'Active' ? 'text.primary' : 'text.disabled',
+                  }}
+                >
+                  {rule.name}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  noWrap
+                  sx={{ display: 'block', color: 'text.secondary', fontSize: '0.6875rem' }}
+                >
+                  {describe(rule)}
+                </Typography>
+              </Box>
+              <IconButton
+                size="small"
+                aria-label="Move up"
+                disabled={busy || index === 0}
+                onClick={() => move(index, -1)}
+              >
+                <ArrowUpwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton
+                size="small"
+                aria-label="Move down"
+                disabled={busy || index === rules.length - 1}
+                onClick={() => move(index, 1)}
+              >
+                <ArrowDownwardIcon fontSize="small" />
+              </IconButton>
+              <Switch
+                size="small"
+                checked={rule.status === 'Active'}
+                disabled={busy}
+                onChange={() => toggle(rule)}
+                inputProps={{ 'aria-label': 'Active' }}
+              />
+            </Box>
+          ))}
+        </DialogContent>
+        <DialogActions sx={{ justifyContent: 'space-between' }}>
+          <Button startIcon={<AddIcon />} onClick={() => setEditing('new')} disabled={busy}>
+            Add rule
+          </Button>
+          <Button onClick={handleClose} disabled={busy}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <CategorizationRuleDialog
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        editingRule={editing === 'new' ? null : editing}
+      />
+    </>
+  );
+}
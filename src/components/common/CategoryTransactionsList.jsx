@@ -54,6 +54,9 @@ import {
 import BulkEditTransactionsDialog from './BulkEditTransactionsDialog';
 import { useBudgetStatusMap } from '../../hooks/useBudgetStatusMap';
 import RowBudgetBadge from './RowBudgetBadge';
+import PendingSyncBadge from './PendingSyncBadge';
+import AttachmentBadge from './AttachmentBadge';
+import { categoryLabel } from '../../utils/transactionSplits';
 
 const rowTapSx = {
   cursor: 'pointer',
@@ -451,7 +454,7 @@ function CategoryTransactionsList(
                               !selectionMode && editableTextSx,
                             ]}
                           >
-                            {getCategoryDisplayName(txn.category_id)}
+                            {categoryLabel(txn, getCategoryDisplayName)}
                           </Typography>
                           <RowBudgetBadge
                             transaction={txn}
@@ -459,6 +462,8 @@ function CategoryTransactionsList(
                             enabled={showBudgetOnRows}
                             sx={{ flexShrink: 0 }}
                           />
+                          <AttachmentBadge transactionId={txn.transaction_id} />
+                          <PendingSyncBadge transactionId={txn.transaction_id} />
                         </Box>
                       )}
                     </TableCell>
@@ -600,7 +605,7 @@ function CategoryTransactionsList(
                         !selectionMode && editableTextSx,
                       ]}
                     >
-                      {getCategoryDisplayName(txn.category_id)}
+                      {categoryLabel(txn, getCategoryDisplayName)}
                     </Typography>
                   )}
                   {inline.isEditing('amount', txn) ? (
@@ -666,6 +671,8 @@ function CategoryTransactionsList(
                     </Typography>
                   )}
 
+                  <AttachmentBadge transactionId={txn.transaction_id} />
+                  <PendingSyncBadge transactionId={txn.transaction_id} />
                   <RowBudgetBadge
                     transaction={txn}
                     status={budgetByCategoryId.get(txn.category_id)}
@@ -0,0 +1,459 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import CallMergeIcon from '@mui/icons-material/CallMerge';
+import DownloadIcon from '@mui/icons-material/Download';
+import EditIcon from '@mui/icons-material/Edit';
+import PrintIcon from '@mui/icons-material/Print';
+import { format, parseISO } from 'date-fns';
+import {
+  deleteCounterparty,
+  mergeCounterparties,
+  updateCounterparty,
+} from '../../store/slices/counterpartiesSlice';
+import {
+  selectAllTransactions,
+  selectCounterparties,
+  selectCounterpartySummaries,
+} from '../../store/selectors';
+import {
+  STATEMENT_COLUMNS,
+  buildLedger,
+  statementRows,
+} from '../../utils/counterpartyLedger';
+import { rowsToCsv } from '../../utils/dataBackup';
+import { downloadFile } from '../../utils/download';
+import { formatCurrency } from '../../utils/currencyConversion';
+import AppDialog from './AppDialog';
+import EmptyState from './EmptyState';
+
+const formatDate = (date) =>
+  date ? format(typeof date === 'string' ? parseISO(date) : date, 'MMM dd, yyyy') : '';
+
+// "Owes you ETB 500" / "You owe ETB 200" / "Settled"
+const describeNet = (amount, currency) =>
+  amount > 0
+    ? `Owes you ${formatCurrency(amount, currency)}`
+    : amount < 0
+    ? `You owe ${formatCurrency(-amount, currency)}`
+    : `Settled in ${currency}`;
+
+const netColor = (amount) =>
+  amount > 0 ? 'google.green' : amount < 0 ? 'google.red' : 'text.secondary';
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+
+// A plain page with the statement, printed (or saved as PDF) from a new window
+function printStatement(name, ledger) {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  const rows = statementRows(ledger.entries, formatDate)
+    .map(
+      (row) =>
+        `<tr><td>${escapeHtml(row.date)}</td><td>${escapeHtml(row.description)}${
+          row.notes ? `<div class="notes">${escapeHtml(row.notes)}</div>` : ''
+        }</td><td>${escapeHtml(row.currency)}</td><td class="num">${row.debit}</td><td class="num">${
+          row.credit
+        }</td><td class="num">${row.balance}</td></tr>`
+    )
+    .join('');
+  const totals = Object.entries(ledger.net)
+    .map(([currency, amount]) => `<li>${escapeHtml(describeNet(amount, currency))}</li>`)
+    .join('');
+  win.document.write(`<!doctype html><html><head><meta charset="utf-8">
+<title>Statement - ${escapeHtml(name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 32px; color: #202124; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  p { margin: 0 0 16px; color: #5f6368; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #dadce0; vertical-align: top; }
+  th { font-weight: 600; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .notes { color: #5f6368; font-size: 12px; }
+  ul { padding-left: 18px; font-size: 14px; font-weight: 600; }
+</style></head><body>
+<h1>Statement: ${escapeHtml(name)}</h1>
+<p>As of ${escapeHtml(formatDate(new Date()))}. Debit is money given to ${escapeHtml(
+    name
+  )}, credit money received; balance is what ${escapeHtml(name)} owes (negative: what is owed to them).</p>
+<table><thead><tr><th>Date</th><th>Description</th><th>Currency</th><th class="num">Debit</th><th class="num">Credit</th><th class="num">Balance</th></tr></thead>
+<tbody>${rows}</tbody></table>
+<ul>${totals}</ul>
+</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
+
+/**
+ * The people the user borrows from or lends to: each one's net position per
+ * currency, and per person a ledger of every loan and repayment with a
+ * statement to export or print and send them. Misspelled duplicates are
+ * merged here; the old spelling is kept as an alias.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {string|null} [initialCounterpartyId] - open straight on this ledger
+ */
+export default function CounterpartiesDialog({ open, onClose, initialCounterpartyId = null }) {
+  const dispatch = useDispatch();
+  const counterparties = useSelector(selectCounterparties);
+  const summaries = useSelector(selectCounterpartySummaries);
+  const records = useSelector((state) => state.borrowingsLendings.records);
+  const transactions = useSelector(selectAllTransactions);
+  const [selectedId, setSelectedId] = useState(null);
+  const [renameTo, setRenameTo] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [actionError, setActionError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setSelectedId(initialCounterpartyId);
+    setRenameTo(null);
+    setMergeTargetId('');
+    setActionError(null);
+    setBusy(false);
+  }, [open, initialCounterpartyId]);
+
+  const selected = counterparties.find((c) => c.counterparty_id === selectedId) || null;
+  const summary = summaries.find((s) => s.counterparty.counterparty_id === selectedId);
+
+  const ledger = useMemo(
+    () => (selected ? buildLedger(selected, records, transactions) : null),
+    [selected, records, transactions]
+  );
+
+  const showList = () => {
+    setSelectedId(null);
+    setRenameTo(null);
+    setMergeTargetId('');
+    setActionError(null);
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      return await action();
+    } catch (err) {
+      setActionError(err?.message || 'Something went wrong. Please try again.');
+      return undefined;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRename = () =>
+    run(async () => {
+      await dispatch(
+        updateCounterparty({ counterpartyId: selected.counterparty_id, updates: { name: renameTo } })
+      ).unwrap();
+      setRenameTo(null);
+    });
+
+  const handleMerge = () =>
+    run(async () => {
+      // This person is folded into the chosen one, whose ledger then opens
+      const { target } = await dispatch(
+        mergeCounterparties({ targetId: mergeTargetId, sourceIds: [selected.counterparty_id] })
+      ).unwrap();
+      setMergeTargetId('');
+      setSelectedId(target.counterparty_id);
+    });
+
+  const handleDelete = () =>
+    run(async () => {
+      await dispatch(deleteCounterparty(selected.counterparty_id)).unwrap();
+      showList();
+    });
+
+  const handleExport = () =>
+    downloadFile(
+      `statement-${selected.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${format(new Date(), 'yyyy-MM-dd')}.csv`,
+      rowsToCsv(statementRows(ledger.entries, formatDate), STATEMENT_COLUMNS),
+      'text/csv;charset=utf-8'
+    );
+
+  const handlePrint = () => {
+    if (!printStatement(selected.name, ledger)) {
+      setActionError('Allow pop-ups for this site to print the statement.');
+    }
+  };
+
+  const renderNet = (net, size = '0.8125rem') => {
+    const entries = Object.entries(net);
+    if (entries.length === 0) {
+      return (
+        <Typography sx={{ fontSize: size, color: 'text.secondary' }}>Settled</Typography>
+      );
+    }
+    return entries.map(([currency, amount]) => (
+      <Typography key={currency} sx={{ fontSize: size, fontWeight: 500, color: netColor(amount) }}>
+        {describeNet(amount, currency)}
+      </Typography>
+    ));
+  };
+
+  const renderList = () =>
+    summaries.length === 0 ? (
+      <EmptyState
+        title="No one yet"
+        subtitle="People show up here once a borrowing or lending names them"
+      />
+    ) : (
+      summaries.map(({ counterparty, recordCount, activeCount, net }) => (
+        <Box
+          key={counterparty.counterparty_id}
+          onClick={() => setSelectedId(counterparty.counterparty_id)}
+          sx={{
+            py: 1.25,
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: 2,
+            borderBottom: '1px solid',
+            borderColor: 'divider',
+            cursor: 'pointer',
+          }}
+        >
+          <Box sx={{ minWidth: 0 }}>
+            <Typography noWrap sx={{ fontSize: '0.9375rem', fontWeight: 500 }}>
+              {counterparty.name}
+            </Typography>
+            <Typography noWrap variant="caption" color="text.secondary">
+              {recordCount} record{recordCount === 1 ? '' : 's'}
+              {activeCount > 0 ? ` · ${activeCount} active` : ''}
+              {counterparty.aliases?.length > 0 ? ` · also ${counterparty.aliases.join(', ')}` : ''}
+            </Typography>
+          </Box>
+          <Box sx={{ textAlign: 'right', flexShrink: 0 }}>{renderNet(net)}</Box>
+        </Box>
+      ))
+    );
+
+  const renderLedger = () => (
+    <>
+      {renameTo !== null ? (
+        <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+          <TextField
+            size="small"
+            fullWidth
+            autoFocus
+            label="Name"
+            value={renameTo}
+            onChange={(e) => setRenameTo(e.target.value)}
+            helperText="The old name is kept as an alias"
+          />
+          <Button
+            onClick={handleRename}
+            disabled={busy || !renameTo.trim() || renameTo.trim() === selected.name}
+            sx={{ textTransform: 'none', alignSelf: 'flex-start', minHeight: 40 }}
+          >
+            Save
+          </Button>
+          <Button
+            onClick={() => setRenameTo(null)}
+            disabled={busy}
+            sx={{ textTransform: 'none', alignSelf: 'flex-start', minHeight: 40 }}
+          >
+            Cancel
+          </Button>
+        </Box>
+      ) : (
+        <Box sx={{ mb: 2 }}>
+          {selected.aliases?.length > 0 && (
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>
+              Also known as {selected.aliases.join(', ')}
+            </Typography>
+          )}
+          {renderNet(ledger.net, '0.9375rem')}
+        </Box>
+      )}
+
+      {ledger.entries.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No borrowings or lendings with {selected.name}.
+        </Typography>
+      ) : (
+        <Box sx={{ mb: 2 }}>
+          {ledger.entries.map((entry) => (
+            <Box
+              key={entry.key}
+              sx={{
+                py: 1,
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: 2,
+                borderBottom: '1px solid',
+                borderColor: 'divider',
+              }}
+            >
+              <Box sx={{ minWidth: 0 }}>
+                <Typography noWrap sx={{ fontSize: '0.875rem' }}>
+                  {entry.description}
+                </Typography>
+                <Typography noWrap variant="caption" color="text.secondary" component="div">
+                  {formatDate(entry.date)}
+                  {entry.notes ? ` · ${entry.notes}` : ''}
+                </Typography>
+              </Box>
+              <Box sx={{ textAlign: 'right', flexShrink: 0 }}>
+                <Typography sx={{ fontSize: '0.875rem', fontWeight: 500 }}>
+                  {entry.signed > 0 ? '+' : '−'}
+                  {formatCurrency(entry.amount, entry.currency)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Balance {formatCurrency(entry.balance, entry.currency)}
+                </Typography>
+              </Box>
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      {counterparties.length > 1 && (
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+          <FormControl size="small" fullWidth>
+            <InputLabel>Merge into</InputLabel>
+            <Select
+              value={mergeTargetId}
+              label="Merge into"
+              onChange={(e) => setMergeTargetId(e.target.value)}
+            >
+              {counterparties
+                .filter((c) => c.counterparty_id !== selected.counterparty_id)
+                .map((c) => (
+                  <MenuItem key={c.counterparty_id} value={c.counterparty_id}>
+                    {c.name}
+                  </MenuItem>
+                ))}
+            </Select>
+          </FormControl>
+          <Button
+            onClick={handleMerge}
+            disabled={busy || !mergeTargetId}
+            startIcon={<CallMergeIcon sx={{ fontSize: 18 }} />}
+            sx={{ textTransform: 'none', flexShrink: 0, minHeight: 40 }}
+          >
+            Merge
+          </Button>
+        </Box>
+      )}
+      {mergeTargetId && (
+        <Typography variant="caption" color="text.secondary" component="div">
+          {selected.name}&apos;s records move to{' '}
+          {counterparties.find((c) => c.counterparty_id === mergeTargetId)?.name}, and
+          &quot;{selected.name}&quot; becomes an alias.
+        </Typography>
+      )}
+    </>
+  );
+
+  const footer = (
+    <Box
+      sx={{
+        flexShrink: 0,
+        p: { xs: 1.5, sm: 2 },
+        gap: 1,
+        display: 'flex',
+        flexWrap: 'wrap',
+        justifyContent: 'flex-end',
+        borderTop: '1px solid',
+        borderColor: 'divider',
+        backgroundColor: 'background.paper',
+      }}
+    >
+      {selected && renameTo === null && (
+        <>
+          <Button
+            onClick={() => setRenameTo(selected.name)}
+            disabled={busy}
+            startIcon={<EditIcon sx={{ fontSize: 18 }} />}
+            sx={{ textTransform: 'none' }}
+          >
+            Rename
+          </Button>
+          {summary?.recordCount === 0 && (
+            <Button
+              color="error"
+              onClick={handleDelete}
+              disabled={busy}
+              sx={{ textTransform: 'none' }}
+            >
+              Delete
+            </Button>
+          )}
+          <Button
+            onClick={handleExport}
+            disabled={ledger.entries.length === 0}
+            startIcon={<DownloadIcon sx={{ fontSize: 18 }} />}
+            sx={{ textTransform: 'none' }}
+          >
+            CSV
+          </Button>
+          <Button
+            onClick={handlePrint}
+            disabled={ledger.entries.length === 0}
+            startIcon={<PrintIcon sx={{ fontSize: 18 }} />}
+            sx={{ textTransform: 'none' }}
+          >
+            Print
+          </Button>
+        </>
+      )}
+      <Button variant="contained" onClick={onClose} sx={{ textTransform: 'none', minWidth: 80 }}>
+        Done
+      </Button>
+    </Box>
+  );
+
+  return (
+    <AppDialog
+      open={open}
+      onClose={() => !busy && onClose()}
+      title={
+        selected ? (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <IconButton size="small" onClick={showList} aria-label="All people">
+              <ArrowBackIcon sx={{ fontSize: 20 }} />
+            </IconButton>
+            <Box component="span" sx={{ minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              {selected.name}
+            </Box>
+            {busy && <CircularProgress size={16} sx={{ ml: 'auto' }} />}
+          </Box>
+        ) : (
+          'People'
+        )
+      }
+      contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+      footer={footer}
+    >
+      {actionError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+          {actionError}
+        </Alert>
+      )}
+      {selected && ledger ? renderLedger() : renderList()}
+    </AppDialog>
+  );
+}
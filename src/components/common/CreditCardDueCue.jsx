@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Box, Typography } from '@mui/material';
+import CreditCardIcon from '@mui/icons-material/CreditCard';
+import { selectAllAccounts, selectCreditCardStatuses } from '../../store/selectors';
+import { describeDue } from '../../utils/creditStatements';
+import CreditStatementDialog from './CreditStatementDialog';
+
+/**
+ * Home warning for credit card statements that are overdue or due within
+ * DUE_SOON_DAYS and not yet paid off, overdue first. Renders nothing
+ * otherwise. Tapping a card opens its statements, where it can be paid.
+ */
+export default function CreditCardDueCue() {
+  const accounts = useSelector(selectAllAccounts);
+  const statuses = useSelector(selectCreditCardStatuses);
+  const [statementAccountId, setStatementAccountId] = useState(null);
+
+  const dueCards = accounts
+    .map((account) => ({ account, statement: statuses.get(account.account_id)?.statement }))
+    .filter(
+      ({ statement }) =>
+        statement && (statement.status === 'overdue' || statement.status === 'dueSoon')
+    )
+    .sort((a, b) => a.statement.daysUntilDue - b.statement.daysUntilDue);
+
+  // The dialog stays mounted while open, even once paying clears the warning
+  if (dueCards.length === 0 && !statementAccountId) return null;
+
+  return (
+    <>
+      {dueCards.length > 0 && (
+        <Box
+          sx={{
+            mb: 1,
+            px: 1.5,
+            py: 0.75,
+            borderRadius: 2,
+            border: '1px solid',
+            borderColor: 'divider',
+            bgcolor: 'background.default',
+          }}
+        >
+          {dueCards.map(({ account, statement }) => {
+            const color =
+              statement.status === 'overdue' ? 'google.red' : 'google.orange';
+            return (
+              <Box
+                key={account.account_id}
+                onClick={() => setStatementAccountId(account.account_id)}
+                sx={{
+                  py: 0.375,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 1,
+                  cursor: 'pointer',
+                }}
+              >
+                <CreditCardIcon sx={{ fontSize: 16, color, flexShrink: 0 }} />
+                <Typography
+                  noWrap
+                  sx={{ fontSize: '0.8125rem', fontWeight: 500, flex: 1, minWidth: 0 }}
+                >
+                  {account.name}
+                </Typography>
+                <Typography
+                  sx={{ fontSize: '0.75rem', fontWeight: 600, color, flexShrink: 0 }}
+                >
+                  {describeDue(statement, account.currency)}
+                </Typography>
+              </Box>
+            );
+          })}
+          <Typography
+            variant="caption"
+            color="text.secondary"
+            component="div"
+            sx={{ fontSize: '0.6875rem' }}
+          >
+            Tap a card to see its statement and pay it
+          </Typography>
+        </Box>
+      )}
+
+      <CreditStatementDialog
+        open={!!statementAccountId}
+        onClose={() => setStatementAccountId(null)}
+        account={accounts.find((a) => a.account_id === statementAccountId) || null}
+      />
+    </>
+  );
+}
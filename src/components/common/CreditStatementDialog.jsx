@@ -0,0 +1,403 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Collapse,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  LinearProgress,
+  MenuItem,
+  TextField,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { format, parseISO } from 'date-fns';
+import { createTransfer } from '../../store/slices/transfersSlice';
+import {
+  selectAllAccounts,
+  selectAllTransactions,
+  selectCreditCardStatuses,
+} from '../../store/selectors';
+import { formatCurrency } from '../../utils/currencyConversion';
+import { signedAmount } from '../../utils/reconciliation';
+import { describeDue, statementPeriods } from '../../utils/creditStatements';
+
+const shortDate = (day) => format(parseISO(day), 'MMM d');
+
+// Colour for what's left to pay, by how close its due date is
+const STATUS_COLORS = {
+  paid: 'google.green',
+  upcoming: 'text.primary',
+  dueSoon: 'google.orange',
+  overdue: 'google.red',
+};
+
+function Figure({ label, children, color }) {
+  return (
+    <Box sx={{ minWidth: 0 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+        {label}
+      </Typography>
+      <Typography variant="body2" sx={{ fontWeight: 500, color }}>
+        {children}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * A credit account's statements: the last statement's balance beside the
+ * current one, what's left to pay and by when, how much of the limit is in
+ * use, and each statement period with its transactions. Paying records a
+ * transfer from another account in the same currency.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object} account - the Credit account
+ */
+export default function CreditStatementDialog({ open, onClose, account }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const accounts = useSelector(selectAllAccounts);
+  const transactions = useSelector(selectAllTransactions);
+  const statuses = useSelector(selectCreditCardStatuses);
+  const [fromAccountId, setFromAccountId] = useState('');
+  const [amount, setAmount] = useState('');
+  const [expandedEnd, setExpandedEnd] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+
+  const status = account ? statuses.get(account.account_id) : null;
+  const statement = status?.statement;
+
+  // Same-currency accounts only: a one-tap payment has no rate to ask for
+  const payFromAccounts = useMemo(
+    () =>
+      account
+        ? [...accounts]
+            .filter(
+              (a) =>
+                a.status === 'Active' &&
+                a.account_id !== account.account_id &&
+                a.currency === account.currency
+            )
+            .sort(
+              (a, b) =>
+                (a.type === 'Credit') - (b.type === 'Credit') ||
+                (a.sort_order || 0) - (b.sort_order || 0)
+            )
+        : [],
+    [accounts, account]
+  );
+
+  const periods = useMemo(
+    () => (account ? statementPeriods(account, transactions) : []),
+    [account, transactions]
+  );
+
+  useEffect(() => {
+    if (!open) return;
+    setFromAccountId(payFromAccounts[0]?.account_id || '');
+    setAmount(statement?.remaining > 0 ? String(statement.remaining) : '');
+    setExpandedEnd(null);
+    setActionError(null);
+    // Only on open: a payment shouldn't overwrite the amount being typed
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, account?.account_id]);
+
+  if (!account || !status) return null;
+
+  const currency = account.currency;
+  const { utilisation } = status;
+  const payAmount = parseFloat(amount);
+  const canPay = !!fromAccountId && payAmount > 0 && !isPaying;
+
+  const handleClose = () => {
+    if (isPaying) return;
+    onClose();
+  };
+
+  const handlePay = async () => {
+    setIsPaying(true);
+    setActionError(null);
+    try {
+      await dispatch(
+        createTransfer({
+          fromAccountId,
+          toAccountId: account.account_id,
+          amount: payAmount,
+          description: statement
+            ? `${account.name} statement ${shortDate(statement.closingDate)}`
+            : `${account.name} payment`,
+          date: format(new Date(), 'yyyy-MM-dd'),
+        })
+      ).unwrap();
+      setAmount('');
+    } catch (err) {
+      setActionError(err?.message || 'Failed to record the payment. Please try again.');
+    } finally {
+      setIsPaying(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="sm"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle sx={{ pb: 1 }}>{account.name} statements</DialogTitle>
+      <DialogContent>
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+
+        <Box
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(3, 1fr)',
+            gap: 1,
+            pb: 1.5,
+            borderBottom: '1px solid',
+            borderColor: 'divider',
+          }}
+        >
+          <Figure
+            label={
+              statement
+                ? `Statement ${shortDate(statement.closingDate)}`
+                : 'Statement'
+            }
+          >
+            {statement ? formatCurrency(statement.balance, currency) : '—'}
+          </Figure>
+          <Figure label="Current balance">
+            {formatCurrency(status.currentBalance, currency)}
+          </Figure>
+          <Figure
+            label={statement ? `Due ${shortDate(statement.dueDate)}` : 'Due'}
+            color={statement ? STATUS_COLORS[statement.status] : undefined}
+          >
+            {statement ? formatCurrency(statement.remaining, currency) : '—'}
+          </Figure>
+        </Box>
+
+        {statement && (
+          <Typography
+            variant="caption"
+            component="div"
+            sx={{ pt: 1, color: STATUS_COLORS[statement.status] }}
+          >
+            {describeDue(statement, currency)}
+            <Box component="span" sx={{ color: 'text.secondary' }}>
+              {statement.paid > 0 &&
+                ` · ${formatCurrency(statement.paid, currency)} paid since it closed`}
+              {` · next closes ${shortDate(statement.nextClosingDate)}`}
+            </Box>
+          </Typography>
+        )}
+
+        {utilisation && (
+          <Box sx={{ pt: 1.5 }}>
+            <Box
+              sx={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'baseline',
+                gap: 1,
+              }}
+            >
+              <Typography variant="body2">
+                {Math.round(utilisation.percent)}% of{' '}
+                {formatCurrency(utilisation.limit, currency)} limit used
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                {formatCurrency(utilisation.available, currency)} available
+              </Typography>
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={Math.min(100, utilisation.percent)}
+              color={
+                utilisation.percent >= 90
+                  ? 'error'
+                  : utilisation.percent >= 30
+                  ? 'warning'
+                  : 'primary'
+              }
+              sx={{ mt: 0.75, height: 6, borderRadius: 3 }}
+            />
+          </Box>
+        )}
+
+        <Box
+          sx={{
+            display: 'flex',
+            gap: 1,
+            alignItems: 'flex-start',
+            flexWrap: { xs: 'wrap', sm: 'nowrap' },
+            py: 2,
+            borderBottom: '1px solid',
+            borderColor: 'divider',
+          }}
+        >
+          <TextField
+            select
+            size="small"
+            label="Pay from"
+            value={fromAccountId}
+            onChange={(e) => setFromAccountId(e.target.value)}
+            disabled={payFromAccounts.length === 0}
+            helperText={
+              payFromAccounts.length === 0
+                ? `No other active ${currency} account to pay from`
+                : undefined
+            }
+            sx={{ flex: 2, minWidth: 160 }}
+          >
+            {payFromAccounts.map((a) => (
+              <MenuItem key={a.account_id} value={a.account_id}>
+                {a.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            type="number"
+            label={`Amount (${currency})`}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            inputProps={{ step: '0.01', min: '0' }}
+            sx={{ flex: 1, minWidth: 110 }}
+          />
+          <Button
+            variant="contained"
+            onClick={handlePay}
+            disabled={!canPay}
+            startIcon={isPaying ? <CircularProgress size={16} color="inherit" /> : null}
+            sx={{ textTransform: 'none', flexShrink: 0, minHeight: 40 }}
+          >
+            {isPaying ? 'Paying...' : 'Pay statement'}
+          </Button>
+        </Box>
+
+        {periods.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            Set a statement closing day and payment due day on this account to
+            see its statements.
+          </Typography>
+        )}
+
+        {periods.map((period) => {
+          const expanded = expandedEnd === period.end;
+          return (
+            <Box
+              key={period.end}
+              sx={{ borderBottom: '1px solid', borderColor: 'divider' }}
+            >
+              <Box
+                onClick={() => setExpandedEnd(expanded ? null : period.end)}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 1,
+                  py: 1,
+                  cursor: 'pointer',
+                  '@media (hover: hover)': {
+                    '&:hover': { backgroundColor: 'action.hover' },
+                  },
+                }}
+              >
+                <ExpandMoreIcon
+                  sx={{
+                    fontSize: 18,
+                    color: 'text.secondary',
+                    transform: expanded ? 'none' : 'rotate(-90deg)',
+                    transition: 'transform 0.15s ease-in-out',
+                  }}
+                />
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                    {shortDate(period.start)} – {shortDate(period.end)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" component="div" noWrap>
+                    {period.isOpen
+                      ? `Current period · closes ${shortDate(period.end)}`
+                      : `Due ${shortDate(period.dueDate)}`}
+                    {` · ${formatCurrency(period.charges, currency)} charges`}
+                    {period.credits > 0 &&
+                      ` · ${formatCurrency(period.credits, currency)} credits`}
+                  </Typography>
+                </Box>
+                <Typography variant="body2" sx={{ fontWeight: 600, flexShrink: 0 }}>
+                  {formatCurrency(period.closingBalance, currency)}
+                </Typography>
+              </Box>
+              <Collapse in={expanded} unmountOnExit>
+                <Box sx={{ pl: 3.25, pb: 1 }}>
+                  {period.transactions.length === 0 ? (
+                    <Typography variant="caption" color="text.secondary">
+                      No transactions in this period.
+                    </Typography>
+                  ) : (
+                    period.transactions.map((txn) => {
+                      const value = signedAmount(txn);
+                      return (
+                        <Box
+                          key={txn.transaction_id}
+                          sx={{
+                            display: 'flex',
+                            gap: 1,
+                            py: 0.25,
+                            alignItems: 'baseline',
+                          }}
+                        >
+                          <Typography
+                            variant="caption"
+                            color="text.secondary"
+                            sx={{ width: 48, flexShrink: 0 }}
+                          >
+                            {format(parseISO(txn.date), 'MMM d')}
+                          </Typography>
+                          <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }}>
+                            {txn.description || txn.entity_name || txn.type}
+                          </Typography>
+                          <Typography
+                            variant="body2"
+                            sx={{
+                              flexShrink: 0,
+                              color: value > 0 ? 'google.green' : 'text.primary',
+                            }}
+                          >
+                            {formatCurrency(value, currency)}
+                          </Typography>
+                        </Box>
+                      );
+                    })
+                  )}
+                </Box>
+              </Collapse>
+            </Box>
+          );
+        })}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isPaying}>
+          Done
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { exportAllData } from '../../lib/api/backup';
+import { EXPORT_ENTITIES, rowsToCsv, transferRows } from '../../utils/dataBackup';
+import { downloadFile } from '../../utils/download';
+
+/**
+ * Export everything in the account: one versioned JSON backup (restorable via
+ * DataRestoreDialog) or a CSV per entity for spreadsheets. Data is fetched
+ * fresh from the server on the first download and reused while the dialog
+ * stays open.
+ */
+export default function DataExportDialog({ open, onClose }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const [exported, setExported] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const withData = async (fn) => {
+    setError(null);
+    try {
+      let result = exported;
+      if (!result) {
+        setLoading(true);
+        result = await exportAllData();
+        setExported(result);
+      }
+      fn(result);
+    } catch (err) {
+      setError(err?.message || 'Export failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadBackup = () =>
+    withData(({ backup }) =>
+      downloadFile(
+        `finance-backup-${stamp}.json`,
+        JSON.stringify(backup, null, 2),
+        'application/json'
+      )
+    );
+
+  const downloadCsv = (entity) =>
+    withData(({ data }) => {
+      const rows =
+        entity.key === 'transfers' ? transferRows(data.transfers) : data[entity.key];
+      downloadFile(
+        `${entity.key}-${stamp}.csv`,
+        rowsToCsv(rows, entity.columns),
+        'text/csv;charset=utf-8'
+      );
+    });
+
+  const handleClose = () => {
+    if (loading) return;
+    setExported(null);
+    setError(null);
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="xs"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>Export data</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ mb: 2, fontSize: '0.8125rem' }}
+        >
+          The backup file can be restored into an empty account. API keys are
+          never included.
+        </Typography>
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={downloadBackup}
+          disabled={loading}
+          startIcon={
+            loading ? <CircularProgress size={20} color="inherit" /> : <DownloadIcon />
+          }
+          sx={{ mb: 3 }}
+        >
+          Backup (JSON)
+        </Button>
+        <Typography
+          sx={{
+            fontSize: '0.6875rem',
+            fontWeight: 600,
+            letterSpacing: 0.6,
+            textTransform: 'uppercase',
+            color: 'text.secondary',
+            mb: 1,
+          }}
+        >
+          Spreadsheets (CSV)
+        </Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {EXPORT_ENTITIES.map((entity) => (
+            <Button
+              key={entity.key}
+              size="small"
+              variant="outlined"
+              onClick={() => downloadCsv(entity)}
+              disabled={loading}
+            >
+              {entity.label}
+            </Button>
+          ))}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={loading}>
+          Done
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,180 @@
+import { useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { canRestoreBackup, restoreBackup } from '../../lib/api/backup';
+import {
+  EXPORT_ENTITIES,
+  backupCounts,
+  normalizeBackup,
+} from '../../utils/dataBackup';
+
+/**
+ * Load a JSON backup from DataExportDialog into the current account. Only
+ * allowed when the account has no accounts, categories or transactions yet;
+ * the check runs before the user confirms so they are not left guessing.
+ * `onRestored` runs after a successful restore (Settings purges the persisted
+ * store and reloads, since every id in the app has changed).
+ */
+export default function DataRestoreDialog({ open, onClose, onRestored }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState('');
+  const [backup, setBackup] = useState(null);
+  const [accountEmpty, setAccountEmpty] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFileName('');
+    setBackup(null);
+    setAccountEmpty(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    reset();
+    setFileName(file.name);
+    setBusy(true);
+    try {
+      let parsed;
+      try {
+        parsed = JSON.parse(await file.text());
+      } catch {
+        throw new Error('This file is not valid JSON');
+      }
+      setBackup(normalizeBackup(parsed));
+      setAccountEmpty(await canRestoreBackup());
+    } catch (err) {
+      setError(err?.message || 'Could not read this backup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await restoreBackup(backup);
+      onRestored?.();
+    } catch (err) {
+      setError(err?.message || 'Restore failed. Please try again.');
+      setBusy(false);
+    }
+  };
+
+  const counts = backup ? backupCounts(backup) : {};
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="xs"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>Restore from backup</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {accountEmpty === false && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This account already has data. Backups can only be restored into an
+            empty account.
+          </Alert>
+        )}
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ mb: 2, fontSize: '0.8125rem' }}
+        >
+          Choose a backup file exported from this app. Everything in it is
+          recreated in this account; API keys need to be entered again.
+        </Typography>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={handleFile}
+        />
+        <Button
+          fullWidth
+          variant="outlined"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+          startIcon={<UploadFileIcon />}
+          sx={{ mb: 2 }}
+        >
+          {fileName || 'Choose file'}
+        </Button>
+        {backup && (
+          <Box>
+            {backup.exported_at && (
+              <Typography variant="caption" color="text.secondary">
+                Exported {new Date(backup.exported_at).toLocaleString()}
+              </Typography>
+            )}
+            {EXPORT_ENTITIES.filter((entity) => !entity.derived).map((entity) => (
+              <Box
+                key={entity.key}
+                sx={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  py: 0.5,
+                  borderBottom: '1px solid',
+                  borderColor: 'divider',
+                }}
+              >
+                <Typography sx={{ fontSize: '0.875rem' }}>
+                  {entity.label}
+                </Typography>
+                <Typography sx={{ fontSize: '0.875rem', fontWeight: 500 }}>
+                  {counts[entity.key] || 0}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={busy}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleRestore}
+          disabled={busy || !backup || !accountEmpty}
+          startIcon={busy ? <CircularProgress size={20} color="inherit" /> : null}
+        >
+          {busy ? 'Working…' : 'Restore'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,23 +1,39 @@
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useMemo, useState, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
-import { Alert, Box, Button, CircularProgress } from '@mui/material';
+import { Alert, Box, Button, CircularProgress, Typography } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import { format } from 'date-fns';
 import {
   updateTransaction,
   deleteTransaction,
 } from '../../store/slices/transactionsSlice';
+import { setTransactionTags } from '../../store/slices/tagsSlice';
 import { transactionSchema } from '../../schemas/transactionSchema';
 import ConfirmDeleteDialog from './ConfirmDeleteDialog';
 import AppDialog from './AppDialog';
+import CategorizationRuleDialog from './CategorizationRuleDialog';
 import TransactionFormFields from './TransactionFormFields';
-import { selectBorrowingLendingCategoryIds } from '../../store/selectors';
+import TransactionAttachments from './TransactionAttachments';
+import {
+  selectAttachmentsByTransaction,
+  selectBorrowingLendingCategoryIds,
+  selectCategorizationRules,
+  selectCategoryDisplayNameGetter,
+  selectTagIdsByTransaction,
+  selectTagMap,
+} from '../../store/selectors';
 import {
   ENTITY_NAME_REQUIRED_MESSAGE,
   isEntityNameRequired,
 } from '../../utils/borrowingLendingParser';
+import {
+  changesReconciledBalance,
+  isReconciled,
+} from '../../utils/reconciliation';
+import { fromSplitRows } from '../../utils/transactionSplits';
+import { suggestRuleFromEdit } from '../../utils/categorizationRules';
 
 /**
  * Reusable Edit Transaction Dialog component.
@@ -36,12 +52,35 @@ function EditTransactionDialog({ open, onClose, transaction }) {
   const borrowingLendingCategoryIds = useSelector(
     selectBorrowingLendingCategoryIds
   );
+  const tagIdsByTransaction = useSelector(selectTagIdsByTransaction);
+  const tagMap = useSelector(selectTagMap);
+  const rules = useSelector(selectCategorizationRules);
+  const getCategoryName = useSelector(selectCategoryDisplayNameGetter);
+  const attachmentCount = useSelector(
+    (state) =>
+      selectAttachmentsByTransaction(state).get(transaction?.transaction_id)?.length || 0
+  );
+  const currentTagNames = useMemo(
+    () =>
+      (tagIdsByTransaction.get(transaction?.transaction_id) || [])
+        .map((tagId) => tagMap.get(tagId)?.name)
+        .filter(Boolean)
+        .sort(),
+    [tagIdsByTransaction, tagMap, transaction?.transaction_id]
+  );
 
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [actionError, setActionError] = useState(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
+  // Set once the user has been warned that the save un-reconciles the account;
+  // the next Update goes through
+  const [reconciledWarned, setReconciledWarned] = useState(false);
+  // After a recategorising save: a rule draft to offer, and whether its
+  // dialog is open
+  const [suggestedRule, setSuggestedRule] = useState(null);
+  const [ruleDialogOpen, setRuleDialogOpen] = useState(false);
   const amountInputRef = useRef(null);
   const categoryInputRef = useRef(null); // Ref for Category field focus chaining
   const initializedTransactionIdRef = useRef(null); // Track which transaction has been initialized to prevent refresh reset
@@ -63,6 +102,8 @@ function EditTransactionDialog({ open, onClose, transaction }) {
       currency: '',
       description: '',
       entityName: '',
+      splits: [],
+      tags: [],
       type: 'Expense',
       status: 'Cleared',
       date: format(new Date(), 'yyyy-MM-dd'),
@@ -88,6 +129,8 @@ function EditTransactionDialog({ open, onClose, transaction }) {
         currency: transaction.currency,
         description: transaction.description || '',
         entityName: transaction.entity_name || '',
+        splits: fromSplitRows(transaction.splits),
+        tags: currentTagNames,
         type: transaction.type,
         status: transaction.status,
         date: dateForInput,
@@ -98,6 +141,9 @@ function EditTransactionDialog({ open, onClose, transaction }) {
       setDeleteError(null);
       setIsDeleting(false);
       setDeleteConfirmOpen(false);
+      setReconciledWarned(false);
+      setSuggestedRule(null);
+      setRuleDialogOpen(false);
 
       // Focus amount field after a short delay to ensure the dialog is rendered
       setTimeout(() => {
@@ -109,7 +155,7 @@ function EditTransactionDialog({ open, onClose, transaction }) {
     if (!open) {
       initializedTransactionIdRef.current = null;
     }
-  }, [open, transaction, reset]);
+  }, [open, transaction, reset, currentTagNames]);
 
   // Auto-set currency when account is selected
   useEffect(() => {
@@ -127,6 +173,9 @@ function EditTransactionDialog({ open, onClose, transaction }) {
     setDeleteError(null);
     setIsDeleting(false);
     setDeleteConfirmOpen(false);
+    setReconciledWarned(false);
+    setSuggestedRule(null);
+    setRuleDialogOpen(false);
     reset();
     onClose();
   };
@@ -147,16 +196,40 @@ function EditTransactionDialog({ open, onClose, transaction }) {
       return;
     }
 
+    // A reconciled row agrees with a bank statement; changing what it does to
+    // the balance takes a second, deliberate Update
+    if (changesReconciledBalance(transaction, data) && !reconciledWarned) {
+      setReconciledWarned(true);
+      return;
+    }
+
     setIsSubmitting(true);
     setActionError(null);
     try {
+      const { tags, ...updates } = data;
       await dispatch(
         updateTransaction({
           transactionId: transaction.transaction_id,
-          updates: data,
+          updates,
         })
       ).unwrap();
+      // Tags live in their own table; only touch them when they changed
+      if ([...(tags || [])].sort().join(',') !== currentTagNames.join(',')) {
+        dispatch(
+          setTransactionTags({
+            transactionId: transaction.transaction_id,
+            names: tags || [],
+          })
+        );
+      }
 
+      // Moved to another category by hand: offer to do it automatically
+      // next time, instead of closing
+      const suggestion = suggestRuleFromEdit(transaction, data, rules);
+      if (suggestion) {
+        setSuggestedRule(suggestion);
+        return;
+      }
       handleClose();
     } catch (err) {
       console.error('Error updating transaction:', err);
@@ -219,67 +292,135 @@ function EditTransactionDialog({ open, onClose, transaction }) {
               backgroundColor: 'background.paper',
             }}
           >
-            <Button
-              onClick={handleDeleteClick}
-              color="error"
-              disabled={isSubmitting}
-              startIcon={<DeleteIcon sx={{ fontSize: { xs: 18, sm: 20 } }} />}
-              sx={{ textTransform: 'none', flex: 1 }}
-            >
-              Delete
-            </Button>
-            <Button
-              onClick={handleClose}
-              disabled={isSubmitting}
-              sx={{ textTransform: 'none', flex: 1 }}
-            >
-              Cancel
-            </Button>
-            <Button
-              type="submit"
-              variant="contained"
-              disabled={isSubmitting}
-              startIcon={
-                isSubmitting ? (
-                  <CircularProgress size={16} color="inherit" />
-                ) : null
-              }
-              sx={{ textTransform: 'none', flex: 1 }}
-            >
-              {isSubmitting ? 'Updating...' : 'Update'}
-            </Button>
+            {suggestedRule ? (
+              <>
+                <Button onClick={handleClose} sx={{ textTransform: 'none', flex: 1 }}>
+                  No thanks
+                </Button>
+                <Button
+                  variant="contained"
+                  onClick={() => setRuleDialogOpen(true)}
+                  sx={{ textTransform: 'none', flex: 1 }}
+                >
+                  Create rule…
+                </Button>
+              </>
+            ) : (
+              <>
+                <Button
+                  onClick={handleDeleteClick}
+                  color="error"
+                  disabled={isSubmitting}
+                  startIcon={<DeleteIcon sx={{ fontSize: { xs: 18, sm: 20 } }} />}
+                  sx={{ textTransform: 'none', flex: 1 }}
+                >
+                  Delete
+                </Button>
+                <Button
+                  onClick={handleClose}
+                  disabled={isSubmitting}
+                  sx={{ textTransform: 'none', flex: 1 }}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  disabled={isSubmitting}
+                  startIcon={
+                    isSubmitting ? (
+                      <CircularProgress size={16} color="inherit" />
+                    ) : null
+                  }
+                  sx={{ textTransform: 'none', flex: 1 }}
+                >
+                  {isSubmitting
+                    ? 'Updating...'
+                    : reconciledWarned
+                    ? 'Update anyway'
+                    : 'Update'}
+                </Button>
+              </>
+            )}
           </Box>
         }
       >
-            {actionError && (
-              <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
-                {actionError}
-              </Alert>
+            {suggestedRule ? (
+              <>
+                <Alert severity="success" sx={{ mb: 2 }}>
+                  Saved.
+                </Alert>
+                <Typography variant="body2">
+                  File new transactions whose description contains “
+                  {suggestedRule.descriptionPattern}” under{' '}
+                  {getCategoryName(suggestedRule.setCategoryId)} automatically? A
+                  categorisation rule can do that.
+                </Typography>
+              </>
+            ) : (
+              <>
+                {actionError && (
+                  <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+                    {actionError}
+                  </Alert>
+                )}
+                {isReconciled(transaction) && (
+                  <Alert
+                    severity="warning"
+                    sx={{ mb: 2 }}
+                    variant={reconciledWarned ? 'filled' : 'standard'}
+                  >
+                    {reconciledWarned
+                      ? 'This changes the balance of a reconciled transaction, so the account will no longer match its statement. Press Update anyway to save.'
+                      : 'Reconciled against a statement. Changing the amount, account, type, date or status will put the account out of balance.'}
+                  </Alert>
+                )}
+                <TransactionFormFields
+                  register={register}
+                  setValue={setValue}
+                  watch={watch}
+                  errors={errors}
+                  accounts={accounts}
+                  categories={categories}
+                  amountInputRef={amountInputRef}
+                  categoryInputRef={categoryInputRef}
+                  excludeTransactionId={transaction?.transaction_id}
+                  allowSplit
+                  allowTags
+                />
+                <TransactionAttachments
+                  transactionId={transaction.transaction_id}
+                  disabled={isSubmitting}
+                />
+              </>
             )}
-            <TransactionFormFields
-              register={register}
-              setValue={setValue}
-              watch={watch}
-              errors={errors}
-              accounts={accounts}
-              categories={categories}
-              amountInputRef={amountInputRef}
-              categoryInputRef={categoryInputRef}
-              excludeTransactionId={transaction?.transaction_id}
-            />
       </AppDialog>
 
+      <CategorizationRuleDialog
+        open={ruleDialogOpen}
+        onClose={handleClose}
+        initialValues={suggestedRule}
+      />
+
       {/* Delete confirmation — shared destructive-confirm modal */}
       <ConfirmDeleteDialog
         open={deleteConfirmOpen}
         onClose={handleDeleteCancel}
         onConfirm={handleDeleteConfirm}
         title="Delete Transaction?"
-        description={
+        description={`${
           transaction?.type?.includes('Transfer')
             ? "This can't be undone. Both transfer transactions will be deleted."
             : "This can't be undone."
-        }
+        }${
+          attachmentCount > 0
+            ? ` Its ${attachmentCount === 1 ? 'attachment' : 'attachments'} will be deleted too.`
+            : ''
+        }${
+          isReconciled(transaction)
+            ? ' It is reconciled, so the account will no longer match its statement.'
+            : ''
+        }`}
         isDeleting={isDeleting}
         error={deleteError}
       />
@@ -0,0 +1,292 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Grid,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { format } from 'date-fns';
+import {
+  createManualExchangeRate,
+  deleteExchangeRate,
+  updateExchangeRate,
+} from '../../store/slices/exchangeRatesSlice';
+import { exchangeRateSchema } from '../../schemas/exchangeRateSchema';
+import { selectBaseCurrency } from '../../store/selectors';
+import AppDialog from './AppDialog';
+import ConfirmDeleteDialog from './ConfirmDeleteDialog';
+
+/**
+ * Add or edit a manual exchange rate. The rate applies to transactions from
+ * its date until the next rate for the same pair.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object|null} editingRate - manual exchange_rates row, or null to add
+ * @param {Object} [initialPair] - { fromCurrency, toCurrency } to start a new
+ *   rate with (a missing pair)
+ */
+export default function ExchangeRateDialog({
+  open,
+  onClose,
+  editingRate = null,
+  initialPair = null,
+}) {
+  const dispatch = useDispatch();
+  const baseCurrency = useSelector(selectBaseCurrency);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(exchangeRateSchema),
+    defaultValues: {
+      date: '',
+      fromCurrency: '',
+      toCurrency: baseCurrency,
+      rate: '',
+      description: '',
+    },
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    if (editingRate) {
+      reset({
+        date: format(new Date(editingRate.date), 'yyyy-MM-dd'),
+        fromCurrency: editingRate.from_currency,
+        toCurrency: editingRate.to_currency,
+        rate: Number(editingRate.rate),
+        description: editingRate.description || '',
+      });
+    } else {
+      reset({
+        date: format(new Date(), 'yyyy-MM-dd'),
+        fromCurrency: initialPair?.fromCurrency || '',
+        toCurrency: initialPair?.toCurrency || baseCurrency,
+        rate: '',
+        description: '',
+      });
+    }
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    setIsSubmitting(false);
+    setIsDeleting(false);
+  }, [open, editingRate, initialPair, baseCurrency, reset]);
+
+  const values = watch();
+
+  const handleClose = () => {
+    if (isSubmitting || isDeleting) return;
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    onClose();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    const payload = {
+      date: data.date,
+      fromCurrency: data.fromCurrency,
+      toCurrency: data.toCurrency,
+      rate: data.rate,
+      description: data.description,
+    };
+    try {
+      if (editingRate) {
+        await dispatch(
+          updateExchangeRate({
+            exchangeRateId: editingRate.exchange_rate_id,
+            updates: payload,
+          })
+        ).unwrap();
+      } else {
+        await dispatch(createManualExchangeRate(payload)).unwrap();
+      }
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      await dispatch(deleteExchangeRate(editingRate.exchange_rate_id)).unwrap();
+      setDeleteConfirm(false);
+      onClose();
+    } catch (err) {
+      setDeleteError(err?.message || 'Failed to delete. Please try again.');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const busy = isSubmitting || isDeleting;
+  const from = (values.fromCurrency || '').toUpperCase();
+  const to = (values.toCurrency || '').toUpperCase();
+  const rate = Number(values.rate);
+
+  const currencyField = (name, label) => (
+    <TextField
+      fullWidth
+      label={label}
+      {...register(name)}
+      error={!!errors[name]}
+      helperText={errors[name]?.message}
+      inputProps={{ maxLength: 3, style: { textTransform: 'uppercase' } }}
+      onChange={(e) => setValue(name, e.target.value.toUpperCase())}
+    />
+  );
+
+  return (
+    <>
+      <AppDialog
+        open={open}
+        onClose={handleClose}
+        title={editingRate ? 'Edit Exchange Rate' : 'Add Exchange Rate'}
+        onSubmit={handleSubmit(onSubmit)}
+        contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+        footer={
+          <Box
+            sx={{
+              flexShrink: 0,
+              p: { xs: 1.5, sm: 2 },
+              gap: 1,
+              display: 'flex',
+              justifyContent: 'space-between',
+              borderTop: '1px solid',
+              borderColor: 'divider',
+              backgroundColor: 'background.paper',
+            }}
+          >
+            <Box>
+              {editingRate && (
+                <Button
+                  color="error"
+                  onClick={() => setDeleteConfirm(true)}
+                  disabled={busy}
+                  startIcon={<DeleteIcon />}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Delete
+                </Button>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button onClick={handleClose} disabled={busy} sx={{ textTransform: 'none' }}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="contained"
+                disabled={busy}
+                startIcon={
+                  isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+                }
+                sx={{ textTransform: 'none', minWidth: 100 }}
+              >
+                {isSubmitting ? 'Saving...' : editingRate ? 'Update' : 'Add'}
+              </Button>
+            </Box>
+          </Box>
+        }
+      >
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Effective from *"
+              {...register('date')}
+              error={!!errors.date}
+              helperText={
+                errors.date?.message ||
+                'Used for transactions on and after this date, until the next rate for the pair'
+              }
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            {currencyField('fromCurrency', 'From *')}
+          </Grid>
+          <Grid item xs={6}>
+            {currencyField('toCurrency', 'To *')}
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Rate *"
+              {...register('rate', { valueAsNumber: true })}
+              error={!!errors.rate}
+              helperText={
+                errors.rate?.message ||
+                (rate > 0 && from.length === 3 && to.length === 3
+                  ? `1 ${from} = ${rate} ${to}`
+                  : `How many ${to || 'to-currency units'} one ${from || 'from-currency unit'} buys`)
+              }
+              inputProps={{ step: 'any', min: '0' }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Note"
+              {...register('description')}
+              placeholder="e.g., Bank rate"
+            />
+          </Grid>
+          {editingRate && (
+            <Grid item xs={12}>
+              <Typography variant="caption" color="text.secondary">
+                Changing the rate changes how past transactions in this pair
+                convert in reports and budgets.
+              </Typography>
+            </Grid>
+          )}
+        </Grid>
+      </AppDialog>
+
+      <ConfirmDeleteDialog
+        open={deleteConfirm && !!editingRate}
+        onClose={() => {
+          setDeleteConfirm(false);
+          setDeleteError(null);
+        }}
+        onConfirm={handleDelete}
+        title="Delete this exchange rate?"
+        description="Transactions it covered will use the pair's other rates, or be counted unconverted if there are none."
+        isDeleting={isDeleting}
+        error={deleteError}
+      />
+    </>
+  );
+}
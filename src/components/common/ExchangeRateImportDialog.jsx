@@ -0,0 +1,166 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { format, parseISO } from 'date-fns';
+import { importExchangeRates } from '../../store/slices/exchangeRatesSlice';
+import { selectExchangeRates } from '../../store/selectors';
+import { parseRateTable } from '../../utils/exchangeRates';
+import AppDialog from './AppDialog';
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Paste a table of rates (date, from, to, rate per line, as copied from a
+ * spreadsheet or a bank's rate history) and save them as manual rates. Lines
+ * that can't be read are listed and left out; the rest import together.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ */
+export default function ExchangeRateImportDialog({ open, onClose }) {
+  const dispatch = useDispatch();
+  const exchangeRates = useSelector(selectExchangeRates);
+  const [text, setText] = useState('');
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setText('');
+    setActionError(null);
+    setIsSubmitting(false);
+  }, [open]);
+
+  const parsed = useMemo(
+    () => parseRateTable(text, exchangeRates),
+    [text, exchangeRates]
+  );
+
+  const handleClose = () => {
+    if (isSubmitting) return;
+    onClose();
+  };
+
+  const handleImport = async () => {
+    setIsSubmitting(true);
+    setActionError(null);
+    try {
+      await dispatch(importExchangeRates(parsed.rows)).unwrap();
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to import. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const { rows, errors, duplicates } = parsed;
+
+  return (
+    <AppDialog
+      open={open}
+      onClose={handleClose}
+      title="Paste Exchange Rates"
+      contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+      footer={
+        <Box
+          sx={{
+            flexShrink: 0,
+            p: { xs: 1.5, sm: 2 },
+            gap: 1,
+            display: 'flex',
+            justifyContent: 'flex-end',
+            borderTop: '1px solid',
+            borderColor: 'divider',
+            backgroundColor: 'background.paper',
+          }}
+        >
+          <Button onClick={handleClose} disabled={isSubmitting} sx={{ textTransform: 'none' }}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={isSubmitting || rows.length === 0}
+            startIcon={
+              isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+            }
+            sx={{ textTransform: 'none', minWidth: 100 }}
+          >
+            {isSubmitting
+              ? 'Importing...'
+              : rows.length > 0
+              ? `Import ${rows.length}`
+              : 'Import'}
+          </Button>
+        </Box>
+      }
+    >
+      {actionError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+          {actionError}
+        </Alert>
+      )}
+      <TextField
+        fullWidth
+        multiline
+        minRows={6}
+        maxRows={14}
+        label="Rates"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={'2026-01-31\tUSD\tETB\t155.20\n2026-02-28\tUSD\tETB\t156.05'}
+        helperText="One rate per line: date, from, to, rate. Tabs, commas or semicolons between them."
+        InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8125rem' } }}
+      />
+
+      {rows.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+            {rows.length} rate{rows.length === 1 ? '' : 's'} to import
+          </Typography>
+          {rows.slice(0, PREVIEW_ROWS).map((row) => (
+            <Typography
+              key={row.line}
+              variant="body2"
+              color="text.secondary"
+              sx={{ fontSize: '0.8125rem' }}
+            >
+              {format(parseISO(row.date), 'MMM dd, yyyy')} · 1 {row.fromCurrency} ={' '}
+              {row.rate} {row.toCurrency}
+            </Typography>
+          ))}
+          {rows.length > PREVIEW_ROWS && (
+            <Typography variant="caption" color="text.secondary">
+              and {rows.length - PREVIEW_ROWS} more
+            </Typography>
+          )}
+        </Box>
+      )}
+
+      {duplicates > 0 && (
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+          {duplicates} line{duplicates === 1 ? '' : 's'} already saved, skipped
+        </Typography>
+      )}
+
+      {errors.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {`${errors.length} line${errors.length === 1 ? '' : 's'} can't be read and won't be imported:`}
+          {errors.slice(0, PREVIEW_ROWS).map((error) => (
+            <Box key={error.line} component="div" sx={{ fontSize: '0.8125rem' }}>
+              Line {error.line}: {error.message}
+            </Box>
+          ))}
+        </Alert>
+      )}
+    </AppDialog>
+  );
+}
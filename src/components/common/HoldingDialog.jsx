@@ -0,0 +1,261 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Grid,
+  MenuItem,
+  TextField,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  createHolding,
+  deleteHolding,
+  updateHolding,
+} from '../../store/slices/investmentsSlice';
+import { holdingSchema } from '../../schemas/investmentSchema';
+import { COST_METHODS } from '../../utils/investments';
+import AppDialog from './AppDialog';
+import ConfirmDeleteDialog from './ConfirmDeleteDialog';
+
+/**
+ * Add a security to an Investment account, or edit one. The symbol is what
+ * prices are filed under; the currency is the one it trades and is priced in,
+ * which can differ from the account's.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object} account - the Investment account
+ * @param {Object|null} editingHolding - holdings row, or null to add
+ */
+export default function HoldingDialog({ open, onClose, account, editingHolding = null }) {
+  const dispatch = useDispatch();
+  const { trades } = useSelector((state) => state.investments);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(holdingSchema),
+    defaultValues: { symbol: '', name: '', currency: 'USD', costMethod: 'FIFO' },
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    reset(
+      editingHolding
+        ? {
+            symbol: editingHolding.symbol,
+            name: editingHolding.name || '',
+            currency: editingHolding.currency,
+            costMethod: editingHolding.cost_method,
+          }
+        : {
+            symbol: '',
+            name: '',
+            currency: account?.currency || 'USD',
+            costMethod: 'FIFO',
+          }
+    );
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+  }, [open, editingHolding, account, reset]);
+
+  const costMethod = watch('costMethod');
+  const tradeCount = editingHolding
+    ? trades.filter((t) => t.holding_id === editingHolding.holding_id).length
+    : 0;
+
+  const handleClose = () => {
+    if (isSubmitting || isDeleting) return;
+    onClose();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    const payload = {
+      symbol: data.symbol,
+      name: data.name || '',
+      currency: data.currency,
+      costMethod: data.costMethod,
+    };
+    try {
+      if (editingHolding) {
+        await dispatch(
+          updateHolding({ holdingId: editingHolding.holding_id, updates: payload })
+        ).unwrap();
+      } else {
+        await dispatch(
+          createHolding({ ...payload, accountId: account.account_id })
+        ).unwrap();
+      }
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      await dispatch(deleteHolding(editingHolding.holding_id)).unwrap();
+      setDeleteConfirm(false);
+      onClose();
+    } catch (err) {
+      setDeleteError(err?.message || 'Failed to delete. Please try again.');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const busy = isSubmitting || isDeleting;
+
+  return (
+    <>
+      <AppDialog
+        open={open}
+        onClose={handleClose}
+        title={editingHolding ? `Edit ${editingHolding.symbol}` : 'Add Holding'}
+        onSubmit={handleSubmit(onSubmit)}
+        maxWidth="xs"
+        contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+        footer={
+          <Box
+            sx={{
+              flexShrink: 0,
+              p: { xs: 1.5, sm: 2 },
+              gap: 1,
+              display: 'flex',
+              justifyContent: 'space-between',
+              borderTop: '1px solid',
+              borderColor: 'divider',
+              backgroundColor: 'background.paper',
+            }}
+          >
+            <Box>
+              {editingHolding && (
+                <Button
+                  color="error"
+                  onClick={() => setDeleteConfirm(true)}
+                  disabled={busy}
+                  startIcon={<DeleteIcon />}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Delete
+                </Button>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button onClick={handleClose} disabled={busy} sx={{ textTransform: 'none' }}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="contained"
+                disabled={busy}
+                startIcon={
+                  isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+                }
+                sx={{ textTransform: 'none', minWidth: 100 }}
+              >
+                {isSubmitting ? 'Saving...' : editingHolding ? 'Update' : 'Add'}
+              </Button>
+            </Box>
+          </Box>
+        }
+      >
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={7}>
+            <TextField
+              fullWidth
+              label="Symbol *"
+              {...register('symbol')}
+              error={!!errors.symbol}
+              helperText={errors.symbol?.message}
+              placeholder="e.g., VWRL"
+              inputProps={{ style: { textTransform: 'uppercase' } }}
+              onChange={(e) => setValue('symbol', e.target.value.toUpperCase())}
+            />
+          </Grid>
+          <Grid item xs={5}>
+            <TextField
+              fullWidth
+              label="Currency *"
+              {...register('currency')}
+              error={!!errors.currency}
+              helperText={errors.currency?.message}
+              inputProps={{ maxLength: 3, style: { textTransform: 'uppercase' } }}
+              onChange={(e) => setValue('currency', e.target.value.toUpperCase())}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Name"
+              {...register('name')}
+              placeholder="e.g., Vanguard FTSE All-World"
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              select
+              fullWidth
+              label="Cost basis"
+              value={costMethod}
+              onChange={(e) => setValue('costMethod', e.target.value)}
+              helperText={
+                COST_METHODS.find((method) => method.value === costMethod)?.hint
+              }
+            >
+              {COST_METHODS.map((method) => (
+                <MenuItem key={method.value} value={method.value}>
+                  {method.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        </Grid>
+      </AppDialog>
+
+      <ConfirmDeleteDialog
+        open={deleteConfirm}
+        onClose={() => {
+          setDeleteConfirm(false);
+          setDeleteError(null);
+        }}
+        onConfirm={handleDelete}
+        title={`Delete ${editingHolding?.symbol || 'this holding'}?`}
+        description={
+          tradeCount > 0
+            ? `Its ${tradeCount} trade${tradeCount === 1 ? '' : 's'} go with it, and the cash they moved comes off the account's balance. This can't be undone.`
+            : "This can't be undone."
+        }
+        isDeleting={isDeleting}
+        error={deleteError}
+      />
+    </>
+  );
+}
@@ -0,0 +1,429 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Grid,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { format } from 'date-fns';
+import {
+  createTrade,
+  deleteTrade,
+  updateTrade,
+} from '../../store/slices/investmentsSlice';
+import { selectExchangeRates } from '../../store/selectors';
+import { tradeSchema } from '../../schemas/investmentSchema';
+import {
+  buildExchangeRateLookup,
+  convertAmountWithLookup,
+  formatCurrency,
+} from '../../utils/currencyConversion';
+import { TRADE_KINDS, buildPosition, tradeCashAmount } from '../../utils/investments';
+import AppDialog from './AppDialog';
+import ConfirmDeleteDialog from './ConfirmDeleteDialog';
+
+const numberOrEmpty = (value) =>
+  value === null || value === undefined ? '' : Number(value);
+
+/**
+ * Record a buy, sell or dividend for a holding, or edit one. The trade
+ * settles in the holding's account: what it pays or brings in is worked out
+ * from the quantity, price and fees, and converted at the latest rate when
+ * the holding is priced in another currency. In that case the amount stays
+ * editable, so the figure on the broker's statement can go in instead.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object} holding - holdings row
+ * @param {Object} account - the holding's account
+ * @param {Object|null} editingTrade - holding_trades row, or null to record
+ * @param {string} [defaultKind] - kind to start a new trade as
+ */
+export default function HoldingTradeDialog({
+  open,
+  onClose,
+  holding,
+  account,
+  editingTrade = null,
+  defaultKind = 'Buy',
+}) {
+  const dispatch = useDispatch();
+  const { trades } = useSelector((state) => state.investments);
+  const exchangeRates = useSelector(selectExchangeRates);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+  // Once the cash amount is typed in by hand it stops following the fields
+  const [cashEdited, setCashEdited] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(tradeSchema),
+    defaultValues: {
+      kind: defaultKind,
+      tradeDate: format(new Date(), 'yyyy-MM-dd'),
+      quantity: '',
+      price: '',
+      fees: '',
+      amount: '',
+      cashAmount: 0,
+      notes: '',
+    },
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    reset(
+      editingTrade
+        ? {
+            kind: editingTrade.kind,
+            tradeDate: editingTrade.trade_date,
+            quantity: numberOrEmpty(editingTrade.quantity) || '',
+            price: numberOrEmpty(editingTrade.price),
+            fees: numberOrEmpty(editingTrade.fees) || '',
+            amount: numberOrEmpty(editingTrade.amount) || '',
+            cashAmount: Number(editingTrade.cash_amount),
+            notes: editingTrade.notes || '',
+          }
+        : {
+            kind: defaultKind,
+            tradeDate: format(new Date(), 'yyyy-MM-dd'),
+            quantity: '',
+            price: '',
+            fees: '',
+            amount: '',
+            cashAmount: 0,
+            notes: '',
+          }
+    );
+    setCashEdited(!!editingTrade);
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+  }, [open, editingTrade, defaultKind, reset]);
+
+  const values = watch();
+  const holdingCurrency = holding?.currency;
+  const accountCurrency = account?.currency;
+  const crossCurrency =
+    !!holdingCurrency && !!accountCurrency && holdingCurrency !== accountCurrency;
+
+  // Holding currency -> account currency at the latest rate, null if unknown
+  const rate = useMemo(() => {
+    if (!crossCurrency) return 1;
+    return convertAmountWithLookup(
+      1,
+      holdingCurrency,
+      accountCurrency,
+      buildExchangeRateLookup(exchangeRates)
+    );
+  }, [crossCurrency, holdingCurrency, accountCurrency, exchangeRates]);
+
+  const computedCash = tradeCashAmount(
+    {
+      kind: values.kind,
+      quantity: values.quantity,
+      price: values.price,
+      fees: values.fees,
+      amount: values.amount,
+    },
+    rate ?? 1
+  );
+
+  useEffect(() => {
+    if (!cashEdited || !crossCurrency) setValue('cashAmount', computedCash);
+  }, [computedCash, cashEdited, crossCurrency, setValue]);
+
+  // What was held on the trade's date without this trade, for a sell
+  const heldOnDate = useMemo(() => {
+    if (!holding || values.kind !== 'Sell') return null;
+    const others = trades.filter(
+      (t) =>
+        t.holding_id === holding.holding_id &&
+        t.trade_id !== editingTrade?.trade_id
+    );
+    return buildPosition(holding, others, { asOf: values.tradeDate }).quantity;
+  }, [holding, trades, editingTrade, values.kind, values.tradeDate]);
+
+  const handleClose = () => {
+    if (isSubmitting || isDeleting) return;
+    onClose();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    const isDividend = data.kind === 'Dividend';
+    // The amount is typed without a sign; a buy is money out
+    const cash = Math.abs(data.cashAmount);
+    const payload = {
+      kind: data.kind,
+      tradeDate: data.tradeDate,
+      quantity: isDividend ? 0 : data.quantity,
+      price: isDividend ? 0 : data.price,
+      fees: data.fees ?? 0,
+      amount: isDividend ? data.amount : 0,
+      cashAmount: data.kind === 'Buy' ? -cash : cash,
+      notes: data.notes || '',
+    };
+    try {
+      if (editingTrade) {
+        await dispatch(
+          updateTrade({ tradeId: editingTrade.trade_id, updates: payload })
+        ).unwrap();
+      } else {
+        await dispatch(
+          createTrade({ ...payload, holdingId: holding.holding_id })
+        ).unwrap();
+      }
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      await dispatch(deleteTrade(editingTrade.trade_id)).unwrap();
+      setDeleteConfirm(false);
+      onClose();
+    } catch (err) {
+      setDeleteError(err?.message || 'Failed to delete. Please try again.');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const busy = isSubmitting || isDeleting;
+  const isDividend = values.kind === 'Dividend';
+  const cashLabel =
+    values.kind === 'Buy'
+      ? 'Paid from the account'
+      : 'Received into the account';
+
+  return (
+    <>
+      <AppDialog
+        open={open}
+        onClose={handleClose}
+        title={
+          editingTrade
+            ? `Edit ${editingTrade.kind.toLowerCase()} of ${holding?.symbol || ''}`
+            : `Record trade · ${holding?.symbol || ''}`
+        }
+        onSubmit={handleSubmit(onSubmit)}
+        maxWidth="xs"
+        contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+        footer={
+          <Box
+            sx={{
+              flexShrink: 0,
+              p: { xs: 1.5, sm: 2 },
+              gap: 1,
+              display: 'flex',
+              justifyContent: 'space-between',
+              borderTop: '1px solid',
+              borderColor: 'divider',
+              backgroundColor: 'background.paper',
+            }}
+          >
+            <Box>
+              {editingTrade && (
+                <Button
+                  color="error"
+                  onClick={() => setDeleteConfirm(true)}
+                  disabled={busy}
+                  startIcon={<DeleteIcon />}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Delete
+                </Button>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button onClick={handleClose} disabled={busy} sx={{ textTransform: 'none' }}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="contained"
+                disabled={busy}
+                startIcon={
+                  isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+                }
+                sx={{ textTransform: 'none', minWidth: 100 }}
+              >
+                {isSubmitting ? 'Saving...' : editingTrade ? 'Update' : 'Record'}
+              </Button>
+            </Box>
+          </Box>
+        }
+      >
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <ToggleButtonGroup
+              exclusive
+              fullWidth
+              size="small"
+              value={values.kind}
+              onChange={(_, kind) => kind && setValue('kind', kind)}
+            >
+              {TRADE_KINDS.map((kind) => (
+                <ToggleButton key={kind} value={kind} sx={{ textTransform: 'none' }}>
+                  {kind}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Date *"
+              {...register('tradeDate')}
+              error={!!errors.tradeDate}
+              helperText={errors.tradeDate?.message}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          {isDividend ? (
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                type="number"
+                label={`Amount (${holdingCurrency || ''}) *`}
+                {...register('amount', { valueAsNumber: true })}
+                error={!!errors.amount}
+                helperText={errors.amount?.message}
+                inputProps={{ step: '0.01', min: '0' }}
+              />
+            </Grid>
+          ) : (
+            <>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Quantity *"
+                  {...register('quantity', { valueAsNumber: true })}
+                  error={!!errors.quantity}
+                  helperText={
+                    errors.quantity?.message ||
+                    (heldOnDate !== null ? `${heldOnDate} held then` : '')
+                  }
+                  inputProps={{ step: 'any', min: '0' }}
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label={`Price (${holdingCurrency || ''}) *`}
+                  {...register('price', { valueAsNumber: true })}
+                  error={!!errors.price}
+                  helperText={errors.price?.message}
+                  inputProps={{ step: 'any', min: '0' }}
+                />
+              </Grid>
+            </>
+          )}
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              type="number"
+              label={isDividend ? 'Tax withheld' : 'Fees'}
+              {...register('fees', { valueAsNumber: true })}
+              error={!!errors.fees}
+              helperText={errors.fees?.message}
+              inputProps={{ step: '0.01', min: '0' }}
+            />
+          </Grid>
+          {crossCurrency ? (
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                type="number"
+                label={`${cashLabel} (${accountCurrency}) *`}
+                value={Number.isNaN(values.cashAmount) ? '' : Math.abs(values.cashAmount ?? 0)}
+                onChange={(e) => {
+                  setCashEdited(true);
+                  const amount = parseFloat(e.target.value);
+                  setValue(
+                    'cashAmount',
+                    Number.isNaN(amount)
+                      ? NaN
+                      : values.kind === 'Buy'
+                      ? -amount
+                      : amount,
+                    { shouldValidate: !!errors.cashAmount }
+                  );
+                }}
+                error={!!errors.cashAmount}
+                helperText={
+                  errors.cashAmount?.message ||
+                  (rate === null
+                    ? `No ${holdingCurrency}/${accountCurrency} rate on record; enter the amount from your statement`
+                    : cashEdited
+                    ? `At the latest rate: ${formatCurrency(Math.abs(computedCash), accountCurrency)}`
+                    : 'At the latest rate; change it to match your statement')
+                }
+                inputProps={{ step: '0.01', min: '0' }}
+              />
+            </Grid>
+          ) : (
+            <Grid item xs={12}>
+              <Typography variant="body2" color="text.secondary">
+                {cashLabel}:{' '}
+                <Box component="span" sx={{ fontWeight: 600, color: 'text.primary' }}>
+                  {formatCurrency(Math.abs(computedCash), accountCurrency)}
+                </Box>
+              </Typography>
+            </Grid>
+          )}
+          <Grid item xs={12}>
+            <TextField fullWidth label="Notes" {...register('notes')} />
+          </Grid>
+        </Grid>
+      </AppDialog>
+
+      <ConfirmDeleteDialog
+        open={deleteConfirm}
+        onClose={() => {
+          setDeleteConfirm(false);
+          setDeleteError(null);
+        }}
+        onConfirm={handleDelete}
+        title="Delete this trade?"
+        description="The cash it moved comes off the account's balance. This can't be undone."
+        isDeleting={isDeleting}
+        error={deleteError}
+      />
+    </>
+  );
+}
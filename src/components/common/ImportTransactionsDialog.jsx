@@ -0,0 +1,719 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { batchCreateTransactions } from '../../store/slices/transactionsSlice';
+import {
+  selectCategorizationRules,
+  selectDefaultAccountId,
+} from '../../store/selectors';
+import { flattenCategoryTree } from '../../utils/categoryHierarchy';
+import { applyRules } from '../../utils/categorizationRules';
+import { formatCurrency } from '../../utils/currencyConversion';
+import {
+  DEFAULT_DUPLICATE_WINDOW_DAYS,
+  detectStatementFormat,
+  findLikelyDuplicates,
+  guessColumnMapping,
+  mapCsvRows,
+  parseCsv,
+  parseOfx,
+  parseQif,
+} from '../../utils/statementImport';
+import CategoryAutocomplete from './CategoryAutocomplete';
+
+// batchCreateTransactions accepts at most this many rows per call
+const BATCH_LIMIT = 1000;
+
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description' },
+  { key: 'amount', label: 'Amount (signed)' },
+  { key: 'debit', label: 'Money out' },
+  { key: 'credit', label: 'Money in' },
+  { key: 'account', label: 'Account' },
+];
+
+/**
+ * Statement import wizard. Reads a CSV, OFX/QFX or QIF file, lets the user map
+ * CSV columns (OFX and QIF carry their own structure), then previews every row
+ * with likely duplicates of existing transactions unticked. Accepted rows are
+ * posted through batchCreateTransactions.
+ *
+ * Steps: 'file' → 'map' (CSV only) → 'review'.
+ */
+function ImportTransactionsDialog({ open, onClose }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const { accounts } = useSelector((state) => state.accounts);
+  const { categories } = useSelector((state) => state.categories);
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const defaultAccountId = useSelector(selectDefaultAccountId);
+  const rules = useSelector(selectCategorizationRules);
+
+  const fileInputRef = useRef(null);
+  const [step, setStep] = useState('file');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState(null);
+  const [csv, setCsv] = useState({ headers: [], rows: [] });
+  const [parsedEntries, setParsedEntries] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [dateOrder, setDateOrder] = useState('auto');
+  const [invertAmounts, setInvertAmounts] = useState(false);
+  const [accountId, setAccountId] = useState('');
+  // Raw account label from the file -> app account id
+  const [accountByLabel, setAccountByLabel] = useState({});
+  const [expenseCategoryId, setExpenseCategoryId] = useState('');
+  const [incomeCategoryId, setIncomeCategoryId] = useState('');
+  const [windowDays, setWindowDays] = useState(DEFAULT_DUPLICATE_WINDOW_DAYS);
+  // Rows the user flipped away from the default (duplicates start unticked,
+  // everything else ticked)
+  const [toggled, setToggled] = useState(new Set());
+  // Rows already posted. An import goes out in batches, so when a later one
+  // fails these stay out of the retry instead of being posted twice.
+  const [imported, setImported] = useState(new Set());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeAccounts = useMemo(
+    () => accounts.filter((a) => a.status === 'Active'),
+    [accounts]
+  );
+  const accountMap = useMemo(
+    () => new Map(accounts.map((a) => [a.account_id, a])),
+    [accounts]
+  );
+
+  useEffect(() => {
+    if (open) {
+      setStep('file');
+      setFileName('');
+      setFormat(null);
+      setCsv({ headers: [], rows: [] });
+      setParsedEntries([]);
+      setMapping(null);
+      setDateOrder('auto');
+      setInvertAmounts(false);
+      setAccountId(defaultAccountId || '');
+      setAccountByLabel({});
+      setExpenseCategoryId('');
+      setIncomeCategoryId('');
+      setWindowDays(DEFAULT_DUPLICATE_WINDOW_DAYS);
+      setToggled(new Set());
+      setImported(new Set());
+      setIsSubmitting(false);
+      setError(null);
+    }
+  }, [open, defaultAccountId]);
+
+  // Normalized entries from whichever parser applies
+  const entries = useMemo(() => {
+    if (format === 'csv' && mapping) {
+      return mapCsvRows(csv.rows, mapping, { dateOrder, invertAmounts });
+    }
+    return parsedEntries;
+  }, [format, mapping, csv.rows, dateOrder, invertAmounts, parsedEntries]);
+
+  // Distinct account labels in the file, for the per-label account picker
+  const accountLabels = useMemo(
+    () => [...new Set(entries.map((e) => e.account).filter(Boolean))],
+    [entries]
+  );
+
+  // Pre-match file account labels to app accounts by name (or an OFX ACCTID
+  // that the user put in the account name)
+  useEffect(() => {
+    setAccountByLabel((prev) => {
+      const next = {};
+      accountLabels.forEach((label) => {
+        if (prev[label] !== undefined) {
+          next[label] = prev[label];
+          return;
+        }
+        const lower = label.toLowerCase();
+        const match = activeAccounts.find(
+          (a) =>
+            a.name.toLowerCase() === lower ||
+            a.name.toLowerCase().includes(lower)
+        );
+        next[label] = match?.account_id || '';
+      });
+      return next;
+    });
+  }, [accountLabels, activeAccounts]);
+
+  const resolvedEntries = useMemo(
+    () =>
+      entries.map((entry) => ({
+        ...entry,
+        accountId: (entry.account && accountByLabel[entry.account]) || accountId,
+      })),
+    [entries, accountByLabel, accountId]
+  );
+
+  const duplicates = useMemo(
+    () =>
+      findLikelyDuplicates(resolvedEntries, allTransactions, {
+        windowDays: Number(windowDays) || 0,
+      }),
+    [resolvedEntries, allTransactions, windowDays]
+  );
+
+  const isValidEntry = (entry) =>
+    !!entry.date && entry.amount !== null && entry.amount !== 0 && !!entry.accountId;
+
+  const isPickable = (entry, index) => isValidEntry(entry) && !imported.has(index);
+
+  const isSelected = (entry, index) =>
+    isPickable(entry, index) && duplicates.has(index) === toggled.has(index);
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    event.target.value = ''; // let the same file be picked again
+    setError(null);
+    setToggled(new Set());
+    setImported(new Set());
+    try {
+      const text = await file.text();
+      const detected = detectStatementFormat(file.name, text);
+      setFileName(file.name);
+      setFormat(detected);
+      if (detected === 'csv') {
+        const parsed = parseCsv(text);
+        if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+          setError('That file has no rows to import.');
+          return;
+        }
+        setCsv(parsed);
+        setMapping(guessColumnMapping(parsed.headers));
+        setStep('map');
+      } else {
+        const parsed = detected === 'ofx' ? parseOfx(text) : parseQif(text);
+        if (parsed.length === 0) {
+          setError('No transactions were found in that file.');
+          return;
+        }
+        setParsedEntries(parsed);
+        setStep('review');
+      }
+    } catch {
+      setError('Could not read that file. Please try another.');
+    }
+  };
+
+  const mappingValid =
+    !!mapping &&
+    mapping.date >= 0 &&
+    (mapping.amount >= 0 || mapping.debit >= 0 || mapping.credit >= 0);
+
+  const toggleRow = (index) => {
+    setToggled((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const selectedIndices = resolvedEntries
+    .map((entry, index) => index)
+    .filter((index) => isSelected(resolvedEntries[index], index));
+  const selectedEntries = selectedIndices.map((index) => resolvedEntries[index]);
+  const needsExpenseCategory = selectedEntries.some((e) => e.amount < 0);
+  const needsIncomeCategory = selectedEntries.some((e) => e.amount > 0);
+  const invalidCount = resolvedEntries.filter((e) => !isValidEntry(e)).length;
+  // Selected rows a categorisation rule will file, instead of the fallbacks
+  const ruleCategorisedCount = selectedEntries.filter(
+    (e) =>
+      applyRules(rules, {
+        description: e.description,
+        amount: Math.abs(e.amount),
+        accountId: e.accountId,
+        type: e.amount < 0 ? 'Expense' : 'Income',
+      }).categoryId
+  ).length;
+
+  const handleImport = async () => {
+    if (selectedEntries.length === 0) return;
+    if (
+      (needsExpenseCategory && !expenseCategoryId) ||
+      (needsIncomeCategory && !incomeCategoryId)
+    ) {
+      setError('Choose a category for the imported money in and money out.');
+      return;
+    }
+
+    const rows = selectedEntries.map((entry) => {
+      const account = accountMap.get(entry.accountId);
+      const isExpense = entry.amount < 0;
+      return {
+        accountId: entry.accountId,
+        categoryId: isExpense ? expenseCategoryId : incomeCategoryId,
+        amount: Math.abs(entry.amount),
+        currency: account?.currency || '',
+        description: entry.description || '',
+        type: isExpense ? 'Expense' : 'Income',
+        status: 'Cleared',
+        date: entry.date,
+        // The chosen categories are fallbacks; matching rules take precedence
+        applyRules: true,
+      };
+    });
+
+    setIsSubmitting(true);
+    setError(null);
+    let posted = 0;
+    try {
+      for (; posted < rows.length; posted += BATCH_LIMIT) {
+        await dispatch(
+          batchCreateTransactions(rows.slice(posted, posted + BATCH_LIMIT))
+        ).unwrap();
+        const batch = selectedIndices.slice(posted, posted + BATCH_LIMIT);
+        setImported((prev) => new Set([...prev, ...batch]));
+      }
+      onClose();
+    } catch (err) {
+      const message = typeof err === 'string' ? err : err?.message;
+      if (posted > 0) {
+        setError(
+          `${posted} of ${rows.length} transactions were imported, then the import failed` +
+            `${message ? ` (${message})` : ''}. Import again to post the rest.`
+        );
+      } else {
+        setError(message || 'Failed to import transactions. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const columnOptions = csv.headers.map((header, index) => ({
+    index,
+    label: header || `Column ${index + 1}`,
+  }));
+
+  const leafCategories = (type) =>
+    flattenCategoryTree(
+      categories.filter((c) => c.type === type && c.status === 'Active')
+    );
+
+  const renderFileStep = () => (
+    <Box sx={{ pt: 1 }}>
+      <input
+        type="file"
+        accept=".csv,.ofx,.qfx,.qif,.txt,text/csv"
+        ref={fileInputRef}
+        onChange={handleFileSelected}
+        style={{ display: 'none' }}
+      />
+      <Box
+        onClick={() => fileInputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        sx={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          gap: 1.25,
+          py: 4,
+          px: 2,
+          borderRadius: 2.5,
+          border: '1px dashed',
+          borderColor: 'divider',
+          cursor: 'pointer',
+          textAlign: 'center',
+          WebkitTapHighlightColor: 'transparent',
+          '@media (hover: hover)': {
+            '&:hover': {
+              borderColor: 'primary.main',
+              backgroundColor: 'action.hover',
+            },
+          },
+        }}
+      >
+        <Box
+          sx={{
+            width: 52,
+            height: 52,
+            borderRadius: '50%',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: 'primary.main',
+            bgcolor: (t) => alpha(t.palette.primary.main, 0.12),
+          }}
+        >
+          <UploadFileIcon />
+        </Box>
+        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+          Choose a statement file
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          CSV, OFX/QFX or QIF from your bank
+        </Typography>
+      </Box>
+    </Box>
+  );
+
+  const renderMapStep = () => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+      <Typography variant="body2" color="text.secondary">
+        Match the columns in <strong>{fileName}</strong> to transaction
+        fields. Use either a signed amount or separate money in/out columns.
+      </Typography>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' },
+          gap: 2,
+        }}
+      >
+        {MAPPING_FIELDS.map((field) => (
+          <FormControl key={field.key} fullWidth size="small">
+            <InputLabel>
+              {field.label}
+              {field.required ? ' *' : ''}
+            </InputLabel>
+            <Select
+              value={mapping?.[field.key] ?? -1}
+              label={`${field.label}${field.required ? ' *' : ''}`}
+              onChange={(e) =>
+                setMapping((prev) => ({
+                  ...prev,
+                  [field.key]: Number(e.target.value),
+                }))
+              }
+            >
+              <MenuItem value={-1}>
+                <em>Not in file</em>
+              </MenuItem>
+              {columnOptions.map((col) => (
+                <MenuItem key={col.index} value={col.index}>
+                  {col.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+        <FormControl fullWidth size="small">
+          <InputLabel>Date order</InputLabel>
+          <Select
+            value={dateOrder}
+            label="Date order"
+            onChange={(e) => setDateOrder(e.target.value)}
+          >
+            <MenuItem value="auto">Detect</MenuItem>
+            <MenuItem value="DMY">Day / Month / Year</MenuItem>
+            <MenuItem value="MDY">Month / Day / Year</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={invertAmounts}
+              onChange={(e) => setInvertAmounts(e.target.checked)}
+              disabled={!mapping || mapping.amount < 0}
+            />
+          }
+          label="Spending is positive in this file"
+        />
+      </Box>
+      {mappingValid && entries.length > 0 && (
+        <Box>
+          <Typography
+            variant="caption"
+            color="text.secondary"
+            sx={{ display: 'block', mb: 0.5 }}
+          >
+            First rows as they will be read
+          </Typography>
+          {entries.slice(0, 3).map((entry, index) => (
+            <Typography
+              key={index}
+              variant="body2"
+              noWrap
+              sx={{ fontSize: '0.8125rem' }}
+            >
+              {entry.date || '—'} · {entry.description || '(no description)'}{' '}
+              · {entry.amount ?? '—'}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+
+  const renderReviewStep = () => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' },
+          gap: 2,
+        }}
+      >
+        <FormControl fullWidth size="small">
+          <InputLabel>Account *</InputLabel>
+          <Select
+            value={accountId}
+            label="Account *"
+            onChange={(e) => setAccountId(e.target.value)}
+          >
+            {activeAccounts.map((a) => (
+              <MenuItem key={a.account_id} value={a.account_id}>
+                {a.name} ({a.currency})
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Duplicate window (± days)"
+          type="number"
+          size="small"
+          value={windowDays}
+          onChange={(e) => setWindowDays(e.target.value)}
+          inputProps={{ min: 0, max: 30 }}
+        />
+        {accountLabels.map((label) => (
+          <FormControl key={label} fullWidth size="small">
+            <InputLabel>{`“${label}” in file`}</InputLabel>
+            <Select
+              value={accountByLabel[label] ?? ''}
+              label={`“${label}” in file`}
+              onChange={(e) =>
+                setAccountByLabel((prev) => ({
+                  ...prev,
+                  [label]: e.target.value,
+                }))
+              }
+            >
+              <MenuItem value="">
+                <em>Use the account above</em>
+              </MenuItem>
+              {activeAccounts.map((a) => (
+                <MenuItem key={a.account_id} value={a.account_id}>
+                  {a.name} ({a.currency})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+        {needsExpenseCategory && (
+          <CategoryAutocomplete
+            categories={leafCategories('Expense')}
+            leafOnly
+            value={expenseCategoryId}
+            onChange={(id) => setExpenseCategoryId(id || '')}
+            label="Category for money out *"
+            size="small"
+          />
+        )}
+        {needsIncomeCategory && (
+          <CategoryAutocomplete
+            categories={leafCategories('Income')}
+            leafOnly
+            value={incomeCategoryId}
+            onChange={(id) => setIncomeCategoryId(id || '')}
+            label="Category for money in *"
+            size="small"
+          />
+        )}
+        {ruleCategorisedCount > 0 && (
+          <Typography variant="caption" color="text.secondary">
+            {ruleCategorisedCount} row{ruleCategorisedCount !== 1 ? 's match' : ' matches'}{' '}
+            a categorisation rule and will get the rule&apos;s category instead.
+          </Typography>
+        )}
+      </Box>
+
+      {(duplicates.size > 0 || invalidCount > 0) && (
+        <Alert severity="info">
+          {duplicates.size > 0 &&
+            `${duplicates.size} row${
+              duplicates.size !== 1 ? 's look' : ' looks'
+            } like ${
+              duplicates.size !== 1 ? 'transactions' : 'a transaction'
+            } you already have and ${
+              duplicates.size !== 1 ? 'were' : 'was'
+            } unticked. `}
+          {invalidCount > 0 &&
+            `${invalidCount} row${
+              invalidCount !== 1 ? 's are' : ' is'
+            } missing a date, amount or account and will be skipped.`}
+        </Alert>
+      )}
+
+      <Box>
+        {resolvedEntries.map((entry, index) => {
+          const valid = isPickable(entry, index);
+          const isImported = imported.has(index);
+          const duplicate = duplicates.get(index);
+          const account = accountMap.get(entry.accountId);
+          return (
+            <Box
+              key={index}
+              onClick={() => valid && toggleRow(index)}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1,
+                py: 0.75,
+                borderBottom: '1px solid',
+                borderColor: 'divider',
+                cursor: valid ? 'pointer' : 'default',
+                opacity: valid ? 1 : 0.5,
+              }}
+            >
+              <Checkbox
+                size="small"
+                checked={isSelected(entry, index)}
+                disabled={!valid}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => toggleRow(index)}
+                sx={{ p: 0.5 }}
+              />
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="body2" noWrap sx={{ fontWeight: 500 }}>
+                  {entry.description || '(no description)'}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  color="text.secondary"
+                  noWrap
+                  sx={{ display: 'block' }}
+                >
+                  {entry.date || 'No date'}
+                  {account ? ` · ${account.name}` : ''}
+                </Typography>
+              </Box>
+              {isImported && (
+                <Chip label="Imported" size="small" color="success" variant="outlined" />
+              )}
+              {duplicate && !isImported && (
+                <Chip
+                  label="Possible duplicate"
+                  size="small"
+                  color="warning"
+                  variant="outlined"
+                  title={`${duplicate.description || 'Transaction'} on ${
+                    String(duplicate.date).split('T')[0]
+                  }`}
+                />
+              )}
+              <Typography
+                variant="body2"
+                sx={{
+                  fontWeight: 600,
+                  flexShrink: 0,
+                  color:
+                    entry.amount > 0 ? 'success.main' : 'text.primary',
+                }}
+              >
+                {entry.amount === null
+                  ? '—'
+                  : formatCurrency(
+                      Math.abs(entry.amount),
+                      account?.currency || 'USD'
+                    )}
+              </Typography>
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Dialog
+      open={open}
+      onClose={isSubmitting ? undefined : onClose}
+      maxWidth="md"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>Import statement</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {step === 'file' && renderFileStep()}
+        {step === 'map' && renderMapStep()}
+        {step === 'review' && renderReviewStep()}
+      </DialogContent>
+      <DialogActions
+        sx={{ p: 2, borderTop: '1px solid', borderColor: 'divider' }}
+      >
+        {step !== 'file' && (
+          <Button
+            onClick={() =>
+              setStep(step === 'review' && format === 'csv' ? 'map' : 'file')
+            }
+            disabled={isSubmitting}
+            sx={{ mr: 'auto' }}
+          >
+            Back
+          </Button>
+        )}
+        <Button onClick={onClose} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        {step === 'map' && (
+          <Button
+            variant="contained"
+            onClick={() => {
+              setError(null);
+              setStep('review');
+            }}
+            disabled={!mappingValid}
+          >
+            Preview
+          </Button>
+        )}
+        {step === 'review' && (
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={isSubmitting || selectedEntries.length === 0}
+            startIcon={
+              isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+            }
+          >
+            {isSubmitting
+              ? 'Importing...'
+              : `Import ${selectedEntries.length} transaction${
+                  selectedEntries.length !== 1 ? 's' : ''
+                }`}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportTransactionsDialog;
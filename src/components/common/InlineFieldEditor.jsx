@@ -11,6 +11,8 @@ import { Box } from '@mui/material';
 import { updateTransaction } from '../../store/slices/transactionsSlice';
 import { flattenCategoryTree } from '../../utils/categoryHierarchy';
 import { splitMoney } from '../../utils/currencyConversion';
+import { isReconciled } from '../../utils/reconciliation';
+import { isSplit } from '../../utils/transactionSplits';
 import CategoryAutocomplete from './CategoryAutocomplete';
 import { editableTextSx } from './inlineEditStyles';
 
@@ -18,11 +20,18 @@ import { editableTextSx } from './inlineEditStyles';
  * Tracks which single field, on which transaction, is currently being edited
  * in place across a list. `start(field, txn)` returns a click handler (it stops
  * row propagation so the field-tap doesn't also open the full editor).
+ * The amount of a reconciled transaction is the exception: the tap falls
+ * through to the full editor, which warns before the balance changes.
  */
 export function useInlineEdit() {
   const [editing, setEditing] = useState(null); // { id, field }
   const start = useCallback(
     (field, transaction) => (event) => {
+      if (field === 'amount' && isReconciled(transaction)) return;
+      // A split's category and amount are edited line by line in the dialog,
+      // which the row click opens
+      if ((field === 'amount' || field === 'category') && isSplit(transaction))
+        return;
       event.stopPropagation();
       setEditing({ id: transaction.transaction_id, field });
     },
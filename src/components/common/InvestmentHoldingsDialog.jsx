@@ -0,0 +1,393 @@
+import { useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  Box,
+  Button,
+  Collapse,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { format, parseISO } from 'date-fns';
+import {
+  selectAccountMarketValues,
+  selectValuedHoldings,
+} from '../../store/selectors';
+import { formatCurrency } from '../../utils/currencyConversion';
+import { sortTrades } from '../../utils/investments';
+import HoldingDialog from './HoldingDialog';
+import HoldingTradeDialog from './HoldingTradeDialog';
+import PriceImportDialog from './PriceImportDialog';
+import SecurityPriceDialog from './SecurityPriceDialog';
+
+const formatQuantity = (quantity) =>
+  Number(quantity).toLocaleString('en-US', { maximumFractionDigits: 8 });
+
+const gainColor = (gain) =>
+  gain > 0 ? 'google.green' : gain < 0 ? 'google.red' : 'text.secondary';
+
+const signed = (amount, currency) =>
+  `${amount > 0 ? '+' : ''}${formatCurrency(amount, currency)}`;
+
+function Figure({ label, children }) {
+  return (
+    <Box sx={{ minWidth: 0 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+        {label}
+      </Typography>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        {children}
+      </Typography>
+    </Box>
+  );
+}
+
+function describeTrade(trade, currency) {
+  if (trade.kind === 'Dividend') {
+    return `Dividend ${formatCurrency(Number(trade.amount), currency)}`;
+  }
+  return `${trade.kind} ${formatQuantity(trade.quantity)} @ ${formatCurrency(
+    Number(trade.price),
+    currency
+  )}`;
+}
+
+/**
+ * An Investment account's holdings: each one's units, cost, price, market
+ * value and gains, with its trades and the lots still held a tap away. The
+ * account's cash balance and the holdings' value add up to its total.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object} account - the Investment account
+ */
+export default function InvestmentHoldingsDialog({ open, onClose, account }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const valuedHoldings = useSelector(selectValuedHoldings);
+  const marketValues = useSelector(selectAccountMarketValues);
+  const { trades } = useSelector((state) => state.investments);
+
+  const [expandedId, setExpandedId] = useState(null);
+  const [holdingDialog, setHoldingDialog] = useState({ open: false, holding: null });
+  const [tradeDialog, setTradeDialog] = useState({
+    open: false,
+    holding: null,
+    trade: null,
+    kind: 'Buy',
+  });
+  const [priceHolding, setPriceHolding] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+
+  const holdings = useMemo(
+    () => valuedHoldings.filter((h) => h.account_id === account?.account_id),
+    [valuedHoldings, account]
+  );
+
+  const tradesByHolding = useMemo(() => {
+    const map = new Map();
+    sortTrades(trades)
+      .reverse()
+      .forEach((trade) => {
+        if (!map.has(trade.holding_id)) map.set(trade.holding_id, []);
+        map.get(trade.holding_id).push(trade);
+      });
+    return map;
+  }, [trades]);
+
+  if (!account) return null;
+
+  const cash = account.current_balance ?? account.opening_balance ?? 0;
+  const marketValue = marketValues.get(account.account_id) || 0;
+
+  const openTrade = (holding, kind = 'Buy', trade = null) =>
+    setTradeDialog({ open: true, holding, trade, kind });
+
+  return (
+    <>
+      <Dialog
+        open={open}
+        onClose={onClose}
+        maxWidth="sm"
+        fullWidth
+        fullScreen={isMobile}
+      >
+        <DialogTitle sx={{ pb: 1 }}>{account.name} holdings</DialogTitle>
+        <DialogContent>
+          <Box
+            sx={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(3, 1fr)',
+              gap: 1,
+              pb: 1.5,
+              borderBottom: '1px solid',
+              borderColor: 'divider',
+            }}
+          >
+            <Figure label="Cash">{formatCurrency(cash, account.currency)}</Figure>
+            <Figure label="Holdings">
+              {formatCurrency(marketValue, account.currency)}
+            </Figure>
+            <Figure label="Total">
+              {formatCurrency(cash + marketValue, account.currency)}
+            </Figure>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 1, py: 1.5 }}>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={<AddIcon />}
+              onClick={() => setHoldingDialog({ open: true, holding: null })}
+              sx={{ textTransform: 'none' }}
+            >
+              Add holding
+            </Button>
+            <Button
+              size="small"
+              startIcon={<UploadFileIcon />}
+              onClick={() => setImportOpen(true)}
+              sx={{ textTransform: 'none' }}
+            >
+              Import prices
+            </Button>
+          </Box>
+
+          {holdings.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+              No holdings yet. Add the securities this account holds, then record
+              their buys, sells and dividends.
+            </Typography>
+          )}
+
+          {holdings.map((holding) => {
+            const expanded = expandedId === holding.holding_id;
+            const holdingTrades = tradesByHolding.get(holding.holding_id) || [];
+            const gainPercent =
+              holding.costBasis > 0
+                ? (holding.unrealizedGain / holding.costBasis) * 100
+                : null;
+            return (
+              <Box
+                key={holding.holding_id}
+                sx={{ borderBottom: '1px solid', borderColor: 'divider' }}
+              >
+                <Box
+                  onClick={() => setExpandedId(expanded ? null : holding.holding_id)}
+                  sx={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 1,
+                    py: 1,
+                    cursor: 'pointer',
+                    '@media (hover: hover)': {
+                      '&:hover': { backgroundColor: 'action.hover' },
+                    },
+                  }}
+                >
+                  <ExpandMoreIcon
+                    sx={{
+                      fontSize: 18,
+                      color: 'text.secondary',
+                      transform: expanded ? 'none' : 'rotate(-90deg)',
+                      transition: 'transform 0.15s ease-in-out',
+                    }}
+                  />
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography variant="body2" noWrap sx={{ fontWeight: 600 }}>
+                      {holding.symbol}
+                      {holding.name && (
+                        <Typography
+                          component="span"
+                          variant="caption"
+                          color="text.secondary"
+                          sx={{ ml: 0.75 }}
+                        >
+                          {holding.name}
+                        </Typography>
+                      )}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" noWrap sx={{ display: 'block' }}>
+                      {formatQuantity(holding.quantity)} ×{' '}
+                      {holding.price != null
+                        ? formatCurrency(holding.price, holding.currency)
+                        : 'no price'}
+                      {holding.priceSource === 'price' &&
+                        ` · ${format(parseISO(holding.priceDate), 'MMM d')}`}
+                      {holding.priceSource === 'trade' && ' · last trade'}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ textAlign: 'right', flexShrink: 0 }}>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                      {formatCurrency(holding.marketValue, holding.currency)}
+                    </Typography>
+                    {holding.quantity > 0 && (
+                      <Typography
+                        variant="caption"
+                        sx={{ display: 'block', color: gainColor(holding.unrealizedGain) }}
+                      >
+                        {signed(holding.unrealizedGain, holding.currency)}
+                        {gainPercent !== null && ` (${gainPercent.toFixed(1)}%)`}
+                      </Typography>
+                    )}
+                  </Box>
+                </Box>
+
+                <Collapse in={expanded} unmountOnExit>
+                  <Box sx={{ pl: 3.25, pb: 1.5 }}>
+                    <Box
+                      sx={{
+                        display: 'grid',
+                        gridTemplateColumns: { xs: 'repeat(2, 1fr)', sm: 'repeat(4, 1fr)' },
+                        gap: 1,
+                        mb: 1.5,
+                      }}
+                    >
+                      <Figure
+                        label={holding.cost_method === 'Average' ? 'Cost (average)' : 'Cost (FIFO)'}
+                      >
+                        {formatCurrency(holding.costBasis, holding.currency)}
+                      </Figure>
+                      <Figure label="Average cost">
+                        {formatCurrency(holding.averageCost, holding.currency)}
+                      </Figure>
+                      <Figure label="Realised gain">
+                        <Box component="span" sx={{ color: gainColor(holding.realizedGain) }}>
+                          {signed(holding.realizedGain, holding.currency)}
+                        </Box>
+                      </Figure>
+                      <Figure label="Dividends">
+                        {formatCurrency(holding.dividends, holding.currency)}
+                      </Figure>
+                    </Box>
+
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+                      <Button size="small" variant="outlined" onClick={() => openTrade(holding, 'Buy')} sx={{ textTransform: 'none' }}>
+                        Buy
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        onClick={() => openTrade(holding, 'Sell')}
+                        disabled={holding.quantity <= 0}
+                        sx={{ textTransform: 'none' }}
+                      >
+                        Sell
+                      </Button>
+                      <Button size="small" variant="outlined" onClick={() => openTrade(holding, 'Dividend')} sx={{ textTransform: 'none' }}>
+                        Dividend
+                      </Button>
+                      <Button size="small" onClick={() => setPriceHolding(holding)} sx={{ textTransform: 'none' }}>
+                        Set price
+                      </Button>
+                      <Button
+                        size="small"
+                        onClick={() => setHoldingDialog({ open: true, holding })}
+                        sx={{ textTransform: 'none' }}
+                      >
+                        Edit
+                      </Button>
+                    </Box>
+
+                    {holding.cost_method === 'FIFO' && holding.lots.length > 1 && (
+                      <Box sx={{ mb: 1 }}>
+                        <Typography variant="overline" color="text.secondary" sx={{ lineHeight: 1.5 }}>
+                          Lots held
+                        </Typography>
+                        {holding.lots.map((lot) => (
+                          <Typography
+                            key={lot.tradeId}
+                            variant="body2"
+                            color="text.secondary"
+                            sx={{ fontSize: '0.8125rem' }}
+                          >
+                            {format(parseISO(lot.date), 'MMM d, yyyy')} ·{' '}
+                            {formatQuantity(lot.quantity)} at{' '}
+                            {formatCurrency(lot.unitCost, holding.currency)}
+                          </Typography>
+                        ))}
+                      </Box>
+                    )}
+
+                    <Typography variant="overline" color="text.secondary" sx={{ lineHeight: 1.5 }}>
+                      Trades
+                    </Typography>
+                    {holdingTrades.length === 0 ? (
+                      <Typography variant="body2" color="text.secondary">
+                        None recorded yet.
+                      </Typography>
+                    ) : (
+                      holdingTrades.map((trade) => (
+                        <Box
+                          key={trade.trade_id}
+                          onClick={() => openTrade(holding, trade.kind, trade)}
+                          sx={{
+                            display: 'flex',
+                            gap: 1,
+                            py: 0.5,
+                            cursor: 'pointer',
+                            '@media (hover: hover)': {
+                              '&:hover': { backgroundColor: 'action.hover' },
+                            },
+                          }}
+                        >
+                          <Typography variant="body2" color="text.secondary" sx={{ width: 92, flexShrink: 0, fontSize: '0.8125rem' }}>
+                            {format(parseISO(trade.trade_date), 'MMM d, yyyy')}
+                          </Typography>
+                          <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0, fontSize: '0.8125rem' }}>
+                            {describeTrade(trade, holding.currency)}
+                          </Typography>
+                          <Typography
+                            variant="body2"
+                            sx={{ flexShrink: 0, fontSize: '0.8125rem', color: gainColor(Number(trade.cash_amount)) }}
+                          >
+                            {signed(Number(trade.cash_amount), account.currency)}
+                          </Typography>
+                        </Box>
+                      ))
+                    )}
+                  </Box>
+                </Collapse>
+              </Box>
+            );
+          })}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <HoldingDialog
+        open={holdingDialog.open}
+        onClose={() => setHoldingDialog({ open: false, holding: null })}
+        account={account}
+        editingHolding={holdingDialog.holding}
+      />
+      <HoldingTradeDialog
+        open={tradeDialog.open}
+        onClose={() => setTradeDialog((prev) => ({ ...prev, open: false }))}
+        holding={tradeDialog.holding}
+        account={account}
+        editingTrade={tradeDialog.trade}
+        defaultKind={tradeDialog.kind}
+      />
+      <SecurityPriceDialog
+        open={!!priceHolding}
+        onClose={() => setPriceHolding(null)}
+        holding={priceHolding}
+      />
+      <PriceImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        symbol={holdings.length === 1 ? holdings[0].symbol : ''}
+      />
+    </>
+  );
+}
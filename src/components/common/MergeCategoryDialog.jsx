@@ -0,0 +1,228 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import { mergeCategories } from '../../store/slices/categoriesSlice';
+import { mergeCategories as previewMerge } from '../../lib/api/categories';
+import {
+  flattenCategoryTree,
+  getCategoryDescendants,
+  getParentCategoryIds,
+} from '../../utils/categoryHierarchy';
+import { getErrorMessage } from '../../utils/errorMessage';
+import CategoryAutocomplete from './CategoryAutocomplete';
+
+const plural = (count, one, many = `${one}s`) =>
+  `${count} ${count === 1 ? one : many}`;
+
+// One line per kind of record the merge touches; kinds with nothing to move
+// are left out
+const describeCounts = (counts) =>
+  [
+    counts.transactions > 0 &&
+      `${plural(counts.transactions, 'transaction')} recategorized` +
+        (counts.splitTransactions > 0
+          ? ` (${counts.splitTransactions} of them split)`
+          : ''),
+    counts.budgetsMoved > 0 && `${plural(counts.budgetsMoved, 'budget')} moved`,
+    counts.budgetsCombined > 0 &&
+      `${plural(counts.budgetsCombined, 'budget')} combined with an existing one`,
+    counts.subcategories > 0 &&
+      `${plural(counts.subcategories, 'subcategory', 'subcategories')} moved under it`,
+    counts.recurringTransactions > 0 &&
+      `${plural(counts.recurringTransactions, 'recurring transaction')} updated`,
+    counts.rules > 0 &&
+      `${plural(counts.rules, 'categorization rule')} updated`,
+    counts.settings > 0 && `${plural(counts.settings, 'setting')} updated`,
+  ].filter(Boolean);
+
+/**
+ * Fold one category into another: everything filed under `category` moves to
+ * the chosen target and `category` is deleted. Choosing a target fetches a
+ * dry run from the server, so the counts shown are the ones the merge will
+ * apply.
+ */
+export default function MergeCategoryDialog({ open, onClose, category }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const { categories } = useSelector((state) => state.categories);
+
+  const [targetId, setTargetId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [isMerging, setIsMerging] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setTargetId('');
+      setPreview(null);
+      setError(null);
+    }
+  }, [open, category?.category_id]);
+
+  // Same type, Active, and not the category itself or anything beneath it.
+  // Transactions post to leaves only, so a category with active subcategories
+  // (other than this one, which the merge removes) can't take them either.
+  const targets = useMemo(() => {
+    if (!category) return [];
+    const excluded = new Set([
+      category.category_id,
+      ...getCategoryDescendants(category.category_id, categories).map(
+        (c) => c.category_id
+      ),
+    ]);
+    const parentIds = getParentCategoryIds(
+      categories.filter(
+        (c) => c.status === 'Active' && c.category_id !== category.category_id
+      )
+    );
+    return flattenCategoryTree(
+      categories.filter(
+        (c) =>
+          c.type === category.type &&
+          c.status === 'Active' &&
+          !excluded.has(c.category_id)
+      )
+    ).filter((c) => !parentIds.has(c.category_id));
+  }, [categories, category]);
+
+  useEffect(() => {
+    if (!open || !category || !targetId) {
+      setPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setPreviewLoading(true);
+    setError(null);
+    previewMerge(category.category_id, targetId, { dryRun: true })
+      .then((counts) => {
+        if (!cancelled) setPreview(counts);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setPreview(null);
+          setError(getErrorMessage(err, 'Could not preview the merge.'));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setPreviewLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, category, targetId]);
+
+  const target = targets.find((c) => c.category_id === targetId);
+  const changes = preview ? describeCounts(preview) : [];
+
+  const handleMerge = async () => {
+    setIsMerging(true);
+    setError(null);
+    try {
+      await dispatch(
+        mergeCategories({ sourceId: category.category_id, targetId })
+      ).unwrap();
+      onClose();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to merge categories. Please try again.'));
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={isMerging ? undefined : onClose}
+      maxWidth="sm"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>Merge {category?.name || 'category'}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Everything in {category?.name || 'this category'} moves to the
+          category you choose, and {category?.name || 'it'} is deleted. Budgets
+          for the same month are added together.
+        </Typography>
+
+        <CategoryAutocomplete
+          categories={targets}
+          value={targetId}
+          onChange={(id) => setTargetId(id || '')}
+          label="Merge into *"
+          disabled={isMerging}
+          size="small"
+        />
+
+        {targets.length === 0 && (
+          <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+            There is no other active {category?.type?.toLowerCase()} category to
+            merge into.
+          </Typography>
+        )}
+
+        {previewLoading && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+            <CircularProgress size={16} />
+            <Typography variant="body2" color="text.secondary">
+              Counting what will move...
+            </Typography>
+          </Box>
+        )}
+
+        {!previewLoading && preview && target && (
+          <Alert severity={changes.length ? 'info' : 'success'} sx={{ mt: 2 }}>
+            {changes.length ? (
+              <>
+                Merging into {target.name}:
+                <Box component="ul" sx={{ m: 0, pl: 2.5 }}>
+                  {changes.map((line) => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </Box>
+              </>
+            ) : (
+              `Nothing refers to ${category.name}; merging just deletes it.`
+            )}
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={isMerging}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          color="warning"
+          onClick={handleMerge}
+          disabled={!preview || previewLoading || isMerging}
+          startIcon={
+            isMerging ? <CircularProgress size={20} color="inherit" /> : null
+          }
+        >
+          {isMerging ? 'Merging...' : 'Merge'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
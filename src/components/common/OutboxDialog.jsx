@@ -0,0 +1,220 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import { format } from 'date-fns';
+import {
+  discardOutboxEntry,
+  replayOutbox,
+  requeueOutboxEntry,
+} from '../../store/slices/outboxSlice';
+import {
+  selectAccountNameGetter,
+  selectCategoryDisplayNameGetter,
+  selectOutboxEntries,
+} from '../../store/selectors';
+import { formatCurrency } from '../../utils/currencyConversion';
+import { changedFields, isOffline } from '../../utils/outbox';
+
+const KIND_LABELS = { create: 'Added', update: 'Edited', delete: 'Deleted' };
+
+const FIELD_LABELS = {
+  account_id: 'Account',
+  category_id: 'Category',
+  date: 'Date',
+  amount: 'Amount',
+  currency: 'Currency',
+  description: 'Note',
+  type: 'Type',
+  status: 'Status',
+  entity_name: 'Counterparty',
+  splits: 'Split lines',
+};
+
+/**
+ * Transaction changes made offline that haven't reached the server, opened
+ * from the header. Waiting ones can be sent now or dropped. One that
+ * conflicted (the row was changed or deleted on another device) or was turned
+ * down is settled here: keep it, or take the other device's version.
+ */
+export default function OutboxDialog({ open, onClose }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const entries = useSelector(selectOutboxEntries);
+  const replaying = useSelector((state) => state.outbox.backgroundLoading);
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const getCategoryName = useSelector(selectCategoryDisplayNameGetter);
+  const getAccountName = useSelector(selectAccountNameGetter);
+  const [offline, setOffline] = useState(isOffline());
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const update = () => setOffline(isOffline());
+    update();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, [open]);
+
+  // Nothing left to show once the last change syncs or is settled
+  useEffect(() => {
+    if (open && entries.length === 0) onClose();
+  }, [open, entries.length, onClose]);
+
+  // The row as this device has it (for a delete, as it was)
+  const rowOf = (entry) => {
+    if (entry.kind === 'create') return entry.row;
+    if (entry.kind === 'delete') return entry.before;
+    return (
+      allTransactions.find((txn) => txn.transaction_id === entry.transactionId) || {
+        ...entry.before,
+        ...entry.fields,
+      }
+    );
+  };
+
+  const showValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'account_id') return getAccountName(value);
+    if (field === 'category_id') return getCategoryName(value);
+    if (field === 'date') return format(new Date(value), 'MMM d, yyyy');
+    if (field === 'splits') return `${value.length} lines`;
+    return String(value);
+  };
+
+  const requeue = (entry) => {
+    dispatch(requeueOutboxEntry(entry.entryId));
+    dispatch(replayOutbox());
+  };
+
+  const describeStatus = (entry) => {
+    if (entry.status === 'pending') return 'Waiting to sync';
+    if (entry.status === 'failed') return `Not saved: ${entry.error}`;
+    if (entry.reason === 'deleted') return 'Deleted on another device, so this edit has nowhere to go';
+    return 'Changed on another device after you made this change';
+  };
+
+  // For an edit that conflicted: what the other device has where this one differs
+  const differences = (entry) => {
+    if (entry.kind !== 'update' || !entry.serverRow) return [];
+    return changedFields(entry.serverRow, entry.fields).map((field) => ({
+      field,
+      theirs: showValue(field, entry.serverRow[field]),
+      mine: showValue(field, entry.fields[field]),
+    }));
+  };
+
+  const renderActions = (entry) => {
+    const discard = (label) => (
+      <Button
+        size="small"
+        color="inherit"
+        onClick={() => dispatch(discardOutboxEntry(entry))}
+        sx={{ textTransform: 'none' }}
+      >
+        {label}
+      </Button>
+    );
+    if (entry.status === 'pending') return discard('Discard');
+    if (entry.status === 'failed') {
+      return (
+        <>
+          {discard('Discard')}
+          <Button size="small" onClick={() => requeue(entry)} disabled={offline} sx={{ textTransform: 'none' }}>
+            Try again
+          </Button>
+        </>
+      );
+    }
+    if (entry.reason === 'deleted') return discard('Discard my edit');
+    return (
+      <>
+        {discard('Keep theirs')}
+        <Button size="small" onClick={() => requeue(entry)} disabled={offline} sx={{ textTransform: 'none' }}>
+          {entry.kind === 'delete' ? 'Delete anyway' : 'Keep mine'}
+        </Button>
+      </>
+    );
+  };
+
+  const waiting = entries.filter((entry) => entry.status === 'pending').length;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth fullScreen={isMobile}>
+      <DialogTitle>Offline changes</DialogTitle>
+      <DialogContent>
+        <Alert severity={offline ? 'info' : 'success'} sx={{ mb: 2 }}>
+          {offline
+            ? "You're offline. These changes will sync when the connection is back."
+            : 'Back online.'}
+        </Alert>
+        {entries.map((entry) => {
+          const row = rowOf(entry) || {};
+          const diffs = differences(entry);
+          return (
+            <Box
+              key={entry.entryId}
+              sx={{ py: 1.25, borderBottom: '1px solid', borderColor: 'divider' }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 1 }}>
+                <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }}>
+                  <Box component="span" sx={{ color: 'text.secondary' }}>
+                    {KIND_LABELS[entry.kind]} ·{' '}
+                  </Box>
+                  {row.description || (row.category_id && getCategoryName(row.category_id)) || row.type}
+                </Typography>
+                {row.amount !== undefined && (
+                  <Typography variant="body2" sx={{ fontWeight: 600, flexShrink: 0 }}>
+                    {formatCurrency(Number(row.amount), row.currency)}
+                  </Typography>
+                )}
+              </Box>
+              <Typography
+                variant="caption"
+                component="div"
+                sx={{ color: entry.status === 'pending' ? 'text.secondary' : 'warning.main' }}
+              >
+                {row.date ? `${format(new Date(row.date), 'MMM d')} · ` : ''}
+                {describeStatus(entry)}
+              </Typography>
+              {diffs.map(({ field, theirs, mine }) => (
+                <Typography key={field} variant="caption" component="div" color="text.secondary">
+                  {FIELD_LABELS[field] || field}: {theirs} there, {mine} here
+                </Typography>
+              ))}
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 0.5 }}>
+                {renderActions(entry)}
+              </Box>
+            </Box>
+          );
+        })}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={() => dispatch(replayOutbox())}
+          disabled={offline || replaying || waiting === 0}
+          startIcon={replaying ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          Sync now
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,41 @@
+import { useSelector } from 'react-redux';
+import { Tooltip } from '@mui/material';
+import CloudUploadOutlinedIcon from '@mui/icons-material/CloudUploadOutlined';
+import SyncProblemIcon from '@mui/icons-material/SyncProblem';
+import { selectOutboxStatusByTransaction } from '../../store/selectors';
+
+/**
+ * Marks a row whose latest change was made offline and hasn't reached the
+ * server: a cloud while it waits, a warning once it needs settling (see the
+ * header's offline changes button). Renders nothing for a synced row.
+ *
+ * @param {string} transactionId
+ * @param {object} [sx]
+ */
+export default function PendingSyncBadge({ transactionId, sx }) {
+  const status = useSelector((state) =>
+    selectOutboxStatusByTransaction(state).get(transactionId)
+  );
+  if (!status) return null;
+
+  const waiting = status === 'pending';
+  const Icon = waiting ? CloudUploadOutlinedIcon : SyncProblemIcon;
+  return (
+    <Tooltip
+      title={waiting ? 'Saved offline, not synced yet' : 'Not synced: needs your attention'}
+    >
+      <Icon
+        aria-label={waiting ? 'Not synced yet' : 'Sync problem'}
+        sx={[
+          {
+            fontSize: 14,
+            flexShrink: 0,
+            alignSelf: 'center',
+            color: waiting ? 'text.disabled' : 'warning.main',
+          },
+          ...(Array.isArray(sx) ? sx : [sx]),
+        ]}
+      />
+    </Tooltip>
+  );
+}
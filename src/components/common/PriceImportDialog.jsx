@@ -0,0 +1,241 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { format, parseISO } from 'date-fns';
+import { savePrices } from '../../store/slices/investmentsSlice';
+import { parsePriceFile } from '../../utils/investments';
+import AppDialog from './AppDialog';
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Load prices from a CSV price file, or paste them. A file that lists many
+ * securities needs a symbol column; a single security's history (a broker's
+ * or Yahoo Finance's export, with Date and Close columns) takes its symbol
+ * from the picker. A price already recorded for the same symbol and day is
+ * replaced.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {string} [symbol] - the symbol to start the picker on
+ */
+export default function PriceImportDialog({ open, onClose, symbol: initialSymbol = '' }) {
+  const dispatch = useDispatch();
+  const { holdings } = useSelector((state) => state.investments);
+  const fileInputRef = useRef(null);
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [symbol, setSymbol] = useState('');
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setText('');
+    setFileName('');
+    setSymbol(initialSymbol);
+    setActionError(null);
+    setIsSubmitting(false);
+  }, [open, initialSymbol]);
+
+  const heldSymbols = useMemo(
+    () => Array.from(new Set(holdings.map((h) => h.symbol))).sort(),
+    [holdings]
+  );
+
+  const parsed = useMemo(() => parsePriceFile(text, { symbol }), [text, symbol]);
+  const { rows, errors } = parsed;
+  // Whether the text has no symbol column, however the picker is set
+  const singleSecurity = useMemo(
+    () => !!text.trim() && parsePriceFile(text).needsSymbol,
+    [text]
+  );
+  const notHeld = rows.filter((row) => !heldSymbols.includes(row.symbol)).length;
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    event.target.value = ''; // let the same file be picked again
+    setActionError(null);
+    try {
+      setText(await file.text());
+      setFileName(file.name);
+    } catch {
+      setActionError("Couldn't read that file.");
+    }
+  };
+
+  const handleClose = () => {
+    if (isSubmitting) return;
+    onClose();
+  };
+
+  const handleImport = async () => {
+    setIsSubmitting(true);
+    setActionError(null);
+    try {
+      await dispatch(savePrices({ prices: rows, source: 'import' })).unwrap();
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to import. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AppDialog
+      open={open}
+      onClose={handleClose}
+      title="Import Prices"
+      contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+      footer={
+        <Box
+          sx={{
+            flexShrink: 0,
+            p: { xs: 1.5, sm: 2 },
+            gap: 1,
+            display: 'flex',
+            justifyContent: 'flex-end',
+            borderTop: '1px solid',
+            borderColor: 'divider',
+            backgroundColor: 'background.paper',
+          }}
+        >
+          <Button onClick={handleClose} disabled={isSubmitting} sx={{ textTransform: 'none' }}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={isSubmitting || rows.length === 0}
+            startIcon={
+              isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+            }
+            sx={{ textTransform: 'none', minWidth: 100 }}
+          >
+            {isSubmitting
+              ? 'Importing...'
+              : rows.length > 0
+              ? `Import ${rows.length}`
+              : 'Import'}
+          </Button>
+        </Box>
+      }
+    >
+      {actionError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+          {actionError}
+        </Alert>
+      )}
+
+      <input
+        type="file"
+        accept=".csv,.txt,text/csv"
+        ref={fileInputRef}
+        onChange={handleFileSelected}
+        style={{ display: 'none' }}
+      />
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<UploadFileIcon />}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isSubmitting}
+          sx={{ textTransform: 'none' }}
+        >
+          Choose CSV file
+        </Button>
+        <Typography variant="body2" color="text.secondary" noWrap sx={{ minWidth: 0 }}>
+          {fileName || 'or paste below'}
+        </Typography>
+      </Box>
+
+      <TextField
+        fullWidth
+        multiline
+        minRows={6}
+        maxRows={14}
+        label="Prices"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setFileName('');
+        }}
+        placeholder={'Date,Symbol,Price\n2026-01-30,VWRL,112.40\n2026-01-30,AAPL,236.10'}
+        helperText="Date, symbol and price columns, with or without a header row. A file for one security can leave out the symbol."
+        InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8125rem' } }}
+      />
+
+      {singleSecurity && (
+        <TextField
+          select={heldSymbols.length > 0}
+          fullWidth
+          size="small"
+          label="Symbol *"
+          value={symbol}
+          onChange={(e) => setSymbol(e.target.value.toUpperCase())}
+          helperText="There is no symbol column, so say which security these prices are for"
+          sx={{ mt: 2 }}
+        >
+          {heldSymbols.map((held) => (
+            <MenuItem key={held} value={held}>
+              {held}
+            </MenuItem>
+          ))}
+        </TextField>
+      )}
+
+      {rows.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+            {rows.length} price{rows.length === 1 ? '' : 's'} to import
+          </Typography>
+          {rows.slice(0, PREVIEW_ROWS).map((row) => (
+            <Typography
+              key={`${row.symbol}|${row.date}`}
+              variant="body2"
+              color="text.secondary"
+              sx={{ fontSize: '0.8125rem' }}
+            >
+              {format(parseISO(row.date), 'MMM dd, yyyy')} · {row.symbol} {row.price}
+            </Typography>
+          ))}
+          {rows.length > PREVIEW_ROWS && (
+            <Typography variant="caption" color="text.secondary">
+              and {rows.length - PREVIEW_ROWS} more
+            </Typography>
+          )}
+        </Box>
+      )}
+
+      {notHeld > 0 && (
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+          {notHeld} of them for symbols you don&apos;t hold yet; they&apos;ll value
+          any holding you add later.
+        </Typography>
+      )}
+
+      {errors.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {`${errors.length} line${errors.length === 1 ? '' : 's'} can't be read and won't be imported:`}
+          {errors.slice(0, PREVIEW_ROWS).map((error) => (
+            <Box key={error.line} component="div" sx={{ fontSize: '0.8125rem' }}>
+              Line {error.line}: {error.message}
+            </Box>
+          ))}
+        </Alert>
+      )}
+    </AppDialog>
+  );
+}
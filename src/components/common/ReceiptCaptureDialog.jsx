@@ -23,7 +23,8 @@ import { compressImage } from '../../utils/imageCompression';
  * A compact modal to add a receipt photo (camera or gallery), downscale it, and
  * send it to the AI for parsing. The captured image is kept, so a scan can be
  * retried or cancelled without re-uploading. Returns structured transaction
- * data via onParsed.
+ * data via onParsed, with the image as `image` so the review can attach it to
+ * the transactions it saves.
  */
 function ReceiptCaptureDialog({ open, onClose, onParsed }) {
   const { categories } = useSelector((state) => state.categories);
@@ -77,7 +78,7 @@ function ReceiptCaptureDialog({ open, onClose, onParsed }) {
       );
       if (controller.signal.aborted) return;
       if (result.success) {
-        onParsed({ ...result, type: 'receipt' });
+        onParsed({ ...result, type: 'receipt', image });
         reset();
         onClose();
       } else {
@@ -0,0 +1,395 @@
+import { useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Switch,
+  TextField,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import { endOfDay, format, parseISO } from 'date-fns';
+import {
+  bulkUpdateTransactions,
+  createTransaction,
+} from '../../store/slices/transactionsSlice';
+import {
+  selectAdjustmentExpenseCategoryId,
+  selectAdjustmentIncomeCategoryId,
+} from '../../store/selectors';
+import { flattenCategoryTree } from '../../utils/categoryHierarchy';
+import { formatCurrency } from '../../utils/currencyConversion';
+import {
+  RECONCILED_STATUS,
+  buildReconciliation,
+  signedAmount,
+} from '../../utils/reconciliation';
+import CategoryAutocomplete from './CategoryAutocomplete';
+
+// bulkUpdateTransactions filters with an `in` list; keep the URL short
+const UPDATE_CHUNK = 100;
+
+/**
+ * Reconcile one account against a bank statement. The user enters the
+ * statement's ending date and balance and ticks off the transactions that
+ * appear on it (Cleared ones start ticked, Pending ones don't). The cleared
+ * balance and the difference update as they go; a leftover difference can be
+ * posted as an adjustment to the configured Adjustment category. Finishing
+ * marks every ticked row Reconciled, after which edits to them warn first.
+ */
+export default function ReconcileAccountDialog({ open, onClose, account }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const { categories } = useSelector((state) => state.categories);
+  const { trades } = useSelector((state) => state.investments);
+  const adjustmentIncomeCategoryId = useSelector(selectAdjustmentIncomeCategoryId);
+  const adjustmentExpenseCategoryId = useSelector(
+    selectAdjustmentExpenseCategoryId
+  );
+
+  const [statementDate, setStatementDate] = useState(
+    format(new Date(), 'yyyy-MM-dd')
+  );
+  const [statementBalance, setStatementBalance] = useState('');
+  // Rows flipped from their default tick (Cleared ticked, the rest not)
+  const [toggled, setToggled] = useState(() => new Set());
+  const [postAdjustment, setPostAdjustment] = useState(false);
+  const [adjustmentCategoryId, setAdjustmentCategoryId] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isTicked = (txn) =>
+    (txn.status === 'Cleared') !== toggled.has(txn.transaction_id);
+
+  const { candidates, reconciledBalance, clearedBalance, difference } =
+    buildReconciliation(
+      account,
+      allTransactions,
+      statementDate,
+      statementBalance,
+      isTicked,
+      trades
+    );
+
+  const hasBalance = statementBalance !== '' && !Number.isNaN(parseFloat(statementBalance));
+  const balanced = hasBalance && Math.abs(difference) < 0.005;
+  const adjustmentType = difference > 0 ? 'Income' : 'Expense';
+
+  const parentIds = useMemo(
+    () =>
+      new Set(
+        categories
+          .filter((c) => c.status === 'Active' && c.parent_category_id)
+          .map((c) => c.parent_category_id)
+      ),
+    [categories]
+  );
+
+  // The configured adjustment category when it can take a transaction; a
+  // parent with subcategories can't, so the user picks one of its leaves.
+  const configuredAdjustmentId =
+    adjustmentType === 'Income'
+      ? adjustmentIncomeCategoryId
+      : adjustmentExpenseCategoryId;
+  const defaultAdjustmentId =
+    configuredAdjustmentId && !parentIds.has(configuredAdjustmentId)
+      ? configuredAdjustmentId
+      : '';
+  const effectiveAdjustmentId = adjustmentCategoryId || defaultAdjustmentId;
+
+  const adjustmentCategories = useMemo(
+    () =>
+      flattenCategoryTree(
+        categories.filter(
+          (c) => c.type === adjustmentType && c.status === 'Active'
+        )
+      ),
+    [categories, adjustmentType]
+  );
+
+  const tickedCount = candidates.filter(isTicked).length;
+
+  const categoryName = (categoryId) =>
+    categories.find((c) => c.category_id === categoryId)?.name || '';
+
+  const reset = () => {
+    setStatementDate(format(new Date(), 'yyyy-MM-dd'));
+    setStatementBalance('');
+    setToggled(new Set());
+    setPostAdjustment(false);
+    setAdjustmentCategoryId('');
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (isSaving) return;
+    reset();
+    onClose();
+  };
+
+  const toggleRow = (txn) => {
+    setToggled((prev) => {
+      const next = new Set(prev);
+      if (next.has(txn.transaction_id)) next.delete(txn.transaction_id);
+      else next.add(txn.transaction_id);
+      return next;
+    });
+  };
+
+  const setAllTicked = (ticked) => {
+    setToggled(
+      new Set(
+        candidates
+          .filter((txn) => (txn.status === 'Cleared') !== ticked)
+          .map((txn) => txn.transaction_id)
+      )
+    );
+  };
+
+  const canFinish =
+    hasBalance &&
+    !isSaving &&
+    (balanced || (postAdjustment && !!effectiveAdjustmentId));
+
+  const handleFinish = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      if (!balanced) {
+        await dispatch(
+          createTransaction({
+            accountId: account.account_id,
+            categoryId: effectiveAdjustmentId,
+            amount: Math.abs(difference),
+            currency: account.currency,
+            type: adjustmentType,
+            status: RECONCILED_STATUS,
+            date: endOfDay(parseISO(statementDate)).toISOString(),
+            description: `Reconciliation adjustment (statement ${statementDate})`,
+          })
+        ).unwrap();
+      }
+
+      const ids = candidates.filter(isTicked).map((txn) => txn.transaction_id);
+      for (let i = 0; i < ids.length; i += UPDATE_CHUNK) {
+        await dispatch(
+          bulkUpdateTransactions({
+            transactionIds: ids.slice(i, i + UPDATE_CHUNK),
+            updates: { status: RECONCILED_STATUS },
+          })
+        ).unwrap();
+      }
+
+      reset();
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Failed to reconcile. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!account) return null;
+
+  const summaryRow = (label, value, color = 'text.primary') => (
+    <Box sx={{ display: 'flex', justifyContent: 'space-between', py: 0.25 }}>
+      <Typography variant="body2" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="body2" sx={{ fontWeight: 600, color }}>
+        {value}
+      </Typography>
+    </Box>
+  );
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="sm"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>Reconcile {account.name}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', gap: 1.5, mt: 1, mb: 2 }}>
+          <TextField
+            fullWidth
+            type="date"
+            label="Statement date"
+            value={statementDate}
+            onChange={(e) => setStatementDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            fullWidth
+            type="number"
+            label={`Ending balance (${account.currency})`}
+            value={statementBalance}
+            onChange={(e) => setStatementBalance(e.target.value)}
+            inputProps={{ step: '0.01' }}
+            autoFocus
+          />
+        </Box>
+
+        <Box
+          sx={{
+            mb: 2,
+            p: 1.5,
+            borderRadius: 1,
+            border: '1px solid',
+            borderColor: 'divider',
+          }}
+        >
+          {summaryRow(
+            'Previously reconciled',
+            formatCurrency(reconciledBalance, account.currency)
+          )}
+          {summaryRow(
+            `Cleared balance (${tickedCount} ticked)`,
+            formatCurrency(clearedBalance, account.currency)
+          )}
+          {hasBalance &&
+            summaryRow(
+              'Difference',
+              formatCurrency(difference, account.currency),
+              balanced ? 'success.main' : 'error.main'
+            )}
+        </Box>
+
+        {hasBalance && !balanced && (
+          <Box sx={{ mb: 2 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={postAdjustment}
+                  onChange={(e) => setPostAdjustment(e.target.checked)}
+                />
+              }
+              label={`Post a ${formatCurrency(
+                Math.abs(difference),
+                account.currency
+              )} ${adjustmentType.toLowerCase()} adjustment`}
+            />
+            {postAdjustment && (
+              <CategoryAutocomplete
+                categories={adjustmentCategories}
+                leafOnly
+                value={effectiveAdjustmentId}
+                onChange={(id) => setAdjustmentCategoryId(id || '')}
+                label="Adjustment category *"
+                size="small"
+              />
+            )}
+          </Box>
+        )}
+
+        <Box
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            mb: 0.5,
+          }}
+        >
+          <Typography
+            sx={{
+              fontSize: '0.6875rem',
+              fontWeight: 600,
+              letterSpacing: 0.6,
+              textTransform: 'uppercase',
+              color: 'text.secondary',
+            }}
+          >
+            Unreconciled to {statementDate || '—'}
+          </Typography>
+          <Box>
+            <Button size="small" onClick={() => setAllTicked(true)}>
+              All
+            </Button>
+            <Button size="small" onClick={() => setAllTicked(false)}>
+              None
+            </Button>
+          </Box>
+        </Box>
+        {candidates.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+            Nothing left to reconcile up to this date.
+          </Typography>
+        ) : (
+          candidates.map((txn) => {
+            const amount = signedAmount(txn);
+            return (
+              <Box
+                key={txn.transaction_id}
+                onClick={() => toggleRow(txn)}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 1,
+                  py: 0.5,
+                  borderBottom: '1px solid',
+                  borderColor: 'divider',
+                  cursor: 'pointer',
+                }}
+              >
+                <Checkbox size="small" checked={isTicked(txn)} sx={{ p: 0.5 }} />
+                <Box sx={{ minWidth: 0, flex: 1 }}>
+                  <Typography variant="body2" noWrap>
+                    {txn.description ||
+                      categoryName(txn.category_id) ||
+                      txn.type}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {format(new Date(txn.date), 'MMM d, yyyy')} · {txn.status}
+                  </Typography>
+                </Box>
+                <Typography
+                  variant="body2"
+                  sx={{
+                    fontWeight: 600,
+                    flexShrink: 0,
+                    color: amount < 0 ? 'google.red' : 'google.green',
+                  }}
+                >
+                  {formatCurrency(amount, account.currency)}
+                </Typography>
+              </Box>
+            );
+          })
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleFinish}
+          disabled={!canFinish}
+          startIcon={
+            isSaving ? <CircularProgress size={20} color="inherit" /> : null
+          }
+        >
+          {isSaving ? 'Reconciling…' : 'Finish'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,500 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  FormControlLabel,
+  Grid,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { format, getDaysInMonth, parseISO } from 'date-fns';
+import {
+  createRecurringTransaction,
+  deleteRecurringTransaction,
+  updateRecurringTransaction,
+} from '../../store/slices/recurringTransactionsSlice';
+import { recurringTransactionSchema } from '../../schemas/recurringTransactionSchema';
+import { flattenCategoryTree } from '../../utils/categoryHierarchy';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_NAMES,
+  WEEK_OF_MONTH_OPTIONS,
+  describeRecurrence,
+} from '../../utils/recurrence';
+import AppDialog from './AppDialog';
+import AccountAutocomplete from './AccountAutocomplete';
+import CategoryAutocomplete from './CategoryAutocomplete';
+import ConfirmDeleteDialog from './ConfirmDeleteDialog';
+
+const UNIT_LABELS = { Daily: 'days', Weekly: 'weeks', Monthly: 'months', Yearly: 'years' };
+
+// Position of a date's weekday within its month: 1..5, and whether it is
+// also the last one (so "last Friday" can be offered)
+function weekdayPosition(dateString) {
+  if (!dateString) return { weekday: 0, nth: 1, isLast: false };
+  const date = parseISO(dateString);
+  return {
+    weekday: date.getDay(),
+    nth: Math.ceil(date.getDate() / 7),
+    isLast: date.getDate() + 7 > getDaysInMonth(date),
+  };
+}
+
+const emptyForm = () => ({
+  type: 'Expense',
+  accountId: '',
+  categoryId: '',
+  amount: '',
+  description: '',
+  frequency: 'Monthly',
+  intervalCount: 1,
+  monthlyOn: 'day',
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endsOn: 'never',
+  endDate: '',
+  maxOccurrences: undefined,
+  paused: false,
+});
+
+/**
+ * Create or edit a recurring transaction (a whole series). Edits to the
+ * schedule apply from the next occurrence on; anything already posted stays
+ * as it is. Single occurrences are skipped or changed from the Upcoming list
+ * on Home instead.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object|null} editingTemplate - recurring_transactions row, or null to create
+ */
+export default function RecurringTransactionDialog({
+  open,
+  onClose,
+  editingTemplate = null,
+}) {
+  const dispatch = useDispatch();
+  const { accounts } = useSelector((state) => state.accounts);
+  const { categories } = useSelector((state) => state.categories);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(recurringTransactionSchema),
+    defaultValues: emptyForm(),
+  });
+
+  const watchedType = watch('type');
+  const watchedAccountId = watch('accountId');
+  const watchedCategoryId = watch('categoryId');
+  const watchedFrequency = watch('frequency');
+  const watchedInterval = watch('intervalCount');
+  const watchedMonthlyOn = watch('monthlyOn');
+  const watchedStartDate = watch('startDate');
+  const watchedEndsOn = watch('endsOn');
+  const watchedPaused = watch('paused');
+
+  useEffect(() => {
+    if (!open) return;
+    if (editingTemplate) {
+      const hasNth = editingTemplate.by_week_of_month !== null && editingTemplate.by_week_of_month !== undefined;
+      reset({
+        type: editingTemplate.type,
+        accountId: editingTemplate.account_id,
+        categoryId: editingTemplate.category_id,
+        amount: parseFloat(editingTemplate.amount),
+        description: editingTemplate.description || '',
+        frequency: editingTemplate.frequency,
+        intervalCount: editingTemplate.interval_count || 1,
+        monthlyOn: !hasNth ? 'day' : editingTemplate.by_week_of_month === -1 ? 'last' : 'nth',
+        startDate: editingTemplate.start_date,
+        endsOn: editingTemplate.end_date
+          ? 'date'
+          : editingTemplate.max_occurrences
+          ? 'count'
+          : 'never',
+        endDate: editingTemplate.end_date || '',
+        maxOccurrences: editingTemplate.max_occurrences || undefined,
+        paused: editingTemplate.status === 'Paused',
+      });
+    } else {
+      reset(emptyForm());
+    }
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    setIsSubmitting(false);
+    setIsDeleting(false);
+  }, [open, editingTemplate, reset]);
+
+  const typeCategories = useMemo(
+    () =>
+      flattenCategoryTree(
+        categories.filter((c) => c.type === watchedType && c.status === 'Active')
+      ),
+    [categories, watchedType]
+  );
+
+  const account = accounts.find((acc) => acc.account_id === watchedAccountId);
+  const position = weekdayPosition(watchedStartDate);
+  const positionLabel = WEEK_OF_MONTH_OPTIONS.find((o) => o.value === position.nth)?.label;
+
+  // Monthly "on the nth weekday" only makes sense for the 1st-4th; a date in
+  // the last week offers "last" as well
+  const monthlyOptions = [
+    { value: 'day', label: `On day ${watchedStartDate ? parseISO(watchedStartDate).getDate() : ''}` },
+    ...(position.nth <= 4
+      ? [{ value: 'nth', label: `On the ${positionLabel?.toLowerCase()} ${WEEKDAY_NAMES[position.weekday]}` }]
+      : []),
+    ...(position.isLast
+      ? [{ value: 'last', label: `On the last ${WEEKDAY_NAMES[position.weekday]}` }]
+      : []),
+  ];
+  const monthlyOn = monthlyOptions.some((o) => o.value === watchedMonthlyOn)
+    ? watchedMonthlyOn
+    : 'day';
+
+  const scheduleFields = () => {
+    const nthWeekday = watchedFrequency === 'Monthly' && monthlyOn !== 'day';
+    return {
+      by_weekday: nthWeekday ? position.weekday : null,
+      by_week_of_month: nthWeekday ? (monthlyOn === 'last' ? -1 : position.nth) : null,
+    };
+  };
+
+  const preview = describeRecurrence({
+    frequency: watchedFrequency,
+    interval_count: Number(watchedInterval) || 1,
+    start_date: watchedStartDate,
+    ...scheduleFields(),
+  });
+
+  const handleClose = () => {
+    if (isSubmitting || isDeleting) return;
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    onClose();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    const { by_weekday, by_week_of_month } = scheduleFields();
+    const payload = {
+      type: data.type,
+      accountId: data.accountId,
+      categoryId: data.categoryId,
+      amount: data.amount,
+      currency: account?.currency,
+      description: data.description?.trim() || '',
+      frequency: data.frequency,
+      intervalCount: data.intervalCount,
+      byWeekday: by_weekday,
+      byWeekOfMonth: by_week_of_month,
+      startDate: data.startDate,
+      endDate: data.endsOn === 'date' ? data.endDate : null,
+      maxOccurrences: data.endsOn === 'count' ? data.maxOccurrences : null,
+      status: data.paused ? 'Paused' : 'Active',
+    };
+    try {
+      if (editingTemplate) {
+        await dispatch(
+          updateRecurringTransaction({
+            recurringId: editingTemplate.recurring_id,
+            updates: payload,
+          })
+        ).unwrap();
+      } else {
+        await dispatch(createRecurringTransaction(payload)).unwrap();
+      }
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      await dispatch(deleteRecurringTransaction(editingTemplate.recurring_id)).unwrap();
+      setDeleteConfirm(false);
+      onClose();
+    } catch (err) {
+      setDeleteError(err?.message || 'Failed to delete. Please try again.');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const busy = isSubmitting || isDeleting;
+
+  return (
+    <>
+      <AppDialog
+        open={open}
+        onClose={handleClose}
+        title={editingTemplate ? 'Edit Recurring Transaction' : 'New Recurring Transaction'}
+        onSubmit={handleSubmit(onSubmit)}
+        contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+        footer={
+          <Box
+            sx={{
+              flexShrink: 0,
+              p: { xs: 1.5, sm: 2 },
+              gap: 1,
+              display: 'flex',
+              justifyContent: 'space-between',
+              borderTop: '1px solid',
+              borderColor: 'divider',
+              backgroundColor: 'background.paper',
+            }}
+          >
+            <Box>
+              {editingTemplate && (
+                <Button
+                  color="error"
+                  onClick={() => setDeleteConfirm(true)}
+                  disabled={busy}
+                  startIcon={<DeleteIcon />}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Delete
+                </Button>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button onClick={handleClose} disabled={busy} sx={{ textTransform: 'none' }}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="contained"
+                disabled={busy}
+                startIcon={
+                  isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+                }
+                sx={{ textTransform: 'none', minWidth: 100 }}
+              >
+                {isSubmitting ? 'Saving...' : editingTemplate ? 'Update' : 'Create'}
+              </Button>
+            </Box>
+          </Box>
+        }
+      >
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Type"
+              value={watchedType}
+              onChange={(e) => {
+                setValue('type', e.target.value);
+                setValue('categoryId', '');
+              }}
+            >
+              <MenuItem value="Expense">Expense</MenuItem>
+              <MenuItem value="Income">Income</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <AccountAutocomplete
+              accounts={accounts}
+              value={watchedAccountId || ''}
+              onChange={(id) => setValue('accountId', id, { shouldValidate: true })}
+              error={!!errors.accountId}
+              helperText={errors.accountId?.message}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <CategoryAutocomplete
+              categories={typeCategories}
+              leafOnly
+              value={watchedCategoryId || ''}
+              onChange={(id) => setValue('categoryId', id || '', { shouldValidate: true })}
+              error={!!errors.categoryId}
+              helperText={errors.categoryId?.message}
+            />
+          </Grid>
+          <Grid item xs={12} sm={5}>
+            <TextField
+              fullWidth
+              type="number"
+              label={`Amount${account ? ` (${account.currency})` : ''} *`}
+              {...register('amount', { valueAsNumber: true })}
+              error={!!errors.amount}
+              helperText={errors.amount?.message}
+              inputProps={{ step: '0.01', min: '0.01' }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={7}>
+            <TextField
+              fullWidth
+              label="Description"
+              {...register('description')}
+              placeholder="e.g., Rent, Salary, Netflix"
+            />
+          </Grid>
+
+          <Grid item xs={6} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Repeats"
+              value={watchedFrequency}
+              onChange={(e) => setValue('frequency', e.target.value)}
+            >
+              {RECURRENCE_FREQUENCIES.map((frequency) => (
+                <MenuItem key={frequency} value={frequency}>
+                  {frequency}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              type="number"
+              label={`Every (${UNIT_LABELS[watchedFrequency]})`}
+              {...register('intervalCount', { valueAsNumber: true })}
+              error={!!errors.intervalCount}
+              helperText={errors.intervalCount?.message}
+              inputProps={{ step: 1, min: 1 }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={5}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Starts"
+              {...register('startDate')}
+              error={!!errors.startDate}
+              helperText={errors.startDate?.message}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          {watchedFrequency === 'Monthly' && (
+            <Grid item xs={12}>
+              <TextField
+                select
+                fullWidth
+                label="Day of the month"
+                value={monthlyOn}
+                onChange={(e) => setValue('monthlyOn', e.target.value)}
+              >
+                {monthlyOptions.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          )}
+
+          <Grid item xs={12} sm={watchedEndsOn === 'never' ? 12 : 6}>
+            <TextField
+              select
+              fullWidth
+              label="Ends"
+              value={watchedEndsOn}
+              onChange={(e) => setValue('endsOn', e.target.value)}
+            >
+              <MenuItem value="never">Never</MenuItem>
+              <MenuItem value="date">On a date</MenuItem>
+              <MenuItem value="count">After a number of times</MenuItem>
+            </TextField>
+          </Grid>
+          {watchedEndsOn === 'date' && (
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                type="date"
+                label="End date"
+                {...register('endDate')}
+                error={!!errors.endDate}
+                helperText={errors.endDate?.message}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          )}
+          {watchedEndsOn === 'count' && (
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Occurrences"
+                {...register('maxOccurrences', {
+                  setValueAs: (v) => (v === '' || v === null ? undefined : Number(v)),
+                })}
+                error={!!errors.maxOccurrences}
+                helperText={errors.maxOccurrences?.message || 'Counted from the start date'}
+                inputProps={{ step: 1, min: 1 }}
+              />
+            </Grid>
+          )}
+          {preview && (
+            <Grid item xs={12}>
+              <Typography variant="body2" color="text.secondary">
+                {preview}
+                {editingTemplate?.next_due_date && !watchedPaused
+                  ? ` · next ${format(parseISO(editingTemplate.next_due_date), 'MMM d, yyyy')}`
+                  : ''}
+              </Typography>
+            </Grid>
+          )}
+          {editingTemplate && (
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!watchedPaused}
+                    onChange={(e) => setValue('paused', e.target.checked)}
+                  />
+                }
+                label="Paused"
+              />
+            </Grid>
+          )}
+        </Grid>
+      </AppDialog>
+
+      <ConfirmDeleteDialog
+        open={deleteConfirm && !!editingTemplate}
+        onClose={() => {
+          setDeleteConfirm(false);
+          setDeleteError(null);
+        }}
+        onConfirm={handleDelete}
+        title="Delete this recurring transaction?"
+        description="No more occurrences will be posted. Transactions it already posted are kept."
+        isDeleting={isDeleting}
+        error={deleteError}
+      />
+    </>
+  );
+}
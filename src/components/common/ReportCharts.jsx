@@ -0,0 +1,593 @@
+import { useMemo } from 'react';
+import {
+  Box,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { alpha, useTheme } from '@mui/material/styles';
+import { format } from 'date-fns';
+import { formatCurrency } from '../../utils/currencyConversion';
+
+// Plot area for the bar and line charts, in SVG user units. The SVGs scale to
+// the card width, so these only set the aspect ratio and label room.
+const WIDTH = 320;
+const HEIGHT = 160;
+const PAD = { top: 8, right: 8, bottom: 20, left: 40 };
+
+const compactNumber = new Intl.NumberFormat('en-US', {
+  notation: 'compact',
+  maximumFractionDigits: 1,
+});
+
+// Three gridlines from zero (or the minimum) to the top of the data
+const niceTicks = (min, max) => {
+  if (max === min) return [min];
+  const step = (max - min) / 2;
+  return [min, min + step, max];
+};
+
+function ChartCard({ title, subtitle, action, children }) {
+  return (
+    <Box
+      sx={{
+        border: '1px solid',
+        borderColor: 'divider',
+        borderRadius: 1,
+        p: { xs: 1.5, sm: 2 },
+        minWidth: 0,
+      }}
+    >
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: 1,
+          mb: 1,
+          minHeight: 32,
+        }}
+      >
+        <Box sx={{ minWidth: 0 }}>
+          <Typography sx={{ fontWeight: 600, fontSize: '0.9375rem' }}>
+            {title}
+          </Typography>
+          {subtitle && (
+            <Typography variant="caption" color="text.secondary">
+              {subtitle}
+            </Typography>
+          )}
+        </Box>
+        {action}
+      </Box>
+      {children}
+    </Box>
+  );
+}
+
+function EmptyChart({ message }) {
+  return (
+    <Box
+      sx={{
+        height: 140,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+      }}
+    >
+      <Typography variant="body2" color="text.secondary">
+        {message}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * Spending by category. A slice or legend row with a category opens its
+ * transactions; the folded "Other" slice has nothing to open.
+ */
+function DonutChart({ slices, currency, colors, onSliceClick }) {
+  const theme = useTheme();
+  const radius = 60;
+  const stroke = 22;
+  const circumference = 2 * Math.PI * radius;
+  const total = slices.reduce((sum, s) => sum + s.value, 0);
+
+  let offset = 0;
+  const arcs = slices.map((slice, i) => {
+    const length = slice.share * circumference;
+    const arc = {
+      ...slice,
+      color: slice.id ? colors[i % colors.length] : theme.palette.google.gray,
+      dash: `${length} ${circumference - length}`,
+      offset: -offset,
+    };
+    offset += length;
+    return arc;
+  });
+
+  const open = (slice) => slice.id && onSliceClick?.(slice.id);
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        flexDirection: { xs: 'column', sm: 'row' },
+        alignItems: 'center',
+        gap: 2,
+      }}
+    >
+      <Box
+        component="svg"
+        viewBox="0 0 160 160"
+        sx={{ width: 160, height: 160, flexShrink: 0 }}
+        role="img"
+        aria-label="Spending by category"
+      >
+        {/* Each slice is a dashed stroke of the same circle, rotated so the
+            first starts at 12 o'clock */}
+        <g transform="rotate(-90 80 80)">
+          {arcs.map((arc) => (
+            <Tooltip
+              key={arc.id || 'other'}
+              title={`${arc.label}: ${formatCurrency(arc.value, currency)} (${Math.round(
+                arc.share * 100
+              )}%)`}
+            >
+              <circle
+                cx="80"
+                cy="80"
+                r={radius}
+                fill="none"
+                stroke={arc.color}
+                strokeWidth={stroke}
+                strokeDasharray={arc.dash}
+                strokeDashoffset={arc.offset}
+                style={{ cursor: arc.id ? 'pointer' : 'default' }}
+                onClick={() => open(arc)}
+              />
+            </Tooltip>
+          ))}
+        </g>
+        <text
+          x="80"
+          y="78"
+          textAnchor="middle"
+          fontSize="11"
+          fill={theme.palette.text.secondary}
+        >
+          Total
+        </text>
+        <text
+          x="80"
+          y="94"
+          textAnchor="middle"
+          fontSize="14"
+          fontWeight="600"
+          fill={theme.palette.text.primary}
+        >
+          {compactNumber.format(total)}
+        </text>
+      </Box>
+      <Box sx={{ flex: 1, minWidth: 0, width: '100%' }}>
+        {arcs.map((arc) => (
+          <Box
+            key={arc.id || 'other'}
+            onClick={() => open(arc)}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 1,
+              py: 0.375,
+              px: 0.5,
+              borderRadius: 0.5,
+              cursor: arc.id ? 'pointer' : 'default',
+              '&:hover': arc.id ? { bgcolor: 'action.hover' } : undefined,
+            }}
+          >
+            <Box
+              sx={{
+                width: 10,
+                height: 10,
+                borderRadius: '50%',
+                bgcolor: arc.color,
+                flexShrink: 0,
+              }}
+            />
+            <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }}>
+              {arc.label}
+            </Typography>
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              sx={{ whiteSpace: 'nowrap' }}
+            >
+              {Math.round(arc.share * 100)}%
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+/** Income and expense side by side for each bucket of the range. */
+function IncomeExpenseBars({ bars, currency }) {
+  const theme = useTheme();
+  const max = Math.max(0, ...bars.map((b) => Math.max(b.income, b.expense)));
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const slot = plotWidth / Math.max(bars.length, 1);
+  const barWidth = Math.min(14, (slot - 4) / 2);
+  const y = (value) => PAD.top + plotHeight - (max ? (value / max) * plotHeight : 0);
+  // Label every bucket when they fit, otherwise every other (or fewer)
+  const labelEvery = Math.ceil(bars.length / 6);
+
+  return (
+    <Box
+      component="svg"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      sx={{ width: '100%', height: 'auto', display: 'block' }}
+      role="img"
+      aria-label="Income vs expenses"
+    >
+      {niceTicks(0, max).map((tick) => (
+        <g key={tick}>
+          <line
+            x1={PAD.left}
+            x2={WIDTH - PAD.right}
+            y1={y(tick)}
+            y2={y(tick)}
+            stroke={theme.palette.divider}
+          />
+          <text
+            x={PAD.left - 4}
+            y={y(tick) + 3}
+            textAnchor="end"
+            fontSize="9"
+            fill={theme.palette.text.secondary}
+          >
+            {compactNumber.format(tick)}
+          </text>
+        </g>
+      ))}
+      {bars.map((bar, i) => {
+        const center = PAD.left + slot * i + slot / 2;
+        return (
+          <Tooltip
+            key={bar.start.getTime()}
+            title={`${bar.label} · Income ${formatCurrency(
+              bar.income,
+              currency
+            )} · Expenses ${formatCurrency(bar.expense, currency)}`}
+          >
+            <g>
+              {/* Full-height hit area so thin bars are still easy to hover */}
+              <rect
+                x={center - slot / 2}
+                y={PAD.top}
+                width={slot}
+                height={plotHeight}
+                fill="transparent"
+              />
+              <rect
+                x={center - barWidth - 1}
+                y={y(bar.income)}
+                width={barWidth}
+                height={PAD.top + plotHeight - y(bar.income)}
+                rx="1.5"
+                fill={theme.palette.google.green}
+              />
+              <rect
+                x={center + 1}
+                y={y(bar.expense)}
+                width={barWidth}
+                height={PAD.top + plotHeight - y(bar.expense)}
+                rx="1.5"
+                fill={theme.palette.google.red}
+              />
+              {i % labelEvery === 0 && (
+                <text
+                  x={center}
+                  y={HEIGHT - 6}
+                  textAnchor="middle"
+                  fontSize="9"
+                  fill={theme.palette.text.secondary}
+                >
+                  {bar.label}
+                </text>
+              )}
+            </g>
+          </Tooltip>
+        );
+      })}
+    </Box>
+  );
+}
+
+/**
+ * One or more lines over a date domain. A series can stop short of the domain
+ * end (nothing is plotted past today) and can be dashed (a reference pace).
+ */
+export function LineChart({ series, domain, currency, label }) {
+  const theme = useTheme();
+  const values = series.flatMap((s) => s.points.map((p) => p.value));
+  const rawMin = Math.min(0, ...values);
+  const rawMax = Math.max(0, ...values);
+  const min = rawMin;
+  const max = rawMax === rawMin ? rawMin + 1 : rawMax;
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const start = domain.start.getTime();
+  const span = Math.max(domain.end.getTime() - start, 1);
+  const x = (date) => PAD.left + ((date.getTime() - start) / span) * plotWidth;
+  const y = (value) => PAD.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+  // Hover targets: the first series only, sampled down to about 60 points
+  const hoverPoints = series[0]?.points || [];
+  const hoverStep = Math.max(1, Math.ceil(hoverPoints.length / 60));
+
+  return (
+    <Box
+      component="svg"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      sx={{ width: '100%', height: 'auto', display: 'block' }}
+      role="img"
+      aria-label={label}
+    >
+      {niceTicks(min, max).map((tick) => (
+        <g key={tick}>
+          <line
+            x1={PAD.left}
+            x2={WIDTH - PAD.right}
+            y1={y(tick)}
+            y2={y(tick)}
+            stroke={theme.palette.divider}
+            strokeDasharray={tick === 0 ? undefined : '2 3'}
+          />
+          <text
+            x={PAD.left - 4}
+            y={y(tick) + 3}
+            textAnchor="end"
+            fontSize="9"
+            fill={theme.palette.text.secondary}
+          >
+            {compactNumber.format(tick)}
+          </text>
+        </g>
+      ))}
+      {[domain.start, domain.end].map((date, i) => (
+        <text
+          key={i}
+          x={i === 0 ? PAD.left : WIDTH - PAD.right}
+          y={HEIGHT - 6}
+          textAnchor={i === 0 ? 'start' : 'end'}
+          fontSize="9"
+          fill={theme.palette.text.secondary}
+        >
+          {format(date, 'MMM d, yyyy')}
+        </text>
+      ))}
+      {series.map((s) =>
+        s.points.length > 0 ? (
+          <polyline
+            key={s.key}
+            points={s.points.map((p) => `${x(p.date)},${y(p.value)}`).join(' ')}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={s.dashed ? 1.25 : 2}
+            strokeDasharray={s.dashed ? '4 3' : undefined}
+            strokeLinejoin="round"
+          />
+        ) : null
+      )}
+      {hoverPoints
+        .filter((_, i) => i % hoverStep === 0 || i === hoverPoints.length - 1)
+        .map((p) => (
+          <Tooltip
+            key={p.date.getTime()}
+            title={`${format(p.date, 'MMM d, yyyy')}: ${formatCurrency(
+              p.value,
+              currency
+            )}`}
+          >
+            <circle
+              cx={x(p.date)}
+              cy={y(p.value)}
+              r="5"
+              fill="transparent"
+            />
+          </Tooltip>
+        ))}
+    </Box>
+  );
+}
+
+/**
+ * Charts section of the Reports page. Everything arrives pre-computed from the
+ * page's own filtered data (period, account, type, status and search), in the
+ * base currency, so the charts always agree with the tables below them.
+ *
+ * @param {string} currency - base currency, for tooltips
+ * @param {{ start: Date, end: Date }} dateRange - the report period
+ * @param {Array} slices - spending by category (buildDonutSlices)
+ * @param {Array} bars - income vs expense buckets (buildIncomeExpenseBars)
+ * @param {Array} netWorth - net worth points (buildNetWorthSeries)
+ * @param {Array<{ id: string, label: string }>} burnDownOptions - budgeted
+ *   expense categories
+ * @param {string} burnDownCategoryId - the one the burn-down shows
+ * @param {{ points: Array, ideal: Array }|null} burnDown - its series
+ * @param {(id: string) => void} onBurnDownCategoryChange
+ * @param {(categoryId: string) => void} onCategoryClick - opens the category's
+ *   transactions
+ */
+export default function ReportCharts({
+  currency,
+  dateRange,
+  slices,
+  bars,
+  netWorth,
+  burnDownOptions,
+  burnDownCategoryId,
+  burnDown,
+  onBurnDownCategoryChange,
+  onCategoryClick,
+}) {
+  const theme = useTheme();
+  const google = theme.palette.google;
+  const sliceColors = useMemo(
+    () => [
+      google.blue,
+      google.red,
+      google.yellow,
+      google.green,
+      google.orange,
+      alpha(google.blue, 0.5),
+    ],
+    [google]
+  );
+
+  const hasBars = bars.some((b) => b.income > 0 || b.expense > 0);
+  const burnDownLabel = burnDownOptions.find(
+    (o) => o.id === burnDownCategoryId
+  )?.label;
+  const burnDownLeft = burnDown?.points.length
+    ? burnDown.points[burnDown.points.length - 1].value
+    : null;
+
+  return (
+    <Box
+      sx={{
+        display: 'grid',
+        gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' },
+        gap: { xs: 1.5, sm: 2 },
+      }}
+    >
+      <ChartCard title="Spending by category">
+        {slices.length > 0 ? (
+          <DonutChart
+            slices={slices}
+            currency={currency}
+            colors={sliceColors}
+            onSliceClick={onCategoryClick}
+          />
+        ) : (
+          <EmptyChart message="No spending in this period" />
+        )}
+      </ChartCard>
+
+      <ChartCard
+        title="Income vs expenses"
+        action={
+          <Box sx={{ display: 'flex', gap: 1.5 }}>
+            {[
+              ['Income', google.green],
+              ['Expenses', google.red],
+            ].map(([name, color]) => (
+              <Box
+                key={name}
+                sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}
+              >
+                <Box
+                  sx={{ width: 8, height: 8, borderRadius: 0.5, bgcolor: color }}
+                />
+                <Typography variant="caption" color="text.secondary">
+                  {name}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+        }
+      >
+        {hasBars ? (
+          <IncomeExpenseBars bars={bars} currency={currency} />
+        ) : (
+          <EmptyChart message="No income or expenses in this period" />
+        )}
+      </ChartCard>
+
+      <ChartCard
+        title="Net worth"
+        subtitle={
+          netWorth.length > 0
+            ? formatCurrency(netWorth[netWorth.length - 1].value, currency)
+            : undefined
+        }
+      >
+        {netWorth.length > 0 ? (
+          <LineChart
+            label="Net worth over time"
+            series={[
+              { key: 'netWorth', points: netWorth, color: google.blue },
+            ]}
+            domain={dateRange}
+            currency={currency}
+          />
+        ) : (
+          <EmptyChart message="Nothing to show for this period yet" />
+        )}
+      </ChartCard>
+
+      <ChartCard
+        title="Budget burn-down"
+        subtitle={
+          burnDownLeft !== null
+            ? burnDownLeft >= 0
+              ? `${formatCurrency(burnDownLeft, currency)} left`
+              : `${formatCurrency(Math.abs(burnDownLeft), currency)} over`
+            : undefined
+        }
+        action={
+          burnDownOptions.length > 0 && (
+            <TextField
+              select
+              size="small"
+              value={burnDownCategoryId || ''}
+              onChange={(e) => onBurnDownCategoryChange(e.target.value)}
+              sx={{ maxWidth: 180, '& .MuiInputBase-input': { py: 0.5 } }}
+              inputProps={{ 'aria-label': 'Burn-down category' }}
+            >
+              {burnDownOptions.map((option) => (
+                <MenuItem key={option.id} value={option.id}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          )
+        }
+      >
+        {burnDown ? (
+          <Box
+            onClick={() => onCategoryClick?.(burnDownCategoryId)}
+            sx={{ cursor: 'pointer' }}
+            title={burnDownLabel ? `Show ${burnDownLabel} transactions` : undefined}
+          >
+            <LineChart
+              label="Budget remaining over time"
+              series={[
+                {
+                  key: 'remaining',
+                  points: burnDown.points,
+                  color:
+                    burnDownLeft !== null && burnDownLeft < 0
+                      ? google.red
+                      : google.green,
+                },
+                {
+                  key: 'pace',
+                  points: burnDown.ideal,
+                  color: google.gray,
+                  dashed: true,
+                },
+              ]}
+              domain={dateRange}
+              currency={currency}
+            />
+          </Box>
+        ) : (
+          <EmptyChart message="No budgeted categories in this period" />
+        )}
+      </ChartCard>
+    </Box>
+  );
+}
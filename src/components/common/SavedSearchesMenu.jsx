@@ -0,0 +1,191 @@
+import { useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import BookmarkBorderIcon from '@mui/icons-material/BookmarkBorder';
+import BookmarkAddOutlinedIcon from '@mui/icons-material/BookmarkAddOutlined';
+import CloseIcon from '@mui/icons-material/Close';
+import { updateSetting } from '../../store/slices/settingsSlice';
+import {
+  SAVED_SEARCHES_SETTING_KEY,
+  getSavedSearches,
+} from '../../utils/transactionQuery';
+import { getErrorMessage } from '../../utils/errorMessage';
+
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * The bookmark button beside the transaction search box: run a saved search,
+ * forget one, or save the current query under a name. Saved searches live in
+ * settings, so they follow the user to other devices.
+ *
+ * @param {string} query - the query in the search box
+ * @param {(query: string) => void} onApply - run a saved query
+ */
+export default function SavedSearchesMenu({ query, onApply }) {
+  const dispatch = useDispatch();
+  const { settings } = useSelector((state) => state.settings);
+  const saved = useMemo(() => getSavedSearches(settings), [settings]);
+
+  const [anchor, setAnchor] = useState(null);
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const trimmedQuery = (query || '').trim();
+
+  const save = (next) =>
+    dispatch(
+      updateSetting({
+        key: SAVED_SEARCHES_SETTING_KEY,
+        value: JSON.stringify(next),
+      })
+    ).unwrap();
+
+  const handleStartSaving = () => {
+    setAnchor(null);
+    setName('');
+    setError(null);
+    setNaming(true);
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const trimmedName = name.trim();
+    if (!trimmedName) return;
+    // Saving under an existing name replaces that search
+    const others = saved.filter(
+      (entry) => entry.name.toLowerCase() !== trimmedName.toLowerCase()
+    );
+    if (others.length >= MAX_SAVED_SEARCHES) {
+      setError(`You can keep up to ${MAX_SAVED_SEARCHES} saved searches.`);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await save([...others, { name: trimmedName, query: trimmedQuery }]);
+      setNaming(false);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to save the search.'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleForget = (entry) => {
+    // A failure is toasted and the setting left as it was
+    save(saved.filter((other) => other !== entry)).catch(() => {});
+  };
+
+  return (
+    <>
+      <Tooltip title="Saved searches">
+        <IconButton
+          size="small"
+          edge="end"
+          aria-label="Saved searches"
+          onClick={(event) => setAnchor(event.currentTarget)}
+        >
+          <BookmarkBorderIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+
+      <Menu anchorEl={anchor} open={!!anchor} onClose={() => setAnchor(null)}>
+        {saved.map((entry) => (
+          <MenuItem
+            key={entry.name}
+            onClick={() => {
+              setAnchor(null);
+              onApply(entry.query);
+            }}
+            sx={{ maxWidth: 360 }}
+          >
+            <ListItemText
+              primary={entry.name}
+              secondary={entry.query}
+              primaryTypographyProps={{ noWrap: true, fontSize: '0.875rem' }}
+              secondaryTypographyProps={{ noWrap: true, fontSize: '0.75rem' }}
+            />
+            <IconButton
+              size="small"
+              aria-label={`Forget ${entry.name}`}
+              onClick={(event) => {
+                event.stopPropagation();
+                handleForget(entry);
+              }}
+              sx={{ ml: 1 }}
+            >
+              <CloseIcon sx={{ fontSize: 16 }} />
+            </IconButton>
+          </MenuItem>
+        ))}
+        {saved.length > 0 && <Divider />}
+        <MenuItem onClick={handleStartSaving} disabled={!trimmedQuery}>
+          <ListItemIcon>
+            <BookmarkAddOutlinedIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText
+            primary="Save this search"
+            primaryTypographyProps={{ fontSize: '0.875rem' }}
+          />
+        </MenuItem>
+      </Menu>
+
+      <Dialog
+        open={naming}
+        onClose={isSaving ? undefined : () => setNaming(false)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <form onSubmit={handleSave}>
+          <DialogTitle>Save search</DialogTitle>
+          <DialogContent>
+            <TextField
+              autoFocus
+              fullWidth
+              margin="dense"
+              label="Name"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              helperText={trimmedQuery}
+              disabled={isSaving}
+              inputProps={{ maxLength: 60 }}
+            />
+            {error && (
+              <Alert severity="error" sx={{ mt: 1 }}>
+                {error}
+              </Alert>
+            )}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setNaming(false)} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={!name.trim() || isSaving}
+            >
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,450 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  FormControlLabel,
+  Grid,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { addMonths, format, parseISO } from 'date-fns';
+import {
+  createSavingsGoal,
+  deleteSavingsGoal,
+  updateSavingsGoal,
+} from '../../store/slices/savingsGoalsSlice';
+import { savingsGoalSchema } from '../../schemas/savingsGoalSchema';
+import {
+  selectBaseCurrency,
+  selectExchangeRates,
+  selectTagIdsByTransaction,
+  selectTagMap,
+} from '../../store/selectors';
+import {
+  buildExchangeRateLookup,
+  formatCurrency,
+} from '../../utils/currencyConversion';
+import { GOAL_TRACKING_OPTIONS, goalProgress } from '../../utils/savingsGoals';
+import { normalizeTagName } from '../../utils/tags';
+import AppDialog from './AppDialog';
+import ConfirmDeleteDialog from './ConfirmDeleteDialog';
+
+/**
+ * Create or edit a savings goal. Below the form, the progress and monthly
+ * amount the goal would show are worked out live from the values entered.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object|null} editingGoal - savings_goals row, or null to create
+ */
+export default function SavingsGoalDialog({ open, onClose, editingGoal = null }) {
+  const dispatch = useDispatch();
+  const { accounts } = useSelector((state) => state.accounts);
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const baseCurrency = useSelector(selectBaseCurrency);
+  const exchangeRates = useSelector(selectExchangeRates);
+  const tagIdsByTransaction = useSelector(selectTagIdsByTransaction);
+  const tagMap = useSelector(selectTagMap);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const activeAccounts = useMemo(
+    () => accounts.filter((a) => a.status === 'Active'),
+    [accounts]
+  );
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue,
+    watch,
+  } = useForm({
+    resolver: zodResolver(savingsGoalSchema),
+    defaultValues: {
+      name: '',
+      targetAmount: '',
+      currency: baseCurrency,
+      targetDate: '',
+      tracking: 'balance',
+      accountId: '',
+      tagName: '',
+      archived: false,
+    },
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    if (editingGoal) {
+      reset({
+        name: editingGoal.name,
+        targetAmount: Number(editingGoal.target_amount),
+        currency: editingGoal.currency,
+        targetDate: editingGoal.target_date,
+        tracking: editingGoal.tracking,
+        accountId: editingGoal.account_id || '',
+        tagName: tagMap.get(editingGoal.tag_id)?.name || '',
+        archived: editingGoal.status === 'Archived',
+      });
+    } else {
+      // A savings account is the likeliest home for a new goal
+      const savings = activeAccounts.find((a) => a.type === 'Savings');
+      reset({
+        name: '',
+        targetAmount: '',
+        currency: savings?.currency || baseCurrency,
+        targetDate: format(addMonths(new Date(), 12), 'yyyy-MM-dd'),
+        tracking: 'balance',
+        accountId: savings?.account_id || '',
+        tagName: '',
+        archived: false,
+      });
+    }
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    setIsSubmitting(false);
+    setIsDeleting(false);
+    // Only when the dialog opens: a tag or account refresh mustn't reset edits
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, editingGoal, reset]);
+
+  const values = watch();
+
+  // What the goal would show with the values as entered. An unsaved tag
+  // name matches nothing yet, so a new tag previews as nothing saved.
+  const preview = useMemo(() => {
+    const target = Number(values.targetAmount);
+    if (!(target > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(values.targetDate || '')) {
+      return null;
+    }
+    const tagName = normalizeTagName(values.tagName);
+    const tag = [...tagMap.values()].find((t) => t.name === tagName);
+    return goalProgress(
+      {
+        target_amount: target,
+        currency: (values.currency || '').toUpperCase(),
+        target_date: values.targetDate,
+        tracking: values.tracking,
+        account_id: values.accountId || null,
+        tag_id: tag?.tag_id || null,
+      },
+      {
+        accounts,
+        transactions: allTransactions,
+        tagIdsByTransaction,
+        rateLookup: buildExchangeRateLookup(exchangeRates),
+      }
+    );
+  }, [
+    values.targetAmount,
+    values.currency,
+    values.targetDate,
+    values.tracking,
+    values.accountId,
+    values.tagName,
+    accounts,
+    allTransactions,
+    tagIdsByTransaction,
+    tagMap,
+    exchangeRates,
+  ]);
+
+  const handleAccountChange = (accountId) => {
+    setValue('accountId', accountId, { shouldValidate: !!errors.accountId });
+    // A balance goal is counted in its account's currency unless told otherwise
+    const account = accounts.find((a) => a.account_id === accountId);
+    if (account && !editingGoal) setValue('currency', account.currency);
+  };
+
+  const handleTrackingChange = (tracking) => {
+    setValue('tracking', tracking);
+    if (tracking === 'transfers' && !values.tagName && values.name) {
+      setValue('tagName', normalizeTagName(values.name));
+    }
+  };
+
+  const handleClose = () => {
+    if (isSubmitting || isDeleting) return;
+    setActionError(null);
+    setDeleteConfirm(false);
+    setDeleteError(null);
+    onClose();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    const payload = {
+      name: data.name,
+      targetAmount: data.targetAmount,
+      currency: data.currency,
+      targetDate: data.targetDate,
+      tracking: data.tracking,
+      accountId: data.accountId || '',
+      tagName: data.tracking === 'transfers' ? data.tagName : '',
+      status: data.archived ? 'Archived' : 'Active',
+    };
+    try {
+      if (editingGoal) {
+        await dispatch(
+          updateSavingsGoal({ goalId: editingGoal.goal_id, updates: payload })
+        ).unwrap();
+      } else {
+        await dispatch(createSavingsGoal(payload)).unwrap();
+      }
+      onClose();
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      await dispatch(deleteSavingsGoal(editingGoal.goal_id)).unwrap();
+      setDeleteConfirm(false);
+      onClose();
+    } catch (err) {
+      setDeleteError(err?.message || 'Failed to delete. Please try again.');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const busy = isSubmitting || isDeleting;
+  const currency = (values.currency || '').toUpperCase();
+
+  return (
+    <>
+      <AppDialog
+        open={open}
+        onClose={handleClose}
+        title={editingGoal ? 'Edit Goal' : 'New Savings Goal'}
+        onSubmit={handleSubmit(onSubmit)}
+        contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+        footer={
+          <Box
+            sx={{
+              flexShrink: 0,
+              p: { xs: 1.5, sm: 2 },
+              gap: 1,
+              display: 'flex',
+              justifyContent: 'space-between',
+              borderTop: '1px solid',
+              borderColor: 'divider',
+              backgroundColor: 'background.paper',
+            }}
+          >
+            <Box>
+              {editingGoal && (
+                <Button
+                  color="error"
+                  onClick={() => setDeleteConfirm(true)}
+                  disabled={busy}
+                  startIcon={<DeleteIcon />}
+                  sx={{ textTransform: 'none' }}
+                >
+                  Delete
+                </Button>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button onClick={handleClose} disabled={busy} sx={{ textTransform: 'none' }}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="contained"
+                disabled={busy}
+                startIcon={
+                  isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+                }
+                sx={{ textTransform: 'none', minWidth: 100 }}
+              >
+                {isSubmitting ? 'Saving...' : editingGoal ? 'Update' : 'Create'}
+              </Button>
+            </Box>
+          </Box>
+        }
+      >
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Name *"
+              {...register('name')}
+              error={!!errors.name}
+              helperText={errors.name?.message}
+              placeholder="e.g., Emergency fund"
+            />
+          </Grid>
+          <Grid item xs={7}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Target amount *"
+              {...register('targetAmount', { valueAsNumber: true })}
+              error={!!errors.targetAmount}
+              helperText={errors.targetAmount?.message}
+              inputProps={{ step: '0.01', min: '0.01' }}
+            />
+          </Grid>
+          <Grid item xs={5}>
+            <TextField
+              fullWidth
+              label="Currency *"
+              {...register('currency')}
+              error={!!errors.currency}
+              helperText={errors.currency?.message}
+              inputProps={{ maxLength: 3, style: { textTransform: 'uppercase' } }}
+              onChange={(e) => setValue('currency', e.target.value.toUpperCase())}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Target date *"
+              {...register('targetDate')}
+              error={!!errors.targetDate}
+              helperText={errors.targetDate?.message}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Count progress from"
+              value={values.tracking}
+              onChange={(e) => handleTrackingChange(e.target.value)}
+            >
+              {GOAL_TRACKING_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              select
+              fullWidth
+              label={values.tracking === 'balance' ? 'Savings account *' : 'Savings account'}
+              value={values.accountId || ''}
+              onChange={(e) => handleAccountChange(e.target.value)}
+              error={!!errors.accountId}
+              helperText={
+                errors.accountId?.message ||
+                (values.tracking === 'balance'
+                  ? 'Everything in this account counts toward the goal'
+                  : 'Optional. Transfers out of this account count against the goal')
+              }
+            >
+              {values.tracking === 'transfers' && (
+                <MenuItem value="">
+                  <em>None</em>
+                </MenuItem>
+              )}
+              {activeAccounts.map((a) => (
+                <MenuItem key={a.account_id} value={a.account_id}>
+                  {a.name} ({a.currency})
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          {values.tracking === 'transfers' && (
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Tag *"
+                {...register('tagName')}
+                error={!!errors.tagName}
+                helperText={
+                  errors.tagName?.message ||
+                  'Transfers carrying this tag count toward the goal. Pick the goal when adding a transfer to tag it.'
+                }
+              />
+            </Grid>
+          )}
+          {editingGoal && (
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!values.archived}
+                    onChange={(e) => setValue('archived', e.target.checked)}
+                  />
+                }
+                label="Archived"
+              />
+            </Grid>
+          )}
+
+          {preview && (
+            <Grid item xs={12}>
+              <Box
+                sx={{
+                  border: '1px solid',
+                  borderColor: 'divider',
+                  borderRadius: 1,
+                  p: 1.5,
+                }}
+              >
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                  {formatCurrency(preview.saved, currency)} saved of{' '}
+                  {formatCurrency(Number(values.targetAmount), currency)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                  {preview.isReached
+                    ? 'Already reached.'
+                    : preview.isOverdue
+                    ? 'The target date has passed.'
+                    : `Save ${formatCurrency(preview.monthlyNeeded, currency)} a month to reach it by ${format(
+                        parseISO(values.targetDate),
+                        'MMM d, yyyy'
+                      )}.`}
+                  {preview.unconverted && ' Some amounts have no exchange rate and are counted as they are.'}
+                </Typography>
+              </Box>
+            </Grid>
+          )}
+        </Grid>
+      </AppDialog>
+
+      <ConfirmDeleteDialog
+        open={deleteConfirm && !!editingGoal}
+        onClose={() => {
+          setDeleteConfirm(false);
+          setDeleteError(null);
+        }}
+        onConfirm={handleDelete}
+        title="Delete this goal?"
+        description="Its tag and the transfers carrying it are kept."
+        isDeleting={isDeleting}
+        error={deleteError}
+      />
+    </>
+  );
+}
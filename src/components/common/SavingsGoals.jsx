@@ -0,0 +1,120 @@
+import { useSelector } from 'react-redux';
+import { Box, Button, LinearProgress, Typography } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import { format, parseISO } from 'date-fns';
+import { selectSavingsGoalProgress, selectSavingsGoals } from '../../store/selectors';
+import { formatCurrency } from '../../utils/currencyConversion';
+
+/**
+ * Home section with a progress bar per active savings goal and what still
+ * has to go in each month to hit it on time. Renders nothing until a goal
+ * exists; archived goals stay editable from the goal dialog only.
+ *
+ * @param {(goal: Object|null) => void} onEditGoal - open the goal dialog for
+ *   a goal, or null for a new one
+ */
+export default function SavingsGoals({ onEditGoal }) {
+  const goals = useSelector(selectSavingsGoals);
+  const progressById = useSelector(selectSavingsGoalProgress);
+
+  const activeGoals = goals.filter((goal) => goal.status === 'Active');
+  if (activeGoals.length === 0) return null;
+
+  const statusLine = (goal, progress) => {
+    if (progress.sourceMissing) {
+      return goal.tracking === 'balance'
+        ? 'Its account was deleted · choose another'
+        : 'Its tag was deleted · choose another';
+    }
+    if (progress.isReached) return 'Reached';
+    const due = format(parseISO(goal.target_date), 'MMM d, yyyy');
+    if (progress.isOverdue) return `Was due ${due}`;
+    return `${formatCurrency(progress.monthlyNeeded, goal.currency)}/month until ${due}`;
+  };
+
+  return (
+    <Box
+      sx={{
+        mb: { xs: 2, sm: 2.5 },
+        p: { xs: 1.5, sm: 2 },
+        border: '1px solid',
+        borderColor: 'divider',
+        borderRadius: 1,
+        backgroundColor: 'background.paper',
+      }}
+    >
+      <Box
+        sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          mb: 1,
+        }}
+      >
+        <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+          Savings goals
+        </Typography>
+        <Button
+          size="small"
+          startIcon={<AddIcon sx={{ fontSize: 18 }} />}
+          onClick={() => onEditGoal(null)}
+        >
+          New
+        </Button>
+      </Box>
+
+      {activeGoals.map((goal) => {
+        const progress = progressById.get(goal.goal_id);
+        if (!progress) return null;
+        const warn = progress.sourceMissing || progress.isOverdue;
+        return (
+          <Box
+            key={goal.goal_id}
+            onClick={() => onEditGoal(goal)}
+            sx={{
+              py: 1,
+              borderBottom: '1px solid',
+              borderColor: 'divider',
+              cursor: 'pointer',
+            }}
+          >
+            <Box
+              sx={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'baseline',
+                gap: 1,
+              }}
+            >
+              <Typography variant="body2" noWrap sx={{ minWidth: 0 }}>
+                {goal.name}
+              </Typography>
+              <Typography variant="body2" sx={{ fontWeight: 600, flexShrink: 0 }}>
+                {formatCurrency(progress.saved, goal.currency)}
+                <Typography component="span" variant="caption" color="text.secondary">
+                  {' '}
+                  of {formatCurrency(Number(goal.target_amount), goal.currency)}
+                </Typography>
+              </Typography>
+            </Box>
+            <LinearProgress
+              variant="determinate"
+              value={progress.percent}
+              color={progress.isReached ? 'success' : warn ? 'warning' : 'primary'}
+              sx={{ my: 0.75, height: 6, borderRadius: 3 }}
+            />
+            <Typography
+              variant="caption"
+              component="div"
+              noWrap
+              sx={{ color: warn ? 'warning.main' : 'text.secondary' }}
+            >
+              {statusLine(goal, progress)}
+              {progress.unconverted && ' · some amounts unconverted'}
+            </Typography>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
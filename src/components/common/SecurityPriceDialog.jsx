@@ -0,0 +1,205 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Grid,
+  IconButton,
+  TextField,
+  Typography,
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { format, parseISO } from 'date-fns';
+import { deletePrice, savePrices } from '../../store/slices/investmentsSlice';
+import { priceSchema } from '../../schemas/investmentSchema';
+import { formatCurrency } from '../../utils/currencyConversion';
+import { normalizeSymbol } from '../../utils/investments';
+import AppDialog from './AppDialog';
+
+// Enough history to spot a typo without turning the dialog into a table
+const RECENT_PRICES = 8;
+
+/**
+ * Enter a holding's price for a day, replacing any already recorded for that
+ * day, and see or remove the latest ones. Prices are kept per symbol, so a
+ * symbol held in two accounts shares them.
+ *
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {Object} holding - holdings row
+ */
+export default function SecurityPriceDialog({ open, onClose, holding }) {
+  const dispatch = useDispatch();
+  const { prices } = useSelector((state) => state.investments);
+  const [actionError, setActionError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+  } = useForm({
+    resolver: zodResolver(priceSchema),
+    defaultValues: { date: format(new Date(), 'yyyy-MM-dd'), price: '' },
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    reset({ date: format(new Date(), 'yyyy-MM-dd'), price: '' });
+    setActionError(null);
+  }, [open, reset]);
+
+  const symbol = normalizeSymbol(holding?.symbol);
+  const recent = useMemo(
+    () =>
+      prices
+        .filter((p) => p.symbol === symbol)
+        .slice(-RECENT_PRICES)
+        .reverse(),
+    [prices, symbol]
+  );
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setActionError(null);
+    try {
+      await dispatch(
+        savePrices({
+          prices: [{ symbol, date: data.date, price: data.price }],
+          source: 'manual',
+        })
+      ).unwrap();
+      reset({ date: data.date, price: '' });
+    } catch (err) {
+      setActionError(err?.message || 'Failed to save the price. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = (priceId) => {
+    // A failure is toasted and the list left as it was
+    dispatch(deletePrice(priceId));
+  };
+
+  return (
+    <AppDialog
+      open={open}
+      onClose={isSubmitting ? undefined : onClose}
+      title={`${symbol} price`}
+      onSubmit={handleSubmit(onSubmit)}
+      maxWidth="xs"
+      contentSx={{ pt: { xs: 1, sm: 2 }, pb: 2 }}
+      footer={
+        <Box
+          sx={{
+            flexShrink: 0,
+            p: { xs: 1.5, sm: 2 },
+            gap: 1,
+            display: 'flex',
+            justifyContent: 'flex-end',
+            borderTop: '1px solid',
+            borderColor: 'divider',
+            backgroundColor: 'background.paper',
+          }}
+        >
+          <Button onClick={onClose} disabled={isSubmitting} sx={{ textTransform: 'none' }}>
+            Done
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={isSubmitting}
+            startIcon={
+              isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+            }
+            sx={{ textTransform: 'none', minWidth: 100 }}
+          >
+            {isSubmitting ? 'Saving...' : 'Save price'}
+          </Button>
+        </Box>
+      }
+    >
+      {actionError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+          {actionError}
+        </Alert>
+      )}
+      <Grid container spacing={2} sx={{ mt: 0 }}>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            type="date"
+            label="Date *"
+            {...register('date')}
+            error={!!errors.date}
+            helperText={errors.date?.message}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            type="number"
+            label={`Price (${holding?.currency || ''}) *`}
+            {...register('price', { valueAsNumber: true })}
+            error={!!errors.price}
+            helperText={errors.price?.message}
+            inputProps={{ step: 'any', min: '0' }}
+          />
+        </Grid>
+      </Grid>
+
+      <Typography
+        variant="overline"
+        color="text.secondary"
+        sx={{ display: 'block', mt: 2.5, lineHeight: 1.5 }}
+      >
+        Latest prices
+      </Typography>
+      {recent.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          None yet. Until there is one, {symbol} is valued at its last trade price.
+        </Typography>
+      ) : (
+        recent.map((row) => (
+          <Box
+            key={row.price_id}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 1,
+              py: 0.5,
+              borderBottom: '1px solid',
+              borderColor: 'divider',
+            }}
+          >
+            <Typography variant="body2" sx={{ flex: 1 }}>
+              {format(parseISO(row.price_date), 'MMM d, yyyy')}
+              {row.source === 'import' && (
+                <Typography component="span" variant="caption" color="text.secondary">
+                  {' '}· imported
+                </Typography>
+              )}
+            </Typography>
+            <Typography variant="body2" sx={{ fontWeight: 500 }}>
+              {formatCurrency(Number(row.price), holding?.currency)}
+            </Typography>
+            <IconButton
+              size="small"
+              aria-label={`Delete the price on ${row.price_date}`}
+              onClick={() => handleDelete(row.price_id)}
+            >
+              <CloseIcon sx={{ fontSize: 16 }} />
+            </IconButton>
+          </Box>
+        ))
+      )}
+    </AppDialog>
+  );
+}
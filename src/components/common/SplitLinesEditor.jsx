@@ -0,0 +1,152 @@
+import { Box, Button, IconButton, TextField, Typography } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import CloseIcon from '@mui/icons-material/Close';
+import CategoryAutocomplete from './CategoryAutocomplete';
+import { formatCurrency } from '../../utils/currencyConversion';
+import {
+  EMPTY_SPLIT_LINE,
+  splitRemainder,
+} from '../../utils/transactionSplits';
+
+/**
+ * The category lines of a split transaction: a category, an amount and an
+ * optional note per line, with what is still left to assign against the
+ * transaction's total. Controlled — the form owns the lines.
+ *
+ * @param {Array<{categoryId, amount, description}>} lines
+ * @param {Function} onChange - (lines) => void
+ * @param {Array} categories - flattened, already filtered to the type
+ * @param {number} total - the transaction amount
+ * @param {string} [currency]
+ * @param {Object} [errors] - RHF errors for the `splits` field
+ */
+export default function SplitLinesEditor({
+  lines,
+  onChange,
+  categories,
+  total,
+  currency,
+  errors,
+}) {
+  const remainder = splitRemainder(total, lines);
+
+  const updateLine = (index, field, value) => {
+    onChange(
+      lines.map((line, i) => (i === index ? { ...line, [field]: value } : line))
+    );
+  };
+
+  const removeLine = (index) => {
+    onChange(lines.filter((_, i) => i !== index));
+  };
+
+  // A new line starts with whatever is left, which is usually what it's for
+  const addLine = () => {
+    onChange([
+      ...lines,
+      { ...EMPTY_SPLIT_LINE, amount: remainder > 0 ? String(remainder) : '' },
+    ]);
+  };
+
+  const amountText = (amount) =>
+    currency ? formatCurrency(amount, currency) : amount.toFixed(2);
+
+  return (
+    <Box>
+      {lines.map((line, index) => {
+        const lineErrors = errors?.[index];
+        return (
+          <Box
+            key={index}
+            sx={{
+              display: 'flex',
+              flexWrap: { xs: 'wrap', sm: 'nowrap' },
+              alignItems: 'flex-start',
+              gap: 1,
+              mb: 1.5,
+            }}
+          >
+            <Box sx={{ flex: { xs: '1 1 100%', sm: '2 1 0' }, minWidth: 0 }}>
+              <CategoryAutocomplete
+                categories={categories}
+                leafOnly
+                value={line.categoryId || ''}
+                onChange={(id) => updateLine(index, 'categoryId', id)}
+                label={`Category ${index + 1} *`}
+                error={!!lineErrors?.categoryId}
+                helperText={lineErrors?.categoryId?.message}
+                size="small"
+              />
+            </Box>
+            <TextField
+              type="number"
+              label="Amount *"
+              size="small"
+              value={line.amount}
+              onChange={(e) => updateLine(index, 'amount', e.target.value)}
+              error={!!lineErrors?.amount}
+              helperText={lineErrors?.amount?.message}
+              inputProps={{ step: '0.01', min: '0.01' }}
+              sx={{ flex: '1 1 0', minWidth: 0 }}
+            />
+            <TextField
+              label="Note"
+              size="small"
+              value={line.description || ''}
+              onChange={(e) => updateLine(index, 'description', e.target.value)}
+              sx={{ flex: { xs: '1 1 0', sm: '1.5 1 0' }, minWidth: 0 }}
+            />
+            <IconButton
+              onClick={() => removeLine(index)}
+              disabled={lines.length <= 2}
+              size="small"
+              aria-label={`Remove line ${index + 1}`}
+              sx={{ mt: 0.5 }}
+            >
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        );
+      })}
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: 1,
+        }}
+      >
+        <Button
+          onClick={addLine}
+          size="small"
+          startIcon={<AddIcon />}
+          sx={{ textTransform: 'none' }}
+        >
+          Add line
+        </Button>
+        <Typography
+          variant="caption"
+          sx={{
+            color:
+              remainder === 0
+                ? 'text.secondary'
+                : errors?.message
+                ? 'error.main'
+                : 'warning.main',
+          }}
+        >
+          {remainder === 0
+            ? 'Fully assigned'
+            : remainder > 0
+            ? `${amountText(remainder)} left to assign`
+            : `${amountText(-remainder)} over the amount`}
+        </Typography>
+      </Box>
+      {errors?.message && (
+        <Typography variant="caption" color="error" sx={{ display: 'block' }}>
+          {errors.message}
+        </Typography>
+      )}
+    </Box>
+  );
+}
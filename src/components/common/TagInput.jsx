@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Autocomplete, Chip, TextField } from '@mui/material';
+import { selectAllTags } from '../../store/selectors';
+import { normalizeTagNames } from '../../utils/tags';
+
+/**
+ * Free-form tag entry: pick existing tags or type new ones (Enter or comma
+ * adds a chip). Works in names — the thunks turn new names into tags on save.
+ * Controlled.
+ *
+ * @param {string[]} value - tag names
+ * @param {Function} onChange - (names) => void, already normalized
+ * @param {string} [label]
+ * @param {string} [helperText]
+ * @param {string} [size]
+ */
+export default function TagInput({
+  value,
+  onChange,
+  label = 'Tags',
+  helperText,
+  size,
+}) {
+  const tags = useSelector(selectAllTags);
+  const options = tags.map((tag) => tag.name);
+  const [input, setInput] = useState('');
+
+  const handleInputChange = (event, text) => {
+    // A comma finishes the tag, the way Enter does
+    if (text.includes(',')) {
+      onChange(normalizeTagNames([...value, ...text.split(',')]));
+      setInput('');
+      return;
+    }
+    setInput(text);
+  };
+
+  return (
+    <Autocomplete
+      multiple
+      freeSolo
+      autoSelect
+      options={options}
+      value={value}
+      inputValue={input}
+      onChange={(event, names) => onChange(normalizeTagNames(names))}
+      onInputChange={handleInputChange}
+      filterSelectedOptions
+      size={size}
+      renderTags={(selected, getTagProps) =>
+        selected.map((name, index) => (
+          <Chip
+            {...getTagProps({ index })}
+            key={name}
+            label={name}
+            size="small"
+          />
+        ))
+      }
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label={label}
+          placeholder={value.length ? '' : 'Add a tag'}
+          helperText={helperText}
+        />
+      )}
+    />
+  );
+}
@@ -0,0 +1,77 @@
+import { Box, LinearProgress, Typography } from '@mui/material';
+import { formatCurrency } from '../../utils/currencyConversion';
+
+/**
+ * Spending per tag for the report period. A transaction with several tags
+ * counts toward each of them, so the rows can add up to more than the
+ * period's expenses — the bar shows each tag's share of those expenses.
+ *
+ * @param {Array<{tag, total, count}>} rows - largest first
+ * @param {number} totalExpenses - the period's expenses, same currency
+ * @param {string} currency - base currency
+ */
+export default function TagSpendingSection({
+  rows,
+  totalExpenses,
+  currency,
+}) {
+  if (rows.length === 0) return null;
+
+  return (
+    <Box sx={{ mb: { xs: 3, sm: 3 } }}>
+      <Typography
+        variant="h6"
+        sx={{
+          mb: { xs: 1.5, sm: 2 },
+          fontWeight: 'bold',
+          fontSize: { xs: '1rem', sm: '1.125rem' },
+        }}
+      >
+        Spending by Tag
+      </Typography>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.25 }}>
+        {rows.map(({ tag, total, count }) => {
+          const share =
+            totalExpenses > 0 ? Math.min(100, (total / totalExpenses) * 100) : 0;
+          return (
+            <Box key={tag.tag_id} sx={{ px: { xs: 1.25, sm: 0 } }}>
+              <Box
+                sx={{
+                  display: 'flex',
+                  alignItems: 'baseline',
+                  justifyContent: 'space-between',
+                  gap: 1,
+                  mb: 0.5,
+                }}
+              >
+                <Typography
+                  variant="body2"
+                  sx={{ fontWeight: 500, minWidth: 0 }}
+                  noWrap
+                >
+                  #{tag.name}
+                  <Typography
+                    component="span"
+                    variant="caption"
+                    color="text.secondary"
+                    sx={{ ml: 1 }}
+                  >
+                    {count} transaction{count !== 1 ? 's' : ''}
+                  </Typography>
+                </Typography>
+                <Typography variant="body2" sx={{ fontWeight: 600, flexShrink: 0 }}>
+                  {formatCurrency(total, currency)}
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={share}
+                sx={{ height: 6, borderRadius: 3 }}
+              />
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,281 @@
+import { useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Tooltip,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import ImageOutlinedIcon from '@mui/icons-material/ImageOutlined';
+import PictureAsPdfOutlinedIcon from '@mui/icons-material/PictureAsPdfOutlined';
+import VisibilityOutlinedIcon from '@mui/icons-material/VisibilityOutlined';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import {
+  addAttachment,
+  deleteAttachment,
+  replaceAttachment,
+} from '../../store/slices/attachmentsSlice';
+import { selectAttachmentsByTransaction } from '../../store/selectors';
+import {
+  ATTACHMENT_ACCEPT,
+  getAttachmentUrl,
+  isImageAttachment,
+} from '../../lib/api/attachments';
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * The Attachments section of the edit dialog: the transaction's receipts and
+ * documents, each viewable, replaceable and removable, and a button to attach
+ * another. Changes are saved as they're made, not with the dialog's Update.
+ *
+ * @param {string} transactionId
+ * @param {boolean} [disabled] - while the dialog is saving
+ */
+function TransactionAttachments({ transactionId, disabled = false }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const attachments = useSelector(
+    (state) => selectAttachmentsByTransaction(state).get(transactionId) || []
+  );
+
+  // 'new', or the id of the attachment being replaced or removed
+  const [busyId, setBusyId] = useState(null);
+  const [confirmRemoveId, setConfirmRemoveId] = useState(null);
+  const [error, setError] = useState(null);
+  const [viewing, setViewing] = useState(null); // { attachment, url }
+  const fileInputRef = useRef(null);
+  const replacingIdRef = useRef(null);
+
+  const run = async (id, task) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : err?.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const pickFile = (replacingId = null) => {
+    replacingIdRef.current = replacingId;
+    fileInputRef.current?.click();
+  };
+
+  const handleFileSelected = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // let the same file be picked again
+    if (!file) return;
+
+    const replacingId = replacingIdRef.current;
+    if (replacingId) {
+      run(replacingId, () =>
+        dispatch(replaceAttachment({ attachmentId: replacingId, source: file })).unwrap()
+      );
+    } else {
+      run('new', () =>
+        dispatch(addAttachment({ source: file, transactionIds: [transactionId] })).unwrap()
+      );
+    }
+  };
+
+  const handleView = (attachment) =>
+    run(attachment.attachment_id, async () => {
+      setViewing({ attachment, url: await getAttachmentUrl(attachment) });
+    });
+
+  const handleRemove = (attachment) => {
+    if (confirmRemoveId !== attachment.attachment_id) {
+      setConfirmRemoveId(attachment.attachment_id);
+      return;
+    }
+    setConfirmRemoveId(null);
+    run(attachment.attachment_id, () =>
+      dispatch(deleteAttachment(attachment.attachment_id)).unwrap()
+    );
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <input
+        type="file"
+        accept={ATTACHMENT_ACCEPT}
+        ref={fileInputRef}
+        onChange={handleFileSelected}
+        style={{ display: 'none' }}
+      />
+
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
+        <Typography variant="subtitle2" sx={{ flex: 1 }}>
+          Attachments
+        </Typography>
+        <Button
+          size="small"
+          onClick={() => pickFile()}
+          disabled={disabled || busyId !== null}
+          startIcon={
+            busyId === 'new' ? (
+              <CircularProgress size={14} color="inherit" />
+            ) : (
+              <AttachFileIcon sx={{ fontSize: 18 }} />
+            )
+          }
+          sx={{ textTransform: 'none' }}
+        >
+          Attach file
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {attachments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No receipt or document attached. Photos and PDFs up to 10 MB.
+        </Typography>
+      ) : (
+        attachments.map((attachment) => {
+          const id = attachment.attachment_id;
+          const Icon = isImageAttachment(attachment)
+            ? ImageOutlinedIcon
+            : PictureAsPdfOutlinedIcon;
+          const confirming = confirmRemoveId === id;
+          return (
+            <Box
+              key={id}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1,
+                py: 0.5,
+                borderBottom: '1px solid',
+                borderColor: 'divider',
+                '&:last-of-type': { borderBottom: 'none' },
+              }}
+            >
+              <Icon sx={{ fontSize: 20, color: 'text.secondary' }} />
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="body2" noWrap title={attachment.file_name}>
+                  {attachment.file_name}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {confirming ? 'Press remove again to delete it' : formatSize(attachment.size_bytes)}
+                </Typography>
+              </Box>
+              {busyId === id ? (
+                <CircularProgress size={18} sx={{ mx: 1 }} />
+              ) : (
+                <>
+                  <Tooltip title="View">
+                    <span>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleView(attachment)}
+                        disabled={disabled || busyId !== null}
+                        aria-label={`View ${attachment.file_name}`}
+                      >
+                        <VisibilityOutlinedIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Replace">
+                    <span>
+                      <IconButton
+                        size="small"
+                        onClick={() => pickFile(id)}
+                        disabled={disabled || busyId !== null}
+                        aria-label={`Replace ${attachment.file_name}`}
+                      >
+                        <SwapHorizIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title={confirming ? 'Remove for good' : 'Remove'}>
+                    <span>
+                      <IconButton
+                        size="small"
+                        color={confirming ? 'error' : 'default'}
+                        onClick={() => handleRemove(attachment)}
+                        onBlur={() => confirming && setConfirmRemoveId(null)}
+                        disabled={disabled || busyId !== null}
+                        aria-label={`Remove ${attachment.file_name}`}
+                      >
+                        <DeleteOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </>
+              )}
+            </Box>
+          );
+        })
+      )}
+
+      <Dialog
+        open={!!viewing}
+        onClose={() => setViewing(null)}
+        maxWidth="md"
+        fullWidth
+        fullScreen={isMobile}
+      >
+        <DialogTitle sx={{ pr: 2 }} noWrap>
+          {viewing?.attachment.file_name}
+        </DialogTitle>
+        <DialogContent sx={{ display: 'flex', justifyContent: 'center' }}>
+          {viewing &&
+            (isImageAttachment(viewing.attachment) ? (
+              <Box
+                component="img"
+                src={viewing.url}
+                alt={viewing.attachment.file_name}
+                sx={{ maxWidth: '100%', maxHeight: '75vh', objectFit: 'contain' }}
+              />
+            ) : (
+              <Box
+                component="iframe"
+                src={viewing.url}
+                title={viewing.attachment.file_name}
+                sx={{ width: '100%', height: '75vh', border: 0 }}
+              />
+            ))}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            component="a"
+            href={viewing?.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            sx={{ textTransform: 'none' }}
+          >
+            Open in new tab
+          </Button>
+          <Button onClick={() => setViewing(null)} sx={{ textTransform: 'none' }}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default TransactionAttachments;
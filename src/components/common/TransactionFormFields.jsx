@@ -17,12 +17,20 @@ import {
   Typography,
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
 import CategoryAutocomplete from './CategoryAutocomplete';
+import SplitLinesEditor from './SplitLinesEditor';
 import AccountAutocomplete from './AccountAutocomplete';
 import BudgetInlineCue from './BudgetInlineCue';
+import TagInput from './TagInput';
 import { flattenCategoryTree } from '../../utils/categoryHierarchy';
 import { currencyLabel } from '../../utils/currencyConversion';
 import { isEntityNameRequired } from '../../utils/borrowingLendingParser';
+import {
+  EMPTY_SPLIT_LINE,
+  SPLITTABLE_TYPES,
+  primarySplitCategory,
+} from '../../utils/transactionSplits';
 import {
   selectBorrowingLendingCategoryIds,
   selectEntityNameSuggestions,
@@ -54,6 +62,10 @@ import {
  *   (Add/Edit). Set false to keep them always visible (Batch rapid entry).
  * @param {number|string} [categoryKey] - key for the Category field, so callers
  *   that re-enter rapidly (Batch) can force a re-mount to re-focus it.
+ * @param {boolean} [allowSplit] - offer splitting the amount across several
+ *   categories (the form then carries a `splits` array)
+ * @param {boolean} [allowTags] - show the Tags field (the form then carries a
+ *   `tags` array of names)
  */
 export default function TransactionFormFields({
   register,
@@ -69,6 +81,8 @@ export default function TransactionFormFields({
   autoFocusCategory = false,
   collapseDateStatus = true,
   categoryKey,
+  allowSplit = false,
+  allowTags = false,
 }) {
   const [showMore, setShowMore] = useState(false);
 
@@ -76,6 +90,11 @@ export default function TransactionFormFields({
   const watchedCategoryId = watch('categoryId');
   const watchedType = watch('type');
   const watchedStatus = watch('status');
+  const watchedSplits = watch('splits');
+  const isSplitting =
+    allowSplit &&
+    SPLITTABLE_TYPES.includes(watchedType) &&
+    watchedSplits?.length > 0;
 
   // Lending/borrowing transactions become a record on the Borrowings & Lendings
   // page, filed under whoever the money went to or came from — so ask for that
@@ -84,10 +103,9 @@ export default function TransactionFormFields({
     selectBorrowingLendingCategoryIds
   );
   const entityNameSuggestions = useSelector(selectEntityNameSuggestions);
-  const showEntityName = isEntityNameRequired(
-    watchedCategoryId,
-    borrowingLendingCategoryIds
-  );
+  const showEntityName =
+    !isSplitting &&
+    isEntityNameRequired(watchedCategoryId, borrowingLendingCategoryIds);
 
   // Filter categories by type and flatten with hierarchy
   const getFilteredCategories = () => {
@@ -103,6 +121,39 @@ export default function TransactionFormFields({
     return flattenCategoryTree(filtered);
   };
 
+  // Split lines keep the form's category on the largest line, so the
+  // category-level checks (and the row's category) follow the split
+  const setSplitLines = (lines) => {
+    setValue('splits', lines, { shouldDirty: true });
+    setValue('categoryId', lines.length ? primarySplitCategory(lines) : '');
+  };
+
+  // Starting a split moves the current category and amount onto the first
+  // line; ending one keeps the largest line's category for the whole amount
+  const toggleSplit = () => {
+    if (isSplitting) {
+      setValue('categoryId', primarySplitCategory(watchedSplits));
+      setValue('splits', [], { shouldDirty: true });
+      return;
+    }
+    const amount = parseFloat(watch('amount'));
+    setSplitLines([
+      {
+        ...EMPTY_SPLIT_LINE,
+        categoryId: watchedCategoryId || '',
+        amount: amount > 0 ? String(amount) : '',
+      },
+      { ...EMPTY_SPLIT_LINE },
+    ]);
+  };
+
+  // Borrowing/lending files a record for the whole amount under one person,
+  // so those categories can't take part in a split
+  const getSplitCategories = () =>
+    getFilteredCategories().filter(
+      (cat) => !borrowingLendingCategoryIds.has(cat.category_id)
+    );
+
   // Date + Status share the same two fields whether collapsed (Add/Edit) or
   // inline (Batch), so they're defined once here.
   const dateStatusFields = (
@@ -203,31 +254,33 @@ export default function TransactionFormFields({
           </FormHelperText>
         )}
       </Grid>
-      <Grid item xs={12} sm={6}>
-        <CategoryAutocomplete
-          key={categoryKey}
-          categories={getFilteredCategories()}
-          leafOnly
-          value={watchedCategoryId || ''}
-          onChange={(id) => setValue('categoryId', id)}
-          onSelect={() => {
-            // Focus Amount field after category selection
-            setTimeout(() => {
-              amountInputRef.current?.focus();
-            }, 50);
-          }}
-          label="Category *"
-          error={!!errors.categoryId}
-          helperText={
-            errors.categoryId?.message ||
-            (!watchedType ? 'Please select a transaction type first' : undefined)
-          }
-          disabled={!watchedType}
-          autoFocus={autoFocusCategory && !!watchedType && !!watchedAccountId}
-          inputRef={categoryInputRef}
-        />
-      </Grid>
-      <Grid item xs={12} sm={6}>
+      {!isSplitting && (
+        <Grid item xs={12} sm={6}>
+          <CategoryAutocomplete
+            key={categoryKey}
+            categories={getFilteredCategories()}
+            leafOnly
+            value={watchedCategoryId || ''}
+            onChange={(id) => setValue('categoryId', id)}
+            onSelect={() => {
+              // Focus Amount field after category selection
+              setTimeout(() => {
+                amountInputRef.current?.focus();
+              }, 50);
+            }}
+            label="Category *"
+            error={!!errors.categoryId}
+            helperText={
+              errors.categoryId?.message ||
+              (!watchedType ? 'Please select a transaction type first' : undefined)
+            }
+            disabled={!watchedType}
+            autoFocus={autoFocusCategory && !!watchedType && !!watchedAccountId}
+            inputRef={categoryInputRef}
+          />
+        </Grid>
+      )}
+      <Grid item xs={12} sm={isSplitting ? 12 : 6}>
         <TextField
           fullWidth
           type="number"
@@ -249,14 +302,38 @@ export default function TransactionFormFields({
               : undefined
           }
         />
-        <BudgetInlineCue
-          categoryId={watchedCategoryId}
-          type={watchedType}
-          amount={watch('amount')}
-          amountCurrency={watch('currency')}
-          excludeTransactionId={excludeTransactionId}
-        />
+        {!isSplitting && (
+          <BudgetInlineCue
+            categoryId={watchedCategoryId}
+            type={watchedType}
+            amount={watch('amount')}
+            amountCurrency={watch('currency')}
+            excludeTransactionId={excludeTransactionId}
+          />
+        )}
       </Grid>
+      {allowSplit && SPLITTABLE_TYPES.includes(watchedType) && (
+        <Grid item xs={12}>
+          <Button
+            onClick={toggleSplit}
+            size="small"
+            startIcon={<CallSplitIcon />}
+            sx={{ textTransform: 'none', px: 0.5, mb: isSplitting ? 1 : 0 }}
+          >
+            {isSplitting ? 'Use one category' : 'Split across categories'}
+          </Button>
+          {isSplitting && (
+            <SplitLinesEditor
+              lines={watchedSplits}
+              onChange={setSplitLines}
+              categories={getSplitCategories()}
+              total={watch('amount')}
+              currency={watch('currency')}
+              errors={errors.splits}
+            />
+          )}
+        </Grid>
+      )}
       {showEntityName && (
         <Grid item xs={12}>
           <Autocomplete
@@ -294,6 +371,14 @@ export default function TransactionFormFields({
           rows={2}
         />
       </Grid>
+      {allowTags && (
+        <Grid item xs={12}>
+          <TagInput
+            value={watch('tags') || []}
+            onChange={(names) => setValue('tags', names, { shouldDirty: true })}
+          />
+        </Grid>
+      )}
       {collapseDateStatus ? (
         <Grid item xs={12}>
           {/* Date + Status default sensibly, so they stay out of the way
@@ -0,0 +1,304 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from '@mui/material';
+import {
+  countBackupCodes,
+  disableTotp,
+  generateBackupCodes,
+  hasTotpFactor,
+  reloadUser,
+  startTotpEnrolment,
+  verifyTotp,
+} from '../../lib/api/mfa';
+import { setUser } from '../../store/slices/authSlice';
+import { downloadFile } from '../../utils/download';
+
+/**
+ * Turn two-factor sign-in on or off from Settings. Setting up shows the QR
+ * code (and the secret, for apps that can't scan), confirms one code from the
+ * app, then shows ten backup codes — the only time they can be read. With
+ * two-factor on, the backup codes can be replaced with a fresh set.
+ *
+ * Views: 'status' (on or off), 'enrol' (QR and first code), 'codes'.
+ */
+export default function TwoFactorDialog({ open, onClose }) {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const user = useSelector((state) => state.auth.user);
+  const enabled = hasTotpFactor(user);
+  const [view, setView] = useState('status');
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [codes, setCodes] = useState([]);
+  const [codesLeft, setCodesLeft] = useState(null);
+  const [confirmOff, setConfirmOff] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !enabled) return;
+    countBackupCodes()
+      .then(setCodesLeft)
+      .catch(() => setCodesLeft(null));
+  }, [open, enabled]);
+
+  const reset = () => {
+    setView('status');
+    setEnrolment(null);
+    setCode('');
+    setCodes([]);
+    setConfirmOff(false);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    reset();
+    onClose();
+  };
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      setError(err?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () =>
+    run(async () => {
+      setEnrolment(await startTotpEnrolment());
+      setView('enrol');
+    });
+
+  const handleVerify = () =>
+    run(async () => {
+      if (!code.trim()) throw new Error('Enter the 6-digit code from the app');
+      try {
+        await verifyTotp(enrolment.factorId, code);
+      } catch (err) {
+        setCode('');
+        throw err;
+      }
+      dispatch(setUser(await reloadUser()));
+      setCodes(await generateBackupCodes());
+      setView('codes');
+    });
+
+  const handleNewCodes = () =>
+    run(async () => {
+      setCodes(await generateBackupCodes());
+      setView('codes');
+    });
+
+  const handleTurnOff = () => {
+    if (!confirmOff) {
+      setConfirmOff(true);
+      return;
+    }
+    run(async () => {
+      await disableTotp();
+      dispatch(setUser(await reloadUser()));
+      setConfirmOff(false);
+      setCodesLeft(null);
+    });
+  };
+
+  const codesText = codes.join('\n');
+
+  const handleDownload = () =>
+    downloadFile(
+      'personal-finance-backup-codes.txt',
+      `Backup codes for ${user?.email || 'your account'}\n` +
+        'Each one signs you in once without your authenticator app.\n\n' +
+        `${codesText}\n`,
+      'text/plain'
+    );
+
+  const handleCopy = () =>
+    navigator.clipboard?.writeText(codesText).catch(() => {
+      setError('Could not copy. Select the codes and copy them instead.');
+    });
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="xs"
+      fullWidth
+      fullScreen={isMobile}
+    >
+      <DialogTitle>Two-factor sign-in</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {view === 'status' && (
+          <Typography variant="body2" color="text.secondary">
+            {enabled ? (
+              <>
+                On. Signing in asks for a code from your authenticator app after
+                your password or sign-in link.
+                {codesLeft !== null &&
+                  ` You have ${codesLeft} backup code${codesLeft === 1 ? '' : 's'} left.`}
+              </>
+            ) : (
+              'Off. Add a code from an authenticator app (Google Authenticator, 1Password, Authy…) to every sign-in, so a password alone can’t open your finances.'
+            )}
+          </Typography>
+        )}
+        {view === 'status' && confirmOff && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            Your account will be protected by your password only, and your
+            backup codes will stop working.
+          </Alert>
+        )}
+
+        {view === 'enrol' && enrolment && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Scan this with your authenticator app, then enter the code it
+              shows.
+            </Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 1.5 }}>
+              <Box
+                component="img"
+                src={enrolment.qrCode}
+                alt="QR code for your authenticator app"
+                sx={{ width: 180, height: 180, bgcolor: 'common.white', p: 1 }}
+              />
+            </Box>
+            <Typography
+              variant="caption"
+              color="text.secondary"
+              sx={{ display: 'block', textAlign: 'center', mb: 2 }}
+            >
+              Can’t scan? Enter this key:{' '}
+              <Box
+                component="span"
+                sx={{ fontFamily: 'monospace', wordBreak: 'break-all', userSelect: 'all' }}
+              >
+                {enrolment.secret}
+              </Box>
+            </Typography>
+            <TextField
+              fullWidth
+              autoFocus
+              label="6-digit code"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={busy}
+              inputProps={{ inputMode: 'numeric', maxLength: 7 }}
+            />
+          </>
+        )}
+
+        {view === 'codes' && (
+          <>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Save these backup codes somewhere safe. Each signs you in once if
+              you lose your authenticator app, and turns two-factor off until you
+              set it up again. They won’t be shown again.
+            </Alert>
+            <Box
+              sx={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: 1,
+                fontFamily: 'monospace',
+                fontSize: '0.9375rem',
+                textAlign: 'center',
+                userSelect: 'all',
+                p: 1.5,
+                borderRadius: 1,
+                bgcolor: 'action.hover',
+              }}
+            >
+              {codes.map((backupCode) => (
+                <span key={backupCode}>{backupCode}</span>
+              ))}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }}>
+              <Button size="small" onClick={handleCopy}>
+                Copy
+              </Button>
+              <Button size="small" onClick={handleDownload}>
+                Download
+              </Button>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {view === 'status' && enabled && (
+          <>
+            <Button color="error" onClick={handleTurnOff} disabled={busy}>
+              {confirmOff ? 'Turn off two-factor' : 'Turn off'}
+            </Button>
+            <Box sx={{ flex: 1 }} />
+            <Button onClick={handleNewCodes} disabled={busy}>
+              New backup codes
+            </Button>
+            <Button variant="contained" onClick={handleClose} disabled={busy}>
+              Done
+            </Button>
+          </>
+        )}
+        {view === 'status' && !enabled && (
+          <>
+            <Button onClick={handleClose} disabled={busy}>
+              Cancel
+            </Button>
+            <Button variant="contained" onClick={handleStart} disabled={busy}>
+              Set up
+            </Button>
+          </>
+        )}
+        {view === 'enrol' && (
+          <>
+            <Button onClick={handleClose} disabled={busy}>
+              Cancel
+            </Button>
+            <Button
+              variant="contained"
+              onClick={handleVerify}
+              disabled={busy}
+              startIcon={
+                busy ? <CircularProgress size={20} color="inherit" /> : null
+              }
+            >
+              Verify
+            </Button>
+          </>
+        )}
+        {view === 'codes' && (
+          <Button variant="contained" onClick={handleClose}>
+            I’ve saved them
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,425 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import MoreVertIcon from '@mui/icons-material/MoreVert';
+import SendIcon from '@mui/icons-material/Send';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+import UndoIcon from '@mui/icons-material/Undo';
+import EditIcon from '@mui/icons-material/Edit';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
+import { addDays, format, isToday, isTomorrow, parseISO } from 'date-fns';
+import {
+  editOccurrence,
+  postOccurrenceNow,
+  skipOccurrence,
+} from '../../store/slices/recurringTransactionsSlice';
+import { formatCurrency } from '../../utils/currencyConversion';
+import {
+  describeRecurrence,
+  toDateString,
+  upcomingOccurrences,
+} from '../../utils/recurrence';
+
+// How far ahead the list looks, and how many rows show before "Show all"
+const HORIZON_DAYS = 30;
+const COLLAPSED_ROWS = 4;
+
+const dayLabel = (dateString) => {
+  const date = parseISO(dateString);
+  if (isToday(date)) return 'Today';
+  if (isTomorrow(date)) return 'Tomorrow';
+  return format(date, 'EEE, MMM d');
+};
+
+/**
+ * Change the amount or description of a single occurrence; the rest of the
+ * series keeps the template's values.
+ */
+function OccurrenceEditDialog({ open, onClose, template, occurrence }) {
+  const dispatch = useDispatch();
+  const [amount, setAmount] = useState('');
+  const [description, setDescription] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the occurrence's current values each time the dialog opens
+  useEffect(() => {
+    if (!open || !occurrence) return;
+    setAmount(String(occurrence.amount));
+    setDescription(occurrence.description);
+    setError(null);
+  }, [open, occurrence]);
+
+  const handleClose = () => {
+    if (isSaving) return;
+    onClose();
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await dispatch(
+        editOccurrence({
+          recurringId: template.recurring_id,
+          date: occurrence.date,
+          changes: { amount, description: description.trim() },
+        })
+      ).unwrap();
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Failed to save. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!template || !occurrence) return null;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Edit {format(parseISO(occurrence.date), 'MMM d')} only</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          type="number"
+          label={`Amount (${template.currency})`}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          inputProps={{ step: '0.01', min: '0.01' }}
+          sx={{ mt: 1, mb: 2 }}
+          autoFocus
+        />
+        <TextField
+          fullWidth
+          label="Description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={isSaving || !(parseFloat(amount) > 0)}
+          startIcon={isSaving ? <CircularProgress size={20} color="inherit" /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * Home section listing what recurring transactions will post over the next
+ * month, soonest first. Each row's menu posts that occurrence now, skips it
+ * (or restores a skipped one), changes it alone, or opens the whole series.
+ * Paused series follow at the end so they stay reachable. Renders nothing
+ * when there are no active or paused series.
+ *
+ * @param {(template: Object|null) => void} onEditSeries - open the series
+ *   dialog for a template, or null for a new one
+ */
+export default function UpcomingRecurring({ onEditSeries }) {
+  const dispatch = useDispatch();
+  const { recurringTransactions } = useSelector(
+    (state) => state.recurringTransactions
+  );
+  const { categories } = useSelector((state) => state.categories);
+  const [expanded, setExpanded] = useState(false);
+  const [menu, setMenu] = useState(null); // { anchor, row }
+  const [editing, setEditing] = useState(null); // row
+  const [busyKey, setBusyKey] = useState(null);
+
+  const { rows, pausedTemplates } = useMemo(() => {
+    const horizon = toDateString(addDays(new Date(), HORIZON_DAYS));
+    const list = [];
+    recurringTransactions
+      .filter((template) => template.status === 'Active')
+      .forEach((template) => {
+        let occurrences = upcomingOccurrences(template, horizon, 10).filter(
+          (o) => !o.posted
+        );
+        // A series with nothing in the window still shows its next date
+        if (occurrences.length === 0) {
+          occurrences = upcomingOccurrences(template, null, 5)
+            .filter((o) => !o.posted)
+            .slice(0, 1);
+        }
+        occurrences.forEach((occurrence) =>
+          list.push({ template, occurrence, key: `${template.recurring_id}:${occurrence.date}` })
+        );
+      });
+    list.sort((a, b) => a.occurrence.date.localeCompare(b.occurrence.date));
+    return {
+      rows: list,
+      pausedTemplates: recurringTransactions.filter((t) => t.status === 'Paused'),
+    };
+  }, [recurringTransactions]);
+
+  if (rows.length === 0 && pausedTemplates.length === 0) return null;
+
+  const visibleRows = expanded ? rows : rows.slice(0, COLLAPSED_ROWS);
+
+  const categoryName = (categoryId) =>
+    categories.find((c) => c.category_id === categoryId)?.name || '';
+
+  const runAction = async (row, action) => {
+    setMenu(null);
+    setBusyKey(row.key);
+    try {
+      await dispatch(action).unwrap();
+    } catch {
+      // The notifications middleware reports the failure
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const rowTitle = (template, description) =>
+    description || categoryName(template.category_id) || template.type;
+
+  const renderAmount = (template, amount) => (
+    <Typography
+      variant="body2"
+      sx={{
+        fontWeight: 600,
+        flexShrink: 0,
+        color: template.type === 'Income' ? 'google.green' : 'google.red',
+      }}
+    >
+      {formatCurrency(template.type === 'Income' ? amount : -amount, template.currency)}
+    </Typography>
+  );
+
+  const menuRow = menu?.row;
+
+  return (
+    <Box
+      sx={{
+        mb: { xs: 2, sm: 2.5 },
+        p: { xs: 1.5, sm: 2 },
+        border: '1px solid',
+        borderColor: 'divider',
+        borderRadius: 1,
+        backgroundColor: 'background.paper',
+      }}
+    >
+      <Box
+        sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          mb: 1,
+        }}
+      >
+        <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+          Upcoming
+        </Typography>
+        <Button
+          size="small"
+          startIcon={<AddIcon sx={{ fontSize: 18 }} />}
+          onClick={() => onEditSeries(null)}
+        >
+          New
+        </Button>
+      </Box>
+
+      {visibleRows.map((row) => {
+        const { template, occurrence } = row;
+        return (
+          <Box
+            key={row.key}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 1,
+              py: 0.75,
+              borderBottom: '1px solid',
+              borderColor: 'divider',
+              opacity: occurrence.skipped ? 0.5 : 1,
+            }}
+          >
+            <Box sx={{ minWidth: 0, flex: 1 }}>
+              <Typography
+                variant="body2"
+                noWrap
+                sx={{ textDecoration: occurrence.skipped ? 'line-through' : 'none' }}
+              >
+                {rowTitle(template, occurrence.description)}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" noWrap component="div">
+                {dayLabel(occurrence.date)}
+                {occurrence.skipped ? ' · Skipped' : occurrence.edited ? ' · Changed' : ''}
+                {' · '}
+                {describeRecurrence(template)}
+              </Typography>
+            </Box>
+            {renderAmount(template, occurrence.amount)}
+            {busyKey === row.key ? (
+              <CircularProgress size={18} sx={{ m: 0.75 }} />
+            ) : (
+              <IconButton
+                size="small"
+                aria-label="Occurrence actions"
+                onClick={(e) => setMenu({ anchor: e.currentTarget, row })}
+                sx={{ color: 'text.secondary' }}
+              >
+                <MoreVertIcon sx={{ fontSize: 18 }} />
+              </IconButton>
+            )}
+          </Box>
+        );
+      })}
+
+      {rows.length > COLLAPSED_ROWS && (
+        <Button
+          fullWidth
+          size="small"
+          onClick={() => setExpanded((prev) => !prev)}
+          sx={{ mt: 0.5, textTransform: 'none', color: 'text.secondary' }}
+        >
+          {expanded ? 'Show less' : `Show all ${rows.length}`}
+        </Button>
+      )}
+
+      {pausedTemplates.map((template) => (
+        <Box
+          key={template.recurring_id}
+          onClick={() => onEditSeries(template)}
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 1,
+            py: 0.75,
+            borderBottom: '1px solid',
+            borderColor: 'divider',
+            cursor: 'pointer',
+            opacity: 0.6,
+          }}
+        >
+          <Box sx={{ minWidth: 0, flex: 1 }}>
+            <Typography variant="body2" noWrap>
+              {rowTitle(template, template.description)}
+            </Typography>
+            <Typography variant="caption" color="text.secondary" noWrap component="div">
+              Paused · {describeRecurrence(template)}
+            </Typography>
+          </Box>
+          {renderAmount(template, parseFloat(template.amount))}
+        </Box>
+      ))}
+
+      <Menu
+        anchorEl={menu?.anchor}
+        open={!!menu}
+        onClose={() => setMenu(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        {menuRow && !menuRow.occurrence.skipped && (
+          <MenuItem
+            onClick={() =>
+              runAction(
+                menuRow,
+                postOccurrenceNow({
+                  recurringId: menuRow.template.recurring_id,
+                  date: menuRow.occurrence.date,
+                })
+              )
+            }
+          >
+            <ListItemIcon>
+              <SendIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Post now</ListItemText>
+          </MenuItem>
+        )}
+        {menuRow && (
+          <MenuItem
+            onClick={() =>
+              runAction(
+                menuRow,
+                skipOccurrence({
+                  recurringId: menuRow.template.recurring_id,
+                  date: menuRow.occurrence.date,
+                  skip: !menuRow.occurrence.skipped,
+                })
+              )
+            }
+          >
+            <ListItemIcon>
+              {menuRow.occurrence.skipped ? (
+                <UndoIcon fontSize="small" />
+              ) : (
+                <SkipNextIcon fontSize="small" />
+              )}
+            </ListItemIcon>
+            <ListItemText>
+              {menuRow.occurrence.skipped ? "Don't skip" : 'Skip this one'}
+            </ListItemText>
+          </MenuItem>
+        )}
+        {menuRow && !menuRow.occurrence.skipped && (
+          <MenuItem
+            onClick={() => {
+              setMenu(null);
+              setEditing(menuRow);
+            }}
+          >
+            <ListItemIcon>
+              <EditIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Edit this one</ListItemText>
+          </MenuItem>
+        )}
+        {menuRow && (
+          <MenuItem
+            onClick={() => {
+              setMenu(null);
+              onEditSeries(menuRow.template);
+            }}
+          >
+            <ListItemIcon>
+              <EventRepeatIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Edit series</ListItemText>
+          </MenuItem>
+        )}
+      </Menu>
+
+      <OccurrenceEditDialog
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        template={editing?.template}
+        occurrence={editing?.occurrence}
+      />
+    </Box>
+  );
+}
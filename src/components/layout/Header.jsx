@@ -12,8 +12,10 @@ import {
   Menu,
   MenuItem,
   Avatar,
+  Badge,
   Box,
   Fade,
+  Tooltip,
 } from '@mui/material'
 import MenuIcon from '@mui/icons-material/Menu'
 import LightModeIcon from '@mui/icons-material/LightMode'
@@ -22,10 +24,14 @@ import SettingsBrightnessIcon from '@mui/icons-material/SettingsBrightness'
 import SettingsIcon from '@mui/icons-material/Settings'
 import RefreshIcon from '@mui/icons-material/Refresh'
 import LogoutIcon from '@mui/icons-material/Logout'
+import CloudUploadOutlinedIcon from '@mui/icons-material/CloudUploadOutlined'
+import SyncProblemIcon from '@mui/icons-material/SyncProblem'
 import { supabase } from '../../lib/supabase'
 import { clearAuth } from '../../store/slices/authSlice'
 import { persistor } from '../../store'
 import { useColorMode } from '../../theme'
+import { selectOutboxEntries } from '../../store/selectors'
+import OutboxDialog from '../common/OutboxDialog'
 
 const APPEARANCE_OPTIONS = [
   { value: 'light', label: 'Light', icon: <LightModeIcon fontSize="small" /> },
@@ -44,6 +50,9 @@ function Header({ onMenuClick }) {
   const [anchorEl, setAnchorEl] = useState(null)
   const [appearanceAnchorEl, setAppearanceAnchorEl] = useState(null)
   const { mode, resolvedMode, setMode } = useColorMode()
+  const outboxEntries = useSelector(selectOutboxEntries)
+  const [outboxOpen, setOutboxOpen] = useState(false)
+  const needsAttention = outboxEntries.some((entry) => entry.status !== 'pending')
   
   // Check if any slice has background loading active
   const backgroundLoading = useSelector((state) => {
@@ -55,7 +64,8 @@ function Header({ onMenuClick }) {
       state.transfers?.backgroundLoading ||
       state.borrowingsLendings?.backgroundLoading ||
       state.settings?.backgroundLoading ||
-      state.exchangeRates?.backgroundLoading
+      state.exchangeRates?.backgroundLoading ||
+      state.outbox?.backgroundLoading
     )
   })
 
@@ -118,6 +128,25 @@ function Header({ onMenuClick }) {
               }}
             />
           </Fade>
+          {/* Only while offline changes wait to sync or need settling */}
+          {outboxEntries.length > 0 && (
+            <Tooltip title={needsAttention ? 'Offline changes need your attention' : 'Offline changes waiting to sync'}>
+              <IconButton
+                onClick={() => setOutboxOpen(true)}
+                sx={{ color: needsAttention ? 'warning.main' : 'text.secondary' }}
+                aria-label="Offline changes"
+              >
+                <Badge badgeContent={outboxEntries.length} color={needsAttention ? 'warning' : 'default'}>
+                  {needsAttention ? (
+                    <SyncProblemIcon fontSize="small" />
+                  ) : (
+                    <CloudUploadOutlinedIcon fontSize="small" />
+                  )}
+                </Badge>
+              </IconButton>
+            </Tooltip>
+          )}
+          <OutboxDialog open={outboxOpen} onClose={() => setOutboxOpen(false)} />
           <IconButton
             onClick={(event) => setAppearanceAnchorEl(event.currentTarget)}
             sx={{ color: 'text.secondary' }}
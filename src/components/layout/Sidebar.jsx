@@ -19,12 +19,14 @@ import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
 import PeopleIcon from '@mui/icons-material/People';
 import AssessmentIcon from '@mui/icons-material/Assessment';
 import CurrencyExchangeIcon from '@mui/icons-material/CurrencyExchange';
+import ShowChartIcon from '@mui/icons-material/ShowChart';
 
 // Settings is intentionally absent: it lives in the header avatar menu
 const menuItems = [
   { text: 'Home', icon: <HomeIcon />, path: '/home' },
   { text: 'Transactions', icon: <ReceiptIcon />, path: '/transactions' },
   { text: 'Accounts', icon: <AccountBalanceIcon />, path: '/accounts' },
+  { text: 'Net Worth', icon: <ShowChartIcon />, path: '/net-worth' },
   { text: 'Reports', icon: <AssessmentIcon />, path: '/reports' },
   {
     text: 'Exchange Rates',
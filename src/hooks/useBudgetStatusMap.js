@@ -4,6 +4,8 @@ import {
   computeAllBudgetStatuses,
   computeAggregatedParentStatuses,
   buildMonthlySpendIndex,
+  buildSpendIndexByMonth,
+  needsSpendIndexByMonth,
   currentMonthKey,
 } from '../utils/budgetStatus';
 import { buildExchangeRateLookup } from '../utils/currencyConversion';
@@ -11,7 +13,11 @@ import {
   selectBaseCurrency,
   selectDismissedBudgetAlerts,
 } from '../store/selectors';
-import { isDismissed, statusSeverity } from '../utils/budgetDismissals';
+import {
+  isDismissed,
+  statusSeverity,
+  dismissalKey,
+} from '../utils/budgetDismissals';
 
 /**
  * This month's budget status for every budgeted expense category, computed once
@@ -54,9 +60,14 @@ export function useBudgetStatusMap() {
     return {
       monthKey,
       spendIndex: buildMonthlySpendIndex(allTransactions, monthKey),
+      // Every month's spending, for rollover carries and budgets whose period
+      // isn't the month; skipped when there are none
+      spendIndexByMonth: needsSpendIndexByMonth(budgets)
+        ? buildSpendIndexByMonth(allTransactions)
+        : undefined,
       rateLookup: buildExchangeRateLookup(exchangeRates),
     };
-  }, [allTransactions, exchangeRates]);
+  }, [allTransactions, exchangeRates, budgets]);
 
   const all = useMemo(
     () =>
@@ -89,7 +100,7 @@ export function useBudgetStatusMap() {
   return useMemo(() => {
     const { monthKey } = shared;
     const silenced = (s) =>
-      isDismissed(dismissals, monthKey, s.categoryId, statusSeverity(s));
+      isDismissed(dismissals, monthKey, dismissalKey(s), statusSeverity(s));
     const needsAttention = all.filter((s) => s.over || s.near);
     return {
       all,
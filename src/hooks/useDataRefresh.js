@@ -5,9 +5,24 @@ import { fetchTransactions } from '../store/slices/transactionsSlice'
 import { fetchCategories } from '../store/slices/categoriesSlice'
 import { fetchBudgets } from '../store/slices/budgetsSlice'
 import { fetchTransfers } from '../store/slices/transfersSlice'
-import { fetchBorrowingLendingRecords } from '../store/slices/borrowingsLendingsSlice'
+import {
+  fetchBorrowingLendingRecords,
+  remindDueBorrowingsLendings,
+} from '../store/slices/borrowingsLendingsSlice'
 import { fetchSettings } from '../store/slices/settingsSlice'
-import { fetchExchangeRates } from '../store/slices/exchangeRatesSlice'
+import { fetchExchangeRates, syncProviderRates } from '../store/slices/exchangeRatesSlice'
+import {
+  fetchRecurringTransactions,
+  materializeRecurringTransactions,
+} from '../store/slices/recurringTransactionsSlice'
+import { fetchTags } from '../store/slices/tagsSlice'
+import { fetchCategorizationRules } from '../store/slices/categorizationRulesSlice'
+import { fetchSavingsGoals } from '../store/slices/savingsGoalsSlice'
+import { fetchInvestments } from '../store/slices/investmentsSlice'
+import { fetchCounterparties } from '../store/slices/counterpartiesSlice'
+import { fetchAttachments } from '../store/slices/attachmentsSlice'
+import { replayOutbox } from '../store/slices/outboxSlice'
+import { selectAssuranceMet } from '../store/slices/authSlice'
 
 // Tiered refresh thresholds
 // Core data (transactions, accounts) is always refreshed on return from background
@@ -29,11 +44,13 @@ const FULL_REFRESH_THRESHOLD = 30000 // 30 seconds for all other data types
 export function useDataRefresh() {
   const dispatch = useDispatch()
   const appInitialized = useSelector((state) => state.appInit.isInitialized)
+  const assuranceMet = useSelector(selectAssuranceMet)
   const lastActiveTime = useRef(Date.now())
   const isInactive = useRef(false)
 
   useEffect(() => {
-    if (!appInitialized) return
+    // Nothing to fetch while a second factor is still owed
+    if (!appInitialized || !assuranceMet) return
 
     const markInactive = () => {
       if (!isInactive.current) {
@@ -48,6 +65,9 @@ export function useDataRefresh() {
       isInactive.current = false
       const inactiveDuration = Date.now() - lastActiveTime.current
 
+      // Send anything saved offline while away (a no-op when nothing waits)
+      dispatch(replayOutbox())
+
       // Always refresh core data (transactions, accounts) on any return from background
       // Uses incremental sync by default to minimize data transfer
       dispatch(fetchTransactions({}))
@@ -61,6 +81,17 @@ export function useDataRefresh() {
         dispatch(fetchBorrowingLendingRecords({}))
         dispatch(fetchSettings())
         dispatch(fetchExchangeRates({}))
+        dispatch(fetchRecurringTransactions())
+        dispatch(fetchTags())
+        dispatch(fetchCategorizationRules())
+        dispatch(fetchSavingsGoals())
+        dispatch(fetchInvestments())
+        dispatch(fetchCounterparties())
+        dispatch(fetchAttachments())
+        // A day may have turned over while the app sat open
+        dispatch(materializeRecurringTransactions())
+        dispatch(syncProviderRates())
+        dispatch(remindDueBorrowingsLendings())
       }
     }
 
@@ -82,5 +113,5 @@ export function useDataRefresh() {
       window.removeEventListener('focus', handleReturn)
       document.removeEventListener('visibilitychange', handleVisibilityChange)
     }
-  }, [appInitialized, dispatch])
+  }, [appInitialized, assuranceMet, dispatch])
 }
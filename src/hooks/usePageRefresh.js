@@ -9,6 +9,13 @@ import { fetchTransfers } from '../store/slices/transfersSlice'
 import { fetchBorrowingLendingRecords } from '../store/slices/borrowingsLendingsSlice'
 import { fetchSettings } from '../store/slices/settingsSlice'
 import { fetchExchangeRates } from '../store/slices/exchangeRatesSlice'
+import { fetchRecurringTransactions } from '../store/slices/recurringTransactionsSlice'
+import { fetchTags } from '../store/slices/tagsSlice'
+import { fetchCategorizationRules } from '../store/slices/categorizationRulesSlice'
+import { fetchSavingsGoals } from '../store/slices/savingsGoalsSlice'
+import { fetchInvestments } from '../store/slices/investmentsSlice'
+import { fetchCounterparties } from '../store/slices/counterpartiesSlice'
+import { fetchAttachments } from '../store/slices/attachmentsSlice'
 
 /**
  * Hook that refreshes page-specific data when navigating to a route.
@@ -76,6 +83,27 @@ export function usePageRefresh(config = {}) {
         case 'exchangeRates':
           dispatch(fetchExchangeRates({ ...filters.exchangeRates }))
           break
+        case 'recurringTransactions':
+          dispatch(fetchRecurringTransactions({ ...filters.recurringTransactions }))
+          break
+        case 'tags':
+          dispatch(fetchTags())
+          break
+        case 'categorizationRules':
+          dispatch(fetchCategorizationRules())
+          break
+        case 'savingsGoals':
+          dispatch(fetchSavingsGoals())
+          break
+        case 'investments':
+          dispatch(fetchInvestments())
+          break
+        case 'counterparties':
+          dispatch(fetchCounterparties())
+          break
+        case 'attachments':
+          dispatch(fetchAttachments())
+          break
         default:
           console.warn(`Unknown data type for refresh: ${type}`)
       }
@@ -9,6 +9,15 @@ import { fetchTransfers } from '../store/slices/transfersSlice'
 import { fetchBorrowingLendingRecords } from '../store/slices/borrowingsLendingsSlice'
 import { fetchSettings } from '../store/slices/settingsSlice'
 import { fetchExchangeRates } from '../store/slices/exchangeRatesSlice'
+import { fetchRecurringTransactions } from '../store/slices/recurringTransactionsSlice'
+import { fetchTags } from '../store/slices/tagsSlice'
+import { fetchCategorizationRules } from '../store/slices/categorizationRulesSlice'
+import { fetchSavingsGoals } from '../store/slices/savingsGoalsSlice'
+import { fetchInvestments } from '../store/slices/investmentsSlice'
+import { fetchCounterparties } from '../store/slices/counterpartiesSlice'
+import { fetchAttachments } from '../store/slices/attachmentsSlice'
+import { replayOutbox } from '../store/slices/outboxSlice'
+import { selectAssuranceMet } from '../store/slices/authSlice'
 
 // Time window (ms) after a local mutation during which realtime fetches are skipped
 // This prevents race conditions where the realtime sync overwrites locally-added transactions
@@ -25,6 +34,7 @@ export function useRealtimeSync() {
   const dispatch = useDispatch()
   const user = useSelector((state) => state.auth.user)
   const appInitialized = useSelector((state) => state.appInit.isInitialized)
+  const assuranceMet = useSelector(selectAssuranceMet)
   const lastLocalMutation = useSelector(selectLastLocalMutation)
   const channelRef = useRef(null)
   const reconnectTimerRef = useRef(null)
@@ -38,8 +48,8 @@ export function useRealtimeSync() {
   }, [lastLocalMutation])
 
   useEffect(() => {
-    // Only subscribe if user is authenticated and app is initialized
-    if (!user?.id || !appInitialized) {
+    // Only subscribe if user is authenticated (with every factor) and app is initialized
+    if (!user?.id || !assuranceMet || !appInitialized) {
       return
     }
 
@@ -93,6 +103,28 @@ export function useRealtimeSync() {
           case 'exchange_rates':
             dispatch(fetchExchangeRates({ forceFull: true }))
             break
+          case 'recurring_transactions':
+            dispatch(fetchRecurringTransactions())
+            break
+          case 'tags':
+          case 'transaction_tags':
+            dispatch(fetchTags())
+            break
+          case 'categorization_rules':
+            dispatch(fetchCategorizationRules())
+            break
+          case 'savings_goals':
+            dispatch(fetchSavingsGoals())
+            break
+          case 'investments':
+            dispatch(fetchInvestments())
+            break
+          case 'counterparties':
+            dispatch(fetchCounterparties())
+            break
+          case 'transaction_attachments':
+            dispatch(fetchAttachments())
+            break
         }
       }, delay)
     }
@@ -209,10 +241,65 @@ export function useRealtimeSync() {
         { event: '*', schema: 'public', table: 'exchange_rates', filter: `user_id=eq.${user.id}` },
         createGenericHandler('exchange_rates')
       )
+      // Recurring transaction templates
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'recurring_transactions', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('recurring_transactions')
+      )
+      // Tags and which transactions carry them
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'tags', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('tags')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'transaction_tags', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('transaction_tags')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'categorization_rules', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('categorization_rules')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'savings_goals', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('savings_goals')
+      )
+      // Holdings, trades and prices refetch together, as one slice
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'holdings', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('investments')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'holding_trades', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('investments')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'security_prices', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('investments')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'counterparties', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('counterparties')
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'transaction_attachments', filter: `user_id=eq.${user.id}` },
+        createGenericHandler('transaction_attachments')
+      )
       .subscribe((status) => {
         if (status === 'SUBSCRIBED') {
           reconnectDelay = 5000
           console.log('Realtime sync connected')
+          // Back online: send the changes made offline, in order
+          dispatch(replayOutbox())
           // Catch up on anything that changed while the channel was down
           if (missedEventsPossible) {
             missedEventsPossible = false
@@ -233,9 +320,15 @@ export function useRealtimeSync() {
 
     connect()
 
+    // The browser often knows it is back before the channel does (which can
+    // be up to a minute into its backoff), so don't wait for it to replay
+    const handleOnline = () => dispatch(replayOutbox())
+    window.addEventListener('online', handleOnline)
+
     // Cleanup on unmount
     return () => {
       disposed = true
+      window.removeEventListener('online', handleOnline)
 
       // Clear reconnect + debounce timers
       if (reconnectTimerRef.current) {
@@ -251,7 +344,7 @@ export function useRealtimeSync() {
         channelRef.current = null
       }
     }
-  }, [user?.id, appInitialized, dispatch])
+  }, [user?.id, assuranceMet, appInitialized, dispatch])
 
   // Return nothing - this hook just sets up subscriptions
   return null
@@ -4,6 +4,38 @@ import { supabase, generateId, getCurrentUser } from '../supabase'
 export const ACCOUNT_TYPES = ['Checking', 'Savings', 'Credit', 'Investment', 'Cash', 'Bank']
 export const ACCOUNT_STATUSES = ['Active', 'Closed', 'Suspended']
 
+// Credit accounts only: an optional limit and a statement cycle, set as a
+// closing day and a payment due day of the month (migration 035)
+function creditTerms(data, type) {
+  const terms = {}
+  const fields = {
+    creditLimit: 'credit_limit',
+    statementClosingDay: 'statement_closing_day',
+    paymentDueDay: 'payment_due_day',
+  }
+  Object.entries(fields).forEach(([key, column]) => {
+    if (data[key] === undefined) return
+    const value = data[key] === '' || data[key] === null ? null : Number(data[key])
+    terms[column] = type === 'Credit' ? value : null
+  })
+
+  if (terms.credit_limit != null && !(terms.credit_limit > 0)) {
+    throw new Error('Credit limit must be greater than 0')
+  }
+  for (const day of [terms.statement_closing_day, terms.payment_due_day]) {
+    if (day != null && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+      throw new Error('Statement days must be a day of the month, 1 to 31')
+    }
+  }
+  if (
+    terms.statement_closing_day !== undefined &&
+    (terms.statement_closing_day == null) !== (terms.payment_due_day == null)
+  ) {
+    throw new Error('Set both the statement closing day and the payment due day, or neither')
+  }
+  return terms
+}
+
 // Create account
 export async function createAccount(accountData) {
   const user = await getCurrentUser()
@@ -48,6 +80,7 @@ export async function createAccount(accountData) {
       opening_balance: openingBalance,
       status,
       sort_order: nextSortOrder,
+      ...creditTerms(accountData, type),
     })
     .select()
     .single()
@@ -165,6 +198,15 @@ export async function updateAccount(accountId, updates) {
   if (updates.status !== undefined) updateData.status = updates.status
   if (updates.sortOrder !== undefined) updateData.sort_order = updates.sortOrder
 
+  // Moving off Credit clears the credit terms, which only a credit account can have
+  const type = updates.type ?? account.type
+  Object.assign(
+    updateData,
+    type === 'Credit'
+      ? creditTerms(updates, type)
+      : { credit_limit: null, statement_closing_day: null, payment_due_day: null }
+  )
+
   const { data, error } = await supabase
     .from('accounts')
     .update(updateData)
@@ -0,0 +1,304 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import { createAttachmentStore } from '../attachmentStores'
+import { compressImage } from '../../utils/imageCompression'
+
+/**
+ * Receipts, invoices and other files kept against transactions (migration
+ * 032). A row in transaction_attachments links one transaction to one stored
+ * file; a file shared by several transactions (a receipt saved as separate
+ * rows) has a row for each and is removed with the last of them.
+ */
+
+// Same list as the bucket's allowed_mime_types
+export const ATTACHMENT_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+  'application/pdf',
+]
+
+// For <input type="file" accept>
+export const ATTACHMENT_ACCEPT = ATTACHMENT_MIME_TYPES.join(',')
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+  'application/pdf': 'pdf',
+}
+
+export const isImageAttachment = (attachment) =>
+  (attachment?.mime_type || '').startsWith('image/')
+
+let store = null
+const getStore = () => {
+  if (!store) store = createAttachmentStore()
+  return store
+}
+
+/**
+ * Turn what the user picked (a File) or what the receipt scanner kept (a data
+ * URL) into the blob to store. Photos are re-encoded with compressImage, as
+ * they are for scanning, so a phone picture doesn't eat megabytes of storage.
+ *
+ * @param {File|Blob|string} source
+ * @param {string} [fileName] - for a data URL, which has none; the extension
+ *   is added when missing
+ * @returns {Promise<{ blob: Blob, fileName: string, mimeType: string }>}
+ */
+async function prepareFile(source, fileName) {
+  let blob = typeof source === 'string' ? await (await fetch(source)).blob() : source
+  let name = fileName || source.name || 'attachment'
+
+  if (!ATTACHMENT_MIME_TYPES.includes(blob.type)) {
+    throw new Error('Attach a photo (JPEG, PNG, WebP, HEIC) or a PDF')
+  }
+
+  if (typeof source !== 'string' && blob.type.startsWith('image/')) {
+    const compressed = await (await fetch(await compressImage(blob))).blob()
+    if (compressed.size < blob.size) {
+      blob = compressed
+      if (blob.type === 'image/jpeg') name = name.replace(/\.[^.]+$/, '') + '.jpg'
+    }
+  }
+
+  if (!/\.[a-z0-9]+$/i.test(name)) name = `${name}.${EXTENSIONS[blob.type]}`
+
+  if (blob.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`Files can be up to ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`)
+  }
+  return { blob, fileName: name, mimeType: blob.type }
+}
+
+// Store a prepared file under the user's folder and return its path
+async function uploadFile(userId, attachmentId, { blob, mimeType }) {
+  const path = `${userId}/${attachmentId}.${EXTENSIONS[mimeType]}`
+  await getStore().upload(path, blob, mimeType)
+  return path
+}
+
+// Remove the files no attachment row points at any more. Best effort: a file
+// left behind costs storage, not correctness.
+async function removeUnreferencedFiles(userId, paths) {
+  const unique = [...new Set(paths.filter(Boolean))]
+  if (unique.length === 0) return
+
+  try {
+    const { data, error } = await supabase
+      .from('transaction_attachments')
+      .select('storage_path')
+      .eq('user_id', userId)
+      .in('storage_path', unique)
+    if (error) throw error
+
+    const stillUsed = new Set((data || []).map((row) => row.storage_path))
+    await getStore().remove(unique.filter((path) => !stillUsed.has(path)))
+  } catch (error) {
+    console.warn('Could not remove attachment files:', error)
+  }
+}
+
+// Every attachment row, oldest first. Fetched in pages of 1000 like
+// transaction tags.
+export async function getAttachments() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const BATCH_SIZE = 1000
+  let allData = []
+  let offset = 0
+  let hasMore = true
+
+  while (hasMore) {
+    const { data, error } = await supabase
+      .from('transaction_attachments')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true })
+      .order('attachment_id', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1)
+
+    if (error) throw error
+    if (data && data.length > 0) allData = allData.concat(data)
+    hasMore = data && data.length === BATCH_SIZE
+    offset += BATCH_SIZE
+  }
+
+  return allData
+}
+
+/**
+ * Attach one file to one or more transactions. The file is stored once.
+ *
+ * @param {File|Blob|string} source - a File, or a data URL
+ * @param {string[]} transactionIds
+ * @param {{ fileName?: string }} [options]
+ * @returns {Promise<Array>} the new attachment rows, one per transaction
+ */
+export async function addAttachment(source, transactionIds, { fileName } = {}) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+  if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
+    throw new Error('Transaction IDs array is required')
+  }
+
+  const file = await prepareFile(source, fileName)
+  const rows = transactionIds.map((transactionId) => ({
+    attachment_id: generateId('ATT'),
+    user_id: user.id,
+    transaction_id: transactionId,
+    file_name: file.fileName,
+    mime_type: file.mimeType,
+    size_bytes: file.blob.size,
+  }))
+  const path = await uploadFile(user.id, rows[0].attachment_id, file)
+
+  const { data, error } = await supabase
+    .from('transaction_attachments')
+    .insert(rows.map((row) => ({ ...row, storage_path: path })))
+    .select()
+
+  if (error) {
+    await getStore().remove([path]).catch(() => {})
+    throw error
+  }
+  return data || []
+}
+
+/**
+ * Put a new file in place of an attachment's current one. The row (and its
+ * id) stays; the old file goes unless another transaction still uses it.
+ *
+ * @param {string} attachmentId
+ * @param {File|Blob|string} source
+ * @param {{ fileName?: string }} [options]
+ * @returns {Promise<Object>} the updated row
+ */
+export async function replaceAttachment(attachmentId, source, { fileName } = {}) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('transaction_attachments')
+    .select('*')
+    .eq('attachment_id', attachmentId)
+    .eq('user_id', user.id)
+    .maybeSingle()
+  if (fetchError) throw fetchError
+  if (!existing) throw new Error('Attachment not found')
+
+  const file = await prepareFile(source, fileName)
+  // A fresh id for the path: the old file may still be shared
+  const path = await uploadFile(user.id, generateId('ATT'), file)
+
+  const { data, error } = await supabase
+    .from('transaction_attachments')
+    .update({
+      storage_path: path,
+      file_name: file.fileName,
+      mime_type: file.mimeType,
+      size_bytes: file.blob.size,
+    })
+    .eq('attachment_id', attachmentId)
+    .eq('user_id', user.id)
+    .select()
+    .single()
+
+  if (error) {
+    await getStore().remove([path]).catch(() => {})
+    throw error
+  }
+  await removeUnreferencedFiles(user.id, [existing.storage_path])
+  return data
+}
+
+// Remove one attachment, and its file if nothing else uses it
+export async function deleteAttachment(attachmentId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('transaction_attachments')
+    .delete()
+    .eq('attachment_id', attachmentId)
+    .eq('user_id', user.id)
+    .select('storage_path')
+  if (error) throw error
+
+  await removeUnreferencedFiles(user.id, (data || []).map((row) => row.storage_path))
+  return attachmentId
+}
+
+/**
+ * Remove everything attached to these transactions. Called by the
+ * transaction deletes, since a soft delete leaves the rows for the foreign
+ * key's cascade to never reach.
+ *
+ * @param {string[]} transactionIds
+ * @returns {Promise<string[]>} ids of the attachments removed
+ */
+export async function deleteAttachmentsForTransactions(transactionIds) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+  if (!transactionIds?.length) return []
+
+  const { data, error } = await supabase
+    .from('transaction_attachments')
+    .delete()
+    .eq('user_id', user.id)
+    .in('transaction_id', transactionIds)
+    .select('attachment_id, storage_path')
+  if (error) throw error
+
+  await removeUnreferencedFiles(user.id, (data || []).map((row) => row.storage_path))
+  return (data || []).map((row) => row.attachment_id)
+}
+
+/**
+ * Copy restored attachments' files into the user's own folder, once per file
+ * however many rows share it. Used by restoreBackup: the rows come from an
+ * archive, with storage_path still naming the file where it was. A file that
+ * can't be read any more (removed since, or in another user's folder) is
+ * skipped along with its rows, rather than restoring links to nothing.
+ *
+ * @param {Array} rows - remapped transaction_attachments rows
+ * @param {string} userId
+ * @returns {Promise<{ rows: Array, paths: string[] }>} the rows whose file was
+ *   copied, pointing at the copy, and the new files' paths
+ */
+export async function copyAttachmentFiles(rows, userId) {
+  const mimeTypes = new Map(rows.map((row) => [row.storage_path, row.mime_type]))
+  const copies = new Map()
+  for (const [path, mimeType] of mimeTypes) {
+    const copy = `${userId}/${generateId('ATT')}.${EXTENSIONS[mimeType]}`
+    try {
+      await getStore().copy(path, copy)
+      copies.set(path, copy)
+    } catch (error) {
+      console.warn(`Could not copy attachment file ${path}:`, error)
+    }
+  }
+  return {
+    rows: rows
+      .filter((row) => copies.has(row.storage_path))
+      .map((row) => ({ ...row, storage_path: copies.get(row.storage_path) })),
+    paths: [...copies.values()],
+  }
+}
+
+// Remove files no row was written for, e.g. after a restore is undone
+export async function removeAttachmentFiles(paths) {
+  await getStore().remove(paths)
+}
+
+// Something an <img>, <iframe> or link can open. Supabase URLs expire after
+// an hour, so ask again rather than keeping one.
+export async function getAttachmentUrl(attachment) {
+  return getStore().getUrl(attachment.storage_path)
+}
@@ -0,0 +1,117 @@
+import { supabase, clearUserCache, createIsolatedClient, getCurrentUser } from '../supabase'
+
+/**
+ * Sign-in and account flows beyond the password form. Every email link and
+ * OAuth redirect comes back through /auth/callback, with a `flow` query
+ * parameter telling AuthCallback where to send the user once the session is
+ * set. The callback URL must be listed under Authentication > URL
+ * Configuration > Redirect URLs in the Supabase dashboard.
+ */
+
+export const OAUTH_PROVIDERS = [
+  { id: 'google', label: 'Google' },
+  { id: 'github', label: 'GitHub' },
+]
+
+// Same rule as the signup form
+export const MIN_PASSWORD_LENGTH = 6
+
+export const authRedirectUrl = (flow) =>
+  `${window.location.origin}/auth/callback?flow=${encodeURIComponent(flow)}`
+
+// Email a link that signs the user in and lands on /reset-password
+export async function sendPasswordReset(email) {
+  const { error } = await supabase.auth.resetPasswordForEmail(email.trim(), {
+    redirectTo: authRedirectUrl('recovery'),
+  })
+  if (error) throw error
+}
+
+// Email a one-time sign-in link. Only for existing accounts: signing up still
+// goes through the signup form, so nobody ends up with a passwordless account
+// by mistyping their address.
+export async function sendMagicLink(email) {
+  const { error } = await supabase.auth.signInWithOtp({
+    email: email.trim(),
+    options: {
+      shouldCreateUser: false,
+      emailRedirectTo: authRedirectUrl('magiclink'),
+    },
+  })
+  if (error) throw error
+}
+
+// Leaves the app for the provider's consent page; the promise only matters
+// when the redirect can't start
+export async function signInWithProvider(provider) {
+  const { error } = await supabase.auth.signInWithOAuth({
+    provider,
+    options: { redirectTo: authRedirectUrl('oauth') },
+  })
+  if (error) throw error
+}
+
+/**
+ * Can the signed-in user prove who they are with a password? Accounts made
+ * only through Google or GitHub have none to ask for.
+ */
+export const hasPasswordLogin = (user) =>
+  (user?.app_metadata?.providers || [user?.app_metadata?.provider]).includes('email')
+
+/**
+ * Set a new password. From Settings the current one is checked first, so an
+ * unlocked device isn't enough to take over the account; the recovery page
+ * passes none, the emailed link having already proved the user.
+ *
+ * @param {string} newPassword
+ * @param {{ currentPassword?: string }} [options]
+ * @returns {Promise<Object>} the updated user
+ */
+export async function updatePassword(newPassword, { currentPassword } = {}) {
+  if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  }
+
+  if (currentPassword !== undefined) {
+    const user = await getCurrentUser()
+    if (!user) throw new Error('User not authenticated')
+    // Checked on a throwaway client: signing in on the main one would replace
+    // an aal2 session with a fresh aal1 one (migration 031)
+    const checker = createIsolatedClient()
+    const { error: verifyError } = await checker.auth.signInWithPassword({
+      email: user.email,
+      password: currentPassword,
+    })
+    if (verifyError) throw new Error('Current password is incorrect')
+    await checker.auth.signOut({ scope: 'local' })
+  }
+
+  const { data, error } = await supabase.auth.updateUser({ password: newPassword })
+  if (error) throw error
+  return data.user
+}
+
+/**
+ * Ask to move the account to a new address. Nothing changes until the link
+ * sent to it is followed (and, with Secure email change on, the one sent to
+ * the old address too); the user returns to Settings.
+ *
+ * @param {string} email
+ * @returns {Promise<Object>} the user, with the address waiting in new_email
+ */
+export async function updateEmail(email) {
+  const next = email.trim()
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+  if (next.toLowerCase() === (user.email || '').toLowerCase()) {
+    throw new Error('That is already your email address')
+  }
+
+  const { data, error } = await supabase.auth.updateUser(
+    { email: next },
+    { emailRedirectTo: authRedirectUrl('email_change') }
+  )
+  if (error) throw error
+  clearUserCache()
+  return data.user
+}
@@ -0,0 +1,240 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import { getAccounts } from './accounts'
+import { getCategories } from './categories'
+import { getTransactions } from './transactions'
+import { getTransfers } from './transfers'
+import { getBudgets } from './budgets'
+import { getExchangeRates } from './exchangeRates'
+import { getBorrowingLendingRecords } from './borrowingsLendings'
+import { getSettings, updateSettings } from './settings'
+import { getRecurringTransactions } from './recurringTransactions'
+import { getTags, getTransactionTags } from './tags'
+import { getCategorizationRules } from './categorizationRules'
+import { getSavingsGoals } from './savingsGoals'
+import { getCounterparties } from './counterparties'
+import { getHoldings, getPrices, getTrades } from './investments'
+import { copyAttachmentFiles, getAttachments, removeAttachmentFiles } from './attachments'
+import { buildBackup, normalizeBackup, remapBackup } from '../../utils/dataBackup'
+
+// Rows per insert request; keeps each PostgREST payload well under its limits
+const RESTORE_CHUNK_SIZE = 500
+// Ids per delete when a failed restore is undone; they travel in the URL
+const UNDO_CHUNK_SIZE = 100
+
+// Fetch every entity in full (no incremental `since`), straight from the
+// server rather than the persisted store, so an export never misses rows
+// the store filtered out (archived categories, closed accounts, etc.)
+export async function exportAllData() {
+  const [
+    accounts,
+    categories,
+    transactions,
+    transfers,
+    budgets,
+    exchangeRates,
+    borrowingsLendings,
+    settings,
+    recurringTransactions,
+    tags,
+    transactionTags,
+    categorizationRules,
+    savingsGoals,
+    counterparties,
+    holdings,
+    holdingTrades,
+    securityPrices,
+    transactionAttachments,
+  ] = await Promise.all([
+    getAccounts(),
+    getCategories(),
+    getTransactions(),
+    getTransfers(),
+    getBudgets(),
+    getExchangeRates(),
+    getBorrowingLendingRecords(),
+    getSettings(),
+    getRecurringTransactions(),
+    getTags(),
+    getTransactionTags(),
+    getCategorizationRules(),
+    getSavingsGoals(),
+    getCounterparties(),
+    getHoldings(),
+    getTrades(),
+    getPrices(),
+    getAttachments(),
+  ])
+
+  const data = {
+    accounts,
+    categories,
+    transactions,
+    transfers,
+    budgets,
+    recurring_transactions: recurringTransactions,
+    exchange_rates: exchangeRates,
+    counterparties,
+    borrowings_lendings: borrowingsLendings,
+    tags,
+    transaction_tags: transactionTags,
+    transaction_attachments: transactionAttachments,
+    categorization_rules: categorizationRules,
+    savings_goals: savingsGoals,
+    holdings,
+    holding_trades: holdingTrades,
+    security_prices: securityPrices,
+    settings,
+  }
+
+  return { data, backup: buildBackup(data) }
+}
+
+async function countRows(table, userId) {
+  const { count, error } = await supabase
+    .from(table)
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+
+  if (error) throw error
+  return count || 0
+}
+
+// Each chunk that goes in is recorded in `inserted` (by `idColumn`), so a
+// restore that fails later can take it out again
+async function insertInChunks(table, rows, idColumn, inserted) {
+  for (let i = 0; i < rows.length; i += RESTORE_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + RESTORE_CHUNK_SIZE)
+    const { error } = await supabase.from(table).insert(chunk)
+
+    if (error) throw error
+    inserted.push({ table, idColumn, ids: chunk.map((row) => row[idColumn]) })
+  }
+}
+
+// Delete what a failed restore inserted, newest chunk first: children go
+// before the rows they reference, and later trades (sells) before the buys
+// they draw on
+async function undoRestore(inserted, userId) {
+  for (const { table, idColumn, ids } of [...inserted].reverse()) {
+    for (let i = 0; i < ids.length; i += UNDO_CHUNK_SIZE) {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq('user_id', userId)
+        .in(idColumn, ids.slice(i, i + UNDO_CHUNK_SIZE))
+
+      if (error) throw error
+    }
+  }
+}
+
+// Restore is only allowed into an account with no accounts, categories or
+// transactions: merging would need conflict rules we don't have
+export async function canRestoreBackup() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const counts = await Promise.all(
+    ['accounts', 'categories', 'transactions'].map((table) => countRows(table, user.id))
+  )
+  return counts.every((count) => count === 0)
+}
+
+// Load a backup archive into the current (empty) account. Every row gets a
+// new id; references are rewritten by remapBackup. Settings go last so the
+// borrowing/lending trigger (which keys off the category settings) does not
+// create records for transactions whose records are restored explicitly.
+//
+// The inserts are separate requests, so a failure part way through deletes
+// the rows already written (and the attachment files copied) before
+// rethrowing: the account is empty again and the restore can be retried.
+export async function restoreBackup(archive) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const backup = normalizeBackup(archive)
+
+  if (!(await canRestoreBackup())) {
+    throw new Error('Backups can only be restored into an empty account')
+  }
+
+  const rows = remapBackup(backup, generateId, user.id)
+  const inserted = []
+  let copiedFiles = []
+  let attachmentCount = 0
+
+  try {
+    await insertInChunks('accounts', rows.accounts, 'account_id', inserted)
+    await insertInChunks('categories', rows.categories, 'category_id', inserted)
+    await insertInChunks(
+      'recurring_transactions',
+      rows.recurringTransactions,
+      'recurring_id',
+      inserted
+    )
+    await insertInChunks('transactions', rows.transactions, 'transaction_id', inserted)
+
+    // Transfer legs reference each other, so links are set once both exist
+    for (const link of rows.links) {
+      const { error } = await supabase
+        .from('transactions')
+        .update({ linked_transaction_id: link.linkedTransactionId })
+        .eq('transaction_id', link.transactionId)
+        .eq('user_id', user.id)
+
+      if (error) throw error
+    }
+
+    await insertInChunks('budgets', rows.budgets, 'budget_id', inserted)
+    await insertInChunks('exchange_rates', rows.exchangeRates, 'exchange_rate_id', inserted)
+    await insertInChunks('counterparties', rows.counterparties, 'counterparty_id', inserted)
+    await insertInChunks('borrowings_lendings', rows.borrowingsLendings, 'record_id', inserted)
+    await insertInChunks('tags', rows.tags, 'tag_id', inserted)
+    await insertInChunks('transaction_tags', rows.transactionTags, 'transaction_id', inserted)
+
+    const attachments = await copyAttachmentFiles(rows.transactionAttachments, user.id)
+    copiedFiles = attachments.paths
+    attachmentCount = attachments.rows.length
+    await insertInChunks('transaction_attachments', attachments.rows, 'attachment_id', inserted)
+
+    await insertInChunks('categorization_rules', rows.categorizationRules, 'rule_id', inserted)
+    await insertInChunks('savings_goals', rows.savingsGoals, 'goal_id', inserted)
+    await insertInChunks('holdings', rows.holdings, 'holding_id', inserted)
+    await insertInChunks('holding_trades', rows.holdingTrades, 'trade_id', inserted)
+    await insertInChunks('security_prices', rows.securityPrices, 'price_id', inserted)
+
+    if (rows.settings.length > 0) {
+      await updateSettings(
+        Object.fromEntries(rows.settings.map((s) => [s.setting_key, s.setting_value]))
+      )
+    }
+  } catch (error) {
+    try {
+      await undoRestore(inserted, user.id)
+      await removeAttachmentFiles(copiedFiles)
+    } catch (undoError) {
+      console.error('Failed to undo a partial restore:', undoError)
+      throw new Error(
+        `The restore failed (${error.message}) and some restored rows could not be removed`
+      )
+    }
+    throw error
+  }
+
+  return {
+    accounts: rows.accounts.length,
+    categories: rows.categories.length,
+    transactions: rows.transactions.length,
+    budgets: rows.budgets.length,
+    recurringTransactions: rows.recurringTransactions.length,
+    exchangeRates: rows.exchangeRates.length,
+    counterparties: rows.counterparties.length,
+    borrowingsLendings: rows.borrowingsLendings.length,
+    tags: rows.tags.length,
+    attachments: attachmentCount,
+    categorizationRules: rows.categorizationRules.length,
+    savingsGoals: rows.savingsGoals.length,
+    holdings: rows.holdings.length,
+    holdingTrades: rows.holdingTrades.length,
+  }
+}
@@ -1,10 +1,56 @@
 import { supabase, generateId, getCurrentUser } from '../supabase'
 import * as transactionsApi from './transactions'
+import {
+  AGING_BUCKETS,
+  INTEREST_TYPES,
+  agingBucket,
+  normalizeInstallments,
+} from '../../utils/borrowingLendingTerms'
 
 // Borrowing/Lending types enum
 export const BORROWING_LENDING_TYPES = ['Borrowing', 'Lending']
 export const BORROWING_LENDING_STATUSES = ['Active', 'FullyPaid', 'Cancelled']
 
+// Columns for the optional repayment terms (migration 027), from whichever of
+// dueDate, installments, interestRate and interestType are given. With a
+// schedule, the due date is its last instalment.
+function toTermsColumns(terms) {
+  const columns = {}
+  if (terms.dueDate !== undefined) {
+    if (terms.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(terms.dueDate)) {
+      throw new Error('Due date must be a date (YYYY-MM-DD)')
+    }
+    columns.due_date = terms.dueDate || null
+  }
+  if (terms.installments !== undefined) {
+    const installments = normalizeInstallments(terms.installments)
+    if ((terms.installments || []).length !== installments.length) {
+      throw new Error('Each instalment needs a date and an amount greater than 0')
+    }
+    columns.installments = installments.length > 0 ? installments : null
+    if (installments.length > 0) {
+      columns.due_date = installments[installments.length - 1].date
+    }
+  }
+  if (terms.interestRate !== undefined) {
+    const rate = terms.interestRate === null || terms.interestRate === ''
+      ? null
+      : Number(terms.interestRate)
+    if (rate !== null && !(rate >= 0)) {
+      throw new Error('Interest rate must be 0 or more')
+    }
+    columns.interest_rate = rate || null
+    columns.interest_type = rate ? terms.interestType || 'simple' : null
+  }
+  if (
+    columns.interest_type &&
+    !INTEREST_TYPES.some((option) => option.value === columns.interest_type)
+  ) {
+    throw new Error(`Invalid interest type. Must be one of: ${INTEREST_TYPES.map((o) => o.value).join(', ')}`)
+  }
+  return columns
+}
+
 // Create borrowing/lending record
 export async function createBorrowingLendingRecord(recordData) {
   const user = await getCurrentUser()
@@ -17,6 +63,10 @@ export async function createBorrowingLendingRecord(recordData) {
     originalAmount,
     currency,
     notes = '',
+    dueDate,
+    installments,
+    interestRate,
+    interestType,
   } = recordData
 
   // Validation
@@ -30,6 +80,8 @@ export async function createBorrowingLendingRecord(recordData) {
     throw new Error('Currency must be a 3-letter ISO code')
   }
 
+  const terms = toTermsColumns({ dueDate, installments, interestRate, interestType })
+
   // Verify transaction exists
   const transaction = await transactionsApi.getTransactionById(originalTransactionId)
   if (!transaction) {
@@ -51,6 +103,7 @@ export async function createBorrowingLendingRecord(recordData) {
       remaining_amount: Math.abs(originalAmount),
       status: 'Active',
       notes,
+      ...terms,
     })
     .select()
     .single()
@@ -132,6 +185,7 @@ export async function updateBorrowingLendingRecord(recordId, updates) {
   if (updates.entityName !== undefined) updateData.entity_name = updates.entityName
   if (updates.notes !== undefined) updateData.notes = updates.notes
   if (updates.status !== undefined) updateData.status = updates.status
+  Object.assign(updateData, toTermsColumns(updates))
   // Note: paid_amount and remaining_amount are updated via recordPayment
 
   const { data, error } = await supabase
@@ -280,7 +334,8 @@ export async function deleteBorrowingLendingRecord(recordId) {
   if (error) throw error
 }
 
-// Get summary
+// Get summary. `aging` buckets what active records still owe by how long
+// they've been past due (see AGING_BUCKETS in utils/borrowingLendingTerms).
 export async function getBorrowingLendingSummary(filters = {}) {
   const user = await getCurrentUser()
   if (!user) throw new Error('User not authenticated')
@@ -301,6 +356,9 @@ export async function getBorrowingLendingSummary(filters = {}) {
 
   if (error) throw error
 
+  const emptyAging = () =>
+    Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, { remaining: 0, count: 0 }]))
+
   // Calculate totals
   const summary = {
     borrowing: {
@@ -309,6 +367,7 @@ export async function getBorrowingLendingSummary(filters = {}) {
       remaining: 0,
       count: 0,
       byEntity: {},
+      aging: emptyAging(),
     },
     lending: {
       total: 0,
@@ -316,9 +375,11 @@ export async function getBorrowingLendingSummary(filters = {}) {
       remaining: 0,
       count: 0,
       byEntity: {},
+      aging: emptyAging(),
     },
     byCurrency: {},
   }
+  const today = new Date()
 
   data.forEach(record => {
     const type = record.type.toLowerCase()
@@ -330,6 +391,13 @@ export async function getBorrowingLendingSummary(filters = {}) {
     summary[type].remaining += parseFloat(record.remaining_amount)
     summary[type].count += 1
 
+    // Aging: what active records still owe
+    if (record.status === 'Active' && parseFloat(record.remaining_amount) > 0) {
+      const bucket = summary[type].aging[agingBucket(record, today)]
+      bucket.remaining += parseFloat(record.remaining_amount)
+      bucket.count += 1
+    }
+
     // Update by entity
     if (!summary[type].byEntity[record.entity_name]) {
       summary[type].byEntity[record.entity_name] = {
@@ -1,4 +1,5 @@
 import { supabase, generateId, getCurrentUser } from '../supabase'
+import { BUDGET_PERIODS, DEFAULT_WEEK_START } from '../../utils/budgetPeriods'
 
 // Budget statuses enum
 export const BUDGET_STATUSES = ['Active', 'Archived']
@@ -15,10 +16,15 @@ export async function createBudget(budgetData) {
     amount,
     month = null,
     recurring = false,
+    rollover = false,
     startMonth = null,
     endMonth = null,
     notes = '',
     status = 'Active',
+    period = 'monthly',
+    weekStart = null,
+    periodStart = null,
+    periodEnd = null,
   } = budgetData
 
   // Validation
@@ -31,6 +37,24 @@ export async function createBudget(budgetData) {
   if (currency.length !== 3) {
     throw new Error('Currency must be a 3-letter ISO code')
   }
+  if (!BUDGET_PERIODS.includes(period)) {
+    throw new Error(`Invalid period. Must be one of: ${BUDGET_PERIODS.join(', ')}`)
+  }
+
+  // A custom range is one-time; its month is the one it starts in
+  if (period === 'custom') {
+    if (!periodStart || !periodEnd) {
+      throw new Error('Start and end dates are required for a custom period')
+    }
+    if (periodEnd < periodStart) {
+      throw new Error('A custom period cannot end before it starts')
+    }
+    recurring = false
+    month = periodStart.slice(0, 7)
+  }
+  if (period === 'weekly' && !recurring) {
+    throw new Error('Weekly budgets must be recurring')
+  }
 
   // Validate recurring vs non-recurring
   if (!recurring && !month) {
@@ -86,10 +110,16 @@ export async function createBudget(budgetData) {
       month: monthDate,
       amount,
       recurring,
+      // Only a recurring monthly budget has a next month to carry into
+      rollover: recurring && period === 'monthly' && rollover,
       start_month: startMonthDate,
       end_month: endMonthDate,
       notes,
       status,
+      period,
+      week_start: period === 'weekly' ? weekStart ?? DEFAULT_WEEK_START : null,
+      period_start: period === 'custom' ? periodStart : null,
+      period_end: period === 'custom' ? periodEnd : null,
     })
     .select()
     .single()
@@ -214,6 +244,36 @@ export async function updateBudget(budgetId, updates) {
   if (updates.recurring !== undefined) {
     updateData.recurring = updates.recurring
   }
+  if (updates.rollover !== undefined) {
+    updateData.rollover = updates.rollover
+  }
+  // Turning recurring off turns rollover off with it
+  if (updates.recurring === false) {
+    updateData.rollover = false
+  }
+
+  // Changing the period clears what only the old one used
+  if (updates.period !== undefined) {
+    if (!BUDGET_PERIODS.includes(updates.period)) {
+      throw new Error(`Invalid period. Must be one of: ${BUDGET_PERIODS.join(', ')}`)
+    }
+    updateData.period = updates.period
+    if (updates.period !== 'monthly') updateData.rollover = false
+    if (updates.period !== 'weekly') updateData.week_start = null
+    if (updates.period !== 'custom') {
+      updateData.period_start = null
+      updateData.period_end = null
+    }
+  }
+  if (updates.weekStart !== undefined && updateData.week_start !== null) {
+    updateData.week_start = updates.weekStart
+  }
+  if (updates.periodStart !== undefined && updateData.period_start !== null) {
+    updateData.period_start = updates.periodStart || null
+  }
+  if (updates.periodEnd !== undefined && updateData.period_end !== null) {
+    updateData.period_end = updates.periodEnd || null
+  }
 
   const { data, error } = await supabase
     .from('budgets')
@@ -275,3 +275,42 @@ export async function deleteCategory(categoryId) {
   if (error) throw error
 }
 
+/**
+ * Fold one category into another (migration 033): its transactions, split
+ * lines, budgets, subcategories, recurring transactions, rules and settings
+ * move to the target, budgets that overlap one of the target's are combined,
+ * and the source is deleted. With dryRun nothing changes, so the same counts
+ * can be shown before asking.
+ *
+ * @param {string} sourceId - the category that goes away
+ * @param {string} targetId - the one that takes its place
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ transactions: number, splitTransactions: number,
+ *   budgetsMoved: number, budgetsCombined: number, subcategories: number,
+ *   recurringTransactions: number, rules: number, settings: number }>}
+ */
+export async function mergeCategories(sourceId, targetId, { dryRun = false } = {}) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  if (!sourceId || !targetId) throw new Error('Choose the category to merge into')
+  if (sourceId === targetId) throw new Error('Choose a different category to merge into')
+
+  const { data, error } = await supabase.rpc('merge_categories', {
+    p_source_id: sourceId,
+    p_target_id: targetId,
+    p_dry_run: dryRun,
+  })
+
+  if (error) throw error
+  return {
+    transactions: data?.transactions || 0,
+    splitTransactions: data?.split_transactions || 0,
+    budgetsMoved: data?.budgets_moved || 0,
+    budgetsCombined: data?.budgets_combined || 0,
+    subcategories: data?.subcategories || 0,
+    recurringTransactions: data?.recurring_transactions || 0,
+    rules: data?.rules || 0,
+    settings: data?.settings || 0,
+  }
+}
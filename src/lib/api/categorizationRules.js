@@ -0,0 +1,159 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import {
+  RULE_MATCH_MODES,
+  RULE_STATUSES,
+  RULE_TRANSACTION_TYPES,
+  regexPatternError,
+  toRuleColumns,
+} from '../../utils/categorizationRules'
+
+function validateRule(row) {
+  if (row.transaction_type && !RULE_TRANSACTION_TYPES.includes(row.transaction_type)) {
+    throw new Error('Rules apply to Income or Expense transactions')
+  }
+  if (row.status && !RULE_STATUSES.includes(row.status)) {
+    throw new Error(`Invalid status. Must be one of: ${RULE_STATUSES.join(', ')}`)
+  }
+  if (
+    row.description_match &&
+    !RULE_MATCH_MODES.some((mode) => mode.value === row.description_match)
+  ) {
+    throw new Error('Invalid description match')
+  }
+  if (row.description_match === 'regex' && row.description_pattern) {
+    const problem = regexPatternError(row.description_pattern)
+    if (problem) throw new Error(`The pattern isn't valid: ${problem}`)
+  }
+  if (
+    row.amount_min !== null &&
+    row.amount_min !== undefined &&
+    row.amount_max !== null &&
+    row.amount_max !== undefined &&
+    row.amount_min > row.amount_max
+  ) {
+    throw new Error('The smallest amount must not be more than the largest')
+  }
+}
+
+// Get rules, in the order they run
+export async function getCategorizationRules() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('categorization_rules')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('priority', { ascending: true })
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Active rules only, for applying them while creating transactions
+export async function getActiveCategorizationRules() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('categorization_rules')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('status', 'Active')
+
+  if (error) throw error
+  return data || []
+}
+
+// Create rule. New rules go last unless a priority is given.
+export async function createCategorizationRule(ruleData) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toRuleColumns(ruleData)
+  validateRule(row)
+
+  if (row.priority === undefined) {
+    const { data: last } = await supabase
+      .from('categorization_rules')
+      .select('priority')
+      .eq('user_id', user.id)
+      .order('priority', { ascending: false })
+      .limit(1)
+
+    row.priority = last?.length ? last[0].priority + 1 : 0
+  }
+
+  const { data, error } = await supabase
+    .from('categorization_rules')
+    .insert({
+      ...row,
+      rule_id: generateId('RUL'),
+      user_id: user.id,
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Update rule
+export async function updateCategorizationRule(ruleId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toRuleColumns(updates)
+  validateRule(row)
+
+  const { data, error } = await supabase
+    .from('categorization_rules')
+    .update(row)
+    .eq('rule_id', ruleId)
+    .eq('user_id', user.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Save a new running order: priorities 0..n-1 in the order of `ruleIds`.
+ * @returns {Promise<Array>} the updated rows
+ */
+export async function reorderCategorizationRules(ruleIds) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const results = await Promise.all(
+    ruleIds.map((ruleId, priority) =>
+      supabase
+        .from('categorization_rules')
+        .update({ priority })
+        .eq('rule_id', ruleId)
+        .eq('user_id', user.id)
+        .select()
+        .single()
+    )
+  )
+
+  const failed = results.find((result) => result.error)
+  if (failed) throw failed.error
+  return results.map((result) => result.data)
+}
+
+// Delete rule
+export async function deleteCategorizationRule(ruleId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('categorization_rules')
+    .delete()
+    .eq('rule_id', ruleId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+}
@@ -0,0 +1,131 @@
+import { supabase, getCurrentUser } from '../supabase'
+
+// Counterparties (migration 028) are created by the database, the first time a
+// borrowing/lending names someone new. Renaming one renames its records and
+// keeps the old spelling as an alias; both happen in triggers.
+
+// camelCase input -> column, for update
+const FIELD_MAP = {
+  name: 'name',
+  aliases: 'aliases',
+  notes: 'notes',
+}
+
+function toColumns(input) {
+  const row = {}
+  Object.entries(FIELD_MAP).forEach(([key, column]) => {
+    if (input[key] === undefined) return
+    const value = typeof input[key] === 'string' ? input[key].trim() : input[key]
+    row[column] = value === '' ? null : value
+  })
+  if (row.name !== undefined) row.name = (row.name || '').replace(/\s+/g, ' ')
+  if (row.aliases !== undefined) {
+    row.aliases = [
+      ...new Set((row.aliases || []).map((alias) => alias.trim()).filter(Boolean)),
+    ]
+  }
+  return row
+}
+
+function validateCounterparty(row) {
+  if (row.name !== undefined && !row.name) {
+    throw new Error('Name is required')
+  }
+  if (row.name && row.name.toLowerCase() === 'unknown') {
+    throw new Error('Choose a name other than Unknown')
+  }
+}
+
+// A clearer message than the unique index's for a name already in use
+function rethrow(error) {
+  if (error?.code === '23505') {
+    throw new Error('Someone with that name already exists. Merge them instead.')
+  }
+  throw error
+}
+
+// Get counterparties
+export async function getCounterparties() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('counterparties')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Update counterparty: { name?, aliases?, notes? }
+export async function updateCounterparty(counterpartyId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(updates)
+  validateCounterparty(row)
+
+  const { data, error } = await supabase
+    .from('counterparties')
+    .update(row)
+    .eq('counterparty_id', counterpartyId)
+    .eq('user_id', user.id)
+    .select()
+    .single()
+
+  if (error) rethrow(error)
+  return data
+}
+
+/**
+ * Merge counterparties into one: the sources' records move to the target and
+ * take its name, their spellings become its aliases, and they are deleted.
+ * @param {string} targetId - the counterparty to keep
+ * @param {string[]} sourceIds - the ones folded into it
+ * @returns {Promise<Object>} the target, with its new aliases
+ */
+export async function mergeCounterparties(targetId, sourceIds) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const sources = (sourceIds || []).filter((id) => id && id !== targetId)
+  if (!targetId || sources.length === 0) {
+    throw new Error('Choose at least one other counterparty to merge')
+  }
+
+  const { data, error } = await supabase.rpc('merge_counterparties', {
+    p_target_id: targetId,
+    p_source_ids: sources,
+  })
+
+  if (error) throw error
+  return data
+}
+
+// Delete counterparty. Only one without records: a record keeps its name, so
+// the trigger would just create the counterparty again.
+export async function deleteCounterparty(counterpartyId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { count, error: countError } = await supabase
+    .from('borrowings_lendings')
+    .select('*', { count: 'exact', head: true })
+    .eq('counterparty_id', counterpartyId)
+    .eq('user_id', user.id)
+
+  if (countError) throw countError
+  if (count > 0) {
+    throw new Error('Only someone with no borrowings or lendings can be deleted')
+  }
+
+  const { error } = await supabase
+    .from('counterparties')
+    .delete()
+    .eq('counterparty_id', counterpartyId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+}
@@ -1,4 +1,7 @@
 import { supabase, generateId, getCurrentUser } from '../supabase'
+import { createRateProvider } from '../rateProviders'
+import { crossRate, providerRateRows } from '../../utils/exchangeRates'
+import { getSetting } from './settings'
 
 // Create exchange rate
 export async function createExchangeRate(exchangeRateData) {
@@ -12,6 +15,8 @@ export async function createExchangeRate(exchangeRateData) {
     rate,
     fromAmount,
     toAmount,
+    // The rate after a transfer's fee, when it had one (see createTransfer)
+    effectiveRate = null,
     description = null,
     date,
   } = exchangeRateData
@@ -42,6 +47,7 @@ export async function createExchangeRate(exchangeRateData) {
       rate,
       from_amount: fromAmount,
       to_amount: toAmount,
+      effective_rate: effectiveRate,
       description: description || null,
       date: rateDate.toISOString(),
     })
@@ -52,8 +58,59 @@ export async function createExchangeRate(exchangeRateData) {
   return data
 }
 
-// Get latest exchange rate
-export async function getLatestExchangeRate(fromCurrency, toCurrency) {
+// The rate provider picked in Settings, or null when there is none
+export async function getConfiguredRateProvider() {
+  const [type, url] = await Promise.all([
+    getSetting('RateProvider'),
+    getSetting('RateProviderURL'),
+  ])
+  return createRateProvider({ type: type?.setting_value, url: url?.setting_value })
+}
+
+// Provider lookups under way, by user and pair, so lookups made together
+// for a pair with nothing stored ask the provider once between them
+const pendingProviderLookups = new Map()
+
+// Today's rate for a pair from the provider, stored as a provider rate so
+// the next lookup finds it in the table instead of asking again
+async function fetchProviderRate(user, provider, from, to) {
+  const snapshot = await provider.getRates()
+  const rate = crossRate(snapshot, from, to)
+  if (!rate) return null
+
+  const record = {
+    exchange_rate_id: generateId('EXR'),
+    user_id: user.id,
+    from_currency: from,
+    to_currency: to,
+    rate,
+    date: effectiveDate(snapshot.date).toISOString(),
+    description: provider.name,
+    source: 'provider',
+  }
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .insert(record)
+    .select()
+    .single()
+
+  if (!error && data) return data
+  // 23505: another device stored the day in the meantime. Any other failure
+  // still leaves a usable rate; it just gets asked for again next time.
+  if (error && error.code !== '23505') {
+    console.warn(`Could not store the ${from} to ${to} provider rate:`, error)
+  }
+  return { ...record, from_amount: null, to_amount: null }
+}
+
+/**
+ * Get the latest exchange rate: the newest stored one of any source
+ * (transfer, manual or provider), direct or reversed. With nothing stored,
+ * the rate provider is asked, when one is set up, and its rate is stored for
+ * next time; pass `options.provider` to use a particular one (null to never
+ * ask).
+ */
+export async function getLatestExchangeRate(fromCurrency, toCurrency, options = {}) {
   const user = await getCurrentUser()
   if (!user) throw new Error('User not authenticated')
 
@@ -114,13 +171,26 @@ export async function getLatestExchangeRate(fromCurrency, toCurrency) {
     }
   }
 
-  // No rate found
-  return null
+  // Nothing stored for the pair: today's rate from the provider
+  const provider =
+    options.provider !== undefined ? options.provider : await getConfiguredRateProvider()
+  if (!provider) return null
+
+  const from = fromCurrency.toUpperCase()
+  const to = toCurrency.toUpperCase()
+  const key = `${user.id}:${from}>${to}`
+  if (!pendingProviderLookups.has(key)) {
+    const lookup = fetchProviderRate(user, provider, from, to).finally(() =>
+      pendingProviderLookups.delete(key)
+    )
+    pendingProviderLookups.set(key, lookup)
+  }
+  return pendingProviderLookups.get(key)
 }
 
 // Convert currency
-export async function convertCurrency(amount, fromCurrency, toCurrency) {
-  const rate = await getLatestExchangeRate(fromCurrency, toCurrency)
+export async function convertCurrency(amount, fromCurrency, toCurrency, options = {}) {
+  const rate = await getLatestExchangeRate(fromCurrency, toCurrency, options)
 
   if (!rate) {
     throw new Error(`No exchange rate found for ${fromCurrency} to ${toCurrency}`)
@@ -165,9 +235,10 @@ export async function getExchangeRates(filters = {}) {
     query = query.lte('date', filters.endDate)
   }
 
-  // Incremental sync: fetch records created since last sync (exchange rates only have created_at)
+  // Incremental sync: fetch records created or edited since last sync.
+  // Deletions don't show up here; realtime refetches in full for those.
   if (filters.since) {
-    query = query.gte('created_at', filters.since)
+    query = query.gte('updated_at', filters.since)
   }
 
   const { data, error } = await query.order('date', { ascending: false })
@@ -176,3 +247,173 @@ export async function getExchangeRates(filters = {}) {
   return data || []
 }
 
+
+// A manual rate's date: a bare 'YYYY-MM-DD' means from the start of that day
+// locally, so it covers every transaction made on it
+function effectiveDate(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return new Date(`${date}T00:00:00`)
+  }
+  return date ? new Date(date) : new Date()
+}
+
+// Checked columns for a manual rate
+function toManualRow({ fromCurrency, toCurrency, rate, date, description }) {
+  if (!fromCurrency || !toCurrency || rate === undefined || rate === '') {
+    throw new Error('From currency, to currency and rate are required')
+  }
+  const from = fromCurrency.trim().toUpperCase()
+  const to = toCurrency.trim().toUpperCase()
+  if (from.length !== 3 || to.length !== 3) {
+    throw new Error('Currencies must be 3-letter ISO codes')
+  }
+  if (from === to) {
+    throw new Error('From and to currencies must be different')
+  }
+  const value = parseFloat(rate)
+  if (!(value > 0)) {
+    throw new Error('Rate must be greater than 0')
+  }
+  const rateDate = effectiveDate(date)
+  if (Number.isNaN(rateDate.getTime())) {
+    throw new Error('Invalid date')
+  }
+  return {
+    from_currency: from,
+    to_currency: to,
+    rate: value,
+    date: rateDate.toISOString(),
+    description: description?.trim() || null,
+  }
+}
+
+/**
+ * Record a rate by hand, in effect from `date` until the next rate for the
+ * same pair.
+ * @param {Object} rateData - { fromCurrency, toCurrency, rate, date, description? }
+ */
+export async function createManualExchangeRate(rateData) {
+  const [row] = await importExchangeRates([rateData])
+  return row
+}
+
+/**
+ * Record many manual rates at once (a pasted table). All or nothing: one bad
+ * row rejects the lot before anything is saved.
+ * @param {Array<Object>} rows - as for createManualExchangeRate
+ * @returns {Promise<Array>} the saved rows
+ */
+export async function importExchangeRates(rows) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const records = (rows || []).map((rateData) => ({
+    ...toManualRow(rateData),
+    exchange_rate_id: generateId('EXR'),
+    user_id: user.id,
+    source: 'manual',
+  }))
+  if (records.length === 0) return []
+
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .insert(records)
+    .select()
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Edit a manual rate. Rates logged by transfers follow their transfer and
+ * can't be changed here.
+ * @param {string} exchangeRateId
+ * @param {Object} updates - { fromCurrency, toCurrency, rate, date, description? }
+ */
+export async function updateExchangeRate(exchangeRateId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .update(toManualRow(updates))
+    .eq('exchange_rate_id', exchangeRateId)
+    .eq('user_id', user.id)
+    .eq('source', 'manual')
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new Error('Exchange rate not found or not a manual rate')
+  return data
+}
+
+// Delete a manual rate
+export async function deleteExchangeRate(exchangeRateId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('exchange_rates')
+    .delete()
+    .eq('exchange_rate_id', exchangeRateId)
+    .eq('user_id', user.id)
+    .eq('source', 'manual')
+
+  if (error) throw error
+  return exchangeRateId
+}
+
+/**
+ * Fetch the provider's latest day of rates and store one rate per currency
+ * held into the base currency, as source 'provider'. A day already stored
+ * (an earlier launch, another device) is not stored again.
+ *
+ * @param {Object} params
+ * @param {{ name: string, getRates: Function }} params.provider
+ * @param {string} params.baseCurrency
+ * @param {string[]} params.currencies - the currencies the user holds
+ * @returns {Promise<Array>} the rows stored
+ */
+export async function storeProviderRates({ provider, baseCurrency, currencies }) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const snapshot = await provider.getRates()
+  const rows = providerRateRows(snapshot, baseCurrency, currencies)
+  if (rows.length === 0) return []
+  const date = effectiveDate(snapshot.date).toISOString()
+
+  const { data: existing, error: existingError } = await supabase
+    .from('exchange_rates')
+    .select('from_currency, to_currency')
+    .eq('user_id', user.id)
+    .eq('source', 'provider')
+    .eq('date', date)
+  if (existingError) throw existingError
+  const stored = new Set((existing || []).map((er) => `${er.from_currency}>${er.to_currency}`))
+
+  const records = rows
+    .filter((row) => !stored.has(`${row.fromCurrency}>${row.toCurrency}`))
+    .map((row) => ({
+      exchange_rate_id: generateId('EXR'),
+      user_id: user.id,
+      from_currency: row.fromCurrency,
+      to_currency: row.toCurrency,
+      rate: row.rate,
+      date,
+      description: provider.name,
+      source: 'provider',
+    }))
+  if (records.length === 0) return []
+
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .insert(records)
+    .select()
+
+  // Another device stored the day in the meantime
+  if (error?.code === '23505') return []
+  if (error) throw error
+  return data || []
+}
@@ -0,0 +1,304 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import { COST_METHODS, TRADE_KINDS, normalizeSymbol } from '../../utils/investments'
+
+// Holdings, their trades and the prices they're valued at. Trades settle in
+// the account: the database adds each trade's cash_amount to the account's
+// current balance, so after saving one the account needs fetching again.
+
+const HOLDING_FIELDS = {
+  accountId: 'account_id',
+  symbol: 'symbol',
+  name: 'name',
+  currency: 'currency',
+  costMethod: 'cost_method',
+}
+
+const TRADE_FIELDS = {
+  holdingId: 'holding_id',
+  kind: 'kind',
+  tradeDate: 'trade_date',
+  quantity: 'quantity',
+  price: 'price',
+  fees: 'fees',
+  amount: 'amount',
+  cashAmount: 'cash_amount',
+  notes: 'notes',
+}
+
+function toColumns(input, fields) {
+  const row = {}
+  Object.entries(fields).forEach(([key, column]) => {
+    if (input[key] === undefined) return
+    row[column] = typeof input[key] === 'string' ? input[key].trim() : input[key]
+  })
+  return row
+}
+
+function validateHolding(row) {
+  if (row.symbol !== undefined) {
+    row.symbol = normalizeSymbol(row.symbol)
+    if (!row.symbol) throw new Error('Symbol is required')
+  }
+  if (row.currency !== undefined) {
+    row.currency = String(row.currency).toUpperCase()
+    if (row.currency.length !== 3) throw new Error('Currency must be a 3-letter ISO code')
+  }
+  if (row.cost_method && !COST_METHODS.some((method) => method.value === row.cost_method)) {
+    throw new Error('Invalid cost method. Must be FIFO or Average')
+  }
+}
+
+function validateTrade(row) {
+  if (row.kind && !TRADE_KINDS.includes(row.kind)) {
+    throw new Error(`Invalid trade kind. Must be one of: ${TRADE_KINDS.join(', ')}`)
+  }
+  for (const column of ['quantity', 'price', 'fees', 'amount']) {
+    if (row[column] === undefined) continue
+    row[column] = row[column] === '' || row[column] === null ? 0 : parseFloat(row[column])
+    if (!(row[column] >= 0)) throw new Error(`${column} must be a number, 0 or more`)
+  }
+  if ((row.kind === 'Buy' || row.kind === 'Sell') && !(row.quantity > 0)) {
+    throw new Error('Quantity must be greater than 0')
+  }
+  if (row.kind === 'Dividend' && !(row.amount > 0)) {
+    throw new Error('Dividend amount must be greater than 0')
+  }
+  if (row.cash_amount !== undefined) {
+    row.cash_amount = parseFloat(row.cash_amount)
+    if (Number.isNaN(row.cash_amount)) throw new Error('Cash amount is required')
+  }
+}
+
+// Get holdings
+export async function getHoldings() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('holdings')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('symbol', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Create a holding.
+ * @param {Object} holdingData - { accountId, symbol, name?, currency, costMethod? }
+ */
+export async function createHolding(holdingData) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(holdingData, HOLDING_FIELDS)
+  if (!row.account_id) throw new Error('Account is required')
+  validateHolding(row)
+
+  const { data, error } = await supabase
+    .from('holdings')
+    .insert({
+      ...row,
+      holding_id: generateId('HLD'),
+      user_id: user.id,
+    })
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error(`This account already holds ${row.symbol}`)
+    }
+    throw error
+  }
+  return data
+}
+
+// Update holding. Switching the cost method revalues it from its trades; the
+// account can't change, as the trades' cash settled there.
+export async function updateHolding(holdingId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(updates, HOLDING_FIELDS)
+  delete row.account_id
+  validateHolding(row)
+
+  const { data, error } = await supabase
+    .from('holdings')
+    .update(row)
+    .eq('holding_id', holdingId)
+    .eq('user_id', user.id)
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error(`This account already holds ${row.symbol}`)
+    }
+    throw error
+  }
+  return data
+}
+
+// Delete holding, and its trades with it
+export async function deleteHolding(holdingId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('holdings')
+    .delete()
+    .eq('holding_id', holdingId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+}
+
+// Get trades, oldest first
+export async function getTrades() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('holding_trades')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('trade_date', { ascending: true })
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Record a trade.
+ * @param {Object} tradeData - { holdingId, kind, tradeDate, quantity?, price?,
+ *   fees?, amount?, cashAmount, notes? } — quantity and price for a buy or
+ *   sell, amount for a dividend; cashAmount is what the account paid or
+ *   received, in its own currency (negative for a buy)
+ */
+export async function createTrade(tradeData) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(tradeData, TRADE_FIELDS)
+  if (!row.holding_id) throw new Error('Holding is required')
+  if (!row.kind) throw new Error('Trade kind is required')
+  if (row.cash_amount === undefined) throw new Error('Cash amount is required')
+  validateTrade(row)
+
+  const { data, error } = await supabase
+    .from('holding_trades')
+    .insert({
+      ...row,
+      trade_id: generateId('TRD'),
+      user_id: user.id,
+      // account_id is copied from the holding by the database
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Update trade. Same fields as create.
+export async function updateTrade(tradeId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(updates, TRADE_FIELDS)
+  validateTrade(row)
+
+  const { data, error } = await supabase
+    .from('holding_trades')
+    .update(row)
+    .eq('trade_id', tradeId)
+    .eq('user_id', user.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Delete trade. The database refuses if a later sell would then exceed what
+// was held.
+export async function deleteTrade(tradeId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('holding_trades')
+    .delete()
+    .eq('trade_id', tradeId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+}
+
+// Get prices, every symbol and day
+export async function getPrices() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('security_prices')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('price_date', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Save prices, replacing any already on record for the same symbol and day.
+ * @param {Array<{ symbol: string, date: string, price: number }>} prices
+ * @param {'manual'|'import'} [source]
+ * @returns {Promise<Array>} the saved rows
+ */
+export async function upsertPrices(prices, source = 'manual') {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+  if (!prices?.length) return []
+
+  const rows = prices.map(({ symbol, date, price }) => {
+    const normalized = normalizeSymbol(symbol)
+    if (!normalized) throw new Error('Symbol is required')
+    if (!date) throw new Error('Date is required')
+    if (!(parseFloat(price) > 0)) throw new Error('Price must be greater than 0')
+    return {
+      price_id: generateId('PRC'),
+      user_id: user.id,
+      symbol: normalized,
+      price_date: date,
+      price: parseFloat(price),
+      source,
+    }
+  })
+
+  const { data, error } = await supabase
+    .from('security_prices')
+    .upsert(rows, { onConflict: 'user_id,symbol,price_date' })
+    .select()
+
+  if (error) throw error
+  return data || []
+}
+
+// Delete price
+export async function deletePrice(priceId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('security_prices')
+    .delete()
+    .eq('price_id', priceId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+}
@@ -0,0 +1,153 @@
+import { supabase, getCurrentUser, setCachedUser } from '../supabase'
+
+/**
+ * TOTP two-factor sign-in (migration 031). Supabase Auth holds the factors and
+ * marks each session aal1 or aal2; once a user has a verified factor the
+ * database only answers aal2 sessions, and ProtectedRoute asks for a code
+ * before the app renders.
+ */
+
+// Supabase answers with its own error text for a wrong code; this one reads better
+const INVALID_CODE = 'That code is not right. Check your authenticator app and try again.'
+
+/**
+ * Where the session stands: currentLevel is what it has, nextLevel what the
+ * user's factors call for.
+ *
+ * @returns {Promise<{ currentLevel: string|null, nextLevel: string|null }>}
+ */
+export async function getAssurance() {
+  const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+  if (error) throw error
+  return { currentLevel: data.currentLevel, nextLevel: data.nextLevel }
+}
+
+// A session is complete once it has every level its factors ask for
+export const assuranceMet = (assurance) =>
+  !!assurance && (assurance.nextLevel !== 'aal2' || assurance.currentLevel === 'aal2')
+
+// The user's verified TOTP factor, or null when two-factor is off
+export async function getTotpFactor() {
+  const { data, error } = await supabase.auth.mfa.listFactors()
+  if (error) throw error
+  return (data.totp || []).find((factor) => factor.status === 'verified') || null
+}
+
+export const hasTotpFactor = (user) =>
+  (user?.factors || []).some(
+    (factor) => factor.factor_type === 'totp' && factor.status === 'verified'
+  )
+
+/**
+ * Start enrolling an authenticator app. The factor stays unverified (and does
+ * nothing) until verifyTotp succeeds; one left over from an abandoned attempt
+ * is removed first, since Supabase refuses a second with the same name.
+ *
+ * @returns {Promise<{ factorId: string, qrCode: string, secret: string }>}
+ *   qrCode is an SVG data URL for an <img>
+ */
+export async function startTotpEnrolment() {
+  const { data: factors, error: listError } = await supabase.auth.mfa.listFactors()
+  if (listError) throw listError
+  const stale = (factors.all || []).filter(
+    (factor) => factor.factor_type === 'totp' && factor.status !== 'verified'
+  )
+  for (const factor of stale) {
+    const { error } = await supabase.auth.mfa.unenroll({ factorId: factor.id })
+    if (error) throw error
+  }
+
+  const { data, error } = await supabase.auth.mfa.enroll({
+    factorType: 'totp',
+    friendlyName: 'Authenticator app',
+  })
+  if (error) throw error
+  return { factorId: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret }
+}
+
+/**
+ * Check a 6-digit code against a factor. On success the session is raised to
+ * aal2 (and an enrolling factor becomes verified).
+ *
+ * @returns {Promise<Object>} the aal2 session
+ */
+export async function verifyTotp(factorId, code) {
+  const { error } = await supabase.auth.mfa.challengeAndVerify({
+    factorId,
+    code: String(code).replace(/\s/g, ''),
+  })
+  if (error) {
+    throw new Error(error.status === 422 || error.status === 400 ? INVALID_CODE : error.message)
+  }
+  const { data, error: sessionError } = await supabase.auth.getSession()
+  if (sessionError) throw sessionError
+  return data.session
+}
+
+// Turn two-factor off: every TOTP factor goes, and the backup codes with them
+export async function disableTotp() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data: factors, error: listError } = await supabase.auth.mfa.listFactors()
+  if (listError) throw listError
+  for (const factor of factors.totp || []) {
+    const { error } = await supabase.auth.mfa.unenroll({ factorId: factor.id })
+    if (error) throw error
+  }
+
+  const { error } = await supabase.from('mfa_backup_codes').delete().eq('user_id', user.id)
+  if (error) throw error
+}
+
+/**
+ * Ten new backup codes, replacing any earlier ones. This is the only time
+ * they can be read. Needs an aal2 session.
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function generateBackupCodes() {
+  const { data, error } = await supabase.rpc('regenerate_mfa_backup_codes')
+  if (error) throw error
+  return data || []
+}
+
+// How many backup codes the user has left
+export async function countBackupCodes() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { count, error } = await supabase
+    .from('mfa_backup_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+  if (error) throw error
+  return count || 0
+}
+
+/**
+ * Sign in past a lost authenticator with a backup code. A good code turns
+ * two-factor off for the account (see redeem_mfa_backup_code), so the session
+ * is refreshed to drop the factor and counts as complete.
+ *
+ * @returns {Promise<Object>} the refreshed session
+ */
+export async function redeemBackupCode(code) {
+  const { data: redeemed, error } = await supabase.rpc('redeem_mfa_backup_code', {
+    p_code: code,
+  })
+  if (error) throw error
+  if (!redeemed) throw new Error('That backup code is not valid')
+
+  const { data, error: refreshError } = await supabase.auth.refreshSession()
+  if (refreshError) throw refreshError
+  return data.session
+}
+
+// The user as the server now has it, with current factors
+export async function reloadUser() {
+  const { data, error } = await supabase.auth.getUser()
+  if (error) throw error
+  setCachedUser(data.user)
+  return data.user
+}
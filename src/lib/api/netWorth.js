@@ -0,0 +1,46 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+
+// Stored month-end snapshots, oldest first. The server deletes them from the
+// first affected month whenever the data under them changes, so whatever is
+// here is current.
+export async function getNetWorthSnapshots() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('net_worth_snapshots')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('month', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Save completed months (rows from buildNetWorthHistory's newSnapshots).
+// Keyed on the month, so a second device computing the same month at the
+// same time just writes the same figures again.
+export async function saveNetWorthSnapshots(snapshots) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+  if (!snapshots?.length) return []
+
+  const rows = snapshots.map((snapshot) => ({
+    snapshot_id: generateId('NWS'),
+    user_id: user.id,
+    month: snapshot.month,
+    base_currency: snapshot.base_currency,
+    assets: snapshot.assets,
+    liabilities: snapshot.liabilities,
+    net_worth: snapshot.net_worth,
+    accounts: snapshot.accounts,
+  }))
+
+  const { data, error } = await supabase
+    .from('net_worth_snapshots')
+    .upsert(rows, { onConflict: 'user_id,month' })
+    .select()
+
+  if (error) throw error
+  return data || []
+}
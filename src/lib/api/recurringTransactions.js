@@ -0,0 +1,400 @@
+import { setHours, parseISO } from 'date-fns'
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import {
+  RECURRENCE_FREQUENCIES,
+  RECURRING_STATUSES,
+  dueDateAt,
+  firstIndexOnOrAfter,
+  occurrenceDetails,
+  planDueOccurrences,
+  todayString,
+} from '../../utils/recurrence'
+
+// Fields that define the schedule; changing any of them re-positions the
+// series on the new schedule (see updateRecurringTransaction)
+const SCHEDULE_FIELDS = [
+  'frequency',
+  'interval_count',
+  'by_weekday',
+  'by_week_of_month',
+  'start_date',
+  'end_date',
+  'max_occurrences',
+]
+
+// camelCase input -> column, for create and update
+const FIELD_MAP = {
+  accountId: 'account_id',
+  categoryId: 'category_id',
+  type: 'type',
+  amount: 'amount',
+  currency: 'currency',
+  description: 'description',
+  entityName: 'entity_name',
+  frequency: 'frequency',
+  intervalCount: 'interval_count',
+  byWeekday: 'by_weekday',
+  byWeekOfMonth: 'by_week_of_month',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  maxOccurrences: 'max_occurrences',
+  status: 'status',
+}
+
+function toColumns(input) {
+  const row = {}
+  Object.entries(FIELD_MAP).forEach(([key, column]) => {
+    if (input[key] === undefined) return
+    row[column] = input[key] === '' ? null : input[key]
+  })
+  if (row.currency) row.currency = row.currency.toUpperCase()
+  if (row.description === null) row.description = ''
+  return row
+}
+
+function validateTemplate(row) {
+  if (row.type && !['Income', 'Expense'].includes(row.type)) {
+    throw new Error('Recurring transactions must be Income or Expense')
+  }
+  if (row.frequency && !RECURRENCE_FREQUENCIES.includes(row.frequency)) {
+    throw new Error(`Invalid frequency. Must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`)
+  }
+  if (row.status && !RECURRING_STATUSES.includes(row.status)) {
+    throw new Error(`Invalid status. Must be one of: ${RECURRING_STATUSES.join(', ')}`)
+  }
+  if (row.amount !== undefined && !(parseFloat(row.amount) > 0)) {
+    throw new Error('Amount must be greater than 0')
+  }
+  if (row.currency && row.currency.length !== 3) {
+    throw new Error('Currency must be a 3-letter ISO code')
+  }
+  if (row.end_date && row.start_date && row.end_date < row.start_date) {
+    throw new Error('End date must be on or after the start date')
+  }
+}
+
+// The account must be active and in the template's currency, and the
+// category a leaf (same rules as a single transaction)
+async function validateReferences(userId, { account_id, category_id, currency }) {
+  const { data: account } = await supabase
+    .from('accounts')
+    .select('currency')
+    .eq('account_id', account_id)
+    .eq('user_id', userId)
+    .eq('status', 'Active')
+    .single()
+
+  if (!account) throw new Error('Account not found or is not active')
+  if (currency && currency !== account.currency) {
+    throw new Error(`Currency must match account currency: ${account.currency}`)
+  }
+
+  const { data: children } = await supabase
+    .from('categories')
+    .select('category_id')
+    .eq('user_id', userId)
+    .eq('status', 'Active')
+    .eq('parent_category_id', category_id)
+    .limit(1)
+
+  if (children?.length) {
+    throw new Error(
+      'This category has subcategories. Please choose a specific subcategory instead.'
+    )
+  }
+}
+
+// Transaction row for one slot of a template. Dated midday so the calendar
+// day survives conversion to UTC in any timezone we're likely to see.
+function occurrenceTransaction(template, occurrence, userId, date) {
+  return {
+    transaction_id: generateId('TXN'),
+    user_id: userId,
+    account_id: template.account_id,
+    category_id: template.category_id,
+    date: (date || setHours(parseISO(occurrence.date), 12)).toISOString(),
+    amount: occurrence.amount,
+    currency: template.currency,
+    description: occurrence.description,
+    type: template.type,
+    status: 'Cleared',
+    entity_name: template.entity_name || null,
+    recurring_id: template.recurring_id,
+    recurring_date: occurrence.date,
+  }
+}
+
+// Insert occurrences, ignoring slots that already have a transaction (the
+// unique index on recurring_id + recurring_date), so a run can be repeated
+async function insertOccurrences(rows) {
+  if (rows.length === 0) return []
+  const { data, error } = await supabase
+    .from('transactions')
+    .upsert(rows, { onConflict: 'recurring_id,recurring_date', ignoreDuplicates: true })
+    .select()
+
+  if (error) throw error
+  return data || []
+}
+
+// Create recurring transaction
+export async function createRecurringTransaction(templateData) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = {
+    type: 'Expense',
+    frequency: 'Monthly',
+    interval_count: 1,
+    description: '',
+    status: 'Active',
+    ...toColumns(templateData),
+  }
+
+  if (!row.account_id || !row.category_id || row.amount === undefined || !row.currency) {
+    throw new Error('Account, category, amount, and currency are required')
+  }
+  if (!row.start_date) throw new Error('Start date is required')
+  validateTemplate(row)
+  await validateReferences(user.id, row)
+
+  // A series that starts in the past picks up from today rather than
+  // back-posting every missed slot
+  row.occurrences_done = firstIndexOnOrAfter(row, todayString())
+  row.next_due_date = dueDateAt(row, row.occurrences_done)
+  if (!row.next_due_date) row.status = 'Ended'
+
+  const { data, error } = await supabase
+    .from('recurring_transactions')
+    .insert({
+      ...row,
+      recurring_id: generateId('REC'),
+      user_id: user.id,
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Get recurring transactions
+export async function getRecurringTransactions(filters = {}) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  let query = supabase
+    .from('recurring_transactions')
+    .select('*')
+    .eq('user_id', user.id)
+
+  if (filters.status) {
+    query = query.eq('status', filters.status)
+  }
+
+  const { data, error } = await query.order('next_due_date', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Get recurring transaction by ID
+export async function getRecurringTransactionById(recurringId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('recurring_transactions')
+    .select('*')
+    .eq('recurring_id', recurringId)
+    .eq('user_id', user.id)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+async function saveTemplate(recurringId, userId, updateData) {
+  const { data, error } = await supabase
+    .from('recurring_transactions')
+    .update(updateData)
+    .eq('recurring_id', recurringId)
+    .eq('user_id', userId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Update recurring transaction (the whole series)
+export async function updateRecurringTransaction(recurringId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const template = await getRecurringTransactionById(recurringId)
+  if (!template) throw new Error('Recurring transaction not found')
+
+  const updateData = toColumns(updates)
+  const next = { ...template, ...updateData }
+  validateTemplate(next)
+  if (updateData.account_id || updateData.category_id || updateData.currency) {
+    await validateReferences(user.id, next)
+  }
+
+  // On a new schedule the slot numbers mean different dates. Carry on from
+  // the first new slot on or after where the old schedule had got to, so
+  // nothing already posted is posted again; per-date exceptions belonged to
+  // the old dates and are dropped.
+  const scheduleChanged = SCHEDULE_FIELDS.some(
+    (field) => updateData[field] !== undefined && updateData[field] !== template[field]
+  )
+  if (scheduleChanged || (updateData.status === 'Active' && template.status === 'Ended')) {
+    const resumeFrom =
+      template.next_due_date && template.next_due_date > todayString()
+        ? template.next_due_date
+        : todayString()
+    updateData.occurrences_done = firstIndexOnOrAfter(next, resumeFrom)
+    updateData.next_due_date = dueDateAt(next, updateData.occurrences_done)
+    updateData.exceptions = scheduleChanged ? {} : template.exceptions
+  }
+  const nextDueDate =
+    updateData.next_due_date !== undefined ? updateData.next_due_date : template.next_due_date
+  if (!nextDueDate) updateData.status = 'Ended'
+  else if (next.status === 'Ended') updateData.status = 'Active'
+
+  return saveTemplate(recurringId, user.id, updateData)
+}
+
+// Delete recurring transaction. Transactions it already posted are kept
+// (their recurring_id is cleared by the foreign key).
+export async function deleteRecurringTransaction(recurringId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('recurring_transactions')
+    .delete()
+    .eq('recurring_id', recurringId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+  return true
+}
+
+async function updateException(recurringId, date, change) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const template = await getRecurringTransactionById(recurringId)
+  if (!template) throw new Error('Recurring transaction not found')
+  if (template.next_due_date && date < template.next_due_date) {
+    throw new Error('This occurrence has already been posted')
+  }
+
+  const exceptions = { ...(template.exceptions || {}) }
+  const entry = { ...(exceptions[date] || {}), ...change }
+  Object.keys(entry).forEach((key) => {
+    if (entry[key] === undefined || entry[key] === false) delete entry[key]
+  })
+  if (Object.keys(entry).length > 0) exceptions[date] = entry
+  else delete exceptions[date]
+
+  return saveTemplate(recurringId, user.id, { exceptions })
+}
+
+// Skip one occurrence (or un-skip it with skip = false)
+export async function skipOccurrence(recurringId, date, skip = true) {
+  return updateException(recurringId, date, { skip })
+}
+
+// Change the amount and/or description of one occurrence only. Values equal
+// to the template's are stored as "no override".
+export async function editOccurrence(recurringId, date, { amount, description }) {
+  const template = await getRecurringTransactionById(recurringId)
+  const amountValue = amount === undefined || amount === '' ? undefined : parseFloat(amount)
+  if (amountValue !== undefined && !(amountValue > 0)) {
+    throw new Error('Amount must be greater than 0')
+  }
+  return updateException(recurringId, date, {
+    amount:
+      amountValue === undefined || amountValue === parseFloat(template.amount)
+        ? undefined
+        : amountValue,
+    description:
+      description === undefined || description === template.description
+        ? undefined
+        : description,
+  })
+}
+
+// Post one upcoming occurrence now, dated today. The slot is marked posted
+// so the generator passes over it when its date comes round.
+export async function postOccurrenceNow(recurringId, date) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const template = await getRecurringTransactionById(recurringId)
+  if (!template) throw new Error('Recurring transaction not found')
+
+  const occurrence = occurrenceDetails(template, date)
+  if (occurrence.posted) throw new Error('This occurrence has already been posted')
+
+  const [transaction] = await insertOccurrences([
+    occurrenceTransaction(template, occurrence, user.id, new Date()),
+  ])
+  const updated = await updateException(recurringId, date, { posted: true, skip: false })
+
+  return { template: updated, transaction: transaction || null }
+}
+
+/**
+ * Post every due occurrence of the user's active recurring transactions
+ * (next_due_date on or before `today`) and move each template on. Safe to
+ * run repeatedly and from several places at once: slots that already have a
+ * transaction are ignored by the insert. Templates whose account has been
+ * closed are left alone until it is reopened or the template edited.
+ *
+ * @param {string} [today] - 'yyyy-MM-dd', defaults to the local date
+ * @returns {Promise<{ created: Array, templates: Array }>}
+ */
+export async function materializeDueRecurringTransactions(today = todayString()) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data: due, error } = await supabase
+    .from('recurring_transactions')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('status', 'Active')
+    .lte('next_due_date', today)
+
+  if (error) throw error
+  if (!due?.length) return { created: [], templates: [] }
+
+  const { data: accounts } = await supabase
+    .from('accounts')
+    .select('account_id')
+    .eq('user_id', user.id)
+    .eq('status', 'Active')
+    .in('account_id', [...new Set(due.map((t) => t.account_id))])
+  const activeAccountIds = new Set((accounts || []).map((a) => a.account_id))
+
+  const created = []
+  const templates = []
+  for (const template of due) {
+    if (!activeAccountIds.has(template.account_id)) continue
+
+    const { toPost, updates } = planDueOccurrences(template, today)
+    if (!updates) continue
+
+    created.push(
+      ...(await insertOccurrences(
+        toPost.map((occurrence) => occurrenceTransaction(template, occurrence, user.id))
+      ))
+    )
+    templates.push(await saveTemplate(template.recurring_id, user.id, updates))
+  }
+
+  return { created, templates }
+}
@@ -0,0 +1,137 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import { GOAL_STATUSES, GOAL_TRACKING_OPTIONS } from '../../utils/savingsGoals'
+import { ensureTags } from './tags'
+
+// camelCase input -> column, for create and update
+const FIELD_MAP = {
+  name: 'name',
+  targetAmount: 'target_amount',
+  currency: 'currency',
+  targetDate: 'target_date',
+  tracking: 'tracking',
+  accountId: 'account_id',
+  status: 'status',
+}
+
+function toColumns(input) {
+  const row = {}
+  Object.entries(FIELD_MAP).forEach(([key, column]) => {
+    if (input[key] === undefined) return
+    const value = typeof input[key] === 'string' ? input[key].trim() : input[key]
+    row[column] = value === '' ? null : value
+  })
+  if (row.currency) row.currency = row.currency.toUpperCase()
+  return row
+}
+
+function validateGoal(row) {
+  if (row.target_amount !== undefined && !(parseFloat(row.target_amount) > 0)) {
+    throw new Error('Target amount must be greater than 0')
+  }
+  if (row.currency && row.currency.length !== 3) {
+    throw new Error('Currency must be a 3-letter ISO code')
+  }
+  if (row.tracking && !GOAL_TRACKING_OPTIONS.some((option) => option.value === row.tracking)) {
+    throw new Error('Invalid tracking. Must be balance or transfers')
+  }
+  if (row.status && !GOAL_STATUSES.includes(row.status)) {
+    throw new Error(`Invalid status. Must be one of: ${GOAL_STATUSES.join(', ')}`)
+  }
+  if (row.tracking === 'balance' && row.account_id === null) {
+    throw new Error('Choose the account whose balance the goal follows')
+  }
+}
+
+// The tag a 'transfers' goal follows, created if it doesn't exist yet.
+// Returns undefined when the input doesn't name one.
+async function resolveTagId(tagName) {
+  if (tagName === undefined) return undefined
+  const [tag] = await ensureTags([tagName])
+  return tag?.tag_id || null
+}
+
+// Get goals
+export async function getSavingsGoals() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('savings_goals')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('target_date', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Create a goal.
+ * @param {Object} goalData - { name, targetAmount, currency, targetDate,
+ *   tracking, accountId?, tagName? } — tagName is the tag a 'transfers' goal
+ *   counts
+ */
+export async function createSavingsGoal(goalData) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(goalData)
+  if (row.tracking === 'balance' && !row.account_id) row.account_id = null
+  validateGoal(row)
+
+  const tagId = await resolveTagId(goalData.tagName)
+  if (row.tracking === 'transfers' && !tagId) {
+    throw new Error('Choose the tag the goal counts transfers by')
+  }
+
+  const { data, error } = await supabase
+    .from('savings_goals')
+    .insert({
+      ...row,
+      tag_id: tagId || null,
+      goal_id: generateId('GOL'),
+      user_id: user.id,
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Update goal. Same fields as create; tagName, when given, re-points the tag.
+export async function updateSavingsGoal(goalId, updates) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const row = toColumns(updates)
+  validateGoal(row)
+
+  const tagId = await resolveTagId(updates.tagName)
+  if (tagId !== undefined) row.tag_id = tagId
+
+  const { data, error } = await supabase
+    .from('savings_goals')
+    .update(row)
+    .eq('goal_id', goalId)
+    .eq('user_id', user.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Delete goal. Its tag and the transfers carrying it are left alone.
+export async function deleteSavingsGoal(goalId) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { error } = await supabase
+    .from('savings_goals')
+    .delete()
+    .eq('goal_id', goalId)
+    .eq('user_id', user.id)
+
+  if (error) throw error
+}
@@ -0,0 +1,214 @@
+import { supabase, generateId, getCurrentUser } from '../supabase'
+import { normalizeTagNames } from '../../utils/tags'
+
+// Get the user's tags, by name
+export async function getTags() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('tags')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Every transaction/tag link. Fetched in pages of 1000, the PostgREST row
+// limit, the same way getTransactions does.
+export async function getTransactionTags() {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const BATCH_SIZE = 1000
+  let allData = []
+  let offset = 0
+  let hasMore = true
+
+  while (hasMore) {
+    const { data, error } = await supabase
+      .from('transaction_tags')
+      .select('transaction_id, tag_id')
+      .eq('user_id', user.id)
+      .order('transaction_id', { ascending: true })
+      .order('tag_id', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1)
+
+    if (error) throw error
+    if (data && data.length > 0) allData = allData.concat(data)
+    hasMore = data && data.length === BATCH_SIZE
+    offset += BATCH_SIZE
+  }
+
+  return allData
+}
+
+/**
+ * The tags for a list of names, creating the ones that don't exist yet.
+ * Names are normalized first (see utils/tags).
+ *
+ * @param {string[]} names
+ * @returns {Promise<Array>} tag rows, in the order of the names
+ */
+export async function ensureTags(names) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const wanted = normalizeTagNames(names)
+  if (wanted.length === 0) return []
+
+  const { data: existing, error } = await supabase
+    .from('tags')
+    .select('*')
+    .eq('user_id', user.id)
+    .in('name', wanted)
+
+  if (error) throw error
+
+  const byName = new Map((existing || []).map((tag) => [tag.name, tag]))
+  const missing = wanted
+    .filter((name) => !byName.has(name))
+    .map((name) => ({ tag_id: generateId('TAG'), user_id: user.id, name }))
+
+  if (missing.length > 0) {
+    const { data: created, error: insertError } = await supabase
+      .from('tags')
+      .insert(missing)
+      .select()
+
+    if (insertError) throw insertError
+    ;(created || []).forEach((tag) => byName.set(tag.name, tag))
+  }
+
+  return wanted.map((name) => byName.get(name)).filter(Boolean)
+}
+
+/**
+ * Replace a transaction's tags with exactly `tagIds`.
+ * @returns {Promise<string[]>} the tag ids now on the transaction
+ */
+export async function setTransactionTags(transactionId, tagIds) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const wanted = [...new Set(tagIds || [])]
+
+  const { data: current, error } = await supabase
+    .from('transaction_tags')
+    .select('tag_id')
+    .eq('user_id', user.id)
+    .eq('transaction_id', transactionId)
+
+  if (error) throw error
+
+  const currentIds = new Set((current || []).map((row) => row.tag_id))
+  const toRemove = [...currentIds].filter((id) => !wanted.includes(id))
+  const toAdd = wanted.filter((id) => !currentIds.has(id))
+
+  if (toRemove.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('transaction_tags')
+      .delete()
+      .eq('user_id', user.id)
+      .eq('transaction_id', transactionId)
+      .in('tag_id', toRemove)
+
+    if (deleteError) throw deleteError
+  }
+
+  if (toAdd.length > 0) {
+    const { error: insertError } = await supabase
+      .from('transaction_tags')
+      .insert(
+        toAdd.map((tagId) => ({
+          transaction_id: transactionId,
+          tag_id: tagId,
+          user_id: user.id,
+        }))
+      )
+
+    if (insertError) throw insertError
+  }
+
+  return wanted
+}
+
+/**
+ * Add and remove tags across many transactions at once (bulk edit). Links
+ * that already exist are left alone.
+ *
+ * @param {string[]} transactionIds
+ * @param {{ addTagIds?: string[], removeTagIds?: string[] }} changes
+ */
+export async function updateTransactionsTags(
+  transactionIds,
+  { addTagIds = [], removeTagIds = [] }
+) {
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+  if (!transactionIds?.length) return
+
+  if (removeTagIds.length > 0) {
+    const { error } = await supabase
+      .from('transaction_tags')
+      .delete()
+      .eq('user_id', user.id)
+      .in('transaction_id', transactionIds)
+      .in('tag_id', removeTagIds)
+
+    if (error) throw error
+  }
+
+  if (addTagIds.length > 0) {
+    const rows = []
+    transactionIds.forEach((transactionId) => {
+      addTagIds.forEach((tagId) => {
+        rows.push({ transaction_id: transactionId, tag_id: tagId, user_id: user.id })
+      })
+    })
+    const { error } = await supabase
+      .from('transaction_tags')
+      .upsert(rows, {
+        onConflict: 'transaction_id,tag_id',
+        ignoreDuplicates: true,
+      })
+
+    if (error) throw error
+  }
+}
+
+/**
+ * Tag transactions by name, each with its own set (tags from categorisation
+ * rules as transactions are created). Tags already on a transaction stay.
+ *
+ * @param {Array<{ transactionId: string, names: string[] }>} entries
+ */
+export async function addTagsToTransactions(entries) {
+  const tagged = (entries || []).filter((entry) => entry.names?.length)
+  if (tagged.length === 0) return
+
+  const user = await getCurrentUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const tags = await ensureTags(tagged.flatMap((entry) => entry.names))
+  const idsByName = new Map(tags.map((tag) => [tag.name, tag.tag_id]))
+
+  const rows = []
+  tagged.forEach(({ transactionId, names }) => {
+    normalizeTagNames(names).forEach((name) => {
+      const tagId = idsByName.get(name)
+      if (tagId) rows.push({ transaction_id: transactionId, tag_id: tagId, user_id: user.id })
+    })
+  })
+
+  const { error } = await supabase
+    .from('transaction_tags')
+    .upsert(rows, {
+      onConflict: 'transaction_id,tag_id',
+      ignoreDuplicates: true,
+    })
+
+  if (error) throw error
+}
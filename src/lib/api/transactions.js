@@ -1,4 +1,14 @@
 import { supabase, generateId, getCurrentUser } from '../supabase';
+import {
+  SPLITTABLE_TYPES,
+  primarySplitCategory,
+  splitRemainder,
+  toSplitRows,
+} from '../../utils/transactionSplits';
+import { applyRulesToInput } from '../../utils/categorizationRules';
+import { getActiveCategorizationRules } from './categorizationRules';
+import { addTagsToTransactions } from './tags';
+import { deleteAttachmentsForTransactions } from './attachments';
 
 // Transaction types enum
 export const TRANSACTION_TYPES = [
@@ -15,6 +25,30 @@ export const TRANSACTION_STATUSES = [
   'Cancelled',
 ];
 
+/**
+ * Error for an offline change replayed against a row that moved on without
+ * it. `reason` is 'modified' (changed since the change was made) or 'deleted';
+ * `row` is the row as the server has it now, when there is one.
+ */
+function conflictError(reason, row = null) {
+  const error = new Error(
+    reason === 'deleted'
+      ? 'This transaction was deleted on another device'
+      : 'This transaction was changed on another device'
+  );
+  error.code = 'CONFLICT';
+  error.reason = reason;
+  error.row = row;
+  return error;
+}
+
+// Whether the row was written after `expectedUpdatedAt`, the version the
+// caller last saw
+function changedSince(row, expectedUpdatedAt) {
+  if (!expectedUpdatedAt || !row.updated_at) return false;
+  return new Date(row.updated_at).getTime() > new Date(expectedUpdatedAt).getTime();
+}
+
 /**
  * Given category ids, return the subset that are parents — i.e. have at least
  * one Active subcategory. Transactions must post to leaf categories, so callers
@@ -37,12 +71,59 @@ async function fetchParentCategoryIds(userId, categoryIds) {
   return new Set((data || []).map((c) => c.parent_category_id));
 }
 
+/**
+ * Check split lines before they reach the database (which checks them again
+ * in migration 020) and turn them into the stored form. Lines post to leaf
+ * categories like any transaction does.
+ *
+ * @param {string} userId
+ * @param {Array<{categoryId, amount, description}>} splits - form lines
+ * @param {number} amount - the transaction total
+ * @param {string} type
+ * @returns {Promise<Array|null>} rows for the splits column, or null
+ */
+async function prepareSplits(userId, splits, amount, type) {
+  if (!splits?.length) return null;
+  if (!SPLITTABLE_TYPES.includes(type)) {
+    throw new Error('Only income and expense transactions can be split');
+  }
+  if (splits.length < 2) {
+    throw new Error('A split needs at least two category lines');
+  }
+  if (splits.some((line) => !line.categoryId || !(line.amount > 0))) {
+    throw new Error('Each split line needs a category and an amount');
+  }
+  if (splitRemainder(amount, splits) !== 0) {
+    throw new Error('Split lines must add up to the transaction amount');
+  }
+  const parentIds = await fetchParentCategoryIds(
+    userId,
+    splits.map((line) => line.categoryId)
+  );
+  if (parentIds.size > 0) {
+    throw new Error(
+      'A split line uses a category that has subcategories. Please choose a specific subcategory instead.'
+    );
+  }
+  return toSplitRows(splits);
+}
+
 // Create transaction using validated RPC function
-// This reduces multiple database round trips to a single call
+// This reduces multiple database round trips to a single call.
+// A caller may choose the transaction_id (transactionId); sending the same one
+// again returns the row already saved instead of failing, so a create that
+// was retried after a dropped connection can't add the transaction twice.
 export async function createTransaction(transactionData) {
   const user = await getCurrentUser();
   if (!user) throw new Error('User not authenticated');
 
+  // Callers whose category is only a default (imports) ask for the user's
+  // categorisation rules to have the last word. Callers that applied the
+  // rules themselves, to show the result first, pass the tags as ruleTags.
+  const input = transactionData.applyRules
+    ? applyRulesToInput(await getActiveCategorizationRules(), transactionData)
+    : transactionData;
+
   const {
     accountId,
     categoryId,
@@ -57,7 +138,11 @@ export async function createTransaction(transactionData) {
     // Counterparty for a borrowing/lending transaction. The database turns this
     // into the borrowings_lendings record (migration 016).
     entityName = null,
-  } = transactionData;
+    // Category lines for a split transaction; the largest one becomes its
+    // category (migration 020)
+    splits = null,
+    transactionId: presetTransactionId = null,
+  } = input;
 
   // Basic client-side validation
   const isTransferType = type === 'Transfer Out' || type === 'Transfer In';
@@ -86,7 +171,9 @@ export async function createTransaction(transactionData) {
     }
   }
 
-  const transactionId = generateId('TXN');
+  const splitRows = await prepareSplits(user.id, splits, amount, type);
+
+  const transactionId = presetTransactionId || generateId('TXN');
   // Use full datetime - if date is provided as date-only string, add current time
   // Otherwise use the provided datetime or current datetime
   let transactionDate;
@@ -108,7 +195,7 @@ export async function createTransaction(transactionData) {
     p_transaction_id: transactionId,
     p_user_id: user.id,
     p_account_id: accountId,
-    p_category_id: categoryId,
+    p_category_id: splitRows ? primarySplitCategory(splits) : categoryId,
     p_date: transactionDate.toISOString(),
     p_amount: amount,
     p_currency: currency.toUpperCase(),
@@ -118,17 +205,34 @@ export async function createTransaction(transactionData) {
     p_transfer_id: transferId,
     p_linked_transaction_id: linkedTransactionId,
     p_entity_name: entityName || null,
+    p_splits: splitRows,
   });
 
   if (error) {
+    if (presetTransactionId && error.code === '23505') {
+      const existing = await getTransactionById(presetTransactionId);
+      if (existing) return existing;
+    }
     // Parse Postgres error messages for user-friendly display
     const message = error.message || 'Failed to create transaction';
     throw new Error(message);
   }
 
+  await tagFromRules([{ transactionId: data.transaction_id, names: input.ruleTags }]);
+
   return data;
 }
 
+// Tags a rule added. The transactions are saved by now, so a failure here
+// is logged rather than thrown — throwing would invite a duplicate retry.
+async function tagFromRules(entries) {
+  try {
+    await addTagsToTransactions(entries);
+  } catch (error) {
+    console.error('Error tagging transactions from rules:', error);
+  }
+}
+
 // Batch create transactions
 export async function batchCreateTransactions(transactionsArray) {
   const user = await getCurrentUser();
@@ -141,6 +245,14 @@ export async function batchCreateTransactions(transactionsArray) {
     throw new Error('Maximum 1000 transactions per batch');
   }
 
+  // Rows flagged applyRules get the categorisation rules (see createTransaction)
+  if (transactionsArray.some((txn) => txn.applyRules)) {
+    const rules = await getActiveCategorizationRules();
+    transactionsArray = transactionsArray.map((txn) =>
+      txn.applyRules ? applyRulesToInput(rules, txn) : txn
+    );
+  }
+
   // Pre-validate all transactions
   const validationErrors = [];
   const accountsMap = new Map();
@@ -267,6 +379,13 @@ export async function batchCreateTransactions(transactionsArray) {
 
   if (error) throw error;
 
+  await tagFromRules(
+    transactionsArray.map((txn, index) => ({
+      transactionId: transactionsToInsert[index].transaction_id,
+      names: txn.ruleTags,
+    }))
+  );
+
   return data;
 }
 
@@ -389,16 +508,23 @@ export async function getTransactionById(transactionId) {
   return data[0];
 }
 
-// Update transaction
-export async function updateTransaction(transactionId, updates) {
+// Update transaction.
+// options.expectedUpdatedAt - the row's updated_at when the edit was made;
+// if the row has been written since, or deleted, a conflict error is thrown
+// (see conflictError) instead of overwriting the newer version
+export async function updateTransaction(transactionId, updates, options = {}) {
   const user = await getCurrentUser();
   if (!user) throw new Error('User not authenticated');
 
   // Check if transaction exists
   const transaction = await getTransactionById(transactionId);
   if (!transaction) {
+    if (options.expectedUpdatedAt) throw conflictError('deleted');
     throw new Error('Transaction not found');
   }
+  if (changedSince(transaction, options.expectedUpdatedAt)) {
+    throw conflictError('modified', transaction);
+  }
 
   // Validation
   if (updates.type && !TRANSACTION_TYPES.includes(updates.type)) {
@@ -463,6 +589,18 @@ export async function updateTransaction(transactionId, updates) {
     }
   }
 
+  // Split lines are checked against the amount and type they will end up
+  // with, and a split always files under its largest line
+  let splitRows;
+  if (updates.splits !== undefined) {
+    splitRows = await prepareSplits(
+      user.id,
+      updates.splits,
+      updates.amount !== undefined ? updates.amount : transaction.amount,
+      updates.type || transaction.type
+    );
+  }
+
   const updateData = {};
   if (updates.accountId !== undefined)
     updateData.account_id = updates.accountId;
@@ -496,6 +634,10 @@ export async function updateTransaction(transactionId, updates) {
   // it created — a trigger keeps the two in step (migration 016)
   if (updates.entityName !== undefined)
     updateData.entity_name = updates.entityName || null;
+  if (splitRows !== undefined) {
+    updateData.splits = splitRows;
+    if (splitRows) updateData.category_id = primarySplitCategory(updates.splits);
+  }
 
   // If no fields to update, return the existing transaction
   if (Object.keys(updateData).length === 0) {
@@ -523,16 +665,39 @@ export async function updateTransaction(transactionId, updates) {
   return data[0];
 }
 
-// Soft delete transaction
-export async function deleteTransaction(transactionId) {
+// Deleted transactions take their attachments with them. The delete has
+// already happened by now, so a failure here is only logged. Also used by
+// deleteTransfer.
+export async function removeAttachments(transactionIds) {
+  try {
+    await deleteAttachmentsForTransactions(transactionIds);
+  } catch (error) {
+    console.warn('Could not remove attachments of deleted transactions:', error);
+  }
+}
+
+// Soft delete transaction.
+// options.expectedUpdatedAt works as in updateTransaction, except that a row
+// already deleted counts as done
+export async function deleteTransaction(transactionId, options = {}) {
   const user = await getCurrentUser();
   if (!user) throw new Error('User not authenticated');
 
   // Check if transaction is part of a transfer
   const transaction = await getTransactionById(transactionId);
   if (!transaction) {
+    if (options.expectedUpdatedAt) {
+      return {
+        transactionId,
+        linkedTransactionId: null,
+        deletedTransactionIds: [transactionId],
+      };
+    }
     throw new Error('Transaction not found');
   }
+  if (changedSince(transaction, options.expectedUpdatedAt)) {
+    throw conflictError('modified', transaction);
+  }
 
   // Track all transaction IDs that will be deleted
   const deletedTransactionIds = [transactionId];
@@ -565,19 +730,19 @@ export async function deleteTransaction(transactionId) {
       linkedTransactionId = linkedId;
     }
 
-    // Delete other transaction with same transfer_id
+    // Delete the other rows with same transfer_id (the other leg, and the
+    // fee if the transfer had one)
     if (transferId) {
-      // Get the other transaction ID first
-      const { data: otherTransaction } = await supabase
+      // Get their IDs first
+      const { data: otherTransactions } = await supabase
         .from('transactions')
         .select('transaction_id')
         .eq('transfer_id', transferId)
         .eq('user_id', user.id)
         .neq('transaction_id', transactionId)
-        .is('deleted_at', null)
-        .single();
+        .is('deleted_at', null);
 
-      if (otherTransaction) {
+      if (otherTransactions?.length > 0) {
         const { error: error3 } = await supabase
           .from('transactions')
           .update({ deleted_at: new Date().toISOString() })
@@ -586,9 +751,11 @@ export async function deleteTransaction(transactionId) {
           .neq('transaction_id', transactionId);
 
         if (error3) throw error3;
-        if (!deletedTransactionIds.includes(otherTransaction.transaction_id)) {
-          deletedTransactionIds.push(otherTransaction.transaction_id);
-        }
+        otherTransactions.forEach(({ transaction_id: otherId }) => {
+          if (!deletedTransactionIds.includes(otherId)) {
+            deletedTransactionIds.push(otherId);
+          }
+        });
       }
     }
   } else {
@@ -602,6 +769,8 @@ export async function deleteTransaction(transactionId) {
     if (error) throw error;
   }
 
+  await removeAttachments(deletedTransactionIds);
+
   // Return deleted transaction IDs
   return {
     transactionId,
@@ -677,6 +846,8 @@ export async function bulkDeleteTransactions(transactionIds) {
 
   if (deleteError) throw deleteError;
 
+  await removeAttachments(idsToDelete);
+
   // Return deleted transaction IDs
   return {
     deletedTransactionIds: idsToDelete,
@@ -21,6 +21,12 @@ export async function createTransfer(transferData) {
     ratePlatform = '',
     status = 'Cleared',
     date,
+    // Optional fee: { amount, side, categoryId, description }. `side` is
+    // 'from' for a fee charged in the source currency (it leaves the source
+    // account on top of the amount sent) or 'to' for one taken out of the
+    // destination currency before the money arrives. It's recorded as an
+    // Expense under the same transfer_id.
+    fee = null,
   } = transferData
 
   // Validation
@@ -67,6 +73,19 @@ export async function createTransfer(transferData) {
     finalToAmount = Math.abs(toAmount)
   }
 
+  const feeAmount = fee?.amount ? Math.abs(Number(fee.amount)) : 0
+  if (feeAmount > 0) {
+    if (fee.side !== 'from' && fee.side !== 'to') {
+      throw new Error("Fee side must be 'from' or 'to'")
+    }
+    if (!fee.categoryId) {
+      throw new Error('A category is required for the fee')
+    }
+    if (fee.side === 'to' && feeAmount >= finalToAmount) {
+      throw new Error('The fee must be less than the amount received')
+    }
+  }
+
   // Generate transfer ID
   const transferId = generateId('TRF')
   // Use full datetime - if date is provided as date-only string, add current time
@@ -121,9 +140,32 @@ export async function createTransfer(transferData) {
     linkedTransactionId: transferIn.transaction_id,
   })
 
+  // Fee: an expense on the account of the side it was charged in
+  let feeTransaction = null
+  if (feeAmount > 0) {
+    const feeAccount = fee.side === 'from' ? fromAccount : toAccount
+    feeTransaction = await transactionsApi.createTransaction({
+      accountId: feeAccount.account_id,
+      categoryId: fee.categoryId,
+      amount: feeAmount,
+      currency: feeAccount.currency,
+      description: fee.description || 'Transfer fee',
+      type: 'Expense',
+      status,
+      date: transferDate.toISOString(),
+      transferId,
+    })
+  }
+
   // Log exchange rate if multi-currency
+  let exchangeRate = null
   if (!sameCurrency) {
     const rate = finalToAmount / finalFromAmount
+    // What the money bought once the fee is counted
+    const effectiveRate = feeAmount > 0
+      ? (finalToAmount - (fee.side === 'to' ? feeAmount : 0)) /
+        (finalFromAmount + (fee.side === 'from' ? feeAmount : 0))
+      : null
     await exchangeRatesApi.createExchangeRate({
       transferId,
       fromCurrency: fromAccount.currency,
@@ -131,20 +173,24 @@ export async function createTransfer(transferData) {
       rate,
       fromAmount: finalFromAmount,
       toAmount: finalToAmount,
+      effectiveRate,
       description: ratePlatform || null,
       date: transferDate.toISOString(),
     })
+    exchangeRate = {
+      fromCurrency: fromAccount.currency,
+      toCurrency: toAccount.currency,
+      rate,
+      effectiveRate,
+    }
   }
 
   return {
     transferId,
     transferOut,
     transferIn,
-    exchangeRate: !sameCurrency ? {
-      fromCurrency: fromAccount.currency,
-      toCurrency: toAccount.currency,
-      rate: finalToAmount / finalFromAmount,
-    } : null,
+    fee: feeTransaction,
+    exchangeRate,
     date: transferDate.toISOString(),
   }
 }
@@ -212,6 +258,8 @@ export async function getTransfers(filters = {}) {
   const transfers = Array.from(transfersMap.values()).map(transfer => {
     const transferOut = transfer.transactions.find(t => t.type === 'Transfer Out')
     const transferIn = transfer.transactions.find(t => t.type === 'Transfer In')
+    // Any other row under the transfer_id is its fee
+    const fee = transfer.transactions.find(t => t.type === 'Expense') || null
     const exchangeRate = exchangeRates?.find(er => er.transfer_id === transfer.transferId)
     
     // Normalize date to YYYY-MM-DD format (handle dates with time components)
@@ -222,6 +270,7 @@ export async function getTransfers(filters = {}) {
       transferId: transfer.transferId,
       transferOut,
       transferIn,
+      fee,
       exchangeRate,
       date: normalizedDate,
     }
@@ -244,7 +293,7 @@ export async function getTransferById(transferId) {
   return transfers.find(t => t.transferId === transferId) || null
 }
 
-// Delete transfer (deletes both transactions)
+// Delete transfer (deletes both transactions, and the fee if there is one)
 export async function deleteTransfer(transactionId) {
   const user = await getCurrentUser()
   if (!user) throw new Error('User not authenticated')
@@ -291,6 +340,8 @@ export async function deleteTransfer(transactionId) {
     throw new Error(`Failed to delete transfer transactions: ${deleteError.message}`)
   }
 
+  await transactionsApi.removeAttachments(transactionIds)
+
   // Delete exchange rates (non-blocking - continue even if this fails)
   try {
     const { error: exchangeRateError } = await supabase
@@ -0,0 +1,38 @@
+import { createSupabaseAttachmentStore } from './supabase'
+import { createLocalAttachmentStore } from './local'
+
+/**
+ * Where attachment files are kept, behind one interface so
+ * src/lib/api/attachments.js doesn't care which is in use:
+ *
+ *   { name, upload(path, blob, contentType), copy(fromPath, toPath),
+ *     getUrl(path), remove(paths) }
+ *
+ * Paths are `<user_id>/<attachment_id>.<ext>`. getUrl resolves to something
+ * an <img>, <iframe> or link can open.
+ *
+ * VITE_ATTACHMENT_STORE picks one: 'supabase' (the Storage bucket from
+ * migration 032) or 'local' (IndexedDB in this browser). Development builds
+ * default to 'local', production builds to 'supabase'.
+ */
+
+export const ATTACHMENT_STORE_TYPES = ['supabase', 'local']
+
+/**
+ * @param {string} [type] - an ATTACHMENT_STORE_TYPES value; defaults by build
+ * @returns {{ name: string, upload: Function, copy: Function, getUrl: Function,
+ *   remove: Function }}
+ */
+export function createAttachmentStore(type = import.meta.env.VITE_ATTACHMENT_STORE) {
+  const chosen = type || (import.meta.env.DEV ? 'local' : 'supabase')
+  switch (chosen) {
+    case 'local':
+      return createLocalAttachmentStore()
+    case 'supabase':
+      return createSupabaseAttachmentStore()
+    default:
+      throw new Error(`Unknown attachment store "${chosen}"`)
+  }
+}
+
+export { createSupabaseAttachmentStore, createLocalAttachmentStore }
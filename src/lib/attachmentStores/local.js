@@ -0,0 +1,50 @@
+import localforage from 'localforage'
+
+// A stand-in for Storage during development: files are kept as blobs in this
+// browser's IndexedDB, so attachments work against a local or throwaway
+// project without a bucket. They never leave the device, so another browser
+// sees the attachment rows but not the files.
+
+export function createLocalAttachmentStore() {
+  const files = localforage.createInstance({
+    name: 'finance-web-app',
+    storeName: 'attachments',
+    description: 'Attachment files kept locally in development',
+  })
+  // One object URL per file, so viewing the same file twice doesn't leak
+  const urls = new Map()
+
+  return {
+    name: 'This browser',
+
+    async upload(path, blob) {
+      if (await files.getItem(path)) throw new Error('An attachment with that name already exists')
+      await files.setItem(path, blob)
+    },
+
+    async copy(fromPath, toPath) {
+      const blob = await files.getItem(fromPath)
+      if (!blob) throw new Error('This file is not stored in this browser')
+      await this.upload(toPath, blob)
+    },
+
+    async getUrl(path) {
+      if (urls.has(path)) return urls.get(path)
+      const blob = await files.getItem(path)
+      if (!blob) throw new Error('This file is not stored in this browser')
+      const url = URL.createObjectURL(blob)
+      urls.set(path, url)
+      return url
+    },
+
+    async remove(paths) {
+      for (const path of paths) {
+        if (urls.has(path)) {
+          URL.revokeObjectURL(urls.get(path))
+          urls.delete(path)
+        }
+        await files.removeItem(path)
+      }
+    },
+  }
+}
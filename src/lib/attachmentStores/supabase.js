@@ -0,0 +1,37 @@
+import { supabase } from '../supabase'
+
+// Files in the private 'attachments' bucket (migration 032), read through
+// signed URLs that expire after an hour.
+
+const BUCKET = 'attachments'
+const URL_TTL_SECONDS = 60 * 60
+
+export function createSupabaseAttachmentStore() {
+  const bucket = () => supabase.storage.from(BUCKET)
+
+  return {
+    name: 'Supabase Storage',
+
+    async upload(path, blob, contentType) {
+      const { error } = await bucket().upload(path, blob, { contentType, upsert: false })
+      if (error) throw error
+    },
+
+    async copy(fromPath, toPath) {
+      const { error } = await bucket().copy(fromPath, toPath)
+      if (error) throw error
+    },
+
+    async getUrl(path) {
+      const { data, error } = await bucket().createSignedUrl(path, URL_TTL_SECONDS)
+      if (error) throw error
+      return data.signedUrl
+    },
+
+    async remove(paths) {
+      if (!paths.length) return
+      const { error } = await bucket().remove(paths)
+      if (error) throw error
+    },
+  }
+}
@@ -0,0 +1,23 @@
+import fixtureRates from './fixtureRates.json'
+
+// A provider that answers from data in hand instead of the network: the
+// bundled fixtureRates.json by default (replace it with your own rates for an
+// air-gapped install), or whatever days a caller passes in.
+
+/**
+ * @param {Array<{ date: string, base: string, rates: Object }>} [days] -
+ *   defaults to fixtureRates.json
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ */
+export function createFixtureRateProvider(days = fixtureRates.days, { name = 'Local rates file' } = {}) {
+  const sorted = [...(days || [])].sort((a, b) => a.date.localeCompare(b.date))
+  return {
+    name,
+    async getRates() {
+      const latest = sorted[sorted.length - 1]
+      if (!latest) throw new Error('The local rates file has no rates')
+      return { date: latest.date, base: latest.base, rates: { ...latest.rates } }
+    },
+  }
+}
@@ -0,0 +1,84 @@
+// HTTP rate providers: the ECB's daily reference rates (XML), or any JSON
+// endpoint answering like Frankfurter or exchangerate.host.
+
+const TIMEOUT_MS = 15000
+
+/**
+ * Read the ECB's eurofxref XML: one `<Cube time>` holding a
+ * `<Cube currency rate>` per currency, all against the euro.
+ *
+ * @param {string} xml
+ * @returns {{ date: string, base: string, rates: Object }}
+ */
+export function parseEcbXml(xml) {
+  const date = (xml || '').match(/<Cube\s+time=["'](\d{4}-\d{2}-\d{2})["']/)?.[1]
+  const rates = {}
+  const pattern = /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([\d.]+)["']/g
+  let match
+  while ((match = pattern.exec(xml || '')) !== null) {
+    rates[match[1]] = parseFloat(match[2])
+  }
+  if (!date || Object.keys(rates).length === 0) {
+    throw new Error('The rate source did not return ECB reference rates')
+  }
+  return { date, base: 'EUR', rates }
+}
+
+/**
+ * Read a JSON rates answer: `{ base, date, rates: { CODE: number } }`.
+ * `base_code`/`time_last_update_utc` (open.er-api.com) are accepted too.
+ *
+ * @param {Object} body
+ * @returns {{ date: string, base: string, rates: Object }}
+ */
+export function parseJsonRates(body) {
+  const base = String(body?.base || body?.base_code || '').toUpperCase()
+  const rawDate = body?.date || body?.time_last_update_utc
+  const parsed = rawDate ? new Date(rawDate) : null
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(rawDate || '')
+    ? rawDate
+    : parsed && !Number.isNaN(parsed.getTime())
+    ? parsed.toISOString().slice(0, 10)
+    : null
+  const rates = {}
+  Object.entries(body?.rates || body?.conversion_rates || {}).forEach(([code, value]) => {
+    const rate = Number(value)
+    if (/^[A-Z]{3}$/.test(code) && rate > 0) rates[code] = rate
+  })
+  if (!/^[A-Z]{3}$/.test(base) || !date || Object.keys(rates).length === 0) {
+    throw new Error('The rate source did not return a base, a date and rates')
+  }
+  return { date, base, rates }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {'ecb'|'json'} options.format
+ * @param {string} [options.name] - shown as the rates' description
+ */
+export function createHttpRateProvider({ url, format, name }) {
+  return {
+    name: name || new URL(url, 'http://localhost').hostname,
+    async getRates() {
+      const controller = new AbortController()
+      const timer = setTimeout(() => controller.abort(), TIMEOUT_MS)
+      try {
+        const response = await fetch(url, { signal: controller.signal })
+        if (!response.ok) {
+          throw new Error(`The rate source answered ${response.status}`)
+        }
+        return format === 'ecb'
+          ? parseEcbXml(await response.text())
+          : parseJsonRates(await response.json())
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error('The rate source took too long to answer')
+        }
+        throw error
+      } finally {
+        clearTimeout(timer)
+      }
+    },
+  }
+}
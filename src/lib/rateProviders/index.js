@@ -0,0 +1,52 @@
+import { createHttpRateProvider } from './http'
+import { createFixtureRateProvider } from './fixture'
+
+/**
+ * Exchange rate providers: where daily market rates come from, behind one
+ * interface so src/lib/api/exchangeRates.js doesn't care which is in use.
+ *
+ * A provider is `{ name, getRates() }`, where getRates resolves to the latest
+ * published day:
+ *   { date: 'YYYY-MM-DD', base: 'EUR', rates: { USD: 1.0842, ... } }
+ * meaning 1 base buys `rates[X]` of X. The base itself may be left out.
+ *
+ * The user picks one in Settings (RateProvider, plus RateProviderURL for the
+ * HTTP ones); none is picked by default.
+ */
+
+// The ECB sends no CORS headers, so the browser reads its daily XML through
+// the ecb-rates edge function, or through VITE_ECB_RATES_URL when that's set
+export const ECB_RATES_URL =
+  import.meta.env.VITE_ECB_RATES_URL ||
+  `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/ecb-rates`
+
+export const RATE_PROVIDER_OPTIONS = [
+  { value: '', label: 'None' },
+  { value: 'ecb', label: 'ECB reference rates (XML)', needsUrl: false },
+  { value: 'json', label: 'JSON rates endpoint', needsUrl: true },
+  { value: 'fixture', label: 'Local rates file (offline)', needsUrl: false },
+]
+
+/**
+ * The provider for a Settings choice, or null for none (or an HTTP provider
+ * that needs a URL it wasn't given).
+ *
+ * @param {Object} config
+ * @param {string} [config.type] - a RATE_PROVIDER_OPTIONS value
+ * @param {string} [config.url] - endpoint for 'json'; overrides ECB's for 'ecb'
+ * @returns {{ name: string, getRates: () => Promise<Object> }|null}
+ */
+export function createRateProvider({ type, url } = {}) {
+  switch (type) {
+    case 'ecb':
+      return createHttpRateProvider({ url: url || ECB_RATES_URL, format: 'ecb', name: 'ECB' })
+    case 'json':
+      return url ? createHttpRateProvider({ url, format: 'json' }) : null
+    case 'fixture':
+      return createFixtureRateProvider()
+    default:
+      return null
+  }
+}
+
+export { createHttpRateProvider, createFixtureRateProvider }
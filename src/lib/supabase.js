@@ -39,6 +39,27 @@ export const supabase = createClient(
   }
 )
 
+/**
+ * A client whose session stays its own: not stored, not refreshed, and never
+ * replacing the signed-in one. For checking credentials (the current password
+ * before a change) without dropping the main session back to aal1.
+ */
+export function createIsolatedClient() {
+  return createClient(
+    supabaseUrl || 'https://placeholder.supabase.co',
+    supabaseAnonKey || 'placeholder-anon-key',
+    {
+      global: { fetch: fetchWithTimeout },
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false,
+        storageKey: 'credential-check',
+      },
+    }
+  )
+}
+
 // Helper function to generate IDs
 export function generateId(prefix) {
   const timestamp = Date.now()
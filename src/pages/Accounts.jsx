@@ -22,6 +22,7 @@ import {
   Collapse,
   Alert,
   CircularProgress,
+  Tooltip,
   useMediaQuery,
   useTheme,
 } from '@mui/material';
@@ -37,6 +38,9 @@ import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import PaymentsIcon from '@mui/icons-material/Payments';
 import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import ShowChartIcon from '@mui/icons-material/ShowChart';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
 import SwipeToReorder from '../components/common/SwipeToReorder';
 import {
   createAccount,
@@ -52,6 +56,14 @@ import EmptyState from '../components/common/EmptyState';
 import ErrorMessage from '../components/common/ErrorMessage';
 import ConfirmDeleteDialog from '../components/common/ConfirmDeleteDialog';
 import HeaderActionButton from '../components/common/HeaderActionButton';
+import ReconcileAccountDialog from '../components/common/ReconcileAccountDialog';
+import InvestmentHoldingsDialog from '../components/common/InvestmentHoldingsDialog';
+import CreditStatementDialog from '../components/common/CreditStatementDialog';
+import {
+  selectAccountMarketValues,
+  selectCreditCardStatuses,
+} from '../store/selectors';
+import { describeDue } from '../utils/creditStatements';
 import { formatCurrency, currencyLabel } from '../utils/currencyConversion';
 import { usePageRefresh } from '../hooks/usePageRefresh';
 import { getOutlinedStatusChipSx } from '../utils/chipStyles';
@@ -77,6 +89,10 @@ function Accounts() {
   const { accounts, loading, error } = useSelector((state) => state.accounts);
   const { settings } = useSelector((state) => state.settings);
   const { exchangeRates } = useSelector((state) => state.exchangeRates);
+  // Investment accounts' holdings at market value, in the account currency
+  const marketValues = useSelector(selectAccountMarketValues);
+  // Active credit accounts' statement, amount due and limit use
+  const creditStatuses = useSelector(selectCreditCardStatuses);
   const [openDialog, setOpenDialog] = useState(false);
   const [editingAccount, setEditingAccount] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -86,6 +102,9 @@ function Accounts() {
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
   const [isReordering, setIsReordering] = useState(false);
+  const [reconcilingAccount, setReconcilingAccount] = useState(null);
+  const [holdingsAccountId, setHoldingsAccountId] = useState(null);
+  const [statementAccountId, setStatementAccountId] = useState(null);
 
   // Auto-dismiss errors after 8 seconds
   useAutoDismissError(setActionError, actionError);
@@ -147,7 +166,9 @@ function Accounts() {
         }
         const group = groups.get(account.currency);
         group.accounts.push(account);
-        group.total += account.current_balance ?? account.opening_balance ?? 0;
+        group.total +=
+          (account.current_balance ?? account.opening_balance ?? 0) +
+          (marketValues.get(account.account_id) || 0);
       });
     return Array.from(groups.values()).map((group) => {
       const rate = rateToBase(group.currency);
@@ -156,7 +177,7 @@ function Accounts() {
         baseTotal: rate != null ? group.total * rate : null,
       };
     });
-  }, [sortedAccounts, rateToBase]);
+  }, [sortedAccounts, rateToBase, marketValues]);
 
   const inactiveAccounts = useMemo(
     () => sortedAccounts.filter((account) => account.status !== 'Active'),
@@ -178,6 +199,9 @@ function Accounts() {
       currency: 'USD',
       openingBalance: 0,
       status: 'Active',
+      creditLimit: '',
+      statementClosingDay: '',
+      paymentDueDay: '',
     },
   });
 
@@ -186,7 +210,7 @@ function Accounts() {
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['accounts', 'settings', 'exchangeRates'],
+    dataTypes: ['accounts', 'transactions', 'settings', 'exchangeRates', 'investments'],
     filters: {
       accounts: { status: 'Active' },
     },
@@ -206,7 +230,8 @@ function Accounts() {
       if (!currencyTotals[currency]) {
         currencyTotals[currency] = 0;
       }
-      currencyTotals[currency] += account.current_balance || 0;
+      currencyTotals[currency] +=
+        (account.current_balance || 0) + (marketValues.get(account.account_id) || 0);
     });
 
     const baseCurrency =
@@ -216,7 +241,8 @@ function Accounts() {
     // Create accounts array with conversions
     const accountBalancesArray = accounts.map((account) => {
       const currentBalance =
-        account.current_balance ?? account.opening_balance ?? 0;
+        (account.current_balance ?? account.opening_balance ?? 0) +
+        (marketValues.get(account.account_id) || 0);
 
       let convertedBalance = null;
       let exchangeRate = null;
@@ -277,7 +303,7 @@ function Accounts() {
       baseCurrency,
       accounts: accountBalancesArray,
     };
-  }, [accounts, settings, exchangeRates]);
+  }, [accounts, settings, exchangeRates, marketValues]);
 
   const handleOpenDialog = (account = null) => {
     if (account) {
@@ -289,6 +315,9 @@ function Accounts() {
         currency: account.currency,
         openingBalance: account.opening_balance,
         status: account.status,
+        creditLimit: account.credit_limit ?? '',
+        statementClosingDay: account.statement_closing_day ?? '',
+        paymentDueDay: account.payment_due_day ?? '',
       });
     } else {
       setEditingAccount(null);
@@ -298,6 +327,9 @@ function Accounts() {
         currency: 'USD',
         openingBalance: 0,
         status: 'Active',
+        creditLimit: '',
+        statementClosingDay: '',
+        paymentDueDay: '',
       });
     }
     setActionError(null);
@@ -317,16 +349,23 @@ function Accounts() {
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     setActionError(null);
+    // A cleared field comes back undefined; send null so the value is removed
+    const payload = {
+      ...data,
+      creditLimit: data.creditLimit ?? null,
+      statementClosingDay: data.statementClosingDay ?? null,
+      paymentDueDay: data.paymentDueDay ?? null,
+    };
     try {
       if (editingAccount) {
         await dispatch(
           updateAccount({
             accountId: editingAccount.account_id,
-            updates: data,
+            updates: payload,
           })
         ).unwrap();
       } else {
-        await dispatch(createAccount(data)).unwrap();
+        await dispatch(createAccount(payload)).unwrap();
         // Account is already added to state with balance calculated
         // No need to refetch - it will be included in next initialization
       }
@@ -503,8 +542,12 @@ function Accounts() {
             index = -1,
             showStatus = false
           ) => {
+            const marketValue = marketValues.get(account.account_id) || 0;
+            const creditStatus = creditStatuses.get(account.account_id);
+            const statement = creditStatus?.statement;
             const currentBalance =
-              account.current_balance ?? account.opening_balance ?? 0;
+              (account.current_balance ?? account.opening_balance ?? 0) +
+              marketValue;
             const meta =
               ACCOUNT_TYPE_META[account.type] || ACCOUNT_TYPE_META.Bank;
             const TypeIcon = meta.Icon;
@@ -603,8 +646,58 @@ function Accounts() {
                     }}
                   >
                     {account.type}
+                    {marketValue !== 0 &&
+                      ` · ${formatCurrency(marketValue, account.currency)} in holdings`}
+                    {creditStatus?.utilisation &&
+                      ` · ${Math.round(creditStatus.utilisation.percent)}% of limit`}
+                    {statement && statement.status !== 'paid' && (
+                      <Box
+                        component="span"
+                        sx={{
+                          color:
+                            statement.status === 'overdue'
+                              ? 'google.red'
+                              : statement.status === 'dueSoon'
+                              ? 'google.orange'
+                              : 'inherit',
+                        }}
+                      >
+                        {' · '}
+                        {describeDue(statement, account.currency)}
+                      </Box>
+                    )}
                   </Typography>
                 </Box>
+                {account.type === 'Investment' && !isInactive && (
+                  <Tooltip title="Holdings">
+                    <IconButton
+                      size="small"
+                      aria-label={`${account.name} holdings`}
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        setHoldingsAccountId(account.account_id);
+                      }}
+                      sx={{ color: 'text.secondary', flexShrink: 0 }}
+                    >
+                      <ShowChartIcon sx={{ fontSize: 18 }} />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {creditStatus && (
+                  <Tooltip title="Statements">
+                    <IconButton
+                      size="small"
+                      aria-label={`${account.name} statements`}
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        setStatementAccountId(account.account_id);
+                      }}
+                      sx={{ color: 'text.secondary', flexShrink: 0 }}
+                    >
+                      <ReceiptLongIcon sx={{ fontSize: 18 }} />
+                    </IconButton>
+                  </Tooltip>
+                )}
                 {/* Desktop-only hover reorder arrows */}
                 {canReorder && (
                   <Box
@@ -895,6 +988,45 @@ function Accounts() {
                   )}
                 </FormControl>
               </Grid>
+              {watchedType === 'Credit' && (
+                <>
+                  <Grid item xs={12} sm={4}>
+                    <TextField
+                      fullWidth
+                      type="number"
+                      label="Credit Limit"
+                      {...register('creditLimit', { valueAsNumber: true })}
+                      error={!!errors.creditLimit}
+                      helperText={errors.creditLimit?.message || 'Optional'}
+                      inputProps={{ step: '0.01', min: '0' }}
+                    />
+                  </Grid>
+                  <Grid item xs={6} sm={4}>
+                    <TextField
+                      fullWidth
+                      type="number"
+                      label="Statement Closes On"
+                      {...register('statementClosingDay', { valueAsNumber: true })}
+                      error={!!errors.statementClosingDay}
+                      helperText={
+                        errors.statementClosingDay?.message || 'Day of the month'
+                      }
+                      inputProps={{ step: '1', min: '1', max: '31' }}
+                    />
+                  </Grid>
+                  <Grid item xs={6} sm={4}>
+                    <TextField
+                      fullWidth
+                      type="number"
+                      label="Payment Due On"
+                      {...register('paymentDueDay', { valueAsNumber: true })}
+                      error={!!errors.paymentDueDay}
+                      helperText={errors.paymentDueDay?.message || 'Day of the month'}
+                      inputProps={{ step: '1', min: '1', max: '31' }}
+                    />
+                  </Grid>
+                </>
+              )}
               {editingAccount && (
                 <Grid item xs={12}>
                   <Alert severity="warning">
@@ -926,6 +1058,19 @@ function Accounts() {
                     Delete
                   </Button>
                 )}
+                {editingAccount && (
+                  <Button
+                    startIcon={<FactCheckIcon />}
+                    onClick={() => {
+                      const account = editingAccount;
+                      handleCloseDialog();
+                      setReconcilingAccount(account);
+                    }}
+                    disabled={isSubmitting}
+                  >
+                    Reconcile
+                  </Button>
+                )}
               </Box>
               <Box sx={{ display: 'flex', gap: 1 }}>
             <Button onClick={handleCloseDialog} disabled={isSubmitting}>
@@ -968,6 +1113,24 @@ function Accounts() {
         isDeleting={isDeleting}
         error={deleteError}
       />
+
+      <ReconcileAccountDialog
+        open={!!reconcilingAccount}
+        onClose={() => setReconcilingAccount(null)}
+        account={reconcilingAccount}
+      />
+
+      <CreditStatementDialog
+        open={!!statementAccountId}
+        onClose={() => setStatementAccountId(null)}
+        account={accounts.find((a) => a.account_id === statementAccountId) || null}
+      />
+
+      <InvestmentHoldingsDialog
+        open={!!holdingsAccountId}
+        onClose={() => setHoldingsAccountId(null)}
+        account={accounts.find((a) => a.account_id === holdingsAccountId) || null}
+      />
     </Box>
   );
 }
@@ -5,14 +5,60 @@ import { Container, Paper, Typography, Box, CircularProgress, Alert } from '@mui
 import { supabase } from '../lib/supabase'
 import { setUser, setSession } from '../store/slices/authSlice'
 
+// Where each flow lands once its session is set (see lib/api/auth.js);
+// signup confirmations carry no flow
+const DESTINATIONS = {
+  recovery: '/reset-password',
+  email_change: '/settings',
+}
+
+const WAITING_TEXT = {
+  recovery: ['Opening password reset...', 'Please wait while we check your link.'],
+  magiclink: ['Signing you in...', 'Please wait while we check your link.'],
+  oauth: ['Signing you in...', 'Please wait while we finish signing in.'],
+  email_change: ['Confirming your new email...', 'Please wait while we update your account.'],
+}
+const DEFAULT_WAITING_TEXT = ['Verifying your email...', 'Please wait while we confirm your account.']
+
 function AuthCallback() {
   const navigate = useNavigate()
   const dispatch = useDispatch()
   const [error, setError] = useState(null)
+  const flow = new URLSearchParams(window.location.search).get('flow')
+  const [title, subtitle] = WAITING_TEXT[flow] || DEFAULT_WAITING_TEXT
 
   useEffect(() => {
+    const searchParams = new URLSearchParams(window.location.search)
+    const hashParams = new URLSearchParams(window.location.hash.substring(1))
+    const destination = DESTINATIONS[searchParams.get('flow')] || '/dashboard'
+
+    const finish = (session) => {
+      dispatch(setUser(session.user))
+      dispatch(setSession(session))
+
+      // Small delay to ensure state is updated
+      setTimeout(() => {
+        navigate(destination, { replace: true })
+      }, 100)
+    }
+
+    const fail = (message) => {
+      setError(message)
+      setTimeout(() => {
+        navigate('/login', { replace: true })
+      }, 3000)
+    }
+
     const handleAuthCallback = async () => {
       try {
+        // Expired or already-used links come back with the reason instead of tokens
+        const linkError =
+          searchParams.get('error_description') || hashParams.get('error_description')
+        if (linkError) {
+          fail(linkError)
+          return
+        }
+
         // Get the session from the URL hash (Supabase redirects with tokens in hash)
         const { data, error: authError } = await supabase.auth.getSession()
 
@@ -21,55 +67,54 @@ function AuthCallback() {
         }
 
         if (data.session) {
-          // Successfully authenticated
-          dispatch(setUser(data.session.user))
-          dispatch(setSession(data.session))
-          
-          // Small delay to ensure state is updated
-          setTimeout(() => {
-            navigate('/dashboard', { replace: true })
-          }, 100)
-        } else {
-          // No session found, might need to exchange the token
-          // Check if we have an access_token in the URL hash
-          const hashParams = new URLSearchParams(window.location.hash.substring(1))
-          const accessToken = hashParams.get('access_token')
-          const refreshToken = hashParams.get('refresh_token')
-
-          if (accessToken && refreshToken) {
-            // Set the session manually
-            const { data: sessionData, error: setSessionError } = await supabase.auth.setSession({
-              access_token: accessToken,
-              refresh_token: refreshToken,
-            })
-
-            if (setSessionError) {
-              throw setSessionError
-            }
-
-            if (sessionData.session) {
-              dispatch(setUser(sessionData.session.user))
-              dispatch(setSession(sessionData.session))
-              
-              setTimeout(() => {
-                navigate('/dashboard', { replace: true })
-              }, 100)
-              return
-            }
+          finish(data.session)
+          return
+        }
+
+        // PKCE redirects (OAuth, depending on project settings) carry a code to
+        // trade for the session
+        const code = searchParams.get('code')
+        if (code) {
+          const { data: exchanged, error: exchangeError } =
+            await supabase.auth.exchangeCodeForSession(code)
+
+          if (exchangeError) {
+            throw exchangeError
           }
 
-          // If we still don't have a session, redirect to login
-          setError('Unable to verify your email. Please try signing in.')
-          setTimeout(() => {
-            navigate('/login', { replace: true })
-          }, 3000)
+          if (exchanged.session) {
+            finish(exchanged.session)
+            return
+          }
         }
+
+        // No session found, might need to exchange the token
+        // Check if we have an access_token in the URL hash
+        const accessToken = hashParams.get('access_token')
+        const refreshToken = hashParams.get('refresh_token')
+
+        if (accessToken && refreshToken) {
+          // Set the session manually
+          const { data: sessionData, error: setSessionError } = await supabase.auth.setSession({
+            access_token: accessToken,
+            refresh_token: refreshToken,
+          })
+
+          if (setSessionError) {
+            throw setSessionError
+          }
+
+          if (sessionData.session) {
+            finish(sessionData.session)
+            return
+          }
+        }
+
+        // If we still don't have a session, redirect to login
+        fail('Unable to verify your link. Please try signing in.')
       } catch (err) {
         console.error('Auth callback error:', err)
-        setError(err.message || 'An error occurred during authentication')
-        setTimeout(() => {
-          navigate('/login', { replace: true })
-        }, 3000)
+        fail(err.message || 'An error occurred during authentication')
       }
     }
 
@@ -109,10 +154,10 @@ function AuthCallback() {
             <>
               <CircularProgress size={48} sx={{ mb: 3 }} />
               <Typography component="h1" variant="h6" gutterBottom>
-                Verifying your email...
+                {title}
               </Typography>
               <Typography variant="body2" color="text.secondary">
-                Please wait while we confirm your account.
+                {subtitle}
               </Typography>
             </>
           )}
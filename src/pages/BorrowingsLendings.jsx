@@ -54,6 +54,7 @@ import ErrorMessage from '../components/common/ErrorMessage';
 import EmptyState from '../components/common/EmptyState';
 import ConfirmDeleteDialog from '../components/common/ConfirmDeleteDialog';
 import PageHeader from '../components/common/PageHeader';
+import CounterpartiesDialog from '../components/common/CounterpartiesDialog';
 import { parseEntityName } from '../utils/borrowingLendingParser';
 import HeaderActionButton from '../components/common/HeaderActionButton';
 import { usePageRefresh } from '../hooks/usePageRefresh';
@@ -61,8 +62,70 @@ import {
   formatCurrency,
   convertAmountWithExchangeRates,
 } from '../utils/currencyConversion';
+import {
+  AGING_BUCKETS,
+  INTEREST_TYPES,
+  UPCOMING_DAYS,
+  accruedInterest,
+  agingBucket,
+  buildMonthlyInstallments,
+  dueState,
+  nextDue,
+  normalizeInstallments,
+} from '../utils/borrowingLendingTerms';
 import { format, parseISO } from 'date-fns';
 
+const EMPTY_TERMS = {
+  dueDate: '',
+  installmentCount: '',
+  interestRate: '',
+  interestType: 'simple',
+};
+
+// Form values for a record's repayment terms. A schedule is shown as its
+// count, starting from the first instalment's date.
+function termsFormValues(record) {
+  const installments = normalizeInstallments(record?.installments);
+  return {
+    dueDate: installments[0]?.date || record?.due_date || '',
+    installmentCount: installments.length > 1 ? installments.length : '',
+    interestRate:
+      record?.interest_rate !== null && record?.interest_rate !== undefined
+        ? Number(record.interest_rate)
+        : '',
+    interestType: record?.interest_type || 'simple',
+  };
+}
+
+// The API's terms fields from the form: two or more instalments become a
+// monthly schedule of the amount from the chosen date
+function termsFromForm(data, amount) {
+  const count = parseInt(data.installmentCount, 10);
+  const installments =
+    count > 1 && data.dueDate
+      ? buildMonthlyInstallments(amount, count, data.dueDate)
+      : [];
+  const rate = data.interestRate === '' || data.interestRate === undefined
+    ? null
+    : Number(data.interestRate);
+  return {
+    dueDate: data.dueDate || null,
+    installments,
+    interestRate: rate,
+    interestType: data.interestType || 'simple',
+  };
+}
+
+// "in 3 days" / "today" / "5 days overdue"
+function describeDue(due) {
+  if (due.days < 0) {
+    return `${-due.days} day${due.days === -1 ? '' : 's'} overdue`;
+  }
+  if (due.days === 0) return 'due today';
+  if (due.days === 1) return 'due tomorrow';
+  return `due in ${due.days} days`;
+}
+
 function BorrowingsLendings() {
   const dispatch = useDispatch();
   const theme = useTheme();
@@ -88,6 +151,8 @@ function BorrowingsLendings() {
   const [deleteError, setDeleteError] = useState(null);
   const [isMarkingPaid, setIsMarkingPaid] = useState(null);
   const [filtersOpen, setFiltersOpen] = useState(false);
+  // null: closed; '' : the people list; an id: that person's ledger
+  const [peopleDialog, setPeopleDialog] = useState(null);
   const [filters, setFilters] = useState({
     type: '',
     status: '',
@@ -108,6 +173,7 @@ function BorrowingsLendings() {
       originalTransactionId: '',
       entityName: '',
       notes: '',
+      ...EMPTY_TERMS,
     },
   });
 
@@ -135,6 +201,7 @@ function BorrowingsLendings() {
       entityName: '',
       notes: '',
       status: 'Active',
+      ...EMPTY_TERMS,
     },
   });
 
@@ -155,7 +222,7 @@ function BorrowingsLendings() {
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['borrowingsLendings', 'transactions'],
+    dataTypes: ['borrowingsLendings', 'transactions', 'counterparties'],
   });
 
   // Refresh borrowing/lending records when transactions change (for auto-created records)
@@ -179,6 +246,10 @@ function BorrowingsLendings() {
     }
   }, [dispatch, isInitialized, allTransactions.length]);
 
+  const selectedTransaction = allTransactions.find(
+    (txn) => txn.transaction_id === watchedTransactionId
+  );
+
   // Auto-fill entity name and amount from transaction
   useEffect(() => {
     if (watchedTransactionId) {
@@ -243,24 +314,52 @@ function BorrowingsLendings() {
     [filteredRecords]
   );
 
+  // Active records with a repayment overdue or due within UPCOMING_DAYS,
+  // longest overdue first
+  const dueRecords = useMemo(
+    () =>
+      activeRecords
+        .map((record) => ({ record, due: dueState(record) }))
+        .filter(({ due }) => due.state)
+        .sort((a, b) => a.due.days - b.due.days),
+    [activeRecords]
+  );
+
+  // Interest accrues from the day the money changed hands: the original
+  // transaction's date, or when the record was made if it isn't loaded
+  const transactionDates = useMemo(
+    () => new Map(allTransactions.map((txn) => [txn.transaction_id, txn.date])),
+    [allTransactions]
+  );
+  const interestOn = (record) =>
+    accruedInterest(
+      record,
+      transactionDates.get(record.original_transaction_id) || record.created_at
+    );
+
   // Calculate summary from filtered records
   const calculatedSummary = useMemo(() => {
     const baseCurrency =
       settings.find((s) => s.setting_key === 'BaseCurrency')?.setting_value ||
       'USD';
 
+    const emptyAging = () =>
+      Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, 0]));
+
     const calcSummary = {
       borrowing: {
         total: 0,
         paid: 0,
         remaining: 0,
         count: 0,
+        aging: emptyAging(),
       },
       lending: {
         total: 0,
         paid: 0,
         remaining: 0,
         count: 0,
+        aging: emptyAging(),
       },
       baseCurrency,
     };
@@ -301,17 +400,28 @@ function BorrowingsLendings() {
       calcSummary[type].remaining +=
         convertedRemaining !== null ? convertedRemaining : remainingAmount;
       calcSummary[type].count += 1;
+      // What active records still owe, by how long it's been past due
+      if (record.status === 'Active') {
+        calcSummary[type].aging[agingBucket(record)] +=
+          convertedRemaining !== null ? convertedRemaining : remainingAmount;
+      }
     });
 
     return calcSummary;
   }, [filteredRecords, settings, exchangeRates]);
 
+  // The person's ledger, from their name on a row ('Unknown' has none)
+  const openLedger = (record) => {
+    if (record.counterparty_id) setPeopleDialog(record.counterparty_id);
+  };
+
   const handleOpenDialog = () => {
     resetCreate({
       type: 'Borrowing',
       originalTransactionId: '',
       entityName: '',
       notes: '',
+      ...EMPTY_TERMS,
     });
     setCreateError(null);
     setIsSubmitting(false);
@@ -334,6 +444,7 @@ function BorrowingsLendings() {
       entityName: record.entity_name,
       notes: record.notes || '',
       status: record.status,
+      ...termsFormValues(record),
     });
     setEditError(null);
     setIsEditing(false);
@@ -352,7 +463,8 @@ function BorrowingsLendings() {
   const handleOpenPaymentDialog = (record) => {
     setPaymentDialog(record);
     resetPayment({
-      amount: '',
+      // Start from the instalment (or amount) due, when there is one
+      amount: nextDue(record)?.amount || '',
       notes: '',
     });
   };
@@ -385,6 +497,7 @@ function BorrowingsLendings() {
         originalAmount: Math.abs(transaction.amount),
         currency: transaction.currency,
         notes: data.notes || '',
+        ...termsFromForm(data, Math.abs(transaction.amount)),
       };
 
       await dispatch(createBorrowingLendingRecord(recordData)).unwrap();
@@ -415,6 +528,7 @@ function BorrowingsLendings() {
             entityName: data.entityName,
             notes: data.notes || '',
             status: data.status,
+            ...termsFromForm(data, parseFloat(editingRecord.original_amount)),
           },
         })
       ).unwrap();
@@ -566,6 +680,108 @@ function BorrowingsLendings() {
     };
   };
 
+  // Past-due amounts by aging bucket (current is left out), or nothing
+  const renderAging = (aging) => {
+    const pastDue = AGING_BUCKETS.filter(
+      ({ key }) => key !== 'current' && aging[key] > 0
+    );
+    if (pastDue.length === 0) return null;
+    return (
+      <Typography
+        noWrap
+        variant="caption"
+        sx={{ fontSize: { xs: '0.625rem', md: '0.75rem' }, color: 'warning.main', display: 'block' }}
+      >
+        Past due:{' '}
+        {pastDue
+          .map(
+            ({ key, label }) =>
+              `${label} ${formatCurrency(aging[key], calculatedSummary.baseCurrency)}`
+          )
+          .join(' · ')}
+      </Typography>
+    );
+  };
+
+  // Due date, instalments and interest, shared by the create and edit forms
+  const renderTermsFields = ({ register, watch, setValue, errors }, amount, currency) => {
+    const count = parseInt(watch('installmentCount'), 10);
+    const dueDate = watch('dueDate');
+    const schedule =
+      count > 1 && dueDate ? buildMonthlyInstallments(amount, count, dueDate) : [];
+    return (
+      <>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            type="date"
+            label={count > 1 ? 'First instalment' : 'Due date'}
+            {...register('dueDate', {
+              validate: (value) =>
+                !(parseInt(watch('installmentCount'), 10) > 1) ||
+                !!value ||
+                'Pick the first instalment date',
+            })}
+            error={!!errors.dueDate}
+            helperText={errors.dueDate?.message}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            type="number"
+            label="Instalments"
+            {...register('installmentCount', {
+              min: { value: 1, message: 'At least 1' },
+              max: { value: 120, message: 'At most 120' },
+            })}
+            error={!!errors.installmentCount}
+            helperText={
+              errors.installmentCount?.message ||
+              (schedule.length > 0
+                ? `${formatCurrency(schedule[0].amount, currency)} monthly to ${format(
+                    parseISO(schedule[schedule.length - 1].date),
+                    'MMM d, yyyy'
+                  )}`
+                : 'Monthly, optional')
+            }
+            inputProps={{ step: 1, min: 1 }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            type="number"
+            label="Interest % a year"
+            {...register('interestRate', {
+              min: { value: 0, message: 'Cannot be negative' },
+            })}
+            error={!!errors.interestRate}
+            helperText={errors.interestRate?.message || 'Optional'}
+            inputProps={{ step: 'any', min: 0 }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            select
+            fullWidth
+            label="Interest"
+            value={watch('interestType') || 'simple'}
+            onChange={(e) => setValue('interestType', e.target.value)}
+            disabled={!(Number(watch('interestRate')) > 0)}
+          >
+            {INTEREST_TYPES.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+      </>
+    );
+  };
+
   // Get available transactions for creating records (filtered by type, not already used)
   const getAvailableTransactions = () => {
     const usedTransactionIds = new Set(
@@ -616,6 +832,12 @@ function BorrowingsLendings() {
               flexShrink: 0,
             }}
           >
+            <HeaderActionButton
+              variant="secondary"
+              label="People"
+              icon={<PeopleIcon sx={{ fontSize: 20 }} />}
+              onClick={() => setPeopleDialog('')}
+            />
             <HeaderActionButton
               variant="secondary"
               label="Filters"
@@ -669,6 +891,7 @@ function BorrowingsLendings() {
                 >
                   of {formatCurrency(calculatedSummary.borrowing.total, calculatedSummary.baseCurrency)} · {calculatedSummary.borrowing.count} record{calculatedSummary.borrowing.count !== 1 ? 's' : ''}
                 </Typography>
+                {renderAging(calculatedSummary.borrowing.aging)}
               </Box>
             )}
             {calculatedSummary.borrowing.count > 0 &&
@@ -700,6 +923,7 @@ function BorrowingsLendings() {
                 >
                   of {formatCurrency(calculatedSummary.lending.total, calculatedSummary.baseCurrency)} · {calculatedSummary.lending.count} record{calculatedSummary.lending.count !== 1 ? 's' : ''}
                 </Typography>
+                {renderAging(calculatedSummary.lending.aging)}
               </Box>
             )}
         </Box>
@@ -820,6 +1044,8 @@ function BorrowingsLendings() {
             const remainingAmount = parseFloat(record.remaining_amount || 0);
             const percentage =
               originalAmount > 0 ? (paidAmount / originalAmount) * 100 : 0;
+            const due = dueState(record);
+            const interest = interestOn(record);
 
             return (
               <Box
@@ -849,7 +1075,13 @@ function BorrowingsLendings() {
                   >
                     <Typography
                       noWrap
-                      sx={{ fontSize: '0.9375rem', fontWeight: 500, minWidth: 0 }}
+                      onClick={() => openLedger(record)}
+                      sx={{
+                        fontSize: '0.9375rem',
+                        fontWeight: 500,
+                        minWidth: 0,
+                        cursor: record.counterparty_id ? 'pointer' : 'default',
+                      }}
                     >
                       {record.entity_name}
                     </Typography>
@@ -900,6 +1132,25 @@ function BorrowingsLendings() {
                     {formatCurrency(paidAmount, record.currency)} paid of{' '}
                     {formatCurrency(originalAmount, record.currency)} ·{' '}
                     {percentage.toFixed(0)}%
+                    {due.date && (
+                      <Box
+                        component="span"
+                        sx={{
+                          color:
+                            due.state === 'overdue'
+                              ? 'google.red'
+                              : due.state === 'upcoming'
+                              ? 'warning.main'
+                              : 'inherit',
+                        }}
+                      >
+                        {' '}
+                        · {formatCurrency(due.amount, record.currency)}{' '}
+                        {due.state
+                          ? describeDue(due)
+                          : `due ${format(parseISO(due.date), 'MMM d')}`}
+                      </Box>
+                    )}
                   </Typography>
                   <Box sx={{ display: 'flex', flexShrink: 0 }}>
                     {remainingAmount > 0 && (
@@ -957,6 +1208,19 @@ function BorrowingsLendings() {
                   </Box>
                 </Box>
 
+                {interest > 0 && (
+                  <Typography
+                    variant="caption"
+                    color="text.secondary"
+                    noWrap
+                    sx={{ fontSize: '0.6875rem', display: 'block' }}
+                  >
+                    + {formatCurrency(interest, record.currency)} interest so far (
+                    {Number(record.interest_rate)}%{' '}
+                    {record.interest_type === 'compound' ? 'compound' : 'simple'})
+                  </Typography>
+                )}
+
                 {record.notes && (
                   <Typography
                     variant="caption"
@@ -971,6 +1235,51 @@ function BorrowingsLendings() {
             );
           };
 
+          // Overdue or due soon: who, how much, and when
+          const renderDueRow = ({ record, due }) => (
+            <Box
+              key={record.record_id}
+              onClick={() => handleOpenPaymentDialog(record)}
+              sx={{
+                py: 1,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: 1,
+                borderBottom: '1px solid',
+                borderColor: 'divider',
+                cursor: 'pointer',
+                WebkitTapHighlightColor: 'transparent',
+                '&:active': { backgroundColor: 'action.hover' },
+                '@media (hover: hover)': {
+                  '&:hover': { backgroundColor: 'action.hover' },
+                },
+              }}
+            >
+              <Box sx={{ minWidth: 0, flex: 1 }}>
+                <Typography noWrap sx={{ fontSize: '0.875rem', fontWeight: 500 }}>
+                  {record.type === 'Lending'
+                    ? `${record.entity_name} owes you`
+                    : `You owe ${record.entity_name}`}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  noWrap
+                  sx={{
+                    fontSize: '0.6875rem',
+                    display: 'block',
+                    color: due.state === 'overdue' ? 'google.red' : 'warning.main',
+                  }}
+                >
+                  {format(parseISO(due.date), 'MMM d')} · {describeDue(due)}
+                </Typography>
+              </Box>
+              <Typography sx={{ fontSize: '0.875rem', fontWeight: 600, flexShrink: 0 }}>
+                {formatCurrency(due.amount, record.currency)}
+              </Typography>
+            </Box>
+          );
+
           // Compact, muted log row for a settled (FullyPaid / Cancelled) record
           const renderHistoryRow = (record) => {
             const originalAmount = parseFloat(record.original_amount || 0);
@@ -1005,10 +1314,12 @@ function BorrowingsLendings() {
                 >
                   <Typography
                     noWrap
+                    onClick={() => openLedger(record)}
                     sx={{
                       fontSize: '0.8125rem',
                       color: 'text.secondary',
                       minWidth: 0,
+                      cursor: record.counterparty_id ? 'pointer' : 'default',
                     }}
                   >
                     {record.entity_name}
@@ -1045,6 +1356,24 @@ function BorrowingsLendings() {
 
           return (
             <Box>
+              {dueRecords.length > 0 && (
+                <Box sx={{ mb: 3 }}>
+                  <Typography
+                    sx={{
+                      fontSize: '0.6875rem',
+                      fontWeight: 600,
+                      letterSpacing: 0.6,
+                      textTransform: 'uppercase',
+                      color: 'text.secondary',
+                      mb: 0.5,
+                    }}
+                  >
+                    Overdue & next {UPCOMING_DAYS} days
+                  </Typography>
+                  {dueRecords.map(renderDueRow)}
+                </Box>
+              )}
+
               {activeRecords.length > 0 && (
                 <Box sx={{ mb: historyRecords.length > 0 ? 3 : 0 }}>
                   <Typography
@@ -1204,6 +1533,16 @@ function BorrowingsLendings() {
                   helperText={errorsCreate.entityName?.message}
                 />
               </Grid>
+              {renderTermsFields(
+                {
+                  register: registerCreate,
+                  watch: watchCreate,
+                  setValue: setValueCreate,
+                  errors: errorsCreate,
+                },
+                Math.abs(selectedTransaction?.amount || 0),
+                selectedTransaction?.currency
+              )}
               <Grid item xs={12}>
                 <TextField
                   fullWidth
@@ -1285,6 +1624,17 @@ function BorrowingsLendings() {
                   )}
                 </FormControl>
               </Grid>
+              {editingRecord?.status === 'Active' &&
+                renderTermsFields(
+                  {
+                    register: registerEdit,
+                    watch: watchEdit,
+                    setValue: setValueEdit,
+                    errors: errorsEdit,
+                  },
+                  parseFloat(editingRecord.original_amount),
+                  editingRecord.currency
+                )}
               <Grid item xs={12}>
                 <TextField
                   fullWidth
@@ -1410,6 +1760,12 @@ function BorrowingsLendings() {
         </form>
       </Dialog>
 
+      <CounterpartiesDialog
+        open={peopleDialog !== null}
+        onClose={() => setPeopleDialog(null)}
+        initialCounterpartyId={peopleDialog || null}
+      />
+
       {/* Delete Confirmation Dialog */}
       <ConfirmDeleteDialog
         open={!!deleteConfirm}
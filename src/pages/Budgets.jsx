@@ -34,7 +34,23 @@ import BudgetDialog from '../components/common/BudgetDialog';
 import SummaryTiles from '../components/common/SummaryTiles';
 import PageHeader from '../components/common/PageHeader';
 import HeaderActionButton from '../components/common/HeaderActionButton';
-import { budgetAppliesToMonth } from '../utils/budgetMatching';
+import {
+  budgetAppliesToMonth,
+  findBudgetsForCategoryMonth,
+} from '../utils/budgetMatching';
+import {
+  rollsOver,
+  rolloverMonths,
+  carryForward,
+} from '../utils/budgetRollover';
+import {
+  BUDGET_PERIOD_UNITS,
+  isMonthlyBudget,
+  periodWindow,
+  periodLabel,
+  budgetPeriodsInRange,
+  referenceDateForMonth,
+} from '../utils/budgetPeriods';
 import { getStatusChipSx } from '../utils/chipStyles';
 import { usePageRefresh } from '../hooks/usePageRefresh';
 import {
@@ -72,6 +88,8 @@ function Budgets() {
     status: 'Active',
   });
   const [expandedParents, setExpandedParents] = useState(new Set());
+  // Budget whose rollover history is open under its row
+  const [carryHistoryFor, setCarryHistoryFor] = useState(null);
 
   // Refresh data on navigation
   usePageRefresh({
@@ -90,6 +108,13 @@ function Budgets() {
     const category = categoryMap.get(budget.category_id);
     const isIncome = category?.type === 'Income';
 
+    // A weekly, quarterly, yearly or custom budget is measured over its own
+    // period: the one the viewed month stands on
+    const window =
+      forMonth && !isMonthlyBudget(budget)
+        ? periodWindow(budget, referenceDateForMonth(forMonth))
+        : null;
+
     // For recurring budgets with forMonth, use that month for filtering
     // For non-recurring or when forMonth is not specified, use budget's own month
     let targetMonth;
@@ -141,6 +166,10 @@ function Budgets() {
 
       const txnDate = parseISO(txn.date);
 
+      if (window) {
+        return txnDate >= window.start && txnDate <= window.end;
+      }
+
       // Check date range based on budget type
       if (budget.recurring) {
         // For recurring budgets, check if transaction is within the target month
@@ -220,6 +249,42 @@ function Budgets() {
     return filtered;
   }, [budgets, selectedMonth, filters]);
 
+  // Rollover carry into the selected month for each rolling budget shown, in
+  // the budget's currency and measured the way this page measures spending
+  const carriesByBudgetId = useMemo(() => {
+    const carries = new Map();
+    filteredBudgets.forEach((budget) => {
+      if (!rollsOver(budget) || budget.status !== 'Active') return;
+      const sameCurrency = (b) => b.currency === budget.currency;
+      const months = rolloverMonths(
+        budgets,
+        budget.category_id,
+        selectedMonth,
+        sameCurrency
+      );
+      if (months.length === 0) return;
+      carries.set(
+        budget.budget_id,
+        carryForward(
+          months,
+          (month) =>
+            findBudgetsForCategoryMonth(budgets, budget.category_id, month)
+              .filter((b) => sameCurrency(b) && isMonthlyBudget(b))
+              .reduce((sum, b) => sum + parseFloat(b.amount || 0), 0),
+          // The month on its own, as a one-time budget would see it
+          (month) =>
+            calculateActualAmount({
+              ...budget,
+              recurring: false,
+              month: `${month}-06`,
+            })
+        )
+      );
+    });
+    return carries;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filteredBudgets, budgets, allTransactions, categoryMap, selectedMonth]);
+
   // Calculate budget statistics for both income and expense budgets
   const budgetStats = useMemo(() => {
     const baseCurrency =
@@ -254,9 +319,26 @@ function Budgets() {
       const targetStats = isIncome ? stats.income : stats.expense;
 
       // Pass selectedMonth to get actual amount for the selected month (important for recurring budgets)
-      const actualAmount = calculateActualAmount(budget, selectedMonth);
-      const budgetAmount = parseFloat(budget.amount || 0);
-      const remaining = budgetAmount - actualAmount;
+      let actualAmount = calculateActualAmount(budget, selectedMonth);
+      let budgetAmount = parseFloat(budget.amount || 0);
+      // The tiles are for the month: a budget with another period counts its
+      // share of the month (as Reports does) against the month's spending
+      if (!isMonthlyBudget(budget)) {
+        const monthStart = parseISO(`${selectedMonth}-01`);
+        budgetAmount *= budgetPeriodsInRange(
+          budget,
+          startOfMonth(monthStart),
+          endOfMonth(monthStart)
+        );
+        actualAmount = calculateActualAmount({
+          ...budget,
+          period: 'monthly',
+          recurring: false,
+          month: `${selectedMonth}-06`,
+        });
+      }
+      const carryIn = carriesByBudgetId.get(budget.budget_id)?.carryIn || 0;
+      const remaining = budgetAmount + carryIn - actualAmount;
       const budgetCurrency = budget.currency || 'USD';
 
       // Convert amounts to base currency
@@ -272,9 +354,17 @@ function Budgets() {
         baseCurrency,
         exchangeRates
       );
+      const convertedCarryIn = convertAmountWithExchangeRates(
+        carryIn,
+        budgetCurrency,
+        baseCurrency,
+        exchangeRates
+      );
       const convertedRemaining =
-        convertedBudgetAmount !== null && convertedActualAmount !== null
-          ? convertedBudgetAmount - convertedActualAmount
+        convertedBudgetAmount !== null &&
+        convertedActualAmount !== null &&
+        convertedCarryIn !== null
+          ? convertedBudgetAmount + convertedCarryIn - convertedActualAmount
           : remaining;
 
       // Use converted amounts if available, otherwise use original
@@ -293,6 +383,7 @@ function Budgets() {
     exchangeRates,
     categoryMap,
     selectedMonth,
+    carriesByBudgetId,
   ]);
 
   const handleOpenDialog = (budget = null) => {
@@ -680,9 +771,23 @@ function Budgets() {
             const isIncome = category?.type === 'Income';
             const actualAmount = calculateActualAmount(budget, selectedMonth);
             const budgetAmount = parseFloat(budget.amount || 0);
+            const carry = carriesByBudgetId.get(budget.budget_id);
+            const carryIn = carry?.carryIn || 0;
+            // What this month can spend: its budget plus anything rolled over
+            const limit = budgetAmount + carryIn;
             const percentage =
-              budgetAmount > 0 ? (actualAmount / budgetAmount) * 100 : 0;
-            const remaining = budgetAmount - actualAmount;
+              limit > 0
+                ? (actualAmount / limit) * 100
+                : budgetAmount > 0
+                ? (1 + (actualAmount - limit) / budgetAmount) * 100
+                : 0;
+            const remaining = limit - actualAmount;
+            const historyOpen = carryHistoryFor === budget.budget_id;
+            // The week, quarter, year or range being measured, for a budget
+            // that isn't monthly
+            const window = isMonthlyBudget(budget)
+              ? null
+              : periodWindow(budget, referenceDateForMonth(selectedMonth));
 
             const remainingColor = isIncome
               ? remaining <= 0
@@ -739,7 +844,13 @@ function Budgets() {
                       {getCategoryName(budget.category_id)}
                     </Typography>
                     {budget.recurring && (
-                      <Tooltip title="Recurring monthly">
+                      <Tooltip
+                        title={
+                          budget.rollover
+                            ? 'Recurring monthly · rolls over'
+                            : 'Recurring monthly'
+                        }
+                      >
                         <AutorenewIcon
                           sx={{ fontSize: 13, color: 'text.disabled', flexShrink: 0 }}
                         />
@@ -790,10 +901,101 @@ function Budgets() {
                     noWrap
                     sx={{ fontSize: '0.6875rem', color: 'text.secondary', minWidth: 0 }}
                   >
-                    of {formatCurrency(budgetAmount, budget.currency)} ·{' '}
-                    {percentage.toFixed(0)}%
+                    of {formatCurrency(budgetAmount, budget.currency)}
+                    {window &&
+                      `${
+                        window.period === 'custom'
+                          ? ''
+                          : ` per ${BUDGET_PERIOD_UNITS[window.period]}`
+                      } · ${periodLabel(window)}`}{' '}
+                    · {percentage.toFixed(0)}%
                   </Typography>
                 </Box>
+                {carry && (
+                  <Box
+                    component="button"
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setCarryHistoryFor(historyOpen ? null : budget.budget_id);
+                    }}
+                    sx={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 0.25,
+                      mt: 0.25,
+                      p: 0,
+                      border: 0,
+                      background: 'none',
+                      cursor: 'pointer',
+                      color: carryIn < 0 ? 'google.red' : 'text.secondary',
+                      fontSize: '0.6875rem',
+                      fontFamily: 'inherit',
+                    }}
+                  >
+                    {historyOpen ? (
+                      <ExpandMoreIcon sx={{ fontSize: 14 }} />
+                    ) : (
+                      <ChevronRightIcon sx={{ fontSize: 14 }} />
+                    )}
+                    {carryIn < 0 ? 'Overspend carried in' : 'Carried in'}:{' '}
+                    {carryIn < 0 ? '−' : '+'}
+                    {formatCurrency(Math.abs(carryIn), budget.currency)}
+                  </Box>
+                )}
+                {carry && (
+                  <Collapse in={historyOpen} unmountOnExit>
+                    <Box
+                      onClick={(e) => e.stopPropagation()}
+                      sx={{ mt: 0.5, pl: 2 }}
+                    >
+                      {carry.history
+                        .slice()
+                        .reverse()
+                        .map((entry) => (
+                          <Box
+                            key={entry.month}
+                            sx={{
+                              display: 'flex',
+                              justifyContent: 'space-between',
+                              gap: 1,
+                            }}
+                          >
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                              sx={{ fontSize: '0.6875rem' }}
+                            >
+                              {format(parseISO(`${entry.month}-01`), 'MMM yyyy')}{' '}
+                              · spent{' '}
+                              {formatCurrency(entry.spent, budget.currency)} of{' '}
+                              {formatCurrency(
+                                entry.budget + entry.carryIn,
+                                budget.currency
+                              )}
+                            </Typography>
+                            <Typography
+                              variant="caption"
+                              sx={{
+                                fontSize: '0.6875rem',
+                                fontWeight: 500,
+                                color:
+                                  entry.available < 0
+                                    ? 'google.red'
+                                    : 'text.secondary',
+                              }}
+                            >
+                              {entry.available < 0 ? '−' : '+'}
+                              {formatCurrency(
+                                Math.abs(entry.available),
+                                budget.currency
+                              )}
+                            </Typography>
+                          </Box>
+                        ))}
+                    </Box>
+                  </Collapse>
+                )}
                 {budget.notes && (
                   <Typography
                     variant="caption"
@@ -29,6 +29,7 @@ import {
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
+import CallMergeIcon from '@mui/icons-material/CallMerge';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import ChevronRightIcon from '@mui/icons-material/ChevronRight';
 import CategoryIcon from '@mui/icons-material/Category';
@@ -44,6 +45,7 @@ import { CATEGORY_TYPES, CATEGORY_STATUSES } from '../lib/api/categories';
 import PageSkeleton from '../components/common/PageSkeleton';
 import ErrorMessage from '../components/common/ErrorMessage';
 import ConfirmDeleteDialog from '../components/common/ConfirmDeleteDialog';
+import MergeCategoryDialog from '../components/common/MergeCategoryDialog';
 import PageHeader from '../components/common/PageHeader';
 import HeaderActionButton from '../components/common/HeaderActionButton';
 import { usePageRefresh } from '../hooks/usePageRefresh';
@@ -65,6 +67,7 @@ function Categories() {
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
+  const [mergingCategory, setMergingCategory] = useState(null);
   const [filtersOpen, setFiltersOpen] = useState(false);
   const [expandedCategories, setExpandedCategories] = useState(new Set());
   const [filters, setFilters] = useState({
@@ -427,6 +430,22 @@ function Categories() {
                   <EditIcon sx={{ fontSize: { xs: 18, sm: 20 } }} />
                 </IconButton>
               </Tooltip>
+              <Tooltip title="Merge into another category" arrow>
+                <IconButton
+                  size="small"
+                  onClick={() => setMergingCategory(category)}
+                  sx={{
+                    p: { xs: 0.5, sm: 0.75 },
+                    color: 'google.gray',
+                    '&:hover': {
+                      backgroundColor: 'action.hover',
+                      color: 'google.blue',
+                    },
+                  }}
+                >
+                  <CallMergeIcon sx={{ fontSize: { xs: 18, sm: 20 } }} />
+                </IconButton>
+              </Tooltip>
               <Tooltip title="Delete" arrow>
                 <span>
                   <IconButton
@@ -808,10 +827,16 @@ function Categories() {
         }}
         onConfirm={handleDelete}
         title={`Delete ${deleteConfirm?.name || 'this category'}?`}
-        description="This can't be undone. You can't delete categories that have transactions or subcategories."
+        description="This can't be undone. You can't delete categories that have transactions or subcategories; merge them into another category instead."
         isDeleting={isDeleting}
         error={deleteError}
       />
+
+      <MergeCategoryDialog
+        open={!!mergingCategory}
+        onClose={() => setMergingCategory(null)}
+        category={mergingCategory}
+      />
     </Box>
   );
 }
@@ -1,6 +1,7 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
+  Alert,
   Box,
   Button,
   Table,
@@ -14,10 +15,18 @@ import {
   useTheme,
 } from '@mui/material';
 import CurrencyExchangeIcon from '@mui/icons-material/CurrencyExchange';
+import AddIcon from '@mui/icons-material/Add';
+import ContentPasteIcon from '@mui/icons-material/ContentPaste';
+import SyncIcon from '@mui/icons-material/Sync';
 import PageSkeleton from '../components/common/PageSkeleton';
 import ErrorMessage from '../components/common/ErrorMessage';
 import EmptyState from '../components/common/EmptyState';
-import { fetchExchangeRates } from '../store/slices/exchangeRatesSlice';
+import HeaderActionButton from '../components/common/HeaderActionButton';
+import ExchangeRateDialog from '../components/common/ExchangeRateDialog';
+import ExchangeRateImportDialog from '../components/common/ExchangeRateImportDialog';
+import { selectBaseCurrency, selectSettingsMap } from '../store/selectors';
+import { syncProviderRates } from '../store/slices/exchangeRatesSlice';
+import { findMissingRatePairs, isManualRate } from '../utils/exchangeRates';
 import { format } from 'date-fns';
 import { usePageRefresh } from '../hooks/usePageRefresh';
 
@@ -28,13 +37,41 @@ function ExchangeRates() {
   const { exchangeRates, loading, isInitialized, error } = useSelector(
     (state) => state.exchangeRates,
   );
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const baseCurrency = useSelector(selectBaseCurrency);
+  const hasProvider = !!useSelector(selectSettingsMap).get('RateProvider');
+  const [updating, setUpdating] = useState(false);
   const [showAll, setShowAll] = useState(false);
+  // { rate: manual row | null, pair: { fromCurrency, toCurrency } | null }
+  const [rateDialog, setRateDialog] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['exchangeRates'],
+    dataTypes: ['exchangeRates', 'transactions'],
   });
 
+  // Currencies transactions use that reports can't convert to the base one
+  const missingPairs = useMemo(
+    () => findMissingRatePairs(allTransactions, exchangeRates, baseCurrency),
+    [allTransactions, exchangeRates, baseCurrency]
+  );
+
+  // Today's rates from the provider set up in Settings, now
+  const updateFromProvider = async () => {
+    setUpdating(true);
+    try {
+      await dispatch(syncProviderRates({ force: true }));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  // Only manual rates can be edited; transfer rates follow their transfer
+  const openRate = (rate) => {
+    if (isManualRate(rate)) setRateDialog({ rate, pair: null });
+  };
+
   // Sort exchange rates by date descending (most recent first)
   const sortedExchangeRates = useMemo(() => {
     if (!exchangeRates || exchangeRates.length === 0) {
@@ -93,15 +130,78 @@ function ExchangeRates() {
             {showAll ? 'Show less' : `Show all (${sortedExchangeRates.length})`}
           </Button>
         )}
+        <Box
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: { xs: 0.25, sm: 0.5 },
+            flexShrink: 0,
+          }}
+        >
+          {hasProvider && (
+            <HeaderActionButton
+              variant="secondary"
+              label="Update rates from provider"
+              icon={<SyncIcon sx={{ fontSize: 20 }} />}
+              onClick={updateFromProvider}
+              disabled={updating}
+            />
+          )}
+          <HeaderActionButton
+            variant="secondary"
+            label="Paste rates"
+            icon={<ContentPasteIcon sx={{ fontSize: 20 }} />}
+            onClick={() => setImportOpen(true)}
+          />
+          <HeaderActionButton
+            label="Add exchange rate"
+            icon={<AddIcon sx={{ fontSize: 20 }} />}
+            onClick={() => setRateDialog({ rate: null, pair: null })}
+          />
+        </Box>
       </Box>
 
       {error && <ErrorMessage error={error} />}
 
+      {missingPairs.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          <Typography variant="body2" sx={{ mb: 0.5 }}>
+            No rate to convert these into {baseCurrency}, so reports and
+            budgets count them unconverted:
+          </Typography>
+          {missingPairs.map((pair) => (
+            <Box
+              key={pair.fromCurrency}
+              sx={{ display: 'flex', alignItems: 'center', gap: 1 }}
+            >
+              <Typography variant="body2" sx={{ flex: 1, minWidth: 0 }}>
+                {pair.fromCurrency} → {pair.toCurrency}
+                <Typography
+                  component="span"
+                  variant="caption"
+                  color="text.secondary"
+                >
+                  {' '}
+                  · {pair.count} transaction{pair.count === 1 ? '' : 's'}
+                </Typography>
+              </Typography>
+              <Button
+                size="small"
+                onClick={() => setRateDialog({ rate: null, pair })}
+                sx={{ textTransform: 'none', flexShrink: 0 }}
+              >
+                Add rate
+              </Button>
+            </Box>
+          ))}
+        </Alert>
+      )}
+
       {sortedExchangeRates.length === 0 ? (
         <EmptyState
           icon={<CurrencyExchangeIcon />}
           title="No exchange rates yet"
-          subtitle="Exchange rates are automatically created when you make multi-currency transfers"
+          subtitle="Multi-currency transfers record their rate here. Add a rate, paste a table of them, or pick a rate source in Settings for daily rates."
         />
       ) : (
         <>
@@ -110,10 +210,12 @@ function ExchangeRates() {
             {displayedRates.map((rate) => (
               <Box
                 key={rate.exchange_rate_id}
+                onClick={() => openRate(rate)}
                 sx={{
                   py: 1.25,
                   borderBottom: '1px solid',
                   borderColor: 'divider',
+                  cursor: isManualRate(rate) ? 'pointer' : 'default',
                 }}
               >
                 <Box
@@ -159,7 +261,10 @@ function ExchangeRates() {
                     {rate.date
                       ? format(new Date(rate.date), 'MMM dd, yyyy')
                       : 'N/A'}
+                    {isManualRate(rate) && ' · Manual'}
                     {rate.description?.trim() && ` · ${rate.description.trim()}`}
+                    {rate.effective_rate &&
+                      ` · ${Number(rate.effective_rate).toFixed(4)} after fee`}
                   </Typography>
                   <Typography
                     variant="caption"
@@ -222,7 +327,9 @@ function ExchangeRates() {
                   <TableRow
                     key={rate.exchange_rate_id}
                     hover
+                    onClick={() => openRate(rate)}
                     sx={{
+                      cursor: isManualRate(rate) ? 'pointer' : 'default',
                       '& td': {
                         borderBottom: '1px solid',
                         borderColor: 'divider',
@@ -262,10 +369,21 @@ function ExchangeRates() {
                       >
                         {rate.rate?.toFixed(6) || 'N/A'}
                       </Typography>
+                      {rate.effective_rate && (
+                        <Typography
+                          variant="caption"
+                          component="div"
+                          color="text.secondary"
+                          title="The rate once the transfer's fee is counted"
+                        >
+                          {Number(rate.effective_rate).toFixed(6)} after fee
+                        </Typography>
+                      )}
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2" sx={{ fontSize: '0.875rem' }}>
-                        {rate.description?.trim() || '-'}
+                        {rate.description?.trim() ||
+                          (isManualRate(rate) ? 'Manual' : '-')}
                       </Typography>
                     </TableCell>
                     <TableCell align="right">
@@ -292,6 +410,17 @@ function ExchangeRates() {
           </TableContainer>
         </>
       )}
+
+      <ExchangeRateDialog
+        open={!!rateDialog}
+        onClose={() => setRateDialog(null)}
+        editingRate={rateDialog?.rate || null}
+        initialPair={rateDialog?.pair || null}
+      />
+      <ExchangeRateImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+      />
     </Box>
   );
 }
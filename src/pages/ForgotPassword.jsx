@@ -0,0 +1,173 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Divider,
+} from '@mui/material'
+import { sendPasswordReset } from '../lib/api/auth'
+import { useAutoDismissError } from '../hooks/useAutoDismissError'
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [emailSent, setEmailSent] = useState(false)
+
+  // Auto-dismiss error after 8 seconds
+  useAutoDismissError(setError, error)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (!email.trim()) {
+      setError('Email is required')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      await sendPasswordReset(email)
+      setEmailSent(true)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+        }}
+      >
+        <Paper
+          elevation={2}
+          sx={{
+            p: 4,
+            width: '100%',
+            borderRadius: 2,
+          }}
+        >
+          <Typography
+            component="h1"
+            variant="h5"
+            align="center"
+            gutterBottom
+            sx={{ fontWeight: 500 }}
+          >
+            Reset your password
+          </Typography>
+
+          {emailSent ? (
+            <>
+              <Typography
+                variant="body2"
+                align="center"
+                color="text.secondary"
+                sx={{ mb: 3 }}
+              >
+                If an account exists for <strong>{email.trim()}</strong>, we&apos;ve sent it
+                a link to choose a new password. The link works once.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <Typography variant="body2" align="center" color="text.secondary">
+                Didn&apos;t receive the email?{' '}
+                <Button
+                  variant="text"
+                  size="small"
+                  onClick={handleSubmit}
+                  disabled={loading}
+                  sx={{ textTransform: 'none', p: 0, minWidth: 'auto' }}
+                >
+                  Resend
+                </Button>
+              </Typography>
+            </>
+          ) : (
+            <>
+              <Typography
+                variant="body2"
+                align="center"
+                color="text.secondary"
+                sx={{ mb: 3 }}
+              >
+                Enter your account&apos;s email and we&apos;ll send you a reset link
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <Box component="form" onSubmit={handleSubmit}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  label="Email"
+                  name="email"
+                  autoComplete="email"
+                  autoFocus
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  disabled={loading}
+                />
+
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  sx={{ mt: 3, mb: 2, py: 1.5 }}
+                  disabled={loading}
+                >
+                  {loading ? 'Sending...' : 'Send reset link'}
+                </Button>
+              </Box>
+            </>
+          )}
+
+          <Divider sx={{ my: 2 }} />
+
+          <Box sx={{ textAlign: 'center' }}>
+            <Link
+              to="/login"
+              style={{
+                color: 'inherit',
+                textDecoration: 'none',
+              }}
+            >
+              <Typography variant="body2" color="primary">
+                Back to sign in
+              </Typography>
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default ForgotPassword
@@ -39,10 +39,17 @@ import CameraAltIcon from '@mui/icons-material/CameraAlt';
 import ChatIcon from '@mui/icons-material/Chat';
 import MoreVertIcon from '@mui/icons-material/MoreVert';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
+import SavingsIcon from '@mui/icons-material/Savings';
 import AddTransactionDialog from '../components/common/AddTransactionDialog';
 import CategoryTransactionsList from '../components/common/CategoryTransactionsList';
 import BudgetAttentionCue from '../components/common/BudgetAttentionCue';
+import CreditCardDueCue from '../components/common/CreditCardDueCue';
 import BudgetSearchHint from '../components/common/BudgetSearchHint';
+import UpcomingRecurring from '../components/common/UpcomingRecurring';
+import RecurringTransactionDialog from '../components/common/RecurringTransactionDialog';
+import SavingsGoals from '../components/common/SavingsGoals';
+import SavingsGoalDialog from '../components/common/SavingsGoalDialog';
 import { getTransactionsTotalLabel } from '../utils/currencyConversion';
 import BatchTransactionDialog from '../components/common/BatchTransactionDialog';
 import AddTransferDialog from '../components/common/AddTransferDialog';
@@ -73,6 +80,10 @@ function Home({ quickAddExpense = false }) {
   // Overflow menu for the less-used add flows (text entry, batch)
   const [moreAnchor, setMoreAnchor] = useState(null);
   const [aiReviewOpen, setAiReviewOpen] = useState(false);
+  // Series dialog: { template } to edit one, { template: null } to create
+  const [recurringDialog, setRecurringDialog] = useState(null);
+  // Goal dialog: { goal } to edit one, { goal: null } to create
+  const [goalDialog, setGoalDialog] = useState(null);
   const [aiParsedData, setAiParsedData] = useState(null);
   const [isReceiptParsing, setIsReceiptParsing] = useState(false);
   const [manageShortcutsOpen, setManageShortcutsOpen] = useState(false);
@@ -144,7 +155,16 @@ function Home({ quickAddExpense = false }) {
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['transactions', 'accounts', 'categories', 'settings'],
+    dataTypes: [
+      'transactions',
+      'accounts',
+      'categories',
+      'settings',
+      'recurringTransactions',
+      'savingsGoals',
+      'tags',
+      'exchangeRates',
+    ],
     filters: {
       accounts: { status: 'Active' },
       categories: { status: 'Active' },
@@ -474,6 +494,28 @@ function Home({ quickAddExpense = false }) {
               </ListItemIcon>
               <ListItemText>Batch add</ListItemText>
             </MenuItem>
+            <MenuItem
+              onClick={() => {
+                setMoreAnchor(null);
+                setRecurringDialog({ template: null });
+              }}
+            >
+              <ListItemIcon>
+                <EventRepeatIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText>Recurring transaction</ListItemText>
+            </MenuItem>
+            <MenuItem
+              onClick={() => {
+                setMoreAnchor(null);
+                setGoalDialog({ goal: null });
+              }}
+            >
+              <ListItemIcon>
+                <SavingsIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText>Savings goal</ListItemText>
+            </MenuItem>
           </Menu>
         </Box>
       </Box>
@@ -514,6 +556,20 @@ function Home({ quickAddExpense = false }) {
         onParsed={handleAiParsed}
       />
 
+      {/* Recurring Transaction (series) Dialog */}
+      <RecurringTransactionDialog
+        open={!!recurringDialog}
+        onClose={() => setRecurringDialog(null)}
+        editingTemplate={recurringDialog?.template || null}
+      />
+
+      {/* Savings Goal Dialog */}
+      <SavingsGoalDialog
+        open={!!goalDialog}
+        onClose={() => setGoalDialog(null)}
+        editingGoal={goalDialog?.goal || null}
+      />
+
       {/* AI Transactions Review Modal */}
       <AITransactionsReviewModal
         open={aiReviewOpen}
@@ -605,6 +661,23 @@ function Home({ quickAddExpense = false }) {
           and steps aside while searching so results get the room */}
       {!isSearching && <BudgetAttentionCue />}
 
+      {/* Card payments — only when a statement is overdue or due this week */}
+      {!isSearching && <CreditCardDueCue />}
+
+      {/* Savings goals — hidden until one exists; created from the overflow
+          menu above */}
+      {!isSearching && (
+        <SavingsGoals onEditGoal={(goal) => setGoalDialog({ goal })} />
+      )}
+
+      {/* Upcoming recurring transactions — hidden until a series exists; new
+          ones can also be started from the overflow menu above */}
+      {!isSearching && (
+        <UpcomingRecurring
+          onEditSeries={(template) => setRecurringDialog({ template })}
+        />
+      )}
+
       {/* Hidden entirely when no shortcuts are configured; shortcuts can
           still be managed via the "Manage shortcuts" button below the
           Recent Transactions list */}
@@ -12,7 +12,10 @@ import {
   Divider,
 } from '@mui/material'
 import { supabase } from '../lib/supabase'
-import { setUser, setSession } from '../store/slices/authSlice'
+import { OAUTH_PROVIDERS, sendMagicLink, signInWithProvider } from '../lib/api/auth'
+import { assuranceMet, getAssurance } from '../lib/api/mfa'
+import { setUser, setSession, setAssurance, clearAuth } from '../store/slices/authSlice'
+import MfaChallenge from '../components/auth/MfaChallenge'
 import { useAutoDismissError } from '../hooks/useAutoDismissError'
 
 function Login() {
@@ -23,6 +26,9 @@ function Login() {
   const [password, setPassword] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [linkSentTo, setLinkSentTo] = useState(null)
+  // Password accepted, authenticator code still to come
+  const [awaitingCode, setAwaitingCode] = useState(false)
 
   // Auto-dismiss error after 8 seconds
   useAutoDismissError(setError, error)
@@ -46,6 +52,15 @@ function Login() {
 
       if (authError) throw authError
 
+      // The user is only set once the session is complete, so the redirect
+      // above waits for the code
+      const assurance = await getAssurance()
+      if (!assuranceMet(assurance)) {
+        setAwaitingCode(true)
+        return
+      }
+
+      dispatch(setAssurance(assurance))
       dispatch(setUser(data.user))
       dispatch(setSession(data.session))
       navigate('/dashboard')
@@ -56,6 +71,64 @@ function Login() {
     }
   }
 
+  const handleMagicLink = async () => {
+    setError(null)
+    setLinkSentTo(null)
+
+    if (!email.trim()) {
+      setError('Enter your email to get a sign-in link')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      await sendMagicLink(email)
+      setLinkSentTo(email.trim())
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleProvider = async (provider) => {
+    setError(null)
+    setLoading(true)
+
+    try {
+      // On success the browser is already leaving for the provider
+      await signInWithProvider(provider)
+    } catch (err) {
+      setError(err.message)
+      setLoading(false)
+    }
+  }
+
+  const handleCodeVerified = async (session) => {
+    dispatch(setAssurance(await getAssurance()))
+    dispatch(setUser(session.user))
+    dispatch(setSession(session))
+    navigate('/dashboard')
+  }
+
+  const handleCodeCancelled = async () => {
+    await supabase.auth.signOut()
+    dispatch(clearAuth())
+    setAwaitingCode(false)
+    setPassword('')
+  }
+
+  if (awaitingCode) {
+    return (
+      <MfaChallenge
+        email={email.trim()}
+        onVerified={handleCodeVerified}
+        onCancel={handleCodeCancelled}
+      />
+    )
+  }
+
   return (
     <Container component="main" maxWidth="xs">
       <Box
@@ -100,6 +173,12 @@ function Login() {
             </Alert>
           )}
 
+          {linkSentTo && (
+            <Alert severity="success" sx={{ mb: 2 }} onClose={() => setLinkSentTo(null)}>
+              Check {linkSentTo} for a link to sign in.
+            </Alert>
+          )}
+
           <Box component="form" onSubmit={handleLogin}>
             <TextField
               margin="normal"
@@ -127,6 +206,20 @@ function Login() {
               onChange={(e) => setPassword(e.target.value)}
               disabled={loading}
             />
+
+            <Box sx={{ textAlign: 'right', mt: 0.5 }}>
+              <Link
+                to="/forgot-password"
+                style={{
+                  color: 'inherit',
+                  textDecoration: 'none',
+                }}
+              >
+                <Typography component="span" variant="body2" color="primary">
+                  Forgot password?
+                </Typography>
+              </Link>
+            </Box>
             
             <Button
               type="submit"
@@ -138,9 +231,38 @@ function Login() {
             >
               {loading ? 'Signing in...' : 'Sign in'}
             </Button>
+
+            <Button
+              fullWidth
+              variant="text"
+              onClick={handleMagicLink}
+              disabled={loading}
+              sx={{ textTransform: 'none' }}
+            >
+              Email me a sign-in link instead
+            </Button>
           </Box>
 
-          <Divider sx={{ my: 2 }} />
+          <Divider sx={{ my: 2 }}>
+            <Typography variant="caption" color="text.secondary">
+              or
+            </Typography>
+          </Divider>
+
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mb: 2 }}>
+            {OAUTH_PROVIDERS.map((provider) => (
+              <Button
+                key={provider.id}
+                fullWidth
+                variant="outlined"
+                onClick={() => handleProvider(provider.id)}
+                disabled={loading}
+                sx={{ textTransform: 'none', py: 1 }}
+              >
+                Continue with {provider.label}
+              </Button>
+            ))}
+          </Box>
 
           <Box sx={{ textAlign: 'center' }}>
             <Typography variant="body2" color="text.secondary">
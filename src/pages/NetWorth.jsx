@@ -0,0 +1,429 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  useTheme,
+} from '@mui/material';
+import ShowChartIcon from '@mui/icons-material/ShowChart';
+import { format, parseISO, subMonths } from 'date-fns';
+import PageSkeleton from '../components/common/PageSkeleton';
+import ErrorMessage from '../components/common/ErrorMessage';
+import EmptyState from '../components/common/EmptyState';
+import SummaryTiles from '../components/common/SummaryTiles';
+import { LineChart } from '../components/common/ReportCharts';
+import { fetchNetWorthHistory } from '../store/slices/netWorthSlice';
+import { selectBaseCurrency } from '../store/selectors';
+import { usePageRefresh } from '../hooks/usePageRefresh';
+import { formatCurrency } from '../utils/currencyConversion';
+
+const RANGE_OPTIONS = [
+  { value: 12, label: '1 Year' },
+  { value: 36, label: '3 Years' },
+  { value: 0, label: 'All' },
+];
+
+const SERIES_LABELS = {
+  netWorth: 'Net worth',
+  assets: 'Assets',
+  liabilities: 'Liabilities',
+};
+
+const tableHeadSx = {
+  backgroundColor: 'background.default',
+  '& th': {
+    borderBottom: '1px solid',
+    borderColor: 'divider',
+    py: 1,
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    color: 'text.secondary',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+};
+
+const tableRowSx = {
+  '& td': {
+    borderBottom: '1px solid',
+    borderColor: 'divider',
+    py: 1,
+    fontSize: '0.875rem',
+  },
+};
+
+// One side of the balance sheet: each account's month-end balance in its own
+// currency and in the base currency
+function AccountBreakdown({ title, rows, total, currency, accountNames }) {
+  return (
+    <Box sx={{ minWidth: 0 }}>
+      <Box
+        sx={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'baseline',
+          pb: 0.75,
+          mb: 0.5,
+          borderBottom: '1px solid',
+          borderColor: 'divider',
+        }}
+      >
+        <Typography sx={{ fontWeight: 600, fontSize: '0.9375rem' }}>
+          {title}
+        </Typography>
+        <Typography sx={{ fontWeight: 600, fontSize: '0.9375rem' }}>
+          {formatCurrency(total, currency)}
+        </Typography>
+      </Box>
+      {rows.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+          None
+        </Typography>
+      ) : (
+        rows.map((row) => (
+          <Box
+            key={row.account_id}
+            sx={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'baseline',
+              gap: 1,
+              py: 0.75,
+            }}
+          >
+            <Typography variant="body2" noWrap sx={{ minWidth: 0 }}>
+              {accountNames.get(row.account_id) || 'Deleted account'}
+            </Typography>
+            <Box sx={{ textAlign: 'right', flexShrink: 0 }}>
+              <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                {formatCurrency(row.liability ? -row.converted : row.converted, currency)}
+              </Typography>
+              {row.currency !== currency && (
+                <Typography variant="caption" color="text.secondary">
+                  {formatCurrency(row.balance, row.currency)}
+                  {row.market_value ? ' cash' : ''}
+                </Typography>
+              )}
+              {row.market_value ? (
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                  {formatCurrency(row.market_value, currency)} in holdings
+                </Typography>
+              ) : null}
+            </Box>
+          </Box>
+        ))
+      )}
+    </Box>
+  );
+}
+
+function NetWorth() {
+  const dispatch = useDispatch();
+  const { google } = useTheme().palette;
+  const { months, accounts, loading, isInitialized, error } = useSelector(
+    (state) => state.netWorth
+  );
+  const { allTransactions } = useSelector((state) => state.transactions);
+  const { exchangeRates } = useSelector((state) => state.exchangeRates);
+  const { accounts: activeAccounts } = useSelector((state) => state.accounts);
+  const { holdings, trades, prices } = useSelector((state) => state.investments);
+  const baseCurrency = useSelector(selectBaseCurrency);
+  const [range, setRange] = useState(12);
+
+  // Refresh data on navigation
+  usePageRefresh({
+    dataTypes: ['accounts', 'transactions', 'exchangeRates', 'settings', 'investments'],
+  });
+
+  // Rebuild whenever the data under it changes; stored months make this cheap
+  useEffect(() => {
+    dispatch(fetchNetWorthHistory());
+  }, [
+    dispatch,
+    allTransactions,
+    exchangeRates,
+    activeAccounts,
+    baseCurrency,
+    holdings,
+    trades,
+    prices,
+  ]);
+
+  const accountNames = useMemo(
+    () => new Map(accounts.map((a) => [a.account_id, a.name])),
+    [accounts]
+  );
+
+  const shownMonths = useMemo(
+    () => (range > 0 ? months.slice(-(range + 1)) : months),
+    [months, range]
+  );
+
+  const series = useMemo(() => {
+    const points = (key) =>
+      shownMonths.map((m) => ({ date: parseISO(m.date), value: m[key] }));
+    return [
+      { key: 'netWorth', points: points('netWorth'), color: google.blue },
+      { key: 'assets', points: points('assets'), color: google.green, dashed: true },
+      {
+        key: 'liabilities',
+        points: points('liabilities'),
+        color: google.red,
+        dashed: true,
+      },
+    ];
+  }, [shownMonths, google]);
+
+  const latest = months[months.length - 1];
+  const previous = months[months.length - 2];
+  const unconverted = latest?.unconverted || [];
+
+  const breakdown = useMemo(() => {
+    const rows = (latest?.accounts || []).filter(
+      (row) => Math.abs(row.converted) >= 0.005
+    );
+    const byValue = (a, b) => Math.abs(b.converted) - Math.abs(a.converted);
+    return {
+      assets: rows.filter((row) => !row.liability).sort(byValue),
+      liabilities: rows.filter((row) => row.liability).sort(byValue),
+    };
+  }, [latest]);
+
+  if (loading && !isInitialized) {
+    return <PageSkeleton />;
+  }
+
+  const change = latest && previous ? latest.netWorth - previous.netWorth : null;
+
+  return (
+    <Box>
+      {/* Page Header */}
+      <Box
+        sx={{
+          mb: { xs: 1.5, sm: 2, md: 3 },
+          display: 'flex',
+          alignItems: 'center',
+          gap: { xs: 1, sm: 1.5 },
+        }}
+      >
+        <ShowChartIcon
+          sx={{ fontSize: { xs: 24, sm: 28 }, color: 'primary.main' }}
+        />
+        <Typography
+          variant="h4"
+          sx={{
+            fontSize: { xs: '1.25rem', sm: '1.5rem' },
+            fontWeight: 500,
+            flex: 1,
+            minWidth: 0,
+          }}
+        >
+          Net Worth
+        </Typography>
+      </Box>
+
+      {error && <ErrorMessage error={error} />}
+
+      {!latest ? (
+        <EmptyState
+          icon={<ShowChartIcon />}
+          title="No history yet"
+          subtitle="Net worth builds up from your accounts and their transactions"
+        />
+      ) : (
+        <>
+          <SummaryTiles
+            dividers
+            align="center"
+            sx={{ mb: { xs: 2, sm: 3 } }}
+            tiles={[
+              {
+                label: 'Assets',
+                value: formatCurrency(latest.assets, baseCurrency),
+                valueColor: 'google.green',
+              },
+              {
+                label: 'Liabilities',
+                value: formatCurrency(latest.liabilities, baseCurrency),
+                valueColor: 'google.red',
+              },
+              {
+                label: 'Net worth',
+                value: formatCurrency(latest.netWorth, baseCurrency),
+                valueColor: latest.netWorth >= 0 ? 'google.green' : 'google.red',
+                sub:
+                  change !== null
+                    ? `${change >= 0 ? '+' : '−'}${formatCurrency(
+                        Math.abs(change),
+                        baseCurrency
+                      )} this month`
+                    : undefined,
+              },
+            ]}
+          />
+
+          {unconverted.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              No exchange rate to {baseCurrency} for{' '}
+              {unconverted.join(', ')} — those balances are added unconverted.
+            </Alert>
+          )}
+
+          <Box
+            sx={{
+              border: '1px solid',
+              borderColor: 'divider',
+              borderRadius: 1,
+              p: { xs: 1.5, sm: 2 },
+              mb: { xs: 2, sm: 3 },
+            }}
+          >
+            <Box
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                flexWrap: 'wrap',
+                gap: 1,
+                mb: 1,
+              }}
+            >
+              <Box sx={{ display: 'flex', gap: 1.5 }}>
+                {series.map(({ key, color }) => (
+                  <Box
+                    key={key}
+                    sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}
+                  >
+                    <Box
+                      sx={{ width: 8, height: 8, borderRadius: 0.5, bgcolor: color }}
+                    />
+                    <Typography variant="caption" color="text.secondary">
+                      {SERIES_LABELS[key]}
+                    </Typography>
+                  </Box>
+                ))}
+              </Box>
+              <Box sx={{ display: 'flex', gap: 0.75 }}>
+                {RANGE_OPTIONS.map((option) => (
+                  <Chip
+                    key={option.value}
+                    label={option.label}
+                    onClick={() => setRange(option.value)}
+                    color={range === option.value ? 'primary' : 'default'}
+                    variant={range === option.value ? 'filled' : 'outlined'}
+                    size="small"
+                  />
+                ))}
+              </Box>
+            </Box>
+            <LineChart
+              label="Net worth over time"
+              series={series}
+              domain={{
+                start: series[0].points[0]?.date || subMonths(new Date(), 1),
+                end: series[0].points[series[0].points.length - 1]?.date || new Date(),
+              }}
+              currency={baseCurrency}
+            />
+          </Box>
+
+          {/* Assets vs liabilities as of now */}
+          <Box
+            sx={{
+              display: 'grid',
+              gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' },
+              gap: { xs: 2, md: 3 },
+              mb: { xs: 2, sm: 3 },
+            }}
+          >
+            <AccountBreakdown
+              title="Assets"
+              rows={breakdown.assets}
+              total={latest.assets}
+              currency={baseCurrency}
+              accountNames={accountNames}
+            />
+            <AccountBreakdown
+              title="Liabilities"
+              rows={breakdown.liabilities}
+              total={latest.liabilities}
+              currency={baseCurrency}
+              accountNames={accountNames}
+            />
+          </Box>
+
+          {/* Month by month, newest first */}
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow sx={tableHeadSx}>
+                  <TableCell>Month</TableCell>
+                  <TableCell align="right">Assets</TableCell>
+                  <TableCell align="right">Liabilities</TableCell>
+                  <TableCell align="right">Net worth</TableCell>
+                  <TableCell
+                    align="right"
+                    sx={{ display: { xs: 'none', sm: 'table-cell' } }}
+                  >
+                    Change
+                  </TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {[...shownMonths].reverse().map((m, i, list) => {
+                  const prior = list[i + 1];
+                  const delta = prior ? m.netWorth - prior.netWorth : null;
+                  return (
+                    <TableRow key={m.month} hover sx={tableRowSx}>
+                      <TableCell>
+                        {format(parseISO(`${m.month}-01`), 'MMM yyyy')}
+                      </TableCell>
+                      <TableCell align="right">
+                        {formatCurrency(m.assets, baseCurrency)}
+                      </TableCell>
+                      <TableCell align="right">
+                        {formatCurrency(m.liabilities, baseCurrency)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 600 }}>
+                        {formatCurrency(m.netWorth, baseCurrency)}
+                      </TableCell>
+                      <TableCell
+                        align="right"
+                        sx={{
+                          display: { xs: 'none', sm: 'table-cell' },
+                          color:
+                            delta === null
+                              ? 'text.secondary'
+                              : delta >= 0
+                              ? 'google.green'
+                              : 'google.red',
+                        }}
+                      >
+                        {delta === null
+                          ? '—'
+                          : `${delta >= 0 ? '+' : '−'}${formatCurrency(
+                              Math.abs(delta),
+                              baseCurrency
+                            )}`}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default NetWorth;
@@ -1,4 +1,11 @@
-import { useState, useMemo, useEffect, useRef, Fragment } from 'react';
+import {
+  useState,
+  useMemo,
+  useCallback,
+  useEffect,
+  useRef,
+  Fragment,
+} from 'react';
 import { useLocation } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import {
@@ -43,6 +50,9 @@ import BudgetDialog from '../components/common/BudgetDialog';
 import MixedCurrencyChip from '../components/common/MixedCurrencyChip';
 import CategoryTransactionsList from '../components/common/CategoryTransactionsList';
 import SummaryTiles from '../components/common/SummaryTiles';
+import ReportCharts from '../components/common/ReportCharts';
+import TagSpendingSection from '../components/common/TagSpendingSection';
+import BudgetRolloverSection from '../components/common/BudgetRolloverSection';
 import HeaderActionButton from '../components/common/HeaderActionButton';
 import {
   editableUnderlineSx,
@@ -69,10 +79,24 @@ import {
   parseISO,
 } from 'date-fns';
 import { getCategoryDescendants } from '../utils/categoryHierarchy';
+import { signedAmount } from '../utils/reconciliation';
+import { categoryLines } from '../utils/transactionSplits';
+import {
+  buildBurnDown,
+  buildDonutSlices,
+  buildIncomeExpenseBars,
+  buildNetWorthSeries,
+} from '../utils/reportCharts';
 import {
   findBudgetForCategoryMonth,
   budgetAppliesToMonth,
 } from '../utils/budgetMatching';
+import { computeAllBudgetStatuses } from '../utils/budgetStatus';
+import { hasRolloverBudget } from '../utils/budgetRollover';
+import {
+  budgetAppliesToRange,
+  budgetPeriodsInRange,
+} from '../utils/budgetPeriods';
 import {
   selectBorrowingCategoryId,
   selectLendingCategoryId,
@@ -80,6 +104,8 @@ import {
   selectLendingPaymentCategoryId,
   selectAdjustmentIncomeCategoryId,
   selectAdjustmentExpenseCategoryId,
+  selectTagIdsByTransaction,
+  selectTagMap,
 } from '../store/selectors';
 import {
   bulkDeleteTransactions,
@@ -144,10 +170,19 @@ function Reports() {
   const adjustmentExpenseCategoryId = useSelector(
     selectAdjustmentExpenseCategoryId
   );
+  const tagIdsByTransaction = useSelector(selectTagIdsByTransaction);
+  const tagMap = useSelector(selectTagMap);
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['transactions', 'categories', 'budgets', 'exchangeRates'],
+    dataTypes: [
+      'transactions',
+      'categories',
+      'budgets',
+      'exchangeRates',
+      'accounts',
+      'tags',
+    ],
   });
 
   // State
@@ -181,6 +216,8 @@ function Reports() {
   const [transactionModalOpen, setTransactionModalOpen] = useState(false);
   const [selectedCategoryForModal, setSelectedCategoryForModal] =
     useState(null);
+  // Category the budget burn-down chart follows ('' = the largest budget)
+  const [burnDownCategoryId, setBurnDownCategoryId] = useState('');
   const [budgetDialogOpen, setBudgetDialogOpen] = useState(false);
   // { budget: record | null, categoryId: string } — null budget means create
   const [budgetDialogTarget, setBudgetDialogTarget] = useState(null);
@@ -379,28 +416,20 @@ function Reports() {
   // Get all category IDs including descendants. A borrowing/lending subtree is
   // reported on its own, so it never rolls up into an ordinary ancestor's
   // totals — only into its own row (where categoryId is itself excluded).
-  const getCategoryAndDescendantIds = (categoryId) => {
-    const descendants = getCategoryDescendants(categoryId, categories);
-    const ids = [categoryId, ...descendants.map((d) => d.category_id)];
-    if (excludedCategoryIds.size === 0 || excludedCategoryIds.has(categoryId)) {
-      return ids;
-    }
-    return ids.filter((id) => !excludedCategoryIds.has(id));
-  };
-
-  // Helper function to count months between two dates (inclusive)
-  const countMonthsBetween = (startDate, endDate) => {
-    let count = 0;
-    let current = startOfMonth(startDate);
-    const end = endOfMonth(endDate);
-    
-    while (current <= end) {
-      count++;
-      current = addMonths(current, 1);
-    }
-    
-    return count;
-  };
+  const getCategoryAndDescendantIds = useCallback(
+    (categoryId) => {
+      const descendants = getCategoryDescendants(categoryId, categories);
+      const ids = [categoryId, ...descendants.map((d) => d.category_id)];
+      if (
+        excludedCategoryIds.size === 0 ||
+        excludedCategoryIds.has(categoryId)
+      ) {
+        return ids;
+      }
+      return ids.filter((id) => !excludedCategoryIds.has(id));
+    },
+    [categories, excludedCategoryIds]
+  );
 
   // Per-render memo for the two scanning primitives below. Building a row for a
   // parent already computes each child, and buildReportData's hasChildrenData
@@ -430,51 +459,17 @@ function Reports() {
       if (!categoryIds.includes(budget.category_id)) return;
       if (budget.status !== 'Active') return;
 
-      let applicableMonths = 0;
-
-      if (budget.recurring) {
-        // Recurring budget: count how many months in the range this budget applies to
-        const budgetStart = budget.start_month
-          ? startOfMonth(parseISO(budget.start_month))
-          : null;
-        const budgetEnd = budget.end_month
-          ? endOfMonth(parseISO(budget.end_month))
-          : null;
-
-        // Check if budget overlaps with the date range
-        const budgetAppliesToRange =
-          (!budgetStart || rangeEnd >= budgetStart) &&
-          (!budgetEnd || rangeStart <= budgetEnd);
-
-        if (budgetAppliesToRange) {
-          // Calculate the actual overlap period
-          const overlapStart =
-            budgetStart && budgetStart > rangeStart ? budgetStart : rangeStart;
-          const overlapEnd =
-            budgetEnd && budgetEnd < rangeEnd ? budgetEnd : rangeEnd;
-
-          // Count exact number of months in the overlap
-          applicableMonths = countMonthsBetween(overlapStart, overlapEnd);
-        }
-      } else {
-        // One-time budget: include if budget month falls within the date range
-        if (budget.month) {
-          const budgetMonth = parseISO(budget.month);
-          const budgetMonthStart = startOfMonth(budgetMonth);
-          const budgetMonthEnd = endOfMonth(budgetMonth);
-
-          if (
-            budgetMonthStart <= rangeEnd &&
-            budgetMonthEnd >= rangeStart
-          ) {
-            applicableMonths = 1;
-          }
-        }
-      }
+      // Periods of the budget in the range: whole months for a monthly one,
+      // the share of each week, quarter, year or custom range otherwise
+      const applicablePeriods = budgetPeriodsInRange(
+        budget,
+        rangeStart,
+        rangeEnd
+      );
 
-      if (applicableMonths > 0) {
-        const monthlyBudgetAmount = parseFloat(budget.amount || 0);
-        const budgetAmount = monthlyBudgetAmount * applicableMonths;
+      if (applicablePeriods > 0) {
+        const periodBudgetAmount = parseFloat(budget.amount || 0);
+        const budgetAmount = periodBudgetAmount * applicablePeriods;
         const budgetCurrency = budget.currency || baseCurrency;
 
         // Track original amount by currency
@@ -535,7 +530,11 @@ function Reports() {
     const rangeEndTime = rangeEnd.getTime();
 
     transactionsWithTime.forEach(({ txn, ts }) => {
-      if (!categoryIds.includes(txn.category_id)) return;
+      // A split counts only its lines in these categories
+      const lines = categoryLines(txn).filter((line) =>
+        categoryIds.includes(line.categoryId)
+      );
+      if (lines.length === 0) return;
       if (txn.status === 'Cancelled' || txn.deleted_at) return;
 
       // Filter by type
@@ -553,7 +552,7 @@ function Reports() {
       // Filter by date range
       if (ts < rangeStartTime || ts > rangeEndTime) return;
 
-      const amount = Math.abs(parseFloat(txn.amount || 0));
+      const amount = lines.reduce((sum, line) => sum + line.amount, 0);
       const txnCurrency = txn.currency || baseCurrency;
 
       // Track original amount by currency
@@ -567,7 +566,8 @@ function Reports() {
         amount,
         txnCurrency,
         baseCurrency,
-        exchangeRateLookup
+        exchangeRateLookup,
+        ts
       );
 
       // Use converted amount if available, otherwise use original
@@ -723,79 +723,27 @@ function Reports() {
 
       // Calculate parent's own budget (without children)
       // We need to get budgets that are directly assigned to the parent category, not its children
-      const parentOwnBudgets = budgets.filter((budget) => {
-        if (budget.category_id !== category.category_id) return false;
-        if (budget.status !== 'Active') return false;
-
-        const { start: rangeStart, end: rangeEnd } = dateRange;
-
-        let appliesToRange = false;
-        if (budget.recurring) {
-          if (budget.start_month) {
-            const startDate = startOfMonth(parseISO(budget.start_month));
-            const endDate = budget.end_month
-              ? endOfMonth(parseISO(budget.end_month))
-              : null;
-            appliesToRange =
-              (!endDate || rangeStart <= endDate) &&
-              (!startDate || rangeEnd >= startDate);
-          }
-        } else {
-          if (budget.month) {
-            const budgetMonth = parseISO(budget.month);
-            const budgetMonthStart = startOfMonth(budgetMonth);
-            const budgetMonthEnd = endOfMonth(budgetMonth);
-            appliesToRange =
-              budgetMonthStart <= rangeEnd && budgetMonthEnd >= rangeStart;
-          }
-        }
-        return appliesToRange;
-      });
+      const { start: rangeStart, end: rangeEnd } = dateRange;
+      const parentOwnBudgets = budgets.filter(
+        (budget) =>
+          budget.category_id === category.category_id &&
+          budget.status === 'Active' &&
+          budgetAppliesToRange(budget, rangeStart, rangeEnd)
+      );
 
       let parentOwnBudget = 0;
-      const { start: rangeStart, end: rangeEnd } = dateRange;
 
       parentOwnBudgets.forEach((budget) => {
-        let applicableMonths = 0;
-        
-        if (budget.recurring) {
-          // Count months for recurring budget
-          const budgetStart = budget.start_month
-            ? startOfMonth(parseISO(budget.start_month))
-            : null;
-          const budgetEnd = budget.end_month
-            ? endOfMonth(parseISO(budget.end_month))
-            : null;
-
-          const budgetAppliesToRange =
-            (!budgetStart || rangeEnd >= budgetStart) &&
-            (!budgetEnd || rangeStart <= budgetEnd);
-
-          if (budgetAppliesToRange) {
-            const overlapStart =
-              budgetStart && budgetStart > rangeStart ? budgetStart : rangeStart;
-            const overlapEnd =
-              budgetEnd && budgetEnd < rangeEnd ? budgetEnd : rangeEnd;
-            applicableMonths = countMonthsBetween(overlapStart, overlapEnd);
-          }
-        } else {
-          // One-time budget
-          if (budget.month) {
-            const budgetMonth = parseISO(budget.month);
-            const budgetMonthStart = startOfMonth(budgetMonth);
-            const budgetMonthEnd = endOfMonth(budgetMonth);
-            if (
-              budgetMonthStart <= rangeEnd &&
-              budgetMonthEnd >= rangeStart
-            ) {
-              applicableMonths = 1;
-            }
-          }
-        }
+        // See calculateCategoryBudget
+        const applicablePeriods = budgetPeriodsInRange(
+          budget,
+          rangeStart,
+          rangeEnd
+        );
 
-        if (applicableMonths > 0) {
-          const monthlyBudgetAmount = parseFloat(budget.amount || 0);
-          const budgetAmount = monthlyBudgetAmount * applicableMonths;
+        if (applicablePeriods > 0) {
+          const periodBudgetAmount = parseFloat(budget.amount || 0);
+          const budgetAmount = periodBudgetAmount * applicablePeriods;
           const budgetCurrency = budget.currency || baseCurrency;
           const convertedAmount = convertAmountWithLookup(
             budgetAmount,
@@ -1018,7 +966,12 @@ function Reports() {
 
     return allTransactions
       .filter((txn) => {
-        if (!categoryIds.includes(txn.category_id)) return false;
+        if (
+          !categoryLines(txn).some((line) =>
+            categoryIds.includes(line.categoryId)
+          )
+        )
+          return false;
         if (txn.status === 'Cancelled' || txn.deleted_at) return false;
 
         if (type === 'Income') {
@@ -1653,6 +1606,223 @@ function Reports() {
     return Math.round(((income - expenseTotals.actual) / income) * 100);
   }, [incomeTotals, expenseTotals]);
 
+  // Charts. Every series is built from the same filters as the tables and
+  // converted to the base currency the same way (at the rate in effect on
+  // the transaction's date, when there is one), so a chart never disagrees
+  // with the figures under it.
+  const toBaseCurrency = useCallback(
+    (amount, currency, date) => {
+      const converted = convertAmountWithLookup(
+        amount,
+        currency || baseCurrency,
+        baseCurrency,
+        exchangeRateLookup,
+        date
+      );
+      return converted !== null ? converted : amount;
+    },
+    [baseCurrency, exchangeRateLookup]
+  );
+
+  const passesReportFilters = useCallback(
+    (txn) =>
+      txn.status !== 'Cancelled' &&
+      !txn.deleted_at &&
+      (!filterAccount || txn.account_id === filterAccount) &&
+      (!filterType || txn.type === filterType) &&
+      (!filterStatus || txn.status === filterStatus),
+    [filterAccount, filterType, filterStatus]
+  );
+
+  const chartSlices = useMemo(
+    () =>
+      buildDonutSlices(
+        expenseReportData.map((item) => ({
+          id: item.category.category_id,
+          label: item.category.name,
+          value: item.actual,
+        }))
+      ),
+    [expenseReportData]
+  );
+
+  // Income and expenses per week or month, counted the way the income and
+  // expense sections count them: by category type, leaving out the
+  // borrowing/lending and adjustment categories reported under Other Activity
+  const chartBars = useMemo(() => {
+    const categoryTypes = new Map(
+      categories.map((c) => [c.category_id, c.type])
+    );
+    const startTime = dateRange.start.getTime();
+    const endTime = dateRange.end.getTime();
+    const entries = [];
+    transactionsWithTime.forEach(({ txn, ts }) => {
+      if (ts < startTime || ts > endTime) return;
+      if (!passesReportFilters(txn)) return;
+      categoryLines(txn).forEach((line) => {
+        if (excludedCategoryIds.has(line.categoryId)) return;
+        const categoryType = categoryTypes.get(line.categoryId);
+        let kind = null;
+        if (categoryType === 'Income' && txn.type === 'Income') kind = 'Income';
+        if (
+          categoryType === 'Expense' &&
+          (txn.type === 'Expense' || txn.type === 'Transfer Out')
+        ) {
+          kind = 'Expense';
+        }
+        if (!kind) return;
+        entries.push({
+          ts,
+          kind,
+          amount: toBaseCurrency(line.amount, txn.currency, ts),
+        });
+      });
+    });
+    return buildIncomeExpenseBars(entries, dateRange);
+  }, [
+    transactionsWithTime,
+    categories,
+    dateRange,
+    passesReportFilters,
+    toBaseCurrency,
+    excludedCategoryIds,
+  ]);
+
+  // Categories whose budget rolls over into the selected month, with what
+  // they carried in. Measured like the budget cue (budgetStatus.js), not by
+  // the report filters: a carry is the budget's own, whatever is filtered out.
+  const rolloverRows = useMemo(() => {
+    if (!hasRolloverBudget(budgets)) return [];
+    return computeAllBudgetStatuses({
+      categories,
+      budgets,
+      transactions: allTransactions,
+      exchangeRates,
+      baseCurrency,
+      monthKey: selectedMonth,
+    })
+      .filter((status) => status.carryHistory.length > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [
+    categories,
+    budgets,
+    allTransactions,
+    exchangeRates,
+    baseCurrency,
+    selectedMonth,
+  ]);
+
+  // Spending per tag, counted like the expense bars: expense-category lines
+  // only, Other Activity left out. Every tag on a transaction gets its lines.
+  const tagSpending = useMemo(() => {
+    if (tagMap.size === 0) return [];
+    const categoryTypes = new Map(
+      categories.map((c) => [c.category_id, c.type])
+    );
+    const startTime = dateRange.start.getTime();
+    const endTime = dateRange.end.getTime();
+    const byTag = new Map();
+    transactionsWithTime.forEach(({ txn, ts }) => {
+      if (ts < startTime || ts > endTime) return;
+      const tagIds = tagIdsByTransaction.get(txn.transaction_id);
+      if (!tagIds || !passesReportFilters(txn)) return;
+      if (txn.type !== 'Expense' && txn.type !== 'Transfer Out') return;
+      const spent = categoryLines(txn).reduce((sum, line) => {
+        if (excludedCategoryIds.has(line.categoryId)) return sum;
+        if (categoryTypes.get(line.categoryId) !== 'Expense') return sum;
+        return sum + toBaseCurrency(line.amount, txn.currency, ts);
+      }, 0);
+      if (spent === 0) return;
+      tagIds.forEach((tagId) => {
+        const row = byTag.get(tagId) || { total: 0, count: 0 };
+        row.total += spent;
+        row.count += 1;
+        byTag.set(tagId, row);
+      });
+    });
+    return [...byTag.entries()]
+      .filter(([tagId]) => tagMap.has(tagId))
+      .map(([tagId, row]) => ({ tag: tagMap.get(tagId), ...row }))
+      .sort((a, b) => b.total - a.total);
+  }, [
+    transactionsWithTime,
+    tagIdsByTransaction,
+    tagMap,
+    categories,
+    dateRange,
+    passesReportFilters,
+    toBaseCurrency,
+    excludedCategoryIds,
+  ]);
+
+  // Net worth is a balance, so only the account filter applies: a balance
+  // counting just one transaction type or status would not be anyone's worth.
+  // Everything before the period counts toward where the line starts.
+  const chartNetWorth = useMemo(() => {
+    const inScope = accounts.filter(
+      (a) => !filterAccount || a.account_id === filterAccount
+    );
+    const accountIds = new Set(inScope.map((a) => a.account_id));
+    const openingTotal = inScope.reduce(
+      (sum, a) =>
+        sum + toBaseCurrency(parseFloat(a.opening_balance) || 0, a.currency),
+      0
+    );
+    const movements = [];
+    transactionsWithTime.forEach(({ txn, ts }) => {
+      if (!accountIds.has(txn.account_id)) return;
+      if (txn.status === 'Cancelled' || txn.deleted_at) return;
+      movements.push({
+        ts,
+        signed: toBaseCurrency(signedAmount(txn), txn.currency, ts),
+      });
+    });
+    return buildNetWorthSeries(openingTotal, movements, dateRange);
+  }, [accounts, transactionsWithTime, dateRange, toBaseCurrency, filterAccount]);
+
+  const burnDownOptions = useMemo(
+    () =>
+      expenseReportData
+        .filter((item) => item.budget > 0)
+        .sort((a, b) => b.budget - a.budget)
+        .map((item) => ({
+          id: item.category.category_id,
+          label: item.category.name,
+          budget: item.budget,
+        })),
+    [expenseReportData]
+  );
+  const burnDownOption =
+    burnDownOptions.find((o) => o.id === burnDownCategoryId) ||
+    burnDownOptions[0] ||
+    null;
+
+  const chartBurnDown = useMemo(() => {
+    if (!burnDownOption) return null;
+    const categoryIds = new Set(getCategoryAndDescendantIds(burnDownOption.id));
+    const startTime = dateRange.start.getTime();
+    const endTime = dateRange.end.getTime();
+    const spending = [];
+    transactionsWithTime.forEach(({ txn, ts }) => {
+      if (ts < startTime || ts > endTime) return;
+      if (txn.type !== 'Expense' && txn.type !== 'Transfer Out') return;
+      if (!passesReportFilters(txn)) return;
+      const amount = categoryLines(txn)
+        .filter((line) => categoryIds.has(line.categoryId))
+        .reduce((sum, line) => sum + line.amount, 0);
+      if (amount === 0) return;
+      spending.push({ ts, amount: toBaseCurrency(amount, txn.currency, ts) });
+    });
+    return buildBurnDown(spending, burnDownOption.budget, dateRange);
+  }, [
+    burnDownOption,
+    getCategoryAndDescendantIds,
+    transactionsWithTime,
+    dateRange,
+    passesReportFilters,
+    toBaseCurrency,
+  ]);
+
   // Period-over-period delta. `goodWhen` decides the color: for income (and
   // net) higher is good; for expenses lower is good. Returns null when there's
   // no prior baseline or the change rounds to 0.
@@ -3015,6 +3185,28 @@ function Reports() {
             )}
       </Box>
 
+      {/* Charts — same filters as the sections below; a category slice or
+          the burn-down opens that category's transactions */}
+      <Box sx={{ mb: { xs: 2.5, sm: 3 } }}>
+        {isDesktopView && (
+          <Typography variant="h6" sx={{ mb: { xs: 1.5, sm: 2 }, fontWeight: 'bold', fontSize: { xs: '1rem', sm: '1.125rem' } }}>
+            Charts
+          </Typography>
+        )}
+        <ReportCharts
+          currency={baseCurrency}
+          dateRange={dateRange}
+          slices={chartSlices}
+          bars={chartBars}
+          netWorth={chartNetWorth}
+          burnDownOptions={burnDownOptions}
+          burnDownCategoryId={burnDownOption?.id || ''}
+          burnDown={chartBurnDown}
+          onBurnDownCategoryChange={setBurnDownCategoryId}
+          onCategoryClick={(categoryId) => handleRowClick(categoryId, 'Expense')}
+        />
+      </Box>
+
       {/* Section rule between the summary and the category detail below —
           desktop only; on mobile the summary's own hairline is enough. */}
 
@@ -3331,6 +3523,16 @@ function Reports() {
         </Box>
       )}
 
+      {/* Spending by tag — tags cut across categories, so this sits apart
+          from the category sections */}
+      <TagSpendingSection
+        rows={tagSpending}
+        totalExpenses={expenseTotals.actual}
+        currency={baseCurrency}
+      />
+
+      <BudgetRolloverSection rows={rolloverRows} month={selectedMonth} />
+
       {/* Cancel out adjustments — confirmation */}
       <Dialog
         open={cancelOutOpen}
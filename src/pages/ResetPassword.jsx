@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material'
+import { supabase } from '../lib/supabase'
+import { MIN_PASSWORD_LENGTH, updatePassword } from '../lib/api/auth'
+import { assuranceMet, getAssurance } from '../lib/api/mfa'
+import { setUser, setSession, setAssurance, clearAuth } from '../store/slices/authSlice'
+import MfaChallenge from '../components/auth/MfaChallenge'
+import { useAutoDismissError } from '../hooks/useAutoDismissError'
+
+// Reached from a password reset email, through AuthCallback, which has
+// already signed the user in with the link's recovery session
+function ResetPassword() {
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+  const user = useSelector((state) => state.auth.user)
+  const assurance = useSelector((state) => state.auth.assurance)
+  const [checking, setChecking] = useState(!user)
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Auto-dismiss error after 8 seconds
+  useAutoDismissError(setError, error)
+
+  // Opened directly, or after a reload: look for the session ourselves
+  useEffect(() => {
+    if (user) return
+    supabase.auth
+      .getSession()
+      .then(({ data }) => {
+        if (data.session) {
+          dispatch(setUser(data.session.user))
+          dispatch(setSession(data.session))
+        }
+      })
+      .finally(() => setChecking(false))
+  }, [user, dispatch])
+
+  // The link alone is one factor: an account with an authenticator app must
+  // give a code before Supabase will change its password
+  useEffect(() => {
+    if (!user) return
+    getAssurance()
+      .then((result) => dispatch(setAssurance(result)))
+      .catch(() => dispatch(setAssurance({ currentLevel: 'aal1', nextLevel: 'aal2' })))
+  }, [user, dispatch])
+
+  const handleCodeVerified = async (session) => {
+    dispatch(setAssurance(await getAssurance()))
+    dispatch(setUser(session.user))
+    dispatch(setSession(session))
+  }
+
+  const handleCodeCancelled = async () => {
+    await supabase.auth.signOut()
+    dispatch(clearAuth())
+    navigate('/login', { replace: true })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+      return
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const updated = await updatePassword(password)
+      dispatch(setUser(updated))
+      navigate('/dashboard', { replace: true })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (user && assurance && !assuranceMet(assurance)) {
+    return (
+      <MfaChallenge
+        email={user.email}
+        onVerified={handleCodeVerified}
+        onCancel={handleCodeCancelled}
+      />
+    )
+  }
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+        }}
+      >
+        <Paper
+          elevation={2}
+          sx={{
+            p: 4,
+            width: '100%',
+            borderRadius: 2,
+          }}
+        >
+          <Typography
+            component="h1"
+            variant="h5"
+            align="center"
+            gutterBottom
+            sx={{ fontWeight: 500 }}
+          >
+            Choose a new password
+          </Typography>
+
+          {checking ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress size={32} />
+            </Box>
+          ) : !user ? (
+            <>
+              <Alert severity="warning" sx={{ my: 2 }}>
+                This reset link has expired or was already used.
+              </Alert>
+              <Box sx={{ textAlign: 'center' }}>
+                <Link
+                  to="/forgot-password"
+                  style={{
+                    color: 'inherit',
+                    textDecoration: 'none',
+                  }}
+                >
+                  <Typography variant="body2" color="primary">
+                    Send a new link
+                  </Typography>
+                </Link>
+              </Box>
+            </>
+          ) : (
+            <>
+              <Typography
+                variant="body2"
+                align="center"
+                color="text.secondary"
+                sx={{ mb: 3 }}
+              >
+                for {user.email}
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <Box component="form" onSubmit={handleSubmit}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="password"
+                  label="New password"
+                  type="password"
+                  id="password"
+                  autoComplete="new-password"
+                  autoFocus
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                  helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                />
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="confirmPassword"
+                  label="Confirm new password"
+                  type="password"
+                  id="confirmPassword"
+                  autoComplete="new-password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  disabled={loading}
+                />
+
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  sx={{ mt: 3, mb: 1, py: 1.5 }}
+                  disabled={loading}
+                >
+                  {loading ? 'Saving...' : 'Save password'}
+                </Button>
+              </Box>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default ResetPassword
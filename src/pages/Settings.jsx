@@ -24,11 +24,20 @@ import {
 import ChevronRightIcon from '@mui/icons-material/ChevronRight';
 import { AI_PROVIDER_LINKS } from '../lib/api/aiParsing';
 import { updateSettings } from '../store/slices/settingsSlice';
+import { syncProviderRates } from '../store/slices/exchangeRatesSlice';
+import { ECB_RATES_URL, RATE_PROVIDER_OPTIONS } from '../lib/rateProviders';
 import PageSkeleton from '../components/common/PageSkeleton';
 import ErrorMessage from '../components/common/ErrorMessage';
 import CategoryAutocomplete from '../components/common/CategoryAutocomplete';
 import PageHeader from '../components/common/PageHeader';
+import DataExportDialog from '../components/common/DataExportDialog';
+import DataRestoreDialog from '../components/common/DataRestoreDialog';
+import CategorizationRulesDialog from '../components/common/CategorizationRulesDialog';
+import AccountSecurityDialog from '../components/common/AccountSecurityDialog';
+import TwoFactorDialog from '../components/common/TwoFactorDialog';
+import { hasTotpFactor } from '../lib/api/mfa';
 import { usePageRefresh } from '../hooks/usePageRefresh';
+import { selectCategorizationRules } from '../store/selectors';
 import { persistor } from '../store';
 import RefreshIcon from '@mui/icons-material/Refresh';
 
@@ -39,16 +48,21 @@ function Settings() {
   const { settings, loading, error } = useSelector((state) => state.settings);
   const { categories } = useSelector((state) => state.categories);
   const { accounts } = useSelector((state) => state.accounts);
+  const rules = useSelector(selectCategorizationRules);
+  const user = useSelector((state) => state.auth.user);
   const [isRefreshing, setIsRefreshing] = useState(false);
   // Per-setting focused editing
   const [editing, setEditing] = useState(null); // active setting config
   const [editValue, setEditValue] = useState('');
+  const [editUrl, setEditUrl] = useState(''); // RateProviderURL, with RateProvider
   const [isSaving, setIsSaving] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  // Row dialogs ('rules' | 'export' | 'restore' | 'email' | 'password' | 'mfa' | null)
+  const [dataDialog, setDataDialog] = useState(null);
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['settings', 'categories', 'accounts'],
+    dataTypes: ['settings', 'categories', 'accounts', 'categorizationRules'],
     filters: {
       categories: { status: 'Active' },
       accounts: { status: 'Active' },
@@ -63,6 +77,9 @@ function Settings() {
         getSettingValue('GroqAPIKey') || getSettingValue('GeminiAPIKey');
     } else if (setting.type === 'currency') {
       initial = getSettingValue('BaseCurrency');
+    } else if (setting.type === 'rateProvider') {
+      initial = getSettingValue('RateProvider');
+      setEditUrl(getSettingValue('RateProviderURL'));
     } else {
       initial = getSettingValue(setting.key);
     }
@@ -81,10 +98,16 @@ function Settings() {
         updates = { GroqAPIKey: editValue || '', GeminiAPIKey: '' };
       } else if (editing.type === 'currency') {
         updates = { BaseCurrency: (editValue || '').toUpperCase() };
+      } else if (editing.type === 'rateProvider') {
+        updates = { RateProvider: editValue || '', RateProviderURL: editUrl.trim() };
       } else {
         updates = { [editing.key]: editValue || '' };
       }
       await dispatch(updateSettings(updates)).unwrap();
+      // Fetch from the new source straight away rather than next launch
+      if (editing.type === 'rateProvider' && editValue) {
+        dispatch(syncProviderRates({ force: true }));
+      }
       setEditing(null);
     } catch (err) {
       setSaveError(err?.message || 'Failed to save. Please try again.');
@@ -194,6 +217,16 @@ function Settings() {
                 desc: 'Default currency for totals and conversions',
                 value: getSettingValue('BaseCurrency') || 'Not set',
               },
+              {
+                key: 'RateProvider',
+                type: 'rateProvider',
+                label: 'Exchange rate source',
+                desc: 'Fetch daily rates for the currencies you hold',
+                value:
+                  RATE_PROVIDER_OPTIONS.find(
+                    (option) => option.value === getSettingValue('RateProvider')
+                  )?.label || 'None',
+              },
               {
                 key: 'DefaultAccountID',
                 type: 'account',
@@ -295,6 +328,73 @@ function Settings() {
               },
             ],
           },
+          {
+            label: 'Automation',
+            rows: [
+              {
+                key: 'CategorizationRules',
+                type: 'dialog',
+                dialog: 'rules',
+                label: 'Categorisation rules',
+                desc: 'Set the category, description and tags of new transactions',
+                value: rules.length
+                  ? `${rules.filter((r) => r.status === 'Active').length} active`
+                  : 'None',
+              },
+            ],
+          },
+          {
+            label: 'Account security',
+            rows: [
+              {
+                key: 'AccountEmail',
+                type: 'dialog',
+                dialog: 'email',
+                label: 'Email',
+                desc: user?.new_email
+                  ? `Waiting for you to confirm ${user.new_email}`
+                  : 'The address you sign in with',
+                value: user?.email || 'Not set',
+              },
+              {
+                key: 'AccountPassword',
+                type: 'dialog',
+                dialog: 'password',
+                label: 'Password',
+                desc: 'Change the password you sign in with',
+                value: '••••••••',
+              },
+              {
+                key: 'AccountTwoFactor',
+                type: 'dialog',
+                dialog: 'mfa',
+                label: 'Two-factor sign-in',
+                desc: 'Ask for a code from an authenticator app at sign-in',
+                value: hasTotpFactor(user) ? 'On' : 'Off',
+              },
+            ],
+          },
+          {
+            label: 'Data',
+            rows: [
+              {
+                key: 'ExportData',
+                type: 'dialog',
+                dialog: 'export',
+                label: 'Export data',
+                desc: 'Download a backup file or spreadsheets of your data',
+                value: 'JSON · CSV',
+              },
+              {
+                key: 'RestoreData',
+                type: 'dialog',
+                dialog: 'restore',
+                label: 'Restore from backup',
+                desc: 'Load a backup file into an empty account',
+                value: '',
+              },
+            ],
+          },
         ];
 
         const isUnset = (v) =>
@@ -317,9 +417,11 @@ function Settings() {
             {section.rows.map((row) => (
               <Box
                 key={row.key}
-                onClick={() =>
-                  row.type === 'toggle' ? toggleSetting(row) : openEditor(row)
-                }
+                onClick={() => {
+                  if (row.type === 'toggle') toggleSetting(row);
+                  else if (row.type === 'dialog') setDataDialog(row.dialog);
+                  else openEditor(row);
+                }}
                 sx={{
                   display: 'flex',
                   alignItems: 'center',
@@ -430,6 +532,43 @@ function Settings() {
               helperText="e.g. USD, EUR, ETB"
             />
           )}
+          {editing?.type === 'rateProvider' && (
+            <>
+              <FormControl fullWidth>
+                <InputLabel>Source</InputLabel>
+                <Select
+                  value={editValue}
+                  label="Source"
+                  onChange={(e) => setEditValue(e.target.value)}
+                >
+                  {RATE_PROVIDER_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.value ? option.label : <em>{option.label}</em>}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {(editValue === 'ecb' || editValue === 'json') && (
+                <TextField
+                  fullWidth
+                  label={editValue === 'json' ? 'Rates URL' : 'Rates URL (optional)'}
+                  value={editUrl}
+                  onChange={(e) => setEditUrl(e.target.value)}
+                  placeholder={
+                    editValue === 'json'
+                      ? 'https://api.frankfurter.app/latest?from=USD'
+                      : ECB_RATES_URL
+                  }
+                  helperText={
+                    editValue === 'json'
+                      ? 'Answers with { base, date, rates }'
+                      : 'Leave empty for the ECB, or point at another relay of its daily XML'
+                  }
+                  sx={{ mt: 2 }}
+                />
+              )}
+            </>
+          )}
           {editing?.type === 'account' && (
             <FormControl fullWidth>
               <InputLabel>Account</InputLabel>
@@ -502,7 +641,12 @@ function Settings() {
           <Button
             variant="contained"
             onClick={saveSetting}
-            disabled={isSaving}
+            disabled={
+              isSaving ||
+              (editing?.type === 'rateProvider' &&
+                editValue === 'json' &&
+                !editUrl.trim())
+            }
             startIcon={
               isSaving ? <CircularProgress size={20} color="inherit" /> : null
             }
@@ -511,6 +655,34 @@ function Settings() {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <AccountSecurityDialog
+        open={dataDialog === 'email'}
+        mode="email"
+        onClose={() => setDataDialog(null)}
+      />
+      <AccountSecurityDialog
+        open={dataDialog === 'password'}
+        mode="password"
+        onClose={() => setDataDialog(null)}
+      />
+      <TwoFactorDialog
+        open={dataDialog === 'mfa'}
+        onClose={() => setDataDialog(null)}
+      />
+      <CategorizationRulesDialog
+        open={dataDialog === 'rules'}
+        onClose={() => setDataDialog(null)}
+      />
+      <DataExportDialog
+        open={dataDialog === 'export'}
+        onClose={() => setDataDialog(null)}
+      />
+      <DataRestoreDialog
+        open={dataDialog === 'restore'}
+        onClose={() => setDataDialog(null)}
+        onRestored={handleManualRefresh}
+      />
     </Box>
   );
 }
@@ -4,6 +4,7 @@ import {
   selectAccountNameGetter,
   selectAccountCurrencyGetter,
   selectCategoryDisplayNameGetter,
+  selectAllTags,
   selectFilteredTransactions,
   selectShowBudgetOnRows,
 } from '../store/selectors';
@@ -19,6 +20,7 @@ import {
   FormControl,
   Grid,
   IconButton,
+  InputAdornment,
   InputLabel,
   MenuItem,
   Select,
@@ -46,6 +48,9 @@ import ChevronRightIcon from '@mui/icons-material/ChevronRight';
 import TodayIcon from '@mui/icons-material/Today';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import ChecklistIcon from '@mui/icons-material/Checklist';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import SearchIcon from '@mui/icons-material/Search';
+import ClearIcon from '@mui/icons-material/Clear';
 import {
   bulkDeleteTransactions as bulkDeleteTransactionsThunk,
   deleteTransaction,
@@ -76,11 +81,19 @@ import {
   tableAmountTextSx,
 } from '../components/common/transactionRowStyles';
 import AddTransferDialog from '../components/common/AddTransferDialog';
+import SavedSearchesMenu from '../components/common/SavedSearchesMenu';
+import {
+  EMPTY_TRANSACTION_FILTERS,
+  queryToTransactionFilters,
+} from '../utils/transactionQuery';
 import BulkEditTransactionsDialog from '../components/common/BulkEditTransactionsDialog';
+import ImportTransactionsDialog from '../components/common/ImportTransactionsDialog';
 import HeaderActionButton from '../components/common/HeaderActionButton';
 import SwipeAction from '../components/common/SwipeAction';
 import ConfirmDeleteDialog from '../components/common/ConfirmDeleteDialog';
 import RowBudgetBadge from '../components/common/RowBudgetBadge';
+import PendingSyncBadge from '../components/common/PendingSyncBadge';
+import AttachmentBadge from '../components/common/AttachmentBadge';
 import { useBudgetStatusMap } from '../hooks/useBudgetStatusMap';
 import { formatCurrency } from '../utils/currencyConversion';
 import {
@@ -93,6 +106,7 @@ import {
 } from 'date-fns';
 import { usePageRefresh } from '../hooks/usePageRefresh';
 import { flattenCategoryTree } from '../utils/categoryHierarchy';
+import { categoryLabel } from '../utils/transactionSplits';
 
 // ============================================
 // Memoized Row Components for Performance
@@ -206,7 +220,7 @@ const MobileTransactionRow = memo(function MobileTransactionRow({
                 !selectionMode && editableTextSx,
               ]}
             >
-              {getCategoryDisplayName(transaction.category_id)}
+              {categoryLabel(transaction, getCategoryDisplayName)}
             </Typography>
           )}
           {inline.isEditing('amount', transaction) ? (
@@ -284,6 +298,8 @@ const MobileTransactionRow = memo(function MobileTransactionRow({
               )}
             </Typography>
           )}
+          <AttachmentBadge transactionId={transaction.transaction_id} />
+          <PendingSyncBadge transactionId={transaction.transaction_id} />
           <RowBudgetBadge
             transaction={transaction}
             status={budgetStatus}
@@ -434,6 +450,11 @@ const MobileTransferRow = memo(function MobileTransferRow({
                 Math.abs(transferIn?.amount || 0),
                 getAccountCurrency(transferIn?.account_id)
               )}`}
+            {transfer.fee &&
+              ` • ${formatCurrency(
+                Math.abs(transfer.fee.amount || 0),
+                transfer.fee.currency
+              )} fee`}
           </Typography>
           <Typography
             variant="body2"
@@ -477,6 +498,7 @@ function Transactions() {
   const transactions = useSelector(selectFilteredTransactions);
   const { accounts } = useSelector((state) => state.accounts);
   const { categories } = useSelector((state) => state.categories);
+  const tags = useSelector(selectAllTags);
   const { transfers = [] } = useSelector((state) => state.transfers);
 
   // Memoized O(1) lookup functions from selectors
@@ -492,6 +514,7 @@ function Transactions() {
   const [deleteError, setDeleteError] = useState(null);
   const [openTransferDialog, setOpenTransferDialog] = useState(false);
   const [addTransactionOpen, setAddTransactionOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
   const [showTransfers, setShowTransfers] = useState(true);
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [editingTransaction, setEditingTransaction] = useState(null);
@@ -500,11 +523,18 @@ function Transactions() {
   const [filters, setFilters] = useState({
     accountId: '',
     categoryId: '',
+    tagId: '',
     type: '',
     status: '',
     startDate: format(new Date(), 'yyyy-MM-dd'),
     endDate: format(new Date(), 'yyyy-MM-dd'),
+    // The applied search query, and the parts of it the fields above can't
+    // hold (see utils/transactionQuery)
+    query: '',
+    conditions: [],
   });
+  const [searchText, setSearchText] = useState('');
+  const [searchErrors, setSearchErrors] = useState([]);
   const [selectedItems, setSelectedItems] = useState(new Set());
   const [selectionMode, setSelectionMode] = useState(false);
   const [isBulkDeleting, setIsBulkDeleting] = useState(false);
@@ -516,7 +546,7 @@ function Transactions() {
 
   // Refresh data on navigation
   usePageRefresh({
-    dataTypes: ['transactions', 'accounts', 'categories', 'transfers'],
+    dataTypes: ['transactions', 'accounts', 'categories', 'transfers', 'tags', 'attachments'],
     filters: {
       accounts: { status: 'Active' },
       categories: { status: 'Active' },
@@ -752,16 +782,32 @@ function Transactions() {
   }, []);
 
   const clearFilters = useCallback(() => {
-    setFilters({
-      accountId: '',
-      categoryId: '',
-      type: '',
-      status: '',
-      startDate: '',
-      endDate: '',
-    });
+    setFilters({ ...EMPTY_TRANSACTION_FILTERS, query: '', conditions: [] });
+    setSearchText('');
+    setSearchErrors([]);
   }, []);
 
+  // Run a search query: it replaces the filters wholesale, so a query with no
+  // dates searches all time rather than the day on screen
+  const applySearch = useCallback(
+    (text) => {
+      const query = text.trim();
+      setSearchText(query);
+      if (!query) {
+        setFilters((prev) => ({ ...prev, query: '', conditions: [] }));
+        setSearchErrors([]);
+        return;
+      }
+      const { filters: parsed, conditions, errors } = queryToTransactionFilters(
+        query,
+        { accounts, categories, tags }
+      );
+      setFilters({ ...parsed, query, conditions });
+      setSearchErrors(errors);
+    },
+    [accounts, categories, tags]
+  );
+
   // Calculate expense aggregation by currency for selected date
   const calculateExpensesByCurrency = () => {
     const selectedDateStr = format(selectedDate, 'yyyy-MM-dd');
@@ -802,8 +848,14 @@ function Transactions() {
       items.push({ type: 'transaction', data: txn });
     });
 
-    // Add transfers if enabled
-    if (showTransfers && transfers && Array.isArray(transfers)) {
+    // Add transfers if enabled. A search query describes transactions, so
+    // transfers stay out of its results.
+    if (
+      showTransfers &&
+      !filters.conditions.length &&
+      transfers &&
+      Array.isArray(transfers)
+    ) {
       transfers.forEach((transfer) => {
         const transferDate =
           transfer.date ||
@@ -872,6 +924,7 @@ function Transactions() {
     showTransfers,
     filters.startDate,
     filters.endDate,
+    filters.conditions,
   ]);
 
   // Render the list in chunks so large filtered sets don't build
@@ -888,8 +941,10 @@ function Transactions() {
   );
   const hiddenItemCount = combinedItems.length - visibleItems.length;
 
-  const activeFilterCount = Object.values(filters).filter(
-    (v) => v !== ''
+  // The query itself isn't counted: its terms are, as the fields they filled
+  // plus one for whatever else it asked for
+  const activeFilterCount = Object.entries(filters).filter(([key, v]) =>
+    key === 'conditions' ? v.length > 0 : key !== 'query' && v !== ''
   ).length;
 
   // Selection handlers
@@ -1006,6 +1061,12 @@ function Transactions() {
             icon={<SwapHorizIcon sx={{ fontSize: 20 }} />}
             onClick={handleOpenTransferDialog}
           />
+          <HeaderActionButton
+            variant="secondary"
+            label="Import statement"
+            icon={<UploadFileIcon sx={{ fontSize: 20 }} />}
+            onClick={() => setImportOpen(true)}
+          />
           <HeaderActionButton
             label="Add transaction"
             icon={<AddIcon sx={{ fontSize: 20 }} />}
@@ -1262,6 +1323,57 @@ function Transactions() {
           }}
         >
           <Grid container spacing={1.5} alignItems="center">
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                size="small"
+                placeholder='Search, e.g. amount>50 category:Food account:"Main Wallet" after:2026-01-01 -description:refund'
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    applySearch(searchText);
+                  }
+                }}
+                error={searchErrors.length > 0}
+                helperText={
+                  searchErrors.length > 0
+                    ? searchErrors.join(' · ')
+                    : searchText.trim() !== filters.query
+                    ? 'Press Enter to search'
+                    : ' '
+                }
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SearchIcon color="action" sx={{ fontSize: 20 }} />
+                    </InputAdornment>
+                  ),
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      {searchText && (
+                        <IconButton
+                          size="small"
+                          aria-label="Clear search"
+                          onClick={() => applySearch('')}
+                        >
+                          <ClearIcon fontSize="small" />
+                        </IconButton>
+                      )}
+                      <SavedSearchesMenu
+                        query={filters.query}
+                        onApply={applySearch}
+                      />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{
+                  '& .MuiInputBase-root': { fontSize: '0.875rem', minHeight: 36 },
+                  '& .MuiFormHelperText-root': { mx: 0 },
+                }}
+              />
+            </Grid>
             <Grid item xs={12} sm={6} md={2}>
               <FormControl fullWidth size="small">
                 <InputLabel sx={{ fontSize: '0.875rem' }}>Account</InputLabel>
@@ -1318,6 +1430,32 @@ function Transactions() {
                 </Select>
               </FormControl>
             </Grid>
+            {tags.length > 0 && (
+              <Grid item xs={12} sm={6} md={2}>
+                <FormControl fullWidth size="small">
+                  <InputLabel sx={{ fontSize: '0.875rem' }}>Tag</InputLabel>
+                  <Select
+                    value={filters.tagId}
+                    label="Tag"
+                    onChange={(e) => handleFilterChange('tagId', e.target.value)}
+                    sx={{ fontSize: '0.875rem', minHeight: 36 }}
+                  >
+                    <MenuItem value="" sx={{ fontSize: '0.875rem' }}>
+                      All Tags
+                    </MenuItem>
+                    {tags.map((tag) => (
+                      <MenuItem
+                        key={tag.tag_id}
+                        value={tag.tag_id}
+                        sx={{ fontSize: '0.875rem' }}
+                      >
+                        {tag.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            )}
             <Grid item xs={12} sm={6} md={2}>
               <FormControl fullWidth size="small">
                 <InputLabel sx={{ fontSize: '0.875rem' }}>Type</InputLabel>
@@ -1728,6 +1866,23 @@ function Transactions() {
                                 </Typography>
                               </>
                             )}
+                            {transfer.fee && (
+                              <Typography
+                                variant="body2"
+                                sx={{
+                                  fontSize: '0.75rem',
+                                  color: 'text.secondary',
+                                  whiteSpace: 'nowrap',
+                                }}
+                              >
+                                +{' '}
+                                {formatCurrency(
+                                  Math.abs(transfer.fee.amount || 0),
+                                  transfer.fee.currency
+                                )}{' '}
+                                fee
+                              </Typography>
+                            )}
                           </Box>
                         </TableCell>
                         <TableCell padding="none" />
@@ -1818,7 +1973,7 @@ function Transactions() {
                                   !(selectionMode || isBulkDeleting) && editableTextSx,
                                 ]}
                               >
-                                {getCategoryDisplayName(transaction.category_id)}
+                                {categoryLabel(transaction, getCategoryDisplayName)}
                               </Typography>
                               <RowBudgetBadge
                                 transaction={transaction}
@@ -1826,6 +1981,8 @@ function Transactions() {
                                 enabled={showBudgetOnRows}
                                 sx={{ flexShrink: 0 }}
                               />
+                              <AttachmentBadge transactionId={transaction.transaction_id} />
+                              <PendingSyncBadge transactionId={transaction.transaction_id} />
                             </Box>
                           )}
                         </TableCell>
@@ -2090,6 +2247,12 @@ function Transactions() {
         </DialogActions>
       </Dialog>
 
+      {/* Statement import (CSV / OFX / QIF) */}
+      <ImportTransactionsDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+      />
+
       {/* Add Transaction Dialog - Same as Home page */}
       <AddTransactionDialog
         open={addTransactionOpen}
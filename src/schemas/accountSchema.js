@@ -1,10 +1,36 @@
 import { z } from 'zod'
 
-export const accountSchema = z.object({
-  name: z.string().min(1, 'Name is required'),
-  type: z.enum(['Checking', 'Savings', 'Credit', 'Investment', 'Cash', 'Bank']),
-  currency: z.string().length(3, 'Currency must be a 3-letter code'),
-  openingBalance: z.number().default(0),
-  status: z.enum(['Active', 'Closed', 'Suspended']).optional(),
-})
+// An empty number field reads as NaN with valueAsNumber; treat it as blank
+const optionalNumber = (schema) =>
+  z.preprocess(
+    (val) => (val === '' || val === null || val === undefined || Number.isNaN(val) ? undefined : Number(val)),
+    schema.optional()
+  )
 
+const dayOfMonth = z
+  .number()
+  .int('Use a whole day')
+  .min(1, 'Use a day from 1 to 31')
+  .max(31, 'Use a day from 1 to 31')
+
+export const accountSchema = z
+  .object({
+    name: z.string().min(1, 'Name is required'),
+    type: z.enum(['Checking', 'Savings', 'Credit', 'Investment', 'Cash', 'Bank']),
+    currency: z.string().length(3, 'Currency must be a 3-letter code'),
+    openingBalance: z.number().default(0),
+    status: z.enum(['Active', 'Closed', 'Suspended']).optional(),
+    creditLimit: optionalNumber(z.number().positive('Credit limit must be greater than 0')),
+    statementClosingDay: optionalNumber(dayOfMonth),
+    paymentDueDay: optionalNumber(dayOfMonth),
+  })
+  .superRefine((data, ctx) => {
+    if (data.type !== 'Credit') return
+    // A cycle needs both days
+    if (data.statementClosingDay !== undefined && data.paymentDueDay === undefined) {
+      ctx.addIssue({ code: 'custom', path: ['paymentDueDay'], message: 'Payment due day is required' })
+    }
+    if (data.paymentDueDay !== undefined && data.statementClosingDay === undefined) {
+      ctx.addIssue({ code: 'custom', path: ['statementClosingDay'], message: 'Closing day is required' })
+    }
+  })
@@ -1,4 +1,5 @@
 import { z } from 'zod'
+import { BUDGET_PERIODS } from '../utils/budgetPeriods'
 
 export const budgetSchema = z.object({
   categoryId: z.string().min(1, 'Category is required'),
@@ -12,6 +13,7 @@ export const budgetSchema = z.object({
     .optional()
     .transform((val) => (val === '' ? undefined : val)),
   recurring: z.boolean().default(false),
+  rollover: z.boolean().default(false),
   startMonth: z
     .union([
       z.string().regex(/^\d{4}-\d{2}$/, 'Start month must be in YYYY-MM format'),
@@ -28,8 +30,28 @@ export const budgetSchema = z.object({
     .transform((val) => (val === '' ? undefined : val)),
   notes: z.string().optional(),
   status: z.enum(['Active', 'Archived']).optional(),
+  period: z.enum(BUDGET_PERIODS).default('monthly'),
+  weekStart: z.number().int().min(0).max(6).optional(),
+  periodStart: z
+    .union([
+      z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Start date must be in YYYY-MM-DD format'),
+      z.literal(''),
+    ])
+    .optional()
+    .transform((val) => (val === '' ? undefined : val)),
+  periodEnd: z
+    .union([
+      z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'End date must be in YYYY-MM-DD format'),
+      z.literal(''),
+    ])
+    .optional()
+    .transform((val) => (val === '' ? undefined : val)),
 }).refine(
   (data) => {
+    // A custom range carries its own dates instead of a month
+    if (data.period === 'custom') {
+      return true
+    }
     // For non-recurring budgets, month is required
     if (!data.recurring && !data.month) {
       return false
@@ -43,5 +65,13 @@ export const budgetSchema = z.object({
   {
     message: 'Month is required for non-recurring budgets, startMonth is required for recurring budgets',
   }
+).refine(
+  (data) =>
+    data.period !== 'custom' ||
+    (data.periodStart && data.periodEnd && data.periodEnd >= data.periodStart),
+  {
+    message: 'A custom period needs a start date and an end date on or after it',
+    path: ['periodEnd'],
+  }
 )
 
@@ -0,0 +1,70 @@
+import { z } from 'zod'
+import { regexPatternError } from '../utils/categorizationRules'
+
+// Amounts are typed as text so an empty field means "no limit"
+const optionalAmount = z
+  .string()
+  .optional()
+  .refine((v) => !v || (Number.isFinite(Number(v)) && Number(v) >= 0), 'Enter an amount of 0 or more')
+
+export const categorizationRuleSchema = z
+  .object({
+    name: z.string().trim().min(1, 'Name is required'),
+    transactionType: z.enum(['Expense', 'Income']),
+    // Conditions
+    descriptionMatch: z.enum(['contains', 'regex']),
+    descriptionPattern: z.string().optional(),
+    amountMin: optionalAmount,
+    amountMax: optionalAmount,
+    accountId: z.string().optional(),
+    entityName: z.string().optional(),
+    // Actions
+    setCategoryId: z.string().optional(),
+    setDescription: z.string().optional(),
+    addTags: z.array(z.string()).optional(),
+    paused: z.boolean().default(false),
+  })
+  .superRefine((data, ctx) => {
+    const filled = (v) => !!String(v || '').trim()
+    if (
+      !filled(data.descriptionPattern) &&
+      !filled(data.amountMin) &&
+      !filled(data.amountMax) &&
+      !filled(data.accountId) &&
+      !filled(data.entityName)
+    ) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['descriptionPattern'],
+        message: 'Give the rule at least one condition',
+      })
+    }
+    if (
+      !filled(data.setCategoryId) &&
+      !filled(data.setDescription) &&
+      !data.addTags?.length
+    ) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['setCategoryId'],
+        message: 'Give the rule something to do: a category, a description or tags',
+      })
+    }
+    if (data.descriptionMatch === 'regex' && filled(data.descriptionPattern)) {
+      const problem = regexPatternError(data.descriptionPattern.trim())
+      if (problem) {
+        ctx.addIssue({ code: 'custom', path: ['descriptionPattern'], message: problem })
+      }
+    }
+    if (
+      filled(data.amountMin) &&
+      filled(data.amountMax) &&
+      Number(data.amountMin) > Number(data.amountMax)
+    ) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['amountMax'],
+        message: 'Must be at least the smallest amount',
+      })
+    }
+  })
@@ -0,0 +1,16 @@
+import { z } from 'zod'
+
+export const exchangeRateSchema = z
+  .object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date is required'),
+    fromCurrency: z.string().regex(/^[A-Za-z]{3}$/, 'Use a 3-letter code'),
+    toCurrency: z.string().regex(/^[A-Za-z]{3}$/, 'Use a 3-letter code'),
+    rate: z
+      .number({ invalid_type_error: 'Rate is required' })
+      .positive('Rate must be greater than 0'),
+    description: z.string().optional(),
+  })
+  .refine((data) => data.fromCurrency.toUpperCase() !== data.toCurrency.toUpperCase(), {
+    message: 'Must differ from the from currency',
+    path: ['toCurrency'],
+  })
@@ -0,0 +1,52 @@
+import { z } from 'zod'
+
+// An empty number field reads as NaN with valueAsNumber; treat it as blank
+const optionalNumber = (schema) =>
+  z.preprocess(
+    (val) => (val === '' || val === null || val === undefined || Number.isNaN(val) ? undefined : Number(val)),
+    schema.optional()
+  )
+
+export const holdingSchema = z.object({
+  symbol: z
+    .string()
+    .trim()
+    .min(1, 'Symbol is required')
+    .max(20, 'Keep the symbol under 20 characters'),
+  name: z.string().optional(),
+  currency: z.string().regex(/^[A-Za-z]{3}$/, 'Use a 3-letter code'),
+  costMethod: z.enum(['FIFO', 'Average']),
+})
+
+export const tradeSchema = z
+  .object({
+    kind: z.enum(['Buy', 'Sell', 'Dividend']),
+    tradeDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date is required'),
+    quantity: optionalNumber(z.number().positive('Quantity must be greater than 0')),
+    price: optionalNumber(z.number().min(0, "Price can't be negative")),
+    fees: optionalNumber(z.number().min(0, "Fees can't be negative")),
+    amount: optionalNumber(z.number().positive('Amount must be greater than 0')),
+    cashAmount: z.number({ invalid_type_error: 'Cash amount is required' }),
+    notes: z.string().optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (data.kind === 'Dividend') {
+      if (data.amount === undefined) {
+        ctx.addIssue({ code: 'custom', path: ['amount'], message: 'Amount is required' })
+      }
+      return
+    }
+    if (data.quantity === undefined) {
+      ctx.addIssue({ code: 'custom', path: ['quantity'], message: 'Quantity is required' })
+    }
+    if (data.price === undefined) {
+      ctx.addIssue({ code: 'custom', path: ['price'], message: 'Price is required' })
+    }
+  })
+
+export const priceSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date is required'),
+  price: z
+    .number({ invalid_type_error: 'Price is required' })
+    .positive('Price must be greater than 0'),
+})
@@ -0,0 +1,42 @@
+import { z } from 'zod'
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format')
+
+export const recurringTransactionSchema = z
+  .object({
+    type: z.enum(['Income', 'Expense']),
+    accountId: z.string().min(1, 'Account is required'),
+    categoryId: z.string().min(1, 'Category is required'),
+    amount: z.number().min(0.01, 'Amount must be greater than 0'),
+    description: z.string().optional(),
+    frequency: z.enum(['Daily', 'Weekly', 'Monthly', 'Yearly']),
+    intervalCount: z.number().int('Must be a whole number').min(1, 'Must be at least 1'),
+    // Monthly only: same day of the month, or the start date's weekday in
+    // the same position ("third Tuesday", "last Friday")
+    monthlyOn: z.enum(['day', 'nth', 'last']),
+    startDate: dateString,
+    endsOn: z.enum(['never', 'date', 'count']),
+    endDate: z.union([dateString, z.literal('')]).optional(),
+    maxOccurrences: z.number().int('Must be a whole number').min(1, 'Must be at least 1').optional(),
+    paused: z.boolean().default(false),
+  })
+  .superRefine((data, ctx) => {
+    if (data.endsOn === 'date') {
+      if (!data.endDate) {
+        ctx.addIssue({ code: 'custom', path: ['endDate'], message: 'End date is required' })
+      } else if (data.endDate < data.startDate) {
+        ctx.addIssue({
+          code: 'custom',
+          path: ['endDate'],
+          message: 'End date must be on or after the start date',
+        })
+      }
+    }
+    if (data.endsOn === 'count' && !data.maxOccurrences) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['maxOccurrences'],
+        message: 'Number of occurrences is required',
+      })
+    }
+  })
@@ -0,0 +1,29 @@
+import { z } from 'zod'
+
+export const savingsGoalSchema = z
+  .object({
+    name: z.string().trim().min(1, 'Name is required'),
+    targetAmount: z.number().min(0.01, 'Target must be greater than 0'),
+    currency: z.string().length(3, 'Currency must be a 3-letter code'),
+    targetDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Target date is required'),
+    tracking: z.enum(['balance', 'transfers']),
+    accountId: z.string().optional(),
+    tagName: z.string().optional(),
+    archived: z.boolean().default(false),
+  })
+  .superRefine((data, ctx) => {
+    if (data.tracking === 'balance' && !data.accountId) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['accountId'],
+        message: 'Choose the account that holds the savings',
+      })
+    }
+    if (data.tracking === 'transfers' && !String(data.tagName || '').trim()) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['tagName'],
+        message: 'Name the tag that marks transfers toward this goal',
+      })
+    }
+  })
@@ -1,19 +1,54 @@
 import { z } from 'zod'
+import { splitRemainder } from '../utils/transactionSplits'
 
-export const transactionSchema = z.object({
-  accountId: z.string().min(1, 'Account is required'),
+// One category line of a split transaction. The amount is typed into a plain
+// text box, so it arrives as a string.
+const splitLineSchema = z.object({
   categoryId: z.string().min(1, 'Category is required'),
-  amount: z.number().min(0.01, 'Amount must be greater than 0'),
-  currency: z.string().length(3, 'Currency must be a 3-letter code'),
+  amount: z.coerce.number().min(0.01, 'Amount must be greater than 0'),
   description: z.string().optional(),
-  // Counterparty for borrowing/lending transactions. Optional here because
-  // whether it is required depends on the selected category — the form checks
-  // that (see isEntityNameRequired in utils/borrowingLendingParser).
-  entityName: z.string().optional(),
-  type: z.enum(['Income', 'Expense', 'Transfer', 'Transfer Out', 'Transfer In']).optional(),
-  status: z.enum(['Pending', 'Cleared', 'Reconciled', 'Cancelled']).optional(),
-  date: z.string().optional(),
 })
 
-export const batchTransactionSchema = z.array(transactionSchema).max(1000, 'Maximum 1000 transactions per batch')
+export const transactionSchema = z
+  .object({
+    accountId: z.string().min(1, 'Account is required'),
+    categoryId: z.string().min(1, 'Category is required'),
+    amount: z.number().min(0.01, 'Amount must be greater than 0'),
+    currency: z.string().length(3, 'Currency must be a 3-letter code'),
+    description: z.string().optional(),
+    // Counterparty for borrowing/lending transactions. Optional here because
+    // whether it is required depends on the selected category — the form checks
+    // that (see isEntityNameRequired in utils/borrowingLendingParser).
+    entityName: z.string().optional(),
+    type: z.enum(['Income', 'Expense', 'Transfer', 'Transfer Out', 'Transfer In']).optional(),
+    status: z.enum(['Pending', 'Cleared', 'Reconciled', 'Cancelled']).optional(),
+    date: z.string().optional(),
+    // Category lines when the amount is split; empty or absent when it isn't
+    splits: z.array(splitLineSchema).optional(),
+    // Tag names; saved separately from the transaction row (see tagsSlice)
+    tags: z.array(z.string()).optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (!data.splits?.length) return
+    if (data.splits.length < 2) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['splits'],
+        message: 'A split needs at least two category lines',
+      })
+      return
+    }
+    const remainder = splitRemainder(data.amount, data.splits)
+    if (remainder !== 0) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['splits'],
+        message:
+          remainder > 0
+            ? `${remainder.toFixed(2)} still to assign to a category`
+            : `Lines are ${Math.abs(remainder).toFixed(2)} over the amount`,
+      })
+    }
+  })
 
+export const batchTransactionSchema = z.array(transactionSchema).max(1000, 'Maximum 1000 transactions per batch')
@@ -38,6 +38,18 @@ export const transferSchema = z.object({
   ratePlatform: z.string().optional(),
   status: z.enum(['Pending', 'Cleared', 'Reconciled', 'Cancelled']).optional(),
   date: z.string().optional(),
+  // Optional fee, charged in the source ('from') or destination ('to') currency
+  feeAmount: z.preprocess(
+    (val) => {
+      if (val === '' || val === null || val === undefined || isNaN(val)) {
+        return undefined;
+      }
+      return Number(val);
+    },
+    z.number().min(0, 'Fee cannot be negative').optional()
+  ),
+  feeSide: z.enum(['from', 'to']).optional(),
+  feeCategoryId: z.string().nullable().optional(),
 }).refine(
   (data) => {
     // Either amount (same currency) or both fromAmount and toAmount (multi-currency)
@@ -49,5 +61,10 @@ export const transferSchema = z.object({
     message: 'Either amount (same currency) or both fromAmount and toAmount (multi-currency) are required',
     path: ['root'],
   }
+).refine(
+  (data) => !(data.feeAmount > 0) || !!data.feeCategoryId,
+  {
+    message: 'Category is required for a fee',
+    path: ['feeCategoryId'],
+  }
 )
-
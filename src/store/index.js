@@ -11,8 +11,17 @@ import transfersReducer from './slices/transfersSlice'
 import borrowingsLendingsReducer from './slices/borrowingsLendingsSlice'
 import settingsReducer from './slices/settingsSlice'
 import exchangeRatesReducer from './slices/exchangeRatesSlice'
+import recurringTransactionsReducer from './slices/recurringTransactionsSlice'
+import tagsReducer from './slices/tagsSlice'
+import categorizationRulesReducer from './slices/categorizationRulesSlice'
+import savingsGoalsReducer from './slices/savingsGoalsSlice'
+import investmentsReducer from './slices/investmentsSlice'
+import counterpartiesReducer from './slices/counterpartiesSlice'
+import attachmentsReducer from './slices/attachmentsSlice'
+import netWorthReducer from './slices/netWorthSlice'
 import appInitReducer from './slices/appInitSlice'
 import syncReducer from './slices/syncSlice'
+import outboxReducer from './slices/outboxSlice'
 import notificationsReducer from './slices/notificationsSlice'
 import { notificationsMiddleware } from './notificationsMiddleware'
 import '../utils/storageDebug' // Import debug utilities
@@ -59,7 +68,8 @@ const stripTransientFlags = createTransform(
 
 // Bump this whenever the persisted shape or sync semantics change: any
 // version mismatch purges the cache and forces a clean full re-sync on the
-// next launch instead of limping along on a stale/corrupted local store
+// next launch instead of limping along on a stale/corrupted local store.
+// The purge takes the outbox with it, so offline changes not yet sent are lost
 const PERSIST_VERSION = 3
 
 // Persist config - persist all slices except auth
@@ -67,7 +77,7 @@ const persistConfig = {
   key: 'root',
   version: PERSIST_VERSION,
   storage: persistStorage,
-  whitelist: ['accounts', 'categories', 'transactions', 'budgets', 'transfers', 'borrowingsLendings', 'settings', 'exchangeRates', 'appInit', 'sync'],
+  whitelist: ['accounts', 'categories', 'transactions', 'budgets', 'transfers', 'borrowingsLendings', 'settings', 'exchangeRates', 'recurringTransactions', 'tags', 'categorizationRules', 'savingsGoals', 'investments', 'counterparties', 'attachments', 'appInit', 'sync', 'outbox'],
   // Coalesce writes to at most once/sec. Without this, every state change
   // (each realtime merge, background fetch, optimistic edit) re-serializes the
   // ENTIRE persisted state — including the whole transactions array — to
@@ -94,10 +104,19 @@ const rootReducer = combineReducers({
   borrowingsLendings: borrowingsLendingsReducer,
   settings: settingsReducer,
   exchangeRates: exchangeRatesReducer,
+  recurringTransactions: recurringTransactionsReducer,
+  tags: tagsReducer,
+  categorizationRules: categorizationRulesReducer,
+  savingsGoals: savingsGoalsReducer,
+  investments: investmentsReducer,
+  counterparties: counterpartiesReducer,
+  attachments: attachmentsReducer,
   appInit: appInitReducer,
   sync: syncReducer,
+  outbox: outboxReducer,
   // Transient — deliberately absent from the persist whitelist
   notifications: notificationsReducer,
+  netWorth: netWorthReducer,
 })
 
 const persistedReducer = persistReducer(persistConfig, rootReducer)
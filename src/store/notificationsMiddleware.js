@@ -19,9 +19,12 @@ const plural = (count, noun) =>
 // to stay listed either way, because ERROR_ELIGIBLE below is derived from these
 // keys, and dropping one would take its error toast down with it.
 const SUCCESS_MESSAGES = {
-  'transactions/createTransaction/fulfilled': 'Transaction added',
+  // `meta.queued`: saved offline, to be sent once the connection is back
+  'transactions/createTransaction/fulfilled': (action) =>
+    action.meta.queued ? "Transaction added offline. It will sync when you're back online" : 'Transaction added',
   'transactions/updateTransaction/fulfilled': null,
-  'transactions/deleteTransaction/fulfilled': 'Transaction deleted',
+  'transactions/deleteTransaction/fulfilled': (action) =>
+    action.meta.queued ? "Transaction deleted offline. It will sync when you're back online" : 'Transaction deleted',
   'transactions/batchCreateTransactions/fulfilled': (action) => {
     const count = countOf(action.payload)
     return count ? `${plural(count, 'transaction')} added` : 'Transactions added'
@@ -47,6 +50,7 @@ const SUCCESS_MESSAGES = {
   'categories/createCategory/fulfilled': 'Category created',
   'categories/updateCategory/fulfilled': 'Category updated',
   'categories/deleteCategory/fulfilled': 'Category deleted',
+  'categories/mergeCategories/fulfilled': 'Categories merged',
   'budgets/createBudget/fulfilled': 'Budget created',
   'budgets/updateBudget/fulfilled': 'Budget updated',
   'budgets/deleteBudget/fulfilled': 'Budget deleted',
@@ -55,7 +59,59 @@ const SUCCESS_MESSAGES = {
   'borrowingsLendings/deleteBorrowingLendingRecord/fulfilled': 'Record deleted',
   'borrowingsLendings/recordPayment/fulfilled': 'Payment recorded',
   'borrowingsLendings/markAsFullyPaid/fulfilled': 'Marked as fully paid',
+  'recurringTransactions/createRecurringTransaction/fulfilled': 'Recurring transaction created',
+  'recurringTransactions/updateRecurringTransaction/fulfilled': 'Recurring transaction updated',
+  'recurringTransactions/deleteRecurringTransaction/fulfilled': 'Recurring transaction deleted',
+  'recurringTransactions/skipOccurrence/fulfilled': (action) =>
+    action.meta.arg.skip === false ? 'Occurrence restored' : 'Occurrence skipped',
+  'recurringTransactions/editOccurrence/fulfilled': 'Occurrence updated',
+  'recurringTransactions/postOccurrenceNow/fulfilled': 'Transaction added',
+  'categorizationRules/createCategorizationRule/fulfilled': 'Rule created',
+  'categorizationRules/updateCategorizationRule/fulfilled': 'Rule updated',
+  'categorizationRules/reorderCategorizationRules/fulfilled': null,
+  'categorizationRules/deleteCategorizationRule/fulfilled': 'Rule deleted',
+  'savingsGoals/createSavingsGoal/fulfilled': 'Goal created',
+  'savingsGoals/updateSavingsGoal/fulfilled': 'Goal updated',
+  'savingsGoals/deleteSavingsGoal/fulfilled': 'Goal deleted',
+  'investments/createHolding/fulfilled': (action) => `${action.payload.symbol} added`,
+  'investments/updateHolding/fulfilled': 'Holding updated',
+  'investments/deleteHolding/fulfilled': 'Holding deleted',
+  'investments/createTrade/fulfilled': (action) => `${action.payload.kind} recorded`,
+  'investments/updateTrade/fulfilled': 'Trade updated',
+  'investments/deleteTrade/fulfilled': 'Trade deleted',
+  'investments/savePrices/fulfilled': (action) =>
+    action.meta.arg.source === 'import'
+      ? `${plural(action.payload.length, 'price')} imported`
+      : 'Price saved',
+  'investments/deletePrice/fulfilled': 'Price deleted',
+  'counterparties/updateCounterparty/fulfilled': 'Person updated',
+  'counterparties/mergeCounterparties/fulfilled': (action) =>
+    `Merged into ${action.payload.target.name}`,
+  'counterparties/deleteCounterparty/fulfilled': 'Person deleted',
+  // A scanned receipt is attached as its transactions are saved, which
+  // already says so
+  'attachments/addAttachment/fulfilled': (action) =>
+    action.meta.arg.fromReceipt ? null : 'File attached',
+  'attachments/replaceAttachment/fulfilled': 'Attachment replaced',
+  'attachments/deleteAttachment/fulfilled': 'Attachment removed',
+  'exchangeRates/createManualExchangeRate/fulfilled': 'Exchange rate added',
+  'exchangeRates/importExchangeRates/fulfilled': (action) =>
+    `${plural(action.payload.length, 'exchange rate')} imported`,
+  'exchangeRates/updateExchangeRate/fulfilled': 'Exchange rate updated',
+  'exchangeRates/deleteExchangeRate/fulfilled': 'Exchange rate deleted',
+  // The transaction save that carries the tags already says so
+  'tags/setTransactionTags/fulfilled': null,
+  'tags/updateTransactionsTags/fulfilled': (action) =>
+    `Tags updated on ${plural(action.payload.transactionIds.length, 'transaction')}`,
   'settings/updateSetting/fulfilled': null,
+  'outbox/replayOutbox/fulfilled': (action) => {
+    const { synced, conflicts, failed } = action.payload
+    const unsettled = conflicts + failed
+    if (unsettled > 0) {
+      return `${plural(unsettled, 'offline change')} need${unsettled === 1 ? 's' : ''} your attention`
+    }
+    return synced ? `${plural(synced, 'offline change')} synced` : null
+  },
   // Kept: the bulk save is an explicit action whose result isn't a single
   // control moving, so there's nothing on screen to stand in for the toast.
   'settings/updateSettings/fulfilled': 'Settings saved',
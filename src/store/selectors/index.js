@@ -1,10 +1,23 @@
 import { createSelector } from '@reduxjs/toolkit';
 import { applyTransactionFilters } from '../slices/transactionsSlice';
 import { getCategoryDescendants } from '../../utils/categoryHierarchy';
+import {
+  buildExchangeRateLookup,
+  convertAmountWithLookup,
+} from '../../utils/currencyConversion';
 import {
   DISMISSED_BUDGET_ALERTS_KEY,
   parseDismissals,
 } from '../../utils/budgetDismissals';
+import { buildTagIdsByTransaction } from '../../utils/tags';
+import { goalProgress } from '../../utils/savingsGoals';
+import {
+  buildPriceLookup,
+  marketValueByAccount,
+  valueHoldings,
+} from '../../utils/investments';
+import { summarizeCounterparties } from '../../utils/counterpartyLedger';
+import { creditCardStatus } from '../../utils/creditStatements';
 
 // ============================================
 // Base Selectors (simple state accessors)
@@ -32,6 +45,33 @@ export const selectTransactionsLoading = (state) => state.transactions.loading;
 export const selectSettingsState = (state) => state.settings;
 export const selectAllSettings = (state) => state.settings.settings;
 
+// Exchange rates
+export const selectExchangeRates = (state) => state.exchangeRates.exchangeRates;
+
+// Tags
+export const selectAllTags = (state) => state.tags.tags;
+export const selectTransactionTagLinks = (state) => state.tags.transactionTags;
+
+// Categorisation rules (in running order)
+export const selectCategorizationRules = (state) => state.categorizationRules.rules;
+
+// Savings goals (active first, then by target date)
+export const selectSavingsGoals = (state) => state.savingsGoals.goals;
+
+// Investment holdings (by symbol), their trades and prices (oldest first)
+export const selectHoldings = (state) => state.investments.holdings;
+export const selectHoldingTrades = (state) => state.investments.trades;
+export const selectSecurityPrices = (state) => state.investments.prices;
+
+// Counterparties (by name)
+export const selectCounterparties = (state) => state.counterparties.counterparties;
+
+// Transaction attachments (oldest first)
+export const selectAttachments = (state) => state.attachments.attachments;
+
+// Offline changes waiting to be sent, oldest first
+export const selectOutboxEntries = (state) => state.outbox.entries;
+
 // ============================================
 // Memoized Account Selectors
 // ============================================
@@ -318,16 +358,53 @@ export const selectDefaultAccount = createSelector(
 );
 
 /**
- * Get currency totals across all active accounts
+ * Every holding with its position, latest price, market value and gains
+ * (valueHoldings in utils/investments), in the holding's currency
+ * Memoized - recomputes when holdings, trades or prices change
+ */
+export const selectValuedHoldings = createSelector(
+  [selectHoldings, selectHoldingTrades, selectSecurityPrices],
+  (holdings, trades, prices) =>
+    valueHoldings({ holdings, trades, priceLookup: buildPriceLookup(prices) })
+);
+
+/**
+ * account_id -> what the account's holdings are worth in the account's own
+ * currency, at the latest exchange rates. A holding currency with no rate is
+ * added as it is, like balances elsewhere.
+ */
+export const selectAccountMarketValues = createSelector(
+  [selectValuedHoldings, selectAccountMap, selectExchangeRates],
+  (valued, accountMap, exchangeRates) => {
+    const lookup = buildExchangeRateLookup(exchangeRates);
+    const result = new Map();
+    marketValueByAccount(valued).forEach((byCurrency, accountId) => {
+      const currency = accountMap.get(accountId)?.currency;
+      let total = 0;
+      byCurrency.forEach((value, holdingCurrency) => {
+        const converted = convertAmountWithLookup(value, holdingCurrency, currency, lookup);
+        total += converted !== null ? converted : value;
+      });
+      result.set(accountId, total);
+    });
+    return result;
+  }
+);
+
+/**
+ * Get currency totals across all active accounts, holdings at market value
+ * included
  * Returns: { USD: 1000, EUR: 500, ... }
  */
 export const selectCurrencyTotals = createSelector(
-  [selectActiveAccounts],
-  (accounts) => {
+  [selectActiveAccounts, selectAccountMarketValues],
+  (accounts, marketValues) => {
     const totals = {};
     accounts.forEach((account) => {
       const currency = account.currency;
-      const balance = account.current_balance ?? account.opening_balance ?? 0;
+      const balance =
+        (account.current_balance ?? account.opening_balance ?? 0) +
+        (marketValues.get(account.account_id) || 0);
       totals[currency] = (totals[currency] || 0) + balance;
     });
     return totals;
@@ -335,15 +412,25 @@ export const selectCurrencyTotals = createSelector(
 );
 
 /**
- * Get total balance in base currency (requires exchange rates in state)
- * This is a placeholder - actual implementation would need exchange rate state
+ * Get total balance across active accounts in base currency, at the latest
+ * rate for each currency. A currency with no recorded rate is added as it is,
+ * as elsewhere in the app. For the total on past dates see
+ * buildNetWorthHistory (utils/netWorth), which converts at the rate in effect
+ * on each month end.
  */
 export const selectTotalBalanceInBaseCurrency = createSelector(
-  [selectCurrencyTotals, selectBaseCurrency],
-  (currencyTotals, baseCurrency) => {
-    // For accounts in base currency, return directly
-    // For other currencies, conversion would be needed (requires exchange rates)
-    return currencyTotals[baseCurrency] || 0;
+  [selectCurrencyTotals, selectBaseCurrency, selectExchangeRates],
+  (currencyTotals, baseCurrency, exchangeRates) => {
+    const lookup = buildExchangeRateLookup(exchangeRates);
+    return Object.entries(currencyTotals).reduce((total, [currency, amount]) => {
+      const converted = convertAmountWithLookup(
+        amount,
+        currency,
+        baseCurrency,
+        lookup
+      );
+      return total + (converted !== null ? converted : amount);
+    }, 0);
   }
 );
 
@@ -351,19 +438,133 @@ export const selectTotalBalanceInBaseCurrency = createSelector(
 /**
  * Counterparties already on record, for the "Who is this with?" suggestions.
  * Reusing an existing spelling keeps one ledger per person instead of two.
+ * Aliases aren't offered: they already lead to the counterparty's name.
  */
 export const selectEntityNameSuggestions = createSelector(
-  [(state) => state.borrowingsLendings.records],
-  (records) =>
+  [(state) => state.borrowingsLendings.records, selectCounterparties],
+  (records, counterparties) =>
     Array.from(
       new Set(
-        (records || [])
-          .map((r) => (r.entity_name || '').trim())
+        [
+          ...(counterparties || []).map((c) => c.name),
+          ...(records || []).map((r) => r.entity_name),
+        ]
+          .map((name) => (name || '').trim())
           .filter((name) => name && name !== 'Unknown')
       )
     ).sort((a, b) => a.localeCompare(b))
 );
 
+/**
+ * The people list: each counterparty's record counts and net position per
+ * currency (see summarizeCounterparties)
+ */
+export const selectCounterpartySummaries = createSelector(
+  [selectCounterparties, (state) => state.borrowingsLendings.records],
+  (counterparties, records) => summarizeCounterparties(counterparties, records)
+);
+
+// ============================================
+// Memoized Tag Selectors
+// ============================================
+
+/**
+ * transaction_id -> tag ids, from the join rows
+ * Memoized - only rebuilds when a link is added or removed
+ */
+export const selectTagIdsByTransaction = createSelector(
+  [selectTransactionTagLinks],
+  (links) => buildTagIdsByTransaction(links)
+);
+
+/**
+ * Create a Map for O(1) tag lookups by ID
+ */
+export const selectTagMap = createSelector(
+  [selectAllTags],
+  (tags) => new Map(tags.map((tag) => [tag.tag_id, tag]))
+);
+
+/**
+ * transaction_id -> its attachments, for the paperclip on rows and the list
+ * in the edit dialog
+ */
+export const selectAttachmentsByTransaction = createSelector(
+  [selectAttachments],
+  (attachments) => {
+    const byTransaction = new Map();
+    (attachments || []).forEach((attachment) => {
+      const list = byTransaction.get(attachment.transaction_id);
+      if (list) {
+        list.push(attachment);
+      } else {
+        byTransaction.set(attachment.transaction_id, [attachment]);
+      }
+    });
+    return byTransaction;
+  }
+);
+
+// ============================================
+// Memoized Savings Goal Selectors
+// ============================================
+
+/**
+ * goal_id -> goalProgress (utils/savingsGoals) for every goal
+ * Memoized - recomputes when goals, balances, transactions, tags or rates change
+ */
+export const selectSavingsGoalProgress = createSelector(
+  [
+    selectSavingsGoals,
+    selectAllAccounts,
+    selectAllTransactions,
+    selectTagIdsByTransaction,
+    selectExchangeRates,
+  ],
+  (goals, accounts, transactions, tagIdsByTransaction, exchangeRates) => {
+    const rateLookup = buildExchangeRateLookup(exchangeRates);
+    return new Map(
+      goals.map((goal) => [
+        goal.goal_id,
+        goalProgress(goal, { accounts, transactions, tagIdsByTransaction, rateLookup }),
+      ])
+    );
+  }
+);
+
+// ============================================
+// Memoized Credit Card Selectors
+// ============================================
+
+/**
+ * account_id -> creditCardStatus (utils/creditStatements) for every active
+ * Credit account
+ * Memoized - recomputes when accounts or transactions change
+ */
+export const selectCreditCardStatuses = createSelector(
+  [selectAllAccounts, selectAllTransactions],
+  (accounts, transactions) =>
+    new Map(
+      accounts
+        .filter((account) => account.type === 'Credit' && account.status === 'Active')
+        .map((account) => [account.account_id, creditCardStatus(account, transactions)])
+    )
+);
+
+// ============================================
+// Memoized Outbox Selectors
+// ============================================
+
+/**
+ * transaction_id -> outbox status ('pending', 'conflict' or 'failed') for
+ * every row with an unsent offline change
+ * Memoized - only rebuilds when the outbox changes
+ */
+export const selectOutboxStatusByTransaction = createSelector(
+  [selectOutboxEntries],
+  (entries) => new Map(entries.map((entry) => [entry.transactionId, entry.status]))
+);
+
 /**
  * The visible (filtered) transactions list, derived from the single
  * allTransactions cache + the active client-side filters. Replaces the
@@ -374,7 +575,14 @@ export const selectFilteredTransactions = createSelector(
   [
     (state) => state.transactions.allTransactions,
     (state) => state.transactions.activeFilters,
+    selectTagIdsByTransaction,
+    selectCategoryMap,
   ],
-  (allTransactions, activeFilters) =>
-    applyTransactionFilters(allTransactions, activeFilters || {})
+  (allTransactions, activeFilters, tagIdsByTransaction, categoryMap) =>
+    applyTransactionFilters(
+      allTransactions,
+      activeFilters || {},
+      tagIdsByTransaction,
+      categoryMap
+    )
 );
@@ -4,9 +4,22 @@ import { fetchTransactions } from './transactionsSlice'
 import { fetchCategories } from './categoriesSlice'
 import { fetchBudgets } from './budgetsSlice'
 import { fetchTransfers } from './transfersSlice'
-import { fetchBorrowingLendingRecords } from './borrowingsLendingsSlice'
+import {
+  fetchBorrowingLendingRecords,
+  remindDueBorrowingsLendings,
+} from './borrowingsLendingsSlice'
 import { fetchSettings } from './settingsSlice'
-import { setExchangeRates } from './exchangeRatesSlice'
+import { setExchangeRates, syncProviderRates } from './exchangeRatesSlice'
+import {
+  fetchRecurringTransactions,
+  materializeRecurringTransactions,
+} from './recurringTransactionsSlice'
+import { fetchTags } from './tagsSlice'
+import { fetchCategorizationRules } from './categorizationRulesSlice'
+import { fetchSavingsGoals } from './savingsGoalsSlice'
+import { fetchInvestments } from './investmentsSlice'
+import { fetchCounterparties } from './counterpartiesSlice'
+import { fetchAttachments } from './attachmentsSlice'
 import { markFullSync } from './syncSlice'
 import * as exchangeRatesApi from '../../lib/api/exchangeRates'
 import { clearPersistedStorage, hasPersistedData } from '../../utils/clearPersistedStorage'
@@ -56,6 +69,13 @@ export const initializeApp = createAsyncThunk(
           console.warn('Exchange rates fetch failed during init:', err?.message)
           return []
         }),
+        dispatch(fetchRecurringTransactions()),
+        dispatch(fetchTags()),
+        dispatch(fetchCategorizationRules()),
+        dispatch(fetchSavingsGoals()),
+        dispatch(fetchInvestments()),
+        dispatch(fetchCounterparties()),
+        dispatch(fetchAttachments()),
       ])
 
       if (needsFullSync) {
@@ -97,6 +117,15 @@ export const initializeApp = createAsyncThunk(
       // Store exchange rates
       dispatch(setExchangeRates(exchangeRates || []))
 
+      // Post recurring transactions that have come due since the last launch.
+      // Not awaited: it refetches transactions itself if it posted anything,
+      // and a failure here shouldn't hold up (or fail) the launch.
+      dispatch(materializeRecurringTransactions())
+      // Likewise today's rates from the rate provider, if one is set up
+      dispatch(syncProviderRates())
+      // And a reminder about repayments due or overdue
+      dispatch(remindDueBorrowingsLendings())
+
       return {
         accounts,
         transactions,
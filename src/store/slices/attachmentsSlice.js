@@ -0,0 +1,149 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as attachmentsApi from '../../lib/api/attachments'
+
+// Attachment rows are small (the files stay in storage), so every fetch is a
+// full one (no `since`), like tags
+
+// Async thunks
+export const fetchAttachments = createAsyncThunk(
+  'attachments/fetchAttachments',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await attachmentsApi.getAttachments()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// `source` is a File, or a data URL (a scanned receipt, with `fromReceipt`
+// set so the save's own message is the only one)
+export const addAttachment = createAsyncThunk(
+  'attachments/addAttachment',
+  async ({ source, transactionIds, fileName }, { rejectWithValue }) => {
+    try {
+      return await attachmentsApi.addAttachment(source, transactionIds, { fileName })
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const replaceAttachment = createAsyncThunk(
+  'attachments/replaceAttachment',
+  async ({ attachmentId, source, fileName }, { rejectWithValue }) => {
+    try {
+      return await attachmentsApi.replaceAttachment(attachmentId, source, { fileName })
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteAttachment = createAsyncThunk(
+  'attachments/deleteAttachment',
+  async (attachmentId, { rejectWithValue }) => {
+    try {
+      return await attachmentsApi.deleteAttachment(attachmentId)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  attachments: [],
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+// The API removes a deleted transaction's attachments; drop them here too
+const dropForTransactions = (state, transactionIds) => {
+  if (!transactionIds?.length) return
+  const deleted = new Set(transactionIds)
+  state.attachments = state.attachments.filter(
+    (attachment) => !deleted.has(attachment.transaction_id)
+  )
+}
+
+const attachmentsSlice = createSlice({
+  name: 'attachments',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchAttachments.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchAttachments.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.attachments = action.payload
+        state.isInitialized = true
+      })
+      .addCase(fetchAttachments.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      .addCase(addAttachment.fulfilled, (state, action) => {
+        const known = new Set(state.attachments.map((a) => a.attachment_id))
+        action.payload.forEach((attachment) => {
+          if (!known.has(attachment.attachment_id)) state.attachments.push(attachment)
+        })
+      })
+      .addCase(addAttachment.rejected, (state, action) => {
+        state.error = action.payload
+      })
+      .addCase(replaceAttachment.fulfilled, (state, action) => {
+        const index = state.attachments.findIndex(
+          (a) => a.attachment_id === action.payload.attachment_id
+        )
+        if (index !== -1) {
+          state.attachments[index] = action.payload
+        } else {
+          state.attachments.push(action.payload)
+        }
+      })
+      .addCase(replaceAttachment.rejected, (state, action) => {
+        state.error = action.payload
+      })
+      .addCase(deleteAttachment.fulfilled, (state, action) => {
+        state.attachments = state.attachments.filter(
+          (a) => a.attachment_id !== action.payload
+        )
+      })
+      .addCase(deleteAttachment.rejected, (state, action) => {
+        state.error = action.payload
+      })
+      // String action types, as transfersSlice uses, to keep the transaction
+      // and transfer slices out of this slice's imports
+      .addCase('transactions/deleteTransaction/fulfilled', (state, action) => {
+        const payload = action.payload
+        dropForTransactions(
+          state,
+          typeof payload === 'string' ? [payload] : payload?.deletedTransactionIds
+        )
+      })
+      .addCase('transactions/bulkDeleteTransactions/fulfilled', (state, action) => {
+        dropForTransactions(state, action.payload?.deletedTransactionIds)
+      })
+      .addCase('transfers/deleteTransfer/fulfilled', (state, action) => {
+        dropForTransactions(state, action.payload?.transactionIds)
+      })
+  },
+})
+
+export const { clearError } = attachmentsSlice.actions
+export default attachmentsSlice.reducer
@@ -1,10 +1,12 @@
 import { createSlice } from '@reduxjs/toolkit'
+import { assuranceMet } from '../../lib/api/mfa'
 
 const initialState = {
   user: null,
   session: null,
   loading: true,        // Start as true to prevent flash before auth check
   isAuthChecked: false, // Track if initial auth check has completed
+  assurance: null,      // { currentLevel, nextLevel } for the session; null until checked
   error: null,
 }
 
@@ -24,17 +26,33 @@ const authSlice = createSlice({
     setAuthChecked: (state, action) => {
       state.isAuthChecked = action.payload
     },
+    setAssurance: (state, action) => {
+      state.assurance = action.payload
+    },
     setError: (state, action) => {
       state.error = action.payload
     },
     clearAuth: (state) => {
       state.user = null
       state.session = null
+      state.assurance = null
       state.error = null
       state.isAuthChecked = true // Keep as checked after logout
     },
   },
 })
 
-export const { setUser, setSession, setLoading, setAuthChecked, setError, clearAuth } = authSlice.actions
+export const {
+  setUser,
+  setSession,
+  setLoading,
+  setAuthChecked,
+  setAssurance,
+  setError,
+  clearAuth,
+} = authSlice.actions
+
+// Signed in with every factor the account has; false until checked
+export const selectAssuranceMet = (state) => assuranceMet(state.auth.assurance)
+
 export default authSlice.reducer
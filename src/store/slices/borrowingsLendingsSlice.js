@@ -2,6 +2,16 @@ import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import * as borrowingsLendingsApi from '../../lib/api/borrowingsLendings'
 import { mergeIncrementalData, getIdField, getLatestSyncTimestamp } from '../../utils/dataMerge'
 import { updateLastSync } from './syncSlice'
+import { showNotification } from './notificationsSlice'
+import { describeReminders, dueReminders } from '../../utils/borrowingLendingTerms'
+
+// Local calendar day, 'YYYY-MM-DD': reminders follow the user's day
+const localDay = () => {
+  const d = new Date()
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
+    d.getDate()
+  ).padStart(2, '0')}`
+}
 
 // Async thunks
 export const fetchBorrowingLendingRecords = createAsyncThunk(
@@ -112,10 +122,31 @@ export const fetchSummary = createAsyncThunk(
   }
 )
 
+/**
+ * Remind about repayments that are overdue or due within UPCOMING_DAYS, as a
+ * notification. Runs on launch once records are loaded, at most once a day.
+ */
+export const remindDueBorrowingsLendings = createAsyncThunk(
+  'borrowingsLendings/remindDueBorrowingsLendings',
+  async (_, { getState, dispatch }) => {
+    const reminder = describeReminders(dueReminders(getState().borrowingsLendings.records))
+    if (reminder) dispatch(showNotification(reminder))
+    return localDay()
+  },
+  {
+    condition: (_, { getState }) => {
+      const { isInitialized, remindedOn } = getState().borrowingsLendings
+      return isInitialized && remindedOn !== localDay()
+    },
+  }
+)
+
 const initialState = {
   records: [],
   currentRecord: null,
   summary: null,
+  // Local day the due reminder last ran
+  remindedOn: null,
   loading: false,
   backgroundLoading: false,
   error: null,
@@ -274,6 +305,9 @@ const borrowingsLendingsSlice = createSlice({
         state.loading = false
         state.error = action.payload
       })
+      .addCase(remindDueBorrowingsLendings.fulfilled, (state, action) => {
+        state.remindedOn = action.payload
+      })
       // Fetch summary
       .addCase(fetchSummary.pending, (state) => {
         state.loading = true
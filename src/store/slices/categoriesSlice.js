@@ -3,6 +3,11 @@ import * as categoriesApi from '../../lib/api/categories'
 import { mergeIncrementalData, getIdField, getLatestSyncTimestamp } from '../../utils/dataMerge'
 import { updateLastSync } from './syncSlice'
 import { deduplicatedRequest } from '../../lib/api/requestDeduplication'
+import { fetchTransactions } from './transactionsSlice'
+import { fetchBudgets } from './budgetsSlice'
+import { fetchRecurringTransactions } from './recurringTransactionsSlice'
+import { fetchCategorizationRules } from './categorizationRulesSlice'
+import { fetchSettings } from './settingsSlice'
 
 // Async thunks
 export const fetchCategories = createAsyncThunk(
@@ -96,6 +101,27 @@ export const deleteCategory = createAsyncThunk(
   }
 )
 
+// Fold sourceId into targetId (see categoriesApi.mergeCategories). Budgets
+// may have been combined away, which an incremental fetch can't see, so they
+// come back in full; the moved transactions carry a new updated_at.
+export const mergeCategories = createAsyncThunk(
+  'categories/mergeCategories',
+  async ({ sourceId, targetId }, { rejectWithValue, dispatch }) => {
+    try {
+      const counts = await categoriesApi.mergeCategories(sourceId, targetId)
+      dispatch(fetchCategories({}))
+      dispatch(fetchTransactions({}))
+      dispatch(fetchBudgets({ forceFull: true }))
+      dispatch(fetchRecurringTransactions())
+      dispatch(fetchCategorizationRules())
+      dispatch(fetchSettings({}))
+      return { sourceId, targetId, counts }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
 const initialState = {
   categories: [],
   categoryTree: [],
@@ -235,6 +261,19 @@ const categoriesSlice = createSlice({
         state.loading = false
         state.error = action.payload
       })
+      // Merge categories. The source is deleted outright, which an
+      // incremental fetch never reports, and its children now hang off the
+      // target; the fetch dispatched by the thunk brings their new rows.
+      .addCase(mergeCategories.fulfilled, (state, action) => {
+        const { sourceId } = action.payload
+        state.categories = state.categories.filter(cat => cat.category_id !== sourceId)
+        if (state.currentCategory?.category_id === sourceId) {
+          state.currentCategory = null
+        }
+      })
+      .addCase(mergeCategories.rejected, (state, action) => {
+        state.error = action.payload
+      })
   },
 })
 
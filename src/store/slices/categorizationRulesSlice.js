@@ -0,0 +1,129 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as rulesApi from '../../lib/api/categorizationRules'
+import { sortRules } from '../../utils/categorizationRules'
+
+// Rules are few and small, so every fetch is a full one (no `since`), like
+// recurring templates: deletions on another device show up without tombstones
+
+// Async thunks
+export const fetchCategorizationRules = createAsyncThunk(
+  'categorizationRules/fetchCategorizationRules',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await rulesApi.getCategorizationRules()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const createCategorizationRule = createAsyncThunk(
+  'categorizationRules/createCategorizationRule',
+  async (ruleData, { rejectWithValue }) => {
+    try {
+      return await rulesApi.createCategorizationRule(ruleData)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateCategorizationRule = createAsyncThunk(
+  'categorizationRules/updateCategorizationRule',
+  async ({ ruleId, updates }, { rejectWithValue }) => {
+    try {
+      return await rulesApi.updateCategorizationRule(ruleId, updates)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const reorderCategorizationRules = createAsyncThunk(
+  'categorizationRules/reorderCategorizationRules',
+  async (ruleIds, { rejectWithValue }) => {
+    try {
+      return await rulesApi.reorderCategorizationRules(ruleIds)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteCategorizationRule = createAsyncThunk(
+  'categorizationRules/deleteCategorizationRule',
+  async (ruleId, { rejectWithValue }) => {
+    try {
+      await rulesApi.deleteCategorizationRule(ruleId)
+      return ruleId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  rules: [], // in running order
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const replaceRules = (state, rules) => {
+  const byId = new Map(state.rules.map((rule) => [rule.rule_id, rule]))
+  ;(rules || []).forEach((rule) => {
+    if (rule) byId.set(rule.rule_id, rule)
+  })
+  state.rules = sortRules([...byId.values()])
+}
+
+const categorizationRulesSlice = createSlice({
+  name: 'categorizationRules',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch rules
+      .addCase(fetchCategorizationRules.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchCategorizationRules.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.rules = sortRules(action.payload)
+        state.isInitialized = true
+      })
+      .addCase(fetchCategorizationRules.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      // Create, update and reorder return the rows they changed
+      .addCase(createCategorizationRule.fulfilled, (state, action) => {
+        replaceRules(state, [action.payload])
+      })
+      .addCase(updateCategorizationRule.fulfilled, (state, action) => {
+        replaceRules(state, [action.payload])
+      })
+      .addCase(reorderCategorizationRules.fulfilled, (state, action) => {
+        replaceRules(state, action.payload)
+      })
+      // Delete rule
+      .addCase(deleteCategorizationRule.fulfilled, (state, action) => {
+        state.rules = state.rules.filter((rule) => rule.rule_id !== action.payload)
+      })
+  },
+})
+
+export const { clearError } = categorizationRulesSlice.actions
+export default categorizationRulesSlice.reducer
@@ -0,0 +1,127 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as counterpartiesApi from '../../lib/api/counterparties'
+import { fetchBorrowingLendingRecords } from './borrowingsLendingsSlice'
+
+// Counterparties are few and small, so every fetch is a full one (no `since`),
+// like savings goals: merges and deletions show up without tombstones
+
+const byName = (a, b) => a.name.localeCompare(b.name)
+
+// Async thunks
+export const fetchCounterparties = createAsyncThunk(
+  'counterparties/fetchCounterparties',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await counterpartiesApi.getCounterparties()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateCounterparty = createAsyncThunk(
+  'counterparties/updateCounterparty',
+  async ({ counterpartyId, updates }, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await counterpartiesApi.updateCounterparty(counterpartyId, updates)
+      // A rename renames the records too
+      if (updates.name !== undefined) dispatch(fetchBorrowingLendingRecords({}))
+      return result
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const mergeCounterparties = createAsyncThunk(
+  'counterparties/mergeCounterparties',
+  async ({ targetId, sourceIds }, { rejectWithValue, dispatch }) => {
+    try {
+      const target = await counterpartiesApi.mergeCounterparties(targetId, sourceIds)
+      // The merged records now carry the target's id and name
+      dispatch(fetchBorrowingLendingRecords({}))
+      return { target, sourceIds }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteCounterparty = createAsyncThunk(
+  'counterparties/deleteCounterparty',
+  async (counterpartyId, { rejectWithValue }) => {
+    try {
+      await counterpartiesApi.deleteCounterparty(counterpartyId)
+      return counterpartyId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  counterparties: [], // by name
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const upsertCounterparty = (state, counterparty) => {
+  state.counterparties = [
+    ...state.counterparties.filter((c) => c.counterparty_id !== counterparty.counterparty_id),
+    counterparty,
+  ].sort(byName)
+}
+
+const counterpartiesSlice = createSlice({
+  name: 'counterparties',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch counterparties
+      .addCase(fetchCounterparties.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchCounterparties.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.counterparties = [...action.payload].sort(byName)
+        state.isInitialized = true
+      })
+      .addCase(fetchCounterparties.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      .addCase(updateCounterparty.fulfilled, (state, action) => {
+        upsertCounterparty(state, action.payload)
+      })
+      // Merge: the sources are gone, the target has their spellings
+      .addCase(mergeCounterparties.fulfilled, (state, action) => {
+        const { target, sourceIds } = action.payload
+        state.counterparties = state.counterparties.filter(
+          (c) => !sourceIds.includes(c.counterparty_id)
+        )
+        upsertCounterparty(state, target)
+      })
+      .addCase(deleteCounterparty.fulfilled, (state, action) => {
+        state.counterparties = state.counterparties.filter(
+          (c) => c.counterparty_id !== action.payload
+        )
+      })
+  },
+})
+
+export const { clearError } = counterpartiesSlice.actions
+export default counterpartiesSlice.reducer
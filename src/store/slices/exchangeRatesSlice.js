@@ -2,6 +2,19 @@ import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import * as exchangeRatesApi from '../../lib/api/exchangeRates'
 import { mergeIncrementalData, getIdField, getLatestSyncTimestamp } from '../../utils/dataMerge'
 import { updateLastSync } from './syncSlice'
+import { showNotification } from './notificationsSlice'
+import { createRateProvider } from '../../lib/rateProviders'
+import { selectBaseCurrency, selectSettingsMap } from '../selectors'
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+const providerFromState = (state) => {
+  const settingsMap = selectSettingsMap(state)
+  return createRateProvider({
+    type: settingsMap.get('RateProvider'),
+    url: settingsMap.get('RateProviderURL'),
+  })
+}
 
 // Async thunks
 export const fetchExchangeRates = createAsyncThunk(
@@ -34,8 +47,102 @@ export const fetchExchangeRates = createAsyncThunk(
   }
 )
 
+// Manual rates (see migration 024). Transfer-logged rates follow their
+// transfer and are only ever added by it.
+export const createManualExchangeRate = createAsyncThunk(
+  'exchangeRates/createManualExchangeRate',
+  async (rateData, { rejectWithValue }) => {
+    try {
+      return await exchangeRatesApi.createManualExchangeRate(rateData)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const importExchangeRates = createAsyncThunk(
+  'exchangeRates/importExchangeRates',
+  async (rows, { rejectWithValue }) => {
+    try {
+      return await exchangeRatesApi.importExchangeRates(rows)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateExchangeRate = createAsyncThunk(
+  'exchangeRates/updateExchangeRate',
+  async ({ exchangeRateId, updates }, { rejectWithValue }) => {
+    try {
+      return await exchangeRatesApi.updateExchangeRate(exchangeRateId, updates)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteExchangeRate = createAsyncThunk(
+  'exchangeRates/deleteExchangeRate',
+  async (exchangeRateId, { rejectWithValue }) => {
+    try {
+      return await exchangeRatesApi.deleteExchangeRate(exchangeRateId)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+/**
+ * Store the rate provider's latest rates for every currency the user holds
+ * (see storeProviderRates). Runs on launch at most once a day, like posting
+ * due recurring transactions; `{ force: true }` runs it regardless. Does
+ * nothing when no provider is set up in Settings.
+ */
+export const syncProviderRates = createAsyncThunk(
+  'exchangeRates/syncProviderRates',
+  async ({ force = false } = {}, { rejectWithValue, getState, dispatch }) => {
+    try {
+      const state = getState()
+      const provider = providerFromState(state)
+      const currencies = state.accounts.accounts
+        .filter((account) => account.status === 'Active')
+        .map((account) => account.currency)
+      const rows = await exchangeRatesApi.storeProviderRates({
+        provider,
+        baseCurrency: selectBaseCurrency(state),
+        currencies,
+      })
+      // Only an update the user asked for says how it went
+      if (force) {
+        dispatch(
+          showNotification({
+            message: rows.length
+              ? `${rows.length} rate${rows.length === 1 ? '' : 's'} updated from ${provider.name}`
+              : 'Rates are already up to date',
+          })
+        )
+      }
+      return rows
+    } catch (error) {
+      if (force) dispatch(showNotification({ message: error.message, severity: 'error' }))
+      return rejectWithValue(error.message)
+    }
+  },
+  {
+    condition: ({ force = false } = {}, { getState }) => {
+      const state = getState()
+      if (!providerFromState(state)) return false
+      return force || state.exchangeRates.providerCheckedOn !== today()
+    },
+  }
+)
+
 const initialState = {
   exchangeRates: [],
+  // UTC day the provider was last fetched from; set while a fetch runs too,
+  // so a second launch path doesn't start another
+  providerCheckedOn: null,
   loading: false,
   backgroundLoading: false,
   isInitialized: false,
@@ -56,6 +163,7 @@ const exchangeRatesSlice = createSlice({
     clearExchangeRates: (state) => {
       state.exchangeRates = []
       state.isInitialized = false
+      state.providerCheckedOn = null
     },
     clearError: (state) => {
       state.error = null
@@ -96,6 +204,33 @@ const exchangeRatesSlice = createSlice({
         state.backgroundLoading = false
         state.error = action.payload || 'Failed to fetch exchange rates'
       })
+      .addCase(syncProviderRates.pending, (state) => {
+        state.providerCheckedOn = today()
+      })
+      .addCase(syncProviderRates.fulfilled, (state, action) => {
+        state.exchangeRates.push(...action.payload)
+      })
+      .addCase(syncProviderRates.rejected, (state) => {
+        // Try again next launch
+        state.providerCheckedOn = null
+      })
+      .addCase(createManualExchangeRate.fulfilled, (state, action) => {
+        state.exchangeRates.push(action.payload)
+      })
+      .addCase(importExchangeRates.fulfilled, (state, action) => {
+        state.exchangeRates.push(...action.payload)
+      })
+      .addCase(updateExchangeRate.fulfilled, (state, action) => {
+        const index = state.exchangeRates.findIndex(
+          (er) => er.exchange_rate_id === action.payload.exchange_rate_id
+        )
+        if (index !== -1) state.exchangeRates[index] = action.payload
+      })
+      .addCase(deleteExchangeRate.fulfilled, (state, action) => {
+        state.exchangeRates = state.exchangeRates.filter(
+          (er) => er.exchange_rate_id !== action.payload
+        )
+      })
   },
 })
 
@@ -0,0 +1,216 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as investmentsApi from '../../lib/api/investments'
+import { fetchAccounts } from './accountsSlice'
+
+// Holdings, trades and prices are fetched together and always in full: a
+// position is only right with every one of its trades, and the three tables
+// stay small next to transactions.
+//
+// A trade's cash lands in its account's current_balance (a database trigger
+// does it), so saving or deleting one refetches the accounts.
+
+// Async thunks
+export const fetchInvestments = createAsyncThunk(
+  'investments/fetchInvestments',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [holdings, trades, prices] = await Promise.all([
+        investmentsApi.getHoldings(),
+        investmentsApi.getTrades(),
+        investmentsApi.getPrices(),
+      ])
+      return { holdings, trades, prices }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const createHolding = createAsyncThunk(
+  'investments/createHolding',
+  async (holdingData, { rejectWithValue }) => {
+    try {
+      return await investmentsApi.createHolding(holdingData)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateHolding = createAsyncThunk(
+  'investments/updateHolding',
+  async ({ holdingId, updates }, { rejectWithValue }) => {
+    try {
+      return await investmentsApi.updateHolding(holdingId, updates)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteHolding = createAsyncThunk(
+  'investments/deleteHolding',
+  async (holdingId, { rejectWithValue, dispatch }) => {
+    try {
+      await investmentsApi.deleteHolding(holdingId)
+      // Its trades went with it, and so did their cash
+      dispatch(fetchAccounts({ status: 'Active' }))
+      return holdingId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const createTrade = createAsyncThunk(
+  'investments/createTrade',
+  async (tradeData, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await investmentsApi.createTrade(tradeData)
+      dispatch(fetchAccounts({ status: 'Active' }))
+      return result
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateTrade = createAsyncThunk(
+  'investments/updateTrade',
+  async ({ tradeId, updates }, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await investmentsApi.updateTrade(tradeId, updates)
+      dispatch(fetchAccounts({ status: 'Active' }))
+      return result
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteTrade = createAsyncThunk(
+  'investments/deleteTrade',
+  async (tradeId, { rejectWithValue, dispatch }) => {
+    try {
+      await investmentsApi.deleteTrade(tradeId)
+      dispatch(fetchAccounts({ status: 'Active' }))
+      return tradeId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// { prices: [{ symbol, date, price }], source: 'manual' | 'import' }
+export const savePrices = createAsyncThunk(
+  'investments/savePrices',
+  async ({ prices, source }, { rejectWithValue }) => {
+    try {
+      return await investmentsApi.upsertPrices(prices, source)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deletePrice = createAsyncThunk(
+  'investments/deletePrice',
+  async (priceId, { rejectWithValue }) => {
+    try {
+      await investmentsApi.deletePrice(priceId)
+      return priceId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  holdings: [], // by symbol
+  trades: [], // oldest first
+  prices: [], // oldest first
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const bySymbol = (a, b) => a.symbol.localeCompare(b.symbol)
+
+const byTradeDate = (a, b) =>
+  String(a.trade_date).localeCompare(String(b.trade_date)) ||
+  String(a.created_at || '').localeCompare(String(b.created_at || ''))
+
+const upsert = (list, row, key, compare) =>
+  [...list.filter((item) => item[key] !== row[key]), row].sort(compare)
+
+const investmentsSlice = createSlice({
+  name: 'investments',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch everything
+      .addCase(fetchInvestments.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchInvestments.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.holdings = action.payload.holdings
+        state.trades = action.payload.trades
+        state.prices = action.payload.prices
+        state.isInitialized = true
+      })
+      .addCase(fetchInvestments.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      // Holdings
+      .addCase(createHolding.fulfilled, (state, action) => {
+        state.holdings = upsert(state.holdings, action.payload, 'holding_id', bySymbol)
+      })
+      .addCase(updateHolding.fulfilled, (state, action) => {
+        state.holdings = upsert(state.holdings, action.payload, 'holding_id', bySymbol)
+      })
+      .addCase(deleteHolding.fulfilled, (state, action) => {
+        state.holdings = state.holdings.filter((h) => h.holding_id !== action.payload)
+        state.trades = state.trades.filter((t) => t.holding_id !== action.payload)
+      })
+      // Trades
+      .addCase(createTrade.fulfilled, (state, action) => {
+        state.trades = upsert(state.trades, action.payload, 'trade_id', byTradeDate)
+      })
+      .addCase(updateTrade.fulfilled, (state, action) => {
+        state.trades = upsert(state.trades, action.payload, 'trade_id', byTradeDate)
+      })
+      .addCase(deleteTrade.fulfilled, (state, action) => {
+        state.trades = state.trades.filter((t) => t.trade_id !== action.payload)
+      })
+      // Prices: a saved price replaces whatever was on record for its symbol
+      // and day, whichever id that had
+      .addCase(savePrices.fulfilled, (state, action) => {
+        const saved = new Set(action.payload.map((p) => `${p.symbol}|${p.price_date}`))
+        state.prices = [
+          ...state.prices.filter((p) => !saved.has(`${p.symbol}|${p.price_date}`)),
+          ...action.payload,
+        ].sort((a, b) => String(a.price_date).localeCompare(String(b.price_date)))
+      })
+      .addCase(deletePrice.fulfilled, (state, action) => {
+        state.prices = state.prices.filter((p) => p.price_id !== action.payload)
+      })
+  },
+})
+
+export const { clearError } = investmentsSlice.actions
+export default investmentsSlice.reducer
@@ -0,0 +1,103 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as netWorthApi from '../../lib/api/netWorth'
+import * as accountsApi from '../../lib/api/accounts'
+import { buildNetWorthHistory } from '../../utils/netWorth'
+import { selectBaseCurrency } from '../selectors'
+
+// Derived from accounts, transactions, holdings and rates already in the
+// store, so not persisted; the stored snapshots are what saves the work
+// between visits.
+
+// Async thunks
+export const fetchNetWorthHistory = createAsyncThunk(
+  'netWorth/fetchNetWorthHistory',
+  async (_, { rejectWithValue, getState }) => {
+    try {
+      // Closed accounts still count toward the months they were open, and
+      // the accounts slice only holds active ones
+      const [snapshots, accounts] = await Promise.all([
+        netWorthApi.getNetWorthSnapshots(),
+        accountsApi.getAccounts(),
+      ])
+      const state = getState()
+      const { months, newSnapshots } = buildNetWorthHistory({
+        accounts,
+        transactions: state.transactions.allTransactions,
+        exchangeRates: state.exchangeRates.exchangeRates,
+        baseCurrency: selectBaseCurrency(state),
+        holdings: state.investments.holdings,
+        trades: state.investments.trades,
+        prices: state.investments.prices,
+        snapshots,
+      })
+
+      // Best effort: the history is already worked out, and a month that
+      // fails to save is simply computed again next time
+      if (newSnapshots.length > 0) {
+        try {
+          await netWorthApi.saveNetWorthSnapshots(newSnapshots)
+        } catch {
+          // ignore
+        }
+      }
+
+      return {
+        months,
+        accounts: accounts.map(({ account_id, name, type, currency, status }) => ({
+          account_id,
+          name,
+          type,
+          currency,
+          status,
+        })),
+      }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  months: [],
+  accounts: [],
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const netWorthSlice = createSlice({
+  name: 'netWorth',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchNetWorthHistory.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchNetWorthHistory.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.months = action.payload.months
+        state.accounts = action.payload.accounts
+        state.isInitialized = true
+      })
+      .addCase(fetchNetWorthHistory.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+  },
+})
+
+export const { clearError } = netWorthSlice.actions
+export default netWorthSlice.reducer
@@ -0,0 +1,289 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as transactionsApi from '../../lib/api/transactions'
+import { generateId } from '../../lib/supabase'
+import { changedFields, isOffline } from '../../utils/outbox'
+import { isNetworkError } from '../../utils/errorMessage'
+import { fetchAccounts } from './accountsSlice'
+import { fetchTags } from './tagsSlice'
+
+// Transaction changes made offline, waiting to be sent (see utils/outbox).
+// transactionsSlice queues into it and reflects its results on the rows
+// through the string action types, which keeps the import one-way.
+
+// Columns a synced create can still be edited on, when an edit arrives while
+// the create is in flight and the entry has to carry on as an update
+const EDITABLE_COLUMNS = [
+  'account_id',
+  'category_id',
+  'date',
+  'amount',
+  'currency',
+  'description',
+  'type',
+  'status',
+  'entity_name',
+  'splits',
+]
+
+const findEntry = (state, transactionId) =>
+  state.entries.find((entry) => entry.transactionId === transactionId)
+
+async function sendEntry(entry) {
+  if (entry.kind === 'create') {
+    return { row: await transactionsApi.createTransaction(entry.input) }
+  }
+  if (entry.kind === 'update') {
+    try {
+      const row = await transactionsApi.updateTransaction(entry.transactionId, entry.input, {
+        expectedUpdatedAt: entry.baseUpdatedAt,
+      })
+      return { row }
+    } catch (error) {
+      // An earlier attempt may have landed with its reply lost; the row then
+      // already holds this edit and only looks changed because of it
+      if (error.code === 'CONFLICT' && error.row && changedFields(error.row, entry.fields).length === 0) {
+        return { row: error.row }
+      }
+      throw error
+    }
+  }
+  const result = await transactionsApi.deleteTransaction(entry.transactionId, {
+    expectedUpdatedAt: entry.baseUpdatedAt,
+  })
+  return { deletedIds: result.deletedTransactionIds }
+}
+
+/**
+ * Send the waiting changes, oldest first. A change the server turns down
+ * stays in the outbox as 'conflict' (the row moved on) or 'failed' (anything
+ * else) for the user to settle; losing the connection again stops the run
+ * and leaves the rest waiting. Only the signed-in user's changes are sent.
+ */
+export const replayOutbox = createAsyncThunk(
+  'outbox/replayOutbox',
+  async (_, { getState, dispatch }) => {
+    const summary = { synced: 0, conflicts: 0, failed: 0 }
+    const userId = getState().auth.user?.id
+    const attempted = new Set()
+    let tagged = false
+
+    for (;;) {
+      // Re-read each time: a change made during the run may have joined an
+      // entry (bumping its version) or been queued behind the others
+      const entry = getState().outbox.entries.find(
+        (e) =>
+          e.status === 'pending' &&
+          e.userId === userId &&
+          !attempted.has(`${e.entryId}:${e.version}`)
+      )
+      if (!entry) break
+      attempted.add(`${entry.entryId}:${entry.version}`)
+
+      try {
+        const result = await sendEntry(entry)
+        const current = getState().outbox.entries.find((e) => e.entryId === entry.entryId)
+        dispatch(
+          entrySynced({
+            entryId: entry.entryId,
+            ...result,
+            // Edited again while this was in flight: the row keeps the newer
+            // local values and the entry carries on from the saved version
+            stale: !!current && current.version !== entry.version,
+          })
+        )
+        summary.synced += 1
+        if (entry.kind === 'create' && entry.input.ruleTags?.length) tagged = true
+      } catch (error) {
+        if (isNetworkError(error)) break
+        if (error.code === 'CONFLICT') {
+          dispatch(entryConflicted({ entryId: entry.entryId, reason: error.reason, serverRow: error.row }))
+          summary.conflicts += 1
+        } else {
+          dispatch(entryFailed({ entryId: entry.entryId, error: error.message }))
+          summary.failed += 1
+        }
+      }
+    }
+
+    if (summary.synced > 0) dispatch(fetchAccounts({ status: 'Active' }))
+    if (tagged) dispatch(fetchTags())
+    return summary
+  },
+  {
+    condition: (_, { getState }) => {
+      const { outbox, auth } = getState()
+      if (outbox.backgroundLoading || isOffline()) return false
+      return outbox.entries.some((e) => e.status === 'pending' && e.userId === auth.user?.id)
+    },
+  }
+)
+
+const initialState = {
+  // One entry per transaction, in the order the changes were made:
+  // { entryId, kind: 'create'|'update'|'delete', transactionId, userId,
+  //   input, row?, fields?, removedRows?, before, baseUpdatedAt, queuedAt,
+  //   version, status, reason, serverRow, error }
+  entries: [],
+  backgroundLoading: false, // a replay is running
+}
+
+const newEntry = (kind, transactionId, userId, extra) => ({
+  entryId: generateId('OBX'),
+  kind,
+  transactionId,
+  userId,
+  queuedAt: new Date().toISOString(),
+  version: 1,
+  status: 'pending',
+  reason: null,
+  serverRow: null,
+  error: null,
+  ...extra,
+})
+
+const outboxSlice = createSlice({
+  name: 'outbox',
+  initialState,
+  reducers: {
+    // { input (with transactionId), row, userId }
+    queueCreate: (state, action) => {
+      const { input, row, userId } = action.payload
+      state.entries.push(
+        newEntry('create', input.transactionId, userId, {
+          input,
+          row,
+          before: null,
+          baseUpdatedAt: null,
+        })
+      )
+    },
+    // { transactionId, updates, fields, before, userId } — fields are the
+    // columns the edit sets, as transactionsSlice predicts them
+    queueUpdate: (state, action) => {
+      const { transactionId, updates, fields, before, userId } = action.payload
+      const existing = findEntry(state, transactionId)
+      if (existing?.kind === 'create') {
+        existing.input = { ...existing.input, ...updates }
+        existing.row = { ...existing.row, ...fields }
+        existing.version += 1
+      } else if (existing?.kind === 'update') {
+        existing.input = { ...existing.input, ...updates }
+        existing.fields = { ...existing.fields, ...fields }
+        existing.version += 1
+      } else if (!existing) {
+        state.entries.push(
+          newEntry('update', transactionId, userId, {
+            input: updates,
+            fields,
+            before,
+            baseUpdatedAt: before?.updated_at || null,
+          })
+        )
+      }
+    },
+    // { transactionId, removedRows, before, userId } — removedRows are every
+    // row the delete takes off the list (both legs of a transfer)
+    queueDelete: (state, action) => {
+      const { transactionId, removedRows, before, userId } = action.payload
+      const existing = findEntry(state, transactionId)
+      // Never sent, so there is nothing to delete on the server
+      if (existing?.kind === 'create') {
+        state.entries = state.entries.filter((e) => e !== existing)
+        return
+      }
+      if (existing?.kind === 'delete') return
+      // The edit is moot; the delete checks against the version it was made on
+      const base = existing ? existing.before : before
+      state.entries = state.entries.filter((e) => e !== existing)
+      state.entries.push(
+        newEntry('delete', transactionId, userId, {
+          transactionIds: removedRows.map((row) => row.transaction_id),
+          removedRows: base ? removedRows.map((row) => (row.transaction_id === transactionId ? base : row)) : removedRows,
+          before: base,
+          baseUpdatedAt: base?.updated_at || null,
+        })
+      )
+    },
+    // { entryId, row?, deletedIds?, stale }
+    entrySynced: (state, action) => {
+      const { entryId, row, stale } = action.payload
+      const entry = state.entries.find((e) => e.entryId === entryId)
+      if (!entry) return
+      if (!stale) {
+        state.entries = state.entries.filter((e) => e !== entry)
+        return
+      }
+      if (entry.kind === 'create') {
+        entry.kind = 'update'
+        entry.fields = Object.fromEntries(EDITABLE_COLUMNS.map((column) => [column, entry.row[column]]))
+        entry.before = row
+        delete entry.row
+      }
+      entry.baseUpdatedAt = row?.updated_at || entry.baseUpdatedAt
+    },
+    // { entryId, reason, serverRow }
+    entryConflicted: (state, action) => {
+      const { entryId, reason, serverRow } = action.payload
+      const entry = state.entries.find((e) => e.entryId === entryId)
+      if (!entry) return
+      entry.status = 'conflict'
+      entry.reason = reason
+      entry.serverRow = serverRow || null
+    },
+    // { entryId, error }
+    entryFailed: (state, action) => {
+      const entry = state.entries.find((e) => e.entryId === action.payload.entryId)
+      if (!entry) return
+      entry.status = 'failed'
+      entry.error = action.payload.error
+    },
+    // Send it again. For a change that conflicted, this keeps it over what
+    // the other device saved: it is checked against that version from now on.
+    requeueOutboxEntry: (state, action) => {
+      const entry = state.entries.find((e) => e.entryId === action.payload)
+      if (!entry) return
+      if (entry.status === 'conflict' && entry.serverRow) {
+        entry.baseUpdatedAt = entry.serverRow.updated_at
+      }
+      entry.status = 'pending'
+      entry.reason = null
+      entry.serverRow = null
+      entry.error = null
+    },
+    // Drop the change; transactionsSlice puts the row back as it was (or as
+    // the server now has it). Takes the whole entry for that reason.
+    discardOutboxEntry: (state, action) => {
+      state.entries = state.entries.filter((e) => e.entryId !== action.payload.entryId)
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(replayOutbox.pending, (state) => {
+        state.backgroundLoading = true
+      })
+      .addCase(replayOutbox.fulfilled, (state) => {
+        state.backgroundLoading = false
+      })
+      .addCase(replayOutbox.rejected, (state) => {
+        state.backgroundLoading = false
+      })
+  },
+})
+
+export const {
+  queueCreate,
+  queueUpdate,
+  queueDelete,
+  entrySynced,
+  entryConflicted,
+  entryFailed,
+  requeueOutboxEntry,
+  discardOutboxEntry,
+} = outboxSlice.actions
+
+// Whether a change to this transaction is still waiting; later changes to
+// the same row queue behind it
+export const hasOutboxEntry = (state, transactionId) =>
+  state.outbox.entries.some((entry) => entry.transactionId === transactionId)
+
+export default outboxSlice.reducer
@@ -0,0 +1,205 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as recurringApi from '../../lib/api/recurringTransactions'
+import { fetchTransactions } from './transactionsSlice'
+import { fetchAccounts } from './accountsSlice'
+import { showNotification } from './notificationsSlice'
+
+// Templates are few and small, so every fetch is a full one (no `since`):
+// deletions on another device show up without tombstones
+
+// Async thunks
+export const fetchRecurringTransactions = createAsyncThunk(
+  'recurringTransactions/fetchRecurringTransactions',
+  async (filters = {}, { rejectWithValue }) => {
+    try {
+      return await recurringApi.getRecurringTransactions(filters)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const createRecurringTransaction = createAsyncThunk(
+  'recurringTransactions/createRecurringTransaction',
+  async (templateData, { rejectWithValue }) => {
+    try {
+      return await recurringApi.createRecurringTransaction(templateData)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateRecurringTransaction = createAsyncThunk(
+  'recurringTransactions/updateRecurringTransaction',
+  async ({ recurringId, updates }, { rejectWithValue }) => {
+    try {
+      return await recurringApi.updateRecurringTransaction(recurringId, updates)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteRecurringTransaction = createAsyncThunk(
+  'recurringTransactions/deleteRecurringTransaction',
+  async (recurringId, { rejectWithValue }) => {
+    try {
+      await recurringApi.deleteRecurringTransaction(recurringId)
+      return recurringId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const skipOccurrence = createAsyncThunk(
+  'recurringTransactions/skipOccurrence',
+  async ({ recurringId, date, skip = true }, { rejectWithValue }) => {
+    try {
+      return await recurringApi.skipOccurrence(recurringId, date, skip)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const editOccurrence = createAsyncThunk(
+  'recurringTransactions/editOccurrence',
+  async ({ recurringId, date, changes }, { rejectWithValue }) => {
+    try {
+      return await recurringApi.editOccurrence(recurringId, date, changes)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const postOccurrenceNow = createAsyncThunk(
+  'recurringTransactions/postOccurrenceNow',
+  async ({ recurringId, date }, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await recurringApi.postOccurrenceNow(recurringId, date)
+      dispatch(fetchTransactions())
+      dispatch(fetchAccounts({ status: 'Active' }))
+      return result.template
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// Post everything that has come due. Run on app init; the quick-expense
+// function runs the same generator server-side. Not in the notifications
+// middleware map: a failed background run shouldn't raise an error toast,
+// but posting something should say so.
+export const materializeRecurringTransactions = createAsyncThunk(
+  'recurringTransactions/materializeRecurringTransactions',
+  async (_, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await recurringApi.materializeDueRecurringTransactions()
+      const count = result.created.length
+      if (count > 0) {
+        dispatch(fetchTransactions())
+        dispatch(fetchAccounts({ status: 'Active' }))
+        dispatch(
+          showNotification({
+            message:
+              count === 1
+                ? '1 recurring transaction posted'
+                : `${count} recurring transactions posted`,
+          })
+        )
+      }
+      return result
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  recurringTransactions: [],
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const replaceTemplate = (state, template) => {
+  if (!template) return
+  const index = state.recurringTransactions.findIndex(
+    (t) => t.recurring_id === template.recurring_id
+  )
+  if (index !== -1) {
+    state.recurringTransactions[index] = template
+  } else {
+    state.recurringTransactions.push(template)
+  }
+}
+
+const recurringTransactionsSlice = createSlice({
+  name: 'recurringTransactions',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch recurring transactions
+      .addCase(fetchRecurringTransactions.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchRecurringTransactions.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.recurringTransactions = action.payload || []
+        state.isInitialized = true
+      })
+      .addCase(fetchRecurringTransactions.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      // Create recurring transaction
+      .addCase(createRecurringTransaction.fulfilled, (state, action) => {
+        replaceTemplate(state, action.payload)
+      })
+      // Delete recurring transaction
+      .addCase(deleteRecurringTransaction.fulfilled, (state, action) => {
+        state.recurringTransactions = state.recurringTransactions.filter(
+          (t) => t.recurring_id !== action.payload
+        )
+      })
+      // Generator: replace the templates it moved on
+      .addCase(materializeRecurringTransactions.fulfilled, (state, action) => {
+        action.payload?.templates?.forEach((template) => replaceTemplate(state, template))
+      })
+      .addCase(materializeRecurringTransactions.rejected, (state, action) => {
+        state.error = action.payload
+      })
+      // Update, skip, edit and post-now all return the updated template
+      .addCase(updateRecurringTransaction.fulfilled, (state, action) => {
+        replaceTemplate(state, action.payload)
+      })
+      .addCase(skipOccurrence.fulfilled, (state, action) => {
+        replaceTemplate(state, action.payload)
+      })
+      .addCase(editOccurrence.fulfilled, (state, action) => {
+        replaceTemplate(state, action.payload)
+      })
+      .addCase(postOccurrenceNow.fulfilled, (state, action) => {
+        replaceTemplate(state, action.payload)
+      })
+  },
+})
+
+export const { clearError } = recurringTransactionsSlice.actions
+export default recurringTransactionsSlice.reducer
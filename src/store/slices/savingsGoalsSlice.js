@@ -0,0 +1,120 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as goalsApi from '../../lib/api/savingsGoals'
+import { sortGoals } from '../../utils/savingsGoals'
+import { fetchTags } from './tagsSlice'
+
+// Goals are few and small, so every fetch is a full one (no `since`), like
+// recurring templates: deletions on another device show up without tombstones
+
+// Async thunks
+export const fetchSavingsGoals = createAsyncThunk(
+  'savingsGoals/fetchSavingsGoals',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await goalsApi.getSavingsGoals()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const createSavingsGoal = createAsyncThunk(
+  'savingsGoals/createSavingsGoal',
+  async (goalData, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await goalsApi.createSavingsGoal(goalData)
+      // The goal's tag may have just been created
+      if (goalData.tagName) dispatch(fetchTags())
+      return result
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const updateSavingsGoal = createAsyncThunk(
+  'savingsGoals/updateSavingsGoal',
+  async ({ goalId, updates }, { rejectWithValue, dispatch }) => {
+    try {
+      const result = await goalsApi.updateSavingsGoal(goalId, updates)
+      if (updates.tagName) dispatch(fetchTags())
+      return result
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteSavingsGoal = createAsyncThunk(
+  'savingsGoals/deleteSavingsGoal',
+  async (goalId, { rejectWithValue }) => {
+    try {
+      await goalsApi.deleteSavingsGoal(goalId)
+      return goalId
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  goals: [], // active first, then by target date
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const upsertGoal = (state, goal) => {
+  state.goals = sortGoals([
+    ...state.goals.filter((g) => g.goal_id !== goal.goal_id),
+    goal,
+  ])
+}
+
+const savingsGoalsSlice = createSlice({
+  name: 'savingsGoals',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch goals
+      .addCase(fetchSavingsGoals.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchSavingsGoals.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.goals = sortGoals(action.payload)
+        state.isInitialized = true
+      })
+      .addCase(fetchSavingsGoals.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      // Create and update return the saved row
+      .addCase(createSavingsGoal.fulfilled, (state, action) => {
+        upsertGoal(state, action.payload)
+      })
+      .addCase(updateSavingsGoal.fulfilled, (state, action) => {
+        upsertGoal(state, action.payload)
+      })
+      // Delete goal
+      .addCase(deleteSavingsGoal.fulfilled, (state, action) => {
+        state.goals = state.goals.filter((goal) => goal.goal_id !== action.payload)
+      })
+  },
+})
+
+export const { clearError } = savingsGoalsSlice.actions
+export default savingsGoalsSlice.reducer
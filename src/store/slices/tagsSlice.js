@@ -0,0 +1,147 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import * as tagsApi from '../../lib/api/tags'
+
+// Tags and their links are small, so every fetch is a full one (no `since`),
+// like recurring templates: removed links show up without tombstones
+
+// Async thunks
+export const fetchTags = createAsyncThunk(
+  'tags/fetchTags',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [tags, transactionTags] = await Promise.all([
+        tagsApi.getTags(),
+        tagsApi.getTransactionTags(),
+      ])
+      return { tags, transactionTags }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// Give one transaction exactly these tags, by name; new names become tags
+export const setTransactionTags = createAsyncThunk(
+  'tags/setTransactionTags',
+  async ({ transactionId, names }, { rejectWithValue }) => {
+    try {
+      const tags = await tagsApi.ensureTags(names)
+      const tagIds = await tagsApi.setTransactionTags(
+        transactionId,
+        tags.map((tag) => tag.tag_id)
+      )
+      return { tags, transactionId, tagIds }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// Bulk edit: add tags (by name) to, and take tags (by id) off, many
+// transactions at once
+export const updateTransactionsTags = createAsyncThunk(
+  'tags/updateTransactionsTags',
+  async ({ transactionIds, addNames = [], removeTagIds = [] }, { rejectWithValue }) => {
+    try {
+      const tags = await tagsApi.ensureTags(addNames)
+      const addTagIds = tags.map((tag) => tag.tag_id)
+      await tagsApi.updateTransactionsTags(transactionIds, {
+        addTagIds,
+        removeTagIds,
+      })
+      return { tags, transactionIds, addTagIds, removeTagIds }
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const initialState = {
+  tags: [],
+  transactionTags: [], // [{ transaction_id, tag_id }]
+  loading: false,
+  backgroundLoading: false,
+  error: null,
+  isInitialized: false,
+}
+
+const mergeTags = (state, tags) => {
+  const known = new Set(state.tags.map((t) => t.tag_id))
+  tags.forEach((tag) => {
+    if (!known.has(tag.tag_id)) state.tags.push(tag)
+  })
+  state.tags.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+const tagsSlice = createSlice({
+  name: 'tags',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchTags.pending, (state) => {
+        if (!state.isInitialized) {
+          state.loading = true
+        } else {
+          state.backgroundLoading = true
+        }
+        state.error = null
+      })
+      .addCase(fetchTags.fulfilled, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.tags = action.payload.tags
+        state.transactionTags = action.payload.transactionTags
+        state.isInitialized = true
+      })
+      .addCase(fetchTags.rejected, (state, action) => {
+        state.loading = false
+        state.backgroundLoading = false
+        state.error = action.payload
+      })
+      .addCase(setTransactionTags.fulfilled, (state, action) => {
+        const { tags, transactionId, tagIds } = action.payload
+        mergeTags(state, tags)
+        state.transactionTags = state.transactionTags
+          .filter((link) => link.transaction_id !== transactionId)
+          .concat(
+            tagIds.map((tagId) => ({
+              transaction_id: transactionId,
+              tag_id: tagId,
+            }))
+          )
+      })
+      .addCase(setTransactionTags.rejected, (state, action) => {
+        state.error = action.payload
+      })
+      .addCase(updateTransactionsTags.fulfilled, (state, action) => {
+        const { tags, transactionIds, addTagIds, removeTagIds } = action.payload
+        mergeTags(state, tags)
+        const ids = new Set(transactionIds)
+        const removed = new Set(removeTagIds)
+        const kept = state.transactionTags.filter(
+          (link) => !(ids.has(link.transaction_id) && removed.has(link.tag_id))
+        )
+        const existing = new Set(
+          kept.map((link) => `${link.transaction_id}|${link.tag_id}`)
+        )
+        transactionIds.forEach((transactionId) => {
+          addTagIds.forEach((tagId) => {
+            if (existing.has(`${transactionId}|${tagId}`)) return
+            kept.push({ transaction_id: transactionId, tag_id: tagId })
+          })
+        })
+        state.transactionTags = kept
+      })
+      .addCase(updateTransactionsTags.rejected, (state, action) => {
+        state.error = action.payload
+      })
+  },
+})
+
+export const { clearError } = tagsSlice.actions
+export default tagsSlice.reducer
@@ -3,13 +3,38 @@ import * as transactionsApi from '../../lib/api/transactions';
 import { mergeIncrementalData, getIdField, getLatestSyncTimestamp } from '../../utils/dataMerge';
 import { updateLastSync } from './syncSlice';
 import { fetchAccounts } from './accountsSlice';
+import { fetchTags } from './tagsSlice';
 import { deduplicatedRequest } from '../../lib/api/requestDeduplication';
+import { primarySplitCategory, toSplitRows } from '../../utils/transactionSplits';
+import { applyRulesToInput } from '../../utils/categorizationRules';
+import { matchesTransactionQuery } from '../../utils/transactionQuery';
+import { isNetworkError } from '../../utils/errorMessage';
+import { applyOutboxEntries, isOffline, localTransactionRow } from '../../utils/outbox';
+import { generateId } from '../../lib/supabase';
+import {
+  hasOutboxEntry,
+  queueCreate,
+  queueDelete,
+  queueUpdate,
+  replayOutbox,
+} from './outboxSlice';
 
 // Apply client-side filters + sort to produce the visible transactions list
-// (exported for selectFilteredTransactions in store/selectors)
-export function applyTransactionFilters(allTransactions, filters = {}) {
-  const { accountId, categoryId, type, status, startDate, endDate } = filters;
+// (exported for selectFilteredTransactions in store/selectors).
+// `tagIdsByTransaction` (transaction_id -> tag ids) is only read for tagId
+// and tag: conditions, `categoryMap` for words matched against category names.
+// `conditions` are the search-query terms the other filters can't express
+// (see utils/transactionQuery).
+export function applyTransactionFilters(
+  allTransactions,
+  filters = {},
+  tagIdsByTransaction = null,
+  categoryMap = null
+) {
+  const { accountId, categoryId, tagId, type, status, startDate, endDate, conditions } =
+    filters;
   const needsDateCompare = !!startDate || !!endDate;
+  const hasConditions = conditions?.length > 0;
 
   // One pass rather than seven. Every predicate is an AND, so the sequential
   // .filter() chain only existed to allocate six throwaway arrays.
@@ -22,7 +47,18 @@ export function applyTransactionFilters(allTransactions, filters = {}) {
     // Always filter out deleted transactions
     if (t.deleted_at) continue;
     if (accountId && t.account_id !== accountId) continue;
-    if (categoryId && t.category_id !== categoryId) continue;
+    // A split transaction shows under each of its lines' categories
+    if (
+      categoryId &&
+      t.category_id !== categoryId &&
+      !t.splits?.some((line) => line.category_id === categoryId)
+    )
+      continue;
+    if (
+      tagId &&
+      !tagIdsByTransaction?.get(t.transaction_id)?.includes(tagId)
+    )
+      continue;
     if (type && t.type !== type) continue;
     if (status && t.status !== status) continue;
     if (needsDateCompare) {
@@ -32,6 +68,14 @@ export function applyTransactionFilters(allTransactions, filters = {}) {
       if (startDate && !(txnDate >= startDate)) continue;
       if (endDate && !(txnDate <= endDate)) continue;
     }
+    if (
+      hasConditions &&
+      !matchesTransactionQuery(t, conditions, {
+        tagIds: tagIdsByTransaction?.get(t.transaction_id),
+        categoryById: categoryMap,
+      })
+    )
+      continue;
     decorated.push(decorateForSort(t));
   }
 
@@ -111,6 +155,28 @@ function filterRecentlyDeleted(state, rows) {
   );
 }
 
+// Put rows back (or in) after an offline change is dropped or synced,
+// lifting any tombstone a local delete left on them
+function restoreRows(state, rows) {
+  rows.forEach((row) => {
+    if (!row) return;
+    delete state.recentlyDeletedIds?.[row.transaction_id];
+    const index = state.allTransactions.findIndex(
+      (txn) => txn.transaction_id === row.transaction_id
+    );
+    if (index !== -1) state.allTransactions[index] = row;
+    else state.allTransactions.push(row);
+  });
+  state.allTransactions = sortTransactionsByDateDesc(state.allTransactions);
+}
+
+function removeRows(state, transactionIds) {
+  addDeletionTombstones(state, transactionIds);
+  state.allTransactions = state.allTransactions.filter(
+    (txn) => !transactionIds.includes(txn.transaction_id)
+  );
+}
+
 // Async thunks
 export const fetchTransactions = createAsyncThunk(
   'transactions/fetchTransactions',
@@ -145,7 +211,8 @@ export const fetchTransactions = createAsyncThunk(
         dispatch(updateLastSync({ entity: 'transactions', timestamp: nextSync }));
       }
 
-      return { data, isIncremental };
+      // Changes still waiting in the outbox are laid back over the result
+      return { data, isIncremental, outboxEntries: getState().outbox.entries };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -163,16 +230,47 @@ export const fetchTransaction = createAsyncThunk(
   }
 );
 
+// Rows that rules were (or will be) applied to may come back with new tags
+const isRuleTagged = (txn) => !!txn.applyRules || txn.ruleTags?.length > 0;
+
+// Offline (or queued behind an unsynced change to the same row), a create,
+// edit or delete goes to the outbox and resolves at once with the row as it
+// will be, flagged `meta.queued`. See utils/outbox.
+const userIdOf = (state) => state.auth.user?.id || null;
+
+// Rules run here on the cached rules, so the row shows what they did; the
+// replay then sends the result rather than applying them a second time
+function queueOfflineCreate(input, { dispatch, getState, fulfillWithValue }) {
+  const state = getState();
+  const prepared = input.applyRules
+    ? { ...applyRulesToInput(state.categorizationRules.rules, input), applyRules: false }
+    : input;
+  const row = localTransactionRow(prepared, userIdOf(state));
+  dispatch(queueCreate({ input: prepared, row, userId: userIdOf(state) }));
+  return fulfillWithValue(row, { queued: true });
+}
+
 export const createTransaction = createAsyncThunk(
   'transactions/createTransaction',
-  async (transactionData, { rejectWithValue, dispatch }) => {
+  async (transactionData, thunkApi) => {
+    const { rejectWithValue, dispatch } = thunkApi;
+    // The id is settled before the first attempt so a create that ends up in
+    // the outbox keeps it, and a replay can't save the transaction twice
+    const input = {
+      ...transactionData,
+      transactionId: transactionData.transactionId || generateId('TXN'),
+    };
+    if (isOffline()) return queueOfflineCreate(input, thunkApi);
     try {
-      const result = await transactionsApi.createTransaction(transactionData);
+      const result = await transactionsApi.createTransaction(input);
       // Account balances change via a DB trigger; refresh them locally
       // instead of relying on the realtime echo
       dispatch(fetchAccounts({ status: 'Active' }));
+      // Categorisation rules may have tagged it
+      if (isRuleTagged(transactionData)) dispatch(fetchTags());
       return result;
     } catch (error) {
+      if (isNetworkError(error)) return queueOfflineCreate(input, thunkApi);
       return rejectWithValue(error.message);
     }
   }
@@ -184,6 +282,7 @@ export const batchCreateTransactions = createAsyncThunk(
     try {
       const result = await transactionsApi.batchCreateTransactions(transactionsArray);
       dispatch(fetchAccounts({ status: 'Active' }));
+      if (transactionsArray.some(isRuleTagged)) dispatch(fetchTags());
       return result;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -236,12 +335,17 @@ function toRowFields(updates, before) {
     }
     if (!Number.isNaN(parsed.getTime())) row.date = parsed.toISOString();
   }
+  // Lines arrive as form lines; the row stores them as the API does
+  if (updates?.splits !== undefined) {
+    row.splits = toSplitRows(updates.splits);
+    if (row.splits) row.category_id = primarySplitCategory(updates.splits);
+  }
   return row;
 }
 
 export const updateTransaction = createAsyncThunk(
   'transactions/updateTransaction',
-  async ({ transactionId, updates }, { rejectWithValue, dispatch, getState }) => {
+  async ({ transactionId, updates }, { rejectWithValue, dispatch, getState, fulfillWithValue }) => {
     // Show the edit straight away and save behind it: the row is the feedback,
     // which is why this path no longer toasts on success. Snapshot the whole
     // row first so a failure restores exactly what was there, not just the
@@ -249,17 +353,26 @@ export const updateTransaction = createAsyncThunk(
     const before = getState().transactions.allTransactions.find(
       (txn) => txn.transaction_id === transactionId
     );
-    dispatch(
-      optimisticUpdateTransaction({
-        transactionId,
-        updates: toRowFields(updates, before),
-      })
-    );
+    const fields = toRowFields(updates, before);
+    dispatch(optimisticUpdateTransaction({ transactionId, updates: fields }));
+
+    const queue = () => {
+      dispatch(
+        queueUpdate({ transactionId, updates, fields, before, userId: userIdOf(getState()) })
+      );
+      // Online but behind an unsynced change: send both now
+      dispatch(replayOutbox());
+      return fulfillWithValue({ ...before, ...fields }, { queued: true });
+    };
+    if (before && (isOffline() || hasOutboxEntry(getState(), transactionId))) {
+      return queue();
+    }
     try {
       const result = await transactionsApi.updateTransaction(transactionId, updates);
       dispatch(fetchAccounts({ status: 'Active' }));
       return result;
     } catch (error) {
+      if (before && isNetworkError(error)) return queue();
       // Spreading the snapshot back over the row undoes every field we set.
       if (before) {
         dispatch(
@@ -271,15 +384,50 @@ export const updateTransaction = createAsyncThunk(
   }
 );
 
+// Takes the row off the list the way the server will: with the other leg of
+// a transfer. Deleting a create that never synced just cancels it.
+function queueOfflineDelete(transactionId, { dispatch, getState, fulfillWithValue }) {
+  const state = getState();
+  const all = state.transactions.allTransactions;
+  const before = all.find((txn) => txn.transaction_id === transactionId);
+  const removedRows = all.filter(
+    (txn) =>
+      txn.transaction_id === transactionId ||
+      (before?.linked_transaction_id && txn.transaction_id === before.linked_transaction_id) ||
+      (before?.transfer_id && txn.transfer_id === before.transfer_id)
+  );
+  const cancelsCreate = state.outbox.entries.some(
+    (entry) => entry.transactionId === transactionId && entry.kind === 'create'
+  );
+  dispatch(queueDelete({ transactionId, removedRows, before, userId: userIdOf(state) }));
+  if (!cancelsCreate) dispatch(replayOutbox());
+  return fulfillWithValue(
+    {
+      transactionId,
+      linkedTransactionId: before?.linked_transaction_id || null,
+      deletedTransactionIds: removedRows.map((txn) => txn.transaction_id),
+    },
+    { queued: !cancelsCreate }
+  );
+}
+
 export const deleteTransaction = createAsyncThunk(
   'transactions/deleteTransaction',
-  async (transactionId, { rejectWithValue, dispatch }) => {
+  async (transactionId, thunkApi) => {
+    const { rejectWithValue, dispatch, getState } = thunkApi;
+    const cached = getState().transactions.allTransactions.some(
+      (txn) => txn.transaction_id === transactionId
+    );
+    if (cached && (isOffline() || hasOutboxEntry(getState(), transactionId))) {
+      return queueOfflineDelete(transactionId, thunkApi);
+    }
     try {
       const result = await transactionsApi.deleteTransaction(transactionId);
       // API now returns { transactionId, linkedTransactionId?, deletedTransactionIds }
       dispatch(fetchAccounts({ status: 'Active' }));
       return result;
     } catch (error) {
+      if (cached && isNetworkError(error)) return queueOfflineDelete(transactionId, thunkApi);
       return rejectWithValue(error.message);
     }
   }
@@ -397,11 +545,15 @@ const transactionsSlice = createSlice({
       .addCase(fetchTransactions.fulfilled, (state, action) => {
         state.loading = false;
         state.backgroundLoading = false;
-        const { data } = action.payload || { data: [] };
+        const { data, outboxEntries } = action.payload || { data: [] };
 
         // Ignore rows deleted locally moments ago: a fetch that started
-        // before the delete committed on the server would resurrect them
-        const transactions = filterRecentlyDeleted(state, data);
+        // before the delete committed on the server would resurrect them.
+        // Offline changes not yet sent are kept over what the server returned.
+        const transactions = applyOutboxEntries(
+          filterRecentlyDeleted(state, data),
+          outboxEntries
+        );
 
         // If no filters, store all transactions but don't update filtered list
         const hasFilters = action.meta.arg && Object.keys(action.meta.arg).length > 0 && !action.meta.arg.forceFull;
@@ -673,13 +825,41 @@ const transactionsSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      // The outbox sent an offline change: take the server's row, unless the
+      // row was edited again meanwhile and the newer local values must stay
+      .addCase('outbox/entrySynced', (state, action) => {
+        const { row, deletedIds, stale } = action.payload;
+        if (row && !stale) restoreRows(state, [row]);
+        if (deletedIds?.length) removeRows(state, deletedIds);
+        state.lastLocalMutation = Date.now();
+      })
+      // An offline change was dropped: the row goes back to what the server
+      // has now if that is known, or to what it was before the change
+      .addCase('outbox/discardOutboxEntry', (state, action) => {
+        const entry = action.payload;
+        if (entry.kind === 'create' || entry.reason === 'deleted') {
+          removeRows(state, [entry.transactionId]);
+        } else if (entry.kind === 'update') {
+          restoreRows(state, [entry.serverRow || entry.before]);
+        } else {
+          restoreRows(
+            state,
+            entry.removedRows.map((row) =>
+              entry.serverRow && row.transaction_id === entry.transactionId
+                ? entry.serverRow
+                : row
+            )
+          );
+        }
+        state.lastLocalMutation = Date.now();
+      })
       // Cross-slice write-through: a transfer creates/deletes transaction
       // rows in the database — reflect them here immediately instead of
       // waiting for realtime or a refetch. (String action types avoid a
       // circular import with transfersSlice.)
       .addCase('transfers/createTransfer/fulfilled', (state, action) => {
-        const { transferOut, transferIn } = action.payload || {};
-        [transferOut, transferIn].forEach((txn) => {
+        const { transferOut, transferIn, fee } = action.payload || {};
+        [transferOut, transferIn, fee].forEach((txn) => {
           if (
             txn &&
             !state.allTransactions.some(
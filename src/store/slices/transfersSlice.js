@@ -23,10 +23,10 @@ export const fetchTransfers = createAsyncThunk(
 
       // Advance the sync timestamp using server-side record timestamps,
       // not the client clock (which may be skewed relative to the server).
-      // Transfers are nested { transferOut, transferIn } transaction pairs,
-      // so flatten the legs before extracting timestamps.
+      // Transfers are nested { transferOut, transferIn, fee } transaction
+      // groups, so flatten the legs before extracting timestamps.
       const transferLegs = (data || []).flatMap(
-        (t) => [t.transferOut, t.transferIn].filter(Boolean)
+        (t) => [t.transferOut, t.transferIn, t.fee].filter(Boolean)
       );
       const nextSync = getLatestSyncTimestamp(transferLegs, lastSync);
       if (nextSync) {
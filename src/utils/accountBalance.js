@@ -22,13 +22,30 @@ export function calculateAccountBalance(openingBalance, transactions) {
 
 /**
  * Calculate balances for all accounts from transactions
+ *
+ * An Investment account's cash also moves with its holdings' trades, and its
+ * holdings are worth their market value on top: `current_balance` is the
+ * cash, `market_value` what the holdings are worth in the account's currency
+ * and `total_value` the two together.
+ *
  * @param {Array} accounts - Array of account objects
  * @param {Array} transactions - Array of all transactions
+ * @param {Object} [investments]
+ * @param {Array} [investments.trades] - holding_trades rows
+ * @param {Map<string, number>} [investments.marketValues] - account_id ->
+ *   market value in the account's currency (selectAccountMarketValues)
  * @returns {Object} Map of account_id to balance object
  */
-export function calculateAllAccountBalances(accounts, transactions) {
+export function calculateAllAccountBalances(accounts, transactions, { trades = [], marketValues } = {}) {
   const balances = {}
-  
+  const tradeCash = new Map()
+  trades.forEach((trade) => {
+    tradeCash.set(
+      trade.account_id,
+      (tradeCash.get(trade.account_id) || 0) + (parseFloat(trade.cash_amount) || 0)
+    )
+  })
+
   accounts.forEach((account) => {
     const accountTransactions = transactions.filter(
       (txn) =>
@@ -37,20 +54,22 @@ export function calculateAllAccountBalances(accounts, transactions) {
         txn.status !== 'Cancelled'
     )
     
-    const balance = calculateAccountBalance(
-      account.opening_balance,
-      accountTransactions
-    )
-    
+    const balance =
+      calculateAccountBalance(account.opening_balance, accountTransactions) +
+      (tradeCash.get(account.account_id) || 0)
+    const marketValue = marketValues?.get(account.account_id) || 0
+
     balances[account.account_id] = {
       account_id: account.account_id,
       name: account.name,
       opening_balance: account.opening_balance,
       current_balance: balance,
+      market_value: marketValue,
+      total_value: balance + marketValue,
       currency: account.currency,
       last_updated: new Date().toISOString(),
     }
   })
   
   return balances
-}
\ No newline at end of file
+}
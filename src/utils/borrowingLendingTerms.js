@@ -0,0 +1,238 @@
+import {
+  addMonths,
+  differenceInCalendarDays,
+  format,
+  isValid,
+  parseISO,
+  startOfDay,
+} from 'date-fns'
+import { formatCurrency } from './currencyConversion'
+
+/**
+ * Repayment terms on borrowings/lendings (see migration 027): when money is
+ * due back, what is overdue, how long it has been, and the interest a rate
+ * adds. Only active records are ever due.
+ *
+ * Payments count against the instalments in date order, so with 250 paid on
+ * a schedule of 200 + 200 + 200 the first instalment is settled and 150 of
+ * the second is still due on its date.
+ */
+
+export const INTEREST_TYPES = [
+  { value: 'simple', label: 'Simple' },
+  { value: 'compound', label: 'Compound (monthly)' },
+]
+
+// Due within this many days counts as upcoming, for the page and reminders
+export const UPCOMING_DAYS = 7
+
+// Days past due each aging bucket starts at; anything not yet 30 days past
+// due (or with no due date) is current
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: 0 },
+  { key: 'days30', label: '30 days', minDays: 30 },
+  { key: 'days60', label: '60 days', minDays: 60 },
+  { key: 'days90', label: '90+ days', minDays: 90 },
+]
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+const toDay = (value) => {
+  if (!value) return null
+  const date = typeof value === 'string' ? parseISO(value) : value
+  return isValid(date) ? startOfDay(date) : null
+}
+
+/**
+ * The instalments, in date order, with anything unreadable left out.
+ * @param {Array|null} installments
+ * @returns {Array<{ date: string, amount: number }>}
+ */
+export function normalizeInstallments(installments) {
+  if (!Array.isArray(installments)) return []
+  return installments
+    .map((line) => ({ date: line?.date, amount: round2(Number(line?.amount) || 0) }))
+    .filter((line) => toDay(line.date) && line.amount > 0)
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * Split an amount into equal monthly instalments, the last one taking the
+ * rounding difference.
+ * @param {number} total
+ * @param {number} count
+ * @param {string} firstDate - 'YYYY-MM-DD'
+ * @returns {Array<{ date: string, amount: number }>}
+ */
+export function buildMonthlyInstallments(total, count, firstDate) {
+  const first = toDay(firstDate)
+  const n = Math.floor(Number(count))
+  if (!first || !(n > 0) || !(Number(total) > 0)) return []
+  const each = Math.floor((Number(total) / n) * 100) / 100
+  return Array.from({ length: n }, (_, i) => ({
+    date: format(addMonths(first, i), 'yyyy-MM-dd'),
+    amount: i === n - 1 ? round2(Number(total) - each * (n - 1)) : each,
+  }))
+}
+
+/**
+ * What is due next on an active record: the first instalment not yet covered
+ * by payments (with what's left of it), or else the due date with everything
+ * still owed. Null when nothing is scheduled or nothing is owed.
+ *
+ * @param {Object} record - borrowings_lendings row
+ * @returns {{ date: string, amount: number }|null}
+ */
+export function nextDue(record) {
+  if (!record || record.status !== 'Active') return null
+  const remaining = Number(record.remaining_amount) || 0
+  if (!(remaining > 0)) return null
+
+  const installments = normalizeInstallments(record.installments)
+  if (installments.length > 0) {
+    let unpaid = Number(record.paid_amount) || 0
+    for (const line of installments) {
+      if (unpaid >= line.amount) {
+        unpaid -= line.amount
+        continue
+      }
+      return { date: line.date, amount: round2(Math.min(line.amount - unpaid, remaining)) }
+    }
+    // Paid through the schedule but still owing (it didn't cover the total)
+    const last = installments[installments.length - 1]
+    return { date: record.due_date || last.date, amount: remaining }
+  }
+
+  return toDay(record.due_date) ? { date: record.due_date, amount: remaining } : null
+}
+
+/**
+ * Days the next amount due is past its date; 0 when it isn't overdue.
+ * @param {Object} record
+ * @param {Date} [today]
+ * @returns {number}
+ */
+export function daysOverdue(record, today = new Date()) {
+  const due = nextDue(record)
+  if (!due) return 0
+  return Math.max(0, differenceInCalendarDays(startOfDay(today), toDay(due.date)))
+}
+
+/**
+ * Key of the aging bucket (see AGING_BUCKETS) a record falls in.
+ * @param {Object} record
+ * @param {Date} [today]
+ * @returns {'current'|'days30'|'days60'|'days90'}
+ */
+export function agingBucket(record, today = new Date()) {
+  const days = daysOverdue(record, today)
+  let key = AGING_BUCKETS[0].key
+  AGING_BUCKETS.forEach((bucket) => {
+    if (days >= bucket.minDays) key = bucket.key
+  })
+  return key
+}
+
+/**
+ * Whether a record's next amount is overdue, due within UPCOMING_DAYS, or
+ * neither, with the amount and how many days off it is (negative when late).
+ *
+ * @param {Object} record
+ * @param {Date} [today]
+ * @returns {{ state: 'overdue'|'upcoming'|null, date: string|null,
+ *   amount: number, days: number|null }}
+ */
+export function dueState(record, today = new Date()) {
+  const due = nextDue(record)
+  if (!due) return { state: null, date: null, amount: 0, days: null }
+  const days = differenceInCalendarDays(toDay(due.date), startOfDay(today))
+  const state = days < 0 ? 'overdue' : days <= UPCOMING_DAYS ? 'upcoming' : null
+  return { state, date: due.date, amount: due.amount, days }
+}
+
+/**
+ * Interest accrued on what's still owed, from `since` (the day the money
+ * changed hands) to `asOf`, at the record's yearly rate. Simple interest
+ * grows in a straight line; compound adds interest to the balance monthly.
+ * An estimate: earlier payments aren't replayed against the balance.
+ *
+ * @param {Object} record
+ * @param {string|Date} since
+ * @param {Date} [asOf]
+ * @returns {number} 0 without a rate
+ */
+export function accruedInterest(record, since, asOf = new Date()) {
+  const rate = Number(record?.interest_rate) || 0
+  const balance = Number(record?.remaining_amount) || 0
+  const start = toDay(since)
+  if (!(rate > 0) || !(balance > 0) || !start || record.status !== 'Active') return 0
+  const days = differenceInCalendarDays(startOfDay(asOf), start)
+  if (days <= 0) return 0
+  const yearly = rate / 100
+  if (record.interest_type === 'compound') {
+    const months = days / (365.25 / 12)
+    return round2(balance * ((1 + yearly / 12) ** months - 1))
+  }
+  return round2((balance * yearly * days) / 365)
+}
+
+/**
+ * Active records due soon or overdue, for the launch reminder. Overdue first
+ * (longest overdue leading), then upcoming by date.
+ *
+ * @param {Array} records
+ * @param {Date} [today]
+ * @returns {{ overdue: Array, upcoming: Array }} records with their dueState
+ */
+export function dueReminders(records, today = new Date()) {
+  const overdue = []
+  const upcoming = []
+  ;(records || []).forEach((record) => {
+    const due = dueState(record, today)
+    if (due.state === 'overdue') overdue.push({ record, ...due })
+    if (due.state === 'upcoming') upcoming.push({ record, ...due })
+  })
+  overdue.sort((a, b) => a.days - b.days)
+  upcoming.sort((a, b) => a.days - b.days)
+  return { overdue, upcoming }
+}
+
+// "Sara's repayment of ETB 500" / "Your repayment of ETB 500 to Sara"
+function repaymentOf({ record, amount }) {
+  const money = formatCurrency(amount, record.currency)
+  return record.type === 'Lending'
+    ? `${record.entity_name}'s repayment of ${money}`
+    : `Your repayment of ${money} to ${record.entity_name}`
+}
+
+const inDays = (days) =>
+  days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`
+
+/**
+ * The launch reminder for dueReminders' result, or null when nothing is due.
+ * A single record is named; several are counted.
+ *
+ * @param {{ overdue: Array, upcoming: Array }} reminders
+ * @returns {{ message: string, severity: 'warning'|'info' }|null}
+ */
+export function describeReminders({ overdue, upcoming }) {
+  if (overdue.length === 0 && upcoming.length === 0) return null
+  if (overdue.length === 0) {
+    return {
+      severity: 'info',
+      message:
+        upcoming.length === 1
+          ? `${repaymentOf(upcoming[0])} is due ${inDays(upcoming[0].days)}`
+          : `${upcoming.length} repayments are due in the next ${UPCOMING_DAYS} days`,
+    }
+  }
+  const late = -overdue[0].days
+  const first =
+    overdue.length === 1
+      ? `${repaymentOf(overdue[0])} is ${late === 1 ? '1 day' : `${late} days`} overdue`
+      : `${overdue.length} repayments are overdue`
+  return {
+    severity: 'warning',
+    message: upcoming.length > 0 ? `${first}, ${upcoming.length} more due soon` : first,
+  }
+}
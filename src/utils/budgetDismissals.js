@@ -26,6 +26,17 @@ export function statusSeverity(status) {
   return status.over ? 'over' : 'near'
 }
 
+/**
+ * What a dismissal is stored under within the month. A monthly budget's alert
+ * is its category's; one measured over a week, quarter, year or range also
+ * carries that period, so silencing this week's alert doesn't silence next
+ * week's.
+ */
+export function dismissalKey(status) {
+  if (!status.period || status.period === 'monthly') return status.categoryId
+  return `${status.categoryId}@${status.periodKey}`
+}
+
 /**
  * Read the stored value into an object. A missing or malformed value hides
  * nothing rather than throwing — the next write replaces it.
@@ -1,4 +1,9 @@
 import { parseISO, startOfMonth, endOfMonth } from 'date-fns'
+import {
+  isMonthlyBudget,
+  budgetAppliesToRange,
+  budgetAppliesToDate,
+} from './budgetPeriods'
 
 /**
  * Normalize a month value to its 'YYYY-MM' key. Accepts 'YYYY-MM',
@@ -16,12 +21,21 @@ export function monthKey(value) {
  * Used by the Budgets page filter, the Reports page budget lookup, and any
  * future consumer — so the matching rules cannot drift between pages.
  *
+ * A weekly, quarterly, yearly or custom budget (budgetPeriods.js) applies to
+ * every month it is live in at all — a month view lists it, though its amount
+ * is for its own period, not the month.
+ *
  * @param {Object} budget - budget record (recurring or one-time)
  * @param {string} monthStr - target month as 'YYYY-MM'
  */
 export function budgetAppliesToMonth(budget, monthStr) {
   if (!budget || !monthStr) return false
 
+  if (!isMonthlyBudget(budget)) {
+    const first = parseISO(`${monthStr}-01`)
+    return budgetAppliesToRange(budget, startOfMonth(first), endOfMonth(first))
+  }
+
   if (budget.recurring) {
     const target = parseISO(`${monthStr}-01`)
     if (budget.start_month) {
@@ -59,6 +73,22 @@ export function findBudgetsForCategoryMonth(budgets, categoryId, monthStr) {
   )
 }
 
+/**
+ * Every Active budget a category holds whose period contains `date` — what
+ * the category is measured against on that day, whatever each budget's period.
+ *
+ * @param {Date} date
+ * @returns {Array<Object>}
+ */
+export function findBudgetsForCategoryDate(budgets, categoryId, date) {
+  return (budgets || []).filter(
+    (budget) =>
+      budget.category_id === categoryId &&
+      budget.status === 'Active' &&
+      budgetAppliesToDate(budget, date)
+  )
+}
+
 /**
  * Find A budget record for a category that applies to a month, preferring an
  * Active one over paused/inactive matches.
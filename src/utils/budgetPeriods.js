@@ -0,0 +1,221 @@
+import {
+  addDays,
+  differenceInCalendarDays,
+  endOfDay,
+  endOfMonth,
+  endOfQuarter,
+  endOfWeek,
+  endOfYear,
+  format,
+  parseISO,
+  startOfDay,
+  startOfMonth,
+  startOfQuarter,
+  startOfWeek,
+  startOfYear,
+} from 'date-fns'
+
+/**
+ * Budget periods (migration 030). A budget's amount is for one period: a week
+ * (starting on its week_start day), a calendar month, quarter or year, or one
+ * custom date range. Everything that asks "which stretch of time is this
+ * budget measured over?" asks here, so the status cue, the Budgets page and
+ * Reports can't each cut the calendar differently.
+ */
+
+export const BUDGET_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom']
+
+export const BUDGET_PERIOD_LABELS = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly',
+  custom: 'Custom range',
+}
+
+// One period, as in "of 200 per week"
+export const BUDGET_PERIOD_UNITS = {
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter',
+  yearly: 'year',
+  custom: 'range',
+}
+
+// "left this week", "over by … this quarter"
+export const BUDGET_PERIOD_PHRASES = {
+  weekly: 'this week',
+  monthly: 'this month',
+  quarterly: 'this quarter',
+  yearly: 'this year',
+  custom: 'in this range',
+}
+
+// date-fns weekStartsOn numbering: 0 is Sunday
+export const WEEKDAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+]
+export const DEFAULT_WEEK_START = 1
+
+// Budgets from before migration 030 have no period: they are monthly
+export const budgetPeriod = (budget) => budget?.period || 'monthly'
+
+export const isMonthlyBudget = (budget) => budgetPeriod(budget) === 'monthly'
+
+const weekOptions = (budget) => ({
+  weekStartsOn: budget.week_start ?? DEFAULT_WEEK_START,
+})
+
+/**
+ * The period of `budget` that contains `date`. A custom budget has only the
+ * one, wherever `date` is.
+ *
+ * @param {Object} budget
+ * @param {Date} date
+ * @returns {{ period: string, start: Date, end: Date, key: string }} key is
+ *   unique per period and budget shape, for grouping budgets measured over the
+ *   same stretch
+ */
+export function periodWindow(budget, date) {
+  const period = budgetPeriod(budget)
+  let start
+  let end
+  switch (period) {
+    case 'weekly':
+      start = startOfWeek(date, weekOptions(budget))
+      end = endOfWeek(date, weekOptions(budget))
+      break
+    case 'quarterly':
+      start = startOfQuarter(date)
+      end = endOfQuarter(date)
+      break
+    case 'yearly':
+      start = startOfYear(date)
+      end = endOfYear(date)
+      break
+    case 'custom':
+      start = startOfDay(parseISO(budget.period_start))
+      end = endOfDay(parseISO(budget.period_end))
+      break
+    default:
+      start = startOfMonth(date)
+      end = endOfMonth(date)
+  }
+  const key = `${period}:${format(start, 'yyyy-MM-dd')}:${format(end, 'yyyy-MM-dd')}`
+  return { period, start, end, key }
+}
+
+/**
+ * When a budget is live: a recurring one between its start and end months
+ * (either may be open), a one-time one for the single period its month falls
+ * in, a custom one over its range. Null when it has nothing to go on.
+ *
+ * @returns {null | { start: Date|null, end: Date|null }}
+ */
+function budgetSpan(budget) {
+  if (budgetPeriod(budget) === 'custom') {
+    if (!budget.period_start || !budget.period_end) return null
+    const { start, end } = periodWindow(budget, new Date())
+    return { start, end }
+  }
+  if (budget.recurring) {
+    return {
+      start: budget.start_month ? startOfMonth(parseISO(budget.start_month)) : null,
+      end: budget.end_month ? endOfMonth(parseISO(budget.end_month)) : null,
+    }
+  }
+  if (!budget.month) return null
+  const { start, end } = periodWindow(budget, parseISO(budget.month))
+  return { start, end }
+}
+
+/** Is the budget live at any point between `start` and `end`? */
+export function budgetAppliesToRange(budget, start, end) {
+  const span = budgetSpan(budget)
+  if (!span) return false
+  return (!span.start || span.start <= end) && (!span.end || span.end >= start)
+}
+
+/**
+ * Does the budget measure `date`: is the period containing it one the budget
+ * is live in?
+ */
+export function budgetAppliesToDate(budget, date) {
+  if (!budget || !date) return false
+  const window = periodWindow(budget, date)
+  if (date < window.start || date > window.end) return false
+  return budgetAppliesToRange(budget, window.start, window.end)
+}
+
+/**
+ * How many of the budget's periods fall between `rangeStart` and `rangeEnd`,
+ * for plans summed over a report range: the budget's amount times this is its
+ * share of the range.
+ *
+ * A month counts whole wherever it is touched, as Reports always counted them
+ * (its ranges are whole months). Any other period counts the fraction of its
+ * days inside the range, so a yearly budget contributes a twelfth-ish to a
+ * month and a weekly one about four and a third.
+ *
+ * @returns {number}
+ */
+export function budgetPeriodsInRange(budget, rangeStart, rangeEnd) {
+  const span = budgetSpan(budget)
+  if (!span) return 0
+  const from = span.start && span.start > rangeStart ? span.start : rangeStart
+  const to = span.end && span.end < rangeEnd ? span.end : rangeEnd
+  if (from > to) return 0
+
+  const monthly = isMonthlyBudget(budget)
+  let count = 0
+  let window = periodWindow(budget, from)
+  while (window.start <= to) {
+    if (monthly) {
+      count += 1
+    } else {
+      const overlapStart = window.start > from ? window.start : from
+      const overlapEnd = window.end < to ? window.end : to
+      const days = differenceInCalendarDays(window.end, window.start) + 1
+      count += (differenceInCalendarDays(overlapEnd, overlapStart) + 1) / days
+    }
+    if (budgetPeriod(budget) === 'custom') break
+    window = periodWindow(budget, addDays(window.end, 1))
+  }
+  return count
+}
+
+/**
+ * The day a month view measures period budgets on: today in the current
+ * month, the last day of a past one, the first of a future one.
+ *
+ * @param {string} monthStr - 'YYYY-MM'
+ * @param {Date} [now]
+ */
+export function referenceDateForMonth(monthStr, now = new Date()) {
+  const current = format(now, 'yyyy-MM')
+  if (monthStr === current) return now
+  const first = parseISO(`${monthStr}-01`)
+  return monthStr < current ? endOfMonth(first) : first
+}
+
+/** "Week of Mar 2", "Mar 2026", "Q1 2026", "2026", "Mar 2 – Apr 10, 2026" */
+export function periodLabel({ period, start, end }) {
+  switch (period) {
+    case 'weekly':
+      return `Week of ${format(start, 'MMM d')}`
+    case 'quarterly':
+      return format(start, 'QQQ yyyy')
+    case 'yearly':
+      return format(start, 'yyyy')
+    case 'custom':
+      return `${format(start, 'MMM d')} – ${format(end, 'MMM d, yyyy')}`
+    default:
+      return format(start, 'MMM yyyy')
+  }
+}
@@ -0,0 +1,77 @@
+import { addMonths, format, parseISO } from 'date-fns'
+import { findBudgetsForCategoryMonth } from './budgetMatching'
+
+/**
+ * Envelope-style rollover (migration 029): a recurring budget marked
+ * `rollover` hands what its month left unspent to the next month, or takes
+ * what it overspent out of it. The carry is never stored — it is traced back
+ * through the months each time, so a corrected old transaction moves every
+ * later carry with it.
+ *
+ * A carry belongs to a category rather than to one budget record: editing a
+ * recurring budget partway through splits it into two records, and the
+ * envelope must not empty itself at the split.
+ */
+
+// How far back a carry is traced — ten years of months, so a budget with no
+// start month can't walk back forever
+export const MAX_ROLLOVER_MONTHS = 120
+
+// 'YYYY-MM' moved by n months
+export const shiftMonth = (key, n) =>
+  format(addMonths(parseISO(`${key}-01`), n), 'yyyy-MM')
+
+export const rollsOver = (budget) => !!(budget?.recurring && budget.rollover)
+
+export const hasRolloverBudget = (budgets) => (budgets || []).some(rollsOver)
+
+/**
+ * The earlier months whose leftovers reach `monthKey`, oldest first: the
+ * unbroken run of months before it in which the category has an Active
+ * rolling budget. Empty when `monthKey` itself has none — nothing carries into
+ * a month that doesn't roll over.
+ *
+ * @param {Array} budgets
+ * @param {string} categoryId
+ * @param {string} monthKey - 'YYYY-MM'
+ * @param {(budget: Object) => boolean} [filter] - narrows which budgets count
+ *   (the Budgets page keeps to one currency)
+ * @returns {string[]}
+ */
+export function rolloverMonths(budgets, categoryId, monthKey, filter = () => true) {
+  const rolling = (month) =>
+    findBudgetsForCategoryMonth(budgets, categoryId, month)
+      .filter(filter)
+      .some(rollsOver)
+  if (!rolling(monthKey)) return []
+
+  const months = []
+  let month = shiftMonth(monthKey, -1)
+  while (months.length < MAX_ROLLOVER_MONTHS && rolling(month)) {
+    months.unshift(month)
+    month = shiftMonth(month, -1)
+  }
+  return months
+}
+
+/**
+ * Walk the months forward, each one's leftover becoming the next one's carry.
+ *
+ * @param {string[]} months - from rolloverMonths
+ * @param {(month: string) => number} planFor - the month's budget
+ * @param {(month: string) => number} spentFor - the month's spending
+ * @returns {{ carryIn: number, history: Array<{ month: string, budget: number,
+ *   carryIn: number, spent: number, available: number }> }} carryIn is what
+ *   reaches the month after the last one; history is oldest first
+ */
+export function carryForward(months, planFor, spentFor) {
+  let carry = 0
+  const history = months.map((month) => {
+    const budget = planFor(month)
+    const spent = spentFor(month)
+    const carryIn = carry
+    carry = budget + carryIn - spent
+    return { month, budget, carryIn, spent, available: carry }
+  })
+  return { carryIn: carry, history }
+}
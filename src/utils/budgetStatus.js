@@ -1,12 +1,22 @@
 import { getCategoryDescendants } from './categoryHierarchy'
+import { categoryLines } from './transactionSplits'
 import {
   convertAmountWithLookup,
   buildExchangeRateLookup,
 } from './currencyConversion'
+import { format } from 'date-fns'
 import {
   findBudgetsForCategoryMonth,
-  budgetAppliesToMonth,
+  findBudgetsForCategoryDate,
 } from './budgetMatching'
+import { rolloverMonths, carryForward, rollsOver } from './budgetRollover'
+import {
+  isMonthlyBudget,
+  periodWindow,
+  periodLabel,
+  budgetAppliesToDate,
+  referenceDateForMonth,
+} from './budgetPeriods'
 
 // "Near budget" begins at this fraction of the monthly budget — shared by the
 // Home cue, the Reports insight, and the entry-time cue so they always agree.
@@ -40,7 +50,11 @@ export function currentMonthKey(date = new Date()) {
  * the last bits of the result — and `spent` decides whether a budget reads as
  * over or under.
  *
- * @returns {Map<string, Array<{txn: Object, i: number}>>} keyed by category_id
+ * A split transaction files one row under each of its lines' categories, each
+ * carrying only that line's amount.
+ *
+ * @returns {Map<string, Array<{txn: Object, i: number, amount: number}>>}
+ *   keyed by category_id
  */
 export function buildMonthlySpendIndex(
   transactions,
@@ -53,19 +67,55 @@ export function buildMonthlySpendIndex(
     if (txn.type !== 'Expense' && txn.type !== 'Transfer Out') return
     // Local-time month bucket, matching how Reports groups by date
     if (!txn.date || currentMonthKey(new Date(txn.date)) !== monthKey) return
-    let rows = index.get(txn.category_id)
-    if (!rows) {
-      rows = []
-      index.set(txn.category_id, rows)
-    }
-    rows.push({ txn, i })
+    categoryLines(txn).forEach((line) => {
+      let rows = index.get(line.categoryId)
+      if (!rows) {
+        rows = []
+        index.set(line.categoryId, rows)
+      }
+      rows.push({ txn, i, amount: line.amount })
+    })
   })
   return index
 }
 
 /**
- * Sum a category's expense spending for a given "YYYY-MM", including its
- * descendants (a leaf has none, so it's just itself), converted into
+ * buildMonthlySpendIndex for every month at once, keyed by "YYYY-MM" — what a
+ * rollover carry needs, since it sums a category's spending month after month,
+ * and what a week, quarter or year is cut from. Built in one pass; only worth
+ * it when needsSpendIndexByMonth says so.
+ *
+ * @returns {Map<string, Map<string, Array<{txn: Object, i: number, amount: number}>>>}
+ */
+export function buildSpendIndexByMonth(transactions) {
+  const byMonth = new Map()
+  ;(transactions || []).forEach((txn, i) => {
+    if (txn.status === 'Cancelled' || txn.deleted_at) return
+    if (txn.type !== 'Expense' && txn.type !== 'Transfer Out') return
+    if (!txn.date) return
+    const key = currentMonthKey(new Date(txn.date))
+    let index = byMonth.get(key)
+    if (!index) {
+      index = new Map()
+      byMonth.set(key, index)
+    }
+    categoryLines(txn).forEach((line) => {
+      let rows = index.get(line.categoryId)
+      if (!rows) {
+        rows = []
+        index.set(line.categoryId, rows)
+      }
+      rows.push({ txn, i, amount: line.amount })
+    })
+  })
+  return byMonth
+}
+
+const EMPTY_SPEND_INDEX = new Map()
+
+/**
+ * Sum a category's expense spending for a given "YYYY-MM" — or for any period,
+ * handed that period's index (windowSpendIndex) — including its descendants (a leaf has none, so it's just itself), converted into
  * `targetCurrency` with the cached exchange rates — the same conversion the
  * Reports page uses so the numbers agree.
  *
@@ -102,16 +152,16 @@ function spentForCategoryMonth({
   if (rows.length > 1) rows = rows.slice().sort((a, b) => a.i - b.i)
 
   let spent = 0
-  rows.forEach(({ txn }) => {
+  rows.forEach(({ txn, amount }) => {
     if (excludeTransactionId && txn.transaction_id === excludeTransactionId)
       return
-    const amount = Math.abs(parseFloat(txn.amount || 0))
     const txnCurrency = txn.currency || targetCurrency
     const converted = convertAmountWithLookup(
       amount,
       txnCurrency,
       targetCurrency,
-      lookup
+      lookup,
+      txn.date
     )
     spent += converted !== null ? converted : amount
   })
@@ -119,15 +169,178 @@ function spentForCategoryMonth({
 }
 
 /**
- * Budget health for a single expense category in a month, or null when it has
- * no budget for that month. Used by the entry-time cue in Add/Edit.
+ * Does anything need buildSpendIndexByMonth: a budget that rolls over (its
+ * carry sums earlier months) or one measured over a period other than the
+ * month (its window can reach outside the month)?
+ */
+export function needsSpendIndexByMonth(budgets) {
+  return (budgets || []).some((b) => rollsOver(b) || !isMonthlyBudget(b))
+}
+
+// buildSpendIndexByMonth's rows narrowed to one period window, cached per
+// index so a sweep over many categories cuts each window once
+const windowIndexCache = new WeakMap()
+
+function windowSpendIndex(byMonth, window) {
+  let cached = windowIndexCache.get(byMonth)
+  if (!cached) {
+    cached = new Map()
+    windowIndexCache.set(byMonth, cached)
+  }
+  const hit = cached.get(window.key)
+  if (hit) return hit
+
+  const index = new Map()
+  for (
+    let month = window.start;
+    month <= window.end;
+    month = new Date(month.getFullYear(), month.getMonth() + 1, 1)
+  ) {
+    const monthIndex = byMonth.get(currentMonthKey(month))
+    if (!monthIndex) continue
+    monthIndex.forEach((rows, categoryId) => {
+      const inside = rows.filter(({ txn }) => {
+        const date = new Date(txn.date)
+        return date >= window.start && date <= window.end
+      })
+      if (inside.length === 0) return
+      const existing = index.get(categoryId)
+      index.set(categoryId, existing ? existing.concat(inside) : inside)
+    })
+  }
+  cached.set(window.key, index)
+  return index
+}
+
+// Sum of budget amounts in `currency`
+function sumBudgets(budgets, currency, baseCurrency, lookup) {
+  let total = 0
+  budgets.forEach((b) => {
+    const amount = parseFloat(b.amount || 0)
+    if (!(amount > 0)) return
+    const converted = convertAmountWithLookup(
+      amount,
+      b.currency || baseCurrency,
+      currency,
+      lookup
+    )
+    total += converted !== null ? converted : amount
+  })
+  return total
+}
+
+// Share of the period's limit spent. A carried overspend can leave a limit of
+// zero or less; then whatever is spent past it is measured against the budget
+// itself, so the period still reads as over rather than dividing by nothing.
+function budgetPct(spent, limit, budgetAmount) {
+  if (limit > 0) return spent / limit
+  return 1 + (spent - limit) / budgetAmount
+}
+
+/**
+ * What rolls over into `monthKey` for a category (budgetRollover.js), in
+ * `currency`: each earlier month's monthly budgets less its spending.
+ */
+function monthlyCarry({
+  categoryId,
+  categories,
+  budgets,
+  transactions,
+  exchangeRates,
+  baseCurrency,
+  currency,
+  monthKey,
+  byMonth,
+  rateLookup,
+}) {
+  const months = rolloverMonths(budgets, categoryId, monthKey)
+  if (months.length === 0) return { carryIn: 0, history: [] }
+  const index = byMonth()
+  return carryForward(
+    months,
+    (month) =>
+      sumBudgets(
+        findBudgetsForCategoryMonth(budgets, categoryId, month).filter(
+          isMonthlyBudget
+        ),
+        currency,
+        baseCurrency,
+        rateLookup
+      ),
+    (month) =>
+      spentForCategoryMonth({
+        categoryId,
+        categories,
+        transactions,
+        exchangeRates,
+        targetCurrency: currency,
+        monthKey: month,
+        spendIndex: index.get(month) || EMPTY_SPEND_INDEX,
+        rateLookup,
+      })
+  )
+}
+
+// Budgets grouped by the period window they measure `date` in — a category
+// with a weekly and a monthly budget is measured twice, once per window
+function groupByWindow(budgets, date) {
+  const groups = new Map()
+  budgets.forEach((budget) => {
+    const window = periodWindow(budget, date)
+    const group = groups.get(window.key)
+    if (group) group.budgets.push(budget)
+    else groups.set(window.key, { window, budgets: [budget] })
+  })
+  return [...groups.values()]
+}
+
+// The status fields that say which period was measured
+const periodFields = (window) => ({
+  period: window.period,
+  periodKey: window.key,
+  periodStart: format(window.start, 'yyyy-MM-dd'),
+  periodEnd: format(window.end, 'yyyy-MM-dd'),
+  periodLabel: periodLabel(window),
+})
+
+// The spend index for a window: the shared one when the window is the month it
+// was built for, otherwise cut from every month's
+function spendIndexForWindow(window, monthKey, spendIndex, byMonth) {
+  if (window.period === 'monthly') {
+    const key = currentMonthKey(window.start)
+    if (key === monthKey && spendIndex) return spendIndex
+    return byMonth().get(key) || EMPTY_SPEND_INDEX
+  }
+  return windowSpendIndex(byMonth(), window)
+}
+
+// The worse of two statuses (either may be null)
+const worse = (a, b) => (!a || (b && b.pct > a.pct) ? b : a)
+
+/**
+ * Budget health for a single expense category, or null when it has no budget
+ * for the period. Used by the entry-time cue in Add/Edit.
  *
- * The plan is the sum of every Active budget the category holds for the month,
+ * The plan is the sum of every Active budget the category holds for the period,
  * matching how Reports rolls one up. Measuring against a single record instead
  * would compare the category's whole spend against part of its budget, and read
  * as over budget on a category Reports shows as healthy.
  *
- * @returns {null | {budgetAmount, currency, spent, remaining, pct, over}}
+ * Each budget is measured over its own period (budgetPeriods.js) — the week,
+ * month, quarter, year or range containing `asOf`, which defaults to today in
+ * the current month and the month's last day in a past one. A category with
+ * budgets of different periods is measured once per period and reports the
+ * worst; `period`, `periodStart`, `periodEnd` and `periodLabel` say which.
+ *
+ * When the month rolls over (budgetRollover.js), what earlier months left or
+ * overspent is added to the plan: available = budget + carry-in − spent, and
+ * `remaining` is that. `spendIndexByMonth` (buildSpendIndexByMonth) is optional
+ * like `spendIndex`; it's built here when a carry or a period needs it and none
+ * was given.
+ *
+ * @returns {null | {budgetAmount, carryIn, currency, spent, available,
+ *   remaining, pct, over, carryHistory, period, periodKey, periodStart,
+ *   periodEnd, periodLabel}}
  */
 export function computeCategoryBudgetStatus({
   categoryId,
@@ -137,57 +350,76 @@ export function computeCategoryBudgetStatus({
   exchangeRates,
   baseCurrency,
   monthKey = currentMonthKey(),
+  asOf,
   excludeTransactionId,
   spendIndex,
+  spendIndexByMonth,
   rateLookup,
 }) {
   if (!categoryId) return null
   const cat = categories.find((c) => c.category_id === categoryId)
   if (!cat || cat.type !== 'Expense') return null
-  const applicable = findBudgetsForCategoryMonth(budgets, categoryId, monthKey)
+  const when = asOf || referenceDateForMonth(monthKey)
+  const applicable = findBudgetsForCategoryDate(budgets, categoryId, when)
   if (applicable.length === 0) return null
 
   const lookup = rateLookup || buildExchangeRateLookup(exchangeRates)
+  let index = spendIndexByMonth
+  const byMonth = () => index || (index = buildSpendIndexByMonth(transactions))
 
-  // Keep the budgets' shared currency when they all agree — the usual case,
-  // and it lets the badge read in the currency they were entered in rather
-  // than a conversion. Only a genuinely mixed set falls back to base.
-  const currencies = new Set(applicable.map((b) => b.currency || baseCurrency))
-  const currency = currencies.size === 1 ? [...currencies][0] : baseCurrency
+  let result = null
+  groupByWindow(applicable, when).forEach(({ window, budgets: group }) => {
+    // Keep the budgets' shared currency when they all agree — the usual case,
+    // and it lets the badge read in the currency they were entered in rather
+    // than a conversion. Only a genuinely mixed set falls back to base.
+    const currencies = new Set(group.map((b) => b.currency || baseCurrency))
+    const currency = currencies.size === 1 ? [...currencies][0] : baseCurrency
 
-  let budgetAmount = 0
-  applicable.forEach((b) => {
-    const amount = parseFloat(b.amount || 0)
-    if (!(amount > 0)) return
-    const converted = convertAmountWithLookup(
-      amount,
-      b.currency || baseCurrency,
-      currency,
-      lookup
-    )
-    budgetAmount += converted !== null ? converted : amount
-  })
-  if (!(budgetAmount > 0)) return null
+    const budgetAmount = sumBudgets(group, currency, baseCurrency, lookup)
+    if (!(budgetAmount > 0)) return
 
-  const spent = spentForCategoryMonth({
-    categoryId,
-    categories,
-    transactions,
-    exchangeRates,
-    targetCurrency: currency,
-    monthKey,
-    excludeTransactionId,
-    spendIndex,
-    rateLookup: lookup,
+    const carry =
+      window.period === 'monthly'
+        ? monthlyCarry({
+            categoryId,
+            categories,
+            budgets,
+            transactions,
+            exchangeRates,
+            baseCurrency,
+            currency,
+            monthKey: currentMonthKey(window.start),
+            byMonth,
+            rateLookup: lookup,
+          })
+        : { carryIn: 0, history: [] }
+
+    const spent = spentForCategoryMonth({
+      categoryId,
+      categories,
+      transactions,
+      exchangeRates,
+      targetCurrency: currency,
+      monthKey: currentMonthKey(window.start),
+      excludeTransactionId,
+      spendIndex: spendIndexForWindow(window, monthKey, spendIndex, byMonth),
+      rateLookup: lookup,
+    })
+    const limit = budgetAmount + carry.carryIn
+    result = worse(result, {
+      budgetAmount,
+      carryIn: carry.carryIn,
+      currency,
+      spent,
+      available: limit - spent,
+      remaining: limit - spent,
+      pct: budgetPct(spent, limit, budgetAmount),
+      over: spent > limit,
+      carryHistory: carry.history,
+      ...periodFields(window),
+    })
   })
-  return {
-    budgetAmount,
-    currency,
-    spent,
-    remaining: budgetAmount - spent,
-    pct: budgetAmount > 0 ? spent / budgetAmount : 0,
-    over: spent > budgetAmount,
-  }
+  return result
 }
 
 /**
@@ -196,7 +428,7 @@ export function computeCategoryBudgetStatus({
  * Home cue, the row badge and the budget search all read from.
  *
  * @param {number} nearThreshold - fraction (0-1) at which "near" begins (0.8 = 80%)
- * @returns {Array<{categoryId, name, budgetAmount, currency, spent, remaining, pct, over, near}>}
+ * @returns {Array<{categoryId, name, budgetAmount, carryIn, currency, spent, available, remaining, pct, over, near, carryHistory, period, periodKey, periodStart, periodEnd, periodLabel}>}
  */
 export function computeAllBudgetStatuses({
   categories,
@@ -205,8 +437,10 @@ export function computeAllBudgetStatuses({
   exchangeRates,
   baseCurrency,
   monthKey = currentMonthKey(),
+  asOf,
   nearThreshold = NEAR_BUDGET_THRESHOLD,
   spendIndex: sharedSpendIndex,
+  spendIndexByMonth: sharedSpendIndexByMonth,
   rateLookup: sharedRateLookup,
 }) {
   // Built once for the whole sweep rather than per category. Callers running
@@ -215,6 +449,11 @@ export function computeAllBudgetStatuses({
   const spendIndex =
     sharedSpendIndex || buildMonthlySpendIndex(transactions, monthKey)
   const rateLookup = sharedRateLookup || buildExchangeRateLookup(exchangeRates)
+  const spendIndexByMonth =
+    sharedSpendIndexByMonth ||
+    (needsSpendIndexByMonth(budgets)
+      ? buildSpendIndexByMonth(transactions)
+      : undefined)
   const results = []
   categories.forEach((cat) => {
     if (cat.type !== 'Expense' || cat.status !== 'Active') return
@@ -226,7 +465,9 @@ export function computeAllBudgetStatuses({
       exchangeRates,
       baseCurrency,
       monthKey,
+      asOf,
       spendIndex,
+      spendIndexByMonth,
       rateLookup,
     })
     if (!status) return
@@ -263,7 +504,12 @@ export function computeBudgetsNeedingAttention(params) {
  * Excludes parents that have a direct budget (those are already in
  * `computeAllBudgetStatuses`), so there's no overlap.
  *
- * @returns {Array<{categoryId, name, budgetAmount, currency, spent, remaining, pct, over, near, aggregated}>}
+ * Children's budgets are summed per period window, like a category's own, and
+ * the worst window reported. Children that roll over bring their carry into
+ * the monthly one: the parent's carryIn is the sum of theirs, in base
+ * currency, and available = budget + carryIn − spent.
+ *
+ * @returns {Array<{categoryId, name, budgetAmount, carryIn, currency, spent, available, remaining, pct, over, near, aggregated, period, periodKey, periodStart, periodEnd, periodLabel}>}
  */
 export function computeAggregatedParentStatuses({
   categories,
@@ -272,14 +518,19 @@ export function computeAggregatedParentStatuses({
   exchangeRates,
   baseCurrency,
   monthKey = currentMonthKey(),
+  asOf,
   nearThreshold = NEAR_BUDGET_THRESHOLD,
   spendIndex: sharedSpendIndex,
+  spendIndexByMonth: sharedSpendIndexByMonth,
   rateLookup: sharedRateLookup,
 }) {
   // See computeAllBudgetStatuses: shared when both sweeps run together.
   const spendIndex =
     sharedSpendIndex || buildMonthlySpendIndex(transactions, monthKey)
   const rateLookup = sharedRateLookup || buildExchangeRateLookup(exchangeRates)
+  let index = sharedSpendIndexByMonth
+  const byMonth = () => index || (index = buildSpendIndexByMonth(transactions))
+  const when = asOf || referenceDateForMonth(monthKey)
   const results = []
   categories.forEach((cat) => {
     if (cat.type !== 'Expense' || cat.status !== 'Active') return
@@ -288,54 +539,71 @@ export function computeAggregatedParentStatuses({
     // A direct budget means it's already covered by computeAllBudgetStatuses.
     // Same Active-only test that sweep uses, so a parent whose own budget is
     // paused can't fall out of both and vanish from the search.
-    if (findBudgetsForCategoryMonth(budgets, cat.category_id, monthKey).length)
+    if (findBudgetsForCategoryDate(budgets, cat.category_id, when).length)
       return
 
-    // Sum the descendants' budgets that apply this month, in base currency.
+    // The descendants' budgets live on this date, summed per window in base
+    // currency.
     const descendantIds = new Set(descendants.map((d) => d.category_id))
-    let budgetAmount = 0
-    let hasBudget = false
-    budgets.forEach((budget) => {
-      if (!descendantIds.has(budget.category_id)) return
-      if (budget.status !== 'Active') return
-      if (!budgetAppliesToMonth(budget, monthKey)) return
-      const amount = parseFloat(budget.amount || 0)
-      if (!(amount > 0)) return
-      hasBudget = true
-      const currency = budget.currency || baseCurrency
-      const converted = convertAmountWithLookup(
-        amount,
-        currency,
-        baseCurrency,
-        rateLookup
-      )
-      budgetAmount += converted !== null ? converted : amount
-    })
-    if (!hasBudget || !(budgetAmount > 0)) return
+    const live = budgets.filter(
+      (budget) =>
+        descendantIds.has(budget.category_id) &&
+        budget.status === 'Active' &&
+        budgetAppliesToDate(budget, when)
+    )
 
-    const spent = spentForCategoryMonth({
-      categoryId: cat.category_id,
-      categories,
-      transactions,
-      exchangeRates,
-      targetCurrency: baseCurrency,
-      monthKey,
-      spendIndex,
-      rateLookup,
-    })
-    const pct = budgetAmount > 0 ? spent / budgetAmount : 0
-    results.push({
-      categoryId: cat.category_id,
-      name: cat.name,
-      budgetAmount,
-      currency: baseCurrency,
-      spent,
-      remaining: budgetAmount - spent,
-      pct,
-      over: spent > budgetAmount,
-      near: pct >= nearThreshold && pct < 1,
-      aggregated: true,
+    let worst = null
+    groupByWindow(live, when).forEach(({ window, budgets: group }) => {
+      const budgetAmount = sumBudgets(group, baseCurrency, baseCurrency, rateLookup)
+      if (!(budgetAmount > 0)) return
+
+      let carryIn = 0
+      if (window.period === 'monthly') {
+        descendants.forEach((d) => {
+          carryIn += monthlyCarry({
+            categoryId: d.category_id,
+            categories,
+            budgets,
+            transactions,
+            exchangeRates,
+            baseCurrency,
+            currency: baseCurrency,
+            monthKey: currentMonthKey(window.start),
+            byMonth,
+            rateLookup,
+          }).carryIn
+        })
+      }
+
+      const spent = spentForCategoryMonth({
+        categoryId: cat.category_id,
+        categories,
+        transactions,
+        exchangeRates,
+        targetCurrency: baseCurrency,
+        monthKey: currentMonthKey(window.start),
+        spendIndex: spendIndexForWindow(window, monthKey, spendIndex, byMonth),
+        rateLookup,
+      })
+      const limit = budgetAmount + carryIn
+      const pct = budgetPct(spent, limit, budgetAmount)
+      worst = worse(worst, {
+        categoryId: cat.category_id,
+        name: cat.name,
+        budgetAmount,
+        carryIn,
+        currency: baseCurrency,
+        spent,
+        available: limit - spent,
+        remaining: limit - spent,
+        pct,
+        over: spent > limit,
+        near: pct >= nearThreshold && pct < 1,
+        aggregated: true,
+        ...periodFields(window),
+      })
     })
+    if (worst) results.push(worst)
   })
   results.sort((a, b) => b.pct - a.pct)
   return results
@@ -0,0 +1,199 @@
+import {
+  applyRules,
+  normalizeTagNames,
+  ruleMatches,
+} from '../../supabase/functions/_shared/categorizationRules.js'
+
+// Matching and applying live with the edge functions so quick-expense runs
+// the very same rules; see that file for how rules combine
+export {
+  applyRules,
+  ruleMatches,
+  sortRules,
+} from '../../supabase/functions/_shared/categorizationRules.js'
+
+/**
+ * Categorisation rules (see migration 022): the rule form's columns, previews
+ * and suggestions, on top of the shared matching above.
+ *
+ * Functions here take a "subject": { description, amount, accountId,
+ * entityName, type } — the fields a rule can look at, in the camelCase the
+ * create calls use. subjectFromRow adapts a stored transaction.
+ */
+
+export const RULE_MATCH_MODES = [
+  { value: 'contains', label: 'Contains' },
+  { value: 'regex', label: 'Matches pattern' },
+]
+export const RULE_TRANSACTION_TYPES = ['Expense', 'Income']
+export const RULE_STATUSES = ['Active', 'Paused']
+
+// camelCase input -> column, for create, update and previewing a draft
+const FIELD_MAP = {
+  name: 'name',
+  priority: 'priority',
+  status: 'status',
+  transactionType: 'transaction_type',
+  descriptionMatch: 'description_match',
+  descriptionPattern: 'description_pattern',
+  amountMin: 'amount_min',
+  amountMax: 'amount_max',
+  accountId: 'account_id',
+  entityName: 'entity_name',
+  setCategoryId: 'set_category_id',
+  setDescription: 'set_description',
+  addTags: 'add_tags',
+}
+
+/**
+ * Rule columns from camelCase input. Empty strings become nulls, so a
+ * cleared field stops taking part; tags are normalized.
+ * @param {Object} input
+ * @returns {Object}
+ */
+export function toRuleColumns(input) {
+  const row = {}
+  Object.entries(FIELD_MAP).forEach(([key, column]) => {
+    if (input[key] === undefined) return
+    const value = typeof input[key] === 'string' ? input[key].trim() : input[key]
+    row[column] = value === '' ? null : value
+  })
+  if (row.amount_min !== undefined && row.amount_min !== null) {
+    row.amount_min = Number(row.amount_min)
+  }
+  if (row.amount_max !== undefined && row.amount_max !== null) {
+    row.amount_max = Number(row.amount_max)
+  }
+  if (row.add_tags !== undefined) row.add_tags = normalizeTagNames(row.add_tags)
+  return row
+}
+
+/**
+ * The reason a regex pattern can't be used, or null when it's fine.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function regexPatternError(pattern) {
+  try {
+    new RegExp(pattern, 'i')
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+export function subjectFromRow(row) {
+  return {
+    description: row.description || '',
+    amount: Number(row.amount),
+    accountId: row.account_id,
+    entityName: row.entity_name || '',
+    type: row.type,
+  }
+}
+
+/**
+ * Transaction input (createTransaction's camelCase shape) with the rules
+ * applied. Transfers are returned untouched.
+ *
+ * @param {Array} rules
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.keepCategory] - only fill a missing category,
+ *   never replace one the caller chose
+ * @returns {Object} the input plus `ruleTags` (names to tag it with)
+ */
+export function applyRulesToInput(rules, input, { keepCategory = false } = {}) {
+  const type = input.type || 'Expense'
+  if (type !== 'Income' && type !== 'Expense') return { ...input, ruleTags: [] }
+
+  const result = applyRules(rules, {
+    description: input.description,
+    amount: input.amount,
+    accountId: input.accountId,
+    entityName: input.entityName,
+    type,
+  })
+  const next = { ...input, ruleTags: result.tags }
+  // A split transaction's categories are its lines; a rule doesn't redo them
+  const canSetCategory =
+    result.categoryId &&
+    !input.splits?.length &&
+    (!keepCategory || !input.categoryId)
+  if (canSetCategory) next.categoryId = result.categoryId
+  if (result.description !== null) next.description = result.description
+  return next
+}
+
+/**
+ * Dry run of one rule over stored transactions: the ones it matches and what
+ * it would change on each. The rule is tried on its own, whatever its status
+ * or priority, so a draft can be previewed before it is saved.
+ *
+ * @param {Object} rule
+ * @param {Array} transactions - stored rows
+ * @returns {Array<{ txn, categoryChange: boolean, descriptionChange: boolean }>}
+ *   newest first, as given
+ */
+export function previewRule(rule, transactions) {
+  const rewrite = String(rule.set_description || '').trim()
+  const matches = []
+  ;(transactions || []).forEach((txn) => {
+    if (txn.deleted_at) return
+    if (!ruleMatches(rule, subjectFromRow(txn))) return
+    matches.push({
+      txn,
+      categoryChange:
+        !!rule.set_category_id &&
+        !txn.splits?.length &&
+        txn.category_id !== rule.set_category_id,
+      descriptionChange: !!rewrite && (txn.description || '') !== rewrite,
+    })
+  })
+  return matches
+}
+
+/**
+ * A rule worth offering after someone recategorises a transaction by hand:
+ * "description contains <this description>" -> the new category (and the new
+ * description, if that was edited too). Null when the edit doesn't make a
+ * useful rule or an active rule already does the same.
+ *
+ * @param {Object} before - stored row, before the edit
+ * @param {Object} after - the saved form values (camelCase)
+ * @param {Array} rules - existing rules
+ * @returns {Object|null} draft rule input (camelCase, as toRuleColumns takes)
+ */
+export function suggestRuleFromEdit(before, after, rules) {
+  if (!before || !after) return null
+  const type = after.type || before.type
+  if (type !== 'Income' && type !== 'Expense') return null
+  if (after.splits?.length || !after.categoryId) return null
+  if (after.categoryId === before.category_id) return null
+
+  const pattern = String(before.description || '').trim()
+  if (!pattern) return null
+
+  const draft = {
+    name: pattern.length > 40 ? `${pattern.slice(0, 40)}…` : pattern,
+    transactionType: type,
+    descriptionMatch: 'contains',
+    descriptionPattern: pattern,
+    setCategoryId: after.categoryId,
+    setDescription:
+      after.description && after.description.trim() !== pattern
+        ? after.description.trim()
+        : '',
+  }
+
+  const already = applyRules(rules, {
+    description: pattern,
+    amount: Number(after.amount ?? before.amount),
+    accountId: after.accountId || before.account_id,
+    entityName: after.entityName ?? before.entity_name,
+    type,
+  })
+  if (already.categoryId === draft.setCategoryId) return null
+
+  return draft
+}
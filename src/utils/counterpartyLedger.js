@@ -0,0 +1,190 @@
+/**
+ * The ledger with one counterparty (migration 028): every loan to or from
+ * them, every repayment, and where things stand in each currency. Built from
+ * the borrowings/lendings records, their original transactions and the
+ * payments recordPayment links through payment_transaction_ids.
+ *
+ * Amounts are signed from the user's side: positive is money the person owes
+ * the user, negative money the user owes them. Currencies are never mixed, so
+ * a person who borrowed in ETB and lent in USD has a position in each.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+// Records with a counterparty; 'Unknown' ones have none
+export const recordsFor = (records, counterpartyId) =>
+  (records || []).filter((record) => record.counterparty_id === counterpartyId)
+
+const paymentIds = (record) =>
+  String(record.payment_transaction_ids || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean)
+
+function loanEntry(record, transaction, name) {
+  const amount = Number(record.original_amount) || 0
+  const lending = record.type === 'Lending'
+  return {
+    key: `${record.record_id}:loan`,
+    date: transaction?.date || record.created_at,
+    kind: 'loan',
+    recordId: record.record_id,
+    description: lending ? `Loan to ${name}` : `Loan from ${name}`,
+    notes: record.notes || '',
+    currency: record.currency,
+    amount,
+    signed: lending ? amount : -amount,
+  }
+}
+
+function paymentEntry(record, { key, date, amount, notes }, name) {
+  const lending = record.type === 'Lending'
+  return {
+    key,
+    date,
+    kind: 'payment',
+    recordId: record.record_id,
+    description: lending ? `Repayment from ${name}` : `Repayment to ${name}`,
+    notes,
+    currency: record.currency,
+    amount,
+    signed: lending ? -amount : amount,
+  }
+}
+
+/**
+ * Every loan and repayment with one counterparty, oldest first, each with the
+ * running balance in its currency, and the net position per currency.
+ *
+ * A payment whose transaction isn't loaded (or was deleted) still counts: what
+ * the record says was paid beyond the loaded payments shows as one entry.
+ *
+ * @param {Object} counterparty
+ * @param {Array} records - borrowings_lendings rows (any counterparty)
+ * @param {Array} transactions - all loaded transactions
+ * @returns {{ entries: Array<{ key: string, date: string, kind: 'loan'|'payment',
+ *   recordId: string, description: string, notes: string, currency: string,
+ *   amount: number, signed: number, balance: number }>,
+ *   net: Object<string, number> }} net is signed, per currency
+ */
+export function buildLedger(counterparty, records, transactions) {
+  const name = counterparty?.name || 'Unknown'
+  const byId = new Map((transactions || []).map((txn) => [txn.transaction_id, txn]))
+  const entries = []
+
+  recordsFor(records, counterparty?.counterparty_id).forEach((record) => {
+    if (record.status === 'Cancelled') return
+    const loan = loanEntry(record, byId.get(record.original_transaction_id), name)
+    entries.push(loan)
+
+    let counted = 0
+    paymentIds(record).forEach((id) => {
+      const txn = byId.get(id)
+      if (!txn || txn.deleted_at) return
+      const amount = Math.abs(Number(txn.amount) || 0)
+      counted += amount
+      entries.push(
+        paymentEntry(record, { key: id, date: txn.date, amount, notes: txn.description || '' }, name)
+      )
+    })
+    const unmatched = round2((Number(record.paid_amount) || 0) - counted)
+    if (unmatched > 0) {
+      entries.push(
+        paymentEntry(
+          record,
+          {
+            key: `${record.record_id}:earlier`,
+            // Never before the loan it repays
+            date: [loan.date, record.updated_at].filter(Boolean).sort(
+              (a, b) => new Date(b) - new Date(a)
+            )[0],
+            amount: unmatched,
+            notes: 'Payments not in the loaded transactions',
+          },
+          name
+        )
+      )
+    }
+  })
+
+  // Oldest first; on the same instant a loan comes before its repayment
+  entries.sort(
+    (a, b) =>
+      new Date(a.date) - new Date(b.date) ||
+      (a.kind === b.kind ? 0 : a.kind === 'loan' ? -1 : 1)
+  )
+
+  const running = {}
+  entries.forEach((entry) => {
+    running[entry.currency] = round2((running[entry.currency] || 0) + entry.signed)
+    entry.balance = running[entry.currency]
+  })
+
+  return { entries, net: running }
+}
+
+/**
+ * One line per counterparty for the people list: how many records, how many
+ * are active, and the net position per currency. Those with the most active
+ * records first, then by name.
+ *
+ * @param {Array} counterparties
+ * @param {Array} records
+ * @returns {Array<{ counterparty: Object, recordCount: number,
+ *   activeCount: number, net: Object<string, number> }>}
+ */
+export function summarizeCounterparties(counterparties, records) {
+  const byCounterparty = new Map()
+  ;(records || []).forEach((record) => {
+    if (!record.counterparty_id) return
+    const list = byCounterparty.get(record.counterparty_id) || []
+    list.push(record)
+    byCounterparty.set(record.counterparty_id, list)
+  })
+
+  return (counterparties || [])
+    .map((counterparty) => {
+      const own = byCounterparty.get(counterparty.counterparty_id) || []
+      const net = {}
+      own.forEach((record) => {
+        if (record.status !== 'Active') return
+        const remaining = Number(record.remaining_amount) || 0
+        const signed = record.type === 'Lending' ? remaining : -remaining
+        net[record.currency] = round2((net[record.currency] || 0) + signed)
+      })
+      return {
+        counterparty,
+        recordCount: own.length,
+        activeCount: own.filter((record) => record.status === 'Active').length,
+        net,
+      }
+    })
+    .sort(
+      (a, b) =>
+        b.activeCount - a.activeCount || a.counterparty.name.localeCompare(b.counterparty.name)
+    )
+}
+
+// Statement CSV layout, for rowsToCsv
+export const STATEMENT_COLUMNS = ['date', 'description', 'notes', 'currency', 'debit', 'credit', 'balance']
+
+/**
+ * The ledger's entries as statement rows: debit is money the user gave the
+ * person (a loan to them, a repayment to them), credit money the person gave
+ * the user.
+ *
+ * @param {Array} entries - from buildLedger
+ * @param {(date: string) => string} formatDate
+ * @returns {Array<Object>} keyed by STATEMENT_COLUMNS
+ */
+export function statementRows(entries, formatDate) {
+  return (entries || []).map((entry) => ({
+    date: formatDate(entry.date),
+    description: entry.description,
+    notes: entry.notes,
+    currency: entry.currency,
+    debit: entry.signed > 0 ? entry.amount.toFixed(2) : '',
+    credit: entry.signed < 0 ? entry.amount.toFixed(2) : '',
+    balance: entry.balance.toFixed(2),
+  }))
+}
@@ -0,0 +1,220 @@
+import {
+  addDays,
+  differenceInCalendarDays,
+  format,
+  getDaysInMonth,
+  parseISO,
+  startOfDay,
+} from 'date-fns'
+import { formatCurrency } from './currencyConversion'
+import { signedAmount } from './reconciliation'
+
+/**
+ * Credit card statement cycles (migration 035). A Credit account with a
+ * statement_closing_day and payment_due_day gets a statement each month: it
+ * covers the day after the previous closing through the closing day itself,
+ * and is due on the first payment_due_day after it closes. A day past the end
+ * of a short month falls on the month's last day.
+ *
+ * Balances follow the account's own sign: a card you owe on has a negative
+ * balance, and what's owed is its negation. Dates are 'yyyy-MM-dd' strings,
+ * the local day a transaction's date falls on, as the rest of the app shows it.
+ */
+
+// How close a payment due date has to be before Home warns about it
+export const DUE_SOON_DAYS = 7
+
+const DAY = 'yyyy-MM-dd'
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+const monthOf = (date, offset = 0) => new Date(date.getFullYear(), date.getMonth() + offset, 1)
+
+// `day` in the month `monthStart` begins, or its last day when the month is shorter
+const dayInMonth = (monthStart, day) =>
+  new Date(monthStart.getFullYear(), monthStart.getMonth(), Math.min(day, getDaysInMonth(monthStart)))
+
+export function hasStatementCycle(account) {
+  return (
+    account?.type === 'Credit' &&
+    Number(account.statement_closing_day) > 0 &&
+    Number(account.payment_due_day) > 0
+  )
+}
+
+// The first closing on or after `date`; a cycle closing today is still open
+function closingOnOrAfter(account, date) {
+  const day = Number(account.statement_closing_day)
+  const from = startOfDay(date)
+  const close = dayInMonth(monthOf(from), day)
+  return close >= from ? close : dayInMonth(monthOf(from, 1), day)
+}
+
+function previousClosing(account, closing) {
+  return dayInMonth(monthOf(closing, -1), Number(account.statement_closing_day))
+}
+
+function dueDateFor(account, closing) {
+  const day = Number(account.payment_due_day)
+  const due = dayInMonth(monthOf(closing), day)
+  return due > closing ? due : dayInMonth(monthOf(closing, 1), day)
+}
+
+// The account's live transactions, oldest first, each with its day and signed amount
+function accountRows(account, transactions) {
+  return (transactions || [])
+    .filter(
+      (txn) =>
+        txn.account_id === account.account_id &&
+        !txn.deleted_at &&
+        txn.status !== 'Cancelled'
+    )
+    .map((txn) => ({ txn, day: format(parseISO(txn.date), DAY), amount: signedAmount(txn) }))
+    .sort((a, b) => a.day.localeCompare(b.day))
+}
+
+function balanceThrough(account, rows, dayKey) {
+  return round2(
+    rows.reduce(
+      (sum, row) => (row.day <= dayKey ? sum + row.amount : sum),
+      Number(account.opening_balance) || 0
+    )
+  )
+}
+
+/**
+ * The account's statement periods, newest first, starting with the open one.
+ * Periods from before the account's first transaction are left out.
+ *
+ * @param {Object} account - accounts row
+ * @param {Array} transactions - stored rows (deleted and cancelled ones are skipped)
+ * @param {Object} [options]
+ * @param {number} [options.count] - the most periods to return
+ * @param {Date} [options.today]
+ * @returns {Array<{ start: string, end: string, dueDate: string, isOpen: boolean,
+ *   openingBalance: number, closingBalance: number, charges: number,
+ *   credits: number, transactions: Array }>} an open period's closingBalance
+ *   is its balance so far; transactions are newest first
+ */
+export function statementPeriods(account, transactions, { count = 6, today = new Date() } = {}) {
+  if (!hasStatementCycle(account)) return []
+  const rows = accountRows(account, transactions)
+  const periods = []
+  let end = closingOnOrAfter(account, today)
+  for (let i = 0; i < count; i += 1) {
+    const previous = previousClosing(account, end)
+    const startKey = format(addDays(previous, 1), DAY)
+    const endKey = format(end, DAY)
+    if (i > 0 && (rows.length === 0 || endKey < rows[0].day)) break
+
+    const inPeriod = rows.filter((row) => row.day >= startKey && row.day <= endKey)
+    periods.push({
+      start: startKey,
+      end: endKey,
+      dueDate: format(dueDateFor(account, end), DAY),
+      isOpen: i === 0,
+      openingBalance: balanceThrough(account, rows, format(previous, DAY)),
+      closingBalance: balanceThrough(account, rows, endKey),
+      charges: round2(
+        inPeriod.reduce((sum, row) => (row.amount < 0 ? sum - row.amount : sum), 0)
+      ),
+      credits: round2(
+        inPeriod.reduce((sum, row) => (row.amount > 0 ? sum + row.amount : sum), 0)
+      ),
+      transactions: inPeriod.map((row) => row.txn).reverse(),
+    })
+    end = previous
+  }
+  return periods
+}
+
+/**
+ * What a credit account owes now and on its last statement, and how much of
+ * its limit is in use.
+ *
+ * The amount still due is the last statement's balance less every payment or
+ * refund posted since it closed. Once the next statement closes it takes over,
+ * carrying whatever was left unpaid in its balance.
+ *
+ * @param {Object} account - accounts row
+ * @param {Array} transactions - stored rows
+ * @param {Object} [options]
+ * @param {Date} [options.today]
+ * @returns {{ currentBalance: number, owedNow: number,
+ *   utilisation: { limit: number, used: number, available: number, percent: number }|null,
+ *   statement: { closingDate: string, dueDate: string, nextClosingDate: string,
+ *     balance: number, owed: number, paid: number, remaining: number,
+ *     daysUntilDue: number, status: 'paid'|'upcoming'|'dueSoon'|'overdue' }|null }}
+ *   utilisation is null without a credit limit, statement without a cycle
+ */
+export function creditCardStatus(account, transactions, { today = new Date() } = {}) {
+  const currentBalance = Number(account.current_balance ?? account.opening_balance) || 0
+  const owedNow = round2(Math.max(0, -currentBalance))
+  const limit = Number(account.credit_limit) || 0
+  const utilisation =
+    limit > 0
+      ? {
+          limit,
+          used: owedNow,
+          available: round2(limit - owedNow),
+          percent: (owedNow / limit) * 100,
+        }
+      : null
+
+  if (!hasStatementCycle(account)) {
+    return { currentBalance, owedNow, utilisation, statement: null }
+  }
+
+  const rows = accountRows(account, transactions)
+  const nextClosing = closingOnOrAfter(account, today)
+  const closing = previousClosing(account, nextClosing)
+  const closingKey = format(closing, DAY)
+  const due = dueDateFor(account, closing)
+
+  const balance = balanceThrough(account, rows, closingKey)
+  const owed = round2(Math.max(0, -balance))
+  const paid = round2(
+    rows.reduce((sum, row) => (row.day > closingKey && row.amount > 0 ? sum + row.amount : sum), 0)
+  )
+  const remaining = round2(Math.max(0, owed - paid))
+  const daysUntilDue = differenceInCalendarDays(due, startOfDay(today))
+
+  let status = 'upcoming'
+  if (remaining <= 0) status = 'paid'
+  else if (daysUntilDue < 0) status = 'overdue'
+  else if (daysUntilDue <= DUE_SOON_DAYS) status = 'dueSoon'
+
+  return {
+    currentBalance,
+    owedNow,
+    utilisation,
+    statement: {
+      closingDate: closingKey,
+      dueDate: format(due, DAY),
+      nextClosingDate: format(nextClosing, DAY),
+      balance,
+      owed,
+      paid,
+      remaining,
+      daysUntilDue,
+      status,
+    },
+  }
+}
+
+/**
+ * One line on what's left to pay on a statement and by when, e.g.
+ * "1,200.00 due Oct 20" or "350.00 overdue since Sep 20".
+ *
+ * @param {Object} statement - creditCardStatus(...).statement
+ * @param {string} currency
+ */
+export function describeDue(statement, currency) {
+  const due = format(parseISO(statement.dueDate), 'MMM d')
+  if (statement.status === 'paid') return `Statement paid · was due ${due}`
+  const amount = formatCurrency(statement.remaining, currency)
+  if (statement.status === 'overdue') return `${amount} overdue since ${due}`
+  if (statement.daysUntilDue === 0) return `${amount} due today`
+  if (statement.daysUntilDue === 1) return `${amount} due tomorrow`
+  return `${amount} due ${due}`
+}
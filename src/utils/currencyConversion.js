@@ -115,7 +115,7 @@ function findLatestRate(rates) {
 }
 
 /**
- * Pre-resolve the latest rate for every currency pair, once.
+ * Pre-resolve the rates for every currency pair, once.
  *
  * convertAmountWithExchangeRates below scans the whole rate list twice on every
  * call. That is fine for one-off conversions, but the Reports page converts
@@ -123,38 +123,74 @@ function findLatestRate(rates) {
  * of the page's cost. Build this once (memoize on the rates array) and pass it
  * to convertAmountWithLookup instead.
  *
- * Tie-breaking matches findLatestRate exactly: a later date wins, and an equal
- * or unparseable date leaves the earlier entry in place.
+ * Each pair keeps its latest rate and, for dated conversions, every rate in
+ * date order. Tie-breaking for the latest matches findLatestRate exactly: a
+ * later date wins, and an equal or unparseable date leaves the earlier entry
+ * in place.
  *
  * @param {Array} exchangeRates
- * @returns {Map<string, {rate: number|string, time: number}>} keyed "FROM>TO"
+ * @returns {Map<string, {rate: number|string, time: number,
+ *   history: Array<{rate: number|string, time: number}>}>} keyed "FROM>TO"
  */
 export function buildExchangeRateLookup(exchangeRates) {
   const lookup = new Map()
   ;(exchangeRates || []).forEach((er) => {
     const key = `${er.from_currency}>${er.to_currency}`
     const time = new Date(er.date || er.created_at || 0).getTime()
-    const existing = lookup.get(key)
-    // Strictly greater, so the first entry wins ties — and a NaN time never
-    // displaces an existing entry, mirroring the reduce in findLatestRate.
-    if (!existing || time > existing.time) lookup.set(key, { rate: er.rate, time })
+    let entry = lookup.get(key)
+    if (!entry) {
+      entry = { rate: er.rate, time, history: [] }
+      lookup.set(key, entry)
+    } else if (time > entry.time) {
+      // Strictly greater, so the first entry wins ties — and a NaN time never
+      // displaces an existing entry, mirroring the reduce in findLatestRate.
+      entry.rate = er.rate
+      entry.time = time
+    }
+    if (!Number.isNaN(time)) entry.history.push({ rate: er.rate, time })
   })
+  lookup.forEach((entry) => entry.history.sort((a, b) => a.time - b.time))
   return lookup
 }
 
+// The pair's rate in effect at `time`: the last one dated on or before it.
+// Before the first rate there is nothing better to go by than that first one.
+function rateInEffect(entry, time) {
+  const { history } = entry
+  if (Number.isNaN(time) || history.length === 0) return entry.rate
+  let low = 0
+  let high = history.length - 1
+  let found = 0
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (history[mid].time <= time) {
+      found = mid
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+  return history[found].rate
+}
+
 /**
  * convertAmountWithExchangeRates using a prebuilt lookup. Same contract:
  * direct rate wins, then the reverse rate (dividing), then null. A falsy
  * amount and an unknown pair both return null; same-currency short-circuits
  * before any lookup.
  *
+ * Pass `date` when converting something that happened on a given day (a
+ * transaction) to use the rate in effect then; without it the latest rate is
+ * used, which is right for balances and budgets.
+ *
  * @param {number} amount
  * @param {string} fromCurrency
  * @param {string} toCurrency
  * @param {Map} lookup - from buildExchangeRateLookup
+ * @param {Date|string|number} [date] - a date, ISO string or timestamp
  * @returns {number|null}
  */
-export function convertAmountWithLookup(amount, fromCurrency, toCurrency, lookup) {
+export function convertAmountWithLookup(amount, fromCurrency, toCurrency, lookup, date) {
   if (!amount || !fromCurrency || !toCurrency) {
     return null
   }
@@ -170,14 +206,22 @@ export function convertAmountWithLookup(amount, fromCurrency, toCurrency, lookup
     return null
   }
 
+  const time =
+    date === undefined || date === null
+      ? null
+      : typeof date === 'number'
+      ? date
+      : new Date(date).getTime()
+  const rateOf = (entry) => (time === null ? entry.rate : rateInEffect(entry, time))
+
   const direct = lookup.get(`${from}>${to}`)
   if (direct) {
-    return amount * direct.rate
+    return amount * rateOf(direct)
   }
 
   const reverse = lookup.get(`${to}>${from}`)
   if (reverse) {
-    return amount / reverse.rate
+    return amount / rateOf(reverse)
   }
 
   return null
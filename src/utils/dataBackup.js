@@ -0,0 +1,689 @@
+/**
+ * Data export and backup archive helpers. Pure functions only — fetching and
+ * writing live in lib/api/backup.js — so the archive shape and the id
+ * remapping can be reasoned about without a database.
+ */
+
+// Identifies our archives; a JSON file without it is refused on restore
+export const BACKUP_FORMAT = 'finance-web-app-backup'
+
+// Bump when the archive shape changes. Restore accepts anything up to this
+// version; older archives are upgraded in normalizeBackup below.
+export const BACKUP_VERSION = 1
+
+// Settings that hold credentials. They are left out of every export: an
+// archive is a file people email to themselves.
+export const SECRET_SETTING_KEYS = ['GroqAPIKey', 'GeminiAPIKey']
+
+/**
+ * The entities an export covers, in restore order (a row's references always
+ * point to an entity listed before it). `columns` is the CSV column order.
+ */
+export const EXPORT_ENTITIES = [
+  {
+    key: 'accounts',
+    label: 'Accounts',
+    columns: [
+      'account_id',
+      'name',
+      'type',
+      'currency',
+      'opening_balance',
+      'current_balance',
+      'status',
+      'sort_order',
+      'credit_limit',
+      'statement_closing_day',
+      'payment_due_day',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'categories',
+    label: 'Categories',
+    columns: [
+      'category_id',
+      'name',
+      'type',
+      'parent_category_id',
+      'status',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'transactions',
+    label: 'Transactions',
+    columns: [
+      'transaction_id',
+      'date',
+      'account_id',
+      'category_id',
+      'type',
+      'amount',
+      'currency',
+      'description',
+      'status',
+      'entity_name',
+      'splits',
+      'transfer_id',
+      'linked_transaction_id',
+      'recurring_id',
+      'recurring_date',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'transfers',
+    label: 'Transfers',
+    // Derived from transaction pairs; informational only, never restored
+    derived: true,
+    columns: [
+      'transfer_id',
+      'date',
+      'from_account_id',
+      'to_account_id',
+      'from_amount',
+      'from_currency',
+      'to_amount',
+      'to_currency',
+      'description',
+      'rate',
+      'fee_amount',
+      'fee_currency',
+      'status',
+    ],
+  },
+  {
+    key: 'budgets',
+    label: 'Budgets',
+    columns: [
+      'budget_id',
+      'category_id',
+      'currency',
+      'amount',
+      'recurring',
+      'rollover',
+      'month',
+      'start_month',
+      'end_month',
+      'period',
+      'week_start',
+      'period_start',
+      'period_end',
+      'notes',
+      'status',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'recurring_transactions',
+    label: 'Recurring transactions',
+    columns: [
+      'recurring_id',
+      'account_id',
+      'category_id',
+      'type',
+      'amount',
+      'currency',
+      'description',
+      'entity_name',
+      'frequency',
+      'interval_count',
+      'by_weekday',
+      'by_week_of_month',
+      'start_date',
+      'end_date',
+      'max_occurrences',
+      'occurrences_done',
+      'next_due_date',
+      'exceptions',
+      'status',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'exchange_rates',
+    label: 'Exchange rates',
+    columns: [
+      'exchange_rate_id',
+      'date',
+      'from_currency',
+      'to_currency',
+      'rate',
+      'from_amount',
+      'to_amount',
+      'effective_rate',
+      'transfer_id',
+      'description',
+      'source',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'counterparties',
+    label: 'Counterparties',
+    columns: ['counterparty_id', 'name', 'aliases', 'notes', 'created_at', 'updated_at'],
+  },
+  {
+    key: 'borrowings_lendings',
+    label: 'Borrowings & lendings',
+    columns: [
+      'record_id',
+      'type',
+      'entity_name',
+      'counterparty_id',
+      'original_transaction_id',
+      'original_amount',
+      'paid_amount',
+      'remaining_amount',
+      'currency',
+      'status',
+      'payment_transaction_ids',
+      'notes',
+      'due_date',
+      'installments',
+      'interest_rate',
+      'interest_type',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'tags',
+    label: 'Tags',
+    columns: ['tag_id', 'name', 'created_at', 'updated_at'],
+  },
+  {
+    key: 'transaction_tags',
+    label: 'Transaction tags',
+    columns: ['transaction_id', 'tag_id', 'created_at'],
+  },
+  {
+    // The files themselves stay in Storage; a restore copies them over
+    key: 'transaction_attachments',
+    label: 'Attachments',
+    columns: [
+      'attachment_id',
+      'transaction_id',
+      'storage_path',
+      'file_name',
+      'mime_type',
+      'size_bytes',
+      'created_at',
+    ],
+  },
+  {
+    key: 'categorization_rules',
+    label: 'Categorisation rules',
+    columns: [
+      'rule_id',
+      'name',
+      'priority',
+      'status',
+      'transaction_type',
+      'description_match',
+      'description_pattern',
+      'amount_min',
+      'amount_max',
+      'account_id',
+      'entity_name',
+      'set_category_id',
+      'set_description',
+      'add_tags',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'savings_goals',
+    label: 'Savings goals',
+    columns: [
+      'goal_id',
+      'name',
+      'target_amount',
+      'currency',
+      'target_date',
+      'tracking',
+      'account_id',
+      'tag_id',
+      'status',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'holdings',
+    label: 'Holdings',
+    columns: [
+      'holding_id',
+      'account_id',
+      'symbol',
+      'name',
+      'currency',
+      'cost_method',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'holding_trades',
+    label: 'Trades',
+    columns: [
+      'trade_id',
+      'holding_id',
+      'account_id',
+      'kind',
+      'trade_date',
+      'quantity',
+      'price',
+      'fees',
+      'amount',
+      'cash_amount',
+      'notes',
+      'created_at',
+      'updated_at',
+    ],
+  },
+  {
+    key: 'security_prices',
+    label: 'Security prices',
+    columns: ['price_id', 'symbol', 'price_date', 'price', 'source', 'created_at', 'updated_at'],
+  },
+  {
+    key: 'settings',
+    label: 'Settings',
+    columns: ['setting_key', 'setting_value', 'updated_at'],
+  },
+]
+
+// ============================================
+// CSV
+// ============================================
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialize rows to CSV with a header line. Columns come from `columns`, so
+ * every export of an entity has the same layout whatever the rows contain.
+ *
+ * @param {Array<Object>} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function rowsToCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(',')]
+  ;(rows || []).forEach((row) => {
+    lines.push(columns.map((column) => csvCell(row[column])).join(','))
+  })
+  return lines.join('\r\n')
+}
+
+/**
+ * Flatten the transfer objects from getTransfers into one row per transfer.
+ */
+export function transferRows(transfers) {
+  return (transfers || []).map((transfer) => ({
+    transfer_id: transfer.transferId,
+    date: transfer.date,
+    from_account_id: transfer.transferOut?.account_id || '',
+    to_account_id: transfer.transferIn?.account_id || '',
+    from_amount: transfer.transferOut?.amount ?? '',
+    from_currency: transfer.transferOut?.currency || '',
+    to_amount: transfer.transferIn?.amount ?? '',
+    to_currency: transfer.transferIn?.currency || '',
+    description:
+      transfer.transferOut?.description || transfer.transferIn?.description || '',
+    rate: transfer.exchangeRate?.rate ?? '',
+    fee_amount: transfer.fee?.amount ?? '',
+    fee_currency: transfer.fee?.currency || '',
+    status: transfer.transferOut?.status || transfer.transferIn?.status || '',
+  }))
+}
+
+// ============================================
+// JSON archive
+// ============================================
+
+/**
+ * Assemble a versioned backup archive. Secrets are stripped from settings.
+ *
+ * @param {Object} data - keyed by EXPORT_ENTITIES key
+ * @returns {Object}
+ */
+export function buildBackup(data) {
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    data: {},
+  }
+  EXPORT_ENTITIES.forEach(({ key, derived }) => {
+    if (derived) return
+    let rows = data?.[key] || []
+    if (key === 'settings') {
+      rows = rows.filter((s) => !SECRET_SETTING_KEYS.includes(s.setting_key))
+    }
+    // user_id is meaningless in another account and would only leak an id
+    archive.data[key] = rows.map((row) => {
+      const copy = { ...row }
+      delete copy.user_id
+      return copy
+    })
+  })
+  return archive
+}
+
+/**
+ * Check a parsed JSON file is one of our archives and bring it up to the
+ * current shape.
+ *
+ * @throws {Error} with a message fit to show the user
+ */
+export function normalizeBackup(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a backup from this app')
+  }
+  const version = Number(archive.version)
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('This backup has no valid version number')
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update and try again.')
+  }
+  const data = {}
+  EXPORT_ENTITIES.forEach(({ key, derived }) => {
+    if (derived) return
+    const rows = archive.data?.[key]
+    data[key] = Array.isArray(rows) ? rows : []
+  })
+  return { ...archive, version: BACKUP_VERSION, data }
+}
+
+/**
+ * Per-entity row counts, for previews before a restore.
+ */
+export function backupCounts(archive) {
+  const counts = {}
+  Object.entries(archive?.data || {}).forEach(([key, rows]) => {
+    counts[key] = Array.isArray(rows) ? rows.length : 0
+  })
+  return counts
+}
+
+// Parents before children, so a category never references one not yet written
+function sortCategoriesParentFirst(categories) {
+  const byId = new Map(categories.map((c) => [c.category_id, c]))
+  const depthCache = new Map()
+  const depth = (category, guard = 0) => {
+    if (depthCache.has(category.category_id)) return depthCache.get(category.category_id)
+    const parent = byId.get(category.parent_category_id)
+    const value = parent && guard < 20 ? depth(parent, guard + 1) + 1 : 0
+    depthCache.set(category.category_id, value)
+    return value
+  }
+  return [...categories].sort((a, b) => depth(a) - depth(b))
+}
+
+// Setting values that hold a row id and have to follow it to its new id
+function remapSettingValue(key, value, idMaps) {
+  if (!value) return value
+  if (/CategoryID$/.test(key)) return idMaps.category.get(value) || ''
+  if (/AccountID$/.test(key)) return idMaps.account.get(value) || ''
+  return value
+}
+
+/**
+ * Give every row in an archive a fresh id and rewrite the references between
+ * them (account_id, category_id, parent_category_id, transfer_id,
+ * linked_transaction_id, recurring_id, original_transaction_id,
+ * payment_transaction_ids, counterparty_id, the categories of split lines, tag links, the
+ * transaction of an attachment, the account and category of categorisation
+ * rules, the account of a holding and the holding of a trade, and the *CategoryID /
+ * *AccountID settings). Fresh ids mean a restore can never collide with rows
+ * elsewhere in the database.
+ *
+ * Transaction links are returned separately: both halves of a transfer point at
+ * each other, so the rows go in without them and the links are set afterwards.
+ *
+ * @param {Object} archive - normalized archive
+ * @param {(prefix: string) => string} makeId - e.g. generateId
+ * @param {string} userId - owner of the restored rows
+ */
+export function remapBackup(archive, makeId, userId) {
+  const { data } = archive
+  const idMaps = {
+    account: new Map(),
+    category: new Map(),
+    transaction: new Map(),
+    transfer: new Map(),
+    recurring: new Map(),
+    tag: new Map(),
+    counterparty: new Map(),
+    holding: new Map(),
+  }
+  const mapId = (map, prefix, oldId) => {
+    if (!oldId) return null
+    if (!map.has(oldId)) map.set(oldId, makeId(prefix))
+    return map.get(oldId)
+  }
+
+  // current_balance is left to the balance triggers, which rebuild it from the
+  // opening balance and the restored transactions
+  const accounts = data.accounts.map((row) => {
+    const account = {
+      ...row,
+      user_id: userId,
+      account_id: mapId(idMaps.account, 'ACC', row.account_id),
+    }
+    delete account.current_balance
+    return account
+  })
+
+  // Pre-assign every category id so a child can reference its parent
+  data.categories.forEach((row) => mapId(idMaps.category, 'CAT', row.category_id))
+  const categories = sortCategoriesParentFirst(data.categories).map((row) => ({
+    ...row,
+    user_id: userId,
+    category_id: idMaps.category.get(row.category_id),
+    parent_category_id: idMaps.category.get(row.parent_category_id) || null,
+  }))
+
+  // Templates go in before transactions, which point back at them
+  const recurringTransactions = data.recurring_transactions.map((row) => ({
+    ...row,
+    user_id: userId,
+    recurring_id: mapId(idMaps.recurring, 'REC', row.recurring_id),
+    account_id: idMaps.account.get(row.account_id) || row.account_id,
+    category_id: idMaps.category.get(row.category_id) || row.category_id,
+  }))
+
+  data.transactions.forEach((row) =>
+    mapId(idMaps.transaction, 'TXN', row.transaction_id)
+  )
+  const links = []
+  const transactions = data.transactions.map((row) => {
+    const transactionId = idMaps.transaction.get(row.transaction_id)
+    const linked = idMaps.transaction.get(row.linked_transaction_id)
+    if (linked) links.push({ transactionId, linkedTransactionId: linked })
+    return {
+      ...row,
+      user_id: userId,
+      transaction_id: transactionId,
+      account_id: idMaps.account.get(row.account_id) || row.account_id,
+      category_id: idMaps.category.get(row.category_id) || null,
+      splits: Array.isArray(row.splits)
+        ? row.splits.map((line) => ({
+            ...line,
+            category_id: idMaps.category.get(line.category_id) || null,
+          }))
+        : null,
+      transfer_id: mapId(idMaps.transfer, 'TRF', row.transfer_id),
+      linked_transaction_id: null,
+      recurring_id: idMaps.recurring.get(row.recurring_id) || null,
+    }
+  })
+
+  const budgets = data.budgets.map((row) => ({
+    ...row,
+    user_id: userId,
+    budget_id: makeId('BDG'),
+    category_id: idMaps.category.get(row.category_id) || row.category_id,
+  }))
+
+  const exchangeRates = data.exchange_rates.map((row) => ({
+    ...row,
+    user_id: userId,
+    exchange_rate_id: makeId('EXR'),
+    transfer_id: idMaps.transfer.get(row.transfer_id) || null,
+  }))
+
+  const counterparties = data.counterparties.map((row) => ({
+    ...row,
+    user_id: userId,
+    counterparty_id: mapId(idMaps.counterparty, 'CPT', row.counterparty_id),
+  }))
+
+  // A record whose counterparty the archive doesn't have is linked again by
+  // its name when it goes in
+  const borrowingsLendings = data.borrowings_lendings
+    .filter((row) => idMaps.transaction.has(row.original_transaction_id))
+    .map((row) => ({
+      ...row,
+      user_id: userId,
+      record_id: makeId('BL'),
+      original_transaction_id: idMaps.transaction.get(row.original_transaction_id),
+      counterparty_id: idMaps.counterparty.get(row.counterparty_id) || null,
+      payment_transaction_ids: String(row.payment_transaction_ids || '')
+        .split(',')
+        .map((id) => idMaps.transaction.get(id.trim()))
+        .filter(Boolean)
+        .join(','),
+    }))
+
+  const tags = data.tags.map((row) => ({
+    ...row,
+    user_id: userId,
+    tag_id: mapId(idMaps.tag, 'TAG', row.tag_id),
+  }))
+
+  // A link to a row the archive doesn't have can't be restored
+  const transactionTags = data.transaction_tags
+    .filter(
+      (row) =>
+        idMaps.transaction.has(row.transaction_id) && idMaps.tag.has(row.tag_id)
+    )
+    .map((row) => ({
+      ...row,
+      user_id: userId,
+      transaction_id: idMaps.transaction.get(row.transaction_id),
+      tag_id: idMaps.tag.get(row.tag_id),
+    }))
+
+  // storage_path still names the file where it was; the restore copies it into
+  // the new owner's folder and points the row there
+  const transactionAttachments = data.transaction_attachments
+    .filter((row) => idMaps.transaction.has(row.transaction_id))
+    .map((row) => ({
+      ...row,
+      user_id: userId,
+      attachment_id: makeId('ATT'),
+      transaction_id: idMaps.transaction.get(row.transaction_id),
+    }))
+
+  // A rule whose account or category the archive doesn't have is dropped
+  // rather than restored broader than it was
+  const categorizationRules = data.categorization_rules
+    .filter(
+      (row) =>
+        (!row.account_id || idMaps.account.has(row.account_id)) &&
+        (!row.set_category_id || idMaps.category.has(row.set_category_id))
+    )
+    .map((row) => ({
+      ...row,
+      user_id: userId,
+      rule_id: makeId('RUL'),
+      account_id: idMaps.account.get(row.account_id) || null,
+      set_category_id: idMaps.category.get(row.set_category_id) || null,
+    }))
+
+  // A goal keeps its name and target even when its account or tag is
+  // missing; Home then asks for another source
+  const savingsGoals = data.savings_goals.map((row) => ({
+    ...row,
+    user_id: userId,
+    goal_id: makeId('GOL'),
+    account_id: idMaps.account.get(row.account_id) || null,
+    tag_id: idMaps.tag.get(row.tag_id) || null,
+  }))
+
+  // A holding can't exist without its account, nor a trade without its
+  // holding; the trade's account_id is filled in again by the database
+  const holdings = data.holdings
+    .filter((row) => idMaps.account.has(row.account_id))
+    .map((row) => ({
+      ...row,
+      user_id: userId,
+      holding_id: mapId(idMaps.holding, 'HLD', row.holding_id),
+      account_id: idMaps.account.get(row.account_id),
+    }))
+
+  // Oldest first, so no chunk sells units a later chunk buys
+  const holdingTrades = data.holding_trades
+    .filter((row) => idMaps.holding.has(row.holding_id))
+    .sort((a, b) => String(a.trade_date).localeCompare(String(b.trade_date)))
+    .map((row) => {
+      const trade = {
+        ...row,
+        user_id: userId,
+        trade_id: makeId('TRD'),
+        holding_id: idMaps.holding.get(row.holding_id),
+      }
+      delete trade.account_id
+      return trade
+    })
+
+  const securityPrices = data.security_prices.map((row) => ({
+    ...row,
+    user_id: userId,
+    price_id: makeId('PRC'),
+  }))
+
+  const settings = data.settings
+    .filter((row) => !SECRET_SETTING_KEYS.includes(row.setting_key))
+    .map((row) => ({
+      user_id: userId,
+      setting_key: row.setting_key,
+      setting_value: remapSettingValue(row.setting_key, row.setting_value, idMaps),
+    }))
+
+  return {
+    accounts,
+    categories,
+    recurringTransactions,
+    transactions,
+    links,
+    budgets,
+    exchangeRates,
+    counterparties,
+    borrowingsLendings,
+    tags,
+    transactionTags,
+    transactionAttachments,
+    categorizationRules,
+    savingsGoals,
+    holdings,
+    holdingTrades,
+    securityPrices,
+    settings,
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Save text as a file through the browser's download, e.g. a CSV export.
+ *
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoking in the same tick can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
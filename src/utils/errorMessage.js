@@ -15,12 +15,10 @@
 // fetch", "AbortError") that names the mechanism rather than anything the
 // reader can act on. Since an optimistic save reports nothing but its
 // failures, these are the messages that actually get read.
+const NETWORK_FAILURE = /failed to fetch|network ?error|network request failed|load failed/i;
 const TRANSPORT_MESSAGES = [
   [/abort|timed? ?out/i, 'The server took too long to respond.'],
-  [
-    /failed to fetch|network ?error|network request failed|load failed/i,
-    "Can't reach the server — check your connection.",
-  ],
+  [NETWORK_FAILURE, "Can't reach the server — check your connection."],
 ];
 
 export function getErrorMessage(err, fallback = 'Something went wrong. Please try again.') {
@@ -35,3 +33,18 @@ export function getErrorMessage(err, fallback = 'Something went wrong. Please tr
   const transport = TRANSPORT_MESSAGES.find(([pattern]) => pattern.test(raw));
   return transport ? transport[1] : raw;
 }
+
+/**
+ * Whether a failure means the request never reached the server (offline, DNS,
+ * connection dropped), as opposed to the server turning it down. Timeouts are
+ * left out: a request that timed out may still have been applied.
+ *
+ * @param {unknown} err - a string, an Error, or an action payload
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  if (!err) return false;
+  if (err.name === 'AuthRetryableFetchError') return true;
+  const raw = typeof err === 'string' ? err : err.message;
+  return typeof raw === 'string' && NETWORK_FAILURE.test(raw);
+}
@@ -0,0 +1,160 @@
+import { parseStatementAmount, parseStatementDate } from './statementImport'
+
+/**
+ * Exchange rate helpers: reading a pasted rate table, finding the currencies
+ * transactions use that no rate converts, and turning a rate provider's day
+ * into rows. Conversions themselves live in currencyConversion.
+ */
+
+export const isManualRate = (rate) => rate?.source === 'manual'
+
+export const isProviderRate = (rate) => rate?.source === 'provider'
+
+// Cells of one pasted line. A spreadsheet copies tab-separated; otherwise
+// semicolons, then commas or spaces (a semicolon table may use decimal commas).
+function splitLine(line) {
+  if (line.includes('\t')) return line.split('\t')
+  if (line.includes(';')) return line.split(';')
+  return line.split(/[,\s]+/)
+}
+
+const dayOf = (date) => {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
+    d.getDate()
+  ).padStart(2, '0')}`
+}
+
+/**
+ * Read a pasted table of rates, one per line as date, from, to, rate (a
+ * header line is skipped). Lines that can't be read come back in `errors`
+ * rather than failing the whole paste; a line that repeats a manual rate
+ * already saved for the same pair and day is left out as a duplicate.
+ *
+ * @param {string} text
+ * @param {Array} [existingRates] - the stored exchange rates
+ * @returns {{ rows: Array<{ line: number, date: string, fromCurrency: string,
+ *   toCurrency: string, rate: number }>, errors: Array<{ line: number,
+ *   message: string }>, duplicates: number }}
+ */
+export function parseRateTable(text, existingRates = []) {
+  const saved = new Set(
+    existingRates
+      .filter(isManualRate)
+      .map((er) => `${dayOf(er.date)}|${er.from_currency}|${er.to_currency}|${Number(er.rate)}`)
+  )
+  const seen = new Set()
+  const rows = []
+  const errors = []
+  let duplicates = 0
+
+  ;(text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1
+    const cells = splitLine(raw.trim()).map((cell) => cell.trim()).filter(Boolean)
+    if (cells.length === 0) return
+    if (cells.length < 4) {
+      errors.push({ line, message: 'Expected date, from, to and rate' })
+      return
+    }
+    const [dateCell, fromCell, toCell, rateCell] = cells
+    const date = parseStatementDate(dateCell, 'auto')
+    const rate = parseStatementAmount(rateCell)
+    // A header line: nothing in it reads as a date or a number
+    if (!date && rate === null && index === 0) return
+    if (!date) {
+      errors.push({ line, message: `"${dateCell}" is not a date` })
+      return
+    }
+    const fromCurrency = fromCell.toUpperCase()
+    const toCurrency = toCell.toUpperCase()
+    if (!/^[A-Z]{3}$/.test(fromCurrency) || !/^[A-Z]{3}$/.test(toCurrency)) {
+      errors.push({ line, message: 'Currencies must be 3-letter ISO codes' })
+      return
+    }
+    if (fromCurrency === toCurrency) {
+      errors.push({ line, message: 'From and to currencies must be different' })
+      return
+    }
+    if (!(rate > 0)) {
+      errors.push({ line, message: `"${rateCell}" is not a rate above 0` })
+      return
+    }
+    const key = `${date}|${fromCurrency}|${toCurrency}|${rate}`
+    if (saved.has(key) || seen.has(key)) {
+      duplicates += 1
+      return
+    }
+    seen.add(key)
+    rows.push({ line, date, fromCurrency, toCurrency, rate })
+  })
+
+  return { rows, errors, duplicates }
+}
+
+/**
+ * Currencies transactions are in that no rate, direct or reverse, converts
+ * into the base currency. Reports and budgets count such amounts as they are.
+ *
+ * @param {Array} transactions
+ * @param {Array} exchangeRates
+ * @param {string} baseCurrency
+ * @returns {Array<{ fromCurrency: string, toCurrency: string, count: number }>}
+ *   most-used first
+ */
+export function findMissingRatePairs(transactions, exchangeRates, baseCurrency) {
+  const base = (baseCurrency || '').toUpperCase()
+  if (!base) return []
+  const pairs = new Set(
+    (exchangeRates || []).map((er) => `${er.from_currency}>${er.to_currency}`)
+  )
+  const counts = new Map()
+  ;(transactions || []).forEach((txn) => {
+    if (txn.deleted_at || !txn.currency) return
+    const currency = txn.currency.toUpperCase()
+    if (currency === base) return
+    if (pairs.has(`${currency}>${base}`) || pairs.has(`${base}>${currency}`)) return
+    counts.set(currency, (counts.get(currency) || 0) + 1)
+  })
+  return [...counts.entries()]
+    .map(([currency, count]) => ({ fromCurrency: currency, toCurrency: base, count }))
+    .sort((a, b) => b.count - a.count || a.fromCurrency.localeCompare(b.fromCurrency))
+}
+
+/**
+ * The rate between two currencies from a provider's day of rates (see
+ * lib/rateProviders), crossing through the provider's base when neither is it.
+ *
+ * @param {{ base: string, rates: Object }} snapshot
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @returns {number|null} how much of `toCurrency` 1 `fromCurrency` buys
+ */
+export function crossRate(snapshot, fromCurrency, toCurrency) {
+  const rates = { ...snapshot?.rates, [snapshot?.base]: 1 }
+  const from = rates[(fromCurrency || '').toUpperCase()]
+  const to = rates[(toCurrency || '').toUpperCase()]
+  if (!(from > 0) || !(to > 0)) return null
+  return to / from
+}
+
+/**
+ * The rates to store from a provider's day: one per currency held, into the
+ * base currency. Currencies the provider doesn't quote are left out.
+ *
+ * @param {{ base: string, rates: Object }} snapshot
+ * @param {string} baseCurrency
+ * @param {string[]} currencies
+ * @returns {Array<{ fromCurrency: string, toCurrency: string, rate: number }>}
+ */
+export function providerRateRows(snapshot, baseCurrency, currencies) {
+  const base = (baseCurrency || '').toUpperCase()
+  const held = [...new Set((currencies || []).map((c) => (c || '').toUpperCase()))]
+  return held
+    .filter((currency) => /^[A-Z]{3}$/.test(currency) && currency !== base)
+    .map((currency) => ({
+      fromCurrency: currency,
+      toCurrency: base,
+      rate: crossRate(snapshot, currency, base),
+    }))
+    .filter((row) => row.rate !== null)
+}
@@ -0,0 +1,329 @@
+import { parseCsv, parseStatementAmount, parseStatementDate } from './statementImport'
+
+/**
+ * Investment holdings: positions, cost basis and gains from a holding's
+ * trades, market value from the prices the user has entered or imported, and
+ * reading a CSV price file. Money here is in the holding's own currency;
+ * converting into the account's or the base currency is the caller's job.
+ */
+
+export const TRADE_KINDS = ['Buy', 'Sell', 'Dividend']
+
+export const COST_METHODS = [
+  { value: 'FIFO', label: 'FIFO', hint: 'Sells use up the oldest lots first' },
+  { value: 'Average', label: 'Average cost', hint: 'Every unit costs the average paid' },
+]
+
+export const PRICE_SOURCES = ['manual', 'import']
+
+// Quantities carry 8 decimals; anything smaller is rounding noise
+const QUANTITY_EPSILON = 1e-8
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+export const normalizeSymbol = (symbol) => String(symbol || '').trim().toUpperCase()
+
+const num = (value) => parseFloat(value) || 0
+
+const tradeDay = (trade) => String(trade.trade_date || '').slice(0, 10)
+
+// Same order the database checks sells in: by day, buys before anything else
+// on the same day, then as entered
+export function sortTrades(trades) {
+  return [...(trades || [])].sort((a, b) => {
+    const day = tradeDay(a).localeCompare(tradeDay(b))
+    if (day !== 0) return day
+    const buyFirst = (a.kind === 'Buy' ? 0 : 1) - (b.kind === 'Buy' ? 0 : 1)
+    if (buyFirst !== 0) return buyFirst
+    return String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  })
+}
+
+/**
+ * The cash a trade moves in its account: a buy pays for the units and the
+ * fees, a sell brings in the proceeds less fees, a dividend its amount.
+ * `rate` converts the holding's currency into the account's.
+ *
+ * @param {{ kind: string, quantity?: number, price?: number, fees?: number, amount?: number }} trade
+ * @param {number} [rate]
+ * @returns {number} signed, rounded to cents
+ */
+export function tradeCashAmount({ kind, quantity, price, fees, amount }, rate = 1) {
+  const gross = num(quantity) * num(price)
+  let cash = 0
+  if (kind === 'Buy') cash = -(gross + num(fees))
+  else if (kind === 'Sell') cash = gross - num(fees)
+  else if (kind === 'Dividend') cash = num(amount) - num(fees)
+  return round2(cash * rate)
+}
+
+/**
+ * A holding's position from its trades, up to and including `asOf` (a
+ * 'YYYY-MM-DD' day; all trades when omitted).
+ *
+ * Lots are always used up oldest first, so `lots` shows which purchases are
+ * still held. What they cost depends on the holding's cost method: under
+ * FIFO each lot keeps its own price (fees included), under average cost every
+ * unit carries the running average, and sells take that average out.
+ *
+ * A sell for more than is held (which the database refuses) is counted up to
+ * what was there and flagged as `oversold`.
+ *
+ * @param {Object} holding - holdings row
+ * @param {Array} trades - that holding's holding_trades rows
+ * @param {{ asOf?: string }} [options]
+ * @returns {{ quantity: number, costBasis: number, averageCost: number,
+ *   lots: Array<{ tradeId: string, date: string, quantity: number, unitCost: number }>,
+ *   realizedGain: number, dividends: number, lastTradePrice: number|null,
+ *   oversold: boolean }}
+ */
+export function buildPosition(holding, trades, { asOf } = {}) {
+  const lots = []
+  let quantity = 0
+  let averageCost = 0 // per unit, average-cost method only
+  let realizedGain = 0
+  let dividends = 0
+  let lastTradePrice = null
+  let oversold = false
+  const useAverage = holding?.cost_method === 'Average'
+
+  for (const trade of sortTrades(trades)) {
+    if (asOf && tradeDay(trade) > asOf) break
+    const qty = num(trade.quantity)
+    const price = num(trade.price)
+    const fees = num(trade.fees)
+
+    if (trade.kind === 'Dividend') {
+      dividends += num(trade.amount) - fees
+      continue
+    }
+    lastTradePrice = price
+
+    if (trade.kind === 'Buy') {
+      const cost = qty * price + fees
+      lots.push({
+        tradeId: trade.trade_id,
+        date: tradeDay(trade),
+        quantity: qty,
+        unitCost: qty > 0 ? cost / qty : 0,
+      })
+      averageCost = quantity + qty > 0 ? (averageCost * quantity + cost) / (quantity + qty) : 0
+      quantity += qty
+      continue
+    }
+
+    // Sell
+    let toSell = qty
+    if (toSell > quantity + QUANTITY_EPSILON) {
+      oversold = true
+      toSell = quantity
+    }
+    let lotCost = 0
+    let remaining = toSell
+    while (remaining > QUANTITY_EPSILON && lots.length > 0) {
+      const lot = lots[0]
+      const used = Math.min(lot.quantity, remaining)
+      lotCost += used * lot.unitCost
+      lot.quantity -= used
+      remaining -= used
+      if (lot.quantity <= QUANTITY_EPSILON) lots.shift()
+    }
+    const costOfSold = useAverage ? toSell * averageCost : lotCost
+    // Fees scale with what was actually sold when a sell is cut short
+    const proceeds = toSell * price - (qty > 0 ? fees * (toSell / qty) : 0)
+    realizedGain += proceeds - costOfSold
+    quantity -= toSell
+    if (quantity <= QUANTITY_EPSILON) {
+      quantity = 0
+      averageCost = 0
+    }
+  }
+
+  const costBasis = useAverage
+    ? quantity * averageCost
+    : lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0)
+
+  return {
+    quantity,
+    costBasis: round2(costBasis),
+    averageCost: quantity > 0 ? costBasis / quantity : 0,
+    lots,
+    realizedGain: round2(realizedGain),
+    dividends: round2(dividends),
+    lastTradePrice,
+    oversold,
+  }
+}
+
+/**
+ * Prices per symbol in date order, for priceOn.
+ * @param {Array} prices - security_prices rows
+ * @returns {Map<string, Array<{ date: string, price: number }>>}
+ */
+export function buildPriceLookup(prices) {
+  const lookup = new Map()
+  ;(prices || []).forEach((row) => {
+    const price = num(row.price)
+    if (!(price > 0)) return
+    const symbol = normalizeSymbol(row.symbol)
+    if (!lookup.has(symbol)) lookup.set(symbol, [])
+    lookup.get(symbol).push({ date: String(row.price_date).slice(0, 10), price })
+  })
+  lookup.forEach((entries) => entries.sort((a, b) => a.date.localeCompare(b.date)))
+  return lookup
+}
+
+/**
+ * The latest price for a symbol on or before `day` ('YYYY-MM-DD'; the latest
+ * of all when omitted), or null when there is none yet.
+ * @returns {{ date: string, price: number }|null}
+ */
+export function priceOn(lookup, symbol, day) {
+  const entries = lookup.get(normalizeSymbol(symbol))
+  if (!entries?.length) return null
+  let found = null
+  for (const entry of entries) {
+    if (day && entry.date > day) break
+    found = entry
+  }
+  return found
+}
+
+/**
+ * Every holding valued: its position, the price used and what the units are
+ * worth. With no price on record the last trade's price stands in
+ * (`priceSource` 'trade'), so a new holding is worth what was paid rather
+ * than nothing.
+ *
+ * @param {Object} params
+ * @param {Array} params.holdings
+ * @param {Array} params.trades - holding_trades rows, any holding
+ * @param {Map} params.priceLookup - from buildPriceLookup
+ * @param {string} [params.asOf] - 'YYYY-MM-DD'; today's figures when omitted
+ * @returns {Array<Object>} the holding's row plus position fields, `price`,
+ *   `priceDate`, `priceSource` ('price', 'trade' or null), `marketValue` and
+ *   `unrealizedGain`
+ */
+export function valueHoldings({ holdings, trades, priceLookup, asOf }) {
+  const tradesByHolding = new Map()
+  ;(trades || []).forEach((trade) => {
+    if (!tradesByHolding.has(trade.holding_id)) tradesByHolding.set(trade.holding_id, [])
+    tradesByHolding.get(trade.holding_id).push(trade)
+  })
+
+  return (holdings || []).map((holding) => {
+    const position = buildPosition(holding, tradesByHolding.get(holding.holding_id) || [], {
+      asOf,
+    })
+    const quoted = priceOn(priceLookup, holding.symbol, asOf)
+    const price = quoted?.price ?? position.lastTradePrice
+    const marketValue = price != null ? round2(position.quantity * price) : 0
+    return {
+      ...holding,
+      ...position,
+      price,
+      priceDate: quoted?.date || null,
+      priceSource: quoted ? 'price' : price != null ? 'trade' : null,
+      marketValue,
+      unrealizedGain: round2(marketValue - position.costBasis),
+    }
+  })
+}
+
+/**
+ * Market value per account, per holding currency: account_id -> Map of
+ * currency -> value. Kept by currency so callers convert with whichever rates
+ * they already use.
+ *
+ * @param {Array} valued - from valueHoldings
+ * @returns {Map<string, Map<string, number>>}
+ */
+export function marketValueByAccount(valued) {
+  const byAccount = new Map()
+  ;(valued || []).forEach((holding) => {
+    if (!holding.marketValue) return
+    if (!byAccount.has(holding.account_id)) byAccount.set(holding.account_id, new Map())
+    const currencies = byAccount.get(holding.account_id)
+    currencies.set(
+      holding.currency,
+      round2((currencies.get(holding.currency) || 0) + holding.marketValue)
+    )
+  })
+  return byAccount
+}
+
+// Header words for the price file's columns, most specific first. "Adj Close"
+// wins over "Close" when a file has both: it's what the security was worth
+// once splits and dividends are allowed for.
+const PRICE_COLUMN_HINTS = {
+  date: [/^date$/, /date|day/],
+  symbol: [/^symbol$/, /symbol|ticker|security|isin/],
+  price: [/^adj\.? ?close$/, /^price$/, /^close$/, /price|close|value|nav/],
+}
+
+function findColumn(headers, role) {
+  const lower = headers.map((h) => h.toLowerCase().trim())
+  for (const hint of PRICE_COLUMN_HINTS[role]) {
+    const index = lower.findIndex((h) => hint.test(h))
+    if (index !== -1) return index
+  }
+  return -1
+}
+
+/**
+ * Read a CSV price file: a date, a price and (unless the whole file is one
+ * security's history, as a broker or Yahoo Finance export is) a symbol per
+ * line. Columns are found by their headers; a file without recognisable
+ * headers is read as date, symbol, price. Lines that can't be read are
+ * listed and left out, and the last price given for a symbol and day wins.
+ *
+ * @param {string} text
+ * @param {{ symbol?: string }} [options] - the symbol for a file without a symbol column
+ * @returns {{ rows: Array<{ line: number, symbol: string, date: string, price: number }>,
+ *   errors: Array<{ line: number, message: string }>, needsSymbol: boolean }}
+ */
+export function parsePriceFile(text, { symbol } = {}) {
+  const { headers, rows: body } = parseCsv(text)
+  const errors = []
+  if (headers.length === 0) return { rows: [], errors, needsSymbol: false }
+
+  let columns = {
+    date: findColumn(headers, 'date'),
+    symbol: findColumn(headers, 'symbol'),
+    price: findColumn(headers, 'price'),
+  }
+  let lines = body
+  let firstLine = 2
+  if (columns.date === -1 || columns.price === -1) {
+    // No usable header: the first line is data
+    columns = { date: 0, symbol: 1, price: 2 }
+    lines = [headers, ...body]
+    firstLine = 1
+  }
+
+  const fixedSymbol = normalizeSymbol(symbol)
+  const needsSymbol = columns.symbol === -1 && !fixedSymbol
+  const byKey = new Map()
+
+  lines.forEach((cells, index) => {
+    const line = firstLine + index
+    const date = parseStatementDate(cells[columns.date] || '', 'auto')
+    const price = parseStatementAmount(cells[columns.price] || '')
+    const rowSymbol = columns.symbol === -1 ? fixedSymbol : normalizeSymbol(cells[columns.symbol])
+    if (!date) {
+      errors.push({ line, message: `"${cells[columns.date] || ''}" is not a date` })
+      return
+    }
+    if (!(price > 0)) {
+      errors.push({ line, message: `"${cells[columns.price] || ''}" is not a price above 0` })
+      return
+    }
+    if (!rowSymbol) {
+      if (!needsSymbol) errors.push({ line, message: 'No symbol' })
+      return
+    }
+    byKey.set(`${rowSymbol}|${date}`, { line, symbol: rowSymbol, date, price })
+  })
+
+  return { rows: Array.from(byKey.values()), errors, needsSymbol }
+}
@@ -0,0 +1,303 @@
+import { addMonths, endOfMonth, format, parseISO, startOfMonth } from 'date-fns'
+import { buildPriceLookup, valueHoldings } from './investments'
+
+// Account types that hold money owed rather than money owned
+export const LIABILITY_ACCOUNT_TYPES = ['Credit']
+
+export function isLiabilityAccount(account) {
+  return LIABILITY_ACCOUNT_TYPES.includes(account?.type)
+}
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Every rate per currency pair in date order, so a conversion can use the
+ * rate that was in effect on a given day rather than the latest one.
+ * @param {Array} exchangeRates
+ * @returns {Map<string, Array<{ time: number, rate: number }>>} keyed "FROM>TO"
+ */
+export function buildDatedRateLookup(exchangeRates) {
+  const lookup = new Map()
+  ;(exchangeRates || []).forEach((er) => {
+    const rate = parseFloat(er.rate)
+    const time = new Date(er.date || er.created_at || 0).getTime()
+    if (!rate || Number.isNaN(time)) return
+    const key = `${er.from_currency?.toUpperCase()}>${er.to_currency?.toUpperCase()}`
+    if (!lookup.has(key)) lookup.set(key, [])
+    lookup.get(key).push({ time, rate })
+  })
+  lookup.forEach((entries) => entries.sort((a, b) => a.time - b.time))
+  return lookup
+}
+
+// The last rate dated on or before `time`; before the first rate there is
+// nothing better to go by than that first rate
+function rateInEffect(entries, time) {
+  if (!entries?.length) return null
+  let found = entries[0]
+  for (const entry of entries) {
+    if (entry.time > time) break
+    found = entry
+  }
+  return found.rate
+}
+
+/**
+ * Convert at the rate in effect on `date`: the direct pair wins, then the
+ * reverse pair (dividing), then null when the pair has never been recorded.
+ * @param {number} amount
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {Map} lookup - from buildDatedRateLookup
+ * @param {Date} date
+ * @returns {number|null}
+ */
+export function convertAmountOnDate(amount, fromCurrency, toCurrency, lookup, date) {
+  if (!fromCurrency || !toCurrency) return null
+  const from = fromCurrency.toUpperCase()
+  const to = toCurrency.toUpperCase()
+  if (from === to || !amount) return amount || 0
+
+  const time = date.getTime()
+  const direct = rateInEffect(lookup.get(`${from}>${to}`), time)
+  if (direct) return amount * direct
+  const reverse = rateInEffect(lookup.get(`${to}>${from}`), time)
+  if (reverse) return amount / reverse
+  return null
+}
+
+const monthKey = (date) => format(date, 'yyyy-MM')
+
+/**
+ * Month-by-month net worth, from the first month any account existed up to
+ * the current one.
+ *
+ * An account counts from whichever comes first, its creation or its first
+ * transaction, starting at its opening balance. Each month end, every account's
+ * balance is converted into the base currency at the rate in effect on that
+ * day; a currency with no recorded rate is added as it is, the way the rest
+ * of the app treats a missing rate, and listed in `unconverted`. A month's
+ * `date` is its end as an ISO string (now, for the current month).
+ *
+ * An Investment account's holdings count on top of its cash: each month end
+ * they are valued at the latest price on or before it (utils/investments) and
+ * converted like a balance, and the cash their trades moved is part of the
+ * balance. A row's `market_value` is the holdings' part of `converted`.
+ *
+ * Stored snapshots (same base currency, completed months) stand in for the
+ * months they cover, and the balances in the latest one are where computing
+ * resumes. Only the run of snapshots from the first month counts: the server
+ * drops everything after a change, so anything past a gap is stale.
+ *
+ * @param {Object} params
+ * @param {Array} params.accounts - all accounts, closed ones included
+ * @param {Array} params.transactions
+ * @param {Array} params.exchangeRates
+ * @param {string} params.baseCurrency
+ * @param {Array} [params.holdings]
+ * @param {Array} [params.trades] - holding_trades rows
+ * @param {Array} [params.prices] - security_prices rows
+ * @param {Array} [params.snapshots] - rows from net_worth_snapshots
+ * @param {Date} [params.now]
+ * @returns {{ months: Array<{
+ *   month: string, date: string, assets: number, liabilities: number,
+ *   netWorth: number, accounts: Array, unconverted: string[], stored: boolean
+ * }>, newSnapshots: Array }}
+ */
+export function buildNetWorthHistory({
+  accounts,
+  transactions,
+  exchangeRates,
+  baseCurrency,
+  holdings = [],
+  trades = [],
+  prices = [],
+  snapshots = [],
+  now = new Date(),
+}) {
+  const nowTime = now.getTime()
+  const byAccount = new Map(
+    (accounts || []).map((account) => [account.account_id, []])
+  )
+  ;(transactions || []).forEach((txn) => {
+    if (txn.deleted_at || txn.status === 'Cancelled') return
+    const list = byAccount.get(txn.account_id)
+    if (!list) return
+    const time = parseISO(txn.date).getTime()
+    if (Number.isNaN(time) || time > nowTime) return
+    const amount = Math.abs(parseFloat(txn.amount) || 0)
+    list.push({
+      time,
+      signed:
+        txn.type === 'Income' || txn.type === 'Transfer In' ? amount : -amount,
+    })
+  })
+  ;(trades || []).forEach((trade) => {
+    const list = byAccount.get(trade.account_id)
+    if (!list) return
+    const time = parseISO(trade.trade_date).getTime()
+    if (Number.isNaN(time) || time > nowTime) return
+    list.push({ time, signed: parseFloat(trade.cash_amount) || 0 })
+  })
+  byAccount.forEach((list) => list.sort((a, b) => a.time - b.time))
+  const priceLookup = buildPriceLookup(prices)
+  const hasHoldings = (holdings || []).length > 0
+
+  const starts = new Map()
+  ;(accounts || []).forEach((account) => {
+    const created = account.created_at
+      ? new Date(account.created_at).getTime()
+      : Infinity
+    const first = byAccount.get(account.account_id)[0]?.time ?? Infinity
+    starts.set(account.account_id, Math.min(created, first))
+  })
+  const earliest = Math.min(Infinity, ...starts.values())
+  if (!Number.isFinite(earliest)) return { months: [], newSnapshots: [] }
+
+  const firstMonth = startOfMonth(new Date(earliest))
+  const currentMonth = startOfMonth(now)
+  const stored = new Map(
+    (snapshots || [])
+      .filter((s) => s.base_currency === baseCurrency)
+      .map((s) => [s.month.slice(0, 7), s])
+  )
+
+  const lookup = buildDatedRateLookup(exchangeRates)
+  const accountMap = new Map((accounts || []).map((a) => [a.account_id, a]))
+  const balances = new Map()
+  const cursors = new Map()
+  const months = []
+  const newSnapshots = []
+  let resumeFromStored = true
+  let storable = true
+
+  for (let month = firstMonth; month <= currentMonth; month = addMonths(month, 1)) {
+    const key = monthKey(month)
+    const isCurrent = month.getTime() === currentMonth.getTime()
+    const monthEnd = isCurrent ? now : endOfMonth(month)
+    const endTime = monthEnd.getTime()
+    const snapshot = !isCurrent && resumeFromStored ? stored.get(key) : null
+
+    if (snapshot) {
+      const rows = snapshot.accounts || []
+      rows.forEach((row) => balances.set(row.account_id, parseFloat(row.balance) || 0))
+      months.push({
+        month: key,
+        date: monthEnd.toISOString(),
+        assets: parseFloat(snapshot.assets) || 0,
+        liabilities: parseFloat(snapshot.liabilities) || 0,
+        netWorth: parseFloat(snapshot.net_worth) || 0,
+        accounts: rows,
+        unconverted: [],
+        stored: true,
+      })
+      // Skip what the snapshot already counted
+      byAccount.forEach((list, accountId) => {
+        let i = cursors.get(accountId) || 0
+        while (i < list.length && list[i].time <= endTime) i += 1
+        cursors.set(accountId, i)
+      })
+      continue
+    }
+    resumeFromStored = false
+
+    let assets = 0
+    let liabilities = 0
+    const unconverted = new Set()
+    const rows = []
+    const marketValues = new Map()
+    if (hasHoldings) {
+      valueHoldings({
+        holdings,
+        trades,
+        priceLookup,
+        asOf: format(monthEnd, 'yyyy-MM-dd'),
+      }).forEach((holding) => {
+        if (!holding.marketValue) return
+        let value = convertAmountOnDate(
+          holding.marketValue,
+          holding.currency,
+          baseCurrency,
+          lookup,
+          monthEnd
+        )
+        if (value === null) {
+          unconverted.add(holding.currency)
+          value = holding.marketValue
+        }
+        marketValues.set(
+          holding.account_id,
+          (marketValues.get(holding.account_id) || 0) + value
+        )
+      })
+    }
+    byAccount.forEach((list, accountId) => {
+      if (starts.get(accountId) > endTime) return
+      const account = accountMap.get(accountId)
+      let balance = balances.has(accountId)
+        ? balances.get(accountId)
+        : parseFloat(account.opening_balance) || 0
+      let i = cursors.get(accountId) || 0
+      while (i < list.length && list[i].time <= endTime) {
+        balance += list[i].signed
+        i += 1
+      }
+      cursors.set(accountId, i)
+      balances.set(accountId, balance)
+
+      let converted = convertAmountOnDate(
+        balance,
+        account.currency,
+        baseCurrency,
+        lookup,
+        monthEnd
+      )
+      if (converted === null) {
+        unconverted.add(account.currency)
+        converted = balance
+      }
+      const marketValue = marketValues.get(accountId) || 0
+      converted += marketValue
+      const liability = isLiabilityAccount(account)
+      // A credit account's balance runs negative as it is spent; what is owed
+      // is the opposite of it
+      if (liability) liabilities -= converted
+      else assets += converted
+      rows.push({
+        account_id: accountId,
+        currency: account.currency,
+        balance: round2(balance),
+        converted: round2(converted),
+        market_value: round2(marketValue),
+        liability,
+      })
+    })
+
+    const entry = {
+      month: key,
+      date: monthEnd.toISOString(),
+      assets: round2(assets),
+      liabilities: round2(liabilities),
+      netWorth: round2(assets - liabilities),
+      accounts: rows,
+      unconverted: Array.from(unconverted),
+      stored: false,
+    }
+    months.push(entry)
+    // A month converted without a real rate isn't worth keeping, and neither
+    // is anything after it: stored months have to stay one unbroken run
+    if (unconverted.size > 0) storable = false
+    if (!isCurrent && storable) {
+      newSnapshots.push({
+        month: `${key}-01`,
+        base_currency: baseCurrency,
+        assets: entry.assets,
+        liabilities: entry.liabilities,
+        net_worth: entry.netWorth,
+        accounts: rows,
+      })
+    }
+  }
+
+  return { months, newSnapshots }
+}
@@ -0,0 +1,120 @@
+import { primarySplitCategory, toSplitRows } from './transactionSplits'
+
+/**
+ * Offline outbox helpers (see store/slices/outboxSlice). A transaction
+ * create, edit or delete made without a connection is kept as an entry and
+ * replayed once the app is back online; until then the change is shown on
+ * the row as if it had saved.
+ *
+ * There is at most one entry per transaction: a later change to the same row
+ * folds into the entry already waiting (an edit to an unsynced create becomes
+ * part of the create, a delete of one cancels it), so replay order only
+ * matters between rows, and there it is the order the changes were made.
+ */
+
+export const OUTBOX_STATUSES = ['pending', 'conflict', 'failed']
+
+// True when the browser knows it has no connection. navigator.onLine only
+// reports the missing-network case reliably, so a failed request is also
+// treated as offline (see isNetworkError in utils/errorMessage).
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
+}
+
+/**
+ * The row an offline create shows as until the server has it, shaped like a
+ * stored transactions row. Mirrors what createTransaction stores: a date-only
+ * input gets the current time, a split files under its largest line.
+ *
+ * @param {Object} input - createTransaction input, with transactionId
+ * @param {string|null} userId
+ * @returns {Object}
+ */
+export function localTransactionRow(input, userId = null) {
+  const date = input.date ? new Date(input.date) : new Date()
+  if (typeof input.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(input.date)) {
+    const now = new Date()
+    date.setHours(now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds())
+  }
+  const splits = input.splits?.length ? toSplitRows(input.splits) : null
+  const now = new Date().toISOString()
+  return {
+    transaction_id: input.transactionId,
+    user_id: userId,
+    account_id: input.accountId,
+    category_id: splits ? primarySplitCategory(input.splits) : input.categoryId || null,
+    date: date.toISOString(),
+    amount: Number(input.amount),
+    currency: String(input.currency || '').toUpperCase(),
+    description: input.description || '',
+    type: input.type || 'Expense',
+    status: input.status || 'Cleared',
+    transfer_id: input.transferId || null,
+    linked_transaction_id: input.linkedTransactionId || null,
+    entity_name: input.entityName || null,
+    splits,
+    created_at: now,
+    updated_at: now,
+    deleted_at: null,
+  }
+}
+
+const sameValue = (a, b) => {
+  if (a === b) return true
+  if (a == null || b == null) return (a ?? null) === (b ?? null)
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b)
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b)
+  }
+  const aTime = Date.parse(a)
+  const bTime = Date.parse(b)
+  if (!Number.isNaN(aTime) && !Number.isNaN(bTime) && /T/.test(a) && /T/.test(b)) {
+    return aTime === bTime
+  }
+  return String(a) === String(b)
+}
+
+/**
+ * Columns of `fields` whose value differs in `row`. Used to tell a real
+ * conflict from an edit that already landed (its reply was lost, so it is
+ * replayed against its own write) and to show what differs.
+ *
+ * @param {Object} row - stored row
+ * @param {Object} fields - column -> value
+ * @returns {string[]}
+ */
+export function changedFields(row, fields) {
+  return Object.keys(fields || {}).filter((field) => !sameValue(row?.[field], fields[field]))
+}
+
+/**
+ * The transactions an entry hides, adds or changes locally, applied over a
+ * freshly fetched list so a sync doesn't undo changes still waiting to go out.
+ *
+ * @param {Array} transactions - stored rows
+ * @param {Array} entries - outbox entries
+ * @returns {Array}
+ */
+export function applyOutboxEntries(transactions, entries) {
+  if (!entries?.length) return transactions
+  const removed = new Set()
+  const changes = new Map()
+  const added = []
+  entries.forEach((entry) => {
+    if (entry.kind === 'delete') entry.transactionIds.forEach((id) => removed.add(id))
+    else if (entry.kind === 'update') changes.set(entry.transactionId, entry.fields)
+    else if (entry.kind === 'create') added.push(entry.row)
+  })
+  const present = new Set()
+  const result = []
+  transactions.forEach((txn) => {
+    if (removed.has(txn.transaction_id)) return
+    present.add(txn.transaction_id)
+    const fields = changes.get(txn.transaction_id)
+    result.push(fields ? { ...txn, ...fields } : txn)
+  })
+  added.forEach((row) => {
+    if (!present.has(row.transaction_id)) result.push(row)
+  })
+  return result
+}
@@ -0,0 +1,112 @@
+import { endOfDay, format, parseISO } from 'date-fns'
+
+export const RECONCILED_STATUS = 'Reconciled'
+
+// Fields that move an account's balance. Changing any of them on a reconciled
+// row means the account no longer agrees with the statement it was matched to;
+// description, category and counterparty edits are harmless.
+const BALANCE_FIELDS = ['accountId', 'amount', 'type', 'status', 'date']
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+export function isReconciled(transaction) {
+  return transaction?.status === RECONCILED_STATUS
+}
+
+/**
+ * Signed effect of a transaction on its account balance (same rules as
+ * calculateAccountBalance: income and transfers in add, the rest subtract).
+ */
+export function signedAmount(transaction) {
+  const amount = Math.abs(parseFloat(transaction?.amount) || 0)
+  return transaction?.type === 'Income' || transaction?.type === 'Transfer In'
+    ? amount
+    : -amount
+}
+
+/**
+ * Does an update to a reconciled transaction change what it contributes to
+ * the balance? `updates` uses the camelCase keys of updateTransaction.
+ */
+export function changesReconciledBalance(transaction, updates) {
+  if (!isReconciled(transaction) || !updates) return false
+  const current = {
+    accountId: transaction.account_id,
+    amount: round2(Math.abs(parseFloat(transaction.amount) || 0)),
+    type: transaction.type,
+    status: transaction.status,
+    date: transaction.date ? format(new Date(transaction.date), 'yyyy-MM-dd') : '',
+  }
+  return BALANCE_FIELDS.some((field) => {
+    if (updates[field] === undefined) return false
+    let next = updates[field]
+    if (field === 'amount') next = round2(Math.abs(parseFloat(next) || 0))
+    // A form date is already 'YYYY-MM-DD'; new Date() would read it as UTC
+    if (field === 'date' && next && !/^\d{4}-\d{2}-\d{2}$/.test(next)) {
+      next = format(new Date(next), 'yyyy-MM-dd')
+    }
+    return next !== current[field]
+  })
+}
+
+/**
+ * Work out a reconciliation of one account against a statement.
+ *
+ * Every reconciled transaction up to the statement date is already agreed, so
+ * the starting point is the opening balance plus those. Each ticked candidate
+ * is added on top; the difference is what the statement says minus that
+ * cleared balance, and reconciling is done when it reaches zero. The cash an
+ * Investment account's trades moved up to the statement date counts as
+ * agreed too: trades have no status to tick.
+ *
+ * @param {Object} account
+ * @param {Array} transactions - all loaded transactions (any account)
+ * @param {string} statementDate - 'YYYY-MM-DD', inclusive
+ * @param {number} statementBalance
+ * @param {(txn: Object) => boolean} isTicked - whether a candidate is ticked off
+ * @param {Array} [trades] - holding_trades rows (any account)
+ * @returns {{ candidates: Array, reconciledBalance: number, clearedBalance: number, difference: number }}
+ */
+export function buildReconciliation(
+  account,
+  transactions,
+  statementDate,
+  statementBalance,
+  isTicked,
+  trades = []
+) {
+  const cutoff = statementDate ? endOfDay(parseISO(statementDate)).getTime() : Infinity
+  let reconciledBalance = parseFloat(account?.opening_balance) || 0
+  const candidates = []
+
+  ;(transactions || []).forEach((txn) => {
+    if (txn.account_id !== account?.account_id) return
+    if (txn.deleted_at || txn.status === 'Cancelled') return
+    if (new Date(txn.date).getTime() > cutoff) return
+    if (isReconciled(txn)) reconciledBalance += signedAmount(txn)
+    else candidates.push(txn)
+  })
+
+  trades.forEach((trade) => {
+    if (trade.account_id !== account?.account_id) return
+    if (parseISO(trade.trade_date).getTime() > cutoff) return
+    reconciledBalance += parseFloat(trade.cash_amount) || 0
+  })
+
+  candidates.sort((a, b) => new Date(a.date) - new Date(b.date))
+
+  const clearedBalance = round2(
+    candidates.reduce(
+      (sum, txn) =>
+        isTicked(txn) ? sum + signedAmount(txn) : sum,
+      reconciledBalance
+    )
+  )
+
+  return {
+    candidates,
+    reconciledBalance: round2(reconciledBalance),
+    clearedBalance,
+    difference: round2((parseFloat(statementBalance) || 0) - clearedBalance),
+  }
+}
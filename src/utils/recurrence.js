@@ -0,0 +1,136 @@
+import {
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  format,
+  parseISO,
+} from 'date-fns'
+import {
+  isNthWeekday,
+  isPastEnd,
+  occurrenceAt,
+  occurrenceDetails,
+} from '../../supabase/functions/_shared/recurrence.js'
+
+/**
+ * Recurring transactions in the app: the choices the form offers, and
+ * listing and describing a template's occurrences. The schedule itself is
+ * shared with the quick-expense edge function, which posts due occurrences
+ * too; see supabase/functions/_shared/recurrence.js.
+ */
+
+export {
+  MAX_CATCH_UP,
+  dueDateAt,
+  isPastEnd,
+  occurrenceAt,
+  occurrenceDetails,
+  planDueOccurrences,
+  toDateString,
+  todayString,
+} from '../../supabase/functions/_shared/recurrence.js'
+
+export const RECURRENCE_FREQUENCIES = ['Daily', 'Weekly', 'Monthly', 'Yearly']
+export const RECURRING_STATUSES = ['Active', 'Paused', 'Ended']
+
+export const WEEK_OF_MONTH_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' },
+]
+
+export const WEEKDAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+]
+
+const UNIT_NAMES = { Daily: 'day', Weekly: 'week', Monthly: 'month', Yearly: 'year' }
+
+/**
+ * Number of the first slot dated on or after `date`. Used when a series is
+ * created or its schedule edited, so earlier slots are never back-posted.
+ */
+export function firstIndexOnOrAfter(rule, date) {
+  if (!date || date <= rule.start_date) return 0
+  const start = parseISO(rule.start_date)
+  const target = parseISO(date)
+  const interval = Number(rule.interval_count) || 1
+  let units
+  switch (rule.frequency) {
+    case 'Daily':
+      units = differenceInCalendarDays(target, start)
+      break
+    case 'Weekly':
+      units = differenceInCalendarDays(target, start) / 7
+      break
+    case 'Monthly':
+      units = differenceInCalendarMonths(target, start)
+      break
+    default:
+      units = differenceInCalendarMonths(target, start) / 12
+  }
+  // Start a step short of the estimate and walk forward to the exact slot
+  let index = Math.max(0, Math.floor(units / interval) - 1)
+  while (occurrenceAt(rule, index) < date) index += 1
+  return index
+}
+
+/**
+ * The next occurrences of a template from its current slot, up to and
+ * including `until` ('yyyy-MM-dd'), at most `limit` of them.
+ *
+ * @returns {Array<Object>} occurrenceDetails() plus the slot `index`
+ */
+export function upcomingOccurrences(rule, until, limit = 10) {
+  const list = []
+  if (rule.status !== 'Active') return list
+  for (let index = Number(rule.occurrences_done) || 0; list.length < limit; index += 1) {
+    if (isPastEnd(rule, index)) break
+    const date = occurrenceAt(rule, index)
+    if (until && date > until) break
+    list.push({ ...occurrenceDetails(rule, date), index })
+  }
+  return list
+}
+
+const ordinal = (n) => {
+  const suffix = ['th', 'st', 'nd', 'rd']
+  const v = n % 100
+  return `${n}${suffix[(v - 20) % 10] || suffix[v] || suffix[0]}`
+}
+
+/**
+ * Human-readable schedule, e.g. "Every 2 weeks on Monday" or "Monthly on the
+ * last Friday".
+ */
+export function describeRecurrence(rule) {
+  if (!rule?.start_date || !UNIT_NAMES[rule.frequency]) return ''
+  const start = parseISO(rule.start_date)
+  const interval = Number(rule.interval_count) || 1
+  const unit = UNIT_NAMES[rule.frequency]
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`
+
+  switch (rule.frequency) {
+    case 'Weekly':
+      return `${every} on ${WEEKDAY_NAMES[start.getDay()]}`
+    case 'Monthly': {
+      if (isNthWeekday(rule)) {
+        const which = WEEK_OF_MONTH_OPTIONS.find(
+          (o) => o.value === Number(rule.by_week_of_month)
+        )?.label
+        return `${every} on the ${which?.toLowerCase()} ${WEEKDAY_NAMES[Number(rule.by_weekday)]}`
+      }
+      return `${every} on the ${ordinal(start.getDate())}`
+    }
+    case 'Yearly':
+      return `${every} on ${format(start, 'MMM d')}`
+    default:
+      return every
+  }
+}
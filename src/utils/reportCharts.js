@@ -0,0 +1,173 @@
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  differenceInCalendarDays,
+  endOfDay,
+  endOfMonth,
+  endOfWeek,
+  format,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from 'date-fns'
+
+// Ranges up to about two months are charted day by day (net worth, burn-down)
+// or week by week (income vs expense); anything longer goes by month.
+export const SHORT_RANGE_DAYS = 62
+
+// Slices smaller than this share of the total fold into "Other"
+const MIN_SLICE_SHARE = 0.03
+
+const isShortRange = (range) =>
+  differenceInCalendarDays(range.end, range.start) + 1 <= SHORT_RANGE_DAYS
+
+/**
+ * Split a report range into chart buckets: weeks for a short range, months
+ * otherwise. The first and last bucket are clipped to the range.
+ * @param {{ start: Date, end: Date }} range
+ * @returns {Array<{ start: Date, end: Date, label: string }>}
+ */
+export function rangeBuckets(range) {
+  const weekly = isShortRange(range)
+  const buckets = []
+  let cursor = weekly ? startOfWeek(range.start) : startOfMonth(range.start)
+  while (cursor <= range.end) {
+    const bucketEnd = weekly ? endOfWeek(cursor) : endOfMonth(cursor)
+    const start = cursor < range.start ? range.start : cursor
+    const end = bucketEnd > range.end ? range.end : bucketEnd
+    buckets.push({
+      start,
+      end,
+      label: weekly ? format(start, 'MMM d') : format(start, "MMM ''yy"),
+    })
+    cursor = weekly ? addWeeks(cursor, 1) : addMonths(cursor, 1)
+  }
+  return buckets
+}
+
+/**
+ * Income and expense totals per bucket of the range.
+ * @param {Array<{ ts: number, amount: number, kind: 'Income'|'Expense' }>} entries
+ *   - already filtered and converted to the base currency
+ * @param {{ start: Date, end: Date }} range
+ * @returns {Array<{ label: string, start: Date, end: Date, income: number, expense: number }>}
+ */
+export function buildIncomeExpenseBars(entries, range) {
+  const bars = rangeBuckets(range).map((bucket) => ({
+    ...bucket,
+    income: 0,
+    expense: 0,
+  }))
+  entries.forEach(({ ts, amount, kind }) => {
+    const bar = bars.find(
+      (b) => ts >= b.start.getTime() && ts <= b.end.getTime()
+    )
+    if (!bar) return
+    if (kind === 'Income') bar.income += amount
+    else bar.expense += amount
+  })
+  return bars
+}
+
+/**
+ * Points in time to plot a running total at: the end of every day for a
+ * short range, the end of every month otherwise, never past `now`.
+ */
+function seriesPoints(range, now = new Date()) {
+  const last = range.end < now ? range.end : endOfDay(now)
+  const points = []
+  if (isShortRange(range)) {
+    for (let day = startOfDay(range.start); day <= last; day = addDays(day, 1)) {
+      points.push(endOfDay(day))
+    }
+  } else {
+    for (
+      let month = startOfMonth(range.start);
+      month <= last;
+      month = addMonths(month, 1)
+    ) {
+      const end = endOfMonth(month)
+      points.push(end > last ? last : end)
+    }
+  }
+  return points
+}
+
+// Running total from `initial`, sampled at each series point
+function runningSeries(initial, movements, range, now) {
+  const sorted = [...movements].sort((a, b) => a.ts - b.ts)
+  let total = initial
+  let i = 0
+  return seriesPoints(range, now).map((date) => {
+    const limit = date.getTime()
+    while (i < sorted.length && sorted[i].ts <= limit) {
+      total += sorted[i].signed
+      i += 1
+    }
+    return { date, value: total }
+  })
+}
+
+/**
+ * Net worth over the range: opening balances plus every balance movement up
+ * to each point. Movements before the range start still count, so the line
+ * starts from the real balance rather than zero.
+ * @param {number} openingTotal - sum of account opening balances (base currency)
+ * @param {Array<{ ts: number, signed: number }>} movements - signed balance
+ *   effect per transaction, base currency
+ * @param {{ start: Date, end: Date }} range
+ * @returns {Array<{ date: Date, value: number }>}
+ */
+export function buildNetWorthSeries(openingTotal, movements, range, now) {
+  return runningSeries(openingTotal, movements, range, now)
+}
+
+/**
+ * Budget burn-down for one category: what is left of the budget at each point,
+ * against the even pace that would spend it exactly by the end of the range.
+ * @param {Array<{ ts: number, amount: number }>} spending - the category's
+ *   expenses within the range, base currency
+ * @param {number} budget - budget for the whole range, base currency
+ * @param {{ start: Date, end: Date }} range
+ * @returns {{ points: Array<{ date: Date, value: number }>, ideal: Array<{ date: Date, value: number }> }}
+ */
+export function buildBurnDown(spending, budget, range, now) {
+  const movements = spending.map(({ ts, amount }) => ({ ts, signed: -amount }))
+  return {
+    points: runningSeries(budget, movements, range, now),
+    ideal: [
+      { date: range.start, value: budget },
+      { date: range.end, value: 0 },
+    ],
+  }
+}
+
+/**
+ * Donut slices from report rows, largest first. Anything under a small share
+ * of the total, and anything past `maxSlices`, folds into one "Other" slice
+ * (which has no category to click through to).
+ * @param {Array<{ id: string, label: string, value: number }>} items
+ * @returns {Array<{ id: string|null, label: string, value: number, share: number }>}
+ */
+export function buildDonutSlices(items, maxSlices = 6) {
+  const positive = items
+    .filter((item) => item.value > 0)
+    .sort((a, b) => b.value - a.value)
+  const total = positive.reduce((sum, item) => sum + item.value, 0)
+  if (total <= 0) return []
+  const slices = []
+  let other = 0
+  positive.forEach((item) => {
+    const share = item.value / total
+    if (slices.length < maxSlices && share >= MIN_SLICE_SHARE) {
+      slices.push({ ...item, share })
+    } else {
+      other += item.value
+    }
+  })
+  if (other > 0) {
+    slices.push({ id: null, label: 'Other', value: other, share: other / total })
+  }
+  return slices
+}
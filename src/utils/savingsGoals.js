@@ -0,0 +1,139 @@
+import { differenceInCalendarMonths, parseISO, startOfDay } from 'date-fns'
+import { convertAmountWithLookup } from './currencyConversion'
+
+/**
+ * Savings goal progress (see migration 023). A goal saves toward
+ * target_amount in its currency by target_date, and counts what it has from
+ * one of two sources:
+ *
+ *  - 'balance': the linked account's current balance.
+ *  - 'transfers': transfers tagged with the goal's tag, each counted once at
+ *    the amount that arrived. With a linked account, a transfer out of that
+ *    account takes its amount back off.
+ *
+ * Amounts in another currency are converted at the latest rate; one with no
+ * recorded rate is counted as it is, the way the rest of the app treats a
+ * missing rate, and the result is flagged `unconverted`.
+ */
+
+export const GOAL_TRACKING_OPTIONS = [
+  { value: 'balance', label: 'Account balance' },
+  { value: 'transfers', label: 'Tagged transfers' },
+]
+export const GOAL_STATUSES = ['Active', 'Archived']
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Months left to save in, counting the current one: a goal due later this
+ * month has 1, one due next month has 2. Zero once the date has passed.
+ * @param {string} targetDate - 'YYYY-MM-DD'
+ * @param {Date} [today]
+ * @returns {number}
+ */
+export function monthsUntil(targetDate, today = new Date()) {
+  const target = parseISO(targetDate)
+  if (target < startOfDay(today)) return 0
+  return differenceInCalendarMonths(target, today) + 1
+}
+
+// Converted amount, and whether the conversion had to be skipped
+function toGoalCurrency(amount, currency, goalCurrency, rateLookup, date) {
+  const value = Number(amount) || 0
+  if (!value || !currency || currency === goalCurrency) return { value, missing: false }
+  const converted = convertAmountWithLookup(value, currency, goalCurrency, rateLookup, date)
+  return converted === null ? { value, missing: true } : { value: converted, missing: false }
+}
+
+/**
+ * Everything the Home card and the goal dialog show about a goal.
+ *
+ * @param {Object} goal - savings_goals row
+ * @param {Object} context
+ * @param {Array} context.accounts
+ * @param {Array} context.transactions - stored rows (deleted ones are skipped)
+ * @param {Map<string, string[]>} context.tagIdsByTransaction
+ * @param {Map} context.rateLookup - from buildExchangeRateLookup
+ * @param {Date} [context.today]
+ * @returns {{ saved: number, remaining: number, percent: number,
+ *   monthsLeft: number, monthlyNeeded: number|null, isReached: boolean,
+ *   isOverdue: boolean, unconverted: boolean, sourceMissing: boolean }}
+ *   monthlyNeeded is null once the goal is reached or its date has passed
+ */
+export function goalProgress(goal, context) {
+  const { accounts, transactions, tagIdsByTransaction, rateLookup, today } = context
+  const target = Number(goal.target_amount) || 0
+  const account = goal.account_id
+    ? (accounts || []).find((a) => a.account_id === goal.account_id)
+    : null
+
+  let saved = 0
+  let unconverted = false
+  let sourceMissing = false
+  // A transfer counts at the rate on its date, a balance at the latest
+  const add = (amount, currency, sign = 1, date = undefined) => {
+    const { value, missing } = toGoalCurrency(amount, currency, goal.currency, rateLookup, date)
+    saved += sign * value
+    if (missing) unconverted = true
+  }
+
+  if (goal.tracking === 'transfers') {
+    if (!goal.tag_id) {
+      sourceMissing = true
+    } else {
+      // A transfer is tagged when either leg is; count it once
+      const legsByTransfer = new Map()
+      const taggedTransfers = new Set()
+      ;(transactions || []).forEach((txn) => {
+        if (txn.deleted_at || !txn.transfer_id) return
+        if (!legsByTransfer.has(txn.transfer_id)) legsByTransfer.set(txn.transfer_id, [])
+        legsByTransfer.get(txn.transfer_id).push(txn)
+        if (tagIdsByTransaction?.get(txn.transaction_id)?.includes(goal.tag_id)) {
+          taggedTransfers.add(txn.transfer_id)
+        }
+      })
+      taggedTransfers.forEach((transferId) => {
+        const legs = legsByTransfer.get(transferId)
+        const legIn = legs.find((leg) => leg.type === 'Transfer In')
+        const legOut = legs.find((leg) => leg.type === 'Transfer Out')
+        if (goal.account_id && legOut?.account_id === goal.account_id) {
+          add(legOut.amount, legOut.currency, -1, legOut.date)
+        } else if (legIn) {
+          add(legIn.amount, legIn.currency, 1, legIn.date)
+        }
+      })
+    }
+  } else if (account) {
+    add(account.current_balance, account.currency)
+  } else {
+    sourceMissing = true
+  }
+
+  saved = round2(saved)
+  const remaining = round2(Math.max(target - saved, 0))
+  const isReached = target > 0 && saved >= target
+  const monthsLeft = monthsUntil(goal.target_date, today)
+  const isOverdue = !isReached && monthsLeft === 0
+
+  return {
+    saved,
+    remaining,
+    percent: target > 0 ? Math.min(Math.max(saved / target, 0), 1) * 100 : 0,
+    monthsLeft,
+    monthlyNeeded: isReached || monthsLeft === 0 ? null : round2(remaining / monthsLeft),
+    isReached,
+    isOverdue,
+    unconverted,
+    sourceMissing,
+  }
+}
+
+// Active goals first, then by target date (soonest first)
+export function sortGoals(goals) {
+  return [...(goals || [])].sort(
+    (a, b) =>
+      (a.status === 'Active' ? 0 : 1) - (b.status === 'Active' ? 0 : 1) ||
+      String(a.target_date).localeCompare(String(b.target_date)) ||
+      String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  )
+}
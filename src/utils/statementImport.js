@@ -0,0 +1,503 @@
+import { format, parseISO } from 'date-fns'
+
+/**
+ * Bank statement parsing for the import wizard: CSV, OFX and QIF files become
+ * one list of normalized entries the preview can show and the batch create can
+ * post. Everything here is pure — no store, no network — so the wizard owns
+ * the state and this file owns the formats.
+ *
+ * A normalized entry:
+ *   { date: 'YYYY-MM-DD' | null, amount: number (signed, negative = money out),
+ *     description: string, account: string (raw account label, may be ''),
+ *     externalId: string | null (OFX FITID) }
+ */
+
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'qif']
+
+// How far apart (in days) an imported row and an existing transaction can be
+// and still count as "probably the same thing". Banks post a card payment a
+// day or two after the purchase the user typed in.
+export const DEFAULT_DUPLICATE_WINDOW_DAYS = 3
+
+/**
+ * Decide which parser a file needs. The extension is usually right; the
+ * content sniff covers files saved as .txt or downloaded without one.
+ *
+ * @param {string} fileName
+ * @param {string} text - file contents
+ * @returns {'csv'|'ofx'|'qif'}
+ */
+export function detectStatementFormat(fileName, text) {
+  const ext = (fileName || '').split('.').pop().toLowerCase()
+  if (ext === 'ofx' || ext === 'qfx') return 'ofx'
+  if (ext === 'qif') return 'qif'
+  const head = (text || '').slice(0, 2000)
+  if (/<OFX>/i.test(head) || /OFXHEADER/i.test(head)) return 'ofx'
+  if (/^!Type:/im.test(head)) return 'qif'
+  return 'csv'
+}
+
+// ============================================
+// Field parsing
+// ============================================
+
+/**
+ * Parse a statement amount. Handles thousands separators in either style
+ * ("1,234.56" and "1.234,56"), a bare decimal comma ("12,50"), currency
+ * symbols, a trailing minus and accounting parentheses for negatives.
+ *
+ * @returns {number|null} null when nothing numeric is there
+ */
+export function parseStatementAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  let raw = String(value ?? '').trim()
+  if (!raw) return null
+
+  let negative = false
+  if (/^\(.*\)$/.test(raw)) {
+    negative = true
+    raw = raw.slice(1, -1)
+  }
+  if (raw.endsWith('-')) {
+    negative = true
+    raw = raw.slice(0, -1)
+  }
+  raw = raw.replace(/[^0-9.,-]/g, '')
+  if (raw.startsWith('-')) {
+    negative = !negative
+    raw = raw.slice(1)
+  }
+  if (!raw) return null
+
+  const lastComma = raw.lastIndexOf(',')
+  const lastDot = raw.lastIndexOf('.')
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal one
+    raw =
+      lastComma > lastDot
+        ? raw.replace(/\./g, '').replace(',', '.')
+        : raw.replace(/,/g, '')
+  } else if (lastComma !== -1) {
+    // "1,250" and "1,234,567" group thousands, as does any run of several
+    // commas; only a lone comma without three digits after it ("12,50") is
+    // a decimal comma
+    const groups = raw.split(',')
+    const thousands =
+      groups.length > 2 || groups.slice(1).every((group) => /^\d{3}$/.test(group))
+    raw = thousands ? raw.replace(/,/g, '') : raw.replace(',', '.')
+  }
+
+  const parsed = parseFloat(raw)
+  if (Number.isNaN(parsed)) return null
+  return negative ? -parsed : parsed
+}
+
+function isoDate(year, month, day) {
+  const y = Number(year)
+  const m = Number(month)
+  const d = Number(day)
+  if (!y || m < 1 || m > 12 || d < 1 || d > 31) return null
+  const date = new Date(y, m - 1, d)
+  // Reject rollovers like 31/02 → 3 March
+  if (date.getMonth() !== m - 1 || date.getDate() !== d) return null
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(
+    d
+  ).padStart(2, '0')}`
+}
+
+function expandYear(year) {
+  const y = Number(year)
+  if (String(year).length > 2) return y
+  // Two-digit years: statements are recent, so 70–99 is last century
+  return y >= 70 ? 1900 + y : 2000 + y
+}
+
+/**
+ * Parse a statement date into 'YYYY-MM-DD'.
+ *
+ * Slash/dot/dash dates are ambiguous (03/04/2026), so `dateOrder` says how to
+ * read them: 'DMY', 'MDY', or 'auto' (day-first unless the second part can't
+ * be a month). ISO dates and compact OFX-style 'YYYYMMDD' are unambiguous.
+ *
+ * @param {string} value
+ * @param {'auto'|'DMY'|'MDY'} [dateOrder]
+ * @returns {string|null}
+ */
+export function parseStatementDate(value, dateOrder = 'auto') {
+  const raw = String(value ?? '').trim()
+  if (!raw) return null
+
+  let match = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (match) return isoDate(match[1], match[2], match[3])
+
+  match = raw.match(/^(\d{4})(\d{2})(\d{2})/)
+  if (match) return isoDate(match[1], match[2], match[3])
+
+  match = raw.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})/)
+  if (match) return isoDate(match[1], match[2], match[3])
+
+  // QIF writes years as 1/5'26 or 1/5/2026
+  match = raw.match(/^(\d{1,2})[/.\-\s](\d{1,2})[/.\-'\s]+(\d{2,4})/)
+  if (match) {
+    const [, a, b, y] = match
+    const year = expandYear(y)
+    let order = dateOrder
+    if (order === 'auto') {
+      order = Number(b) > 12 ? 'MDY' : 'DMY'
+    }
+    return order === 'MDY' ? isoDate(year, a, b) : isoDate(year, b, a)
+  }
+
+  const parsed = new Date(raw)
+  if (Number.isNaN(parsed.getTime())) return null
+  return isoDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate())
+}
+
+// ============================================
+// CSV
+// ============================================
+
+function detectDelimiter(text) {
+  const firstLine = (text || '').split(/\r?\n/).find((l) => l.trim()) || ''
+  const candidates = [',', ';', '\t', '|']
+  let best = ','
+  let bestCount = 0
+  candidates.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1
+    if (count > bestCount) {
+      best = delimiter
+      bestCount = count
+    }
+  })
+  return best
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, any line ending). The
+ * delimiter is sniffed from the first line, since European banks export with
+ * semicolons.
+ *
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export function parseCsv(text) {
+  const source = (text || '').replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(source)
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]
+    if (inQuotes) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          cell += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      inQuotes = true
+    } else if (ch === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  const nonEmpty = rows
+    .map((r) => r.map((c) => c.trim()))
+    .filter((r) => r.some((c) => c !== ''))
+  const [headers = [], ...body] = nonEmpty
+  return { headers, rows: body }
+}
+
+// Header words that give a column's role away, most specific first
+const COLUMN_HINTS = {
+  date: [/^date$/, /posted|posting|booking|transaction date|value date/, /date/],
+  description: [
+    /^description$/,
+    /payee|merchant|narrative|details|memo|reference|name/,
+    /description|text/,
+  ],
+  amount: [/^amount$/, /amount|value|sum/],
+  debit: [/debit|withdraw|paid out|money out|outflow/],
+  credit: [/credit|deposit|paid in|money in|inflow/],
+  account: [/account/],
+}
+
+/**
+ * Guess which column holds what from the header row. Any role may come back
+ * as -1; the wizard lets the user fix the guess. A statement with separate
+ * debit/credit columns maps those instead of a single signed amount.
+ *
+ * @param {string[]} headers
+ * @returns {{ date: number, description: number, amount: number,
+ *   debit: number, credit: number, account: number }}
+ */
+export function guessColumnMapping(headers) {
+  const lower = (headers || []).map((h) => String(h || '').toLowerCase())
+  const taken = new Set()
+  const find = (patterns) => {
+    for (const pattern of patterns) {
+      const index = lower.findIndex((h, i) => !taken.has(i) && pattern.test(h))
+      if (index !== -1) {
+        taken.add(index)
+        return index
+      }
+    }
+    return -1
+  }
+
+  const mapping = {
+    date: find(COLUMN_HINTS.date),
+    debit: find(COLUMN_HINTS.debit),
+    credit: find(COLUMN_HINTS.credit),
+    amount: -1,
+    description: -1,
+    account: -1,
+  }
+  mapping.amount = find(COLUMN_HINTS.amount)
+  mapping.account = find(COLUMN_HINTS.account)
+  mapping.description = find(COLUMN_HINTS.description)
+  return mapping
+}
+
+/**
+ * Turn mapped CSV rows into normalized entries. With debit/credit columns the
+ * sign comes from which one is filled; with a single amount column the sign is
+ * taken as-is (flip it with `invertAmounts` for banks that export spending as
+ * positive numbers).
+ *
+ * @param {string[][]} rows
+ * @param {Object} mapping - see guessColumnMapping
+ * @param {{ dateOrder?: string, invertAmounts?: boolean }} [options]
+ * @returns {Array<Object>} normalized entries
+ */
+export function mapCsvRows(rows, mapping, options = {}) {
+  const { dateOrder = 'auto', invertAmounts = false } = options
+  const cellAt = (row, index) => (index >= 0 ? row[index] ?? '' : '')
+
+  return (rows || []).map((row) => {
+    let amount = null
+    if (mapping.amount >= 0) {
+      amount = parseStatementAmount(cellAt(row, mapping.amount))
+      if (amount !== null && invertAmounts) amount = -amount
+    } else {
+      const debit = parseStatementAmount(cellAt(row, mapping.debit))
+      const credit = parseStatementAmount(cellAt(row, mapping.credit))
+      if (debit) amount = -Math.abs(debit)
+      else if (credit) amount = Math.abs(credit)
+    }
+    return {
+      date: parseStatementDate(cellAt(row, mapping.date), dateOrder),
+      amount,
+      description: cellAt(row, mapping.description),
+      account: cellAt(row, mapping.account),
+      externalId: null,
+    }
+  })
+}
+
+// ============================================
+// OFX / QFX
+// ============================================
+
+// OFX 1.x is SGML (unclosed leaf tags); 2.x is XML. Reading a leaf as "text up
+// to the next tag" handles both.
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))
+  return match ? match[1].trim() : ''
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Parse an OFX/QFX statement. The bank's FITID is kept as externalId; a FITID
+ * seen twice (overlapping statement ranges in one download) is read once.
+ *
+ * @returns {Array<Object>} normalized entries
+ */
+export function parseOfx(text) {
+  const source = text || ''
+  const entries = []
+  const seenIds = new Set()
+  const statementPattern = /<(?:STMTRS|CCSTMTRS)>([\s\S]*?)(?:<\/(?:STMTRS|CCSTMTRS)>|$)/gi
+  const statements = [...source.matchAll(statementPattern)].map((m) => m[1])
+  if (statements.length === 0) statements.push(source)
+
+  statements.forEach((statement) => {
+    const account = ofxValue(statement, 'ACCTID')
+    const transactions = statement.split(/<STMTTRN>/i).slice(1)
+    transactions.forEach((block) => {
+      const body = block.split(/<\/STMTTRN>/i)[0]
+      const externalId = ofxValue(body, 'FITID') || null
+      if (externalId) {
+        if (seenIds.has(`${account}:${externalId}`)) return
+        seenIds.add(`${account}:${externalId}`)
+      }
+      const name = decodeEntities(ofxValue(body, 'NAME'))
+      const memo = decodeEntities(ofxValue(body, 'MEMO'))
+      entries.push({
+        date: parseStatementDate(
+          ofxValue(body, 'DTPOSTED') || ofxValue(body, 'DTUSER')
+        ),
+        amount: parseStatementAmount(ofxValue(body, 'TRNAMT')),
+        description: [name, memo && memo !== name ? memo : '']
+          .filter(Boolean)
+          .join(' · '),
+        account,
+        externalId,
+      })
+    })
+  })
+  return entries
+}
+
+// ============================================
+// QIF
+// ============================================
+
+/**
+ * Parse a QIF file. Only bank/cash/card sections are read; investment and
+ * category-list sections have no single account amount to import.
+ *
+ * @param {string} text
+ * @param {'auto'|'DMY'|'MDY'} [dateOrder] - QIF dates are usually US order
+ * @returns {Array<Object>} normalized entries
+ */
+export function parseQif(text, dateOrder = 'MDY') {
+  const entries = []
+  let section = ''
+  let account = ''
+  let current = {}
+
+  const flush = () => {
+    if (current.date || current.amount !== undefined) {
+      entries.push({
+        date: parseStatementDate(current.date, dateOrder),
+        amount: parseStatementAmount(current.amount),
+        description: [current.payee, current.memo]
+          .filter(Boolean)
+          .join(' · '),
+        account,
+        externalId: null,
+      })
+    }
+    current = {}
+  }
+
+  ;(text || '').split(/\r?\n/).forEach((line) => {
+    if (!line) return
+    if (line.startsWith('!')) {
+      flush()
+      const header = line.toLowerCase()
+      if (header.startsWith('!type:')) section = header.slice(6).trim()
+      if (header === '!account') section = 'account'
+      return
+    }
+    const code = line[0]
+    const value = line.slice(1).trim()
+    if (section === 'account') {
+      if (code === 'N') account = value
+      if (code === '^') section = ''
+      return
+    }
+    if (!['bank', 'cash', 'ccard', 'oth a', 'oth l'].includes(section)) return
+    if (code === '^') flush()
+    else if (code === 'D') current.date = value
+    else if (code === 'T' || code === 'U') current.amount = value
+    else if (code === 'P') current.payee = value
+    else if (code === 'M') current.memo = value
+  })
+  flush()
+  return entries
+}
+
+// ============================================
+// Duplicate detection
+// ============================================
+
+function dayNumber(dateStr) {
+  const [y, m, d] = String(dateStr).split('T')[0].split('-').map(Number)
+  if (!y || !m || !d) return null
+  return Math.round(Date.UTC(y, m - 1, d) / 86400000)
+}
+
+// Stored dates are timestamps; the statement's are the user's local days, so
+// compare against the local day a transaction falls on, not its UTC one
+const storedDayNumber = (date) => dayNumber(format(parseISO(date), 'yyyy-MM-dd'))
+
+/**
+ * Flag imported entries that probably already exist: same account, same
+ * amount and direction, dated within ±windowDays. Each existing transaction
+ * can vouch for one entry only, so two identical coffees on the statement
+ * aren't both hidden behind the one the user typed in.
+ *
+ * @param {Array<Object>} entries - normalized entries, each with `accountId`
+ * @param {Array<Object>} transactions - existing transactions (store rows)
+ * @param {{ windowDays?: number }} [options]
+ * @returns {Map<number, Object>} entry index -> the matching transaction
+ */
+export function findLikelyDuplicates(entries, transactions, options = {}) {
+  const { windowDays = DEFAULT_DUPLICATE_WINDOW_DAYS } = options
+  const byAccount = new Map()
+  ;(transactions || []).forEach((txn) => {
+    if (txn.deleted_at || txn.status === 'Cancelled') return
+    let rows = byAccount.get(txn.account_id)
+    if (!rows) {
+      rows = []
+      byAccount.set(txn.account_id, rows)
+    }
+    rows.push(txn)
+  })
+
+  const claimed = new Set()
+  const duplicates = new Map()
+  ;(entries || []).forEach((entry, index) => {
+    if (!entry.accountId || entry.amount === null || !entry.date) return
+    const entryDay = dayNumber(entry.date)
+    const outflow = entry.amount < 0
+    const magnitude = Math.round(Math.abs(entry.amount) * 100)
+    let best = null
+    let bestDistance = Infinity
+    ;(byAccount.get(entry.accountId) || []).forEach((txn) => {
+      if (claimed.has(txn.transaction_id)) return
+      const txnOutflow = txn.type === 'Expense' || txn.type === 'Transfer Out'
+      if (txnOutflow !== outflow) return
+      if (Math.round(Math.abs(parseFloat(txn.amount)) * 100) !== magnitude) return
+      const distance = Math.abs(storedDayNumber(txn.date) - entryDay)
+      if (distance <= windowDays && distance < bestDistance) {
+        best = txn
+        bestDistance = distance
+      }
+    })
+    if (best) {
+      claimed.add(best.transaction_id)
+      duplicates.set(index, best)
+    }
+  })
+  return duplicates
+}
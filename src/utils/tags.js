@@ -0,0 +1,22 @@
+// Tags are stored lower-case with runs of spaces as single hyphens, so
+// "Trip Berlin" and "trip-berlin" are the same tag. Rules add tags in the edge
+// function too, so the normalizer is shared with it.
+export {
+  normalizeTagName,
+  normalizeTagNames,
+} from '../../supabase/functions/_shared/categorizationRules.js'
+
+/**
+ * Tag ids per transaction from the join rows.
+ * @param {Array<{transaction_id, tag_id}>} transactionTags
+ * @returns {Map<string, string[]>}
+ */
+export function buildTagIdsByTransaction(transactionTags) {
+  const index = new Map()
+  ;(transactionTags || []).forEach(({ transaction_id, tag_id }) => {
+    const ids = index.get(transaction_id)
+    if (ids) ids.push(tag_id)
+    else index.set(transaction_id, [tag_id])
+  })
+  return index
+}
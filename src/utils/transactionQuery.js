@@ -0,0 +1,116 @@
+import { addDays, format, parseISO } from 'date-fns'
+import {
+  parseTransactionQuery,
+  resolveTransactionQuery,
+} from '../../supabase/functions/_shared/transactionQuery.js'
+import { TRANSACTION_STATUSES, TRANSACTION_TYPES } from '../lib/api/transactions'
+
+// The grammar itself lives with the edge functions so quick-expense can load
+// it too; see that file for the syntax
+export {
+  matchesTransactionQuery,
+  parseTransactionQuery,
+  resolveTransactionQuery,
+} from '../../supabase/functions/_shared/transactionQuery.js'
+
+// Setting that holds the user's saved searches, as JSON [{ name, query }]
+export const SAVED_SEARCHES_SETTING_KEY = 'SavedTransactionSearches'
+
+export const EMPTY_TRANSACTION_FILTERS = {
+  accountId: '',
+  categoryId: '',
+  tagId: '',
+  type: '',
+  status: '',
+  startDate: '',
+  endDate: '',
+}
+
+const shiftDay = (day, days) => format(addDays(parseISO(day), days), 'yyyy-MM-dd')
+
+const canonical = (list, value) =>
+  list.find((item) => item.toLowerCase() === String(value).trim().toLowerCase())
+
+// Move a condition into the matching Filters-panel field when it says exactly
+// what that field can: one id, a known type or status, a date bound. Returns
+// false when it has to stay a condition.
+function placeInFilters(filters, condition) {
+  const { field, op, value, ids } = condition
+  switch (field) {
+    case 'account':
+    case 'tag':
+    case 'category': {
+      const key = `${field}Id`
+      if (ids.length !== 1 || filters[key]) return false
+      filters[key] = ids[0]
+      return true
+    }
+    case 'type':
+    case 'status': {
+      const match = canonical(field === 'type' ? TRANSACTION_TYPES : TRANSACTION_STATUSES, value)
+      if (!match || filters[field]) return false
+      filters[field] = match
+      return true
+    }
+    case 'date': {
+      const bounds = {
+        ':': [value, value],
+        '>=': [value, ''],
+        '>': [shiftDay(value, 1), ''],
+        '<=': ['', value],
+        '<': ['', shiftDay(value, -1)],
+        range: [value.min || '', value.max || ''],
+      }[op]
+      const [start, end] = bounds
+      if ((start && filters.startDate) || (end && filters.endDate)) return false
+      if (start) filters.startDate = start
+      if (end) filters.endDate = end
+      return true
+    }
+    default:
+      return false
+  }
+}
+
+/**
+ * Read a search query into the Transactions page's filter state. Terms the
+ * Filters panel can show (one account, category or tag, a type, a status, a
+ * date range) fill its fields, so the panel reflects the search; everything
+ * else comes back as `conditions` for applyTransactionFilters. Every field not
+ * mentioned is cleared: a query describes the whole search.
+ *
+ * @param {string} text
+ * @param {{ accounts: Array, categories: Array, tags: Array }} lookups
+ * @returns {{ filters: Object, conditions: Array, errors: string[] }}
+ */
+export function queryToTransactionFilters(text, lookups) {
+  const parsed = parseTransactionQuery(text)
+  const resolved = resolveTransactionQuery(parsed.terms, lookups)
+  const filters = { ...EMPTY_TRANSACTION_FILTERS }
+  const conditions = resolved.conditions.filter(
+    (condition) => condition.negated || !placeInFilters(filters, condition)
+  )
+  return { filters, conditions, errors: [...parsed.errors, ...resolved.errors] }
+}
+
+/**
+ * The saved searches held in settings, oldest first. Anything unreadable is
+ * dropped rather than thrown: the setting is only ever written by the app.
+ *
+ * @param {Array} settings - settings rows
+ * @returns {Array<{ name: string, query: string }>}
+ */
+export function getSavedSearches(settings) {
+  const raw = (settings || []).find(
+    (setting) => setting.setting_key === SAVED_SEARCHES_SETTING_KEY
+  )?.setting_value
+  if (!raw) return []
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed)
+      ? parsed.filter((entry) => entry && typeof entry.name === 'string' && typeof entry.query === 'string')
+      : []
+  } catch {
+    return []
+  }
+}
@@ -0,0 +1,98 @@
+// A split transaction is one payment against an account whose amount is
+// spread across several categories. The row keeps its full amount; `splits`
+// holds the category lines ([{ category_id, amount, description }]) and
+// category_id is set to the largest line so anything that reads a single
+// category still has one. The database checks the lines (migration 020).
+
+// Only income and expenses carry categories that can be split
+export const SPLITTABLE_TYPES = ['Income', 'Expense']
+
+// A blank line as the form holds it (the amount is typed text)
+export const EMPTY_SPLIT_LINE = { categoryId: '', amount: '', description: '' }
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+export function isSplit(txn) {
+  return Array.isArray(txn?.splits) && txn.splits.length > 0
+}
+
+/**
+ * The category lines a transaction counts toward: its split lines, or the
+ * whole amount against its one category.
+ * @param {Object} txn - transaction row
+ * @returns {Array<{ categoryId: string, amount: number, description: string }>}
+ */
+export function categoryLines(txn) {
+  if (!isSplit(txn)) {
+    return [
+      {
+        categoryId: txn.category_id,
+        amount: Math.abs(parseFloat(txn.amount || 0)),
+        description: txn.description || '',
+      },
+    ]
+  }
+  return txn.splits.map((line) => ({
+    categoryId: line.category_id,
+    amount: Math.abs(parseFloat(line.amount || 0)),
+    description: line.description || '',
+  }))
+}
+
+/**
+ * How a row names its category: a split reads as its main category plus how
+ * many others share it ("Groceries +2").
+ * @param {Object} txn
+ * @param {Function} getCategoryName - (category_id) => string
+ */
+export function categoryLabel(txn, getCategoryName) {
+  const name = getCategoryName(txn.category_id)
+  return isSplit(txn) ? `${name} +${txn.splits.length - 1}` : name
+}
+
+/**
+ * The category a split is filed under as a whole: its largest line (the
+ * first of equals). Takes form lines ({ categoryId, amount }).
+ */
+export function primarySplitCategory(lines) {
+  let primary = null
+  ;(lines || []).forEach((line) => {
+    const amount = parseFloat(line.amount) || 0
+    if (!primary || amount > primary.amount) {
+      primary = { categoryId: line.categoryId, amount }
+    }
+  })
+  return primary?.categoryId || ''
+}
+
+/**
+ * What is left to assign: the total less the lines, to the cent. Positive
+ * means under-allocated.
+ */
+export function splitRemainder(total, lines) {
+  const allocated = (lines || []).reduce(
+    (sum, line) => sum + (parseFloat(line.amount) || 0),
+    0
+  )
+  return round2((parseFloat(total) || 0) - allocated)
+}
+
+// Form lines (camelCase) to the JSON stored on the row
+export function toSplitRows(lines) {
+  if (!lines?.length) return null
+  return lines.map((line) => ({
+    category_id: line.categoryId,
+    amount: round2(parseFloat(line.amount) || 0),
+    description: (line.description || '').trim(),
+  }))
+}
+
+// Stored lines back to form lines
+export function fromSplitRows(splits) {
+  if (!Array.isArray(splits)) return []
+  return splits.map((line) => ({
+    categoryId: line.category_id || '',
+    amount: parseFloat(line.amount) || 0,
+    description: line.description || '',
+  }))
+}
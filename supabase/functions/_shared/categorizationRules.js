@@ -0,0 +1,138 @@
+/**
+ * Matching and applying categorisation rules (see migration 022).
+ *
+ * This one file is loaded by both the app (through
+ * src/utils/categorizationRules.js) and the quick-expense edge function, so a
+ * rule does the same thing to a transaction wherever it's entered. It has no
+ * imports so that Deno can load it as it stands.
+ *
+ * A rule's conditions are ANDed; the ones left empty don't take part. Rules
+ * run in priority order (lowest first, then oldest), and each action comes
+ * from the first matching rule that has one, so a specific rule placed above
+ * a broad one wins. Tags from every matching rule add up.
+ *
+ * A "subject" is { description, amount, accountId, entityName, type }: the
+ * fields a rule can look at, in the camelCase the create calls use.
+ */
+
+/**
+ * A tag name as stored: trimmed, lower case, spaces as hyphens.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTagName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+}
+
+/**
+ * Distinct, normalized names from free-form input, in the order given.
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export function normalizeTagNames(names) {
+  const seen = new Set()
+  const result = []
+  for (const name of names || []) {
+    const normalized = normalizeTagName(name)
+    if (!normalized || seen.has(normalized)) continue
+    seen.add(normalized)
+    result.push(normalized)
+  }
+  return result
+}
+
+// Compiled description tests, per rule row. A pattern that doesn't compile
+// never matches (the rule form refuses to save one).
+const patternCache = new WeakMap()
+
+function descriptionTest(rule) {
+  if (patternCache.has(rule)) return patternCache.get(rule)
+  const pattern = String(rule.description_pattern || '').trim()
+  let test = null
+  if (pattern) {
+    if (rule.description_match === 'regex') {
+      try {
+        const regex = new RegExp(pattern, 'i')
+        test = (text) => regex.test(text)
+      } catch {
+        test = () => false
+      }
+    } else {
+      const needle = pattern.toLowerCase()
+      test = (text) => text.toLowerCase().includes(needle)
+    }
+  }
+  patternCache.set(rule, test)
+  return test
+}
+
+/**
+ * Whether a rule's conditions all hold for a transaction.
+ * @param {Object} rule - categorization_rules row
+ * @param {Object} subject
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, subject) {
+  if (subject.type !== rule.transaction_type) return false
+  if (rule.account_id && subject.accountId !== rule.account_id) return false
+
+  const amount = Number(subject.amount)
+  if (rule.amount_min !== null && rule.amount_min !== undefined) {
+    if (!(amount >= Number(rule.amount_min))) return false
+  }
+  if (rule.amount_max !== null && rule.amount_max !== undefined) {
+    if (!(amount <= Number(rule.amount_max))) return false
+  }
+
+  const entity = String(rule.entity_name || '').trim().toLowerCase()
+  if (entity && String(subject.entityName || '').trim().toLowerCase() !== entity) {
+    return false
+  }
+
+  const test = descriptionTest(rule)
+  if (test && !test(String(subject.description || ''))) return false
+
+  return true
+}
+
+export function sortRules(rules) {
+  return [...(rules || [])].sort(
+    (a, b) =>
+      (a.priority || 0) - (b.priority || 0) ||
+      String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  )
+}
+
+/**
+ * What the active rules would do to a transaction.
+ *
+ * @param {Array} rules - categorization_rules rows, any order
+ * @param {Object} subject
+ * @returns {{ categoryId: string|null, description: string|null,
+ *   tags: string[], ruleIds: string[] }} null fields mean "leave as is"
+ */
+export function applyRules(rules, subject) {
+  const result = { categoryId: null, description: null, tags: [], ruleIds: [] }
+  for (const rule of sortRules(rules)) {
+    if (rule.status !== 'Active' || !ruleMatches(rule, subject)) continue
+    let used = false
+    if (!result.categoryId && rule.set_category_id) {
+      result.categoryId = rule.set_category_id
+      used = true
+    }
+    const rewrite = String(rule.set_description || '').trim()
+    if (result.description === null && rewrite) {
+      result.description = rewrite
+      used = true
+    }
+    if (rule.add_tags?.length) {
+      result.tags = normalizeTagNames([...result.tags, ...rule.add_tags])
+      used = true
+    }
+    if (used) result.ruleIds.push(rule.rule_id)
+  }
+  return result
+}
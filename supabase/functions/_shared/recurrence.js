@@ -0,0 +1,179 @@
+/**
+ * Schedules for recurring transactions (see migration 018).
+ *
+ * This one file is loaded by both the app (through src/utils/recurrence.js)
+ * and the quick-expense edge function, so a template posts on the same dates
+ * whichever of them runs it. It has no imports so that Deno can load it as it
+ * stands, which is why the date arithmetic is done by hand.
+ *
+ * A schedule is a numbered list of slots counted from start_date: slot 0 is
+ * the first occurrence, slot k is k * interval_count days/weeks/months/years
+ * later. Each slot is computed from the start rather than from the previous
+ * slot, so "the 31st" stays the 31st after a short month instead of drifting
+ * to the 28th. Dates are plain 'yyyy-MM-dd' strings in local time.
+ *
+ * A template's occurrences_done is the number of the next slot to post, and
+ * next_due_date is that slot's date (null once the series is over).
+ */
+
+// A generator run posts at most this many slots per template, so a daily
+// series left alone for years can't flood the account in one go
+export const MAX_CATCH_UP = 366
+
+const pad2 = (n) => String(n).padStart(2, '0')
+
+export const toDateString = (date) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`
+
+export const todayString = () => toDateString(new Date())
+
+// Local midnight of a 'yyyy-MM-dd' day
+const parseDay = (day) => {
+  const [year, month, date] = String(day).slice(0, 10).split('-').map(Number)
+  return new Date(year, month - 1, date)
+}
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate()
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+// Same day of the month `months` later, or that month's last day if it's shorter
+function addMonths(date, months) {
+  const year = date.getFullYear()
+  const month = date.getMonth() + months
+  return new Date(year, month, Math.min(date.getDate(), daysInMonth(year, month)))
+}
+
+export const isNthWeekday = (rule) =>
+  rule.frequency === 'Monthly' &&
+  rule.by_weekday !== null &&
+  rule.by_weekday !== undefined &&
+  rule.by_week_of_month !== null &&
+  rule.by_week_of_month !== undefined
+
+// The nth (1-5) or last (-1) given weekday of a month. A fifth weekday that
+// the month doesn't have falls back to the last one.
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(year, month + 1, 0)
+    return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7))
+  }
+  const first = new Date(year, month, 1)
+  const day = 1 + ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7
+  if (day > daysInMonth(year, month)) return nthWeekdayOfMonth(year, month, weekday, -1)
+  return new Date(year, month, day)
+}
+
+/**
+ * Date of slot `index` of a schedule.
+ *
+ * @param {Object} rule - template row (frequency, interval_count, start_date, by_*)
+ * @param {number} index - 0-based slot number
+ * @returns {string} 'yyyy-MM-dd'
+ */
+export function occurrenceAt(rule, index) {
+  const start = parseDay(rule.start_date)
+  const step = (Number(rule.interval_count) || 1) * index
+
+  switch (rule.frequency) {
+    case 'Daily':
+      return toDateString(addDays(start, step))
+    case 'Weekly':
+      return toDateString(addDays(start, step * 7))
+    case 'Monthly': {
+      if (!isNthWeekday(rule)) return toDateString(addMonths(start, step))
+      const inMonth = (offset) =>
+        nthWeekdayOfMonth(
+          start.getFullYear(),
+          start.getMonth() + offset,
+          Number(rule.by_weekday),
+          Number(rule.by_week_of_month)
+        )
+      // Slot 0 is the first matching weekday on or after the start date
+      const skipFirst = inMonth(0) < start ? 1 : 0
+      return toDateString(inMonth(skipFirst + step))
+    }
+    case 'Yearly':
+      return toDateString(addMonths(start, step * 12))
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`)
+  }
+}
+
+/**
+ * Whether slot `index` lies beyond the end of the series (past end_date or
+ * max_occurrences).
+ */
+export function isPastEnd(rule, index) {
+  if (rule.max_occurrences && index >= Number(rule.max_occurrences)) return true
+  if (rule.end_date && occurrenceAt(rule, index) > rule.end_date) return true
+  return false
+}
+
+/**
+ * Date of slot `index`, or null when the series has ended by then.
+ */
+export function dueDateAt(rule, index) {
+  return isPastEnd(rule, index) ? null : occurrenceAt(rule, index)
+}
+
+/**
+ * What slot `date` of a template posts: the template's amount and
+ * description with that date's exception applied.
+ *
+ * @returns {{ date: string, amount: number, description: string, skipped: boolean, posted: boolean, edited: boolean }}
+ */
+export function occurrenceDetails(rule, date) {
+  const exception = rule.exceptions?.[date] || {}
+  return {
+    date,
+    amount: parseFloat(exception.amount ?? rule.amount) || 0,
+    description: exception.description ?? rule.description ?? '',
+    skipped: !!exception.skip,
+    posted: !!exception.posted,
+    edited: exception.amount !== undefined || exception.description !== undefined,
+  }
+}
+
+/**
+ * Work out one generator run for a template: which slots are due on or
+ * before `today`, which of those to post (skipped and already-posted ones
+ * are passed over), and the template's state afterwards. Exceptions for
+ * slots that are now behind the schedule are dropped.
+ *
+ * @returns {{ toPost: Array<Object>, updates: Object|null }} updates is null
+ *   when nothing is due
+ */
+export function planDueOccurrences(rule, today) {
+  let index = Number(rule.occurrences_done) || 0
+  const start = index
+  const toPost = []
+
+  while (index - start < MAX_CATCH_UP && !isPastEnd(rule, index)) {
+    const date = occurrenceAt(rule, index)
+    if (date > today) break
+    const details = occurrenceDetails(rule, date)
+    if (!details.skipped && !details.posted) toPost.push(details)
+    index += 1
+  }
+
+  if (index === start) return { toPost, updates: null }
+
+  const nextDueDate = dueDateAt(rule, index)
+  const exceptions = Object.fromEntries(
+    Object.entries(rule.exceptions || {}).filter(
+      ([date]) => nextDueDate && date >= nextDueDate
+    )
+  )
+
+  return {
+    toPost,
+    updates: {
+      occurrences_done: index,
+      next_due_date: nextDueDate,
+      status: nextDueDate ? rule.status : 'Ended',
+      exceptions,
+    },
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Transaction search queries, for example
+ *
+ *   amount>50 category:Food account:"Main Wallet" after:2026-01-01 -description:refund tag:trip
+ *
+ * This one file is loaded by both the Transactions page (through
+ * src/utils/transactionQuery.js) and the quick-expense edge function's
+ * searchTransactions action, so a query finds the same rows in both. It has
+ * no imports so that Deno can load it as it stands.
+ *
+ * A query is a list of terms separated by spaces, and a row must satisfy every
+ * term. `field:value` tests one field; amount and date also take =, >, >=, <
+ * and <=, or a range written `from..to`. A leading `-` negates a term, double
+ * quotes keep spaces in a value, and a bare word or quoted phrase matches the
+ * description or the category name (a parent's name finds its children's
+ * rows too).
+ *
+ * Three steps: parseTransactionQuery turns the text into terms,
+ * resolveTransactionQuery swaps names for ids using the user's accounts,
+ * categories and tags, and matchesTransactionQuery tests a row.
+ */
+
+const FIELD_ALIASES = {
+  amount: 'amount',
+  amt: 'amount',
+  category: 'category',
+  cat: 'category',
+  account: 'account',
+  acct: 'account',
+  tag: 'tag',
+  type: 'type',
+  status: 'status',
+  currency: 'currency',
+  description: 'description',
+  desc: 'description',
+  date: 'date',
+  on: 'date',
+  after: 'date',
+  before: 'date',
+  is: 'is',
+}
+
+// after: and before: are date> and date< by another name
+const IMPLIED_OPS = { after: '>', before: '<' }
+
+const COMPARABLE_FIELDS = new Set(['amount', 'date'])
+const NAMED_FIELDS = { account: 'accounts', category: 'categories', tag: 'tags' }
+const IS_VALUES = new Set(['split'])
+
+// [-][field op](quoted value | bare value)
+const TERM_PATTERN = /(-?)(?:([a-z]+)(>=|<=|:|=|>|<))?(?:"([^"]*)"?|(\S+))/gi
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const isValidDate = (value) =>
+  DATE_PATTERN.test(value) &&
+  !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime()) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+
+function parseComparable(field, value) {
+  if (field === 'amount') {
+    const number = Number(value.replace(/,/g, ''))
+    return value !== '' && Number.isFinite(number) ? number : null
+  }
+  return isValidDate(value) ? value : null
+}
+
+/**
+ * Split query text into terms. Never throws: a term that can't be read is
+ * left out and described in `errors`, and `field:value` with a field this
+ * grammar doesn't know is searched for as text (so "12:30" still works).
+ *
+ * @param {string} text
+ * @returns {{ terms: Array<{ field: string, op: string, value: *, negated: boolean }>, errors: string[] }}
+ *   field is 'text' for bare words; op is one of : > >= < <= or 'range'
+ *   (value then being { min, max }); '=' is read as ':'
+ */
+export function parseTransactionQuery(text) {
+  const terms = []
+  const errors = []
+
+  for (const match of String(text || '').matchAll(TERM_PATTERN)) {
+    const [raw, dash, rawField, rawOp, quoted, bare] = match
+    const value = (quoted ?? bare ?? '').trim()
+    const negated = dash === '-'
+    const keyword = rawField?.toLowerCase()
+    const field = keyword ? FIELD_ALIASES[keyword] : undefined
+
+    if (!field) {
+      const words = (rawField ? `${rawField}${rawOp}${value}` : value).trim()
+      if (words && words !== '-') {
+        terms.push({ field: 'text', op: ':', value: words.toLowerCase(), negated })
+      }
+      continue
+    }
+
+    if (!value) {
+      errors.push(`"${raw.trim()}" needs a value`)
+      continue
+    }
+
+    const op = IMPLIED_OPS[keyword] || (rawOp === '=' ? ':' : rawOp)
+    if (IMPLIED_OPS[keyword] && rawOp !== ':') {
+      errors.push(`Write ${keyword}:${value}, not ${keyword}${rawOp}${value}`)
+      continue
+    }
+
+    if (COMPARABLE_FIELDS.has(field)) {
+      const range = op === ':' && value.includes('..') ? value.split('..') : null
+      if (range) {
+        const [min, max] = range.map((part) =>
+          part === '' ? undefined : parseComparable(field, part)
+        )
+        if (min === null || max === null || range.length !== 2 || (min === undefined && max === undefined)) {
+          errors.push(`"${raw.trim()}" isn't a valid ${field} range`)
+          continue
+        }
+        terms.push({ field, op: 'range', value: { min, max }, negated })
+        continue
+      }
+      const parsed = parseComparable(field, value)
+      if (parsed === null) {
+        errors.push(
+          field === 'date'
+            ? `"${value}" isn't a date; use YYYY-MM-DD`
+            : `"${value}" isn't an amount`
+        )
+        continue
+      }
+      terms.push({ field, op, value: parsed, negated })
+      continue
+    }
+
+    if (op !== ':') {
+      errors.push(`${field} can't be compared with ${rawOp}`)
+      continue
+    }
+    if (field === 'is' && !IS_VALUES.has(value.toLowerCase())) {
+      errors.push(`Unknown is:${value}; try is:split`)
+      continue
+    }
+    terms.push({ field, op, value: field === 'is' ? value.toLowerCase() : value, negated })
+  }
+
+  return { terms, errors }
+}
+
+const sameName = (a, b) =>
+  String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase()
+
+// Tags are stored lower-case and hyphenated, so tag:"Trip Berlin" finds
+// trip-berlin
+const sameTagName = (a, b) => sameName(
+  String(a || '').trim().replace(/\s+/g, '-'),
+  String(b || '').trim().replace(/\s+/g, '-')
+)
+
+function categoryWithDescendants(ids, categories) {
+  const result = new Set(ids)
+  let grew = true
+  while (grew) {
+    grew = false
+    for (const category of categories) {
+      if (
+        category.parent_category_id &&
+        result.has(category.parent_category_id) &&
+        !result.has(category.category_id)
+      ) {
+        result.add(category.category_id)
+        grew = true
+      }
+    }
+  }
+  return [...result]
+}
+
+/**
+ * Swap the names in account:, category: and tag: terms for ids. Names match
+ * whole and ignore case; a category also takes in its subcategories. A name
+ * that matches nothing is reported in `errors` and its term kept with no ids,
+ * so the search finds nothing rather than quietly ignoring it.
+ *
+ * @param {Array} terms - from parseTransactionQuery
+ * @param {{ accounts?: Array, categories?: Array, tags?: Array }} lookups - rows as stored
+ * @returns {{ conditions: Array, errors: string[] }} terms with `ids` added where named
+ */
+export function resolveTransactionQuery(terms, { accounts = [], categories = [], tags = [] } = {}) {
+  const lists = { accounts, categories, tags }
+  const errors = []
+
+  const conditions = terms.map((term) => {
+    const listName = NAMED_FIELDS[term.field]
+    if (!listName) return term
+
+    const idKey = `${term.field}_id`
+    const matchesName = term.field === 'tag' ? sameTagName : sameName
+    const named = lists[listName].filter((row) => matchesName(row.name, term.value))
+    let ids = named.map((row) => row[idKey])
+    if (term.field === 'category') ids = categoryWithDescendants(ids, categories)
+    if (ids.length === 0) errors.push(`No ${term.field} named "${term.value}"`)
+    return { ...term, ids }
+  })
+
+  return { conditions, errors }
+}
+
+const txnDay = (txn) => String(txn.date || '').slice(0, 10)
+
+function compare(actual, op, value) {
+  switch (op) {
+    case '>': return actual > value
+    case '>=': return actual >= value
+    case '<': return actual < value
+    case '<=': return actual <= value
+    case 'range':
+      return (value.min === undefined || actual >= value.min) &&
+        (value.max === undefined || actual <= value.max)
+    default: return actual === value
+  }
+}
+
+function categoryNameMatches(categoryId, text, categoryById) {
+  let category = categoryById?.get(categoryId)
+  // The depth guard only matters if a bad row ever makes a loop
+  for (let depth = 0; category && depth < 50; depth++) {
+    if (String(category.name || '').toLowerCase().includes(text)) return true
+    category = category.parent_category_id
+      ? categoryById.get(category.parent_category_id)
+      : null
+  }
+  return false
+}
+
+function conditionHolds(txn, condition, context) {
+  const { field, op, value } = condition
+  switch (field) {
+    case 'text':
+      return String(txn.description || '').toLowerCase().includes(value) ||
+        categoryNameMatches(txn.category_id, value, context.categoryById)
+    case 'description':
+      return String(txn.description || '').toLowerCase().includes(value.toLowerCase())
+    case 'amount':
+      return compare(Math.abs(Number(txn.amount) || 0), op, value)
+    case 'date':
+      return compare(txnDay(txn), op, value)
+    case 'account':
+      return condition.ids.includes(txn.account_id)
+    case 'category':
+      // A split row counts under each of its lines' categories
+      return condition.ids.includes(txn.category_id) ||
+        (txn.splits || []).some((line) => condition.ids.includes(line.category_id))
+    case 'tag':
+      return (context.tagIds || []).some((id) => condition.ids.includes(id))
+    case 'type':
+    case 'status':
+    case 'currency':
+      return sameName(txn[field], value)
+    case 'is':
+      return value === 'split' && Array.isArray(txn.splits) && txn.splits.length > 0
+    default:
+      return true
+  }
+}
+
+/**
+ * Does a transaction satisfy every condition?
+ *
+ * @param {Object} txn - a transactions row
+ * @param {Array} conditions - from resolveTransactionQuery
+ * @param {{ tagIds?: string[], categoryById?: Map }} [context] - the row's tag
+ *   ids, and categories by id for bare-word matches on category names
+ * @returns {boolean}
+ */
+export function matchesTransactionQuery(txn, conditions, context = {}) {
+  return conditions.every(
+    (condition) => conditionHolds(txn, condition, context) !== condition.negated
+  )
+}
@@ -0,0 +1,56 @@
+// Relays the ECB's daily reference rates to the app. The ECB sends no CORS
+// headers, so a browser can't read its XML directly; this function fetches it
+// server-side and answers with the same XML, readable from any origin. The
+// rates are public, so no key is asked for (see supabase/config.toml).
+
+const ECB_DAILY_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+const TIMEOUT_MS = 15000;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, apikey, content-type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+function errorResponse(message: string, status: number) {
+  return new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+  if (req.method !== 'GET') {
+    return errorResponse('Method not allowed', 405);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(ECB_DAILY_URL, { signal: controller.signal });
+    if (!response.ok) {
+      return errorResponse(`The ECB answered ${response.status}`, 502);
+    }
+    return new Response(await response.text(), {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/xml',
+        // The ECB publishes once a working day, around 16:00 CET
+        'Cache-Control': 'public, max-age=3600',
+      },
+    });
+  } catch (error) {
+    console.error('ECB fetch failed:', error);
+    return errorResponse(
+      error instanceof Error && error.name === 'AbortError'
+        ? 'The ECB took too long to answer'
+        : 'Could not reach the ECB',
+      502,
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+});
@@ -1,4 +1,11 @@
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import {
+  matchesTransactionQuery,
+  parseTransactionQuery,
+  resolveTransactionQuery,
+} from '../_shared/transactionQuery.js';
+import { applyRules } from '../_shared/categorizationRules.js';
+import { planDueOccurrences, todayString } from '../_shared/recurrence.js';
 
 // Generate ID matching the frontend pattern: PREFIX_timestamp_random
 function generateId(prefix: string): string {
@@ -9,6 +16,158 @@ function generateId(prefix: string): string {
   return `${prefix}_${timestamp}_${random}`;
 }
 
+// Active rules in running order
+async function getActiveRules(supabase: any, userId: string) {
+  const { data, error } = await supabase
+    .from('categorization_rules')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'Active')
+    .order('priority', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Tag saved transactions with what the rules added. Failures are logged, not
+// returned: the transactions are already in.
+async function tagTransactions(
+  supabase: any,
+  userId: string,
+  entries: { transactionId: string; names: string[] }[],
+) {
+  const tagged = entries.filter((entry) => entry.names.length > 0);
+  if (tagged.length === 0) return;
+
+  try {
+    const wanted = [...new Set(tagged.flatMap((entry) => entry.names))];
+    const { data: existing, error } = await supabase
+      .from('tags')
+      .select('tag_id, name')
+      .eq('user_id', userId)
+      .in('name', wanted);
+    if (error) throw error;
+
+    const idsByName = new Map(
+      (existing || []).map((tag: any) => [tag.name, tag.tag_id]),
+    );
+    const missing = wanted
+      .filter((name) => !idsByName.has(name))
+      .map((name) => ({ tag_id: generateId('TAG'), user_id: userId, name }));
+    if (missing.length > 0) {
+      const { data: created, error: insertError } = await supabase
+        .from('tags')
+        .insert(missing)
+        .select('tag_id, name');
+      if (insertError) throw insertError;
+      (created || []).forEach((tag: any) => idsByName.set(tag.name, tag.tag_id));
+    }
+
+    const rows = tagged.flatMap(({ transactionId, names }) =>
+      names
+        .filter((name) => idsByName.has(name))
+        .map((name) => ({
+          transaction_id: transactionId,
+          tag_id: idsByName.get(name),
+          user_id: userId,
+        })),
+    );
+    const { error: linkError } = await supabase
+      .from('transaction_tags')
+      .upsert(rows, {
+        onConflict: 'transaction_id,tag_id',
+        ignoreDuplicates: true,
+      });
+    if (linkError) throw linkError;
+  } catch (error) {
+    console.error('Failed to tag transactions from rules:', error);
+  }
+}
+
+// Transaction search, with the query grammar the Transactions page uses
+// (supabase/functions/_shared/transactionQuery.js). The date terms narrow the
+// fetch; every term is then checked here, exactly as the app checks it.
+const SEARCH_PAGE_SIZE = 1000;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 500;
+
+const nextDay = (day: string) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// The narrowest [from, to] day span the query's date terms allow
+function searchDateWindow(conditions: any[]) {
+  let from: string | null = null;
+  let to: string | null = null;
+  for (const { field, op, value, negated } of conditions) {
+    if (field !== 'date' || negated) continue;
+    const lower = op === 'range' ? value.min : ['>', '>=', ':'].includes(op) ? value : null;
+    const upper = op === 'range' ? value.max : ['<', '<=', ':'].includes(op) ? value : null;
+    if (lower && (!from || lower > from)) from = lower;
+    if (upper && (!to || upper < to)) to = upper;
+  }
+  return { from, to };
+}
+
+async function searchTransactions(supabase: any, userId: string, query: string) {
+  const { terms, errors: parseErrors } = parseTransactionQuery(query);
+
+  const lookup = (table: string, columns: string) =>
+    supabase.from(table).select(columns).eq('user_id', userId);
+  const [accountsResult, categoriesResult, tagsResult] = await Promise.all([
+    lookup('accounts', 'account_id, name'),
+    lookup('categories', 'category_id, name, parent_category_id'),
+    lookup('tags', 'tag_id, name'),
+  ]);
+  const lookupError = accountsResult.error || categoriesResult.error || tagsResult.error;
+  if (lookupError) throw lookupError;
+
+  const accounts = accountsResult.data || [];
+  const categories = categoriesResult.data || [];
+  const { conditions, errors: resolveErrors } = resolveTransactionQuery(terms, {
+    accounts,
+    categories,
+    tags: tagsResult.data || [],
+  });
+  const errors = [...parseErrors, ...resolveErrors];
+  if (errors.length > 0) return { errors, matches: [], accounts, categories };
+
+  const { from, to } = searchDateWindow(conditions);
+  const categoryById = new Map(categories.map((c: any) => [c.category_id, c]));
+  const matches: any[] = [];
+
+  for (let offset = 0; ; offset += SEARCH_PAGE_SIZE) {
+    let page = supabase
+      .from('transactions')
+      .select(
+        'transaction_id, date, amount, currency, type, status, description, account_id, category_id, splits, transaction_tags(tag_id)',
+      )
+      .eq('user_id', userId)
+      .is('deleted_at', null);
+    if (from) page = page.gte('date', from);
+    if (to) page = page.lt('date', nextDay(to));
+
+    const { data, error } = await page
+      .order('date', { ascending: false })
+      .order('transaction_id', { ascending: true })
+      .range(offset, offset + SEARCH_PAGE_SIZE - 1);
+    if (error) throw error;
+
+    for (const txn of data || []) {
+      const tagIds = (txn.transaction_tags || []).map((link: any) => link.tag_id);
+      if (matchesTransactionQuery(txn, conditions, { tagIds, categoryById })) {
+        matches.push(txn);
+      }
+    }
+    if (!data || data.length < SEARCH_PAGE_SIZE) break;
+  }
+
+  return { errors, matches, accounts, categories };
+}
+
 // AI Prompt Builder
 function buildNaturalLanguagePrompt(text: string, categories: any[]) {
   const categoryList = categories
@@ -230,9 +389,66 @@ Deno.serve(async (req: Request) => {
           });
         }
 
+        case 'searchTransactions': {
+          const query = (url.searchParams.get('query') || '').trim();
+          if (!query) {
+            return errorResponse('query parameter is required');
+          }
+          const limitParam = Number(url.searchParams.get('limit') || DEFAULT_SEARCH_LIMIT);
+          const limit = Number.isInteger(limitParam) && limitParam > 0
+            ? Math.min(limitParam, MAX_SEARCH_LIMIT)
+            : DEFAULT_SEARCH_LIMIT;
+
+          let result;
+          try {
+            result = await searchTransactions(supabase, userId, query);
+          } catch (searchError) {
+            console.error('Transaction search error:', searchError);
+            return errorResponse('Failed to search transactions', 500);
+          }
+          if (result.errors.length > 0) {
+            return errorResponse(result.errors.join('; '));
+          }
+
+          const accountNames = new Map(
+            result.accounts.map((acc: any) => [acc.account_id, acc.name]),
+          );
+          const categoryNames = new Map(
+            result.categories.map((cat: any) => [cat.category_id, cat.name]),
+          );
+
+          // Totals per currency, expenses negative, over every match rather
+          // than just the rows returned
+          const totals: Record<string, number> = {};
+          for (const txn of result.matches) {
+            if (txn.type !== 'Income' && txn.type !== 'Expense') continue;
+            const signed = txn.type === 'Income' ? Number(txn.amount) : -Number(txn.amount);
+            totals[txn.currency] = Math.round(((totals[txn.currency] || 0) + signed) * 100) / 100;
+          }
+
+          // Format for Tasker: json.data array, newest first
+          return jsonResponse({
+            data: result.matches.slice(0, limit).map((txn) => ({
+              TransactionID: txn.transaction_id,
+              Date: txn.date,
+              Amount: Number(txn.amount),
+              Currency: txn.currency,
+              Type: txn.type,
+              Status: txn.status,
+              Description: txn.description,
+              AccountID: txn.account_id,
+              Account: accountNames.get(txn.account_id) || null,
+              CategoryID: txn.category_id,
+              Category: categoryNames.get(txn.category_id) || null,
+            })),
+            count: result.matches.length,
+            totals,
+          });
+        }
+
         default:
           return errorResponse(
-            `Unknown action: ${action}. Valid actions: getAccountBalance, getCategories, getAccounts`,
+            `Unknown action: ${action}. Valid actions: getAccountBalance, getCategories, getAccounts, searchTransactions`,
           );
       }
     }
@@ -258,12 +474,25 @@ Deno.serve(async (req: Request) => {
         EntityName = null,
       } = body;
 
+      // Categorisation rules rename and tag the transaction, and supply the
+      // category when none is given
+      const ruled = ['Income', 'Expense'].includes(Type)
+        ? applyRules(await getActiveRules(supabase, userId), {
+            description: Description,
+            amount: Number(Amount),
+            accountId: AccountID,
+            entityName: EntityName || '',
+            type: Type,
+          })
+        : { categoryId: null, description: null, tags: [] };
+      const categoryId = CategoryID || ruled.categoryId;
+
       // Validate required fields
       if (Amount === undefined || Amount === null) {
         return errorResponse('Amount is required');
       }
-      if (!CategoryID) {
-        return errorResponse('CategoryID is required');
+      if (!categoryId) {
+        return errorResponse('CategoryID is required (no categorisation rule matched)');
       }
       if (!AccountID) {
         return errorResponse('AccountID is required');
@@ -317,11 +546,11 @@ Deno.serve(async (req: Request) => {
         transaction_id: transactionId,
         user_id: userId,
         account_id: AccountID,
-        category_id: CategoryID,
+        category_id: categoryId,
         date: transactionDate.toISOString(),
         amount: Number(Amount),
         currency: Currency.toUpperCase(),
-        description: Description,
+        description: ruled.description ?? Description,
         type: Type,
         status: 'Cleared',
         transfer_id: null,
@@ -342,6 +571,10 @@ Deno.serve(async (req: Request) => {
         return errorResponse(error.message, 500);
       }
 
+      await tagTransactions(supabase, userId, [
+        { transactionId: data.transaction_id, names: ruled.tags },
+      ]);
+
       // Success response matching Tasker expectations
       return jsonResponse({
         success: true,
@@ -377,7 +610,9 @@ Deno.serve(async (req: Request) => {
       ];
 
       // Validate each transaction and prepare data
+      const rules = await getActiveRules(supabase, userId);
       const transactionsToInsert = [];
+      const ruleTags: string[][] = [];
       const validationErrors = [];
       const now = new Date();
 
@@ -394,13 +629,24 @@ Deno.serve(async (req: Request) => {
           EntityName = null,
         } = txn;
 
+        const ruled = ['Income', 'Expense'].includes(Type)
+          ? applyRules(rules, {
+              description: Description,
+              amount: Number(Amount),
+              accountId: AccountID,
+              entityName: EntityName || '',
+              type: Type,
+            })
+          : { categoryId: null, description: null, tags: [] };
+        const categoryId = CategoryID || ruled.categoryId;
+
         const errors = [];
 
         if (Amount === undefined || Amount === null) {
           errors.push('Amount is required');
         }
-        if (!CategoryID) {
-          errors.push('CategoryID is required');
+        if (!categoryId) {
+          errors.push('CategoryID is required (no categorisation rule matched)');
         }
         if (!AccountID) {
           errors.push('AccountID is required');
@@ -445,11 +691,11 @@ Deno.serve(async (req: Request) => {
           transaction_id: transactionId,
           user_id: userId,
           account_id: AccountID,
-          category_id: CategoryID,
+          category_id: categoryId,
           date: transactionDate.toISOString(),
           amount: Number(Amount),
           currency: Currency.toUpperCase(),
-          description: Description,
+          description: ruled.description ?? Description,
           type: Type,
           status: 'Cleared',
           transfer_id: null,
@@ -457,6 +703,7 @@ Deno.serve(async (req: Request) => {
           entity_name: EntityName ? String(EntityName).trim() || null : null,
           created_at: now.toISOString(),
         });
+        ruleTags.push(ruled.tags);
       }
 
       // If any validation errors, return them
@@ -482,6 +729,15 @@ Deno.serve(async (req: Request) => {
         return errorResponse(error.message, 500);
       }
 
+      await tagTransactions(
+        supabase,
+        userId,
+        transactionsToInsert.map((txn, i) => ({
+          transactionId: txn.transaction_id,
+          names: ruleTags[i],
+        })),
+      );
+
       // Success response
       return jsonResponse({
         success: true,
@@ -573,11 +829,30 @@ Deno.serve(async (req: Request) => {
         return errorResponse('No transactions found in text', 400);
       }
 
-      // Prepare transactions for insertion
+      // Prepare transactions for insertion. The user's categorisation rules
+      // overrule the AI's guesses.
+      const rules = await getActiveRules(supabase, userId);
       const transactionsToInsert = [];
+      const ruleTags: string[][] = [];
       const now = new Date();
 
       for (const txn of txns) {
+        const type = txn.type || 'Expense';
+        const ruled = applyRules(rules, {
+          description: txn.description || '',
+          amount: Number(txn.amount),
+          accountId: AccountID,
+          entityName: txn.entityName || '',
+          type,
+        });
+        if (ruled.categoryId && ruled.categoryId !== txn.suggestedCategoryId) {
+          txn.suggestedCategoryId = ruled.categoryId;
+          txn.suggestedCategoryName =
+            leafCategories.find((c) => c.category_id === ruled.categoryId)?.name ??
+            categoryMap.get(ruled.categoryId) ??
+            null;
+        }
+        ruleTags.push(ruled.tags);
         transactionsToInsert.push({
           transaction_id: generateId('TXN'),
           user_id: userId,
@@ -586,8 +861,8 @@ Deno.serve(async (req: Request) => {
           date: now.toISOString(),
           amount: Number(txn.amount),
           currency: Currency.toUpperCase(),
-          description: txn.description || '',
-          type: txn.type || 'Expense',
+          description: ruled.description ?? (txn.description || ''),
+          type,
           status: 'Cleared',
           transfer_id: null,
           linked_transaction_id: null,
@@ -606,6 +881,15 @@ Deno.serve(async (req: Request) => {
         return errorResponse(error.message, 500);
       }
 
+      await tagTransactions(
+        supabase,
+        userId,
+        transactionsToInsert.map((txn, i) => ({
+          transactionId: txn.transaction_id,
+          names: ruleTags[i],
+        })),
+      );
+
       const totalAmount = data.reduce((sum: number, t: any) => sum + Number(t.amount), 0);
       const currency = data[0]?.currency ?? Currency.toUpperCase();
       const roundedTotal = Math.round(totalAmount * 100) / 100;
@@ -646,9 +930,103 @@ Deno.serve(async (req: Request) => {
       });
     }
 
+    if (action === 'materializeRecurring') {
+      // Post every due occurrence of the user's active recurring
+      // transactions, same as the app does on launch. Meant for a daily
+      // schedule so bills post even when the app isn't opened. Repeat runs
+      // are harmless: the unique (recurring_id, recurring_date) index
+      // ignores slots that already have a transaction.
+      const today =
+        typeof body.today === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(body.today)
+          ? body.today
+          : todayString();
+
+      const { data: due, error: dueError } = await supabase
+        .from('recurring_transactions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', 'Active')
+        .lte('next_due_date', today);
+
+      if (dueError) {
+        console.error('Database error:', dueError);
+        return errorResponse(`Failed to load recurring transactions: ${dueError.message}`, 500);
+      }
+
+      const { data: activeAccounts } = await supabase
+        .from('accounts')
+        .select('account_id')
+        .eq('user_id', userId)
+        .eq('status', 'Active');
+      const activeAccountIds = new Set((activeAccounts || []).map((a: any) => a.account_id));
+
+      let inserted = 0;
+      const templates = [];
+      for (const template of due || []) {
+        // Closed account: leave the template due until it's reopened
+        if (!activeAccountIds.has(template.account_id)) continue;
+
+        const { toPost, updates } = planDueOccurrences(template, today);
+        if (!updates) continue;
+
+        if (toPost.length > 0) {
+          const { data, error } = await supabase
+            .from('transactions')
+            .upsert(
+              toPost.map((occurrence) => ({
+                transaction_id: generateId('TXN'),
+                user_id: userId,
+                account_id: template.account_id,
+                category_id: template.category_id,
+                date: `${occurrence.date}T12:00:00.000Z`,
+                amount: occurrence.amount,
+                currency: template.currency,
+                description: occurrence.description,
+                type: template.type,
+                status: 'Cleared',
+                entity_name: template.entity_name || null,
+                recurring_id: template.recurring_id,
+                recurring_date: occurrence.date,
+              })),
+              { onConflict: 'recurring_id,recurring_date', ignoreDuplicates: true },
+            )
+            .select('transaction_id');
+
+          if (error) {
+            console.error('Database error:', error);
+            return errorResponse(`Failed to post recurring transactions: ${error.message}`, 500);
+          }
+          inserted += data?.length || 0;
+        }
+
+        const { error: updateError } = await supabase
+          .from('recurring_transactions')
+          .update(updates)
+          .eq('recurring_id', template.recurring_id)
+          .eq('user_id', userId);
+
+        if (updateError) {
+          console.error('Database error:', updateError);
+          return errorResponse(`Failed to update recurring transaction: ${updateError.message}`, 500);
+        }
+        templates.push({
+          RecurringID: template.recurring_id,
+          Description: template.description,
+          NextDueDate: updates.next_due_date,
+          Status: updates.status,
+        });
+      }
+
+      return jsonResponse({
+        success: true,
+        data: { inserted, today, templates },
+        message: `${inserted} recurring transaction(s) posted`,
+      });
+    }
+
     // If no valid action specified, return error
     return errorResponse(
-      'action is required in POST body. Valid actions: "createTransaction", "createTransactionsBatch", "parseTextAndCreate"',
+      'action is required in POST body. Valid actions: "createTransaction", "createTransactionsBatch", "parseTextAndCreate", "materializeRecurring"',
     );
   } catch (err) {
     console.error('Unexpected error:', err);
@@ -0,0 +1,82 @@
+-- Migration: Recurring transactions
+--
+-- A recurring transaction is a template (rent, salary, subscriptions) that
+-- posts a real transaction on each due date. The schedule is described by
+-- frequency + interval_count from start_date, optionally "nth weekday of the
+-- month" for monthly rules, and ends at end_date or after max_occurrences.
+--
+-- occurrences_done is the index of the next slot in the schedule: every slot
+-- that is posted or skipped moves it on by one. next_due_date is that slot's
+-- date (NULL once the series has ended) and is what the generator queries.
+-- Per-date overrides live in exceptions, keyed 'YYYY-MM-DD':
+--   {"skip": true}                                  -- don't post this one
+--   {"amount": 120.5, "description": "..."}         -- post it with changes
+
+CREATE TABLE IF NOT EXISTS recurring_transactions (
+    recurring_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    account_id TEXT NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+    category_id TEXT NOT NULL REFERENCES categories(category_id) ON DELETE RESTRICT,
+    type TEXT NOT NULL DEFAULT 'Expense' CHECK (type IN ('Income', 'Expense')),
+    amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL CHECK (LENGTH(currency) = 3),
+    description TEXT DEFAULT '',
+    entity_name TEXT,
+    frequency TEXT NOT NULL CHECK (frequency IN ('Daily', 'Weekly', 'Monthly', 'Yearly')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count >= 1),
+    -- Monthly "nth weekday": by_weekday 0 (Sunday) .. 6, by_week_of_month
+    -- 1..5 or -1 for the last one. Both NULL means "same day of the month".
+    by_weekday INTEGER CHECK (by_weekday BETWEEN 0 AND 6),
+    by_week_of_month INTEGER CHECK (by_week_of_month IN (-1, 1, 2, 3, 4, 5)),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    max_occurrences INTEGER CHECK (max_occurrences >= 1),
+    occurrences_done INTEGER NOT NULL DEFAULT 0,
+    next_due_date DATE,
+    exceptions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Paused', 'Ended')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT recurring_nth_weekday_check CHECK (
+        (by_weekday IS NULL) = (by_week_of_month IS NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_user_id ON recurring_transactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_next_due_date ON recurring_transactions(next_due_date);
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_updated_at ON recurring_transactions(updated_at);
+
+CREATE TRIGGER update_recurring_transactions_updated_at
+    BEFORE UPDATE ON recurring_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE recurring_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own recurring transactions"
+    ON recurring_transactions FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own recurring transactions"
+    ON recurring_transactions FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own recurring transactions"
+    ON recurring_transactions FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own recurring transactions"
+    ON recurring_transactions FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Posted occurrences point back at their template and schedule slot. The
+-- unique index makes the generator idempotent: the app and the quick-expense
+-- function can both run it (or two devices at once) without double-posting.
+-- Rows that aren't from a template have NULLs here, which never collide.
+ALTER TABLE IF EXISTS transactions
+ADD COLUMN IF NOT EXISTS recurring_id TEXT REFERENCES recurring_transactions(recurring_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS recurring_date DATE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_slot
+    ON transactions(recurring_id, recurring_date);
@@ -0,0 +1,164 @@
+-- Migration: Net worth snapshots
+--
+-- Net worth history is reconstructed on the client from each account's
+-- opening_balance plus its transactions, converted into the base currency at
+-- the rate in effect at each month end. Completed months are stored here so
+-- they are read back rather than recomputed; the current month is always
+-- computed live and never stored.
+--
+-- accounts holds each account's balance at the month end in its own currency
+-- ([{"account_id", "currency", "balance", "converted", "liability"}]), which
+-- is where the next month's computation picks up from.
+--
+-- A snapshot is only as good as the data under it, so the triggers below
+-- delete every snapshot from the first affected month onward whenever a
+-- transaction, an account's opening figures, or an exchange rate changes.
+-- The client fills the gap on its next visit.
+
+CREATE TABLE IF NOT EXISTS net_worth_snapshots (
+    snapshot_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    month DATE NOT NULL CHECK (EXTRACT(DAY FROM month) = 1),
+    base_currency TEXT NOT NULL CHECK (LENGTH(base_currency) = 3),
+    assets NUMERIC(15, 2) NOT NULL DEFAULT 0,
+    liabilities NUMERIC(15, 2) NOT NULL DEFAULT 0,
+    net_worth NUMERIC(15, 2) NOT NULL DEFAULT 0,
+    accounts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT net_worth_snapshots_user_month_key UNIQUE (user_id, month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_net_worth_snapshots_user_id ON net_worth_snapshots(user_id);
+
+CREATE TRIGGER update_net_worth_snapshots_updated_at
+    BEFORE UPDATE ON net_worth_snapshots
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE net_worth_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own net worth snapshots"
+    ON net_worth_snapshots FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own net worth snapshots"
+    ON net_worth_snapshots FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own net worth snapshots"
+    ON net_worth_snapshots FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own net worth snapshots"
+    ON net_worth_snapshots FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Drop a user's snapshots from the month of p_from onward (all of them when
+-- p_from is NULL). Month ends are local to the client, so the cut is taken a
+-- day early: a transaction late on the 31st in UTC may already be the 1st
+-- where the user is, and the other way round.
+CREATE OR REPLACE FUNCTION invalidate_net_worth_snapshots(p_user_id UUID, p_from TIMESTAMPTZ)
+RETURNS VOID AS $$
+BEGIN
+    IF p_from IS NULL THEN
+        DELETE FROM net_worth_snapshots WHERE user_id = p_user_id;
+    ELSE
+        DELETE FROM net_worth_snapshots
+        WHERE user_id = p_user_id
+        AND month >= date_trunc('month', p_from - INTERVAL '1 day')::date;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION trigger_invalidate_net_worth_on_transaction()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM invalidate_net_worth_snapshots(NEW.user_id, NEW.date);
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        PERFORM invalidate_net_worth_snapshots(NEW.user_id, LEAST(OLD.date, NEW.date));
+        RETURN NEW;
+    END IF;
+
+    PERFORM invalidate_net_worth_snapshots(OLD.user_id, OLD.date);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_net_worth_on_transaction ON transactions;
+CREATE TRIGGER invalidate_net_worth_on_transaction
+    AFTER INSERT OR DELETE OR UPDATE OF account_id, amount, type, status, date, deleted_at
+    ON transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_invalidate_net_worth_on_transaction();
+
+-- An opening balance has no date of its own, so a change to one (or a new or
+-- removed account) can move every month. Only the columns that feed the
+-- history count: the balance trigger rewrites current_balance on every
+-- transaction, which must not wipe anything.
+CREATE OR REPLACE FUNCTION trigger_invalidate_net_worth_on_account()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM invalidate_net_worth_snapshots(OLD.user_id, NULL);
+        RETURN OLD;
+    END IF;
+    PERFORM invalidate_net_worth_snapshots(NEW.user_id, NULL);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_net_worth_on_account ON accounts;
+CREATE TRIGGER invalidate_net_worth_on_account
+    AFTER INSERT OR DELETE OR UPDATE OF opening_balance, type, currency, created_at
+    ON accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_invalidate_net_worth_on_account();
+
+-- A rate applies from its date until the next one for the pair. Months before
+-- a pair's first rate are converted at that first rate, so a new earliest
+-- rate reaches all the way back.
+CREATE OR REPLACE FUNCTION trigger_invalidate_net_worth_on_exchange_rate()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_row exchange_rates%ROWTYPE;
+    v_from TIMESTAMPTZ;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_row := OLD;
+    ELSE
+        v_row := NEW;
+    END IF;
+
+    v_from := v_row.date;
+    IF TG_OP = 'UPDATE' THEN
+        v_from := LEAST(OLD.date, NEW.date);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM exchange_rates
+        WHERE user_id = v_row.user_id
+        AND exchange_rate_id != v_row.exchange_rate_id
+        AND ((from_currency = v_row.from_currency AND to_currency = v_row.to_currency)
+            OR (from_currency = v_row.to_currency AND to_currency = v_row.from_currency))
+        AND date < v_from
+    ) THEN
+        v_from := NULL;
+    END IF;
+
+    PERFORM invalidate_net_worth_snapshots(v_row.user_id, v_from);
+    RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_net_worth_on_exchange_rate ON exchange_rates;
+CREATE TRIGGER invalidate_net_worth_on_exchange_rate
+    AFTER INSERT OR DELETE OR UPDATE OF from_currency, to_currency, rate, date
+    ON exchange_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_invalidate_net_worth_on_exchange_rate();
@@ -0,0 +1,204 @@
+-- Migration: Split transactions
+--
+-- One payment can cover several categories (a supermarket receipt spanning
+-- groceries, household and pharmacy). The transaction stays a single row
+-- against the account for its full amount, so balances, reconciliation and
+-- net worth are unaffected; splits lists the category lines:
+--
+--   [{"category_id": "CAT...", "amount": 12.50, "description": "Milk"}, ...]
+--
+-- NULL means the transaction is not split. category_id is kept pointing at the
+-- largest line, so anything that reads a single category still gets one.
+
+ALTER TABLE IF EXISTS transactions
+ADD COLUMN IF NOT EXISTS splits JSONB;
+
+-- Check the lines and keep category_id in step with them. Lines must be two or
+-- more, each an active category of the user with the transaction's type, each
+-- positive, and together equal to the amount to the cent.
+CREATE OR REPLACE FUNCTION validate_transaction_splits()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_line JSONB;
+    v_amount NUMERIC;
+    v_total NUMERIC := 0;
+    v_primary_id TEXT;
+    v_primary_amount NUMERIC;
+    v_category categories%ROWTYPE;
+BEGIN
+    IF NEW.splits IS NOT NULL AND jsonb_typeof(NEW.splits) = 'array'
+        AND jsonb_array_length(NEW.splits) = 0 THEN
+        NEW.splits := NULL;
+    END IF;
+
+    IF NEW.splits IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF jsonb_typeof(NEW.splits) != 'array' THEN
+        RAISE EXCEPTION 'Split lines must be a list';
+    END IF;
+
+    IF NEW.type NOT IN ('Income', 'Expense') THEN
+        RAISE EXCEPTION 'Only income and expense transactions can be split';
+    END IF;
+
+    IF jsonb_array_length(NEW.splits) < 2 THEN
+        RAISE EXCEPTION 'A split needs at least two category lines';
+    END IF;
+
+    FOR v_line IN SELECT * FROM jsonb_array_elements(NEW.splits)
+    LOOP
+        v_amount := (v_line->>'amount')::NUMERIC;
+        IF v_amount IS NULL OR v_amount <= 0 THEN
+            RAISE EXCEPTION 'Each split line needs an amount greater than 0';
+        END IF;
+
+        SELECT * INTO v_category
+        FROM categories
+        WHERE category_id = v_line->>'category_id'
+        AND user_id = NEW.user_id
+        AND status = 'Active';
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Category not found or is not active: %', v_line->>'category_id';
+        END IF;
+
+        IF v_category.type != NEW.type THEN
+            RAISE EXCEPTION 'Split category % is not an % category', v_category.name, NEW.type;
+        END IF;
+
+        v_total := v_total + v_amount;
+        IF v_primary_amount IS NULL OR v_amount > v_primary_amount THEN
+            v_primary_id := v_category.category_id;
+            v_primary_amount := v_amount;
+        END IF;
+    END LOOP;
+
+    IF ROUND(v_total, 2) != ROUND(NEW.amount, 2) THEN
+        RAISE EXCEPTION 'Split lines add up to % but the transaction is %', ROUND(v_total, 2), ROUND(NEW.amount, 2);
+    END IF;
+
+    NEW.category_id := v_primary_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS validate_transaction_splits ON transactions;
+CREATE TRIGGER validate_transaction_splits
+    BEFORE INSERT OR UPDATE OF splits, amount, type, category_id
+    ON transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_transaction_splits();
+
+-- The single-transaction RPC carries the lines too. As in migration 015, drop
+-- the previous signature so PostgREST is not left choosing between overloads.
+DROP FUNCTION IF EXISTS create_transaction_validated(TEXT, UUID, TEXT, TEXT, TIMESTAMPTZ, NUMERIC, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION create_transaction_validated(
+    p_transaction_id TEXT,
+    p_user_id UUID,
+    p_account_id TEXT,
+    p_category_id TEXT,
+    p_date TIMESTAMPTZ,
+    p_amount NUMERIC,
+    p_currency TEXT,
+    p_description TEXT DEFAULT '',
+    p_type TEXT DEFAULT 'Expense',
+    p_status TEXT DEFAULT 'Cleared',
+    p_transfer_id TEXT DEFAULT NULL,
+    p_linked_transaction_id TEXT DEFAULT NULL,
+    p_entity_name TEXT DEFAULT NULL,
+    p_splits JSONB DEFAULT NULL
+)
+RETURNS transactions AS $$
+DECLARE
+    v_account accounts%ROWTYPE;
+    v_category categories%ROWTYPE;
+    v_is_transfer_type BOOLEAN;
+    v_result transactions%ROWTYPE;
+BEGIN
+    -- Check if this is a transfer type transaction
+    v_is_transfer_type := p_type IN ('Transfer Out', 'Transfer In');
+
+    -- Validate account exists and is active
+    SELECT * INTO v_account
+    FROM accounts
+    WHERE account_id = p_account_id
+    AND user_id = p_user_id
+    AND status = 'Active';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Account not found or is not active: %', p_account_id;
+    END IF;
+
+    -- Validate currency matches account
+    IF UPPER(p_currency) != v_account.currency THEN
+        RAISE EXCEPTION 'Currency must match account currency: %', v_account.currency;
+    END IF;
+
+    -- Validate category exists and is active (skip for transfer types with null category)
+    IF p_category_id IS NOT NULL AND NOT v_is_transfer_type THEN
+        SELECT * INTO v_category
+        FROM categories
+        WHERE category_id = p_category_id
+        AND user_id = p_user_id
+        AND status = 'Active';
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Category not found or is not active: %', p_category_id;
+        END IF;
+    END IF;
+
+    -- Validate transaction type
+    IF p_type NOT IN ('Income', 'Expense', 'Transfer', 'Transfer Out', 'Transfer In') THEN
+        RAISE EXCEPTION 'Invalid transaction type: %', p_type;
+    END IF;
+
+    -- Validate transaction status
+    IF p_status NOT IN ('Pending', 'Cleared', 'Reconciled', 'Cancelled') THEN
+        RAISE EXCEPTION 'Invalid transaction status: %', p_status;
+    END IF;
+
+    -- Insert the transaction (split lines are checked by validate_transaction_splits)
+    INSERT INTO transactions (
+        transaction_id,
+        user_id,
+        account_id,
+        category_id,
+        date,
+        amount,
+        currency,
+        description,
+        type,
+        status,
+        transfer_id,
+        linked_transaction_id,
+        entity_name,
+        splits,
+        created_at
+    ) VALUES (
+        p_transaction_id,
+        p_user_id,
+        p_account_id,
+        p_category_id,
+        p_date,
+        p_amount,
+        UPPER(p_currency),
+        COALESCE(p_description, ''),
+        p_type,
+        p_status,
+        p_transfer_id,
+        p_linked_transaction_id,
+        NULLIF(BTRIM(COALESCE(p_entity_name, '')), ''),
+        p_splits,
+        NOW()
+    )
+    RETURNING * INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Grant execute permission to authenticated users (specify full signature)
+GRANT EXECUTE ON FUNCTION create_transaction_validated(TEXT, UUID, TEXT, TEXT, TIMESTAMPTZ, NUMERIC, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB) TO authenticated;
@@ -0,0 +1,79 @@
+-- Migration: Transaction tags
+--
+-- Free-form labels for things categories don't capture ("trip-berlin",
+-- "work-reimbursable"). A transaction can carry any number of tags and a tag
+-- any number of transactions, so the link is a join table. Names are unique
+-- per user ignoring case; the client stores them lower-case with spaces as
+-- hyphens.
+
+CREATE TABLE IF NOT EXISTS tags (
+    tag_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (LENGTH(BTRIM(name)) > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tags_user_id ON tags(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name));
+
+CREATE TRIGGER update_tags_updated_at
+    BEFORE UPDATE ON tags
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS transaction_tags (
+    transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+    tag_id TEXT NOT NULL REFERENCES tags(tag_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (transaction_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_tags_user_id ON transaction_tags(user_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag_id ON transaction_tags(tag_id);
+
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_tags ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own tags"
+    ON tags FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own tags"
+    ON tags FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own tags"
+    ON tags FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own tags"
+    ON tags FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own transaction tags"
+    ON transaction_tags FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Both ends of a link must belong to the user adding it
+CREATE POLICY "Users can insert their own transaction tags"
+    ON transaction_tags FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (
+            SELECT 1 FROM transactions t
+            WHERE t.transaction_id = transaction_tags.transaction_id
+            AND t.user_id = auth.uid()
+        )
+        AND EXISTS (
+            SELECT 1 FROM tags g
+            WHERE g.tag_id = transaction_tags.tag_id
+            AND g.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can delete their own transaction tags"
+    ON transaction_tags FOR DELETE
+    USING (auth.uid() = user_id);
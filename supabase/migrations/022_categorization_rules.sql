@@ -0,0 +1,113 @@
+-- Migration: Categorisation rules
+--
+-- User-defined rules that fill in a transaction as it is created: "description
+-- contains STARBUCKS" -> category Coffee, description "Starbucks", tag
+-- "coffee". A rule has conditions (all the ones that are set must hold) and
+-- actions (at least one). Rules run in priority order, lowest first; each
+-- action comes from the first matching rule that has it, and tags from every
+-- matching rule add up. The matching itself happens in the app and the
+-- quick-expense function (src/utils/categorizationRules.js), not here.
+--
+-- transaction_type scopes a rule to income or to expenses, so a rule never
+-- puts an expense into an income category.
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    rule_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (LENGTH(BTRIM(name)) > 0),
+    priority INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Paused')),
+    transaction_type TEXT NOT NULL DEFAULT 'Expense' CHECK (transaction_type IN ('Income', 'Expense')),
+    -- Conditions
+    description_match TEXT NOT NULL DEFAULT 'contains' CHECK (description_match IN ('contains', 'regex')),
+    description_pattern TEXT,
+    amount_min NUMERIC(15, 2) CHECK (amount_min >= 0),
+    amount_max NUMERIC(15, 2) CHECK (amount_max >= 0),
+    account_id TEXT REFERENCES accounts(account_id) ON DELETE CASCADE,
+    entity_name TEXT,
+    -- Actions
+    set_category_id TEXT REFERENCES categories(category_id) ON DELETE CASCADE,
+    set_description TEXT,
+    add_tags TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT categorization_rules_amount_range_check CHECK (
+        amount_min IS NULL OR amount_max IS NULL OR amount_min <= amount_max
+    ),
+    -- A rule with no condition would match everything
+    CONSTRAINT categorization_rules_condition_check CHECK (
+        NULLIF(BTRIM(description_pattern), '') IS NOT NULL
+        OR amount_min IS NOT NULL
+        OR amount_max IS NOT NULL
+        OR account_id IS NOT NULL
+        OR NULLIF(BTRIM(entity_name), '') IS NOT NULL
+    ),
+    CONSTRAINT categorization_rules_action_check CHECK (
+        set_category_id IS NOT NULL
+        OR NULLIF(BTRIM(set_description), '') IS NOT NULL
+        OR CARDINALITY(add_tags) > 0
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_id ON categorization_rules(user_id);
+
+CREATE TRIGGER update_categorization_rules_updated_at
+    BEFORE UPDATE ON categorization_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- The account and category a rule names must be the user's own, and the
+-- category must be of the rule's type
+CREATE OR REPLACE FUNCTION validate_categorization_rule()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_category_type TEXT;
+BEGIN
+    IF NEW.account_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM accounts
+        WHERE account_id = NEW.account_id AND user_id = NEW.user_id
+    ) THEN
+        RAISE EXCEPTION 'Account not found';
+    END IF;
+
+    IF NEW.set_category_id IS NOT NULL THEN
+        SELECT type INTO v_category_type
+        FROM categories
+        WHERE category_id = NEW.set_category_id AND user_id = NEW.user_id;
+
+        IF v_category_type IS NULL THEN
+            RAISE EXCEPTION 'Category not found';
+        END IF;
+        IF v_category_type <> NEW.transaction_type THEN
+            RAISE EXCEPTION 'A rule for % transactions needs an % category',
+                LOWER(NEW.transaction_type), LOWER(NEW.transaction_type);
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER validate_categorization_rule_trigger
+    BEFORE INSERT OR UPDATE ON categorization_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_categorization_rule();
+
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own categorization rules"
+    ON categorization_rules FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own categorization rules"
+    ON categorization_rules FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own categorization rules"
+    ON categorization_rules FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own categorization rules"
+    ON categorization_rules FOR DELETE
+    USING (auth.uid() = user_id);
@@ -0,0 +1,80 @@
+-- Migration: Savings goals
+--
+-- Something to save toward: a target amount in a currency by a target date.
+-- Progress is worked out in the app (src/utils/savingsGoals.js) from one of
+-- two sources:
+--   * 'balance'   - the current balance of the linked account (a savings
+--                   account kept for the goal)
+--   * 'transfers' - transfers tagged with the goal's tag; with a linked account,
+--                   transfers out of it count against the goal
+--
+-- The account and tag are SET NULL when deleted rather than taking the goal
+-- with them; the app shows such a goal as needing a new source.
+
+CREATE TABLE IF NOT EXISTS savings_goals (
+    goal_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (LENGTH(BTRIM(name)) > 0),
+    target_amount NUMERIC(15, 2) NOT NULL CHECK (target_amount > 0),
+    currency TEXT NOT NULL,
+    target_date DATE NOT NULL,
+    tracking TEXT NOT NULL DEFAULT 'balance' CHECK (tracking IN ('balance', 'transfers')),
+    account_id TEXT REFERENCES accounts(account_id) ON DELETE SET NULL,
+    tag_id TEXT REFERENCES tags(tag_id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Archived')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_savings_goals_user_id ON savings_goals(user_id);
+
+CREATE TRIGGER update_savings_goals_updated_at
+    BEFORE UPDATE ON savings_goals
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- The linked account and tag must be the user's own
+CREATE OR REPLACE FUNCTION validate_savings_goal()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.account_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM accounts
+        WHERE account_id = NEW.account_id AND user_id = NEW.user_id
+    ) THEN
+        RAISE EXCEPTION 'Account not found';
+    END IF;
+
+    IF NEW.tag_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM tags
+        WHERE tag_id = NEW.tag_id AND user_id = NEW.user_id
+    ) THEN
+        RAISE EXCEPTION 'Tag not found';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER validate_savings_goal_trigger
+    BEFORE INSERT OR UPDATE ON savings_goals
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_savings_goal();
+
+ALTER TABLE savings_goals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own savings goals"
+    ON savings_goals FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own savings goals"
+    ON savings_goals FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own savings goals"
+    ON savings_goals FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own savings goals"
+    ON savings_goals FOR DELETE
+    USING (auth.uid() = user_id);
@@ -0,0 +1,33 @@
+-- Migration: Manual exchange rates
+--
+-- Until now every rate came from a multi-currency transfer. Rates can now
+-- also be entered on the Exchange Rates page, one at a time or pasted as a
+-- table, for pairs the user never transfers between. A rate applies from its
+-- date until the next rate for the same pair (see buildExchangeRateLookup in
+-- src/utils/currencyConversion.js).
+--
+--   * source 'transfer' - logged by a transfer, with the amounts behind it
+--   * source 'manual'   - entered by hand; has no amounts and can be edited
+--                         or deleted from the page
+
+ALTER TABLE exchange_rates
+ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'transfer'
+    CHECK (source IN ('transfer', 'manual'));
+
+-- A manual rate has no amounts behind it
+ALTER TABLE exchange_rates ALTER COLUMN from_amount DROP NOT NULL;
+ALTER TABLE exchange_rates ALTER COLUMN to_amount DROP NOT NULL;
+
+ALTER TABLE exchange_rates
+ADD CONSTRAINT exchange_rates_rate_positive CHECK (rate > 0) NOT VALID;
+
+-- Edits need to reach other devices through incremental sync
+ALTER TABLE exchange_rates
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE exchange_rates SET updated_at = created_at;
+
+CREATE TRIGGER update_exchange_rates_updated_at
+    BEFORE UPDATE ON exchange_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
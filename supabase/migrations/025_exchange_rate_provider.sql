@@ -0,0 +1,17 @@
+-- Migration: Exchange rates from a rate provider
+--
+-- Daily market rates fetched from the provider picked in Settings
+-- (src/lib/rateProviders) are stored with source 'provider', one per currency
+-- the user holds into their base currency. They stay apart from the rates
+-- transfers log and the ones entered by hand, and aren't editable.
+
+ALTER TABLE exchange_rates DROP CONSTRAINT IF EXISTS exchange_rates_source_check;
+
+ALTER TABLE exchange_rates
+ADD CONSTRAINT exchange_rates_source_check
+    CHECK (source IN ('transfer', 'manual', 'provider'));
+
+-- One provider rate per pair per day, however many devices fetch it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_provider_day
+    ON exchange_rates(user_id, from_currency, to_currency, date)
+    WHERE source = 'provider';
@@ -0,0 +1,18 @@
+-- Migration: Transfer fees
+--
+-- A transfer can carry a fee, charged in either the source or the destination
+-- currency. The fee is an Expense row on that side's account with the
+-- transfer's transfer_id, so it shows and is deleted with the transfer.
+--
+-- The rate a cross-currency transfer logs stays the one the two legs imply
+-- (to_amount / from_amount). What the money actually bought once the fee is
+-- counted is kept beside it:
+--
+--   effective_rate = (to_amount - fee in the destination currency)
+--                    / (from_amount + fee in the source currency)
+--
+-- It is null for manual and provider rates, and for transfers without a fee.
+
+ALTER TABLE exchange_rates
+ADD COLUMN IF NOT EXISTS effective_rate NUMERIC(15, 6)
+    CHECK (effective_rate IS NULL OR effective_rate > 0);
@@ -0,0 +1,35 @@
+-- Migration: Due dates, instalments and interest on borrowings/lendings
+--
+-- All optional, so records the database creates on its own (migration 016)
+-- and older ones carry on as before:
+--
+--   * due_date      - when the whole amount is due back
+--   * installments  - a repayment schedule, as dated amounts:
+--                       [{"date": "2026-11-30", "amount": 250.00}, ...]
+--                     Payments count against the instalments in date order;
+--                     due_date is kept at the last one.
+--   * interest_rate - yearly rate in percent, accrued on what is still owed
+--   * interest_type - 'simple', or 'compound' (monthly)
+--
+-- Overdue and upcoming records, aging and the launch reminders are worked out
+-- from these in src/utils/borrowingLendingTerms.js.
+
+ALTER TABLE borrowings_lendings
+ADD COLUMN IF NOT EXISTS due_date DATE;
+
+ALTER TABLE borrowings_lendings
+ADD COLUMN IF NOT EXISTS installments JSONB
+    CHECK (installments IS NULL OR jsonb_typeof(installments) = 'array');
+
+ALTER TABLE borrowings_lendings
+ADD COLUMN IF NOT EXISTS interest_rate NUMERIC(7, 4)
+    CHECK (interest_rate IS NULL OR interest_rate >= 0);
+
+ALTER TABLE borrowings_lendings
+ADD COLUMN IF NOT EXISTS interest_type TEXT
+    CHECK (interest_type IS NULL OR interest_type IN ('simple', 'compound'));
+
+-- The overdue/upcoming view and reminders only look at active records with a date
+CREATE INDEX IF NOT EXISTS idx_borrowings_lendings_due
+    ON borrowings_lendings(user_id, due_date)
+    WHERE status = 'Active' AND due_date IS NOT NULL;
@@ -0,0 +1,251 @@
+-- Migration: Counterparties
+--
+-- Until now the person on the other side of a borrowing/lending was only the
+-- free-text entity_name, so "Abebe" and "abebe k." were two people. A
+-- counterparty is that person as a row of its own:
+--
+--   * name     - the spelling shown everywhere; records carry it as entity_name
+--   * aliases  - other spellings that mean the same person. A record named by
+--                one of them (a transaction's "@abebe", say) joins this
+--                counterparty and takes its name.
+--
+-- Every record with a real name gets a counterparty_id. The trigger below sets
+-- it on insert and whenever entity_name changes, creating the counterparty the
+-- first time a name is seen, so the database's own records (migration 016)
+-- link up like the app's. 'Unknown' is left unlinked: it isn't a person.
+--
+-- merge_counterparties() folds misspelled duplicates into one. The per-person
+-- ledger and statement are built in the app (src/utils/counterpartyLedger.js)
+-- from the records, their original transactions and payment_transaction_ids.
+
+CREATE TABLE IF NOT EXISTS counterparties (
+    counterparty_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (LENGTH(BTRIM(name)) > 0),
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    notes TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One counterparty per name, whatever the case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_counterparties_user_name
+    ON counterparties(user_id, LOWER(name));
+
+CREATE TRIGGER update_counterparties_updated_at
+    BEFORE UPDATE ON counterparties
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE borrowings_lendings
+ADD COLUMN IF NOT EXISTS counterparty_id TEXT
+    REFERENCES counterparties(counterparty_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_borrowings_lendings_counterparty
+    ON borrowings_lendings(counterparty_id);
+
+-- The user's counterparty for a name: by name or alias, case-insensitively.
+-- Null when there is none.
+CREATE OR REPLACE FUNCTION find_counterparty(p_user_id UUID, p_name TEXT)
+RETURNS TEXT AS $$
+    SELECT counterparty_id
+    FROM counterparties
+    WHERE user_id = p_user_id
+      AND (
+          LOWER(name) = LOWER(p_name)
+          OR LOWER(p_name) IN (SELECT LOWER(alias) FROM UNNEST(aliases) AS alias)
+      )
+    -- A name match wins over an alias
+    ORDER BY (LOWER(name) = LOWER(p_name)) DESC, created_at
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Link a record to its counterparty and give it the counterparty's spelling.
+-- A counterparty_id set explicitly (a merge, a restore) is kept; otherwise the
+-- name decides. SECURITY DEFINER for the same reason as
+-- create_borrowing_lending_for_transaction: the edge function has no auth.uid().
+CREATE OR REPLACE FUNCTION resolve_borrowing_lending_counterparty()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_entity TEXT;
+    v_counterparty_id TEXT;
+    v_name TEXT;
+BEGIN
+    IF TG_OP = 'UPDATE'
+       AND NEW.counterparty_id IS NOT DISTINCT FROM OLD.counterparty_id
+       AND NEW.entity_name IS NOT DISTINCT FROM OLD.entity_name THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.counterparty_id IS NOT NULL
+       AND (TG_OP = 'INSERT' OR NEW.counterparty_id IS DISTINCT FROM OLD.counterparty_id) THEN
+        SELECT name INTO v_name
+        FROM counterparties
+        WHERE counterparty_id = NEW.counterparty_id AND user_id = NEW.user_id;
+
+        IF v_name IS NULL THEN
+            RAISE EXCEPTION 'Counterparty not found';
+        END IF;
+        NEW.entity_name := v_name;
+        RETURN NEW;
+    END IF;
+
+    v_entity := normalize_entity_name(NEW.entity_name);
+    IF v_entity IS NULL OR LOWER(v_entity) = 'unknown' THEN
+        NEW.counterparty_id := NULL;
+        RETURN NEW;
+    END IF;
+
+    v_counterparty_id := find_counterparty(NEW.user_id, v_entity);
+    IF v_counterparty_id IS NULL THEN
+        v_counterparty_id := 'CPT_' || (EXTRACT(EPOCH FROM CLOCK_TIMESTAMP()) * 1000)::BIGINT || '_' ||
+            SUBSTR(REPLACE(GEN_RANDOM_UUID()::TEXT, '-', ''), 1, 12);
+        INSERT INTO counterparties (counterparty_id, user_id, name)
+        VALUES (v_counterparty_id, NEW.user_id, v_entity);
+    END IF;
+
+    SELECT name INTO v_name FROM counterparties WHERE counterparty_id = v_counterparty_id;
+    NEW.counterparty_id := v_counterparty_id;
+    NEW.entity_name := v_name;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+DROP TRIGGER IF EXISTS resolve_borrowing_lending_counterparty_trigger ON borrowings_lendings;
+CREATE TRIGGER resolve_borrowing_lending_counterparty_trigger
+    BEFORE INSERT OR UPDATE OF entity_name, counterparty_id ON borrowings_lendings
+    FOR EACH ROW
+    EXECUTE FUNCTION resolve_borrowing_lending_counterparty();
+
+-- Renaming a counterparty keeps the old spelling as an alias, so transactions
+-- that still use it find the person, and renames its records.
+CREATE OR REPLACE FUNCTION keep_counterparty_alias_on_rename()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.name := normalize_entity_name(NEW.name);
+    IF LOWER(NEW.name) IS DISTINCT FROM LOWER(OLD.name)
+       AND NOT LOWER(OLD.name) IN (SELECT LOWER(alias) FROM UNNEST(NEW.aliases) AS alias) THEN
+        NEW.aliases := ARRAY_APPEND(NEW.aliases, OLD.name);
+    END IF;
+    -- The new name is no longer an alias of itself
+    NEW.aliases := ARRAY(
+        SELECT alias FROM UNNEST(NEW.aliases) AS alias
+        WHERE LOWER(alias) <> LOWER(NEW.name)
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER keep_counterparty_alias_on_rename_trigger
+    BEFORE UPDATE OF name ON counterparties
+    FOR EACH ROW
+    WHEN (NEW.name IS DISTINCT FROM OLD.name)
+    EXECUTE FUNCTION keep_counterparty_alias_on_rename();
+
+CREATE OR REPLACE FUNCTION rename_counterparty_records()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE borrowings_lendings
+    SET entity_name = NEW.name
+    WHERE counterparty_id = NEW.counterparty_id
+      AND entity_name IS DISTINCT FROM NEW.name;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER rename_counterparty_records_trigger
+    AFTER UPDATE OF name ON counterparties
+    FOR EACH ROW
+    WHEN (NEW.name IS DISTINCT FROM OLD.name)
+    EXECUTE FUNCTION rename_counterparty_records();
+
+-- Fold p_source_ids into p_target_id: their records move over (taking the
+-- target's name), their names and aliases become the target's aliases, and
+-- they are deleted. Runs as the caller, so RLS keeps it to their own rows.
+CREATE OR REPLACE FUNCTION merge_counterparties(p_target_id TEXT, p_source_ids TEXT[])
+RETURNS counterparties AS $$
+DECLARE
+    v_target counterparties;
+    v_sources TEXT[];
+BEGIN
+    SELECT * INTO v_target
+    FROM counterparties
+    WHERE counterparty_id = p_target_id AND user_id = auth.uid();
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Counterparty not found';
+    END IF;
+
+    SELECT ARRAY_AGG(counterparty_id) INTO v_sources
+    FROM counterparties
+    WHERE counterparty_id = ANY(p_source_ids)
+      AND counterparty_id <> p_target_id
+      AND user_id = auth.uid();
+
+    IF v_sources IS NULL THEN
+        RAISE EXCEPTION 'Choose at least one other counterparty to merge';
+    END IF;
+
+    UPDATE counterparties
+    SET aliases = ARRAY(
+        SELECT DISTINCT ON (LOWER(alias)) alias
+        FROM (
+            SELECT UNNEST(v_target.aliases) AS alias
+            UNION ALL
+            SELECT name FROM counterparties WHERE counterparty_id = ANY(v_sources)
+            UNION ALL
+            SELECT UNNEST(aliases) FROM counterparties WHERE counterparty_id = ANY(v_sources)
+        ) spellings
+        WHERE LOWER(alias) <> LOWER(v_target.name)
+        ORDER BY LOWER(alias)
+    )
+    WHERE counterparty_id = p_target_id
+    RETURNING * INTO v_target;
+
+    UPDATE borrowings_lendings
+    SET counterparty_id = p_target_id
+    WHERE counterparty_id = ANY(v_sources);
+
+    DELETE FROM counterparties WHERE counterparty_id = ANY(v_sources);
+
+    RETURN v_target;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE counterparties ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own counterparties"
+    ON counterparties FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own counterparties"
+    ON counterparties FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own counterparties"
+    ON counterparties FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own counterparties"
+    ON counterparties FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Backfill: a counterparty per distinct name (case-insensitively, keeping the
+-- oldest spelling), then link every record through the trigger
+INSERT INTO counterparties (counterparty_id, user_id, name)
+SELECT DISTINCT ON (bl.user_id, LOWER(normalize_entity_name(bl.entity_name)))
+    'CPT_' || (EXTRACT(EPOCH FROM CLOCK_TIMESTAMP()) * 1000)::BIGINT || '_' ||
+        SUBSTR(REPLACE(GEN_RANDOM_UUID()::TEXT, '-', ''), 1, 12),
+    bl.user_id,
+    normalize_entity_name(bl.entity_name)
+FROM borrowings_lendings bl
+WHERE normalize_entity_name(bl.entity_name) IS NOT NULL
+  AND LOWER(normalize_entity_name(bl.entity_name)) <> 'unknown'
+ORDER BY bl.user_id, LOWER(normalize_entity_name(bl.entity_name)), bl.created_at
+ON CONFLICT DO NOTHING;
+
+UPDATE borrowings_lendings bl
+SET counterparty_id = find_counterparty(bl.user_id, normalize_entity_name(bl.entity_name))
+WHERE bl.counterparty_id IS NULL
+  AND normalize_entity_name(bl.entity_name) IS NOT NULL;
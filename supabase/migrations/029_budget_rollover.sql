@@ -0,0 +1,21 @@
+-- Migration: Budget rollover
+--
+-- A recurring budget can roll over, envelope style: what a month leaves
+-- unspent is added to the next month's budget, and what it overspends is taken
+-- from it. Nothing is stored per month; the carry is worked out from the
+-- budget and the transactions whenever it is shown, so editing an old
+-- transaction moves every later month's carry with it.
+--
+-- The carry runs through the unbroken run of months a category has a rolling
+-- budget in. A month without one (a gap in the range, or the budget turned
+-- off) starts it again from nothing. One-time budgets never roll over.
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS rollover BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE budgets
+DROP CONSTRAINT IF EXISTS budgets_rollover_recurring;
+
+ALTER TABLE budgets
+ADD CONSTRAINT budgets_rollover_recurring
+    CHECK (NOT rollover OR recurring);
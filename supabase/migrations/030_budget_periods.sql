@@ -0,0 +1,116 @@
+-- Migration: Budget periods
+--
+-- A budget can cover a week, a month, a quarter, a year, or a custom date
+-- range. `amount` is for one period of that length.
+--
+--   weekly     recurring only; weeks begin on week_start (0 = Sunday ... 6 =
+--              Saturday, Monday when unset)
+--   monthly    as before
+--   quarterly  calendar quarters; a one-time budget covers the quarter its
+--   yearly     `month` falls in, a year likewise
+--   custom     one-time, from period_start to period_end inclusive; `month` is
+--              the month period_start falls in, which keeps
+--              budget_recurring_check satisfied
+--
+-- A recurring budget's start_month and end_month still bound it by month: it
+-- applies to every period that overlaps that span.
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS period TEXT NOT NULL DEFAULT 'monthly'
+    CHECK (period IN ('weekly', 'monthly', 'quarterly', 'yearly', 'custom')),
+ADD COLUMN IF NOT EXISTS week_start SMALLINT
+    CHECK (week_start IS NULL OR week_start BETWEEN 0 AND 6),
+ADD COLUMN IF NOT EXISTS period_start DATE,
+ADD COLUMN IF NOT EXISTS period_end DATE;
+
+ALTER TABLE budgets
+DROP CONSTRAINT IF EXISTS budgets_period_shape;
+
+ALTER TABLE budgets
+ADD CONSTRAINT budgets_period_shape CHECK (
+    (period = 'custom'
+        AND recurring = FALSE
+        AND period_start IS NOT NULL
+        AND period_end IS NOT NULL
+        AND period_end >= period_start)
+    OR (period = 'weekly' AND recurring = TRUE)
+    OR period IN ('monthly', 'quarterly', 'yearly')
+);
+
+-- A carry runs month to month (migration 029), so only monthly budgets roll
+-- over
+ALTER TABLE budgets
+DROP CONSTRAINT IF EXISTS budgets_rollover_monthly;
+
+ALTER TABLE budgets
+ADD CONSTRAINT budgets_rollover_monthly
+    CHECK (NOT rollover OR period = 'monthly');
+
+-- get_effective_budget answers for a month, so it counts monthly budgets only;
+-- other periods don't divide evenly into months
+CREATE OR REPLACE FUNCTION get_effective_budget(
+    p_category_id TEXT,
+    p_month DATE,
+    p_user_id UUID
+)
+RETURNS NUMERIC AS $$
+DECLARE
+    v_own_budget NUMERIC;
+    v_children_budget NUMERIC;
+    v_effective_budget NUMERIC;
+BEGIN
+    -- Get own budget (non-recurring for this month or recurring that applies)
+    SELECT COALESCE(SUM(amount), 0) INTO v_own_budget
+    FROM budgets
+    WHERE category_id = p_category_id
+    AND user_id = p_user_id
+    AND status = 'Active'
+    AND period = 'monthly'
+    AND (
+        (recurring = FALSE AND DATE_TRUNC('month', month) = DATE_TRUNC('month', p_month))
+        OR
+        (recurring = TRUE
+         AND DATE_TRUNC('month', start_month) <= DATE_TRUNC('month', p_month)
+         AND (end_month IS NULL OR DATE_TRUNC('month', end_month) >= DATE_TRUNC('month', p_month)))
+    );
+
+    -- Get sum of children budgets
+    WITH RECURSIVE category_children AS (
+        SELECT category_id
+        FROM categories
+        WHERE parent_category_id = p_category_id
+        AND user_id = p_user_id
+        AND status = 'Active'
+        UNION ALL
+        SELECT c.category_id
+        FROM categories c
+        INNER JOIN category_children cc ON c.parent_category_id = cc.category_id
+        WHERE c.user_id = p_user_id
+        AND c.status = 'Active'
+    )
+    SELECT COALESCE(SUM(b.amount), 0) INTO v_children_budget
+    FROM budgets b
+    INNER JOIN category_children cc ON b.category_id = cc.category_id
+    WHERE b.user_id = p_user_id
+    AND b.status = 'Active'
+    AND b.period = 'monthly'
+    AND (
+        (b.recurring = FALSE AND DATE_TRUNC('month', b.month) = DATE_TRUNC('month', p_month))
+        OR
+        (b.recurring = TRUE
+         AND DATE_TRUNC('month', b.start_month) <= DATE_TRUNC('month', p_month)
+         AND (b.end_month IS NULL OR DATE_TRUNC('month', b.end_month) >= DATE_TRUNC('month', p_month)))
+    );
+
+    -- Effective budget: max of own budget or sum of children, or own if both exist
+    IF v_own_budget > 0 AND v_children_budget > 0 THEN
+        v_effective_budget := GREATEST(v_own_budget, v_children_budget);
+    ELSIF v_own_budget > 0 THEN
+        v_effective_budget := v_own_budget;
+    ELSE
+        v_effective_budget := v_children_budget;
+    END IF;
+
+    RETURN COALESCE(v_effective_budget, 0);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
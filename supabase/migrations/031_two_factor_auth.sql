@@ -0,0 +1,142 @@
+-- Migration: Two-factor authentication
+--
+-- Supabase Auth keeps TOTP factors itself (auth.mfa_factors) and stamps each
+-- session's JWT with its assurance level: aal1 after a password, magic link or
+-- OAuth sign-in, aal2 once a TOTP code has been verified too. Once a user has
+-- a verified factor, this migration makes aal2 a condition of touching any of
+-- their rows. The app's own gate (ProtectedRoute) is a courtesy; this is the
+-- lock. Accounts without a factor are unaffected.
+--
+-- Backup codes stand in for a lost authenticator. Supabase has none of its
+-- own, so they live here as SHA-256 hashes of random one-time codes, shown to
+-- the user once. Redeeming one removes the account's TOTP factors, so the
+-- session counts as complete at aal1 and the user can enrol again; the rest of
+-- the codes go with them.
+
+-- Has the current session met the assurance level its user requires?
+-- SECURITY DEFINER so policies can read auth.mfa_factors.
+CREATE OR REPLACE FUNCTION mfa_assurance_met()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+        OR NOT EXISTS (
+            SELECT 1
+            FROM auth.mfa_factors
+            WHERE user_id = auth.uid() AND status = 'verified'
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+CREATE TABLE IF NOT EXISTS mfa_backup_codes (
+    id UUID PRIMARY KEY DEFAULT GEN_RANDOM_UUID(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mfa_backup_codes_user_hash
+    ON mfa_backup_codes(user_id, code_hash);
+
+ALTER TABLE mfa_backup_codes ENABLE ROW LEVEL SECURITY;
+
+-- Codes are created and spent only through the functions below; the app reads
+-- how many are left and deletes them when two-factor is turned off
+CREATE POLICY "Users can view their own backup codes"
+    ON mfa_backup_codes FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own backup codes"
+    ON mfa_backup_codes FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Codes are compared without case or separators, so "ab12c-9f0e1" and
+-- "AB12C9F0E1" are the same code
+CREATE OR REPLACE FUNCTION mfa_backup_code_hash(p_code TEXT)
+RETURNS TEXT AS $$
+    SELECT ENCODE(
+        SHA256(CONVERT_TO(REGEXP_REPLACE(LOWER(p_code), '[^0-9a-f]', '', 'g'), 'UTF8')),
+        'hex'
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Replace the user's backup codes with ten new ones and return them, the only
+-- time they are readable. Needs an aal2 session: anyone holding just the
+-- password must not be able to mint a way past the second factor.
+CREATE OR REPLACE FUNCTION regenerate_mfa_backup_codes()
+RETURNS TEXT[] AS $$
+DECLARE
+    v_codes TEXT[] := '{}';
+    v_code TEXT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+    IF COALESCE(auth.jwt() ->> 'aal', 'aal1') <> 'aal2' THEN
+        RAISE EXCEPTION 'Verify a code from your authenticator app first';
+    END IF;
+
+    DELETE FROM mfa_backup_codes WHERE user_id = auth.uid();
+
+    FOR i IN 1..10 LOOP
+        -- 40 random bits from a v4 UUID (its version digit comes later)
+        v_code := SUBSTR(REPLACE(GEN_RANDOM_UUID()::TEXT, '-', ''), 1, 10);
+        v_code := SUBSTR(v_code, 1, 5) || '-' || SUBSTR(v_code, 6, 5);
+        INSERT INTO mfa_backup_codes (user_id, code_hash)
+        VALUES (auth.uid(), mfa_backup_code_hash(v_code));
+        v_codes := v_codes || v_code;
+    END LOOP;
+
+    RETURN v_codes;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Spend a backup code. A valid one removes the user's TOTP factors and every
+-- code (this one included), and returns true; anything else returns false.
+CREATE OR REPLACE FUNCTION redeem_mfa_backup_code(p_code TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM mfa_backup_codes
+        WHERE user_id = auth.uid() AND code_hash = mfa_backup_code_hash(p_code)
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    DELETE FROM auth.mfa_factors WHERE user_id = auth.uid();
+    DELETE FROM mfa_backup_codes WHERE user_id = auth.uid();
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- The lock itself: a restrictive policy on every table that belongs to a user,
+-- ANDed with the per-user policies already there. A table added by a later
+-- migration needs the same policy.
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOR v_table IN
+        SELECT c.table_name
+        FROM information_schema.columns c
+        JOIN information_schema.tables t
+          ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+        WHERE c.table_schema = 'public'
+          AND c.column_name = 'user_id'
+          AND t.table_type = 'BASE TABLE'
+    LOOP
+        EXECUTE FORMAT(
+            'DROP POLICY IF EXISTS "Require two-factor sign-in when enrolled" ON %I',
+            v_table
+        );
+        EXECUTE FORMAT(
+            'CREATE POLICY "Require two-factor sign-in when enrolled" ON %I '
+            'AS RESTRICTIVE FOR ALL TO authenticated '
+            'USING (mfa_assurance_met()) WITH CHECK (mfa_assurance_met())',
+            v_table
+        );
+    END LOOP;
+END;
+$$;
@@ -0,0 +1,112 @@
+-- Migration: Transaction attachments
+--
+-- Receipt photos, PDFs and invoices kept with the transaction they belong to.
+-- The files live in a private Storage bucket, one folder per user
+-- (<user_id>/<attachment_id>.<ext>); this table links them to transactions.
+-- One file can back several rows: a receipt saved as separate transactions
+-- is uploaded once and linked to each of them.
+--
+-- Transactions are soft-deleted, so ON DELETE CASCADE only covers a purge.
+-- The app removes a transaction's attachments (rows and files) when it is
+-- deleted, and a file only once no row points at it any more.
+
+CREATE TABLE IF NOT EXISTS transaction_attachments (
+    attachment_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+    storage_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_attachments_user_id
+    ON transaction_attachments(user_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_attachments_transaction_id
+    ON transaction_attachments(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_attachments_storage_path
+    ON transaction_attachments(storage_path);
+
+ALTER TABLE transaction_attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own attachments"
+    ON transaction_attachments FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- The transaction must be the user's too, and the file in their own folder
+CREATE POLICY "Users can insert their own attachments"
+    ON transaction_attachments FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id
+        AND SPLIT_PART(storage_path, '/', 1) = auth.uid()::TEXT
+        AND EXISTS (
+            SELECT 1 FROM transactions t
+            WHERE t.transaction_id = transaction_attachments.transaction_id
+            AND t.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can update their own attachments"
+    ON transaction_attachments FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (
+        auth.uid() = user_id
+        AND SPLIT_PART(storage_path, '/', 1) = auth.uid()::TEXT
+    );
+
+CREATE POLICY "Users can delete their own attachments"
+    ON transaction_attachments FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Same lock as migration 031 puts on every other user table
+DROP POLICY IF EXISTS "Require two-factor sign-in when enrolled" ON transaction_attachments;
+CREATE POLICY "Require two-factor sign-in when enrolled"
+    ON transaction_attachments
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_assurance_met())
+    WITH CHECK (mfa_assurance_met());
+
+-- The bucket. Private: files are read through short-lived signed URLs.
+-- The app compresses photos before upload, so 10 MB is PDFs' headroom.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'attachments',
+    'attachments',
+    FALSE,
+    10485760,
+    ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'application/pdf']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- Each user reads and writes only their own folder, and only at the
+-- assurance level their account calls for
+DROP POLICY IF EXISTS "Users can view their own attachment files" ON storage.objects;
+CREATE POLICY "Users can view their own attachment files"
+    ON storage.objects FOR SELECT
+    TO authenticated
+    USING (
+        bucket_id = 'attachments'
+        AND (storage.foldername(name))[1] = auth.uid()::TEXT
+        AND mfa_assurance_met()
+    );
+
+DROP POLICY IF EXISTS "Users can upload their own attachment files" ON storage.objects;
+CREATE POLICY "Users can upload their own attachment files"
+    ON storage.objects FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        bucket_id = 'attachments'
+        AND (storage.foldername(name))[1] = auth.uid()::TEXT
+        AND mfa_assurance_met()
+    );
+
+DROP POLICY IF EXISTS "Users can delete their own attachment files" ON storage.objects;
+CREATE POLICY "Users can delete their own attachment files"
+    ON storage.objects FOR DELETE
+    TO authenticated
+    USING (
+        bucket_id = 'attachments'
+        AND (storage.foldername(name))[1] = auth.uid()::TEXT
+        AND mfa_assurance_met()
+    );
@@ -0,0 +1,346 @@
+-- Migration: Merge categories
+--
+-- Folding one category into another ("Food" into "Groceries") in a single
+-- statement. Everything that points at the source moves to the target:
+-- transactions (deleted ones too, since the foreign key still holds them) and
+-- their split lines, budgets, subcategories, recurring transactions,
+-- categorisation rules and the settings that name a category. Then the source
+-- is deleted.
+--
+-- Budgets that would duplicate one the target already has are combined, since
+-- a category's plan for a month is the sum of its budgets anyway (see
+-- findBudgetsForCategoryMonth):
+--   * one-time budgets for the same period and currency become one, with the
+--     amounts added
+--   * recurring monthly budgets in the same currency are combined over the
+--     months both cover; the months only one of them covers keep that one's
+--     amount, as budgets of their own
+--   * other recurring budgets are combined only when their spans match, since
+--     cutting a quarter or a week at a month boundary would count it twice
+-- Anything else just moves.
+
+-- Budgets store months as the 6th (see createBudget in src/lib/api/budgets.js)
+CREATE OR REPLACE FUNCTION budget_month_anchor(p_date DATE)
+RETURNS DATE AS $$
+    SELECT (DATE_TRUNC('month', p_date) + INTERVAL '5 days')::DATE;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION new_budget_id()
+RETURNS TEXT AS $$
+    SELECT 'BDG_' || (EXTRACT(EPOCH FROM CLOCK_TIMESTAMP()) * 1000)::BIGINT || '_' ||
+        SUBSTR(REPLACE(GEN_RANDOM_UUID()::TEXT, '-', ''), 1, 12);
+$$ LANGUAGE sql VOLATILE;
+
+-- The target's budget a source budget would be combined with, or NULL
+CREATE OR REPLACE FUNCTION find_merge_budget(p_source budgets, p_target_id TEXT)
+RETURNS TEXT AS $$
+    SELECT b.budget_id
+    FROM budgets b
+    WHERE b.category_id = p_target_id
+      AND b.user_id = p_source.user_id
+      AND b.status = p_source.status
+      AND b.currency = p_source.currency
+      AND b.period = p_source.period
+      AND b.recurring = p_source.recurring
+      AND b.rollover = p_source.rollover
+      AND b.week_start IS NOT DISTINCT FROM p_source.week_start
+      AND CASE
+          WHEN NOT p_source.recurring THEN
+              CASE p_source.period
+                  WHEN 'custom' THEN
+                      b.period_start = p_source.period_start
+                      AND b.period_end = p_source.period_end
+                  WHEN 'quarterly' THEN
+                      DATE_TRUNC('quarter', b.month) = DATE_TRUNC('quarter', p_source.month)
+                  WHEN 'yearly' THEN
+                      DATE_TRUNC('year', b.month) = DATE_TRUNC('year', p_source.month)
+                  ELSE
+                      DATE_TRUNC('month', b.month) = DATE_TRUNC('month', p_source.month)
+              END
+          WHEN p_source.period = 'monthly' THEN
+              DATE_TRUNC('month', b.start_month) <=
+                  COALESCE(DATE_TRUNC('month', p_source.end_month), 'infinity'::TIMESTAMP)
+              AND COALESCE(DATE_TRUNC('month', b.end_month), 'infinity'::TIMESTAMP) >=
+                  DATE_TRUNC('month', p_source.start_month)
+          ELSE
+              DATE_TRUNC('month', b.start_month) = DATE_TRUNC('month', p_source.start_month)
+              AND DATE_TRUNC('month', b.end_month) IS NOT DISTINCT FROM
+                  DATE_TRUNC('month', p_source.end_month)
+      END
+    ORDER BY b.created_at
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Split lines with the source's lines given to the target, and lines that now
+-- share a category added together (descriptions joined), in their original
+-- order
+CREATE OR REPLACE FUNCTION merge_split_lines(p_splits JSONB, p_source_id TEXT, p_target_id TEXT)
+RETURNS JSONB AS $$
+    SELECT JSONB_AGG(
+        JSONB_BUILD_OBJECT(
+            'category_id', category_id,
+            'amount', amount,
+            'description', COALESCE(description, '')
+        )
+        ORDER BY first_line
+    )
+    FROM (
+        SELECT
+            CASE WHEN line->>'category_id' = p_source_id THEN p_target_id
+                 ELSE line->>'category_id' END AS category_id,
+            ROUND(SUM((line->>'amount')::NUMERIC), 2) AS amount,
+            STRING_AGG(NULLIF(line->>'description', ''), ', ' ORDER BY position) AS description,
+            MIN(position) AS first_line
+        FROM JSONB_ARRAY_ELEMENTS(p_splits) WITH ORDINALITY AS lines(line, position)
+        GROUP BY 1
+    ) merged;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Move everything from p_source_id into p_target_id and delete the source.
+-- With p_dry_run nothing changes; either way the answer is what the merge
+-- touches (or would):
+--   { transactions, split_transactions, budgets_moved, budgets_combined,
+--     subcategories, recurring_transactions, rules, settings }
+-- Runs as the caller, so RLS keeps it to their own rows.
+CREATE OR REPLACE FUNCTION merge_categories(
+    p_source_id TEXT,
+    p_target_id TEXT,
+    p_dry_run BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_source categories;
+    v_target categories;
+    v_budget budgets;
+    v_match budgets;
+    v_match_id TEXT;
+    v_start DATE;
+    v_end DATE;
+    v_counts JSONB;
+    v_moved INTEGER := 0;
+    v_combined INTEGER := 0;
+BEGIN
+    SELECT * INTO v_source
+    FROM categories
+    WHERE category_id = p_source_id AND user_id = auth.uid();
+
+    SELECT * INTO v_target
+    FROM categories
+    WHERE category_id = p_target_id AND user_id = auth.uid();
+
+    IF v_source.category_id IS NULL OR v_target.category_id IS NULL THEN
+        RAISE EXCEPTION 'Category not found';
+    END IF;
+    IF p_source_id = p_target_id THEN
+        RAISE EXCEPTION 'Choose a different category to merge into';
+    END IF;
+    IF v_source.type <> v_target.type THEN
+        RAISE EXCEPTION 'Only categories of the same type can be merged: % is %, % is %',
+            v_source.name, LOWER(v_source.type), v_target.name, LOWER(v_target.type);
+    END IF;
+    IF v_target.status <> 'Active' THEN
+        RAISE EXCEPTION 'Restore % before merging into it', v_target.name;
+    END IF;
+    -- Its subcategories would end up under themselves
+    IF category_is_within(p_target_id, p_source_id) THEN
+        RAISE EXCEPTION '% is inside %. Merge the other way round, or move it out first',
+            v_target.name, v_source.name;
+    END IF;
+    -- Transactions post to leaves only. The source itself doesn't count, as
+    -- the merge deletes it
+    IF EXISTS (
+        SELECT 1 FROM categories
+        WHERE parent_category_id = p_target_id
+          AND category_id <> p_source_id
+          AND status = 'Active'
+    ) THEN
+        RAISE EXCEPTION '% has subcategories. Merge into one of them instead', v_target.name;
+    END IF;
+
+    FOR v_budget IN
+        SELECT * FROM budgets WHERE category_id = p_source_id ORDER BY created_at
+    LOOP
+        IF find_merge_budget(v_budget, p_target_id) IS NULL THEN
+            v_moved := v_moved + 1;
+        ELSE
+            v_combined := v_combined + 1;
+        END IF;
+    END LOOP;
+
+    v_counts := JSONB_BUILD_OBJECT(
+        -- Deleted transactions move too, but aren't worth mentioning
+        'transactions', (
+            SELECT COUNT(*) FROM transactions
+            WHERE deleted_at IS NULL
+              AND (category_id = p_source_id
+                   OR splits @> JSONB_BUILD_ARRAY(JSONB_BUILD_OBJECT('category_id', p_source_id)))
+        ),
+        'split_transactions', (
+            SELECT COUNT(*) FROM transactions
+            WHERE deleted_at IS NULL
+              AND splits @> JSONB_BUILD_ARRAY(JSONB_BUILD_OBJECT('category_id', p_source_id))
+        ),
+        'budgets_moved', v_moved,
+        'budgets_combined', v_combined,
+        'subcategories', (
+            SELECT COUNT(*) FROM categories WHERE parent_category_id = p_source_id
+        ),
+        'recurring_transactions', (
+            SELECT COUNT(*) FROM recurring_transactions WHERE category_id = p_source_id
+        ),
+        'rules', (
+            SELECT COUNT(*) FROM categorization_rules WHERE set_category_id = p_source_id
+        ),
+        'settings', (
+            SELECT COUNT(*) FROM settings
+            WHERE user_id = auth.uid()
+              AND (
+                  (setting_key LIKE '%CategoryID' AND setting_value = p_source_id)
+                  OR (setting_key = 'HomeCategoryShortcuts'
+                      AND setting_value LIKE '%"' || p_source_id || '"%')
+              )
+        )
+    );
+
+    IF p_dry_run THEN
+        RETURN v_counts;
+    END IF;
+
+    -- Split transactions first: the lines decide category_id (migration 020),
+    -- and a split left with one line is a plain transaction again
+    UPDATE transactions t
+    SET splits = CASE WHEN JSONB_ARRAY_LENGTH(m.lines) < 2 THEN NULL ELSE m.lines END,
+        category_id = p_target_id
+    FROM (
+        SELECT transaction_id, merge_split_lines(splits, p_source_id, p_target_id) AS lines
+        FROM transactions
+        WHERE splits @> JSONB_BUILD_ARRAY(JSONB_BUILD_OBJECT('category_id', p_source_id))
+    ) m
+    WHERE t.transaction_id = m.transaction_id;
+
+    UPDATE transactions
+    SET category_id = p_target_id
+    WHERE category_id = p_source_id;
+
+    FOR v_budget IN
+        SELECT * FROM budgets WHERE category_id = p_source_id ORDER BY created_at
+    LOOP
+        v_match_id := find_merge_budget(v_budget, p_target_id);
+
+        IF v_match_id IS NULL THEN
+            UPDATE budgets SET category_id = p_target_id WHERE budget_id = v_budget.budget_id;
+            CONTINUE;
+        END IF;
+
+        SELECT * INTO v_match FROM budgets WHERE budget_id = v_match_id;
+
+        IF v_budget.recurring AND v_budget.period = 'monthly' THEN
+            -- The months both cover; NULL v_end means open-ended
+            v_start := GREATEST(
+                DATE_TRUNC('month', v_budget.start_month),
+                DATE_TRUNC('month', v_match.start_month)
+            )::DATE;
+            v_end := CASE
+                WHEN v_budget.end_month IS NULL THEN DATE_TRUNC('month', v_match.end_month)::DATE
+                WHEN v_match.end_month IS NULL THEN DATE_TRUNC('month', v_budget.end_month)::DATE
+                ELSE LEAST(
+                    DATE_TRUNC('month', v_budget.end_month),
+                    DATE_TRUNC('month', v_match.end_month)
+                )::DATE
+            END;
+
+            -- Before the overlap: whichever started earlier, on its own
+            IF DATE_TRUNC('month', v_budget.start_month) < v_start THEN
+                INSERT INTO budgets
+                SELECT (JSONB_POPULATE_RECORD(v_budget, JSONB_BUILD_OBJECT(
+                    'budget_id', new_budget_id(),
+                    'category_id', p_target_id,
+                    'end_month', budget_month_anchor((v_start - INTERVAL '1 month')::DATE),
+                    'created_at', NOW(),
+                    'updated_at', NOW()
+                ))).*;
+            ELSIF DATE_TRUNC('month', v_match.start_month) < v_start THEN
+                INSERT INTO budgets
+                SELECT (JSONB_POPULATE_RECORD(v_match, JSONB_BUILD_OBJECT(
+                    'budget_id', new_budget_id(),
+                    'end_month', budget_month_anchor((v_start - INTERVAL '1 month')::DATE),
+                    'created_at', NOW(),
+                    'updated_at', NOW()
+                ))).*;
+            END IF;
+
+            -- After it: whichever runs on longer, on its own
+            IF v_end IS NOT NULL THEN
+                IF v_budget.end_month IS NULL OR DATE_TRUNC('month', v_budget.end_month) > v_end THEN
+                    INSERT INTO budgets
+                    SELECT (JSONB_POPULATE_RECORD(v_budget, JSONB_BUILD_OBJECT(
+                        'budget_id', new_budget_id(),
+                        'category_id', p_target_id,
+                        'start_month', budget_month_anchor((v_end + INTERVAL '1 month')::DATE),
+                        'created_at', NOW(),
+                        'updated_at', NOW()
+                    ))).*;
+                ELSIF v_match.end_month IS NULL OR DATE_TRUNC('month', v_match.end_month) > v_end THEN
+                    INSERT INTO budgets
+                    SELECT (JSONB_POPULATE_RECORD(v_match, JSONB_BUILD_OBJECT(
+                        'budget_id', new_budget_id(),
+                        'start_month', budget_month_anchor((v_end + INTERVAL '1 month')::DATE),
+                        'created_at', NOW(),
+                        'updated_at', NOW()
+                    ))).*;
+                END IF;
+            END IF;
+
+            UPDATE budgets
+            SET amount = v_match.amount + v_budget.amount,
+                start_month = budget_month_anchor(v_start),
+                end_month = CASE WHEN v_end IS NULL THEN NULL ELSE budget_month_anchor(v_end) END
+            WHERE budget_id = v_match_id;
+        ELSE
+            UPDATE budgets
+            SET amount = v_match.amount + v_budget.amount
+            WHERE budget_id = v_match_id;
+        END IF;
+
+        DELETE FROM budgets WHERE budget_id = v_budget.budget_id;
+    END LOOP;
+
+    UPDATE categories
+    SET parent_category_id = p_target_id
+    WHERE parent_category_id = p_source_id;
+
+    UPDATE recurring_transactions
+    SET category_id = p_target_id
+    WHERE category_id = p_source_id;
+
+    UPDATE categorization_rules
+    SET set_category_id = p_target_id
+    WHERE set_category_id = p_source_id;
+
+    UPDATE settings
+    SET setting_value = p_target_id
+    WHERE user_id = auth.uid()
+      AND setting_key LIKE '%CategoryID'
+      AND setting_value = p_source_id;
+
+    -- A JSON list of category ids; the target keeps the earlier of the two
+    -- places if both were there
+    UPDATE settings
+    SET setting_value = (
+        SELECT COALESCE(JSONB_AGG(id ORDER BY first_position), '[]'::JSONB)::TEXT
+        FROM (
+            SELECT CASE WHEN id = p_source_id THEN p_target_id ELSE id END AS id,
+                   MIN(position) AS first_position
+            FROM JSONB_ARRAY_ELEMENTS_TEXT(setting_value::JSONB) WITH ORDINALITY AS ids(id, position)
+            GROUP BY 1
+        ) shortcuts
+    )
+    WHERE user_id = auth.uid()
+      AND setting_key = 'HomeCategoryShortcuts'
+      AND setting_value LIKE '%"' || p_source_id || '"%';
+
+    DELETE FROM categories WHERE category_id = p_source_id;
+
+    RETURN v_counts;
+END;
+$$ LANGUAGE plpgsql;
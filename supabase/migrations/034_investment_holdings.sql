@@ -0,0 +1,394 @@
+-- Migration: Investment holdings
+--
+-- An Investment account keeps its cash balance as before and can now hold
+-- securities as well:
+--
+--   * holdings        - one symbol in one account, in the currency it is
+--                       priced in, with the cost method its gains use (FIFO
+--                       lots or average cost)
+--   * holding_trades  - a holding's buys, sells and dividends
+--   * security_prices - the user's prices per symbol and day, typed in or
+--                       imported from a CSV price file
+--
+-- Quantities, lots, gains and market value are worked out in the app
+-- (src/utils/investments.js). The database keeps the cash side: a trade
+-- settles in its account, and cash_amount is what it moved there, in the
+-- account's currency (negative for a buy). update_account_current_balance
+-- adds those in with the transactions, so current_balance stays the
+-- account's cash and the market value is counted on top of it.
+
+CREATE TABLE IF NOT EXISTS holdings (
+    holding_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    account_id TEXT NOT NULL REFERENCES accounts(account_id) ON DELETE RESTRICT,
+    symbol TEXT NOT NULL CHECK (LENGTH(BTRIM(symbol)) > 0 AND symbol = UPPER(BTRIM(symbol))),
+    name TEXT DEFAULT '',
+    currency TEXT NOT NULL CHECK (LENGTH(currency) = 3),
+    cost_method TEXT NOT NULL DEFAULT 'FIFO' CHECK (cost_method IN ('FIFO', 'Average')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT holdings_account_symbol_key UNIQUE (account_id, symbol)
+);
+
+CREATE INDEX IF NOT EXISTS idx_holdings_user_id ON holdings(user_id);
+CREATE INDEX IF NOT EXISTS idx_holdings_account_id ON holdings(account_id);
+
+CREATE TRIGGER update_holdings_updated_at
+    BEFORE UPDATE ON holdings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- quantity and price apply to buys and sells, amount to dividends; fees and
+-- amount are in the holding's currency. account_id is copied from the holding
+-- so the balance can still be found once a holding is deleted.
+CREATE TABLE IF NOT EXISTS holding_trades (
+    trade_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    holding_id TEXT NOT NULL REFERENCES holdings(holding_id) ON DELETE CASCADE,
+    account_id TEXT NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('Buy', 'Sell', 'Dividend')),
+    trade_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    quantity NUMERIC(20, 8) NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    price NUMERIC(20, 8) NOT NULL DEFAULT 0 CHECK (price >= 0),
+    fees NUMERIC(15, 2) NOT NULL DEFAULT 0 CHECK (fees >= 0),
+    amount NUMERIC(15, 2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    cash_amount NUMERIC(15, 2) NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT holding_trades_kind_fields CHECK (
+        (kind IN ('Buy', 'Sell') AND quantity > 0)
+        OR (kind = 'Dividend' AND amount > 0)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_holding_trades_user_id ON holding_trades(user_id);
+CREATE INDEX IF NOT EXISTS idx_holding_trades_holding_date
+    ON holding_trades(holding_id, trade_date);
+CREATE INDEX IF NOT EXISTS idx_holding_trades_account_id ON holding_trades(account_id);
+
+CREATE TRIGGER update_holding_trades_updated_at
+    BEFORE UPDATE ON holding_trades
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Symbols are stored upper-case, so AAPL's prices serve every account holding
+-- AAPL. One price per symbol and day; importing a file again updates it.
+CREATE TABLE IF NOT EXISTS security_prices (
+    price_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    symbol TEXT NOT NULL CHECK (LENGTH(BTRIM(symbol)) > 0 AND symbol = UPPER(BTRIM(symbol))),
+    price_date DATE NOT NULL,
+    price NUMERIC(20, 8) NOT NULL CHECK (price > 0),
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'import')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT security_prices_user_symbol_date_key UNIQUE (user_id, symbol, price_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_prices_user_symbol
+    ON security_prices(user_id, symbol, price_date);
+
+CREATE TRIGGER update_security_prices_updated_at
+    BEFORE UPDATE ON security_prices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Holdings only in the user's own Investment accounts, and they stay in the
+-- account they were opened in: their trades' cash settled there
+CREATE OR REPLACE FUNCTION validate_holding()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.account_id IS DISTINCT FROM OLD.account_id THEN
+        RAISE EXCEPTION 'A holding can''t move to another account';
+    END IF;
+    IF NOT EXISTS (
+        SELECT 1 FROM accounts
+        WHERE account_id = NEW.account_id
+        AND user_id = NEW.user_id
+        AND type = 'Investment'
+    ) THEN
+        RAISE EXCEPTION 'Holdings belong to one of your Investment accounts';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER validate_holding_trigger
+    BEFORE INSERT OR UPDATE OF account_id, user_id ON holdings
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_holding();
+
+-- A trade takes its account from its holding
+CREATE OR REPLACE FUNCTION validate_holding_trade()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_account_id TEXT;
+BEGIN
+    SELECT account_id INTO v_account_id
+    FROM holdings
+    WHERE holding_id = NEW.holding_id AND user_id = NEW.user_id;
+
+    IF v_account_id IS NULL THEN
+        RAISE EXCEPTION 'Holding not found';
+    END IF;
+    NEW.account_id := v_account_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER validate_holding_trade_trigger
+    BEFORE INSERT OR UPDATE ON holding_trades
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_holding_trade();
+
+-- A holding can't go below zero units on any day. Checked once the change is
+-- in, so shrinking or deleting a buy is caught as well as an oversized sell.
+-- Trades on the same day count buys first, so a same-day buy and sell can be
+-- entered in either order, and the lowest point of a day is its close.
+CREATE OR REPLACE FUNCTION check_holding_position()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_holding_id TEXT;
+    v_day DATE;
+    v_held NUMERIC;
+BEGIN
+    v_holding_id := CASE WHEN TG_OP = 'DELETE' THEN OLD.holding_id ELSE NEW.holding_id END;
+
+    SELECT trade_date, held INTO v_day, v_held
+    FROM (
+        SELECT trade_date,
+            SUM(SUM(CASE kind WHEN 'Buy' THEN quantity WHEN 'Sell' THEN -quantity ELSE 0 END))
+                OVER (ORDER BY trade_date) AS held
+        FROM holding_trades
+        WHERE holding_id = v_holding_id
+        GROUP BY trade_date
+    ) daily
+    WHERE held < 0
+    ORDER BY trade_date
+    LIMIT 1;
+
+    IF v_day IS NOT NULL THEN
+        RAISE EXCEPTION 'This leaves % units of the holding on %; sells can''t exceed what was held',
+            v_held, v_day;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_holding_position_trigger
+    AFTER INSERT OR DELETE OR UPDATE OF holding_id, kind, trade_date, quantity
+    ON holding_trades
+    FOR EACH ROW
+    EXECUTE FUNCTION check_holding_position();
+
+-- Same as migration 009's, plus the cash the account's trades moved
+CREATE OR REPLACE FUNCTION update_account_current_balance(p_account_id TEXT, p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_opening_balance NUMERIC;
+    v_income_total NUMERIC;
+    v_expense_total NUMERIC;
+    v_trade_total NUMERIC;
+BEGIN
+    SELECT opening_balance INTO v_opening_balance
+    FROM accounts
+    WHERE account_id = p_account_id AND user_id = p_user_id;
+
+    IF v_opening_balance IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_income_total
+    FROM transactions
+    WHERE account_id = p_account_id
+    AND user_id = p_user_id
+    AND deleted_at IS NULL
+    AND type IN ('Income', 'Transfer In')
+    AND status != 'Cancelled';
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_expense_total
+    FROM transactions
+    WHERE account_id = p_account_id
+    AND user_id = p_user_id
+    AND deleted_at IS NULL
+    AND type IN ('Expense', 'Transfer Out')
+    AND status != 'Cancelled';
+
+    SELECT COALESCE(SUM(cash_amount), 0) INTO v_trade_total
+    FROM holding_trades
+    WHERE account_id = p_account_id
+    AND user_id = p_user_id;
+
+    UPDATE accounts
+    SET current_balance = v_opening_balance + v_income_total - v_expense_total + v_trade_total
+    WHERE account_id = p_account_id AND user_id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+CREATE OR REPLACE FUNCTION trigger_update_account_balance_on_trade()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM update_account_current_balance(OLD.account_id, OLD.user_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM update_account_current_balance(NEW.account_id, NEW.user_id);
+        RETURN NEW;
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+DROP TRIGGER IF EXISTS trg_update_account_balance_on_trade ON holding_trades;
+CREATE TRIGGER trg_update_account_balance_on_trade
+    AFTER INSERT OR UPDATE OR DELETE ON holding_trades
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_update_account_balance_on_trade();
+
+-- Net worth snapshots (migration 019) now include market value, so trades and
+-- prices drop them from the month they touch. A month end is valued at the
+-- latest price on or before it, so a new price can only move later months.
+CREATE OR REPLACE FUNCTION trigger_invalidate_net_worth_on_trade()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM invalidate_net_worth_snapshots(NEW.user_id, NEW.trade_date);
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' THEN
+        PERFORM invalidate_net_worth_snapshots(NEW.user_id, LEAST(OLD.trade_date, NEW.trade_date));
+        RETURN NEW;
+    END IF;
+    PERFORM invalidate_net_worth_snapshots(OLD.user_id, OLD.trade_date);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_net_worth_on_trade ON holding_trades;
+CREATE TRIGGER invalidate_net_worth_on_trade
+    AFTER INSERT OR DELETE OR UPDATE OF kind, trade_date, quantity, price, fees, amount, cash_amount
+    ON holding_trades
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_invalidate_net_worth_on_trade();
+
+CREATE OR REPLACE FUNCTION trigger_invalidate_net_worth_on_price()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM invalidate_net_worth_snapshots(NEW.user_id, NEW.price_date);
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' THEN
+        PERFORM invalidate_net_worth_snapshots(NEW.user_id, LEAST(OLD.price_date, NEW.price_date));
+        RETURN NEW;
+    END IF;
+    PERFORM invalidate_net_worth_snapshots(OLD.user_id, OLD.price_date);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_net_worth_on_price ON security_prices;
+CREATE TRIGGER invalidate_net_worth_on_price
+    AFTER INSERT OR DELETE OR UPDATE OF symbol, price_date, price
+    ON security_prices
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_invalidate_net_worth_on_price();
+
+-- A holding's symbol or currency decides which prices and rates value it
+CREATE OR REPLACE FUNCTION trigger_invalidate_net_worth_on_holding()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM invalidate_net_worth_snapshots(OLD.user_id, NULL);
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invalidate_net_worth_on_holding ON holdings;
+CREATE TRIGGER invalidate_net_worth_on_holding
+    AFTER DELETE OR UPDATE OF symbol, currency
+    ON holdings
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_invalidate_net_worth_on_holding();
+
+ALTER TABLE holdings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE holding_trades ENABLE ROW LEVEL SECURITY;
+ALTER TABLE security_prices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own holdings"
+    ON holdings FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own holdings"
+    ON holdings FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own holdings"
+    ON holdings FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own holdings"
+    ON holdings FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own holding trades"
+    ON holding_trades FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own holding trades"
+    ON holding_trades FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own holding trades"
+    ON holding_trades FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own holding trades"
+    ON holding_trades FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own security prices"
+    ON security_prices FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own security prices"
+    ON security_prices FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own security prices"
+    ON security_prices FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own security prices"
+    ON security_prices FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Same lock as migration 031 puts on every other user table
+DROP POLICY IF EXISTS "Require two-factor sign-in when enrolled" ON holdings;
+CREATE POLICY "Require two-factor sign-in when enrolled"
+    ON holdings
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_assurance_met())
+    WITH CHECK (mfa_assurance_met());
+
+DROP POLICY IF EXISTS "Require two-factor sign-in when enrolled" ON holding_trades;
+CREATE POLICY "Require two-factor sign-in when enrolled"
+    ON holding_trades
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_assurance_met())
+    WITH CHECK (mfa_assurance_met());
+
+DROP POLICY IF EXISTS "Require two-factor sign-in when enrolled" ON security_prices;
+CREATE POLICY "Require two-factor sign-in when enrolled"
+    ON security_prices
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_assurance_met())
+    WITH CHECK (mfa_assurance_met());
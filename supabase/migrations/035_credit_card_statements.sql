@@ -0,0 +1,32 @@
+-- Migration: Credit card statements
+--
+-- A Credit account can have a statement cycle: the day of the month its
+-- statement closes and the day of the month payment is due. A statement
+-- covers the day after the previous closing up to and including the closing
+-- day; its payment falls on the next due day after it closes. Days past the
+-- end of a short month fall on its last day (31 closes on Feb 28).
+--
+-- credit_limit is optional and only used to show how much of it is in use.
+-- Statement balances are worked out in the app from the account's
+-- transactions, so nothing here stores them.
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS credit_limit NUMERIC(15, 2)
+    CHECK (credit_limit IS NULL OR credit_limit > 0),
+ADD COLUMN IF NOT EXISTS statement_closing_day SMALLINT
+    CHECK (statement_closing_day IS NULL OR statement_closing_day BETWEEN 1 AND 31),
+ADD COLUMN IF NOT EXISTS payment_due_day SMALLINT
+    CHECK (payment_due_day IS NULL OR payment_due_day BETWEEN 1 AND 31);
+
+ALTER TABLE accounts
+DROP CONSTRAINT IF EXISTS accounts_credit_terms;
+
+-- A cycle needs both days, and only credit accounts have one
+ALTER TABLE accounts
+ADD CONSTRAINT accounts_credit_terms CHECK (
+    (statement_closing_day IS NULL) = (payment_due_day IS NULL)
+    AND (
+        type = 'Credit'
+        OR (credit_limit IS NULL AND statement_closing_day IS NULL)
+    )
+);
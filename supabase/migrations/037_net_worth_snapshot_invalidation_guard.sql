@@ -0,0 +1,28 @@
+-- Migration: Keep invalidate_net_worth_snapshots to the caller's own history
+--
+-- The function from migration 019 is SECURITY DEFINER and deleted the
+-- snapshots of whatever user it was given, so anyone signed in could wipe
+-- someone else's history through an RPC call. It now refuses a user other
+-- than the caller's. The triggers that call it run as the user whose row
+-- changed, so they pass; with no user at all (the service role, or SQL run by
+-- hand) it still works as before, and anon can no longer call it.
+
+CREATE OR REPLACE FUNCTION invalidate_net_worth_snapshots(p_user_id UUID, p_from TIMESTAMPTZ)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL AND p_user_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Not allowed to change another user''s net worth history';
+    END IF;
+
+    IF p_from IS NULL THEN
+        DELETE FROM net_worth_snapshots WHERE user_id = p_user_id;
+    ELSE
+        DELETE FROM net_worth_snapshots
+        WHERE user_id = p_user_id
+        AND month >= date_trunc('month', p_from - INTERVAL '1 day')::date;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+REVOKE EXECUTE ON FUNCTION invalidate_net_worth_snapshots(UUID, TIMESTAMPTZ) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION invalidate_net_worth_snapshots(UUID, TIMESTAMPTZ) TO authenticated, service_role;